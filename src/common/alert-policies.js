@@ -0,0 +1,641 @@
+/**
+ * Declarative alert policies for BigQuery Cost Monitor
+ *
+ * Alerts are defined in a versioned JSON or YAML file of notification
+ * channels and policies. The file is turned into the Cloud Monitoring
+ * channels and alert policies it describes, diffed against the ones that
+ * exist in a project, and the difference is applied: missing resources are
+ * created, changed ones updated and the ones removed from the file deleted.
+ * Only resources labelled as managed by the cost monitor are ever deleted.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { METRICS } = require('./custom-metrics');
+const { interpolateEnv } = require('./env-interpolation');
+
+// User label marking channels and policies created from the alert file
+const MANAGED_LABEL = 'managed_by';
+const MANAGED_VALUE = 'bq-cost-monitor';
+
+// Alert file channel types and the Cloud Monitoring channel types they create
+const CHANNEL_TYPES = {
+  email: 'email',
+  slack: 'slack',
+  pagerduty: 'pagerduty',
+  webhook: 'webhook_tokenauth'
+};
+
+// Channel labels that Cloud Monitoring doesn't return, so they can't be diffed
+const SENSITIVE_LABELS = ['auth_token', 'service_key'];
+
+// Alert file metric names and the custom metrics they alert on
+const POLICY_METRICS = {
+  project_cost: METRICS.projectCost,
+  user_cost: METRICS.userCost,
+  dataset_cost: METRICS.datasetCost,
+  bytes_billed: METRICS.bytesBilled
+};
+
+// Failures of the cost monitor itself, alerted on without a threshold
+const FUNCTION_FAILURE = 'function_failure';
+
+const DEFAULT_FUNCTION_NAME = 'bq-cost-monitor';
+
+const TIB = Math.pow(1024, 4);
+
+/**
+ * Validate an alert file
+ * @param {Object} definition - Parsed alert file {channels, policies}
+ * @returns {string[]} - Validation errors
+ */
+function validateAlertFile(definition) {
+  const errors = [];
+
+  if (typeof definition !== 'object' || definition === null || Array.isArray(definition)) {
+    return ['Alert file must contain an object with channels and policies'];
+  }
+
+  const channels = definition.channels || [];
+  const policies = definition.policies || [];
+
+  if (!Array.isArray(channels)) {
+    errors.push('channels must be an array');
+  }
+  if (!Array.isArray(policies)) {
+    errors.push('policies must be an array');
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const channelNames = new Set();
+
+  channels.forEach((channel, index) => {
+    const label = `Channel at index ${index}`;
+
+    if (typeof channel !== 'object' || channel === null) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!channel.name || typeof channel.name !== 'string') {
+      errors.push(`${label} is missing required 'name' field`);
+    } else if (channelNames.has(channel.name)) {
+      errors.push(`${label} has a duplicate name: ${channel.name}`);
+    } else {
+      channelNames.add(channel.name);
+    }
+
+    switch (channel.type) {
+      case 'email':
+        if (typeof channel.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(channel.email)) {
+          errors.push(`${label} has an invalid 'email'`);
+        }
+        break;
+      case 'slack':
+        if (!channel.channel || typeof channel.channel !== 'string') {
+          errors.push(`${label} is missing required 'channel' field`);
+        }
+        if (!channel.authToken || typeof channel.authToken !== 'string') {
+          errors.push(`${label} is missing required 'authToken' field`);
+        }
+        break;
+      case 'pagerduty':
+        if (!channel.serviceKey || typeof channel.serviceKey !== 'string') {
+          errors.push(`${label} is missing required 'serviceKey' field`);
+        }
+        break;
+      case 'webhook':
+        if (typeof channel.url !== 'string' || !/^https?:\/\//.test(channel.url)) {
+          errors.push(`${label} has an invalid 'url'`);
+        }
+        break;
+      default:
+        errors.push(`${label} has an invalid type, must be one of: ${Object.keys(CHANNEL_TYPES).join(', ')}`);
+    }
+  });
+
+  const policyNames = new Set();
+  const metricNames = [...Object.keys(POLICY_METRICS), FUNCTION_FAILURE];
+
+  policies.forEach((policy, index) => {
+    const label = `Policy at index ${index}`;
+
+    if (typeof policy !== 'object' || policy === null) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!policy.name || typeof policy.name !== 'string') {
+      errors.push(`${label} is missing required 'name' field`);
+    } else if (policyNames.has(policy.name)) {
+      errors.push(`${label} has a duplicate name: ${policy.name}`);
+    } else {
+      policyNames.add(policy.name);
+    }
+
+    if (!metricNames.includes(policy.metric)) {
+      errors.push(`${label} has an invalid metric, must be one of: ${metricNames.join(', ')}`);
+    } else if (policy.metric !== FUNCTION_FAILURE && (typeof policy.threshold !== 'number' || policy.threshold <= 0)) {
+      errors.push(`${label} has 'threshold' that is not a positive number`);
+    }
+
+    if (policy.dataset !== undefined && policy.metric !== 'dataset_cost') {
+      errors.push(`${label} has 'dataset' but its metric is not dataset_cost`);
+    }
+    if (policy.principal !== undefined && policy.metric !== 'user_cost') {
+      errors.push(`${label} has 'principal' but its metric is not user_cost`);
+    }
+
+    if (policy.channels !== undefined) {
+      if (!Array.isArray(policy.channels)) {
+        errors.push(`${label} has 'channels' that is not an array`);
+      } else {
+        policy.channels
+          .filter(name => !channelNames.has(name))
+          .forEach(name => errors.push(`${label} refers to an unknown channel: ${name}`));
+      }
+    }
+
+    if (policy.enabled !== undefined && typeof policy.enabled !== 'boolean') {
+      errors.push(`${label} has 'enabled' that is not a boolean`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Load, interpolate and validate an alert file
+ * @param {string} filePath - Path to a .json file, or a YAML file
+ * @param {Object} [env] - Environment variables for ${NAME} references
+ * @returns {Object} - Alert definition {channels, policies}
+ */
+function loadAlertFile(filePath, env = process.env) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Alert file not found at ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  // YAML is a superset of JSON, but JSON files get JSON's error messages
+  const parsed = path.extname(filePath).toLowerCase() === '.json'
+    ? JSON.parse(content)
+    : yaml.load(content);
+
+  const definition = interpolateEnv(parsed || {}, env, 'the alert file');
+  const errors = validateAlertFile(definition);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid alert file ${filePath}:\n- ${errors.join('\n- ')}`);
+  }
+
+  return {
+    channels: definition.channels || [],
+    policies: definition.policies || []
+  };
+}
+
+/**
+ * Build the notification channel an alert file channel describes
+ * @param {Object} channel - Alert file channel
+ * @returns {Object} - Cloud Monitoring notification channel, without its resource name
+ */
+function buildChannel(channel) {
+  const labels = {
+    email: () => ({ email_address: channel.email }),
+    slack: () => ({ channel_name: channel.channel, auth_token: channel.authToken }),
+    pagerduty: () => ({ service_key: channel.serviceKey }),
+    webhook: () => ({ url: channel.url })
+  }[channel.type]();
+
+  return {
+    type: CHANNEL_TYPES[channel.type],
+    displayName: channel.name,
+    description: channel.description || 'Notification channel for BigQuery cost alerts',
+    labels,
+    userLabels: { [MANAGED_LABEL]: MANAGED_VALUE },
+    enabled: channel.enabled !== false
+  };
+}
+
+/**
+ * Build the condition of an alert file policy
+ * @param {Object} policy - Alert file policy
+ * @returns {Object} - Alert policy condition
+ */
+function buildCondition(policy) {
+  if (policy.metric === FUNCTION_FAILURE) {
+    const functionName = policy.functionName || DEFAULT_FUNCTION_NAME;
+
+    return {
+      displayName: 'Function Execution Failure',
+      conditionThreshold: {
+        filter: `resource.type="cloud_function" AND resource.labels.function_name="${functionName}" AND metric.type="cloudfunctions.googleapis.com/function/execution_count" AND metric.labels.status="error"`,
+        aggregations: [
+          {
+            alignmentPeriod: { seconds: 300 }, // 5 minutes
+            perSeriesAligner: 'ALIGN_COUNT',
+            crossSeriesReducer: 'REDUCE_SUM'
+          }
+        ],
+        comparison: 'COMPARISON_GT',
+        thresholdValue: 0,
+        duration: { seconds: 0 },
+        trigger: { count: 1 }
+      }
+    };
+  }
+
+  const metric = POLICY_METRICS[policy.metric];
+  const filters = [`resource.type="global"`, `metric.type="${metric.type}"`];
+  if (policy.project) filters.push(`metric.label.project_id="${policy.project}"`);
+  if (policy.principal) filters.push(`metric.label.principal="${policy.principal}"`);
+  if (policy.dataset) filters.push(`metric.label.dataset="${policy.dataset}"`);
+
+  // The metrics hold the value so far today, so the largest value in an hour is
+  // compared with the threshold, separately for each series
+  return {
+    displayName: `${metric.displayName} above ${policy.metric === 'bytes_billed' ? `${policy.threshold} TiB` : `$${policy.threshold}`}`,
+    conditionThreshold: {
+      filter: filters.join(' AND '),
+      aggregations: [
+        {
+          alignmentPeriod: { seconds: 3600 }, // 1 hour
+          perSeriesAligner: 'ALIGN_MAX'
+        }
+      ],
+      comparison: 'COMPARISON_GT',
+      thresholdValue: policy.metric === 'bytes_billed' ? policy.threshold * TIB : policy.threshold,
+      duration: { seconds: 0 },
+      trigger: { count: 1 }
+    }
+  };
+}
+
+/**
+ * Describe what an alert file policy alerts on
+ * @param {Object} policy - Alert file policy
+ * @returns {string} - Markdown documentation
+ */
+function describePolicy(policy) {
+  if (policy.metric === FUNCTION_FAILURE) {
+    return 'Alert when the BigQuery cost monitor function fails';
+  }
+
+  const subject = {
+    project_cost: 'the daily BigQuery cost',
+    user_cost: 'the daily BigQuery cost of a user or service account',
+    dataset_cost: 'the daily BigQuery cost attributed to a dataset',
+    bytes_billed: 'the bytes billed by BigQuery in a day'
+  }[policy.metric];
+  const scope = [
+    policy.project && `project ${policy.project}`,
+    policy.principal && `principal ${policy.principal}`,
+    policy.dataset && `dataset ${policy.dataset}`
+  ].filter(Boolean).join(', ');
+  const threshold = policy.metric === 'bytes_billed' ? `${policy.threshold} TiB` : `$${policy.threshold}`;
+
+  return `Alert when ${subject}${scope ? ` (${scope})` : ''} exceeds ${threshold}`;
+}
+
+/**
+ * Build the alert policy an alert file policy describes
+ * @param {Object} policy - Alert file policy
+ * @returns {Object} - Cloud Monitoring alert policy, with channel names instead of resource names
+ */
+function buildPolicy(policy) {
+  return {
+    displayName: policy.name,
+    documentation: {
+      content: policy.documentation || describePolicy(policy),
+      mimeType: 'text/markdown'
+    },
+    userLabels: { [MANAGED_LABEL]: MANAGED_VALUE },
+    conditions: [buildCondition(policy)],
+    combiner: 'OR',
+    notificationChannels: policy.channels || [],
+    enabled: policy.enabled !== false
+  };
+}
+
+/**
+ * Check whether a channel or policy was created from an alert file
+ * @param {Object} resource - Existing channel or policy
+ * @returns {boolean} - Whether it is managed by the cost monitor
+ */
+function isManaged(resource) {
+  return !!resource.userLabels && resource.userLabels[MANAGED_LABEL] === MANAGED_VALUE;
+}
+
+/**
+ * Read a protobuf BoolValue, which the API may return wrapped
+ * @param {boolean|Object} value - Plain or wrapped boolean
+ * @returns {boolean} - The boolean, true when unset
+ */
+function unwrapBool(value) {
+  if (value && typeof value === 'object') return value.value !== false;
+  return value !== false;
+}
+
+/**
+ * Read a protobuf Duration as seconds
+ * @param {Object} duration - Duration {seconds}
+ * @returns {number} - Seconds
+ */
+function durationSeconds(duration) {
+  return Number((duration && duration.seconds) || 0);
+}
+
+/**
+ * Reduce a channel to the fields that are compared
+ * @param {Object} channel - Desired or existing notification channel
+ * @returns {Object} - Comparable channel
+ */
+function comparableChannel(channel) {
+  const labels = {};
+  Object.keys(channel.labels || {}).sort()
+    .filter(key => !SENSITIVE_LABELS.includes(key))
+    .forEach(key => {
+      labels[key] = channel.labels[key];
+    });
+
+  return {
+    type: channel.type,
+    description: channel.description || '',
+    labels,
+    enabled: unwrapBool(channel.enabled)
+  };
+}
+
+/**
+ * Reduce a policy to the fields that are compared
+ * @param {Object} policy - Desired or existing alert policy
+ * @param {Function} channelName - Maps a policy's notification channel to a channel name
+ * @returns {Object} - Comparable policy
+ */
+function comparablePolicy(policy, channelName) {
+  return {
+    documentation: (policy.documentation && policy.documentation.content) || '',
+    combiner: policy.combiner,
+    enabled: unwrapBool(policy.enabled),
+    channels: (policy.notificationChannels || []).map(channelName).sort(),
+    conditions: (policy.conditions || []).map(condition => {
+      const threshold = condition.conditionThreshold || {};
+      const aggregation = (threshold.aggregations || [])[0] || {};
+
+      return {
+        displayName: condition.displayName,
+        filter: threshold.filter,
+        comparison: threshold.comparison,
+        threshold: Number(threshold.thresholdValue || 0),
+        alignmentSeconds: durationSeconds(aggregation.alignmentPeriod),
+        aligner: aggregation.perSeriesAligner || 'ALIGN_NONE',
+        reducer: aggregation.crossSeriesReducer || 'REDUCE_NONE',
+        durationSeconds: durationSeconds(threshold.duration)
+      };
+    })
+  };
+}
+
+/**
+ * List the fields that differ between two comparable resources
+ * @param {Object} desired - Comparable desired resource
+ * @param {Object} existing - Comparable existing resource
+ * @returns {string[]} - Names of the changed fields
+ */
+function diffFields(desired, existing) {
+  return Object.keys(desired).filter(key => JSON.stringify(desired[key]) !== JSON.stringify(existing[key]));
+}
+
+/**
+ * Plan the changes that turn the existing channels and policies into the ones an alert file describes
+ *
+ * Existing resources are matched by display name. Managed resources that are
+ * no longer in the file are deleted; unmanaged ones with a matching name are
+ * adopted, and all other unmanaged ones are left alone.
+ *
+ * @param {Object} definition - Alert definition from loadAlertFile
+ * @param {Object} existing - {channels, policies} as listed by Cloud Monitoring
+ * @returns {Object} - Plan {channels, policies}, each a list of {action, name, desired, existing, changes}
+ */
+function planAlerts(definition, existing) {
+  const plan = { channels: [], policies: [] };
+
+  const existingChannels = existing.channels || [];
+  const existingPolicies = existing.policies || [];
+
+  const desiredChannels = definition.channels.map(buildChannel);
+  desiredChannels.forEach(desired => {
+    // A channel's type can't be changed, so one of another type is replaced
+    const current = existingChannels.find(channel => channel.displayName === desired.displayName && channel.type === desired.type && isManaged(channel)) ||
+                    existingChannels.find(channel => channel.displayName === desired.displayName && channel.type === desired.type);
+
+    if (!current) {
+      plan.channels.push({ action: 'create', name: desired.displayName, desired, existing: null, changes: [] });
+      return;
+    }
+
+    const changes = diffFields(comparableChannel(desired), comparableChannel(current));
+    if (!isManaged(current)) changes.push('userLabels');
+
+    plan.channels.push({
+      action: changes.length > 0 ? 'update' : 'unchanged',
+      name: desired.displayName,
+      desired,
+      existing: current,
+      changes
+    });
+  });
+
+  existingChannels
+    .filter(channel => isManaged(channel) && !plan.channels.some(item => item.existing === channel))
+    .forEach(channel => {
+      plan.channels.push({ action: 'delete', name: channel.displayName, desired: null, existing: channel, changes: [] });
+    });
+
+  // Existing policies refer to channels by resource name, desired ones by name
+  const channelNames = {};
+  existingChannels.forEach(channel => {
+    channelNames[channel.name] = channel.displayName;
+  });
+  const existingChannelName = name => channelNames[name] || name;
+
+  definition.policies.map(buildPolicy).forEach(desired => {
+    const current = existingPolicies.find(policy => policy.displayName === desired.displayName && isManaged(policy)) ||
+                    existingPolicies.find(policy => policy.displayName === desired.displayName);
+
+    if (!current) {
+      plan.policies.push({ action: 'create', name: desired.displayName, desired, existing: null, changes: [] });
+      return;
+    }
+
+    const changes = diffFields(comparablePolicy(desired, name => name), comparablePolicy(current, existingChannelName));
+    if (!isManaged(current)) changes.push('userLabels');
+
+    plan.policies.push({
+      action: changes.length > 0 ? 'update' : 'unchanged',
+      name: desired.displayName,
+      desired,
+      existing: current,
+      changes
+    });
+  });
+
+  existingPolicies
+    .filter(policy => isManaged(policy) && !plan.policies.some(item => item.existing === policy))
+    .forEach(policy => {
+      plan.policies.push({ action: 'delete', name: policy.displayName, desired: null, existing: policy, changes: [] });
+    });
+
+  return plan;
+}
+
+/**
+ * Check whether a plan changes anything
+ * @param {Object} plan - Plan from planAlerts
+ * @returns {boolean} - Whether any channel or policy is created, updated or deleted
+ */
+function hasChanges(plan) {
+  return [...plan.channels, ...plan.policies].some(item => item.action !== 'unchanged');
+}
+
+/**
+ * Format a plan for the console
+ * @param {Object} plan - Plan from planAlerts
+ * @returns {string[]} - One line per channel and policy, followed by a summary
+ */
+function formatPlan(plan) {
+  const symbols = { create: '+', update: '~', delete: '-', unchanged: ' ' };
+  const lines = [];
+  const counts = { create: 0, update: 0, delete: 0, unchanged: 0 };
+
+  [['channel', plan.channels], ['policy', plan.policies]].forEach(([kind, items]) => {
+    items.forEach(item => {
+      counts[item.action]++;
+      const changes = item.changes.length > 0 ? ` (${item.changes.join(', ')})` : '';
+      lines.push(`${symbols[item.action]} ${item.action} ${kind} ${item.name}${changes}`);
+    });
+  });
+
+  lines.push(`Plan: ${counts.create} to create, ${counts.update} to update, ${counts.delete} to delete, ${counts.unchanged} unchanged`);
+  return lines;
+}
+
+/**
+ * List the channels and policies of a project
+ * @param {Object} clients - {alertClient, notificationClient}, Cloud Monitoring clients or stubs
+ * @param {string} projectId - Project the alerts live in
+ * @returns {Promise<Object>} - {channels, policies}
+ */
+async function listExistingAlerts(clients, projectId) {
+  const [channels] = await clients.notificationClient.listNotificationChannels({
+    name: clients.notificationClient.projectPath(projectId)
+  });
+  const [policies] = await clients.alertClient.listAlertPolicies({
+    name: clients.alertClient.projectPath(projectId)
+  });
+
+  return { channels, policies };
+}
+
+/**
+ * Apply a plan to a project
+ *
+ * Channels are created and updated first so policies can refer to them, and
+ * deleted last so no policy still refers to them.
+ *
+ * @param {Object} plan - Plan from planAlerts
+ * @param {Object} clients - {alertClient, notificationClient}, Cloud Monitoring clients or stubs
+ * @param {string} projectId - Project the alerts live in
+ * @param {Function} [onChange] - Called with (action, kind, name) after each change
+ * @returns {Promise<Object>} - Counts {created, updated, deleted}
+ */
+async function applyPlan(plan, clients, projectId, onChange = () => {}) {
+  const { alertClient, notificationClient } = clients;
+  const counts = { created: 0, updated: 0, deleted: 0 };
+  const channelPaths = {};
+
+  for (const item of plan.channels) {
+    if (item.action === 'create') {
+      const [channel] = await notificationClient.createNotificationChannel({
+        name: notificationClient.projectPath(projectId),
+        notificationChannel: item.desired
+      });
+      channelPaths[item.name] = channel.name;
+      counts.created++;
+    } else if (item.action === 'update') {
+      const [channel] = await notificationClient.updateNotificationChannel({
+        notificationChannel: { ...item.desired, name: item.existing.name }
+      });
+      channelPaths[item.name] = channel.name;
+      counts.updated++;
+    } else if (item.action === 'unchanged') {
+      channelPaths[item.name] = item.existing.name;
+    }
+
+    if (item.action !== 'unchanged' && item.action !== 'delete') {
+      onChange(item.action, 'channel', item.name);
+    }
+  }
+
+  const withChannelPaths = policy => ({
+    ...policy,
+    notificationChannels: policy.notificationChannels.map(name => channelPaths[name])
+  });
+
+  for (const item of plan.policies) {
+    if (item.action === 'create') {
+      await alertClient.createAlertPolicy({
+        name: alertClient.projectPath(projectId),
+        alertPolicy: withChannelPaths(item.desired)
+      });
+      counts.created++;
+    } else if (item.action === 'update') {
+      await alertClient.updateAlertPolicy({
+        alertPolicy: { ...withChannelPaths(item.desired), name: item.existing.name }
+      });
+      counts.updated++;
+    } else if (item.action === 'delete') {
+      await alertClient.deleteAlertPolicy({ name: item.existing.name });
+      counts.deleted++;
+    }
+
+    if (item.action !== 'unchanged') {
+      onChange(item.action, 'policy', item.name);
+    }
+  }
+
+  for (const item of plan.channels.filter(channel => channel.action === 'delete')) {
+    await notificationClient.deleteNotificationChannel({ name: item.existing.name });
+    counts.deleted++;
+    onChange(item.action, 'channel', item.name);
+  }
+
+  return counts;
+}
+
+/**
+ * Check whether an alert definition has policies on the custom metrics
+ * @param {Object} definition - Alert definition from loadAlertFile
+ * @returns {boolean} - Whether the custom metric descriptors are needed
+ */
+function usesCustomMetrics(definition) {
+  return definition.policies.some(policy => policy.metric !== FUNCTION_FAILURE);
+}
+
+module.exports = {
+  loadAlertFile,
+  validateAlertFile,
+  buildChannel,
+  buildPolicy,
+  planAlerts,
+  hasChanges,
+  formatPlan,
+  listExistingAlerts,
+  applyPlan,
+  usesCustomMetrics,
+  CHANNEL_TYPES,
+  POLICY_METRICS
+};
@@ -0,0 +1,290 @@
+/**
+ * Cost anomaly detection for BigQuery Cost Monitor
+ *
+ * Builds a rolling, weekday-aware baseline of the daily cost of a project and
+ * of each of its users, service accounts and datasets, and flags days that
+ * deviate from it by more than the configured sensitivity. Principals that
+ * were not seen in the baseline window and suddenly spend a lot are flagged
+ * as well.
+ */
+
+const moment = require('moment');
+
+const SCOPES = ['project', 'user', 'dataset'];
+
+const DEFAULT_ANOMALY_SETTINGS = {
+  enabled: true,
+  // Robust z-score a day must exceed to be flagged
+  sensitivity: 3,
+  // Days before each evaluated day that make up its baseline
+  baselineDays: 28,
+  // Days of history an entity needs before it gets a baseline
+  minBaselineDays: 7,
+  // Most recent days evaluated after each run
+  evaluationDays: 3,
+  // Deviations smaller than this are never flagged
+  minCostUsd: 1,
+  // Spend on its first days that flags a new principal
+  newPrincipalMinCostUsd: 10,
+  // Also flag days that are far below the baseline
+  includeDrops: false
+};
+
+/**
+ * Resolve the anomaly settings for a project
+ * @param {Object} project - Project configuration, optionally with an `anomalies` block
+ * @param {Object} settings - Global settings, optionally with an `anomalies` block
+ * @returns {Object} - Effective anomaly settings
+ */
+function resolveAnomalySettings(project = {}, settings = {}) {
+  return {
+    ...DEFAULT_ANOMALY_SETTINGS,
+    ...(settings.anomalies || {}),
+    ...(project.anomalies || {})
+  };
+}
+
+/**
+ * Get the cost of a row before the free tier, so month starts don't skew baselines
+ * @param {Object} row - Cost row
+ * @returns {number} - Cost in USD
+ */
+function grossCost(row) {
+  return row.gross_cost_usd !== undefined ? row.gross_cost_usd : (row.estimated_cost_usd || 0);
+}
+
+/**
+ * Sum daily costs per entity of a scope
+ * @param {Array} rows - Daily cost rows
+ * @param {string} scope - One of SCOPES
+ * @param {string} projectId - The project ID, used as the project entity
+ * @returns {Object} - Map of entity to {date: cost}
+ */
+function buildDailyCosts(rows, scope, projectId) {
+  const costs = {};
+  const add = (entity, date, cost) => {
+    costs[entity] = costs[entity] || {};
+    costs[entity][date] = (costs[entity][date] || 0) + (cost || 0);
+  };
+
+  rows.forEach(row => {
+    if (scope === 'project') {
+      add(projectId, row.date, grossCost(row));
+    } else if (scope === 'user') {
+      add(row.service_account || row.user_email || 'Unknown', row.date, grossCost(row));
+    } else {
+      (row.dataset_costs || []).forEach(ds => add(ds.dataset, row.date,
+        ds.gross_dataset_cost_usd !== undefined ? ds.gross_dataset_cost_usd : ds.dataset_cost_usd));
+    }
+  });
+
+  return costs;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number} - Median, or 0 for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Build the baseline for one day of an entity
+ *
+ * The expected cost is the baseline mean scaled by a factor for the day's
+ * weekday, shrunk towards 1 when few same-weekday days are available. The
+ * spread is the median absolute deviation of the baseline days from their own
+ * expected cost, floored so that flat series don't flag small changes.
+ *
+ * @param {Object} dailyCosts - Map of date to cost for the entity
+ * @param {string} date - Day to build the baseline for (YYYY-MM-DD)
+ * @param {string} since - First date the entity's baseline may use
+ * @param {Object} settings - Anomaly settings
+ * @returns {Object|null} - {expected, spread, days}, or null without enough history
+ */
+function buildBaseline(dailyCosts, date, since, settings) {
+  const baseline = [];
+
+  for (let offset = 1; offset <= settings.baselineDays; offset++) {
+    const day = moment.utc(date).subtract(offset, 'days');
+    const key = day.format('YYYY-MM-DD');
+    if (key < since) break;
+
+    // Days without rows had no spend
+    baseline.push({ weekday: day.day(), cost: dailyCosts[key] || 0 });
+  }
+
+  if (baseline.length < settings.minBaselineDays) {
+    return null;
+  }
+
+  const mean = baseline.reduce((sum, day) => sum + day.cost, 0) / baseline.length;
+
+  const weekdayFactor = weekday => {
+    const sameWeekday = baseline.filter(day => day.weekday === weekday);
+    if (mean <= 0 || sameWeekday.length === 0) return 1;
+
+    const factor = sameWeekday.reduce((sum, day) => sum + day.cost, 0) / sameWeekday.length / mean;
+    return 1 + (factor - 1) * sameWeekday.length / (sameWeekday.length + 1);
+  };
+
+  const residuals = baseline.map(day => day.cost - mean * weekdayFactor(day.weekday));
+  const residualMedian = median(residuals);
+  const mad = 1.4826 * median(residuals.map(residual => Math.abs(residual - residualMedian)));
+
+  const expected = mean * weekdayFactor(moment.utc(date).day());
+
+  return {
+    expected,
+    spread: Math.max(mad, expected * 0.1, settings.minCostUsd),
+    days: baseline.length
+  };
+}
+
+/**
+ * Round a USD amount to cents
+ * @param {number} value - Amount in USD
+ * @returns {number} - Rounded amount
+ */
+function roundCost(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Detect cost anomalies in a project's daily history
+ * @param {Array} rows - Daily cost rows covering at least baselineDays + evaluationDays
+ * @param {Object} [options] - Anomaly settings from resolveAnomalySettings, plus projectId
+ * @returns {Array} - Findings, newest first
+ */
+function detectAnomalies(rows, options = {}) {
+  const settings = { ...DEFAULT_ANOMALY_SETTINGS, ...options };
+  const projectId = options.projectId || 'project';
+
+  if (!settings.enabled || rows.length === 0) {
+    return [];
+  }
+
+  const dates = rows.map(row => row.date).sort();
+  const historyStart = dates[0];
+  const latest = dates[dates.length - 1];
+  const evaluationStart = moment.utc(latest).subtract(settings.evaluationDays - 1, 'days').format('YYYY-MM-DD');
+
+  const findings = [];
+
+  SCOPES.forEach(scope => {
+    const costsByEntity = buildDailyCosts(rows, scope, projectId);
+
+    Object.entries(costsByEntity).forEach(([entity, dailyCosts]) => {
+      const entityDates = Object.keys(dailyCosts).sort();
+      const firstSeen = entityDates[0];
+
+      // Principals with no baseline yet are only interesting if they start big
+      const historyBeforeFirstSeen = moment.utc(firstSeen).diff(moment.utc(historyStart), 'days');
+      if (scope === 'user' && firstSeen >= evaluationStart && historyBeforeFirstSeen >= settings.minBaselineDays) {
+        const spent = entityDates.reduce((sum, date) => sum + dailyCosts[date], 0);
+
+        if (spent >= settings.newPrincipalMinCostUsd) {
+          findings.push({
+            type: 'new_principal',
+            scope,
+            entity,
+            date: firstSeen,
+            actual_cost_usd: roundCost(spent),
+            expected_cost_usd: 0,
+            deviation: null,
+            severity: spent >= settings.newPrincipalMinCostUsd * 5 ? 'critical' : 'warning'
+          });
+        }
+        return;
+      }
+
+      for (let day = moment.utc(evaluationStart); day.format('YYYY-MM-DD') <= latest; day.add(1, 'days')) {
+        const date = day.format('YYYY-MM-DD');
+        const baseline = buildBaseline(dailyCosts, date, firstSeen > historyStart ? firstSeen : historyStart, settings);
+        if (!baseline) continue;
+
+        const actual = dailyCosts[date] || 0;
+        const difference = actual - baseline.expected;
+        const deviation = difference / baseline.spread;
+
+        const isSpike = deviation > settings.sensitivity;
+        const isDrop = settings.includeDrops && deviation < -settings.sensitivity;
+        if ((!isSpike && !isDrop) || Math.abs(difference) < settings.minCostUsd) continue;
+
+        findings.push({
+          type: isSpike ? 'spike' : 'drop',
+          scope,
+          entity,
+          date,
+          actual_cost_usd: roundCost(actual),
+          expected_cost_usd: roundCost(baseline.expected),
+          deviation: Math.round(deviation * 10) / 10,
+          baseline_days: baseline.days,
+          severity: Math.abs(deviation) > settings.sensitivity * 2 ? 'critical' : 'warning'
+        });
+      }
+    });
+  });
+
+  return findings.sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? 1 : -1;
+    return Math.abs(b.actual_cost_usd - b.expected_cost_usd) - Math.abs(a.actual_cost_usd - a.expected_cost_usd);
+  });
+}
+
+/**
+ * Validate an anomalies block from configuration
+ * @param {Object} anomalies - Anomalies block
+ * @param {string} label - Where the block lives, used in error messages
+ * @returns {string[]} - Validation errors
+ */
+function validateAnomalySettings(anomalies, label) {
+  const errors = [];
+
+  if (typeof anomalies !== 'object' || anomalies === null || Array.isArray(anomalies)) {
+    return [`${label} must be an object`];
+  }
+
+  ['enabled', 'includeDrops'].forEach(key => {
+    if (anomalies[key] !== undefined && typeof anomalies[key] !== 'boolean') {
+      errors.push(`${label}.${key} must be a boolean`);
+    }
+  });
+
+  if (anomalies.sensitivity !== undefined && (typeof anomalies.sensitivity !== 'number' || anomalies.sensitivity <= 0)) {
+    errors.push(`${label}.sensitivity must be a positive number`);
+  }
+
+  ['baselineDays', 'minBaselineDays', 'evaluationDays'].forEach(key => {
+    if (anomalies[key] !== undefined && (!Number.isInteger(anomalies[key]) || anomalies[key] <= 0)) {
+      errors.push(`${label}.${key} must be a positive integer`);
+    }
+  });
+
+  const baselineDays = anomalies.baselineDays || DEFAULT_ANOMALY_SETTINGS.baselineDays;
+  if (Number.isInteger(anomalies.minBaselineDays) && anomalies.minBaselineDays > baselineDays) {
+    errors.push(`${label}.minBaselineDays must not exceed baselineDays`);
+  }
+
+  ['minCostUsd', 'newPrincipalMinCostUsd'].forEach(key => {
+    if (anomalies[key] !== undefined && (typeof anomalies[key] !== 'number' || anomalies[key] < 0)) {
+      errors.push(`${label}.${key} must be a non-negative number`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  detectAnomalies,
+  resolveAnomalySettings,
+  validateAnomalySettings,
+  DEFAULT_ANOMALY_SETTINGS,
+  SCOPES
+};
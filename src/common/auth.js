@@ -0,0 +1,672 @@
+/**
+ * Authentication and authorization for the BigQuery Cost Monitor dashboard server
+ *
+ * A top-level `auth` block lists authentication providers, tried in order
+ * until one recognizes the request:
+ *
+ *   - apiKey: static API keys in a header, or as a bearer token
+ *   - header: an identity set by a trusted proxy, such as IAP or oauth2-proxy
+ *   - jwt: a JSON Web Token verified with a shared secret, a public key or a JWKS URL
+ *
+ * Roles then decide what an identity can see. A role lists its members
+ * (principal rules as in the teams mapping, or group:<name>), the projects it
+ * grants ("*" for all) and optionally the teams it narrows those projects to.
+ * Providers can also grant roles directly, from an API key's roles or a
+ * token's roles claim. Members of an admin role can also change the
+ * configuration through the config API.
+ */
+
+const crypto = require('crypto');
+const { createRemoteJWKSet, decodeProtectedHeader, jwtVerify } = require('jose');
+const { parsePrincipalRule, UNASSIGNED } = require('./teams');
+
+const AUTH_PROVIDER_TYPES = ['apiKey', 'header', 'jwt'];
+
+// Headers that are never logged, on top of those the providers read credentials from
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'];
+
+const REDACTED = '[REDACTED]';
+
+const DEFAULT_API_KEY_HEADER = 'x-api-key';
+const DEFAULT_USER_HEADER = 'x-goog-authenticated-user-email';
+// IAP prefixes identities with the identity provider
+const DEFAULT_USER_PREFIX = 'accounts.google.com:';
+
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const KEY_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'];
+
+// Peers that count as the machine itself
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1'];
+
+const DEFAULT_CLOCK_SKEW_SECONDS = 60;
+const DEFAULT_JWKS_CACHE_SECONDS = 3600;
+const JWKS_TIMEOUT_MS = 10000;
+// Unknown key IDs refetch the key set at most this often
+const JWKS_MIN_REFETCH_MS = 60000;
+
+/**
+ * Error for requests that can't be authenticated or authorized
+ */
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read a request header
+ * @param {Object} req - HTTP request
+ * @param {string} name - Header name
+ * @returns {string|undefined} - Header value
+ */
+function getHeader(req, name) {
+  const value = req.headers[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Read the bearer token of a request
+ * @param {Object} req - HTTP request
+ * @returns {string|null} - Token, or null if there is none
+ */
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(getHeader(req, 'authorization') || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Read a cookie of a request
+ * @param {Object} req - HTTP request
+ * @param {string} name - Cookie name
+ * @returns {string|null} - Cookie value, or null if it isn't set
+ */
+function readCookie(req, name) {
+  for (const pair of (getHeader(req, 'cookie') || '').split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator > 0 && pair.substring(0, separator).trim() === name) {
+      return decodeURIComponent(pair.substring(separator + 1).trim());
+    }
+  }
+  return null;
+}
+
+/**
+ * Hash an API key for comparison
+ * @param {string} key - API key
+ * @returns {Buffer} - SHA-256 digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key, 'utf8').digest();
+}
+
+/**
+ * Find the configured API key matching a presented key
+ * @param {Array} keys - Configured keys {name, key or sha256, roles}
+ * @param {string} presented - Presented key
+ * @returns {Object|undefined} - Matching key
+ */
+function findApiKey(keys, presented) {
+  const digest = hashKey(presented);
+
+  // Compare digests in constant time, so the keys can't be guessed byte by byte
+  return keys.find(entry => {
+    const expected = entry.sha256 ? Buffer.from(entry.sha256, 'hex') : hashKey(entry.key);
+    return expected.length === digest.length && crypto.timingSafeEqual(expected, digest);
+  });
+}
+
+// Key sets of JWKS URLs, by URL; jose caches the keys and refetches them when a token names an unknown key
+const jwksSets = new Map();
+
+/**
+ * Get the key set of a JWKS URL
+ * @param {Object} provider - JWT provider {jwksUri, jwksCacheSeconds}
+ * @returns {Function} - jose key set
+ */
+function jwksKeySet(provider) {
+  if (!jwksSets.has(provider.jwksUri)) {
+    jwksSets.set(provider.jwksUri, createRemoteJWKSet(new URL(provider.jwksUri), {
+      timeoutDuration: JWKS_TIMEOUT_MS,
+      cooldownDuration: JWKS_MIN_REFETCH_MS,
+      cacheMaxAge: (provider.jwksCacheSeconds || DEFAULT_JWKS_CACHE_SECONDS) * 1000
+    }));
+  }
+  return jwksSets.get(provider.jwksUri);
+}
+
+/**
+ * Get the key verifying the tokens of a provider
+ * @param {Object} provider - JWT provider {secret, publicKey, jwksUri}
+ * @returns {Object|Function} - Secret or public KeyObject, or a jose key set
+ */
+function verificationKey(provider) {
+  if (provider.secret) {
+    return crypto.createSecretKey(Buffer.from(provider.secret, 'utf8'));
+  }
+  return provider.jwksUri ? jwksKeySet(provider) : crypto.createPublicKey(provider.publicKey);
+}
+
+/**
+ * Convert a jose error into an AuthError
+ * @param {Error} error - Error raised by jose
+ * @returns {Error} - AuthError, or the error itself when it isn't about the token
+ */
+function toAuthError(error) {
+  switch (error.code) {
+    case 'ERR_JWT_EXPIRED':
+      return new AuthError('Token has expired');
+    case 'ERR_JWT_CLAIM_VALIDATION_FAILED':
+      if (error.claim === 'exp') return new AuthError('Token has no expiry');
+      if (error.claim === 'nbf') return new AuthError('Token is not valid yet');
+      if (error.claim === 'iss') return new AuthError('Token has an unexpected issuer');
+      if (error.claim === 'aud') return new AuthError('Token has an unexpected audience');
+      return new AuthError(`Token claim ${error.claim} is invalid`);
+    case 'ERR_JWS_SIGNATURE_VERIFICATION_FAILED':
+      return new AuthError('Token signature is invalid');
+    case 'ERR_JWKS_NO_MATCHING_KEY':
+    case 'ERR_JWKS_MULTIPLE_MATCHING_KEYS':
+      return new AuthError('Token is signed with an unknown key');
+    case 'ERR_JWS_INVALID':
+    case 'ERR_JWT_INVALID':
+      return new AuthError('Malformed token');
+    default:
+      return error;
+  }
+}
+
+/**
+ * Verify a JSON Web Token
+ * @param {string} token - Compact serialized token
+ * @param {Object} provider - JWT provider {secret, publicKey, jwksUri, algorithms, issuer, audience, clockSkewSeconds}
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} - Token claims
+ */
+async function verifyJwt(token, provider, now = new Date()) {
+  let header;
+  try {
+    header = decodeProtectedHeader(token);
+  } catch (error) {
+    throw new AuthError('Malformed token');
+  }
+
+  // A secret only verifies HMAC tokens and a key only signature tokens, so one can't pose as the other
+  const supported = provider.secret ? HMAC_ALGORITHMS : KEY_ALGORITHMS;
+  const allowed = (provider.algorithms || supported).filter(alg => supported.includes(alg));
+  if (!allowed.includes(header.alg)) {
+    throw new AuthError(`Token algorithm ${header.alg} is not accepted`);
+  }
+
+  try {
+    const { payload } = await jwtVerify(token, verificationKey(provider), {
+      algorithms: allowed,
+      issuer: provider.issuer,
+      audience: provider.audience,
+      clockTolerance: provider.clockSkewSeconds !== undefined ? provider.clockSkewSeconds : DEFAULT_CLOCK_SKEW_SECONDS,
+      currentDate: now,
+      // Tokens without an expiry would be valid forever once leaked
+      requiredClaims: ['exp']
+    });
+    return payload;
+  } catch (error) {
+    throw toAuthError(error);
+  }
+}
+
+/**
+ * Read a list from a claim or header value
+ * @param {*} value - Array, or comma separated string
+ * @returns {string[]} - Values
+ */
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  return typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Get the address of the peer that sent a request
+ * @param {Object} req - HTTP request
+ * @returns {string} - IP address, without the IPv4-mapped IPv6 prefix
+ */
+function remoteAddress(req) {
+  return ((req.socket && req.socket.remoteAddress) || '').replace(/^::ffff:/, '');
+}
+
+// Authentication providers, by type; each returns an identity, or null if the request has no credentials for it
+const providers = {
+  /**
+   * Authenticate with a static API key
+   * @param {Object} provider - Provider {header, keys}
+   * @param {Object} req - HTTP request
+   * @returns {Object|null} - Identity
+   */
+  apiKey(provider, req) {
+    const headerKey = getHeader(req, provider.header || DEFAULT_API_KEY_HEADER);
+    const presented = headerKey || bearerToken(req);
+    if (!presented) {
+      return null;
+    }
+
+    const key = findApiKey(provider.keys, presented);
+    if (!key) {
+      // A bearer token may be meant for a JWT provider
+      if (!headerKey) return null;
+      throw new AuthError('Invalid API key');
+    }
+
+    return { principal: key.name, groups: [], roles: key.roles || [] };
+  },
+
+  /**
+   * Authenticate with the identity headers of a trusted proxy
+   * @param {Object} provider - Provider {userHeader, prefix, groupsHeader, trustedProxies}
+   * @param {Object} req - HTTP request
+   * @returns {Object|null} - Identity
+   */
+  header(provider, req) {
+    const userHeader = provider.userHeader || DEFAULT_USER_HEADER;
+    let user = getHeader(req, userHeader);
+    if (!user) {
+      return null;
+    }
+
+    // Anyone could set the header on requests that don't come through the proxy
+    if (!(provider.trustedProxies || []).includes(remoteAddress(req))) {
+      throw new AuthError(`${userHeader} is only accepted from trusted proxies`);
+    }
+
+    const prefix = provider.prefix !== undefined ? provider.prefix : DEFAULT_USER_PREFIX;
+    if (prefix && user.startsWith(prefix)) {
+      user = user.substring(prefix.length);
+    }
+
+    return {
+      principal: user.trim().toLowerCase(),
+      groups: provider.groupsHeader ? toList(getHeader(req, provider.groupsHeader)) : [],
+      roles: []
+    };
+  },
+
+  /**
+   * Authenticate with a JSON Web Token
+   * @param {Object} provider - Provider {header, cookie, claim, groupsClaim, rolesClaim, ...verifyJwt options}
+   * @param {Object} req - HTTP request
+   * @returns {Promise<Object|null>} - Identity
+   */
+  async jwt(provider, req) {
+    let token;
+    if (provider.header) {
+      token = getHeader(req, provider.header);
+    } else if (provider.cookie) {
+      token = readCookie(req, provider.cookie);
+    } else {
+      token = bearerToken(req);
+    }
+    if (!token) {
+      return null;
+    }
+
+    const claims = await verifyJwt(token, provider);
+    const principal = claims[provider.claim || 'email'] || claims.sub;
+    if (!principal) {
+      throw new AuthError('Token has no subject');
+    }
+
+    return {
+      principal: String(principal).toLowerCase(),
+      groups: toList(claims[provider.groupsClaim || 'groups']),
+      roles: toList(claims[provider.rolesClaim || 'roles'])
+    };
+  }
+};
+
+/**
+ * Authenticate a request with the first provider that recognizes it
+ * @param {Object} auth - Auth configuration {providers}
+ * @param {Object} req - HTTP request
+ * @returns {Promise<Object>} - Identity {principal, groups, roles, provider}
+ */
+async function authenticate(auth, req) {
+  for (const provider of auth.providers) {
+    const identity = await providers[provider.type](provider, req);
+    if (identity) {
+      return { ...identity, provider: provider.name || provider.type };
+    }
+  }
+
+  throw new AuthError('Authentication required');
+}
+
+/**
+ * Compile the roles of the auth configuration
+ * @param {Array} roles - Role definitions {name, members, projects, teams, admin}
+ * @returns {Array} - Roles with member matchers
+ */
+function compileRoles(roles = []) {
+  return roles.map(role => {
+    const members = (role.members || []).map(rule => {
+      if (rule.startsWith('group:')) {
+        const group = rule.substring('group:'.length);
+        return identity => identity.groups.includes(group);
+      }
+
+      const matches = parsePrincipalRule(rule);
+      return identity => matches(identity.principal.toLowerCase());
+    });
+
+    return {
+      name: role.name,
+      projects: role.projects || [],
+      teams: role.teams || null,
+      admin: role.admin === true,
+      matches: identity => identity.roles.includes(role.name) || members.some(member => member(identity))
+    };
+  });
+}
+
+/**
+ * Resolve what an identity can see
+ *
+ * Each project maps to null when the identity can see all of it, or to the
+ * teams it is narrowed to.
+ *
+ * @param {Object} identity - Identity from authenticate
+ * @param {Array} roles - Roles from compileRoles
+ * @param {string[]} projectIds - Configured projects
+ * @returns {Object} - Access {roles, projects: {projectId: null or team names}, admin}
+ */
+function resolveAccess(identity, roles, projectIds) {
+  const granted = roles.filter(role => role.matches(identity));
+  const projects = {};
+
+  granted.forEach(role => {
+    const ids = role.projects.includes('*') ? projectIds : role.projects;
+
+    ids.forEach(projectId => {
+      if (!role.teams) {
+        projects[projectId] = null;
+      } else if (projects[projectId] !== null) {
+        projects[projectId] = [...new Set([...(projects[projectId] || []), ...role.teams])];
+      }
+    });
+  });
+
+  return {
+    roles: granted.map(role => role.name),
+    projects,
+    admin: granted.some(role => role.admin)
+  };
+}
+
+/**
+ * Check whether a request can read and change the configuration
+ *
+ * Without auth nobody can, unless local management is opted into; then only
+ * requests from the machine itself can. A reverse proxy on the same machine
+ * makes every client look local, which is why it is off by default.
+ *
+ * @param {Object|null} access - Access from resolveAccess, or null when auth is disabled
+ * @param {Object} req - HTTP request
+ * @param {boolean} [allowLocal] - Whether local requests may manage it while auth is disabled
+ * @returns {boolean} - Whether the configuration can be managed
+ */
+function canManageConfig(access, req, allowLocal = false) {
+  if (!access) {
+    return allowLocal && LOOPBACK_ADDRESSES.includes(remoteAddress(req));
+  }
+  return access.admin;
+}
+
+/**
+ * Check whether access includes any part of a project
+ * @param {Object|null} access - Access from resolveAccess, or null when auth is disabled
+ * @param {string} projectId - The project ID
+ * @returns {boolean} - Whether the project is visible
+ */
+function canViewProject(access, projectId) {
+  return !access || projectId in access.projects;
+}
+
+/**
+ * Check whether access includes all of a project
+ * @param {Object|null} access - Access from resolveAccess, or null when auth is disabled
+ * @param {string} projectId - The project ID
+ * @returns {boolean} - Whether the whole project is visible
+ */
+function canViewWholeProject(access, projectId) {
+  return !access || access.projects[projectId] === null;
+}
+
+/**
+ * Check whether access includes a team in any project
+ * @param {Object|null} access - Access from resolveAccess, or null when auth is disabled
+ * @param {string} team - Team name
+ * @returns {boolean} - Whether the team is visible
+ */
+function canViewTeam(access, team) {
+  return !access || Object.values(access.projects).some(teams => teams === null || teams.includes(team));
+}
+
+/**
+ * Narrow enriched cost rows to the teams access allows in a project
+ *
+ * A row belongs to the team that gets the largest share of its cost.
+ *
+ * @param {Array} rows - Rows enriched with their team
+ * @param {Object|null} access - Access from resolveAccess, or null when auth is disabled
+ * @param {string} projectId - The project ID
+ * @returns {Array} - Visible rows
+ */
+function filterRowsByAccess(rows, access, projectId) {
+  const teams = access ? access.projects[projectId] : null;
+  return teams ? rows.filter(row => teams.includes(row.team)) : rows;
+}
+
+/**
+ * List the headers whose values must not be logged
+ * @param {Object} auth - Auth configuration
+ * @returns {string[]} - Lower-case header names
+ */
+function sensitiveHeaders(auth = {}) {
+  const names = new Set(SENSITIVE_HEADERS);
+
+  (auth.providers || []).forEach(provider => {
+    if (provider.type === 'apiKey') names.add((provider.header || DEFAULT_API_KEY_HEADER).toLowerCase());
+    if (provider.type === 'jwt' && provider.header) names.add(provider.header.toLowerCase());
+  });
+
+  return [...names];
+}
+
+/**
+ * Redact sensitive headers for logging
+ * @param {Object} headers - Request headers
+ * @param {string[]} [names] - Lower-case names to redact, from sensitiveHeaders
+ * @returns {Object} - Copy of the headers with sensitive values replaced
+ */
+function redactHeaders(headers, names = SENSITIVE_HEADERS) {
+  const redacted = {};
+
+  Object.entries(headers).forEach(([name, value]) => {
+    redacted[name] = names.includes(name.toLowerCase()) ? REDACTED : value;
+  });
+
+  return redacted;
+}
+
+/**
+ * Validate the auth section of the configuration
+ * @param {Object} auth - Auth configuration
+ * @param {string[]} [projectIds] - Configured project IDs, to check role projects
+ * @param {string[]} [teamNames] - Configured team names, to check role teams
+ * @returns {string[]} - Validation errors
+ */
+function validateAuth(auth, projectIds, teamNames = []) {
+  const errors = [];
+
+  if (typeof auth !== 'object' || auth === null || Array.isArray(auth)) {
+    return ['auth must be an object'];
+  }
+
+  if (auth.enabled !== undefined && typeof auth.enabled !== 'boolean') {
+    errors.push('auth.enabled must be a boolean');
+  }
+
+  if (!Array.isArray(auth.providers) || (auth.enabled !== false && auth.providers.length === 0)) {
+    errors.push('auth.providers must be a non-empty array');
+  } else {
+    auth.providers.forEach((provider, index) => {
+      const label = `Auth provider at index ${index}`;
+
+      if (!provider || !AUTH_PROVIDER_TYPES.includes(provider.type)) {
+        errors.push(`${label} has an invalid type, must be one of: ${AUTH_PROVIDER_TYPES.join(', ')}`);
+        return;
+      }
+
+      ['header', 'userHeader', 'groupsHeader', 'cookie', 'prefix', 'claim', 'groupsClaim', 'rolesClaim', 'issuer', 'audience'].forEach(key => {
+        if (provider[key] !== undefined && typeof provider[key] !== 'string') {
+          errors.push(`${label} has '${key}' that is not a string`);
+        }
+      });
+
+      if (provider.type === 'apiKey') {
+        if (!Array.isArray(provider.keys) || provider.keys.length === 0) {
+          errors.push(`${label} is missing a non-empty 'keys' array`);
+        } else {
+          provider.keys.forEach((key, keyIndex) => {
+            if (!key || !key.name || typeof key.name !== 'string') {
+              errors.push(`${label} key at index ${keyIndex} is missing required 'name' field`);
+            }
+            if (key && key.sha256 !== undefined) {
+              if (typeof key.sha256 !== 'string' || !/^[0-9a-f]{64}$/i.test(key.sha256)) {
+                errors.push(`${label} key at index ${keyIndex} has 'sha256' that is not a hex SHA-256 digest`);
+              }
+            } else if (!key || typeof key.key !== 'string' || key.key.length < 16) {
+              errors.push(`${label} key at index ${keyIndex} needs a 'key' of at least 16 characters or a 'sha256' digest`);
+            }
+            if (key && key.roles !== undefined && (!Array.isArray(key.roles) || key.roles.some(role => typeof role !== 'string'))) {
+              errors.push(`${label} key at index ${keyIndex} has 'roles' that is not an array of strings`);
+            }
+          });
+        }
+      }
+
+      if (provider.type === 'header' &&
+          (!Array.isArray(provider.trustedProxies) || provider.trustedProxies.length === 0 ||
+           provider.trustedProxies.some(address => typeof address !== 'string'))) {
+        errors.push(`${label} needs 'trustedProxies', a non-empty array of the proxy IP addresses`);
+      }
+
+      if (provider.type === 'jwt') {
+        const sources = ['secret', 'publicKey', 'jwksUri'].filter(key => provider[key] !== undefined);
+        if (sources.length !== 1) {
+          errors.push(`${label} needs exactly one of 'secret', 'publicKey' or 'jwksUri'`);
+        } else if (provider.secret !== undefined && (typeof provider.secret !== 'string' || provider.secret.length < 32)) {
+          errors.push(`${label} has 'secret' that is shorter than 32 characters`);
+        } else if (provider.publicKey !== undefined) {
+          try {
+            crypto.createPublicKey(provider.publicKey);
+          } catch (error) {
+            errors.push(`${label} has an invalid 'publicKey': ${error.message}`);
+          }
+        } else if (provider.jwksUri !== undefined && !/^https:\/\//.test(String(provider.jwksUri))) {
+          errors.push(`${label} has 'jwksUri' that is not an https URL`);
+        }
+
+        if (provider.header !== undefined && provider.cookie !== undefined) {
+          errors.push(`${label} can't read the token from both a header and a cookie`);
+        }
+
+        const supported = provider.secret !== undefined ? HMAC_ALGORITHMS : KEY_ALGORITHMS;
+        if (provider.algorithms !== undefined &&
+            (!Array.isArray(provider.algorithms) || provider.algorithms.length === 0 || provider.algorithms.some(alg => !supported.includes(alg)))) {
+          errors.push(`${label} has 'algorithms' that are not among: ${supported.join(', ')}`);
+        }
+
+        ['clockSkewSeconds', 'jwksCacheSeconds'].forEach(key => {
+          if (provider[key] !== undefined && (typeof provider[key] !== 'number' || provider[key] < 0)) {
+            errors.push(`${label} has '${key}' that is not a non-negative number`);
+          }
+        });
+      }
+    });
+  }
+
+  if (auth.roles !== undefined && !Array.isArray(auth.roles)) {
+    errors.push('auth.roles must be an array');
+  } else {
+    const names = new Set();
+
+    (auth.roles || []).forEach((role, index) => {
+      const label = `Auth role at index ${index}`;
+
+      if (!role || !role.name || typeof role.name !== 'string') {
+        errors.push(`${label} is missing required 'name' field`);
+        return;
+      }
+      if (names.has(role.name)) {
+        errors.push(`${label} has a duplicate name: ${role.name}`);
+      }
+      names.add(role.name);
+
+      if (role.members !== undefined && (!Array.isArray(role.members) || role.members.some(rule => typeof rule !== 'string' || rule === ''))) {
+        errors.push(`${label} has 'members' that is not an array of strings`);
+      } else {
+        (role.members || []).forEach(rule => {
+          const regex = /^\/(.+)\/([a-z]*)$/.exec(rule);
+          if (!regex) return;
+
+          try {
+            new RegExp(regex[1], regex[2]);
+          } catch (error) {
+            errors.push(`${label} has an invalid member pattern ${rule}: ${error.message}`);
+          }
+        });
+      }
+
+      if (!Array.isArray(role.projects) || role.projects.length === 0 || role.projects.some(id => typeof id !== 'string')) {
+        errors.push(`${label} is missing a non-empty 'projects' array`);
+      } else if (projectIds) {
+        role.projects
+          .filter(id => id !== '*' && !projectIds.includes(id))
+          .forEach(id => errors.push(`${label} refers to unknown project: ${id}`));
+      }
+
+      if (role.admin !== undefined && typeof role.admin !== 'boolean') {
+        errors.push(`${label} has 'admin' that is not a boolean`);
+      }
+
+      if (role.teams !== undefined) {
+        if (!Array.isArray(role.teams) || role.teams.length === 0 || role.teams.some(team => typeof team !== 'string')) {
+          errors.push(`${label} has 'teams' that is not a non-empty array of strings`);
+        } else {
+          role.teams
+            .filter(team => team !== UNASSIGNED && !teamNames.includes(team))
+            .forEach(team => errors.push(`${label} refers to unknown team: ${team}`));
+        }
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  authenticate,
+  verifyJwt,
+  compileRoles,
+  resolveAccess,
+  canViewProject,
+  canViewWholeProject,
+  canViewTeam,
+  canManageConfig,
+  filterRowsByAccess,
+  sensitiveHeaders,
+  redactHeaders,
+  validateAuth,
+  AuthError,
+  AUTH_PROVIDER_TYPES
+};
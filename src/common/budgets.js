@@ -0,0 +1,327 @@
+/**
+ * Budgets for BigQuery Cost Monitor
+ *
+ * A budget caps the cost of a project, a dataset, a user or service account,
+ * a label or a team over a daily, weekly or monthly period. After each run every
+ * budget is evaluated against the history store: what has been spent in the
+ * current period, what remains, which thresholds have been crossed, and when
+ * the budget will be breached if spending carries on as forecast.
+ */
+
+const moment = require('moment');
+const { fitBaseline } = require('./forecasting');
+
+const BUDGET_SCOPES = ['project', 'dataset', 'user', 'label', 'team'];
+
+const BUDGET_PERIODS = ['daily', 'weekly', 'monthly'];
+
+// Percentages of the budget that are reported once spending reaches them
+const DEFAULT_THRESHOLDS = [50, 80, 100];
+
+// Days before the evaluation date used to forecast spending
+const DEFAULT_BASELINE_DAYS = 28;
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * Round a USD amount to cents
+ * @param {number} value - Amount in USD
+ * @returns {number} - Rounded amount
+ */
+function roundCost(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get the period of a budget that contains a date
+ * @param {string} period - One of BUDGET_PERIODS
+ * @param {string} date - Date in the period (YYYY-MM-DD)
+ * @returns {Object} - {start, end} dates (YYYY-MM-DD)
+ */
+function getPeriodBounds(period, date) {
+  // Weekly budgets run Monday to Sunday
+  const unit = { daily: 'day', weekly: 'isoWeek', monthly: 'month' }[period] || 'month';
+
+  return {
+    start: moment.utc(date).startOf(unit).format(DATE_FORMAT),
+    end: moment.utc(date).endOf(unit).format(DATE_FORMAT)
+  };
+}
+
+/**
+ * Parse the target of a label budget
+ * @param {string} target - Label as key=value, or just key for any value
+ * @returns {Object} - {key, value}, value undefined for any value
+ */
+function parseLabelTarget(target) {
+  const separator = target.indexOf('=');
+
+  return separator === -1
+    ? { key: target, value: undefined }
+    : { key: target.substring(0, separator), value: target.substring(separator + 1) };
+}
+
+/**
+ * Get the cost a row contributes to a budget
+ * @param {Object} budget - Budget definition
+ * @param {Object} row - Daily cost row
+ * @returns {number} - Cost in USD
+ */
+function rowBudgetCost(budget, row) {
+  switch (budget.scope) {
+    case 'project':
+      return row.estimated_cost_usd || 0;
+
+    case 'user': {
+      const target = budget.target.toLowerCase();
+      const matches = [row.user_email, row.service_account].some(principal => (principal || '').toLowerCase() === target);
+      return matches ? (row.estimated_cost_usd || 0) : 0;
+    }
+
+    case 'dataset':
+      // Datasets may be given with or without their project
+      return (row.dataset_costs || [])
+        .filter(ds => ds.dataset === budget.target || (ds.dataset || '').endsWith(`.${budget.target}`))
+        .reduce((sum, ds) => sum + (ds.dataset_cost_usd || 0), 0);
+
+    case 'label': {
+      const { key, value } = parseLabelTarget(budget.target);
+      return (row.label_costs || [])
+        .filter(label => label.label_key === key && (value === undefined || label.label_value === value))
+        .reduce((sum, label) => sum + (label.label_cost_usd || 0), 0);
+    }
+
+    case 'team':
+      // Rows are assigned to teams when they are collected
+      return (row.team_costs || [])
+        .filter(team => team.team === budget.target)
+        .reduce((sum, team) => sum + (team.team_cost_usd || 0), 0);
+
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Get the first date of history a budget evaluation needs
+ * @param {Object} budget - Budget definition
+ * @param {string} date - Evaluation date (YYYY-MM-DD)
+ * @param {number} [baselineDays] - Days used to forecast spending
+ * @returns {string} - First date to read (YYYY-MM-DD)
+ */
+function budgetHistoryStart(budget, date, baselineDays = DEFAULT_BASELINE_DAYS) {
+  const { start } = getPeriodBounds(budget.period, date);
+  const baselineStart = moment.utc(date).subtract(baselineDays, 'days').format(DATE_FORMAT);
+
+  return start < baselineStart ? start : baselineStart;
+}
+
+/**
+ * Evaluate a budget for the period containing a date
+ *
+ * Days before the date are actuals. The date itself is usually only partly
+ * collected, so the forecast counts it as the larger of its actual and
+ * expected cost, and expects the rest of the period to follow the
+ * weekday-aware baseline of the days before the date.
+ *
+ * @param {Object} budget - Budget definition
+ * @param {Array} rows - Daily cost rows of the budget's projects
+ * @param {Object} [options] - Evaluation options
+ * @param {string} [options.date] - Evaluation date (YYYY-MM-DD), defaults to today
+ * @param {number} [options.baselineDays] - Days used to forecast spending
+ * @returns {Object} - Budget status
+ */
+function evaluateBudget(budget, rows, options = {}) {
+  const date = options.date || moment.utc().format(DATE_FORMAT);
+  const baselineDays = options.baselineDays || DEFAULT_BASELINE_DAYS;
+  const period = budget.period || 'monthly';
+  const thresholds = (budget.thresholds || DEFAULT_THRESHOLDS).slice().sort((a, b) => a - b);
+  const { start, end } = getPeriodBounds(period, date);
+
+  const dailyCosts = {};
+  rows.forEach(row => {
+    const cost = rowBudgetCost(budget, row);
+    if (cost > 0) {
+      dailyCosts[row.date] = (dailyCosts[row.date] || 0) + cost;
+    }
+  });
+
+  const dates = Object.keys(dailyCosts).sort();
+  const baseline = dates.length > 0 ? fitBaseline(dailyCosts, date, dates[0], baselineDays) : null;
+
+  let spent = 0;
+  let forecast = 0;
+  let breachDate = null;
+
+  for (let day = moment.utc(start); day.format(DATE_FORMAT) <= end; day.add(1, 'days')) {
+    const key = day.format(DATE_FORMAT);
+    const actual = dailyCosts[key] || 0;
+
+    if (key <= date) {
+      spent += actual;
+    }
+
+    if (key < date) {
+      forecast += actual;
+    } else {
+      const expected = baseline ? baseline.expected(key) : 0;
+      forecast += key === date ? Math.max(actual, expected) : expected;
+    }
+
+    // Dates up to the evaluation date breach on actuals, later ones on the forecast
+    const total = key <= date ? spent : forecast;
+    if (!breachDate && total >= budget.amount) {
+      breachDate = key;
+    }
+  }
+
+  const percentUsed = budget.amount > 0 ? spent / budget.amount * 100 : 0;
+  const crossed = thresholds.filter(threshold => percentUsed >= threshold);
+
+  let status = 'ok';
+  if (percentUsed >= 100) {
+    status = 'exceeded';
+  } else if (crossed.length > 0) {
+    status = 'warning';
+  }
+
+  return {
+    name: budget.name,
+    scope: budget.scope,
+    project: budget.project || null,
+    target: budget.target || null,
+    period,
+    period_start: start,
+    period_end: end,
+    date,
+    amount_usd: budget.amount,
+    spent_usd: roundCost(spent),
+    remaining_usd: roundCost(Math.max(0, budget.amount - spent)),
+    percent_used: Math.round(percentUsed * 10) / 10,
+    thresholds,
+    thresholds_crossed: crossed,
+    status,
+    forecast_spend_usd: roundCost(forecast),
+    forecast_breach_date: breachDate
+  };
+}
+
+/**
+ * Evaluate budgets against the history of their projects
+ * @param {Array} budgets - Budget definitions
+ * @param {Function} loadRows - Called with (projectId, from) to read a project's rows from a date
+ * @param {Object} options - Evaluation options
+ * @param {string[]} options.projectIds - Projects of budgets that don't name one
+ * @param {string} [options.date] - Evaluation date (YYYY-MM-DD), defaults to today
+ * @param {number} [options.baselineDays] - Days used to forecast spending
+ * @returns {Array} - Budget statuses, in the order of the definitions
+ */
+function evaluateBudgets(budgets, loadRows, options) {
+  const date = options.date || moment.utc().format(DATE_FORMAT);
+  const rowsByProject = {};
+
+  // Every budget reads from the earliest date any budget needs, so each project is read once
+  const from = budgets
+    .map(budget => budgetHistoryStart(budget, date, options.baselineDays))
+    .reduce((earliest, start) => (!earliest || start < earliest ? start : earliest), null);
+
+  const projectRows = projectId => {
+    if (!rowsByProject[projectId]) {
+      rowsByProject[projectId] = loadRows(projectId, from);
+    }
+    return rowsByProject[projectId];
+  };
+
+  return budgets.map(budget => {
+    const projectIds = budget.project ? [budget.project] : options.projectIds;
+    const rows = projectIds.reduce((all, projectId) => all.concat(projectRows(projectId)), []);
+
+    return evaluateBudget(budget, rows, { ...options, date });
+  });
+}
+
+/**
+ * Validate the budgets section of the configuration
+ * @param {Array} budgets - Budget definitions
+ * @param {string[]} [projectIds] - Configured project IDs that budgets may name
+ * @param {string[]} [teamNames] - Configured team names that team budgets may target
+ * @returns {string[]} - Validation errors
+ */
+function validateBudgets(budgets, projectIds, teamNames) {
+  const errors = [];
+
+  if (!Array.isArray(budgets)) {
+    return ['budgets must be an array'];
+  }
+
+  const names = new Set();
+
+  budgets.forEach((budget, index) => {
+    const label = `Budget at index ${index}`;
+
+    if (typeof budget !== 'object' || budget === null || Array.isArray(budget)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!budget.name || typeof budget.name !== 'string') {
+      errors.push(`${label} is missing required 'name' field`);
+    } else if (names.has(budget.name)) {
+      errors.push(`${label} has a duplicate name: ${budget.name}`);
+    } else {
+      names.add(budget.name);
+    }
+
+    if (!BUDGET_SCOPES.includes(budget.scope)) {
+      errors.push(`${label} has an invalid scope, must be one of: ${BUDGET_SCOPES.join(', ')}`);
+    }
+
+    if (budget.scope === 'project' && !budget.project) {
+      errors.push(`${label} has scope 'project' but no 'project'`);
+    }
+
+    if (budget.scope !== 'project' && BUDGET_SCOPES.includes(budget.scope) &&
+        (!budget.target || typeof budget.target !== 'string')) {
+      errors.push(`${label} has scope '${budget.scope}' but no 'target'`);
+    }
+
+    if (budget.scope === 'team' && typeof budget.target === 'string' && teamNames &&
+        budget.target !== 'unassigned' && !teamNames.includes(budget.target)) {
+      errors.push(`${label} refers to an unknown team: ${budget.target}`);
+    }
+
+    if (budget.project !== undefined && projectIds && !projectIds.includes(budget.project)) {
+      errors.push(`${label} refers to an unknown project: ${budget.project}`);
+    }
+
+    if (typeof budget.amount !== 'number' || budget.amount <= 0) {
+      errors.push(`${label} has 'amount' that is not a positive number`);
+    }
+
+    if (budget.period !== undefined && !BUDGET_PERIODS.includes(budget.period)) {
+      errors.push(`${label} has an invalid period, must be one of: ${BUDGET_PERIODS.join(', ')}`);
+    }
+
+    if (budget.thresholds !== undefined) {
+      if (!Array.isArray(budget.thresholds) || budget.thresholds.length === 0) {
+        errors.push(`${label} has 'thresholds' that is not a non-empty array`);
+      } else if (budget.thresholds.some(threshold => typeof threshold !== 'number' || threshold <= 0)) {
+        errors.push(`${label} has thresholds that are not positive percentages`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  evaluateBudget,
+  evaluateBudgets,
+  budgetHistoryStart,
+  getPeriodBounds,
+  validateBudgets,
+  parseLabelTarget,
+  BUDGET_SCOPES,
+  BUDGET_PERIODS,
+  DEFAULT_THRESHOLDS
+};
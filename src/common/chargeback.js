@@ -0,0 +1,359 @@
+/**
+ * Monthly chargeback reports for BigQuery Cost Monitor
+ *
+ * A chargeback report has a statement for each team or cost center with line
+ * items per project, dataset and principal, compared with the previous month.
+ * Costs are split with the team mapping, so the statements of a project add
+ * up to the project's total for the month.
+ */
+
+const moment = require('moment');
+const { assignTeamPieces, UNASSIGNED } = require('./teams');
+
+const REPORT_GROUPS = ['team', 'costCenter'];
+
+const REPORT_FORMATS = ['csv', 'json', 'html'];
+
+const MONTH_FORMAT = 'YYYY-MM';
+
+// Line items for cost that didn't reference a dataset
+const NO_DATASET = '(no dataset)';
+
+const CSV_COLUMNS = [
+  'month',
+  'owner',
+  'cost_center',
+  'project',
+  'dataset',
+  'principal',
+  'cost_usd',
+  'previous_cost_usd',
+  'change_usd'
+];
+
+/**
+ * Round a cost to cents
+ * @param {number} value - Cost in USD
+ * @returns {number} - Rounded cost
+ */
+function roundCost(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get the date range a report reads, from the previous month to the report month
+ * @param {string} month - Report month (YYYY-MM)
+ * @returns {Object} - {from, to} as YYYY-MM-DD
+ */
+function reportDateRange(month) {
+  const start = moment.utc(month, MONTH_FORMAT, true);
+
+  return {
+    from: start.clone().subtract(1, 'month').format('YYYY-MM-DD'),
+    to: start.clone().endOf('month').format('YYYY-MM-DD')
+  };
+}
+
+/**
+ * Get the month before the current one
+ * @param {Date} [now] - Current time
+ * @returns {string} - Month (YYYY-MM)
+ */
+function previousMonth(now = new Date()) {
+  return moment.utc(now).subtract(1, 'month').format(MONTH_FORMAT);
+}
+
+/**
+ * Build a chargeback report
+ * @param {Object} rowsByProject - Map of project ID to its daily cost rows for the report and previous month
+ * @param {Object} options - Report options
+ * @param {string} options.month - Report month (YYYY-MM)
+ * @param {string} [options.groupBy] - team (default) or costCenter
+ * @param {Object} options.mapping - Team mapping from compileTeamMapping
+ * @param {Date} [options.now] - Generation time
+ * @returns {Object} - Report with statements, project totals and their reconciliation
+ */
+function buildChargeback(rowsByProject, options) {
+  const groupBy = options.groupBy || 'team';
+  const month = options.month;
+  const previous = moment.utc(month, MONTH_FORMAT).subtract(1, 'month').format(MONTH_FORMAT);
+
+  const statements = {};
+  const projects = {};
+
+  Object.entries(rowsByProject).forEach(([projectId, rows]) => {
+    projects[projectId] = projects[projectId] || { project: projectId, total_usd: 0, previous_total_usd: 0, statements_total_usd: 0 };
+
+    rows.forEach(row => {
+      const rowMonth = row.date.substring(0, 7);
+      if (rowMonth !== month && rowMonth !== previous) return;
+
+      const field = rowMonth === month ? 'cost_usd' : 'previous_cost_usd';
+      const principal = row.service_account || row.user_email || 'Unknown';
+
+      if (rowMonth === month) {
+        projects[projectId].total_usd += row.estimated_cost_usd || 0;
+      } else {
+        projects[projectId].previous_total_usd += row.estimated_cost_usd || 0;
+      }
+
+      assignTeamPieces(row, options.mapping).forEach(piece => {
+        const owner = groupBy === 'team' ? piece.team : (piece.cost_center || UNASSIGNED);
+
+        if (!statements[owner]) {
+          statements[owner] = {
+            owner,
+            cost_center: groupBy === 'team' ? piece.cost_center : owner,
+            line_items: {}
+          };
+        }
+
+        const dataset = piece.dataset || NO_DATASET;
+        const key = JSON.stringify([projectId, dataset, principal]);
+        const items = statements[owner].line_items;
+
+        if (!items[key]) {
+          items[key] = { project: projectId, dataset, principal, cost_usd: 0, previous_cost_usd: 0 };
+        }
+        items[key][field] += piece.cost_usd;
+
+        if (rowMonth === month) {
+          projects[projectId].statements_total_usd += piece.cost_usd;
+        }
+      });
+    });
+  });
+
+  const statementList = Object.values(statements)
+    .map(statement => {
+      const lineItems = Object.values(statement.line_items);
+      const total = lineItems.reduce((sum, item) => sum + item.cost_usd, 0);
+      const previousTotal = lineItems.reduce((sum, item) => sum + item.previous_cost_usd, 0);
+
+      return {
+        owner: statement.owner,
+        cost_center: statement.cost_center,
+        total_usd: roundCost(total),
+        previous_total_usd: roundCost(previousTotal),
+        change_usd: roundCost(total - previousTotal),
+        change_percent: previousTotal > 0 ? Math.round((total - previousTotal) / previousTotal * 1000) / 10 : null,
+        line_items: lineItems
+          .map(item => ({
+            ...item,
+            cost_usd: roundCost(item.cost_usd),
+            previous_cost_usd: roundCost(item.previous_cost_usd),
+            change_usd: roundCost(item.cost_usd - item.previous_cost_usd)
+          }))
+          .filter(item => item.cost_usd !== 0 || item.previous_cost_usd !== 0)
+          .sort((a, b) => b.cost_usd - a.cost_usd || b.previous_cost_usd - a.previous_cost_usd)
+      };
+    })
+    .filter(statement => statement.line_items.length > 0)
+    // Unassigned cost goes last so gaps in the mapping stand out
+    .sort((a, b) => (a.owner === UNASSIGNED) - (b.owner === UNASSIGNED) || b.total_usd - a.total_usd);
+
+  const projectList = Object.values(projects).map(project => ({
+    project: project.project,
+    total_usd: roundCost(project.total_usd),
+    previous_total_usd: roundCost(project.previous_total_usd),
+    statements_total_usd: roundCost(project.statements_total_usd),
+    difference_usd: roundCost(project.statements_total_usd - project.total_usd)
+  }));
+
+  const total = projectList.reduce((sum, project) => sum + project.total_usd, 0);
+  const previousTotal = projectList.reduce((sum, project) => sum + project.previous_total_usd, 0);
+
+  return {
+    month,
+    previous_month: previous,
+    group_by: groupBy,
+    generated_at: (options.now || new Date()).toISOString(),
+    total_usd: roundCost(total),
+    previous_total_usd: roundCost(previousTotal),
+    change_usd: roundCost(total - previousTotal),
+    reconciled: projectList.every(project => project.difference_usd === 0),
+    projects: projectList,
+    statements: statementList
+  };
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a report as CSV, one line per line item
+ * @param {Object} report - Report from buildChargeback
+ * @returns {string} - CSV text
+ */
+function renderCsv(report) {
+  const lines = [CSV_COLUMNS.join(',')];
+
+  report.statements.forEach(statement => {
+    statement.line_items.forEach(item => {
+      lines.push([
+        report.month,
+        statement.owner,
+        statement.cost_center,
+        item.project,
+        item.dataset,
+        item.principal,
+        item.cost_usd.toFixed(2),
+        item.previous_cost_usd.toFixed(2),
+        item.change_usd.toFixed(2)
+      ].map(csvField).join(','));
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a cost for the HTML report
+ * @param {number} value - Cost in USD
+ * @returns {string} - Formatted cost
+ */
+function formatUsd(value) {
+  const sign = value < 0 ? '-' : '';
+  return `${sign}$${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Render a report as a printable HTML page, one statement per page
+ * @param {Object} report - Report from buildChargeback
+ * @returns {string} - HTML document
+ */
+function renderHtml(report) {
+  const ownerLabel = report.group_by === 'team' ? 'Team' : 'Cost center';
+
+  const statements = report.statements.map(statement => `
+  <section class="statement">
+    <h2>${escapeHtml(ownerLabel)}: ${escapeHtml(statement.owner)}</h2>
+    ${report.group_by === 'team' && statement.cost_center ? `<p>Cost center: ${escapeHtml(statement.cost_center)}</p>` : ''}
+    <p class="summary">
+      ${escapeHtml(report.month)}: <strong>${formatUsd(statement.total_usd)}</strong>
+      &middot; ${escapeHtml(report.previous_month)}: ${formatUsd(statement.previous_total_usd)}
+      &middot; Change: ${formatUsd(statement.change_usd)}${statement.change_percent !== null ? ` (${statement.change_percent}%)` : ''}
+    </p>
+    <table>
+      <thead>
+        <tr><th>Project</th><th>Dataset</th><th>Principal</th><th>${escapeHtml(report.month)}</th><th>${escapeHtml(report.previous_month)}</th><th>Change</th></tr>
+      </thead>
+      <tbody>
+${statement.line_items.map(item => `        <tr><td>${escapeHtml(item.project)}</td><td>${escapeHtml(item.dataset)}</td><td>${escapeHtml(item.principal)}</td>` +
+    `<td class="num">${formatUsd(item.cost_usd)}</td><td class="num">${formatUsd(item.previous_cost_usd)}</td><td class="num">${formatUsd(item.change_usd)}</td></tr>`).join('\n')}
+      </tbody>
+      <tfoot>
+        <tr><th colspan="3">Total</th><th class="num">${formatUsd(statement.total_usd)}</th><th class="num">${formatUsd(statement.previous_total_usd)}</th><th class="num">${formatUsd(statement.change_usd)}</th></tr>
+      </tfoot>
+    </table>
+  </section>`).join('\n');
+
+  const projects = report.projects.map(project =>
+    `        <tr><td>${escapeHtml(project.project)}</td><td class="num">${formatUsd(project.total_usd)}</td>` +
+    `<td class="num">${formatUsd(project.statements_total_usd)}</td><td class="num">${formatUsd(project.previous_total_usd)}</td></tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>BigQuery chargeback ${escapeHtml(report.month)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; font-size: 12px; margin: 2em; color: #212529; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1em; }
+    th, td { border-bottom: 1px solid #dee2e6; padding: 4px 8px; text-align: left; }
+    .num { text-align: right; }
+    tfoot th { border-top: 2px solid #212529; }
+    .statement { page-break-before: always; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>BigQuery chargeback by ${escapeHtml(ownerLabel.toLowerCase())}: ${escapeHtml(report.month)}</h1>
+  <p>Generated ${escapeHtml(report.generated_at)}. Total ${formatUsd(report.total_usd)}, ${formatUsd(report.change_usd)} compared with ${escapeHtml(report.previous_month)}.</p>
+  <table>
+    <thead>
+      <tr><th>Project</th><th>Project total</th><th>Statements total</th><th>${escapeHtml(report.previous_month)}</th></tr>
+    </thead>
+    <tbody>
+${projects}
+    </tbody>
+  </table>
+${statements}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a report in one of REPORT_FORMATS
+ * @param {Object} report - Report from buildChargeback
+ * @param {string} format - csv, json or html
+ * @returns {string} - Rendered report
+ */
+function renderReport(report, format) {
+  switch (format) {
+    case 'csv':
+      return renderCsv(report);
+    case 'json':
+      return `${JSON.stringify(report, null, 2)}\n`;
+    case 'html':
+      return renderHtml(report);
+    default:
+      throw new Error(`Unsupported report format: ${format}`);
+  }
+}
+
+/**
+ * Validate report options
+ * @param {Object} options - {month, groupBy, formats}
+ * @returns {string[]} - Validation errors
+ */
+function validateReportOptions(options) {
+  const errors = [];
+
+  if (!moment.utc(options.month, MONTH_FORMAT, true).isValid()) {
+    errors.push(`month must be in ${MONTH_FORMAT} format`);
+  }
+
+  if (options.groupBy !== undefined && !REPORT_GROUPS.includes(options.groupBy)) {
+    errors.push(`groupBy must be one of: ${REPORT_GROUPS.join(', ')}`);
+  }
+
+  (options.formats || []).forEach(format => {
+    if (!REPORT_FORMATS.includes(format)) {
+      errors.push(`Unsupported format ${format}, must be one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  buildChargeback,
+  renderReport,
+  reportDateRange,
+  previousMonth,
+  validateReportOptions,
+  REPORT_GROUPS,
+  REPORT_FORMATS
+};
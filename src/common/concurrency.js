@@ -0,0 +1,134 @@
+/**
+ * Concurrency, retry and timeout helpers for BigQuery Cost Monitor
+ */
+
+// BigQuery error reasons that are worth retrying
+const TRANSIENT_REASONS = [
+  'rateLimitExceeded',
+  'jobRateLimitExceeded',
+  'backendError',
+  'internalError'
+];
+
+// HTTP status codes that indicate a transient failure
+const TRANSIENT_STATUS_CODES = [429, 500, 502, 503, 504];
+
+/**
+ * Error raised when an operation exceeds its deadline
+ */
+class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Check whether a BigQuery error is transient and can be retried
+ * @param {Error} error - The error thrown by the BigQuery client
+ * @returns {boolean} - Whether the error is transient
+ */
+function isTransientBigQueryError(error) {
+  if (!error || error instanceof TimeoutError) return false;
+
+  if (TRANSIENT_STATUS_CODES.includes(error.code)) return true;
+
+  const reasons = (error.errors || []).map(e => e.reason);
+  if (error.reason) reasons.push(error.reason);
+  if (reasons.some(reason => TRANSIENT_REASONS.includes(reason))) return true;
+
+  // Some client errors only carry the reason in the message
+  return TRANSIENT_REASONS.some(reason => (error.message || '').includes(reason));
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a function, retrying transient failures with exponential backoff
+ * @param {Function} fn - Async function to run, called with the attempt number
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.retries] - Maximum number of retries after the first attempt
+ * @param {number} [options.baseDelayMs] - Delay before the first retry, doubled each time
+ * @param {number} [options.maxDelayMs] - Upper bound for a single delay
+ * @param {Function} [options.isRetryable] - Predicate deciding whether an error is retried
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delayMs) before each retry
+ * @returns {Promise<*>} - The result of the function
+ */
+async function retryWithBackoff(fn, options = {}) {
+  const {
+    retries = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    isRetryable = isTransientBigQueryError,
+    onRetry = () => {}
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      // Jitter keeps concurrent projects from retrying in lockstep
+      const delayMs = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1)) * (0.5 + Math.random() / 2);
+      onRetry(error, attempt, delayMs);
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Reject if a promise does not settle within the given time
+ * @param {Promise} promise - The promise to race
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} message - Message for the timeout error
+ * @returns {Promise<*>} - The result of the promise
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(message)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Map over items with at most `limit` workers running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in the same order as the items
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+module.exports = {
+  TimeoutError,
+  isTransientBigQueryError,
+  retryWithBackoff,
+  withTimeout,
+  mapWithConcurrency,
+  sleep
+};
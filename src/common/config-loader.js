@@ -4,49 +4,227 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const yaml = require('js-yaml');
 const { logger } = require('./logger');
+const { interpolateEnv } = require('./env-interpolation');
+const { validateSchema } = require('./json-schema');
+const { REGION_PATTERN } = require('./regions');
+const { validatePricing } = require('./pricing');
+const { validateAnomalySettings } = require('./anomalies');
+const { validateForecastSettings } = require('./forecasting');
+const { validateBudgets } = require('./budgets');
+const { validateNotifications } = require('./notifications');
+const { validateMetricsSettings } = require('./custom-metrics');
+const { validatePrometheusSettings } = require('./prometheus');
+const { validateLabelKeys } = require('./labels');
+const { validateTeams } = require('./teams');
+const { validateDigests } = require('./digests');
+const { validateAuth } = require('./auth');
+const { validateOrganizations } = require('./organizations');
+
+const CONFIG_DIR = path.join(__dirname, '../../config');
+
+// Default configuration files, tried in turn
+const CONFIG_FILE_NAMES = ['projects.json', 'projects.yaml', 'projects.yml'];
+
+// Published JSON Schema of the configuration file
+const CONFIG_SCHEMA_PATH = path.join(CONFIG_DIR, 'projects.schema.json');
+const CONFIG_SCHEMA = fs.readJsonSync(CONFIG_SCHEMA_PATH);
 
 // Default configuration values
 const DEFAULT_CONFIG = {
   projects: [],
+  organizations: [],
+  budgets: [],
+  teams: [],
+  notifications: { channels: [] },
+  digests: { subscriptions: [] },
+  // Without an auth block the dashboard server is open to anyone who can reach it
+  auth: { enabled: false, providers: [], roles: [] },
   settings: {
     historyDays: 30,
-    costPerTerabyte: 5.0,
     refreshInterval: 24
   }
 };
 
 /**
- * Load configuration from a file
- * @param {string} configPath - Path to the configuration file
+ * Error raised for a configuration file that can't be read, parsed or validated
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string[]} [errors] - Individual validation errors
+   */
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n- ${errors.join('\n- ')}` : message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check whether a configuration file is JSON rather than YAML
+ * @param {string} filePath - Configuration file
+ * @returns {boolean} - Whether the file is JSON
+ */
+function isJsonFile(filePath) {
+  return path.extname(filePath).toLowerCase() === '.json';
+}
+
+/**
+ * Resolve the configuration file to load
+ * @param {string} [configPath] - Explicitly requested path
+ * @returns {Object} - {path, explicit}; without an explicit path the first existing default file
+ */
+function resolveConfigPath(configPath) {
+  const requested = configPath || process.env.CONFIG_PATH;
+  if (requested) {
+    return { path: requested, explicit: true };
+  }
+
+  const candidates = CONFIG_FILE_NAMES.map(name => path.join(CONFIG_DIR, name));
+  return {
+    path: candidates.find(candidate => fs.existsSync(candidate)) || candidates[0],
+    explicit: false
+  };
+}
+
+/**
+ * Apply the default configuration to a parsed configuration
+ * @param {Object} config - Parsed configuration
+ * @returns {Object} - Configuration with all required properties
+ */
+function applyDefaults(config) {
+  return {
+    ...config,
+    projects: config.projects || DEFAULT_CONFIG.projects,
+    organizations: config.organizations || DEFAULT_CONFIG.organizations,
+    budgets: config.budgets || DEFAULT_CONFIG.budgets,
+    teams: config.teams || DEFAULT_CONFIG.teams,
+    notifications: config.notifications || DEFAULT_CONFIG.notifications,
+    digests: config.digests || DEFAULT_CONFIG.digests,
+    auth: config.auth ? { enabled: true, providers: [], roles: [], ...config.auth } : DEFAULT_CONFIG.auth,
+    settings: {
+      ...DEFAULT_CONFIG.settings,
+      ...(config.settings || {})
+    }
+  };
+}
+
+/**
+ * Parse the content of a configuration file, without interpolating it
+ * @param {string} content - File content
+ * @param {string} source - File the content was read from; a .json extension is parsed as JSON, anything else as YAML
+ * @returns {Object} - Parsed document
+ * @throws {ConfigError} - When the content can't be parsed or isn't an object
+ */
+function parseConfigContent(content, source) {
+  let parsed;
+  try {
+    // YAML is a superset of JSON, but JSON files get JSON's error messages
+    parsed = isJsonFile(source)
+      ? JSON.parse(content)
+      : yaml.load(content, { filename: source });
+  } catch (error) {
+    throw new ConfigError(`Failed to parse configuration ${source}: ${error.message}`);
+  }
+
+  // An empty YAML file parses to undefined
+  if (parsed === undefined || parsed === null) {
+    return {};
+  }
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ConfigError(`Invalid configuration ${source}`, ['config must be an object']);
+  }
+
+  return parsed;
+}
+
+/**
+ * Serialize a configuration document in the format of its file
+ * @param {Object} document - Configuration document
+ * @param {string} filePath - File it is written to; .json is written as JSON, anything else as YAML
+ * @returns {string} - File content
+ */
+function serializeConfig(document, filePath) {
+  return isJsonFile(filePath)
+    ? `${JSON.stringify(document, null, 2)}\n`
+    : yaml.dump(document, { noRefs: true, lineWidth: -1 });
+}
+
+/**
+ * Write a configuration file atomically, so readers never see a partial file
+ * @param {string} filePath - Configuration file
+ * @param {string} content - File content
+ */
+function writeConfigFile(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  fs.ensureDirSync(path.dirname(filePath));
+  fs.writeFileSync(tempPath, content);
+  fs.moveSync(tempPath, filePath, { overwrite: true });
+}
+
+/**
+ * Parse, interpolate and validate the content of a configuration file
+ * @param {string} content - File content
+ * @param {string} source - File the content was read from; a .json extension is parsed as JSON, anything else as YAML
+ * @param {Object} [env] - Environment variables for ${NAME} references
+ * @returns {Object} - Validated configuration with defaults applied
+ * @throws {ConfigError} - When the content can't be parsed or is invalid
+ */
+function parseConfig(content, source, env = process.env) {
+  const parsed = parseConfigContent(content, source);
+
+  let interpolated;
+  try {
+    interpolated = interpolateEnv(parsed, env, source);
+  } catch (error) {
+    throw new ConfigError(`Invalid configuration ${source}`, [error.message]);
+  }
+
+  const config = applyDefaults(interpolated);
+  const validation = validateConfig(config);
+  if (!validation.valid) {
+    throw new ConfigError(`Invalid configuration ${source}`, validation.errors);
+  }
+
+  return config;
+}
+
+/**
+ * Load configuration from a JSON or YAML file
+ * 
+ * Without an explicit path or CONFIG_PATH, config/projects.json, .yaml and
+ * .yml are tried in turn, and the defaults are used when none exists. Any
+ * other problem fails the load rather than monitoring nothing.
+ * @param {string} [configPath] - Path to the configuration file
+ * @param {Object} [env] - Environment variables for ${NAME} references
  * @returns {Object} - Loaded configuration with defaults applied
+ * @throws {ConfigError} - When the file is missing, can't be parsed or is invalid
  */
-function loadConfig(configPath) {
-  const resolvedPath = configPath || process.env.CONFIG_PATH || path.join(__dirname, '../../config/projects.json');
+function loadConfig(configPath, env = process.env) {
+  const { path: resolvedPath, explicit } = resolveConfigPath(configPath);
   
-  try {
-    // Check if file exists
-    if (!fs.existsSync(resolvedPath)) {
-      logger.warn(`Configuration file not found at ${resolvedPath}, using defaults`);
-      return DEFAULT_CONFIG;
+  if (!fs.existsSync(resolvedPath)) {
+    if (explicit) {
+      throw new ConfigError(`Configuration file not found at ${resolvedPath}`);
     }
-    
-    // Read and parse the configuration file
-    const config = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
-    logger.info(`Loaded configuration from ${resolvedPath}`);
-    
-    // Merge with defaults to ensure all required properties exist
-    return {
-      projects: config.projects || DEFAULT_CONFIG.projects,
-      settings: {
-        ...DEFAULT_CONFIG.settings,
-        ...(config.settings || {})
-      }
-    };
-  } catch (error) {
-    logger.error(`Failed to load configuration: ${error.message}`);
+    logger.warn(`Configuration file not found at ${resolvedPath}, using defaults`);
     return DEFAULT_CONFIG;
   }
+  
+  let content;
+  try {
+    content = fs.readFileSync(resolvedPath, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Failed to read configuration ${resolvedPath}: ${error.message}`);
+  }
+  
+  const config = parseConfig(content, resolvedPath, env);
+  logger.info(`Loaded configuration from ${resolvedPath}`);
+  
+  return config;
 }
 
 /**
@@ -55,6 +233,15 @@ function loadConfig(configPath) {
  * @returns {Object} - Validation result {valid: boolean, errors: string[]}
  */
 function validateConfig(config) {
+  // The semantic checks below assume the structure the schema describes
+  const schemaErrors = validateSchema(CONFIG_SCHEMA, config);
+  if (schemaErrors.length > 0) {
+    return {
+      valid: false,
+      errors: schemaErrors
+    };
+  }
+  
   const errors = [];
   
   // Check if projects array exists
@@ -62,16 +249,76 @@ function validateConfig(config) {
     errors.push('Configuration must contain a projects array');
   } else {
     // Validate each project
+    const ids = new Set();
     config.projects.forEach((project, index) => {
       if (!project.id) {
         errors.push(`Project at index ${index} is missing required 'id' field`);
+      } else if (ids.has(project.id)) {
+        errors.push(`Project at index ${index} has a duplicate id: ${project.id}`);
+      } else {
+        ids.add(project.id);
       }
       if (!project.name) {
         errors.push(`Project at index ${index} is missing required 'name' field`);
       }
+      if (project.regions !== undefined) {
+        if (!Array.isArray(project.regions) || project.regions.length === 0) {
+          errors.push(`Project at index ${index} has 'regions' that is not a non-empty array`);
+        } else {
+          project.regions.forEach(region => {
+            if (typeof region !== 'string' || !REGION_PATTERN.test(region.trim().toLowerCase())) {
+              errors.push(`Project at index ${index} has an invalid region: ${region}`);
+            }
+          });
+        }
+      }
+      if (project.pricing !== undefined) {
+        errors.push(...validatePricing(project.pricing, `Project at index ${index} pricing`));
+      }
+      if (project.anomalies !== undefined) {
+        errors.push(...validateAnomalySettings(project.anomalies, `Project at index ${index} anomalies`));
+      }
+      if (project.forecast !== undefined) {
+        errors.push(...validateForecastSettings(project.forecast, `Project at index ${index} forecast`));
+      }
+      if (project.collectStorage !== undefined && typeof project.collectStorage !== 'boolean') {
+        errors.push(`Project at index ${index} has 'collectStorage' that is not a boolean`);
+      }
+      if (project.collectJobs !== undefined && typeof project.collectJobs !== 'boolean') {
+        errors.push(`Project at index ${index} has 'collectJobs' that is not a boolean`);
+      }
+      if (project.labelKeys !== undefined) {
+        errors.push(...validateLabelKeys(project.labelKeys, `Project at index ${index} labelKeys`));
+      }
     });
   }
   
+  // Check organizations and folders
+  if (config.organizations !== undefined) {
+    errors.push(...validateOrganizations(config.organizations));
+    
+    (Array.isArray(config.organizations) ? config.organizations : []).forEach((entry, index) => {
+      if (entry.pricing !== undefined) {
+        errors.push(...validatePricing(entry.pricing, `Organization at index ${index} pricing`));
+      }
+      if (entry.anomalies !== undefined) {
+        errors.push(...validateAnomalySettings(entry.anomalies, `Organization at index ${index} anomalies`));
+      }
+      if (entry.forecast !== undefined) {
+        errors.push(...validateForecastSettings(entry.forecast, `Organization at index ${index} forecast`));
+      }
+      if (entry.labelKeys !== undefined) {
+        errors.push(...validateLabelKeys(entry.labelKeys, `Organization at index ${index} labelKeys`));
+      }
+    });
+  }
+  
+  // Projects found by organizations aren't known until they are collected,
+  // so references to projects can only be checked without organizations
+  const projectIds = Array.isArray(config.projects) && !(config.organizations && config.organizations.length > 0)
+    ? config.projects.map(project => project.id)
+    : undefined;
+  
   // Check settings
   if (!config.settings) {
     errors.push('Configuration is missing settings object');
@@ -87,10 +334,120 @@ function validateConfig(config) {
       errors.push('settings.costPerTerabyte must be a positive number');
     }
     
+    if (config.settings.pricing !== undefined) {
+      errors.push(...validatePricing(config.settings.pricing, 'settings.pricing'));
+      
+      const regionPrices = config.settings.pricing && config.settings.pricing.regions;
+      if (regionPrices !== undefined) {
+        if (typeof regionPrices !== 'object' || regionPrices === null || Array.isArray(regionPrices)) {
+          errors.push('settings.pricing.regions must be an object keyed by region');
+        } else {
+          Object.entries(regionPrices).forEach(([region, prices]) => {
+            if (!prices || (prices.onDemandPerTiB !== undefined && 
+                (typeof prices.onDemandPerTiB !== 'number' || prices.onDemandPerTiB <= 0))) {
+              errors.push(`settings.pricing.regions.${region}.onDemandPerTiB must be a positive number`);
+            }
+            if (prices && prices.storage !== undefined) {
+              Object.entries(prices.storage || {}).forEach(([key, price]) => {
+                if (typeof price !== 'number' || price < 0) {
+                  errors.push(`settings.pricing.regions.${region}.storage.${key} must be a non-negative number`);
+                }
+              });
+            }
+          });
+        }
+      }
+    }
+    
     if (config.settings.refreshInterval !== undefined && 
         (typeof config.settings.refreshInterval !== 'number' || config.settings.refreshInterval <= 0)) {
       errors.push('settings.refreshInterval must be a positive number');
     }
+    
+    if (config.settings.concurrency !== undefined && 
+        (!Number.isInteger(config.settings.concurrency) || config.settings.concurrency <= 0)) {
+      errors.push('settings.concurrency must be a positive integer');
+    }
+    
+    if (config.settings.maxRetries !== undefined && 
+        (!Number.isInteger(config.settings.maxRetries) || config.settings.maxRetries < 0)) {
+      errors.push('settings.maxRetries must be a non-negative integer');
+    }
+    
+    if (config.settings.retryBaseDelayMs !== undefined && 
+        (typeof config.settings.retryBaseDelayMs !== 'number' || config.settings.retryBaseDelayMs <= 0)) {
+      errors.push('settings.retryBaseDelayMs must be a positive number');
+    }
+    
+    if (config.settings.projectTimeoutSeconds !== undefined && 
+        (typeof config.settings.projectTimeoutSeconds !== 'number' || config.settings.projectTimeoutSeconds <= 0)) {
+      errors.push('settings.projectTimeoutSeconds must be a positive number');
+    }
+    
+    if (config.settings.collectStorage !== undefined && typeof config.settings.collectStorage !== 'boolean') {
+      errors.push('settings.collectStorage must be a boolean');
+    }
+    
+    if (config.settings.collectJobs !== undefined && typeof config.settings.collectJobs !== 'boolean') {
+      errors.push('settings.collectJobs must be a boolean');
+    }
+    
+    if (config.settings.jobRetentionDays !== undefined && 
+        (!Number.isInteger(config.settings.jobRetentionDays) || config.settings.jobRetentionDays <= 0)) {
+      errors.push('settings.jobRetentionDays must be a positive integer');
+    }
+    
+    if (config.settings.localConfigApi !== undefined && typeof config.settings.localConfigApi !== 'boolean') {
+      errors.push('settings.localConfigApi must be a boolean');
+    }
+    
+    if (config.settings.anomalies !== undefined) {
+      errors.push(...validateAnomalySettings(config.settings.anomalies, 'settings.anomalies'));
+    }
+    
+    if (config.settings.forecast !== undefined) {
+      errors.push(...validateForecastSettings(config.settings.forecast, 'settings.forecast'));
+    }
+    
+    if (config.settings.metrics !== undefined) {
+      errors.push(...validateMetricsSettings(config.settings.metrics, 'settings.metrics'));
+    }
+    
+    if (config.settings.prometheus !== undefined) {
+      errors.push(...validatePrometheusSettings(config.settings.prometheus, 'settings.prometheus'));
+    }
+    
+    if (config.settings.labelKeys !== undefined) {
+      errors.push(...validateLabelKeys(config.settings.labelKeys, 'settings.labelKeys'));
+    }
+  }
+  
+  // Check budgets
+  if (config.budgets !== undefined) {
+    const teamNames = Array.isArray(config.teams) ? config.teams.map(team => team.name) : [];
+    errors.push(...validateBudgets(config.budgets, projectIds, teamNames));
+  }
+  
+  // Check teams
+  if (config.teams !== undefined) {
+    errors.push(...validateTeams(config.teams));
+  }
+  
+  // Check notifications
+  if (config.notifications !== undefined) {
+    errors.push(...validateNotifications(config.notifications));
+  }
+  
+  // Check digests
+  if (config.digests !== undefined) {
+    const teamNames = Array.isArray(config.teams) ? config.teams.map(team => team.name) : [];
+    errors.push(...validateDigests(config.digests, projectIds, teamNames));
+  }
+  
+  // Check auth
+  if (config.auth !== undefined) {
+    const teamNames = Array.isArray(config.teams) ? config.teams.map(team => team.name) : [];
+    errors.push(...validateAuth(config.auth, projectIds, teamNames));
   }
   
   return {
@@ -100,13 +457,13 @@ function validateConfig(config) {
 }
 
 /**
- * Save configuration to a file
+ * Save configuration to a JSON or YAML file
  * @param {Object} config - Configuration to save
- * @param {string} configPath - Path to save the configuration to
+ * @param {string} [configPath] - Path to save the configuration to, by default the file loadConfig reads
  * @returns {boolean} - Whether the save was successful
  */
 function saveConfig(config, configPath) {
-  const resolvedPath = configPath || process.env.CONFIG_PATH || path.join(__dirname, '../../config/projects.json');
+  const resolvedPath = resolveConfigPath(configPath).path;
   
   try {
     // Validate configuration before saving
@@ -116,11 +473,8 @@ function saveConfig(config, configPath) {
       return false;
     }
     
-    // Ensure directory exists
-    fs.ensureDirSync(path.dirname(resolvedPath));
-    
-    // Write configuration to file
-    fs.writeJsonSync(resolvedPath, config, { spaces: 2 });
+    // Write configuration to file, in the format its extension asks for
+    writeConfigFile(resolvedPath, serializeConfig(config, resolvedPath));
     logger.info(`Saved configuration to ${resolvedPath}`);
     return true;
   } catch (error) {
@@ -131,7 +485,14 @@ function saveConfig(config, configPath) {
 
 module.exports = {
   loadConfig,
+  parseConfig,
+  parseConfigContent,
+  serializeConfig,
+  writeConfigFile,
   validateConfig,
   saveConfig,
+  resolveConfigPath,
+  ConfigError,
+  CONFIG_SCHEMA,
   DEFAULT_CONFIG
 };
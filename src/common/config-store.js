@@ -0,0 +1,331 @@
+/**
+ * Configuration changes and revision history for BigQuery Cost Monitor
+ *
+ * Changes are applied to the configuration file as written, before
+ * ${NAME} references are interpolated, so references and values that come
+ * from the environment stay out of the file. Every change is validated
+ * like a loaded configuration, written atomically and recorded as a
+ * revision holding the complete file:
+ *
+ *   <revisions>/<revisionId>.json
+ *
+ * Revision IDs start with the UTC time of the change, so they sort
+ * chronologically. The file as it was before the first recorded change is
+ * kept as an initial revision, so every change can be rolled back.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment');
+const { logger } = require('./logger');
+const {
+  parseConfig,
+  parseConfigContent,
+  serializeConfig,
+  writeConfigFile,
+  resolveConfigPath
+} = require('./config-loader');
+
+// Default location of the configuration revisions
+const DEFAULT_REVISIONS_PATH = path.join(__dirname, '../../output/config-revisions');
+
+// Changes can follow each other quickly, so revision IDs go down to the millisecond
+const REVISION_ID_PATTERN = /^\d{8}T\d{9}Z-[0-9a-f]{6}$/;
+
+/**
+ * Error raised when the configuration changed since the caller read it
+ */
+class ConfigConflictError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} etag - Current version of the configuration file
+   */
+  constructor(message, etag) {
+    super(message);
+    this.name = 'ConfigConflictError';
+    this.etag = etag;
+  }
+}
+
+/**
+ * Resolve the directory of the configuration revisions
+ * @param {string} [revisionsPath] - Explicit revisions directory
+ * @returns {string} - Revisions directory
+ */
+function resolveRevisionsPath(revisionsPath) {
+  return revisionsPath || process.env.CONFIG_REVISIONS_PATH || DEFAULT_REVISIONS_PATH;
+}
+
+/**
+ * Create a new revision ID
+ * @param {Date} [createdAt] - When the revision was made
+ * @returns {string} - Revision ID, e.g. 20240131T060000123Z-1a2b3c
+ */
+function createRevisionId(createdAt = new Date()) {
+  return `${moment.utc(createdAt).format('YYYYMMDD[T]HHmmssSSS[Z]')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Check whether a string is a well-formed revision ID
+ * @param {string} revisionId - Candidate revision ID
+ * @returns {boolean} - Whether it is a revision ID
+ */
+function isRevisionId(revisionId) {
+  return typeof revisionId === 'string' && REVISION_ID_PATTERN.test(revisionId);
+}
+
+/**
+ * Compute the version of a configuration file's content
+ * @param {string} content - File content
+ * @returns {string} - Version, used as the ETag of the configuration
+ */
+function contentVersion(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').substring(0, 32);
+}
+
+/**
+ * Read the configuration file without parsing it
+ * @param {string} [configPath] - Configuration file, by default the one loadConfig reads
+ * @returns {Object} - {path, exists, content, etag}
+ */
+function readConfigFile(configPath) {
+  const filePath = resolveConfigPath(configPath).path;
+  const exists = fs.existsSync(filePath);
+  const content = exists ? fs.readFileSync(filePath, 'utf8') : '';
+
+  return {
+    path: filePath,
+    exists,
+    content,
+    etag: contentVersion(content)
+  };
+}
+
+/**
+ * Read the configuration file without interpolating it
+ * @param {string} [configPath] - Configuration file, by default the one loadConfig reads
+ * @returns {Object} - {path, exists, content, document, etag}
+ * @throws {ConfigError} - When the file can't be parsed
+ */
+function readConfigDocument(configPath) {
+  const file = readConfigFile(configPath);
+
+  return {
+    ...file,
+    document: parseConfigContent(file.content, file.path)
+  };
+}
+
+/**
+ * Persist a configuration revision
+ * @param {Object} revision - Revision {revisionId, createdAt, author, action, summary, path, content}
+ * @param {string} [revisionsPath] - Revisions directory
+ * @returns {string} - Path of the revision file
+ */
+function saveRevision(revision, revisionsPath) {
+  const filePath = path.join(resolveRevisionsPath(revisionsPath), `${revision.revisionId}.json`);
+
+  fs.ensureDirSync(path.dirname(filePath));
+  fs.writeJsonSync(filePath, revision, { spaces: 2 });
+
+  return filePath;
+}
+
+/**
+ * Load a configuration revision
+ * @param {string} revisionId - The revision ID
+ * @param {string} [revisionsPath] - Revisions directory
+ * @returns {Object|null} - Revision, or null if there is no such revision
+ */
+function getRevision(revisionId, revisionsPath) {
+  if (!isRevisionId(revisionId)) {
+    return null;
+  }
+
+  const filePath = path.join(resolveRevisionsPath(revisionsPath), `${revisionId}.json`);
+
+  try {
+    return fs.existsSync(filePath) ? fs.readJsonSync(filePath) : null;
+  } catch (error) {
+    logger.warn(`Failed to read configuration revision ${revisionId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * List the IDs of the recorded revisions
+ * @param {string} [revisionsPath] - Revisions directory
+ * @returns {string[]} - Revision IDs, newest first
+ */
+function listRevisionIds(revisionsPath) {
+  const dir = resolveRevisionsPath(revisionsPath);
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .map(file => file.replace(/\.json$/, ''))
+    .filter(isRevisionId)
+    .sort()
+    .reverse();
+}
+
+/**
+ * List the recorded revisions, without their content
+ * @param {Object} [options] - Options {limit}
+ * @param {string} [revisionsPath] - Revisions directory
+ * @returns {Array} - Revisions {revisionId, createdAt, author, action, summary, etag}, newest first
+ */
+function listRevisions(options = {}, revisionsPath) {
+  const ids = listRevisionIds(revisionsPath);
+
+  return ids
+    .slice(0, options.limit || ids.length)
+    .map(revisionId => getRevision(revisionId, revisionsPath))
+    .filter(Boolean)
+    .map(({ content, ...revision }) => revision);
+}
+
+/**
+ * Apply a JSON merge patch (RFC 7396): objects are merged recursively and null removes a key
+ * @param {*} target - Value to patch
+ * @param {*} patch - Patch
+ * @returns {*} - Patched value
+ */
+function applyMergePatch(target, patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return patch;
+  }
+
+  const result = target && typeof target === 'object' && !Array.isArray(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Validate new content for the configuration file, write it and record it as a revision
+ * @param {Object} current - The file as read by readConfigFile
+ * @param {string} content - New file content
+ * @param {Object} options - Options for the change, as for updateConfig
+ * @returns {Object} - {config, document, etag, revision}
+ */
+function commitContent(current, content, options) {
+  if (options.ifMatch && options.ifMatch !== current.etag) {
+    throw new ConfigConflictError('The configuration has changed since it was read', current.etag);
+  }
+
+  // Validated exactly as the monitor and the dashboard will load it
+  const config = parseConfig(content, current.path, options.env);
+
+  // Keep the file as it was before the first recorded change
+  if (current.exists && listRevisionIds(options.revisionsPath).length === 0) {
+    const modifiedAt = fs.statSync(current.path).mtime;
+    saveRevision({
+      revisionId: createRevisionId(modifiedAt),
+      createdAt: modifiedAt.toISOString(),
+      author: null,
+      action: 'initial',
+      summary: 'Configuration before the first recorded change',
+      path: current.path,
+      etag: current.etag,
+      content: current.content
+    }, options.revisionsPath);
+  }
+
+  writeConfigFile(current.path, content);
+
+  const revision = {
+    revisionId: createRevisionId(),
+    createdAt: new Date().toISOString(),
+    author: options.author || null,
+    action: options.action || 'update',
+    summary: options.summary || null,
+    path: current.path,
+    etag: contentVersion(content),
+    content
+  };
+  saveRevision(revision, options.revisionsPath);
+
+  logger.info(`Configuration ${current.path} changed by ${revision.author || 'unknown'}: ${revision.summary || revision.action} (revision ${revision.revisionId})`);
+
+  const { content: written, ...details } = revision;
+  return {
+    config,
+    document: parseConfigContent(written, current.path),
+    etag: revision.etag,
+    revision: details
+  };
+}
+
+/**
+ * Apply a change to the configuration file
+ * @param {Function} change - Receives a copy of the file's document and returns the changed document
+ * @param {Object} [options] - Options for the change
+ * @param {string} [options.author] - Who made the change
+ * @param {string} [options.action] - What kind of change it is, e.g. project.update
+ * @param {string} [options.summary] - Description of the change
+ * @param {string} [options.ifMatch] - Version the change was made against; a different current version is a conflict
+ * @param {string} [options.configPath] - Configuration file
+ * @param {string} [options.revisionsPath] - Revisions directory
+ * @param {Object} [options.env] - Environment variables for ${NAME} references
+ * @returns {Object} - {config, document, etag, revision}; config is interpolated and has the defaults applied
+ * @throws {ConfigError} - When the changed configuration is invalid
+ * @throws {ConfigConflictError} - When the file changed since ifMatch
+ */
+function updateConfig(change, options = {}) {
+  const current = readConfigDocument(options.configPath);
+  const document = change(JSON.parse(JSON.stringify(current.document)));
+
+  return commitContent(current, serializeConfig(document, current.path), options);
+}
+
+/**
+ * Restore the configuration file as it was in a revision
+ * @param {string} revisionId - The revision ID
+ * @param {Object} [options] - Options for the change, as for updateConfig
+ * @returns {Object|null} - Result as for updateConfig, or null if there is no such revision
+ * @throws {ConfigError} - When the revision is no longer valid, e.g. for environment variables that are gone
+ * @throws {ConfigConflictError} - When the file changed since ifMatch
+ */
+function restoreRevision(revisionId, options = {}) {
+  const revision = getRevision(revisionId, options.revisionsPath);
+  if (!revision) {
+    return null;
+  }
+
+  // The current file may be broken, which is when a revision is most needed
+  const current = readConfigFile(options.configPath);
+
+  // The content is restored as it was, unless the file has since moved to another format
+  const content = revision.path === current.path
+    ? revision.content
+    : serializeConfig(parseConfigContent(revision.content, revision.path), current.path);
+
+  return commitContent(current, content, {
+    ...options,
+    action: 'restore',
+    summary: `Restored revision ${revisionId}`
+  });
+}
+
+module.exports = {
+  readConfigFile,
+  readConfigDocument,
+  updateConfig,
+  restoreRevision,
+  applyMergePatch,
+  getRevision,
+  listRevisions,
+  isRevisionId,
+  contentVersion,
+  ConfigConflictError
+};
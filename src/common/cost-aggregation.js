@@ -0,0 +1,552 @@
+/**
+ * Cost filtering and aggregation for BigQuery Cost Monitor
+ *
+ * Applies the filters and groupings accepted by /api/costs/:projectId to the
+ * daily cost rows, so viewers can fetch a pre-aggregated series instead of
+ * every row with its nested breakdowns.
+ *
+ * Date, user, dataset and label groups can additionally be split by the
+ * values of one of the collected label keys. Team and cost center groups use
+ * the rows' team assignment.
+ */
+
+const moment = require('moment');
+const { UNLABELLED, LABEL_KEY_PATTERN } = require('./labels');
+const { UNASSIGNED } = require('./teams');
+
+const GROUP_BY_DIMENSIONS = ['date', 'user', 'dataset', 'table', 'hour', 'label', 'team', 'costCenter'];
+
+// Dimensions that can be split by label value
+const LABEL_DIMENSIONS = ['date', 'user', 'dataset', 'label'];
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// Query parameters understood by parseCostQuery
+const COST_QUERY_PARAMS = ['from', 'to', 'user', 'serviceAccount', 'dataset', 'table', 'groupBy', 'labelKey'];
+
+/**
+ * Parse and validate cost query parameters
+ * @param {Object} query - Query string parameters
+ * @param {Object} [options] - Parsing options
+ * @param {string[]} [options.otherParams] - Other parameters the endpoint accepts; when given, any
+ *                                           parameter that is neither one of them nor a cost parameter is an error
+ * @returns {Object} - {filters: {from, to, user, serviceAccount, dataset, table}, groupBy, labelKey, errors}
+ */
+function parseCostQuery(query = {}, options = {}) {
+  const errors = [];
+  const filters = {};
+
+  if (options.otherParams) {
+    Object.keys(query)
+      .filter(key => !COST_QUERY_PARAMS.includes(key) && !options.otherParams.includes(key))
+      .forEach(key => errors.push(`Unknown parameter ${key}, expected one of: ${COST_QUERY_PARAMS.concat(options.otherParams).join(', ')}`));
+  }
+
+  ['from', 'to', 'groupBy', 'labelKey'].forEach(key => {
+    if (query[key] !== undefined && typeof query[key] !== 'string') {
+      errors.push(`${key} must be specified once`);
+    }
+  });
+
+  ['from', 'to'].forEach(key => {
+    if (query[key] === undefined || query[key] === '' || typeof query[key] !== 'string') return;
+
+    if (!moment(query[key], DATE_FORMAT, true).isValid()) {
+      errors.push(`${key} must be a date in ${DATE_FORMAT} format`);
+    } else {
+      filters[key] = query[key];
+    }
+  });
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    errors.push('from must not be after to');
+  }
+
+  ['user', 'serviceAccount', 'dataset', 'table'].forEach(key => {
+    if (query[key] === undefined || query[key] === '') return;
+
+    if (typeof query[key] !== 'string') {
+      errors.push(`${key} must be specified once`);
+    } else {
+      filters[key] = query[key];
+    }
+  });
+
+  const groupBy = query.groupBy || null;
+  if (typeof groupBy === 'string' && !GROUP_BY_DIMENSIONS.includes(groupBy)) {
+    errors.push(`groupBy must be one of: ${GROUP_BY_DIMENSIONS.join(', ')}`);
+  }
+
+  const labelKey = query.labelKey || null;
+  if (typeof labelKey === 'string') {
+    if (!LABEL_KEY_PATTERN.test(labelKey)) {
+      errors.push('labelKey must be a label key');
+    } else if (groupBy !== null && !LABEL_DIMENSIONS.includes(groupBy)) {
+      errors.push(`labelKey can only split groupBy ${LABEL_DIMENSIONS.join(', ')}`);
+    }
+
+    // Label costs aren't broken down by table
+    if (filters.table) {
+      errors.push('labelKey cannot be combined with a table filter');
+    }
+  }
+
+  if (groupBy === 'label' && labelKey === null) {
+    errors.push('groupBy label requires a labelKey');
+  }
+
+  return { filters, groupBy, labelKey, errors };
+}
+
+/**
+ * Check whether a fully qualified name matches a filter value
+ * @param {string} name - Qualified name, e.g. project.dataset or project.dataset.table
+ * @param {string} value - Filter value, either fully qualified or without the leading parts
+ * @returns {boolean} - Whether the name matches
+ */
+function matchesName(name, value) {
+  if (!name) return false;
+  return name === value || name.endsWith(`.${value}`);
+}
+
+/**
+ * Check whether a table cost entry matches a table filter
+ * @param {Object} table - Entry from a row's table_costs
+ * @param {string} value - Table filter
+ * @returns {boolean} - Whether the table matches
+ */
+function matchesTable(table, value) {
+  return matchesName(table.table_name, value) || table.table_id === value;
+}
+
+/**
+ * Filter cost rows
+ *
+ * Rows are kept when they match the user and service account filters and
+ * reference the dataset or table filters. For dataset and table filters the
+ * nested dataset_costs and table_costs are narrowed to the matching entries.
+ *
+ * @param {Array} rows - Daily cost rows
+ * @param {Object} filters - Filters from parseCostQuery
+ * @returns {Array} - Matching rows
+ */
+function filterCostRows(rows, filters = {}) {
+  const user = filters.user && filters.user.toLowerCase();
+  const serviceAccount = filters.serviceAccount && filters.serviceAccount.toLowerCase();
+
+  return rows.reduce((matched, row) => {
+    if (filters.from && row.date < filters.from) return matched;
+    if (filters.to && row.date > filters.to) return matched;
+    if (user && (row.user_email || '').toLowerCase() !== user) return matched;
+    if (serviceAccount && (row.service_account || '').toLowerCase() !== serviceAccount) return matched;
+
+    if (!filters.dataset && !filters.table) {
+      matched.push(row);
+      return matched;
+    }
+
+    let tableCosts = row.table_costs || [];
+    let datasetCosts = row.dataset_costs || [];
+
+    if (filters.dataset) {
+      datasetCosts = datasetCosts.filter(ds => matchesName(ds.dataset, filters.dataset));
+      tableCosts = tableCosts.filter(table => matchesName(table.dataset_name, filters.dataset));
+    }
+
+    if (filters.table) {
+      tableCosts = tableCosts.filter(table => matchesTable(table, filters.table));
+      const datasets = tableCosts.map(table => table.dataset_name);
+      datasetCosts = datasetCosts.filter(ds => datasets.includes(ds.dataset));
+    }
+
+    const referenced = filters.table ? tableCosts.length > 0 : datasetCosts.length > 0;
+    if (referenced) {
+      matched.push({ ...row, dataset_costs: datasetCosts, table_costs: tableCosts });
+    }
+
+    return matched;
+  }, []);
+}
+
+/**
+ * Get the cost and bytes a row contributes under the active filters
+ * @param {Object} row - Filtered cost row
+ * @param {Object} filters - Filters from parseCostQuery
+ * @returns {Object} - {query_count, total_bytes_processed, total_bytes_billed, estimated_cost_usd}
+ */
+function rowContribution(row, filters) {
+  // Dataset and table filters only count the cost attributed to them
+  if (filters.table || filters.dataset) {
+    const entries = filters.table ? row.table_costs : row.dataset_costs;
+    const costField = filters.table ? 'table_cost_usd' : 'dataset_cost_usd';
+
+    return {
+      query_count: entries.reduce((sum, entry) => sum + (entry.query_count || 0), 0),
+      total_bytes_processed: entries.reduce((sum, entry) => sum + (entry.bytes_processed || 0), 0),
+      total_bytes_billed: entries.reduce((sum, entry) => sum + (entry.bytes_billed || 0), 0),
+      estimated_cost_usd: entries.reduce((sum, entry) => sum + (entry[costField] || 0), 0)
+    };
+  }
+
+  return {
+    query_count: row.query_count || 0,
+    total_bytes_processed: row.total_bytes_processed || 0,
+    total_bytes_billed: row.total_bytes_billed || 0,
+    estimated_cost_usd: row.estimated_cost_usd || 0
+  };
+}
+
+/**
+ * Split a row's contribution between the values of a label key
+ *
+ * Each value gets its share of the row's label costs, so the values add up to
+ * the row's cost after the free tier. With a dataset filter each value only
+ * counts the cost it attributes to the matching datasets. Rows collected
+ * before the key was configured count as unlabelled.
+ *
+ * @param {Object} row - Filtered cost row
+ * @param {string} labelKey - Label key
+ * @param {Object} filters - Filters from parseCostQuery
+ * @returns {Array} - Contributions with a label_value
+ */
+function labelContributions(row, labelKey, filters) {
+  const entries = (row.label_costs || []).filter(entry => entry.label_key === labelKey);
+  const total = rowContribution(row, filters);
+
+  if (entries.length === 0) {
+    return [{ label_value: UNLABELLED, ...total }];
+  }
+
+  if (filters.dataset) {
+    return entries
+      .map(entry => ({
+        label_value: entry.label_value,
+        ...rowContribution({ dataset_costs: labelDatasetCosts(entry, filters) }, filters)
+      }))
+      .filter(contribution => contribution.query_count > 0);
+  }
+
+  const labelCost = entries.reduce((sum, entry) => sum + (entry.label_cost_usd || 0), 0);
+  const labelQueries = entries.reduce((sum, entry) => sum + (entry.query_count || 0), 0);
+
+  return entries.map(entry => {
+    const share = labelCost > 0
+      ? (entry.label_cost_usd || 0) / labelCost
+      : (labelQueries > 0 ? (entry.query_count || 0) / labelQueries : 1 / entries.length);
+
+    return {
+      label_value: entry.label_value,
+      query_count: entry.query_count || 0,
+      total_bytes_processed: total.total_bytes_processed * share,
+      total_bytes_billed: total.total_bytes_billed * share,
+      estimated_cost_usd: total.estimated_cost_usd * share
+    };
+  });
+}
+
+/**
+ * Get the dataset costs of a label value, narrowed to the dataset filter
+ * @param {Object} entry - Entry from a row's label_costs
+ * @param {Object} filters - Filters from parseCostQuery
+ * @returns {Array} - Dataset cost entries
+ */
+function labelDatasetCosts(entry, filters) {
+  const datasetCosts = entry.dataset_costs || [];
+  return filters.dataset
+    ? datasetCosts.filter(ds => matchesName(ds.dataset, filters.dataset))
+    : datasetCosts;
+}
+
+/**
+ * Get the dataset costs of a row per value of a label key
+ * @param {Object} row - Filtered cost row
+ * @param {string} labelKey - Label key
+ * @param {Object} filters - Filters from parseCostQuery
+ * @returns {Array} - Dataset cost entries with a label_value
+ */
+function labelDatasetContributions(row, labelKey, filters) {
+  const entries = (row.label_costs || []).filter(entry => entry.label_key === labelKey);
+
+  if (entries.length === 0) {
+    return (row.dataset_costs || []).map(ds => ({ ...ds, label_value: UNLABELLED }));
+  }
+
+  return entries.reduce((all, entry) => all.concat(
+    labelDatasetCosts(entry, filters).map(ds => ({ ...ds, label_value: entry.label_value }))
+  ), []);
+}
+
+/**
+ * Add metrics into a group, creating it on first use
+ * @param {Object} groups - Map of group key to group
+ * @param {string} key - Group key
+ * @param {Object} base - Dimension fields of a new group
+ * @param {Object} metrics - Metrics to add
+ */
+function addToGroup(groups, key, base, metrics) {
+  if (!groups[key]) {
+    groups[key] = { ...base, query_count: 0, total_bytes_processed: 0, total_bytes_billed: 0, estimated_cost_usd: 0 };
+  }
+
+  Object.entries(metrics).forEach(([field, value]) => {
+    groups[key][field] = (groups[key][field] || 0) + (value || 0);
+  });
+}
+
+/**
+ * Aggregate filtered cost rows along one dimension
+ *
+ * Dataset and table groups use the cost attributed to each dataset or table
+ * (before the free tier), and hour groups use the rows' hourly breakdown.
+ * Team and cost center groups split each row by its team_costs shares.
+ * With a label key, date, user and dataset groups are split by label value.
+ *
+ * @param {Array} rows - Rows from filterCostRows
+ * @param {string} groupBy - One of GROUP_BY_DIMENSIONS
+ * @param {Object} [filters] - Filters from parseCostQuery
+ * @param {string} [labelKey] - Label key to split groups by, required for label groups
+ * @returns {Array} - Groups, in time order for date and hour, otherwise by cost
+ */
+function groupCostRows(rows, groupBy, filters = {}, labelKey = null) {
+  if (labelKey) {
+    return sortGroups(groupCostRowsByLabel(rows, groupBy, filters, labelKey), groupBy);
+  }
+
+  const groups = {};
+
+  rows.forEach(row => {
+    switch (groupBy) {
+      case 'date':
+        addToGroup(groups, row.date, { date: row.date }, rowContribution(row, filters));
+        break;
+
+      case 'user': {
+        const principal = row.service_account || row.user_email || 'Unknown';
+        addToGroup(groups, principal, {
+          user: principal,
+          is_service_account: !!row.service_account
+        }, rowContribution(row, filters));
+        break;
+      }
+
+      case 'dataset':
+        (row.dataset_costs || []).forEach(ds => {
+          addToGroup(groups, ds.dataset, { dataset: ds.dataset }, {
+            query_count: ds.query_count,
+            total_bytes_processed: ds.bytes_processed,
+            total_bytes_billed: ds.bytes_billed,
+            estimated_cost_usd: ds.dataset_cost_usd,
+            rebuild_operations: ds.rebuild_operations
+          });
+        });
+        break;
+
+      case 'table':
+        (row.table_costs || []).forEach(table => {
+          addToGroup(groups, table.table_name, {
+            table_name: table.table_name,
+            table_id: table.table_id,
+            dataset: table.dataset_name
+          }, {
+            query_count: table.query_count,
+            total_bytes_processed: table.bytes_processed,
+            total_bytes_billed: table.bytes_billed,
+            estimated_cost_usd: table.table_cost_usd,
+            rebuild_cost_usd: table.rebuild_cost_usd,
+            incremental_cost_usd: table.incremental_cost_usd,
+            rebuild_count: table.rebuild_count
+          });
+        });
+        break;
+
+      case 'hour':
+        (row.hourly_breakdown || []).forEach(hour => {
+          addToGroup(groups, hour.hour_of_day, { hour: hour.hour_of_day }, {
+            query_count: hour.hourly_queries,
+            estimated_cost_usd: hour.hourly_cost
+          });
+        });
+        break;
+
+      case 'team':
+      case 'costCenter': {
+        const contribution = rowContribution(row, filters);
+        const teamCosts = row.team_costs || [{ team: UNASSIGNED, cost_center: null, share: 1 }];
+
+        teamCosts.forEach(entry => {
+          const base = groupBy === 'team'
+            ? { team: entry.team, cost_center: entry.cost_center }
+            : { cost_center: entry.cost_center || UNASSIGNED };
+
+          addToGroup(groups, groupBy === 'team' ? entry.team : base.cost_center, base, {
+            query_count: contribution.query_count * entry.share,
+            total_bytes_processed: contribution.total_bytes_processed * entry.share,
+            total_bytes_billed: contribution.total_bytes_billed * entry.share,
+            estimated_cost_usd: contribution.estimated_cost_usd * entry.share
+          });
+        });
+        break;
+      }
+
+      default:
+        throw new Error(`Unsupported groupBy: ${groupBy}`);
+    }
+  });
+
+  return sortGroups(groups, groupBy);
+}
+
+/**
+ * Aggregate filtered cost rows along one dimension and the values of a label key
+ * @param {Array} rows - Rows from filterCostRows
+ * @param {string} groupBy - date, user, dataset or label
+ * @param {Object} filters - Filters from parseCostQuery
+ * @param {string} labelKey - Label key
+ * @returns {Object} - Map of group key to group
+ */
+function groupCostRowsByLabel(rows, groupBy, filters, labelKey) {
+  const groups = {};
+
+  rows.forEach(row => {
+    if (groupBy === 'dataset') {
+      labelDatasetContributions(row, labelKey, filters).forEach(ds => {
+        addToGroup(groups, JSON.stringify([ds.dataset, ds.label_value]), {
+          dataset: ds.dataset,
+          label_key: labelKey,
+          label_value: ds.label_value
+        }, {
+          query_count: ds.query_count,
+          total_bytes_processed: ds.bytes_processed,
+          total_bytes_billed: ds.bytes_billed,
+          estimated_cost_usd: ds.dataset_cost_usd
+        });
+      });
+      return;
+    }
+
+    const principal = row.service_account || row.user_email || 'Unknown';
+
+    labelContributions(row, labelKey, filters).forEach(({ label_value: value, ...metrics }) => {
+      const base = { label_key: labelKey, label_value: value };
+
+      switch (groupBy) {
+        case 'date':
+          addToGroup(groups, JSON.stringify([row.date, value]), { date: row.date, ...base }, metrics);
+          break;
+
+        case 'user':
+          addToGroup(groups, JSON.stringify([principal, value]), {
+            user: principal,
+            is_service_account: !!row.service_account,
+            ...base
+          }, metrics);
+          break;
+
+        case 'label':
+          addToGroup(groups, value, base, metrics);
+          break;
+
+        default:
+          throw new Error(`Unsupported groupBy with a label key: ${groupBy}`);
+      }
+    });
+  });
+
+  return groups;
+}
+
+/**
+ * Round group costs and order the groups
+ * @param {Object} groups - Map of group key to group
+ * @param {string} groupBy - Dimension the groups were built along
+ * @returns {Array} - Groups, in time order for date and hour, otherwise by cost
+ */
+function sortGroups(groups, groupBy) {
+  const series = Object.values(groups).map(group => ({
+    ...group,
+    estimated_cost_usd: Math.round(group.estimated_cost_usd * 100) / 100
+  }));
+
+  if (groupBy === 'date') {
+    return series.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : b.estimated_cost_usd - a.estimated_cost_usd));
+  }
+
+  if (groupBy === 'hour') {
+    return series.sort((a, b) => a.hour - b.hour);
+  }
+
+  return series.sort((a, b) => b.estimated_cost_usd - a.estimated_cost_usd);
+}
+
+/**
+ * Compare the cost of groups between two sets of groups
+ * @param {Array} baseGroups - Groups from the base rows
+ * @param {Array} compareGroups - Groups from the compared rows
+ * @param {string} keyField - Field identifying a group
+ * @returns {Array} - Changed groups, largest absolute change first
+ */
+function diffGroups(baseGroups, compareGroups, keyField) {
+  const changes = {};
+
+  baseGroups.forEach(group => {
+    changes[group[keyField]] = { [keyField]: group[keyField], base_cost_usd: group.estimated_cost_usd, compare_cost_usd: 0 };
+  });
+
+  compareGroups.forEach(group => {
+    const key = group[keyField];
+    changes[key] = changes[key] || { [keyField]: key, base_cost_usd: 0 };
+    changes[key].compare_cost_usd = group.estimated_cost_usd;
+  });
+
+  return Object.values(changes)
+    .map(change => {
+      const delta = Math.round((change.compare_cost_usd - change.base_cost_usd) * 100) / 100;
+      let status = 'changed';
+      if (!baseGroups.some(group => group[keyField] === change[keyField])) status = 'added';
+      if (!compareGroups.some(group => group[keyField] === change[keyField])) status = 'removed';
+
+      return {
+        ...change,
+        change_usd: delta,
+        change_percent: change.base_cost_usd > 0 ? Math.round(delta / change.base_cost_usd * 1000) / 10 : null,
+        status
+      };
+    })
+    .filter(change => change.change_usd !== 0 || change.status !== 'changed')
+    .sort((a, b) => Math.abs(b.change_usd) - Math.abs(a.change_usd));
+}
+
+/**
+ * Compare two snapshots of the same cost history
+ * @param {Array} baseRows - Rows as of the base run, from filterCostRows
+ * @param {Array} compareRows - Rows as of the compared run, from filterCostRows
+ * @param {Object} [filters] - Filters from parseCostQuery
+ * @returns {Object} - {totals, users, datasets, tables}
+ */
+function diffCostRows(baseRows, compareRows, filters = {}) {
+  const total = rows => Math.round(groupCostRows(rows, 'date', filters)
+    .reduce((sum, group) => sum + group.estimated_cost_usd, 0) * 100) / 100;
+
+  const baseTotal = total(baseRows);
+  const compareTotal = total(compareRows);
+
+  return {
+    totals: {
+      base_cost_usd: baseTotal,
+      compare_cost_usd: compareTotal,
+      change_usd: Math.round((compareTotal - baseTotal) * 100) / 100
+    },
+    users: diffGroups(groupCostRows(baseRows, 'user', filters), groupCostRows(compareRows, 'user', filters), 'user'),
+    datasets: diffGroups(groupCostRows(baseRows, 'dataset', filters), groupCostRows(compareRows, 'dataset', filters), 'dataset'),
+    tables: diffGroups(groupCostRows(baseRows, 'table', filters), groupCostRows(compareRows, 'table', filters), 'table_name')
+  };
+}
+
+module.exports = {
+  parseCostQuery,
+  filterCostRows,
+  groupCostRows,
+  diffCostRows,
+  GROUP_BY_DIMENSIONS,
+  COST_QUERY_PARAMS
+};
@@ -0,0 +1,299 @@
+/**
+ * Cloud Monitoring custom metrics for BigQuery Cost Monitor
+ *
+ * After each run the cost collected so far today is written as custom time
+ * series: the estimated cost per project, per user or service account and per
+ * dataset, and the bytes billed per project. Alert policies can then put
+ * dollar thresholds on these metrics. Every function takes the Cloud
+ * Monitoring client as an argument, so it can be replaced by a stub.
+ */
+
+const moment = require('moment');
+
+const METRIC_PREFIX = 'custom.googleapis.com/bq_cost_monitor';
+
+const METRICS = {
+  projectCost: {
+    type: `${METRIC_PREFIX}/project/daily_cost_usd`,
+    displayName: 'BigQuery daily cost per project',
+    description: 'Estimated BigQuery query cost of the project so far today (UTC)',
+    valueType: 'DOUBLE',
+    unit: 'USD',
+    labels: ['project_id']
+  },
+  userCost: {
+    type: `${METRIC_PREFIX}/user/daily_cost_usd`,
+    displayName: 'BigQuery daily cost per user',
+    description: 'Estimated BigQuery query cost of a user or service account so far today (UTC)',
+    valueType: 'DOUBLE',
+    unit: 'USD',
+    labels: ['project_id', 'principal']
+  },
+  datasetCost: {
+    type: `${METRIC_PREFIX}/dataset/daily_cost_usd`,
+    displayName: 'BigQuery daily cost per dataset',
+    description: 'Estimated BigQuery query cost attributed to a dataset so far today (UTC)',
+    valueType: 'DOUBLE',
+    unit: 'USD',
+    labels: ['project_id', 'dataset']
+  },
+  bytesBilled: {
+    type: `${METRIC_PREFIX}/project/daily_bytes_billed`,
+    displayName: 'BigQuery daily bytes billed per project',
+    description: 'Bytes billed by BigQuery queries of the project so far today (UTC)',
+    valueType: 'INT64',
+    unit: 'By',
+    labels: ['project_id']
+  }
+};
+
+const LABEL_DESCRIPTIONS = {
+  project_id: 'Monitored BigQuery project',
+  principal: 'User email or service account',
+  dataset: 'Dataset, as project.dataset'
+};
+
+const DEFAULT_METRICS_SETTINGS = {
+  enabled: true,
+  // Project the time series are written to; by default each monitored project's own
+  project: null,
+  // Users and datasets beyond the most expensive ones are summed into "other"
+  maxUsers: 50,
+  maxDatasets: 50
+};
+
+// Cloud Monitoring accepts at most this many time series per request
+const MAX_SERIES_PER_REQUEST = 200;
+
+const OTHER_LABEL = 'other';
+
+/**
+ * Resolve the custom metrics settings
+ * @param {Object} settings - Global settings, optionally with a `metrics` block
+ * @returns {Object} - Effective metrics settings
+ */
+function resolveMetricsSettings(settings = {}) {
+  return {
+    ...DEFAULT_METRICS_SETTINGS,
+    ...(settings.metrics || {})
+  };
+}
+
+/**
+ * Sum costs by key, keeping the most expensive keys and folding the rest into "other"
+ * @param {Object} costs - Map of key to cost
+ * @param {number} limit - Number of keys to keep
+ * @returns {Object} - Map of key to cost
+ */
+function topCosts(costs, limit) {
+  const sorted = Object.entries(costs).sort((a, b) => b[1] - a[1]);
+  const kept = {};
+
+  sorted.slice(0, limit).forEach(([key, cost]) => {
+    kept[key] = cost;
+  });
+
+  const rest = sorted.slice(limit);
+  if (rest.length > 0) {
+    kept[OTHER_LABEL] = (kept[OTHER_LABEL] || 0) + rest.reduce((sum, [, cost]) => sum + cost, 0);
+  }
+
+  return kept;
+}
+
+/**
+ * Build one time series with a single point
+ * @param {Object} metric - Metric from METRICS
+ * @param {Object} labels - Metric labels
+ * @param {number} value - Point value
+ * @param {string} monitoringProjectId - Project the series is written to
+ * @param {Date} now - End time of the point
+ * @returns {Object} - Time series
+ */
+function buildSeries(metric, labels, value, monitoringProjectId, now) {
+  return {
+    metric: { type: metric.type, labels },
+    resource: { type: 'global', labels: { project_id: monitoringProjectId } },
+    points: [{
+      interval: { endTime: { seconds: Math.floor(now.getTime() / 1000) } },
+      value: metric.valueType === 'INT64'
+        ? { int64Value: Math.round(value) }
+        : { doubleValue: Math.round(value * 100) / 100 }
+    }]
+  };
+}
+
+/**
+ * Build the cost time series of a project for one day
+ * @param {string} projectId - Monitored project
+ * @param {Array} rows - Daily cost rows of the project
+ * @param {Object} [options] - Options
+ * @param {string} [options.date] - Day to publish (YYYY-MM-DD), defaults to today
+ * @param {string} [options.monitoringProjectId] - Project the series are written to, defaults to projectId
+ * @param {number} [options.maxUsers] - Users published individually
+ * @param {number} [options.maxDatasets] - Datasets published individually
+ * @param {Date} [options.now] - End time of the points
+ * @returns {Array} - Time series
+ */
+function buildCostTimeSeries(projectId, rows, options = {}) {
+  const settings = { ...DEFAULT_METRICS_SETTINGS, ...options };
+  const date = options.date || moment.utc().format('YYYY-MM-DD');
+  const monitoringProjectId = options.monitoringProjectId || projectId;
+  const now = options.now || new Date();
+
+  let projectCost = 0;
+  let bytesBilled = 0;
+  const userCosts = {};
+  const datasetCosts = {};
+
+  rows.filter(row => row.date === date).forEach(row => {
+    const cost = row.estimated_cost_usd || 0;
+    const principal = row.service_account || row.user_email || 'Unknown';
+
+    projectCost += cost;
+    bytesBilled += row.total_bytes_billed || 0;
+    userCosts[principal] = (userCosts[principal] || 0) + cost;
+
+    (row.dataset_costs || []).forEach(ds => {
+      if (ds.dataset) {
+        datasetCosts[ds.dataset] = (datasetCosts[ds.dataset] || 0) + (ds.dataset_cost_usd || 0);
+      }
+    });
+  });
+
+  const series = [
+    buildSeries(METRICS.projectCost, { project_id: projectId }, projectCost, monitoringProjectId, now),
+    buildSeries(METRICS.bytesBilled, { project_id: projectId }, bytesBilled, monitoringProjectId, now)
+  ];
+
+  Object.entries(topCosts(userCosts, settings.maxUsers)).forEach(([principal, cost]) => {
+    series.push(buildSeries(METRICS.userCost, { project_id: projectId, principal }, cost, monitoringProjectId, now));
+  });
+
+  Object.entries(topCosts(datasetCosts, settings.maxDatasets)).forEach(([dataset, cost]) => {
+    series.push(buildSeries(METRICS.datasetCost, { project_id: projectId, dataset }, cost, monitoringProjectId, now));
+  });
+
+  return series;
+}
+
+/**
+ * Write time series to a project, in batches the API accepts
+ * @param {Object} client - Cloud Monitoring MetricServiceClient, or a stub with projectPath and createTimeSeries
+ * @param {string} monitoringProjectId - Project the series are written to
+ * @param {Array} timeSeries - Time series
+ * @returns {Promise<number>} - Number of series written
+ */
+async function writeTimeSeries(client, monitoringProjectId, timeSeries) {
+  for (let start = 0; start < timeSeries.length; start += MAX_SERIES_PER_REQUEST) {
+    await client.createTimeSeries({
+      name: client.projectPath(monitoringProjectId),
+      timeSeries: timeSeries.slice(start, start + MAX_SERIES_PER_REQUEST)
+    });
+  }
+
+  return timeSeries.length;
+}
+
+/**
+ * Create or update the descriptors of the custom metrics
+ *
+ * Cloud Monitoring creates descriptors on the first write, but alert policies
+ * can only refer to metrics that already exist, and this also sets their
+ * units and descriptions.
+ *
+ * @param {Object} client - Cloud Monitoring MetricServiceClient, or a stub with projectPath and createMetricDescriptor
+ * @param {string} monitoringProjectId - Project the metrics live in
+ * @returns {Promise<string[]>} - Metric types
+ */
+async function ensureMetricDescriptors(client, monitoringProjectId) {
+  for (const metric of Object.values(METRICS)) {
+    await client.createMetricDescriptor({
+      name: client.projectPath(monitoringProjectId),
+      metricDescriptor: {
+        type: metric.type,
+        displayName: metric.displayName,
+        description: metric.description,
+        metricKind: 'GAUGE',
+        valueType: metric.valueType,
+        unit: metric.unit,
+        labels: metric.labels.map(key => ({ key, valueType: 'STRING', description: LABEL_DESCRIPTIONS[key] }))
+      }
+    });
+  }
+
+  return Object.values(METRICS).map(metric => metric.type);
+}
+
+/**
+ * Publish the cost time series of several projects
+ * @param {string[]} projectIds - Monitored projects
+ * @param {Function} loadRows - Called with (projectId, date) to read a project's rows of a day
+ * @param {Object} client - Cloud Monitoring MetricServiceClient, or a stub
+ * @param {Object} [options] - Metrics settings from resolveMetricsSettings, plus date and now
+ * @returns {Promise<Object>} - {written, projects: {monitoringProjectId: series written}}
+ */
+async function publishCostMetrics(projectIds, loadRows, client, options = {}) {
+  const settings = { ...DEFAULT_METRICS_SETTINGS, ...options };
+  const date = options.date || moment.utc().format('YYYY-MM-DD');
+  const byMonitoringProject = {};
+
+  projectIds.forEach(projectId => {
+    const monitoringProjectId = settings.project || projectId;
+    const series = buildCostTimeSeries(projectId, loadRows(projectId, date), { ...settings, date, monitoringProjectId });
+
+    byMonitoringProject[monitoringProjectId] = (byMonitoringProject[monitoringProjectId] || []).concat(series);
+  });
+
+  const projects = {};
+  let written = 0;
+
+  for (const [monitoringProjectId, series] of Object.entries(byMonitoringProject)) {
+    projects[monitoringProjectId] = await writeTimeSeries(client, monitoringProjectId, series);
+    written += projects[monitoringProjectId];
+  }
+
+  return { written, projects };
+}
+
+/**
+ * Validate the metrics block of the settings
+ * @param {Object} metrics - Metrics block
+ * @param {string} label - Where the block lives, used in error messages
+ * @returns {string[]} - Validation errors
+ */
+function validateMetricsSettings(metrics, label) {
+  const errors = [];
+
+  if (typeof metrics !== 'object' || metrics === null || Array.isArray(metrics)) {
+    return [`${label} must be an object`];
+  }
+
+  if (metrics.enabled !== undefined && typeof metrics.enabled !== 'boolean') {
+    errors.push(`${label}.enabled must be a boolean`);
+  }
+
+  if (metrics.project !== undefined && metrics.project !== null &&
+      (typeof metrics.project !== 'string' || !/^[a-z0-9-]+$/.test(metrics.project))) {
+    errors.push(`${label}.project must be a project ID`);
+  }
+
+  ['maxUsers', 'maxDatasets'].forEach(key => {
+    if (metrics[key] !== undefined && (!Number.isInteger(metrics[key]) || metrics[key] < 0)) {
+      errors.push(`${label}.${key} must be a non-negative integer`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  buildCostTimeSeries,
+  writeTimeSeries,
+  ensureMetricDescriptors,
+  publishCostMetrics,
+  resolveMetricsSettings,
+  validateMetricsSettings,
+  METRICS,
+  DEFAULT_METRICS_SETTINGS
+};
@@ -0,0 +1,667 @@
+/**
+ * Cost digests for BigQuery Cost Monitor
+ *
+ * A digest summarizes a day or a week of cost for a subscription: the top
+ * spenders, the biggest movers compared with a week earlier, the most
+ * expensive queries, the cache hit rate and the status of the budgets that
+ * apply. Digests are rendered with pug templates, which can be overridden,
+ * and are either emailed over SMTP or written to disk.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const pug = require('pug');
+const moment = require('moment');
+const { logger } = require('./logger');
+const { sendMail } = require('./smtp-client');
+const { evaluateBudgets } = require('./budgets');
+const { assignTeamPieces, enrichRows } = require('./teams');
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+const DELIVERY_TYPES = ['smtp', 'file'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Built-in templates, also the base directory override templates can extend
+const BUILTIN_TEMPLATES_DIR = path.join(__dirname, '../templates/digests');
+
+// Default directory digests delivered as files are written to
+const DEFAULT_DIGESTS_PATH = path.join(__dirname, '../../output/digests');
+
+// Default location of the record of the periods already sent
+const DEFAULT_DIGESTS_STATE_PATH = path.join(__dirname, '../../output/digests/state.json');
+
+// Number of entries in the top spender, mover and query lists
+const DEFAULT_TOP_N = 10;
+
+// Queries are cut to this many characters
+const MAX_QUERY_LENGTH = 300;
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * Round a cost to cents
+ * @param {number} value - Cost in USD
+ * @returns {number} - Rounded cost
+ */
+function roundCost(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Format a cost for a digest
+ * @param {number} value - Cost in USD
+ * @returns {string} - Formatted cost
+ */
+function formatUsd(value) {
+  return `$${(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Format a number of bytes for a digest
+ * @param {number} bytes - Bytes
+ * @returns {string} - Formatted size
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'];
+  let value = bytes || 0;
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Format a rate for a digest
+ * @param {number|null} value - Rate in percent
+ * @returns {string} - Formatted rate
+ */
+function formatPercent(value) {
+  return value === null || value === undefined ? 'n/a' : `${value.toFixed(1)}%`;
+}
+
+/**
+ * Get the period a digest covers and the period it is compared with
+ *
+ * Both digests compare with the same days a week earlier, so weekly patterns
+ * don't show up as movers.
+ *
+ * @param {string} frequency - daily or weekly
+ * @param {string} date - Last day of the period (YYYY-MM-DD)
+ * @returns {Object} - {period: {start, end}, previous_period: {start, end}}
+ */
+function digestPeriod(frequency, date) {
+  const end = moment.utc(date, DATE_FORMAT);
+  const start = frequency === 'weekly' ? end.clone().subtract(6, 'days') : end.clone();
+
+  return {
+    period: { start: start.format(DATE_FORMAT), end: end.format(DATE_FORMAT) },
+    previous_period: {
+      start: start.clone().subtract(7, 'days').format(DATE_FORMAT),
+      end: end.clone().subtract(7, 'days').format(DATE_FORMAT)
+    }
+  };
+}
+
+/**
+ * Get the last complete day, the default end of a digest
+ * @param {Date} [now] - Current time
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+function lastCompleteDay(now = new Date()) {
+  return moment.utc(now).subtract(1, 'day').format(DATE_FORMAT);
+}
+
+/**
+ * Sum costs into a map
+ * @param {Object} totals - Map of key to {cost_usd, previous_cost_usd}
+ * @param {string} key - Key
+ * @param {string} field - cost_usd or previous_cost_usd
+ * @param {number} cost - Cost to add
+ */
+function addCost(totals, key, field, cost) {
+  if (!totals[key]) {
+    totals[key] = { cost_usd: 0, previous_cost_usd: 0 };
+  }
+  totals[key][field] += cost;
+}
+
+/**
+ * Build the content of a digest
+ *
+ * For subscriptions to teams only the cost assigned to those teams counts.
+ * Queries and cache hits can't be split, so they come from every row that
+ * has cost assigned to the teams.
+ *
+ * @param {Object} subscription - Subscription {name, frequency, projects, teams}
+ * @param {Object} rowsByProject - Map of project ID to its rows for the period and the previous period
+ * @param {Object} options - Digest options
+ * @param {string} options.date - Last day of the period (YYYY-MM-DD)
+ * @param {Object} options.mapping - Team mapping from compileTeamMapping
+ * @param {Array} [options.budgets] - Budget statuses to include
+ * @param {number} [options.topN] - Entries in the top lists
+ * @param {Date} [options.now] - Generation time
+ * @returns {Object} - Digest
+ */
+function buildDigest(subscription, rowsByProject, options) {
+  const topN = options.topN || DEFAULT_TOP_N;
+  const { period, previous_period: previousPeriod } = digestPeriod(subscription.frequency, options.date);
+  const teams = subscription.teams && subscription.teams.length > 0 ? subscription.teams : null;
+
+  const principals = {};
+  const datasets = {};
+  const totals = { cost_usd: 0, previous_cost_usd: 0 };
+  const cache = { cost_usd: { queries: 0, hits: 0 }, previous_cost_usd: { queries: 0, hits: 0 } };
+  const queries = [];
+
+  Object.entries(rowsByProject).forEach(([projectId, rows]) => {
+    rows.forEach(row => {
+      let field = null;
+      if (row.date >= period.start && row.date <= period.end) {
+        field = 'cost_usd';
+      } else if (row.date >= previousPeriod.start && row.date <= previousPeriod.end) {
+        field = 'previous_cost_usd';
+      }
+      if (!field) return;
+
+      const pieces = assignTeamPieces(row, options.mapping).filter(piece => !teams || teams.includes(piece.team));
+      if (pieces.length === 0) return;
+
+      const principal = row.service_account || row.user_email || 'Unknown';
+      pieces.forEach(piece => {
+        totals[field] += piece.cost_usd;
+        addCost(principals, principal, field, piece.cost_usd);
+        if (piece.dataset) {
+          addCost(datasets, piece.dataset, field, piece.cost_usd);
+        }
+      });
+
+      cache[field].queries += row.query_count || 0;
+      cache[field].hits += row.cache_hit_count || 0;
+
+      if (field === 'cost_usd') {
+        (row.recent_queries || []).forEach(query => {
+          queries.push({
+            job_id: query.job_id,
+            project: projectId,
+            principal,
+            date: row.date,
+            statement_type: query.statement_type,
+            cost_usd: roundCost(query.query_cost_usd || 0),
+            bytes_processed: query.total_bytes_processed || 0,
+            cache_hit: Boolean(query.cache_hit),
+            query_text: (query.query_text || '').length > MAX_QUERY_LENGTH
+              ? `${query.query_text.substring(0, MAX_QUERY_LENGTH)}...`
+              : (query.query_text || '')
+          });
+        });
+      }
+    });
+  });
+
+  const withChange = (name, entry) => ({
+    name,
+    cost_usd: roundCost(entry.cost_usd),
+    previous_cost_usd: roundCost(entry.previous_cost_usd),
+    change_usd: roundCost(entry.cost_usd - entry.previous_cost_usd),
+    change_percent: entry.previous_cost_usd > 0
+      ? Math.round((entry.cost_usd - entry.previous_cost_usd) / entry.previous_cost_usd * 1000) / 10
+      : null
+  });
+
+  const hitRate = stats => (stats.queries > 0 ? Math.round(stats.hits / stats.queries * 1000) / 10 : null);
+
+  const movers = [
+    ...Object.entries(principals).map(([name, entry]) => ({ kind: 'principal', ...withChange(name, entry) })),
+    ...Object.entries(datasets).map(([name, entry]) => ({ kind: 'dataset', ...withChange(name, entry) }))
+  ]
+    .filter(mover => mover.change_usd !== 0)
+    .sort((a, b) => Math.abs(b.change_usd) - Math.abs(a.change_usd))
+    .slice(0, topN);
+
+  const title = `${subscription.frequency === 'weekly' ? 'Weekly' : 'Daily'} BigQuery cost digest: ${subscription.name}`;
+
+  return {
+    subscription: subscription.name,
+    frequency: subscription.frequency,
+    title,
+    period,
+    previous_period: previousPeriod,
+    generated_at: (options.now || new Date()).toISOString(),
+    projects: Object.keys(rowsByProject),
+    teams,
+    total_usd: roundCost(totals.cost_usd),
+    previous_total_usd: roundCost(totals.previous_cost_usd),
+    change_usd: roundCost(totals.cost_usd - totals.previous_cost_usd),
+    change_percent: withChange('total', totals).change_percent,
+    query_count: cache.cost_usd.queries,
+    cache_hit_rate: hitRate(cache.cost_usd),
+    previous_cache_hit_rate: hitRate(cache.previous_cost_usd),
+    top_spenders: Object.entries(principals)
+      .map(([name, entry]) => {
+        const { name: principal, ...costs } = withChange(name, entry);
+        return { principal, ...costs };
+      })
+      .filter(spender => spender.cost_usd > 0)
+      .sort((a, b) => b.cost_usd - a.cost_usd)
+      .slice(0, topN),
+    movers,
+    top_queries: queries
+      .sort((a, b) => b.cost_usd - a.cost_usd || b.bytes_processed - a.bytes_processed)
+      .slice(0, topN),
+    budgets: options.budgets || []
+  };
+}
+
+/**
+ * Find the template of a digest
+ *
+ * A subscription's own template wins, then a template named after the
+ * frequency in the configured templates directory, then the built-in one.
+ *
+ * @param {Object} subscription - Subscription {frequency, template}
+ * @param {Object} digests - Digests configuration {templatesDir}
+ * @returns {string} - Template path
+ */
+function resolveTemplate(subscription, digests = {}) {
+  if (subscription.template) {
+    return path.resolve(subscription.template);
+  }
+
+  if (digests.templatesDir) {
+    const override = path.resolve(digests.templatesDir, `${subscription.frequency}.pug`);
+    if (fs.existsSync(override)) {
+      return override;
+    }
+  }
+
+  return path.join(BUILTIN_TEMPLATES_DIR, `${subscription.frequency}.pug`);
+}
+
+/**
+ * Render a digest as HTML
+ * @param {Object} digest - Digest from buildDigest
+ * @param {string} templatePath - Pug template
+ * @returns {string} - HTML document
+ */
+function renderDigestHtml(digest, templatePath) {
+  return pug.renderFile(templatePath, {
+    basedir: BUILTIN_TEMPLATES_DIR,
+    digest,
+    formatUsd,
+    formatBytes,
+    formatPercent
+  });
+}
+
+/**
+ * Render a digest as plain text, the alternative to the HTML in emails
+ * @param {Object} digest - Digest from buildDigest
+ * @returns {string} - Plain text
+ */
+function renderDigestText(digest) {
+  const signed = value => `${value < 0 ? '-' : '+'}${formatUsd(Math.abs(value))}`;
+  const lines = [
+    digest.title,
+    `${digest.period.start} to ${digest.period.end}, compared with ${digest.previous_period.start} to ${digest.previous_period.end}`,
+    '',
+    `Cost: ${formatUsd(digest.total_usd)} (${signed(digest.change_usd)})`,
+    `Queries: ${digest.query_count}, cache hit rate ${formatPercent(digest.cache_hit_rate)}`,
+    '',
+    'Top spenders:',
+    ...digest.top_spenders.map(spender => `- ${spender.principal}: ${formatUsd(spender.cost_usd)} (${signed(spender.change_usd)})`),
+    '',
+    'Biggest movers:',
+    ...digest.movers.map(mover => `- ${mover.kind} ${mover.name}: ${formatUsd(mover.previous_cost_usd)} -> ${formatUsd(mover.cost_usd)}`),
+    '',
+    'Most expensive queries:',
+    ...digest.top_queries.map(query => `- ${formatUsd(query.cost_usd)} ${query.principal} (${query.job_id})`),
+    '',
+    'Budgets:',
+    ...digest.budgets.map(budget => `- ${budget.name}: ${budget.percent_used}% of ${formatUsd(budget.amount_usd)}, ${budget.status}`)
+  ];
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Pick the budgets that apply to a subscription
+ *
+ * Subscriptions to teams get the budgets of those teams; others get the
+ * budgets of their projects and those across all projects.
+ *
+ * @param {Array} budgets - Budget definitions
+ * @param {Object} subscription - Subscription {projects, teams}
+ * @param {string[]} projectIds - Projects of the subscription
+ * @returns {Array} - Budget definitions
+ */
+function subscriptionBudgets(budgets, subscription, projectIds) {
+  if (subscription.teams && subscription.teams.length > 0) {
+    return (budgets || []).filter(budget => budget.scope === 'team' && subscription.teams.includes(budget.target));
+  }
+
+  return (budgets || []).filter(budget => !budget.project || projectIds.includes(budget.project));
+}
+
+/**
+ * Check whether a subscription is due on a day
+ * @param {Object} subscription - Subscription {frequency}
+ * @param {Object} digests - Digests configuration {weeklyDay}
+ * @param {Date} now - Current time
+ * @returns {boolean} - Whether a digest should go out
+ */
+function isDue(subscription, digests, now) {
+  if (subscription.frequency === 'daily') {
+    return true;
+  }
+
+  return WEEKDAYS[moment.utc(now).day()] === (digests.weeklyDay || 'monday');
+}
+
+/**
+ * Deliver a rendered digest
+ * @param {Object} subscription - Subscription {name, delivery, to}
+ * @param {Object} digest - Digest from buildDigest
+ * @param {Object} rendered - {html, text}
+ * @param {Object} digests - Digests configuration {smtp, from, outputDir}
+ * @returns {Promise<Object>} - Delivery {subscription, delivery, status, path|recipients}
+ */
+async function deliverDigest(subscription, digest, rendered, digests) {
+  const delivery = subscription.delivery || 'smtp';
+
+  if (delivery === 'file') {
+    const outputDir = digests.outputDir || process.env.DIGESTS_PATH || DEFAULT_DIGESTS_PATH;
+    const filePath = path.join(outputDir, `${subscription.name}_${digest.period.end}.html`);
+
+    fs.ensureDirSync(outputDir);
+    fs.writeFileSync(filePath, rendered.html);
+
+    logger.info(`Wrote ${subscription.frequency} digest ${subscription.name} to ${filePath}`);
+    return { subscription: subscription.name, delivery, status: 'sent', path: filePath };
+  }
+
+  await sendMail(digests.smtp, {
+    from: digests.from,
+    to: subscription.to,
+    subject: digest.title,
+    text: rendered.text,
+    html: rendered.html
+  });
+
+  logger.info(`Sent ${subscription.frequency} digest ${subscription.name} to ${subscription.to.join(', ')}`);
+  return { subscription: subscription.name, delivery, status: 'sent', recipients: subscription.to };
+}
+
+/**
+ * Record of the digest periods already sent, so reruns on the same day
+ * don't send a digest twice
+ */
+class DigestState {
+  /**
+   * @param {string|null} [statePath] - File to persist the record in, null to keep it in memory
+   */
+  constructor(statePath) {
+    this.statePath = statePath === undefined
+      ? (process.env.DIGESTS_STATE_PATH || DEFAULT_DIGESTS_STATE_PATH)
+      : statePath;
+    this.sent = {};
+
+    if (this.statePath && fs.existsSync(this.statePath)) {
+      try {
+        this.sent = fs.readJsonSync(this.statePath);
+      } catch (error) {
+        logger.warn(`Failed to read digest state from ${this.statePath}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Check whether a subscription's digest for a period was sent
+   * @param {string} name - Subscription name
+   * @param {string} periodEnd - Last day of the period
+   * @returns {boolean} - Whether it was sent
+   */
+  wasSent(name, periodEnd) {
+    return Boolean(this.sent[name] && this.sent[name] >= periodEnd);
+  }
+
+  /**
+   * Record a sent digest
+   * @param {string} name - Subscription name
+   * @param {string} periodEnd - Last day of the period
+   */
+  markSent(name, periodEnd) {
+    this.sent[name] = periodEnd;
+  }
+
+  /**
+   * Persist the record
+   */
+  save() {
+    if (!this.statePath) return;
+
+    try {
+      fs.ensureDirSync(path.dirname(this.statePath));
+      fs.writeJsonSync(this.statePath, this.sent, { spaces: 2 });
+    } catch (error) {
+      logger.warn(`Failed to save digest state to ${this.statePath}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Build, render and deliver digests
+ * @param {Object} config - Loaded configuration
+ * @param {Object} options - Send options
+ * @param {Function} options.loadRows - Called with (projectId, from, to) to read a project's rows
+ * @param {Object} options.mapping - Team mapping from compileTeamMapping
+ * @param {string[]} [options.projectIds] - Projects of subscriptions that don't name any, the configured ones by default
+ * @param {string} [options.date] - Last day of the digests, the last complete day by default
+ * @param {boolean} [options.due] - Only send subscriptions that are due and not sent yet
+ * @param {string} [options.frequency] - Only send subscriptions of this frequency
+ * @param {string} [options.subscription] - Only send this subscription
+ * @param {Object} [options.smtp] - SMTP options replacing the configured ones, e.g. a local sink
+ * @param {string} [options.outputDir] - Write every digest to this directory instead of delivering it
+ * @param {DigestState} [options.state] - Record of sent periods, used with `due`
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Array>} - Deliveries
+ */
+async function sendDigests(config, options) {
+  const digests = config.digests || {};
+  const now = options.now || new Date();
+  const date = options.date || lastCompleteDay(now);
+  const state = options.due ? (options.state || new DigestState()) : null;
+  const allProjectIds = options.projectIds || config.projects.map(project => project.id);
+
+  const subscriptions = (digests.subscriptions || []).filter(subscription =>
+    (!options.frequency || subscription.frequency === options.frequency) &&
+    (!options.subscription || subscription.name === options.subscription) &&
+    (!options.due || (isDue(subscription, digests, now) && !state.wasSent(subscription.name, date))));
+
+  if (options.subscription && subscriptions.length === 0 && !options.due) {
+    throw new Error(`Digest subscription not found: ${options.subscription}`);
+  }
+
+  const deliveries = [];
+
+  for (const subscription of subscriptions) {
+    try {
+      const projectIds = subscription.projects && subscription.projects.length > 0 ? subscription.projects : allProjectIds;
+      const { period, previous_period: previousPeriod } = digestPeriod(subscription.frequency, date);
+
+      const rowsByProject = {};
+      projectIds.forEach(projectId => {
+        rowsByProject[projectId] = options.loadRows(projectId, previousPeriod.start, period.end);
+      });
+
+      const budgets = evaluateBudgets(
+        subscriptionBudgets(config.budgets, subscription, projectIds),
+        (projectId, from) => enrichRows(options.loadRows(projectId, from, date), options.mapping),
+        { projectIds: allProjectIds, date }
+      );
+
+      const digest = buildDigest(subscription, rowsByProject, {
+        date,
+        mapping: options.mapping,
+        budgets,
+        topN: digests.topN,
+        now
+      });
+
+      const rendered = {
+        html: renderDigestHtml(digest, resolveTemplate(subscription, digests)),
+        text: renderDigestText(digest)
+      };
+
+      const target = options.outputDir
+        ? { ...subscription, delivery: 'file' }
+        : subscription;
+      const settings = {
+        ...digests,
+        ...(options.smtp ? { smtp: options.smtp } : {}),
+        ...(options.outputDir ? { outputDir: options.outputDir } : {})
+      };
+
+      deliveries.push(await deliverDigest(target, digest, rendered, settings));
+
+      if (state) {
+        state.markSent(subscription.name, date);
+      }
+    } catch (error) {
+      logger.error(`Failed to send digest ${subscription.name}: ${error.message}`);
+      deliveries.push({ subscription: subscription.name, status: 'failed', error: error.message });
+    }
+  }
+
+  if (state) {
+    state.save();
+  }
+
+  return deliveries;
+}
+
+/**
+ * Validate the digests section of the configuration
+ * @param {Object} digests - Digests configuration
+ * @param {string[]} [projectIds] - Configured project IDs
+ * @param {string[]} [teamNames] - Configured team names
+ * @returns {string[]} - Validation errors
+ */
+function validateDigests(digests, projectIds, teamNames = []) {
+  const errors = [];
+
+  if (typeof digests !== 'object' || digests === null || Array.isArray(digests)) {
+    return ['digests must be an object'];
+  }
+
+  if (digests.weeklyDay !== undefined && !WEEKDAYS.includes(digests.weeklyDay)) {
+    errors.push(`digests.weeklyDay must be one of: ${WEEKDAYS.join(', ')}`);
+  }
+  if (digests.topN !== undefined && (!Number.isInteger(digests.topN) || digests.topN <= 0)) {
+    errors.push('digests.topN must be a positive integer');
+  }
+  ['templatesDir', 'outputDir'].forEach(key => {
+    if (digests[key] !== undefined && (typeof digests[key] !== 'string' || digests[key] === '')) {
+      errors.push(`digests.${key} must be a non-empty string`);
+    }
+  });
+
+  if (!Array.isArray(digests.subscriptions)) {
+    errors.push('digests.subscriptions must be an array');
+    return errors;
+  }
+
+  const names = new Set();
+  let usesSmtp = false;
+
+  digests.subscriptions.forEach((subscription, index) => {
+    const label = `Digest subscription at index ${index}`;
+
+    if (typeof subscription !== 'object' || subscription === null) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!subscription.name || typeof subscription.name !== 'string') {
+      errors.push(`${label} is missing required 'name' field`);
+    } else if (!/^[A-Za-z0-9_.-]+$/.test(subscription.name)) {
+      errors.push(`${label} has a name that is not letters, digits, dots, dashes and underscores`);
+    } else if (names.has(subscription.name)) {
+      errors.push(`${label} has a duplicate name: ${subscription.name}`);
+    } else {
+      names.add(subscription.name);
+    }
+
+    if (!DIGEST_FREQUENCIES.includes(subscription.frequency)) {
+      errors.push(`${label} has an invalid frequency, must be one of: ${DIGEST_FREQUENCIES.join(', ')}`);
+    }
+
+    const delivery = subscription.delivery || 'smtp';
+    if (!DELIVERY_TYPES.includes(delivery)) {
+      errors.push(`${label} has an invalid delivery, must be one of: ${DELIVERY_TYPES.join(', ')}`);
+    }
+
+    if (delivery === 'smtp') {
+      usesSmtp = true;
+      if (!Array.isArray(subscription.to) || subscription.to.length === 0 ||
+          subscription.to.some(address => typeof address !== 'string' || !address.includes('@'))) {
+        errors.push(`${label} has 'to' that is not a list of email addresses`);
+      }
+    }
+
+    if (subscription.projects !== undefined) {
+      if (!Array.isArray(subscription.projects)) {
+        errors.push(`${label} has 'projects' that is not an array`);
+      } else if (projectIds) {
+        subscription.projects
+          .filter(projectId => !projectIds.includes(projectId))
+          .forEach(projectId => errors.push(`${label} references an unknown project: ${projectId}`));
+      }
+    }
+
+    if (subscription.teams !== undefined) {
+      if (!Array.isArray(subscription.teams)) {
+        errors.push(`${label} has 'teams' that is not an array`);
+      } else {
+        subscription.teams
+          .filter(team => !teamNames.includes(team) && team !== 'unassigned')
+          .forEach(team => errors.push(`${label} references an unknown team: ${team}`));
+      }
+    }
+
+    if (subscription.template !== undefined && (typeof subscription.template !== 'string' || subscription.template === '')) {
+      errors.push(`${label} has 'template' that is not a non-empty string`);
+    }
+  });
+
+  if (usesSmtp) {
+    if (typeof digests.smtp !== 'object' || digests.smtp === null || !digests.smtp.host || typeof digests.smtp.host !== 'string') {
+      errors.push('digests.smtp must be an object with a host for subscriptions delivered by email');
+    } else if (digests.smtp.port !== undefined && (!Number.isInteger(digests.smtp.port) || digests.smtp.port <= 0)) {
+      errors.push('digests.smtp.port must be a positive integer');
+    }
+    if (!digests.from || typeof digests.from !== 'string') {
+      errors.push('digests.from is required for subscriptions delivered by email');
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  buildDigest,
+  digestPeriod,
+  lastCompleteDay,
+  renderDigestHtml,
+  renderDigestText,
+  resolveTemplate,
+  sendDigests,
+  validateDigests,
+  DigestState,
+  DIGEST_FREQUENCIES
+};
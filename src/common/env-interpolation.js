@@ -0,0 +1,100 @@
+/**
+ * Environment variable interpolation for BigQuery Cost Monitor
+ *
+ * Replaces ${NAME} references in the strings of parsed configuration files,
+ * so secrets and per-environment values don't have to be committed. A
+ * reference can carry a default, ${NAME:-default}, used when the variable
+ * is unset or empty.
+ */
+
+const REFERENCE_PATTERN = /\$\{(\w+)(?::-([^}]*))?\}/g;
+
+/**
+ * Format the path of a value inside a parsed file
+ * @param {string} parent - Path of the containing value, empty for the root
+ * @param {string|number} key - Property name or array index
+ * @returns {string} - Path, e.g. digests.smtp.auth.pass or projects[0].id
+ */
+function childPath(parent, key) {
+  if (typeof key === 'number') {
+    return `${parent}[${key}]`;
+  }
+  if (!/^[A-Za-z_$][\w$-]*$/.test(key)) {
+    return `${parent}[${JSON.stringify(key)}]`;
+  }
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Replace ${NAME} references in the strings of a value with environment variables
+ * @param {*} value - Parsed file, or a part of it
+ * @param {Object} env - Environment variables
+ * @param {string} [source] - What the value was read from, used in errors
+ * @param {string} [valuePath] - Path of the value inside the file, used in errors
+ * @returns {*} - The value with references replaced
+ */
+function interpolateEnv(value, env, source = 'the configuration', valuePath = '') {
+  if (typeof value === 'string') {
+    return value.replace(REFERENCE_PATTERN, (match, name, fallback) => {
+      if (env[name] !== undefined && env[name] !== '') {
+        return env[name];
+      }
+      if (fallback !== undefined) {
+        return fallback;
+      }
+      if (env[name] === '') {
+        return '';
+      }
+      const location = valuePath ? ` (at ${valuePath})` : '';
+      throw new Error(`Environment variable ${name} referenced in ${source}${location} is not set`);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => interpolateEnv(item, env, source, childPath(valuePath, index)));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, interpolateEnv(item, env, source, childPath(valuePath, key))]));
+  }
+
+  return value;
+}
+
+/**
+ * Find the strings of a value with ${NAME} references that another value doesn't have at the same path
+ *
+ * Used to keep changes made through the config API from adding references,
+ * which would copy environment variables into values anyone can read.
+ *
+ * @param {*} value - Changed value
+ * @param {*} previous - Value before the change
+ * @param {string} [valuePath] - Path of the value, used in the result
+ * @returns {string[]} - Paths of the strings with new references
+ */
+function findAddedReferences(value, previous, valuePath = '') {
+  if (typeof value === 'string') {
+    const hasReference = new RegExp(REFERENCE_PATTERN.source).test(value);
+    return hasReference && value !== previous ? [valuePath] : [];
+  }
+
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) =>
+      findAddedReferences(item, Array.isArray(previous) ? previous[index] : undefined, childPath(valuePath, index)));
+  }
+
+  if (value && typeof value === 'object') {
+    const before = previous && typeof previous === 'object' ? previous : {};
+    return Object.entries(value).flatMap(([key, item]) =>
+      findAddedReferences(item, before[key], childPath(valuePath, key)));
+  }
+
+  return [];
+}
+
+module.exports = {
+  interpolateEnv,
+  findAddedReferences,
+  childPath
+};
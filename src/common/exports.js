@@ -0,0 +1,382 @@
+/**
+ * Table exports for BigQuery Cost Monitor
+ *
+ * Turns filtered cost rows into the flat tables behind the dashboard's
+ * tables and modals, so they can be downloaded as CSV, XLSX or JSON. Each
+ * view is a list of columns and a function building its records.
+ */
+
+const { groupCostRows } = require('./cost-aggregation');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const METRIC_COLUMNS = [
+  { key: 'query_count', header: 'Queries' },
+  { key: 'total_bytes_processed', header: 'Bytes Processed' },
+  { key: 'total_bytes_billed', header: 'Bytes Billed' },
+  { key: 'estimated_cost_usd', header: 'Cost (USD)' }
+];
+
+const LABEL_COLUMNS = [
+  { key: 'label_key', header: 'Label Key' },
+  { key: 'label_value', header: 'Label Value' }
+];
+
+// Values starting with these are taken as formulas by spreadsheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Aggregate rows by region, like the dashboard's region table
+ * @param {Array} rows - Filtered cost rows
+ * @returns {Array} - Records by cost
+ */
+function regionRecords(rows) {
+  const regions = {};
+
+  rows.forEach(row => {
+    const region = row.region || 'Unknown';
+    if (!regions[region]) {
+      regions[region] = { region, query_count: 0, total_bytes_processed: 0, total_bytes_billed: 0, estimated_cost_usd: 0 };
+    }
+
+    METRIC_COLUMNS.forEach(({ key }) => {
+      regions[region][key] += row[key] || 0;
+    });
+  });
+
+  return Object.values(regions).sort((a, b) => b.estimated_cost_usd - a.estimated_cost_usd);
+}
+
+/**
+ * Read a query timestamp, which BigQuery rows may hold as {value}
+ * @param {string|Object} value - Timestamp
+ * @returns {string|null} - ISO timestamp, or null when missing or invalid
+ */
+function queryTimestamp(value) {
+  const date = new Date(value && value.value !== undefined ? value.value : value);
+  return value && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+/**
+ * Aggregate recent queries by dataset and principal, like the dashboard's query table
+ * @param {Array} rows - Filtered cost rows
+ * @returns {Array} - Records, most recently queried first
+ */
+function queryRecords(rows) {
+  const summary = {};
+
+  const entry = (dataset, user, lastQueried) => {
+    const key = `${dataset}|${user}`;
+    if (!summary[key]) {
+      summary[key] = {
+        dataset,
+        user,
+        query_count: 0,
+        total_bytes_processed: 0,
+        cost_usd: 0,
+        cache_hit_count: 0,
+        error_count: 0,
+        last_queried: lastQueried
+      };
+    }
+    return summary[key];
+  };
+
+  rows.forEach(row => {
+    const user = row.service_account || row.user_email || 'Unknown';
+
+    if (Array.isArray(row.recent_queries)) {
+      row.recent_queries.forEach(query => {
+        const match = (query.query_text || '').match(/FROM\s+`?([a-zA-Z0-9_-]+\.[a-zA-Z0-9_-]+)`?/i);
+        const timestamp = queryTimestamp(query.timestamp) || row.date;
+        const record = entry(match ? match[1] : 'Unknown', user, timestamp);
+
+        record.query_count++;
+        record.total_bytes_processed += query.total_bytes_processed || 0;
+        record.cost_usd += query.query_cost_usd || 0;
+        record.cache_hit_count += query.cache_hit ? 1 : 0;
+        record.error_count += query.has_error ? 1 : 0;
+        if (timestamp > record.last_queried) {
+          record.last_queried = timestamp;
+        }
+      });
+    } else {
+      const record = entry('Unknown', user, row.date);
+      record.query_count += row.query_count || 0;
+      record.total_bytes_processed += row.total_bytes_processed || 0;
+      record.cost_usd += row.estimated_cost_usd || 0;
+      record.cache_hit_count += row.cache_hit_count || 0;
+      record.error_count += row.error_count || 0;
+    }
+  });
+
+  return Object.values(summary)
+    .map(record => ({
+      ...record,
+      cache_hit_percentage: record.query_count > 0 ? Math.round(record.cache_hit_count / record.query_count * 1000) / 10 : 0
+    }))
+    .sort((a, b) => (a.last_queried < b.last_queried ? 1 : a.last_queried > b.last_queried ? -1 : 0) ||
+      b.total_bytes_processed - a.total_bytes_processed);
+}
+
+/**
+ * Aggregate dataset costs by principal, like the dashboard's user-dataset modal
+ * @param {Array} rows - Filtered cost rows
+ * @returns {Array} - Records by cost
+ */
+function userDatasetRecords(rows) {
+  const entries = {};
+
+  rows.forEach(row => {
+    const user = row.service_account || row.user_email || 'Unknown';
+
+    (row.dataset_costs || []).forEach(ds => {
+      const key = `${user}|${ds.dataset}`;
+      if (!entries[key]) {
+        entries[key] = {
+          user,
+          is_service_account: !!row.service_account,
+          dataset: ds.dataset,
+          query_count: 0,
+          total_bytes_processed: 0,
+          estimated_cost_usd: 0
+        };
+      }
+
+      entries[key].query_count += ds.query_count || 0;
+      entries[key].total_bytes_processed += ds.bytes_processed || 0;
+      entries[key].estimated_cost_usd += ds.dataset_cost_usd || 0;
+    });
+  });
+
+  return Object.values(entries).sort((a, b) => b.estimated_cost_usd - a.estimated_cost_usd);
+}
+
+/**
+ * Build a view on a dimension of groupCostRows
+ * @param {string} groupBy - Dimension
+ * @param {string} title - Sheet title
+ * @param {Array} keyColumns - Columns identifying a group
+ * @param {Object} [options] - {labels: whether a label key splits the view, extraColumns}
+ * @returns {Object} - View
+ */
+function groupView(groupBy, title, keyColumns, options = {}) {
+  return {
+    title,
+    columns: labelKey => [
+      ...keyColumns,
+      ...(options.labels && labelKey ? LABEL_COLUMNS : []),
+      ...METRIC_COLUMNS,
+      ...(labelKey && options.labels ? [] : options.extraColumns || [])
+    ],
+    records: (rows, filters, labelKey) => groupCostRows(rows, groupBy, filters, options.labels ? labelKey : null)
+  };
+}
+
+// Views by name, in the order of the sheets of a full workbook
+const EXPORT_VIEWS = {
+  rows: {
+    title: 'Records',
+    columns: () => [
+      { key: 'date', header: 'Date' },
+      { key: 'region', header: 'Region' },
+      { key: 'user_email', header: 'User' },
+      { key: 'service_account', header: 'Service Account' },
+      { key: 'team', header: 'Team' },
+      { key: 'cost_center', header: 'Cost Center' },
+      { key: 'query_count', header: 'Queries' },
+      { key: 'cache_hit_count', header: 'Cache Hits' },
+      { key: 'error_count', header: 'Errors' },
+      { key: 'total_bytes_processed', header: 'Bytes Processed' },
+      { key: 'total_bytes_billed', header: 'Bytes Billed' },
+      { key: 'slot_hours', header: 'Slot Hours' },
+      { key: 'gross_cost_usd', header: 'Cost Before Free Tier (USD)' },
+      { key: 'estimated_cost_usd', header: 'Cost (USD)' }
+    ],
+    records: rows => rows
+  },
+  date: groupView('date', 'Daily', [{ key: 'date', header: 'Date' }], { labels: true }),
+  user: groupView('user', 'Users', [
+    { key: 'user', header: 'User/Service Account' },
+    { key: 'is_service_account', header: 'Service Account' }
+  ], { labels: true }),
+  dataset: groupView('dataset', 'Datasets', [{ key: 'dataset', header: 'Dataset' }], {
+    labels: true,
+    extraColumns: [{ key: 'rebuild_operations', header: 'Rebuild Operations' }]
+  }),
+  table: groupView('table', 'Tables', [
+    { key: 'table_id', header: 'Table' },
+    { key: 'dataset', header: 'Dataset' }
+  ], {
+    extraColumns: [
+      { key: 'rebuild_cost_usd', header: 'Rebuild Cost (USD)' },
+      { key: 'incremental_cost_usd', header: 'Incremental Cost (USD)' },
+      { key: 'rebuild_count', header: 'Rebuild Count' }
+    ]
+  }),
+  hour: groupView('hour', 'Hours', [{ key: 'hour', header: 'Hour (UTC)' }]),
+  label: groupView('label', 'Labels', [], { labels: true }),
+  team: groupView('team', 'Teams', [
+    { key: 'team', header: 'Team' },
+    { key: 'cost_center', header: 'Cost Center' }
+  ]),
+  costCenter: groupView('costCenter', 'Cost Centers', [{ key: 'cost_center', header: 'Cost Center' }]),
+  region: {
+    title: 'Regions',
+    columns: () => [{ key: 'region', header: 'Region' }, ...METRIC_COLUMNS],
+    records: rows => regionRecords(rows)
+  },
+  queries: {
+    title: 'Queries',
+    columns: () => [
+      { key: 'dataset', header: 'Dataset' },
+      { key: 'user', header: 'User/Service Account' },
+      { key: 'query_count', header: 'Queries' },
+      { key: 'total_bytes_processed', header: 'Bytes Processed' },
+      { key: 'cost_usd', header: 'Cost (USD)' },
+      { key: 'cache_hit_percentage', header: 'Cache Hit %' },
+      { key: 'error_count', header: 'Errors' },
+      { key: 'last_queried', header: 'Last Queried' }
+    ],
+    records: rows => queryRecords(rows)
+  },
+  userDataset: {
+    title: 'User-Dataset',
+    columns: () => [
+      { key: 'user', header: 'User/Service Account' },
+      { key: 'is_service_account', header: 'Service Account' },
+      { key: 'dataset', header: 'Dataset' },
+      { key: 'query_count', header: 'Queries' },
+      { key: 'total_bytes_processed', header: 'Bytes Processed' },
+      { key: 'estimated_cost_usd', header: 'Cost (USD)' }
+    ],
+    records: rows => userDatasetRecords(rows)
+  }
+};
+
+/**
+ * Parse and validate the export parameters
+ * @param {Object} query - Query string parameters
+ * @returns {Object} - {format, views, errors}
+ */
+function parseExportQuery(query = {}) {
+  const errors = [];
+  const format = query.format || 'csv';
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    errors.push(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  let views;
+  if (query.view === undefined || query.view === '') {
+    // A workbook has every breakdown; label groups only exist with a label key
+    views = format === 'xlsx'
+      ? Object.keys(EXPORT_VIEWS).filter(view => view !== 'label' || query.labelKey)
+      : ['rows'];
+  } else if (typeof query.view !== 'string') {
+    errors.push('view must be specified once');
+    views = [];
+  } else {
+    views = query.view.split(',').map(view => view.trim()).filter(Boolean);
+    views
+      .filter(view => !EXPORT_VIEWS[view])
+      .forEach(view => errors.push(`Unknown view ${view}, must be one of: ${Object.keys(EXPORT_VIEWS).join(', ')}`));
+
+    if (format !== 'xlsx' && views.length > 1) {
+      errors.push(`Only xlsx exports can contain more than one view`);
+    }
+  }
+
+  if (views.includes('label') && !query.labelKey) {
+    errors.push('view label requires a labelKey');
+  }
+
+  return { format, views, errors };
+}
+
+/**
+ * Build the flat records of a view
+ * @param {string} view - View name
+ * @param {Array} rows - Filtered cost rows
+ * @param {Object} filters - Filters from parseCostQuery
+ * @param {string|null} labelKey - Label key splitting the views that support it
+ * @returns {Object} - {title, columns, records}, records holding only the columns
+ */
+function buildExportTable(view, rows, filters, labelKey) {
+  const definition = EXPORT_VIEWS[view];
+  const columns = definition.columns(labelKey);
+
+  const records = definition.records(rows, filters, labelKey).map(record => {
+    const flat = {};
+    columns.forEach(({ key }) => {
+      flat[key] = record[key] === undefined ? null : record[key];
+    });
+    return flat;
+  });
+
+  return { title: definition.title, columns, records };
+}
+
+/**
+ * Quote a CSV field when needed
+ *
+ * Text that spreadsheets would read as a formula is prefixed with a quote.
+ *
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render the header line of a CSV export
+ * @param {Array} columns - Columns of the table
+ * @returns {string} - CSV line
+ */
+function csvHeader(columns) {
+  return `${columns.map(column => csvField(column.key)).join(',')}\n`;
+}
+
+/**
+ * Render a record as a CSV line
+ * @param {Object} record - Flat record
+ * @param {Array} columns - Columns of the table
+ * @returns {string} - CSV line
+ */
+function csvLine(record, columns) {
+  return `${columns.map(column => csvField(record[column.key])).join(',')}\n`;
+}
+
+/**
+ * Turn export tables into workbook sheets, one per view
+ * @param {Array} tables - Tables from buildExportTable
+ * @returns {Array} - Sheets {name, rows} for buildWorkbook
+ */
+function toSheets(tables) {
+  return tables.map(table => ({
+    name: table.title,
+    rows: [
+      table.columns.map(column => column.header),
+      ...table.records.map(record => table.columns.map(column => record[column.key]))
+    ]
+  }));
+}
+
+module.exports = {
+  parseExportQuery,
+  buildExportTable,
+  csvHeader,
+  csvLine,
+  toSheets,
+  EXPORT_VIEWS,
+  EXPORT_FORMATS
+};
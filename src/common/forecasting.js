@@ -0,0 +1,316 @@
+/**
+ * Month-end cost forecasting for BigQuery Cost Monitor
+ *
+ * Projects where a project's cost will land at the end of the month from its
+ * daily history: the month-to-date actuals plus an expected cost for each
+ * remaining day, taken from a rolling, weekday-aware baseline. The spread of
+ * the baseline days around their expected cost gives the confidence band.
+ */
+
+const moment = require('moment');
+
+const DEFAULT_FORECAST_SETTINGS = {
+  // Days before the forecast date that make up the baseline
+  baselineDays: 28,
+  // Probability that the month-end total lands within the band
+  confidence: 0.9
+};
+
+// Two-sided z-scores of the supported confidence levels
+const Z_SCORES = {
+  0.8: 1.2816,
+  0.9: 1.6449,
+  0.95: 1.96,
+  0.99: 2.5758
+};
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * Resolve the forecast settings for a project
+ * @param {Object} project - Project configuration, optionally with a `forecast` block
+ * @param {Object} settings - Global settings, optionally with a `forecast` block
+ * @returns {Object} - Effective forecast settings
+ */
+function resolveForecastSettings(project = {}, settings = {}) {
+  return {
+    ...DEFAULT_FORECAST_SETTINGS,
+    ...(settings.forecast || {}),
+    ...(project.forecast || {})
+  };
+}
+
+/**
+ * Round a USD amount to cents
+ * @param {number} value - Amount in USD
+ * @returns {number} - Rounded amount
+ */
+function roundCost(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Sum the billed and the pre-free-tier cost per date
+ * @param {Array} rows - Daily cost rows
+ * @returns {Object} - Map of date to {net, gross}
+ */
+function sumByDate(rows) {
+  const byDate = {};
+
+  rows.forEach(row => {
+    const day = byDate[row.date] = byDate[row.date] || { net: 0, gross: 0 };
+    day.net += row.estimated_cost_usd || 0;
+    day.gross += row.gross_cost_usd !== undefined ? row.gross_cost_usd : (row.estimated_cost_usd || 0);
+  });
+
+  return byDate;
+}
+
+/**
+ * Fit a weekday-aware baseline to the days before a date
+ *
+ * The level is the mean daily cost and each weekday with at least two baseline
+ * days gets its own factor, the others a factor of 1.
+ *
+ * @param {Object} dailyCosts - Map of date to cost
+ * @param {string} before - First date not included in the baseline
+ * @param {string} since - First date with history
+ * @param {number} baselineDays - Maximum number of baseline days
+ * @returns {Object|null} - {expected(date), sigma, days}, or null without history
+ */
+function fitBaseline(dailyCosts, before, since, baselineDays) {
+  const baseline = [];
+
+  for (let offset = 1; offset <= baselineDays; offset++) {
+    const day = moment.utc(before).subtract(offset, 'days');
+    const key = day.format(DATE_FORMAT);
+    if (key < since) break;
+
+    // Days without rows had no spend
+    baseline.push({ weekday: day.day(), cost: dailyCosts[key] || 0 });
+  }
+
+  if (baseline.length === 0) {
+    return null;
+  }
+
+  const mean = baseline.reduce((sum, day) => sum + day.cost, 0) / baseline.length;
+
+  const factors = {};
+  for (let weekday = 0; weekday < 7; weekday++) {
+    const sameWeekday = baseline.filter(day => day.weekday === weekday);
+    factors[weekday] = mean > 0 && sameWeekday.length >= 2
+      ? sameWeekday.reduce((sum, day) => sum + day.cost, 0) / sameWeekday.length / mean
+      : 1;
+  }
+
+  const residuals = baseline.map(day => day.cost - mean * factors[day.weekday]);
+  const sigma = baseline.length > 1
+    ? Math.sqrt(residuals.reduce((sum, residual) => sum + residual * residual, 0) / (baseline.length - 1))
+    : mean;
+
+  return {
+    expected: date => mean * factors[moment.utc(date).day()],
+    sigma,
+    days: baseline.length
+  };
+}
+
+/**
+ * Forecast the month-end cost of a project
+ *
+ * Days before the forecast date are actuals. The forecast date itself is
+ * usually only partly collected, so it counts as the larger of its actual and
+ * expected cost. The baseline uses the cost before the free tier, which is
+ * usually used up early in the month. The band assumes independent daily
+ * deviations plus the uncertainty of the baseline level.
+ *
+ * @param {Array} rows - Daily cost rows covering the month and the baseline before it
+ * @param {Object} [options] - Forecast settings from resolveForecastSettings
+ * @param {string} [options.date] - Date to forecast from (YYYY-MM-DD), defaults to today
+ * @returns {Object} - Forecast for the month of the date
+ */
+function forecastMonth(rows, options = {}) {
+  const settings = { ...DEFAULT_FORECAST_SETTINGS, ...options };
+  const today = options.date || moment.utc().format(DATE_FORMAT);
+  const monthStart = moment.utc(today).startOf('month');
+  const monthEnd = moment.utc(today).endOf('month');
+  const z = Z_SCORES[settings.confidence] || Z_SCORES[DEFAULT_FORECAST_SETTINGS.confidence];
+
+  const byDate = sumByDate(rows.filter(row => row.date <= monthEnd.format(DATE_FORMAT)));
+  const dates = Object.keys(byDate).sort();
+  const grossByDate = {};
+  dates.forEach(date => {
+    grossByDate[date] = byDate[date].gross;
+  });
+  const baseline = dates.length > 0 ? fitBaseline(grossByDate, today, dates[0], settings.baselineDays) : null;
+
+  const daily = [];
+  let monthToDate = 0;
+  let projectedRemaining = 0;
+  let remainingDays = 0;
+
+  for (let day = monthStart.clone(); day.isSameOrBefore(monthEnd, 'day'); day.add(1, 'days')) {
+    const date = day.format(DATE_FORMAT);
+    const actual = byDate[date] ? byDate[date].net : 0;
+
+    if (date < today) {
+      monthToDate += actual;
+      daily.push({ date, actual_cost_usd: roundCost(actual) });
+      continue;
+    }
+
+    const expected = baseline ? baseline.expected(date) : 0;
+    const projected = date === today ? Math.max(actual, expected) : expected;
+
+    remainingDays++;
+    projectedRemaining += projected;
+    daily.push({
+      date,
+      actual_cost_usd: date === today ? roundCost(actual) : null,
+      projected_cost_usd: roundCost(projected)
+    });
+  }
+
+  // Daily deviations add up in quadrature, the error in the level adds up linearly
+  const sigma = baseline ? baseline.sigma : 0;
+  const halfWidth = z * sigma * Math.sqrt(remainingDays + remainingDays * remainingDays / Math.max(baseline ? baseline.days : 1, 1));
+  const projectedTotal = monthToDate + projectedRemaining;
+
+  return {
+    month: monthStart.format('YYYY-MM'),
+    date: today,
+    days_in_month: monthEnd.date(),
+    days_elapsed: monthEnd.date() - remainingDays,
+    month_to_date_cost_usd: roundCost(monthToDate),
+    projected_cost_usd: roundCost(projectedTotal),
+    lower_bound_usd: roundCost(Math.max(monthToDate, projectedTotal - halfWidth)),
+    upper_bound_usd: roundCost(projectedTotal + halfWidth),
+    confidence: Z_SCORES[settings.confidence] ? settings.confidence : DEFAULT_FORECAST_SETTINGS.confidence,
+    baseline_days: baseline ? baseline.days : 0,
+    daily
+  };
+}
+
+/**
+ * Roll project forecasts for the same month up into one
+ *
+ * Projects are assumed to deviate independently, so the band half-widths
+ * above and below the projection add up in quadrature.
+ *
+ * @param {Array} forecasts - Forecasts from forecastMonth, each optionally with a `project`
+ * @returns {Object|null} - Combined forecast, or null without forecasts
+ */
+function rollupForecasts(forecasts) {
+  if (forecasts.length === 0) {
+    return null;
+  }
+
+  const sum = field => forecasts.reduce((total, forecast) => total + forecast[field], 0);
+  const quadrature = deltas => Math.sqrt(deltas.reduce((total, delta) => total + delta * delta, 0));
+
+  const monthToDate = sum('month_to_date_cost_usd');
+  const projected = sum('projected_cost_usd');
+  const below = quadrature(forecasts.map(forecast => forecast.projected_cost_usd - forecast.lower_bound_usd));
+  const above = quadrature(forecasts.map(forecast => forecast.upper_bound_usd - forecast.projected_cost_usd));
+
+  const daily = {};
+  forecasts.forEach(forecast => {
+    forecast.daily.forEach(day => {
+      const total = daily[day.date] = daily[day.date] || { date: day.date, actual_cost_usd: null };
+
+      if (day.actual_cost_usd !== null) {
+        total.actual_cost_usd = roundCost((total.actual_cost_usd || 0) + day.actual_cost_usd);
+      }
+      if (day.projected_cost_usd !== undefined) {
+        total.projected_cost_usd = roundCost((total.projected_cost_usd || 0) + day.projected_cost_usd);
+      }
+    });
+  });
+
+  const [first] = forecasts;
+
+  return {
+    month: first.month,
+    date: first.date,
+    days_in_month: first.days_in_month,
+    days_elapsed: first.days_elapsed,
+    month_to_date_cost_usd: roundCost(monthToDate),
+    projected_cost_usd: roundCost(projected),
+    lower_bound_usd: roundCost(Math.max(monthToDate, projected - below)),
+    upper_bound_usd: roundCost(projected + above),
+    confidence: first.confidence,
+    projects: forecasts.map(forecast => ({
+      project: forecast.project,
+      month_to_date_cost_usd: forecast.month_to_date_cost_usd,
+      projected_cost_usd: forecast.projected_cost_usd,
+      lower_bound_usd: forecast.lower_bound_usd,
+      upper_bound_usd: forecast.upper_bound_usd
+    })),
+    daily: Object.values(daily).sort((a, b) => (a.date < b.date ? -1 : 1))
+  };
+}
+
+/**
+ * Forecast the month-end cost of each team
+ *
+ * Teams are forecast from their own daily cost, so a team's weekly pattern
+ * isn't averaged away by the rest of its projects.
+ *
+ * @param {Array} teams - Entries {team, cost_center, rows} from splitRowsByTeam
+ * @param {Object} [options] - Forecast settings and date, as for forecastMonth
+ * @returns {Array} - Forecasts with the team and its cost center, largest projection first
+ */
+function forecastTeams(teams, options = {}) {
+  return teams
+    .map(({ team, cost_center, rows }) => ({ team, cost_center, ...forecastMonth(rows, options) }))
+    .sort((a, b) => b.projected_cost_usd - a.projected_cost_usd);
+}
+
+/**
+ * Get the first date of history a forecast needs
+ * @param {string} date - Date to forecast from (YYYY-MM-DD)
+ * @param {Object} settings - Forecast settings
+ * @returns {string} - First date to read (YYYY-MM-DD)
+ */
+function forecastHistoryStart(date, settings) {
+  const monthStart = moment.utc(date).startOf('month');
+  const baselineStart = moment.utc(date).subtract(settings.baselineDays, 'days');
+
+  return moment.min(monthStart, baselineStart).format(DATE_FORMAT);
+}
+
+/**
+ * Validate a forecast block from configuration
+ * @param {Object} forecast - Forecast block
+ * @param {string} label - Where the block lives, used in error messages
+ * @returns {string[]} - Validation errors
+ */
+function validateForecastSettings(forecast, label) {
+  const errors = [];
+
+  if (typeof forecast !== 'object' || forecast === null || Array.isArray(forecast)) {
+    return [`${label} must be an object`];
+  }
+
+  if (forecast.baselineDays !== undefined && (!Number.isInteger(forecast.baselineDays) || forecast.baselineDays <= 0)) {
+    errors.push(`${label}.baselineDays must be a positive integer`);
+  }
+
+  if (forecast.confidence !== undefined && !Z_SCORES[forecast.confidence]) {
+    errors.push(`${label}.confidence must be one of: ${Object.keys(Z_SCORES).join(', ')}`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  fitBaseline,
+  forecastMonth,
+  rollupForecasts,
+  forecastTeams,
+  forecastHistoryStart,
+  resolveForecastSettings,
+  validateForecastSettings,
+  DEFAULT_FORECAST_SETTINGS
+};
@@ -0,0 +1,391 @@
+/**
+ * Cost history store for BigQuery Cost Monitor
+ *
+ * An embedded, file-based store for the daily cost rows of every project.
+ * Rows are keyed by date, region, user and service account, and partitioned
+ * into one JSON file per project and month:
+ *
+ *   <store>/<projectId>/<YYYY-MM>.json
+ *
+ * Runs upsert into the store, so history accumulates beyond the collector's
+ * historyDays window and any date range can be read back without scanning
+ * the whole history. Each key keeps a version per run that changed it, up
+ * to a limit, so the history can also be read back as of an earlier run. A
+ * key that a run no longer finds gets a version without a row, so it stops
+ * counting from that run on.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Default location of the history store
+const DEFAULT_HISTORY_STORE_PATH = path.join(__dirname, '../../output/history');
+
+// Versions kept per key; reading as of a run older than the oldest one kept fails
+const DEFAULT_MAX_VERSIONS = parseInt(process.env.HISTORY_MAX_VERSIONS || '10', 10);
+
+const PARTITION_PATTERN = /^\d{4}-\d{2}\.json$/;
+
+// Returned for a key whose versions as of the requested run were dropped
+const TRUNCATED = Symbol('truncated');
+
+/**
+ * Error raised when the history is read as of a run whose versions are no longer kept
+ */
+class HistoryTruncatedError extends Error {
+  /**
+   * @param {string} projectId - The project ID
+   * @param {string} asOf - Run ID the history was read as of
+   */
+  constructor(projectId, asOf) {
+    super(`History of ${projectId} as of run ${asOf} is no longer retained`);
+    this.name = 'HistoryTruncatedError';
+    this.projectId = projectId;
+    this.asOf = asOf;
+  }
+}
+
+/**
+ * Resolve the directory of the history store
+ * @param {string} [storePath] - Explicit store directory
+ * @returns {string} - Store directory
+ */
+function resolveStorePath(storePath) {
+  return storePath || process.env.HISTORY_STORE_PATH || DEFAULT_HISTORY_STORE_PATH;
+}
+
+/**
+ * Build the key that identifies a row within a project
+ * @param {Object} row - Cost row
+ * @returns {string} - Row key
+ */
+function rowKey(row) {
+  return [row.date, row.region || '', row.user_email || '', row.service_account || ''].join('|');
+}
+
+/**
+ * Get the versions stored under a key
+ * @param {Object|undefined} entry - Partition entry
+ * @returns {Array} - Versions {runId, row}, oldest first
+ */
+function entryVersions(entry) {
+  if (!entry) return [];
+
+  // Entries written before runs were versioned hold the row itself
+  return Array.isArray(entry.versions) ? entry.versions : [{ runId: null, row: entry }];
+}
+
+/**
+ * Pick the version of a key that was current as of a run
+ * @param {Object|undefined} entry - Partition entry
+ * @param {string} [asOf] - Run ID, or undefined for the latest version
+ * @returns {Object|null|Symbol} - The row, null if it didn't exist yet or was removed, or
+ *                                 TRUNCATED if the versions as of the run were dropped
+ */
+function rowAsOf(entry, asOf) {
+  const versions = entryVersions(entry);
+
+  for (let i = versions.length - 1; i >= 0; i--) {
+    // Run IDs sort chronologically; unversioned rows predate every run
+    if (!asOf || versions[i].runId === null || versions[i].runId <= asOf) {
+      return versions[i].row;
+    }
+  }
+
+  // The versions of the older runs were dropped, so what the key held then is unknown
+  return entry && entry.truncated && versions.length > 0 ? TRUNCATED : null;
+}
+
+/**
+ * Add a version to a key, dropping the oldest ones past the limit
+ * @param {Object|undefined} entry - Partition entry
+ * @param {string|null} runId - Run writing the version
+ * @param {Object|null} row - The row, or null when the key was removed
+ * @param {number} maxVersions - Versions kept per key
+ * @returns {Object} - The new entry {versions, truncated}
+ */
+function addVersion(entry, runId, row, maxVersions) {
+  const versions = entryVersions(entry);
+  const current = versions.length > 0 ? versions[versions.length - 1] : null;
+
+  // A run that writes a key twice keeps only its last version
+  const previous = current && current.runId === runId && runId !== null ? versions.slice(0, -1) : versions;
+  const next = previous.concat([{ runId, row }]);
+  const truncated = !!(entry && entry.truncated) || next.length > maxVersions;
+
+  return truncated
+    ? { versions: next.slice(-maxVersions), truncated }
+    : { versions: next };
+}
+
+/**
+ * Get the directory holding a project's partitions
+ * @param {string} projectId - The project ID
+ * @param {string} [storePath] - Store directory
+ * @returns {string} - Project directory
+ */
+function projectDir(projectId, storePath) {
+  return path.join(resolveStorePath(storePath), encodeURIComponent(projectId));
+}
+
+/**
+ * Read a monthly partition
+ * @param {string} filePath - Partition file
+ * @returns {Object} - Map of row key to entry {versions}
+ */
+function readPartition(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      return {};
+    }
+
+    return fs.readJsonSync(filePath);
+  } catch (error) {
+    logger.warn(`Failed to read history partition ${filePath}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Write a monthly partition atomically, so readers never see a partial file
+ * @param {string} filePath - Partition file
+ * @param {Object} partition - Map of row key to entry {versions}
+ */
+function writePartition(filePath, partition) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  fs.ensureDirSync(path.dirname(filePath));
+  fs.writeJsonSync(tempPath, partition);
+  fs.moveSync(tempPath, filePath, { overwrite: true });
+}
+
+/**
+ * List the months stored for a project
+ * @param {string} projectId - The project ID
+ * @param {string} [storePath] - Store directory
+ * @returns {string[]} - Months (YYYY-MM) in ascending order
+ */
+function listMonths(projectId, storePath) {
+  const dir = projectDir(projectId, storePath);
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => PARTITION_PATTERN.test(file))
+    .map(file => file.replace('.json', ''))
+    .sort();
+}
+
+/**
+ * Insert or replace cost rows for a project
+ *
+ * A row that is identical to the stored one is left alone, otherwise it is
+ * added as a new version tagged with the run that wrote it. With
+ * `replaceFrom`, the rows are all there is from that date on, and stored
+ * keys from then on that aren't among them are removed.
+ *
+ * @param {string} projectId - The project ID
+ * @param {Array} rows - Cost rows, each with a YYYY-MM-DD `date`
+ * @param {Object} [options] - Upsert options
+ * @param {string} [options.runId] - Run writing the rows
+ * @param {string} [options.replaceFrom] - First date (YYYY-MM-DD) the rows replace completely
+ * @param {number} [options.maxVersions] - Versions kept per key
+ * @param {Function} [options.key] - Builds the key that identifies a row, starting with its date, for stores of other rows than costs
+ * @param {string} [storePath] - Store directory
+ * @returns {Object} - {inserted, updated, unchanged, deleted}
+ */
+function upsertRows(projectId, rows, options = {}, storePath) {
+  const runId = options.runId || null;
+  const { replaceFrom } = options;
+  const maxVersions = options.maxVersions || DEFAULT_MAX_VERSIONS;
+  const keyOf = options.key || rowKey;
+  const byMonth = {};
+  let inserted = 0;
+  let updated = 0;
+  let unchanged = 0;
+  let deleted = 0;
+
+  rows.forEach(row => {
+    const month = String(row.date).substring(0, 7);
+    (byMonth[month] = byMonth[month] || []).push(row);
+  });
+
+  // Months that only lost rows have to be visited as well
+  if (replaceFrom) {
+    listMonths(projectId, storePath)
+      .filter(month => month >= replaceFrom.substring(0, 7))
+      .forEach(month => {
+        byMonth[month] = byMonth[month] || [];
+      });
+  }
+
+  Object.entries(byMonth).forEach(([month, monthRows]) => {
+    const filePath = path.join(projectDir(projectId, storePath), `${month}.json`);
+    const partition = readPartition(filePath);
+    const written = new Set();
+
+    monthRows.forEach(row => {
+      const key = keyOf(row);
+      const current = rowAsOf(partition[key]);
+      written.add(key);
+
+      if (current && JSON.stringify(current) === JSON.stringify(row)) {
+        unchanged++;
+        return;
+      }
+
+      if (current) {
+        updated++;
+      } else {
+        inserted++;
+      }
+
+      partition[key] = addVersion(partition[key], runId, row, maxVersions);
+    });
+
+    if (replaceFrom) {
+      Object.keys(partition).forEach(key => {
+        const current = rowAsOf(partition[key]);
+        if (written.has(key) || !current || current.date < replaceFrom) return;
+
+        deleted++;
+        partition[key] = addVersion(partition[key], runId, null, maxVersions);
+      });
+    }
+
+    writePartition(filePath, partition);
+  });
+
+  return { inserted, updated, unchanged, deleted };
+}
+
+/**
+ * Read cost rows for a project
+ * @param {string} projectId - The project ID
+ * @param {Object} [range] - Optional date range
+ * @param {string} [range.from] - First date to include (YYYY-MM-DD)
+ * @param {string} [range.to] - Last date to include (YYYY-MM-DD)
+ * @param {string} [range.asOf] - Run ID to read the history as of
+ * @param {string} [storePath] - Store directory
+ * @returns {Array} - Rows ordered by date (newest first) and cost
+ * @throws {HistoryTruncatedError} - When a row in the range is no longer kept as of the run
+ */
+function queryRows(projectId, range = {}, storePath) {
+  const { from, to, asOf } = range;
+  const dir = projectDir(projectId, storePath);
+
+  // Only open the partitions that overlap the requested range
+  const months = listMonths(projectId, storePath).filter(month =>
+    (!from || month >= from.substring(0, 7)) &&
+    (!to || month <= to.substring(0, 7))
+  );
+
+  const rows = [];
+  months.forEach(month => {
+    const partition = readPartition(path.join(dir, `${month}.json`));
+
+    Object.entries(partition).forEach(([key, entry]) => {
+      const row = rowAsOf(entry, asOf);
+      if (row === TRUNCATED) {
+        // Keys start with the row's date, so only the dropped versions within the range count
+        const date = key.substring(0, 10);
+        if ((!from || date >= from) && (!to || date <= to)) {
+          throw new HistoryTruncatedError(projectId, asOf);
+        }
+        return;
+      }
+      if (row && (!from || row.date >= from) && (!to || row.date <= to)) {
+        rows.push(row);
+      }
+    });
+  });
+
+  return rows.sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? 1 : -1;
+    return (b.estimated_cost_usd || 0) - (a.estimated_cost_usd || 0);
+  });
+}
+
+/**
+ * Get the range of dates stored for a project
+ * @param {string} projectId - The project ID
+ * @param {string} [storePath] - Store directory
+ * @returns {Object|null} - {from, to} or null when nothing is stored
+ */
+function getDateRange(projectId, storePath) {
+  const months = listMonths(projectId, storePath);
+
+  if (months.length === 0) {
+    return null;
+  }
+
+  const dir = projectDir(projectId, storePath);
+  const datesIn = month => Object.values(readPartition(path.join(dir, `${month}.json`)))
+    .map(entry => rowAsOf(entry))
+    .filter(row => row)
+    .map(row => row.date)
+    .sort();
+
+  // Months whose rows were all removed don't count
+  const dates = [];
+  for (const month of months) {
+    dates.push(...datesIn(month));
+    if (dates.length > 0) break;
+  }
+  for (const month of months.slice().reverse()) {
+    const last = datesIn(month);
+    if (last.length > 0) {
+      dates.push(last[last.length - 1]);
+      break;
+    }
+  }
+
+  if (dates.length === 0) {
+    return null;
+  }
+
+  return { from: dates[0], to: dates[dates.length - 1] };
+}
+
+/**
+ * Check whether anything is stored for a project
+ * @param {string} projectId - The project ID
+ * @param {string} [storePath] - Store directory
+ * @returns {boolean} - Whether the project has stored history
+ */
+function hasHistory(projectId, storePath) {
+  return listMonths(projectId, storePath).length > 0;
+}
+
+/**
+ * List the projects with stored history
+ * @param {string} [storePath] - Store directory
+ * @returns {string[]} - Project IDs
+ */
+function listProjects(storePath) {
+  const dir = resolveStorePath(storePath);
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(name => fs.statSync(path.join(dir, name)).isDirectory())
+    .map(name => decodeURIComponent(name));
+}
+
+module.exports = {
+  upsertRows,
+  queryRows,
+  getDateRange,
+  hasHistory,
+  listMonths,
+  listProjects,
+  rowKey,
+  HistoryTruncatedError,
+  DEFAULT_HISTORY_STORE_PATH,
+  DEFAULT_MAX_VERSIONS
+};
@@ -0,0 +1,236 @@
+/**
+ * Job store for BigQuery Cost Monitor
+ *
+ * An embedded, file-based store for the individual query jobs collected
+ * when job-level collection is enabled. Jobs are keyed by job ID and
+ * partitioned into one JSON file per project and day of creation:
+ *
+ *   <store>/<projectId>/<YYYY-MM-DD>.json
+ *
+ * Jobs hold the complete query text, so they take far more space than the
+ * daily cost rows and are only kept for a limited number of days. Day
+ * partitions let whole days be dropped, and searches over a date range only
+ * open the days in it.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const moment = require('moment');
+const { logger } = require('./logger');
+
+// Default location of the job store
+const DEFAULT_JOB_STORE_PATH = path.join(__dirname, '../../output/jobs');
+
+// Default number of days jobs are kept for
+const DEFAULT_JOB_RETENTION_DAYS = 30;
+
+const PARTITION_PATTERN = /^\d{4}-\d{2}-\d{2}\.json$/;
+
+/**
+ * Build the key of the watermark that job collection resumes from
+ *
+ * Jobs are collected separately from the costs, so they keep watermarks of
+ * their own next to the cost watermarks.
+ *
+ * @param {string} key - Project ID, or key of an organization or folder
+ * @returns {string} - Watermark key, e.g. jobs/my-project
+ */
+function jobWatermarkKey(key) {
+  return `jobs/${key}`;
+}
+
+/**
+ * Resolve the directory of the job store
+ * @param {string} [storePath] - Explicit store directory
+ * @returns {string} - Store directory
+ */
+function resolveStorePath(storePath) {
+  return storePath || process.env.JOB_STORE_PATH || DEFAULT_JOB_STORE_PATH;
+}
+
+/**
+ * Get the directory holding a project's partitions
+ * @param {string} projectId - The project ID
+ * @param {string} [storePath] - Store directory
+ * @returns {string} - Project directory
+ */
+function projectDir(projectId, storePath) {
+  return path.join(resolveStorePath(storePath), encodeURIComponent(projectId));
+}
+
+/**
+ * Read a daily partition
+ * @param {string} filePath - Partition file
+ * @returns {Object} - Map of job ID to job
+ */
+function readPartition(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      return {};
+    }
+
+    return fs.readJsonSync(filePath);
+  } catch (error) {
+    logger.warn(`Failed to read job partition ${filePath}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Write a daily partition atomically, so readers never see a partial file
+ * @param {string} filePath - Partition file
+ * @param {Object} partition - Map of job ID to job
+ */
+function writePartition(filePath, partition) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  fs.ensureDirSync(path.dirname(filePath));
+  fs.writeJsonSync(tempPath, partition);
+  fs.moveSync(tempPath, filePath, { overwrite: true });
+}
+
+/**
+ * List the days stored for a project
+ * @param {string} projectId - The project ID
+ * @param {string} [storePath] - Store directory
+ * @returns {string[]} - Days (YYYY-MM-DD) in ascending order
+ */
+function listDays(projectId, storePath) {
+  const dir = projectDir(projectId, storePath);
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => PARTITION_PATTERN.test(file))
+    .map(file => file.replace('.json', ''))
+    .sort();
+}
+
+/**
+ * Insert or replace jobs of a project
+ * @param {string} projectId - The project ID
+ * @param {Array} jobs - Jobs, each with a `job_id` and the YYYY-MM-DD `date` it was created on
+ * @param {string} [storePath] - Store directory
+ * @returns {Object} - {inserted, updated, unchanged}
+ */
+function upsertJobs(projectId, jobs, storePath) {
+  const byDay = {};
+  let inserted = 0;
+  let updated = 0;
+  let unchanged = 0;
+
+  jobs.forEach(job => {
+    (byDay[job.date] = byDay[job.date] || []).push(job);
+  });
+
+  Object.entries(byDay).forEach(([day, dayJobs]) => {
+    const filePath = path.join(projectDir(projectId, storePath), `${day}.json`);
+    const partition = readPartition(filePath);
+
+    dayJobs.forEach(job => {
+      const current = partition[job.job_id];
+
+      if (current && JSON.stringify(current) === JSON.stringify(job)) {
+        unchanged++;
+        return;
+      }
+
+      if (current) {
+        updated++;
+      } else {
+        inserted++;
+      }
+      partition[job.job_id] = job;
+    });
+
+    writePartition(filePath, partition);
+  });
+
+  return { inserted, updated, unchanged };
+}
+
+/**
+ * Read the jobs of a project
+ * @param {string} projectId - The project ID
+ * @param {Object} [range] - Optional date range
+ * @param {string} [range.from] - First day to include (YYYY-MM-DD)
+ * @param {string} [range.to] - Last day to include (YYYY-MM-DD)
+ * @param {string} [storePath] - Store directory
+ * @returns {Array} - Jobs, newest first
+ */
+function queryJobs(projectId, range = {}, storePath) {
+  const { from, to } = range;
+  const dir = projectDir(projectId, storePath);
+
+  const jobs = [];
+  listDays(projectId, storePath)
+    .filter(day => (!from || day >= from) && (!to || day <= to))
+    .forEach(day => {
+      jobs.push(...Object.values(readPartition(path.join(dir, `${day}.json`))));
+    });
+
+  return jobs.sort((a, b) => (a.creation_time < b.creation_time ? 1 : a.creation_time > b.creation_time ? -1 : 0));
+}
+
+/**
+ * Find a job of a project
+ * @param {string} projectId - The project ID
+ * @param {string} jobId - The job ID
+ * @param {string} [storePath] - Store directory
+ * @returns {Object|null} - The job, or null if it isn't stored
+ */
+function getJob(projectId, jobId, storePath) {
+  const dir = projectDir(projectId, storePath);
+
+  // Recent jobs are the ones most often looked up
+  const days = listDays(projectId, storePath).reverse();
+  for (const day of days) {
+    const partition = readPartition(path.join(dir, `${day}.json`));
+    if (Object.prototype.hasOwnProperty.call(partition, jobId)) {
+      return partition[jobId];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether any jobs are stored for a project
+ * @param {string} projectId - The project ID
+ * @param {string} [storePath] - Store directory
+ * @returns {boolean} - Whether the project has stored jobs
+ */
+function hasJobs(projectId, storePath) {
+  return listDays(projectId, storePath).length > 0;
+}
+
+/**
+ * Drop the days of a project that are past the retention period
+ * @param {string} projectId - The project ID
+ * @param {number} [retentionDays] - Days of jobs to keep, including today
+ * @param {string} [storePath] - Store directory
+ * @returns {number} - Number of days dropped
+ */
+function pruneJobs(projectId, retentionDays = DEFAULT_JOB_RETENTION_DAYS, storePath) {
+  const firstKept = moment.utc().subtract(retentionDays - 1, 'days').format('YYYY-MM-DD');
+  const dir = projectDir(projectId, storePath);
+
+  const expired = listDays(projectId, storePath).filter(day => day < firstKept);
+  expired.forEach(day => fs.removeSync(path.join(dir, `${day}.json`)));
+
+  return expired.length;
+}
+
+module.exports = {
+  upsertJobs,
+  queryJobs,
+  getJob,
+  hasJobs,
+  pruneJobs,
+  listDays,
+  jobWatermarkKey,
+  DEFAULT_JOB_STORE_PATH,
+  DEFAULT_JOB_RETENTION_DAYS
+};
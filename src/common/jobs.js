@@ -0,0 +1,271 @@
+/**
+ * Job search for BigQuery Cost Monitor
+ *
+ * Turns the rows of the job query into stored jobs, and applies the filters,
+ * full-text search, sort orders and pagination accepted by /api/jobs.
+ *
+ * The search matches jobs whose query text contains every term, ignoring
+ * case. Terms are separated by whitespace, and "double quotes" keep a phrase
+ * together as one term.
+ */
+
+const moment = require('moment');
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// Sort orders; every one puts the newest, biggest or most expensive jobs first
+const JOB_SORTS = {
+  creationTime: 'creation_time',
+  cost: 'estimated_cost_usd',
+  bytesBilled: 'total_bytes_billed',
+  slotTime: 'total_slot_ms'
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Query text returned with every job in a list; the detail of a job has all of it
+const QUERY_PREVIEW_LENGTH = 300;
+
+const SEARCH_TERM_PATTERN = /"([^"]*)"|(\S+)/g;
+
+/**
+ * Build the job stored for a row of the job query
+ * @param {Object} row - Row of the job query
+ * @param {Object} region - Normalized region the row was read from
+ * @returns {Object} - Job with its region, location and labels as an object
+ */
+function toJobRecord(row, region) {
+  const labels = {};
+  (row.labels || []).forEach(label => {
+    labels[label.key] = label.value;
+  });
+
+  const round = value => Math.round((value || 0) * 1e6) / 1e6;
+
+  return {
+    ...row,
+    region: region.name,
+    location: region.location,
+    referenced_tables: row.referenced_tables || [],
+    labels,
+    on_demand_cost_usd: round(row.on_demand_cost_usd),
+    capacity_cost_usd: round(row.capacity_cost_usd),
+    estimated_cost_usd: round(row.estimated_cost_usd)
+  };
+}
+
+/**
+ * Link to a job in the Google Cloud console
+ * @param {Object} job - Stored job
+ * @returns {string} - Console URL of the job
+ */
+function consoleUrl(job) {
+  return `https://console.cloud.google.com/bigquery?project=${encodeURIComponent(job.project_id)}` +
+         `&j=bq:${encodeURIComponent(job.location)}:${encodeURIComponent(job.job_id)}&page=queryresults`;
+}
+
+/**
+ * Split a search string into terms
+ * @param {string} search - Search string
+ * @returns {string[]} - Lower-case terms
+ */
+function parseSearchTerms(search) {
+  const terms = [];
+  let match;
+
+  SEARCH_TERM_PATTERN.lastIndex = 0;
+  while ((match = SEARCH_TERM_PATTERN.exec(search)) !== null) {
+    const term = (match[1] !== undefined ? match[1] : match[2]).trim().toLowerCase();
+    if (term) {
+      terms.push(term);
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Parse and validate job query parameters
+ * @param {Object} query - Query string parameters
+ * @returns {Object} - {filters, sort, limit, offset, errors}
+ */
+function parseJobQuery(query = {}) {
+  const errors = [];
+  const filters = {};
+
+  ['from', 'to'].forEach(key => {
+    if (query[key] === undefined || query[key] === '') return;
+
+    if (!moment(query[key], DATE_FORMAT, true).isValid()) {
+      errors.push(`${key} must be a date in ${DATE_FORMAT} format`);
+    } else {
+      filters[key] = query[key];
+    }
+  });
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    errors.push('from must not be after to');
+  }
+
+  ['project', 'principal', 'dataset', 'table', 'statementType', 'q'].forEach(key => {
+    if (query[key] === undefined || query[key] === '') return;
+
+    if (typeof query[key] !== 'string') {
+      errors.push(`${key} must be specified once`);
+    } else {
+      filters[key] = query[key];
+    }
+  });
+
+  if (filters.q !== undefined) {
+    filters.terms = parseSearchTerms(filters.q);
+  }
+
+  if (query.error !== undefined && query.error !== '') {
+    if (query.error !== 'true' && query.error !== 'false') {
+      errors.push('error must be true or false');
+    } else {
+      filters.error = query.error === 'true';
+    }
+  }
+
+  ['minCost', 'maxCost'].forEach(key => {
+    if (query[key] === undefined || query[key] === '') return;
+
+    const value = Number(query[key]);
+    if (typeof query[key] !== 'string' || !Number.isFinite(value) || value < 0) {
+      errors.push(`${key} must be a non-negative number`);
+    } else {
+      filters[key] = value;
+    }
+  });
+
+  if (filters.minCost !== undefined && filters.maxCost !== undefined && filters.minCost > filters.maxCost) {
+    errors.push('minCost must not be more than maxCost');
+  }
+
+  const sort = query.sort || 'creationTime';
+  if (!Object.prototype.hasOwnProperty.call(JOB_SORTS, sort)) {
+    errors.push(`sort must be one of: ${Object.keys(JOB_SORTS).join(', ')}`);
+  }
+
+  const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_PAGE_SIZE) {
+    errors.push(`limit must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  const offset = query.offset !== undefined ? Number(query.offset) : 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    errors.push('offset must be a non-negative integer');
+  }
+
+  return { filters, sort, limit, offset, errors };
+}
+
+/**
+ * Check whether a qualified table name matches a filter value
+ * @param {string} name - Qualified name, e.g. project.dataset or project.dataset.table
+ * @param {string} value - Filter value, either fully qualified or without the leading parts
+ * @returns {boolean} - Whether the name matches
+ */
+function matchesName(name, value) {
+  return name === value || name.endsWith(`.${value}`);
+}
+
+/**
+ * Check whether a job matches the filters
+ * @param {Object} job - Stored job
+ * @param {Object} filters - Filters from parseJobQuery
+ * @returns {boolean} - Whether the job matches
+ */
+function matchesJob(job, filters) {
+  if (filters.from && job.date < filters.from) return false;
+  if (filters.to && job.date > filters.to) return false;
+
+  if (filters.principal && (job.user_email || '').toLowerCase() !== filters.principal.toLowerCase()) {
+    return false;
+  }
+  if (filters.statementType && (job.statement_type || '').toUpperCase() !== filters.statementType.toUpperCase()) {
+    return false;
+  }
+  if (filters.error !== undefined && !!job.error_reason !== filters.error) {
+    return false;
+  }
+
+  const cost = job.estimated_cost_usd || 0;
+  if (filters.minCost !== undefined && cost < filters.minCost) return false;
+  if (filters.maxCost !== undefined && cost > filters.maxCost) return false;
+
+  const tables = job.referenced_tables || [];
+  if (filters.dataset && !tables.some(table => matchesName(table.split('.').slice(0, 2).join('.'), filters.dataset))) {
+    return false;
+  }
+  if (filters.table && !tables.some(table => matchesName(table, filters.table))) {
+    return false;
+  }
+
+  if (filters.terms && filters.terms.length > 0) {
+    const text = (job.query || '').toLowerCase();
+    return filters.terms.every(term => text.includes(term));
+  }
+
+  return true;
+}
+
+/**
+ * Filter jobs
+ * @param {Array} jobs - Stored jobs
+ * @param {Object} filters - Filters from parseJobQuery
+ * @returns {Array} - Matching jobs
+ */
+function filterJobs(jobs, filters = {}) {
+  return jobs.filter(job => matchesJob(job, filters));
+}
+
+/**
+ * Sort jobs, largest values first
+ * @param {Array} jobs - Jobs, modified in place
+ * @param {string} sort - One of JOB_SORTS
+ * @returns {Array} - The sorted jobs
+ */
+function sortJobs(jobs, sort = 'creationTime') {
+  const field = JOB_SORTS[sort];
+
+  return jobs.sort((a, b) => {
+    const left = a[field] === undefined || a[field] === null ? '' : a[field];
+    const right = b[field] === undefined || b[field] === null ? '' : b[field];
+
+    if (left !== right) return left < right ? 1 : -1;
+    // Ties are broken by age, so pages stay stable
+    return a.creation_time < b.creation_time ? 1 : a.creation_time > b.creation_time ? -1 : 0;
+  });
+}
+
+/**
+ * Shorten a job for a list, keeping the start of its query text
+ * @param {Object} job - Stored job
+ * @returns {Object} - Job with the query preview and its console URL
+ */
+function summarizeJob(job) {
+  const query = job.query || '';
+
+  return {
+    ...job,
+    query: query.length > QUERY_PREVIEW_LENGTH ? query.substring(0, QUERY_PREVIEW_LENGTH) : query,
+    query_truncated: query.length > QUERY_PREVIEW_LENGTH,
+    console_url: consoleUrl(job)
+  };
+}
+
+module.exports = {
+  toJobRecord,
+  consoleUrl,
+  parseSearchTerms,
+  parseJobQuery,
+  filterJobs,
+  sortJobs,
+  summarizeJob,
+  JOB_SORTS,
+  MAX_PAGE_SIZE
+};
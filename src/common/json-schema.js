@@ -0,0 +1,114 @@
+/**
+ * JSON Schema validation for BigQuery Cost Monitor
+ *
+ * Validates a value against a JSON Schema (draft-07) with ajv, reporting
+ * every violation as a message starting with the path of the offending
+ * value, such as projects[0].id, in the same form as the semantic checks
+ * of the configuration.
+ */
+
+const Ajv = require('ajv');
+const { childPath } = require('./env-interpolation');
+
+// Label of the root value in error messages
+const ROOT_LABEL = 'config';
+
+const ARTICLES = {
+  array: 'an array',
+  boolean: 'a boolean',
+  integer: 'an integer',
+  null: 'null',
+  number: 'a number',
+  object: 'an object',
+  string: 'a string'
+};
+
+const ajv = new Ajv({ allErrors: true });
+
+// Compiled validators, by schema
+const validators = new WeakMap();
+
+/**
+ * Convert an ajv instance path, such as /projects/0/id, to a value path
+ * @param {string} instancePath - JSON Pointer of the value
+ * @param {*} root - Validated value, to tell array indexes from keys
+ * @returns {string} - Path, e.g. projects[0].id
+ */
+function valuePath(instancePath, root) {
+  let value = root;
+
+  return instancePath.split('/').slice(1).reduce((parent, part) => {
+    const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+    const segment = Array.isArray(value) ? Number(key) : key;
+    value = value !== null && value !== undefined ? value[segment] : undefined;
+    return childPath(parent, segment);
+  }, '');
+}
+
+/**
+ * Describe an ajv error
+ * @param {Object} error - ajv error
+ * @param {*} root - Validated value
+ * @returns {string} - Message starting with the path of the offending value
+ */
+function formatError(error, root) {
+  const path = valuePath(error.instancePath, root);
+  const label = path || ROOT_LABEL;
+  const { params } = error;
+
+  switch (error.keyword) {
+    case 'type':
+      return `${label} must be ${[].concat(params.type).map(type => ARTICLES[type] || type).join(' or ')}`;
+    case 'enum':
+      return `${label} must be one of: ${params.allowedValues.join(', ')}`;
+    case 'const':
+      return `${label} must be ${JSON.stringify(params.allowedValue)}`;
+    case 'required':
+      return `${label} is missing required '${params.missingProperty}' field`;
+    case 'additionalProperties':
+      return `${childPath(path, params.additionalProperty)} is not a known field`;
+    case 'propertyNames':
+      return `${label} has an invalid key: ${params.propertyName}`;
+    case 'minLength':
+      return params.limit === 1 ? `${label} must not be empty` : `${label} must be at least ${params.limit} characters long`;
+    case 'minItems':
+      return params.limit === 1 ? `${label} must not be empty` : `${label} must have at least ${params.limit} items`;
+    case 'uniqueItems':
+      return `${label} must not contain duplicates`;
+    case 'pattern':
+      return `${label} must match ${params.pattern}`;
+    case 'minimum':
+      return `${label} must be at least ${params.limit}`;
+    case 'maximum':
+      return `${label} must be at most ${params.limit}`;
+    case 'exclusiveMinimum':
+      return `${label} must be greater than ${params.limit}`;
+    default:
+      return `${label} ${error.message}`;
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object} schema - Root schema
+ * @param {*} value - Value to validate
+ * @returns {string[]} - Validation errors, each starting with the path of the offending value
+ */
+function validateSchema(schema, value) {
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(schema));
+  }
+
+  const validate = validators.get(schema);
+  if (validate(value)) {
+    return [];
+  }
+
+  // A key failing propertyNames also reports the failed keyword of the key itself
+  const errors = validate.errors.filter(error => error.propertyName === undefined);
+  return [...new Set(errors.map(error => formatError(error, value)))];
+}
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,62 @@
+/**
+ * Label attribution helpers for BigQuery Cost Monitor
+ *
+ * The cost query splits each day's cost by the values of a configurable list
+ * of job label keys. Jobs without a label for a key are attributed to an
+ * "unlabelled" bucket, so every key accounts for the full cost.
+ */
+
+// Value given to jobs that don't carry a label key
+const UNLABELLED = 'unlabelled';
+
+// BigQuery label keys: lower case letters, digits, underscores and dashes, starting with a letter
+const LABEL_KEY_PATTERN = /^[a-z][a-z0-9_-]{0,62}$/;
+
+/**
+ * Resolve the label keys to attribute a project's cost to
+ *
+ * Keys named by label budgets and team label rules are always collected, so
+ * they can be evaluated without listing their keys twice.
+ *
+ * @param {Object} project - Project configuration
+ * @param {Object} [settings] - Global settings
+ * @param {Array} [budgets] - Budget definitions
+ * @param {Array} [teams] - Team definitions
+ * @returns {string[]} - Label keys without duplicates
+ */
+function resolveLabelKeys(project, settings = {}, budgets = [], teams = []) {
+  const configured = project.labelKeys || settings.labelKeys || [];
+
+  const budgetKeys = (budgets || [])
+    .filter(budget => budget.scope === 'label' && budget.target && (!budget.project || budget.project === project.id))
+    .map(budget => budget.target.split('=')[0]);
+
+  const teamKeys = (teams || [])
+    .reduce((all, team) => all.concat(team.labels || []), [])
+    .map(target => target.split('=')[0]);
+
+  return [...new Set([...configured, ...budgetKeys, ...teamKeys])];
+}
+
+/**
+ * Validate a list of label keys
+ * @param {Array} keys - Label keys
+ * @param {string} label - Where the list lives, used in error messages
+ * @returns {string[]} - Validation errors
+ */
+function validateLabelKeys(keys, label) {
+  if (!Array.isArray(keys)) {
+    return [`${label} must be an array of label keys`];
+  }
+
+  return keys
+    .filter(key => typeof key !== 'string' || !LABEL_KEY_PATTERN.test(key))
+    .map(key => `${label} has an invalid label key: ${key}`);
+}
+
+module.exports = {
+  resolveLabelKeys,
+  validateLabelKeys,
+  UNLABELLED,
+  LABEL_KEY_PATTERN
+};
@@ -0,0 +1,267 @@
+/**
+ * Notification channel drivers for BigQuery Cost Monitor
+ *
+ * Each driver turns a rendered message {title, text, severity, event, data}
+ * into a delivery to one destination: a Slack incoming webhook, a Microsoft
+ * Teams webhook, a generic JSON webhook signed with HMAC-SHA256, or an email
+ * sent over SMTP.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { sendMail, SmtpError } = require('./smtp-client');
+
+const CHANNEL_TYPES = ['slack', 'teams', 'webhook', 'smtp'];
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// HTTP status codes worth retrying a delivery for
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+// Network errors worth retrying a delivery for
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+const SEVERITY_COLORS = {
+  info: '0D6EFD',
+  warning: 'FFC107',
+  critical: 'DC3545'
+};
+
+/**
+ * Error raised when a destination rejects a delivery
+ */
+class DeliveryError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Check whether a failed delivery is worth retrying
+ * @param {Error} error - The delivery error
+ * @returns {boolean} - Whether the error is transient
+ */
+function isRetryableDeliveryError(error) {
+  if (!error) return false;
+  if (error instanceof DeliveryError) return RETRYABLE_STATUS_CODES.includes(error.statusCode);
+  // SMTP 4xx replies are temporary failures
+  if (error instanceof SmtpError) return !error.responseCode || (error.responseCode >= 400 && error.responseCode < 500);
+  return RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+/**
+ * POST a JSON body to a URL
+ * @param {string} url - Destination URL
+ * @param {string} body - Serialized JSON body
+ * @param {Object} [headers] - Additional headers
+ * @param {number} [timeoutMs] - Request timeout
+ * @returns {Promise<Object>} - {statusCode, body}
+ */
+function postJson(url, body, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'http:' ? http : https;
+
+    const request = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'bq-cost-monitor',
+        ...headers
+      },
+      timeout: timeoutMs
+    }, response => {
+      let responseBody = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        responseBody += chunk;
+      });
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve({ statusCode: response.statusCode, body: responseBody });
+        } else {
+          reject(new DeliveryError(
+            `${target.host} responded with ${response.statusCode}: ${responseBody.substring(0, 200)}`,
+            response.statusCode
+          ));
+        }
+      });
+    });
+
+    request.on('timeout', () => {
+      const error = new Error(`Request to ${target.host} timed out`);
+      error.code = 'ETIMEDOUT';
+      request.destroy(error);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Unix timestamp in seconds, also sent in a header
+ * @param {string} body - Serialized body
+ * @returns {string} - Signature as sha256=<hex>
+ */
+function signWebhook(secret, timestamp, body) {
+  // The timestamp is signed too, so receivers can reject replayed deliveries
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+const drivers = {
+  /**
+   * Post to a Slack incoming webhook
+   * @param {Object} channel - Channel {url}
+   * @param {Object} message - Rendered message
+   * @returns {Promise<Object>} - Delivery response
+   */
+  slack(channel, message) {
+    return postJson(channel.url, JSON.stringify({
+      text: `*${message.title}*\n${message.text}`,
+      ...(channel.username ? { username: channel.username } : {})
+    }), {}, channel.timeoutMs);
+  },
+
+  /**
+   * Post a message card to a Microsoft Teams webhook
+   * @param {Object} channel - Channel {url}
+   * @param {Object} message - Rendered message
+   * @returns {Promise<Object>} - Delivery response
+   */
+  teams(channel, message) {
+    return postJson(channel.url, JSON.stringify({
+      '@type': 'MessageCard',
+      '@context': 'https://schema.org/extensions',
+      summary: message.title,
+      themeColor: SEVERITY_COLORS[message.severity] || SEVERITY_COLORS.info,
+      title: message.title,
+      // Teams renders markdown, where single newlines don't break lines
+      text: message.text.replace(/\n/g, '  \n')
+    }), {}, channel.timeoutMs);
+  },
+
+  /**
+   * Post the message and its event data to a generic webhook
+   * @param {Object} channel - Channel {url, secret, headers}
+   * @param {Object} message - Rendered message
+   * @returns {Promise<Object>} - Delivery response
+   */
+  webhook(channel, message) {
+    const body = JSON.stringify({
+      event: message.event,
+      severity: message.severity,
+      title: message.title,
+      text: message.text,
+      data: message.data,
+      sentAt: new Date().toISOString()
+    });
+
+    const headers = { ...(channel.headers || {}) };
+    if (channel.secret) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      headers['X-Cost-Monitor-Timestamp'] = timestamp;
+      headers['X-Cost-Monitor-Signature'] = signWebhook(channel.secret, timestamp, body);
+    }
+
+    return postJson(channel.url, body, headers, channel.timeoutMs);
+  },
+
+  /**
+   * Send the message as an email
+   * @param {Object} channel - Channel {host, port, secure, ignoreTLS, auth, from, to}
+   * @param {Object} message - Rendered message, optionally with html
+   * @returns {Promise<Object>} - Delivery response
+   */
+  smtp(channel, message) {
+    return sendMail(channel, {
+      from: channel.from,
+      to: channel.to,
+      subject: message.title,
+      text: message.text,
+      html: message.html
+    });
+  }
+};
+
+/**
+ * Deliver a rendered message to a channel
+ * @param {Object} channel - Channel configuration
+ * @param {Object} message - Rendered message
+ * @returns {Promise<Object>} - Delivery response
+ */
+function deliver(channel, message) {
+  const driver = drivers[channel.type];
+  if (!driver) {
+    return Promise.reject(new Error(`Unsupported channel type: ${channel.type}`));
+  }
+
+  return driver(channel, message);
+}
+
+/**
+ * Validate a channel definition
+ * @param {Object} channel - Channel configuration
+ * @param {string} label - Where the channel lives, used in error messages
+ * @returns {string[]} - Validation errors
+ */
+function validateChannel(channel, label) {
+  const errors = [];
+
+  if (!CHANNEL_TYPES.includes(channel.type)) {
+    return [`${label} has an invalid type, must be one of: ${CHANNEL_TYPES.join(', ')}`];
+  }
+
+  if (channel.type === 'smtp') {
+    if (!channel.host || typeof channel.host !== 'string') {
+      errors.push(`${label} is missing required 'host' field`);
+    }
+    if (channel.port !== undefined && (!Number.isInteger(channel.port) || channel.port <= 0)) {
+      errors.push(`${label} has 'port' that is not a positive integer`);
+    }
+    if (!channel.from || typeof channel.from !== 'string') {
+      errors.push(`${label} is missing required 'from' field`);
+    }
+    const to = Array.isArray(channel.to) ? channel.to : [channel.to];
+    if (!channel.to || to.length === 0 || to.some(address => typeof address !== 'string' || !address.includes('@'))) {
+      errors.push(`${label} has 'to' that is not an email address or list of them`);
+    }
+  } else {
+    let url = null;
+    try {
+      url = new URL(channel.url);
+    } catch (error) {
+      errors.push(`${label} has an invalid 'url'`);
+    }
+    if (url && !['http:', 'https:'].includes(url.protocol)) {
+      errors.push(`${label} has a 'url' that is not http or https`);
+    }
+  }
+
+  if (channel.type === 'webhook') {
+    if (channel.secret !== undefined && (typeof channel.secret !== 'string' || channel.secret.length === 0)) {
+      errors.push(`${label} has 'secret' that is not a non-empty string`);
+    }
+    if (channel.headers !== undefined && (typeof channel.headers !== 'object' || channel.headers === null || Array.isArray(channel.headers))) {
+      errors.push(`${label} has 'headers' that is not an object`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  deliver,
+  drivers,
+  postJson,
+  signWebhook,
+  isRetryableDeliveryError,
+  validateChannel,
+  DeliveryError,
+  CHANNEL_TYPES
+};
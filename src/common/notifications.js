@@ -0,0 +1,422 @@
+/**
+ * Notification dispatcher for BigQuery Cost Monitor
+ *
+ * Turns the outcome of a run into events (failed projects, new anomalies,
+ * budget thresholds crossed), renders each event with its template and
+ * delivers it to every channel that subscribes to it. Deliveries are rate
+ * limited per channel and retried with backoff on transient failures.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('./logger');
+const { retryWithBackoff } = require('./concurrency');
+const { deliver, isRetryableDeliveryError, validateChannel } = require('./notification-channels');
+
+const EVENT_TYPES = ['run_failed', 'anomaly', 'budget', 'test'];
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Default location of the rate limiter state
+const DEFAULT_NOTIFICATIONS_STATE_PATH = path.join(__dirname, '../../output/notifications/rate-limits.json');
+
+// At most this many messages per channel and window unless configured otherwise
+const DEFAULT_RATE_LIMIT = { max: 20, perSeconds: 3600 };
+
+const DEFAULT_TEMPLATES = {
+  run_failed: {
+    title: 'Cost monitoring {{status}} for {{project}}',
+    text: 'Run {{runId}} could not collect costs for {{project}} after {{attempts}} attempts: {{error}}'
+  },
+  anomaly: {
+    title: '{{count}} cost anomalies in {{project}}',
+    text: 'Run {{runId}} found unusual spend in {{project}}:\n{{lines}}'
+  },
+  budget: {
+    title: 'Budget {{name}} at {{percent_used}}%',
+    text: 'Budget {{name}} ({{scope}}{{target_label}}, {{period}}) has spent ${{spent_usd}} of ${{amount_usd}} ' +
+          'between {{period_start}} and {{date}}, past its {{threshold}}% threshold. {{forecast_line}}'
+  },
+  test: {
+    title: 'Test notification from BigQuery Cost Monitor',
+    text: 'Channel {{channel}} is set up correctly.'
+  }
+};
+
+/**
+ * Get a value from an object by a dotted path
+ * @param {Object} context - Object to read from
+ * @param {string} key - Dotted path, e.g. budget.name
+ * @returns {*} - The value, or undefined
+ */
+function lookup(context, key) {
+  return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), context);
+}
+
+/**
+ * Render a template, replacing {{path}} placeholders with values from the context
+ * @param {string} template - Template text
+ * @param {Object} context - Values for the placeholders
+ * @returns {string} - Rendered text; unknown placeholders render empty
+ */
+function renderTemplate(template, context) {
+  return template.replace(/{{\s*([\w.]+)\s*}}/g, (match, key) => {
+    const value = lookup(context, key);
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Render an event for a channel
+ * @param {Object} event - Event {type, severity, data}
+ * @param {Object} channel - Channel configuration, optionally with its own templates
+ * @param {Object} [templates] - Templates from the notifications configuration
+ * @returns {Object} - Message {event, severity, title, text, data}
+ */
+function renderMessage(event, channel, templates = {}) {
+  const template = {
+    ...DEFAULT_TEMPLATES[event.type],
+    ...(templates[event.type] || {}),
+    ...((channel.templates || {})[event.type] || {})
+  };
+  const context = { ...event.data, channel: channel.name, severity: event.severity };
+
+  return {
+    event: event.type,
+    severity: event.severity,
+    title: renderTemplate(template.title || '', context),
+    text: renderTemplate(template.text || '', context),
+    data: event.data
+  };
+}
+
+/**
+ * Format a USD amount for a message
+ * @param {number} value - Amount in USD
+ * @returns {string} - Amount with two decimals
+ */
+function formatAmount(value) {
+  return (value || 0).toFixed(2);
+}
+
+/**
+ * Build the notification events of a finished run
+ *
+ * Anomalies and budget thresholds that were already reported by the previous
+ * run are left out, so each one is notified once.
+ *
+ * @param {Object} run - Run record
+ * @param {Object|null} [previousRun] - The run before it
+ * @returns {Array} - Events {type, severity, data}
+ */
+function buildRunEvents(run, previousRun = null) {
+  const events = [];
+  const previousProjects = previousRun ? previousRun.projects : [];
+  const previousBudgets = previousRun ? (previousRun.budgets || []) : [];
+
+  run.projects
+    .filter(result => result.status !== 'success')
+    .forEach(result => {
+      events.push({
+        type: 'run_failed',
+        severity: 'critical',
+        data: {
+          runId: run.runId,
+          project: result.project,
+          status: result.status,
+          attempts: result.attempts,
+          error: result.error
+        }
+      });
+    });
+
+  const anomalyKey = anomaly => [anomaly.type, anomaly.scope, anomaly.entity, anomaly.date].join('|');
+
+  run.projects.forEach(result => {
+    const previous = previousProjects.find(project => project.project === result.project);
+    const reported = new Set(((previous && previous.anomalies) || []).map(anomalyKey));
+    const anomalies = (result.anomalies || []).filter(anomaly => !reported.has(anomalyKey(anomaly)));
+
+    if (anomalies.length === 0) return;
+
+    events.push({
+      type: 'anomaly',
+      severity: anomalies.some(anomaly => anomaly.severity === 'critical') ? 'critical' : 'warning',
+      data: {
+        runId: run.runId,
+        project: result.project,
+        count: anomalies.length,
+        anomalies,
+        lines: anomalies.map(anomaly => anomaly.type === 'new_principal'
+          ? `- ${anomaly.date} new principal ${anomaly.entity}: $${formatAmount(anomaly.actual_cost_usd)}`
+          : `- ${anomaly.date} ${anomaly.type} for ${anomaly.scope} ${anomaly.entity}: ` +
+            `$${formatAmount(anomaly.actual_cost_usd)} vs $${formatAmount(anomaly.expected_cost_usd)} expected`
+        ).join('\n')
+      }
+    });
+  });
+
+  (run.budgets || []).forEach(budget => {
+    const previous = previousBudgets.find(status => status.name === budget.name && status.period_start === budget.period_start);
+    const highest = statuses => (statuses.length > 0 ? statuses[statuses.length - 1] : null);
+
+    const threshold = highest(budget.thresholds_crossed);
+    const previousThreshold = previous ? highest(previous.thresholds_crossed) : null;
+    const newlyCrossed = threshold !== null && (previousThreshold === null || threshold > previousThreshold);
+
+    if (!newlyCrossed) return;
+
+    events.push({
+      type: 'budget',
+      severity: budget.status === 'exceeded' ? 'critical' : 'warning',
+      data: {
+        ...budget,
+        runId: run.runId,
+        threshold,
+        spent_usd: formatAmount(budget.spent_usd),
+        amount_usd: formatAmount(budget.amount_usd),
+        remaining_usd: formatAmount(budget.remaining_usd),
+        target_label: budget.target ? ` ${budget.target}` : (budget.project ? ` ${budget.project}` : ''),
+        forecast_line: budget.status !== 'exceeded' && budget.forecast_breach_date
+          ? `At the current rate it will be exceeded on ${budget.forecast_breach_date}.`
+          : `Forecast for the period: $${formatAmount(budget.forecast_spend_usd)}.`
+      }
+    });
+  });
+
+  return events;
+}
+
+/**
+ * Sliding-window rate limiter, persisted so limits hold across runs
+ */
+class RateLimiter {
+  /**
+   * @param {string|null} [statePath] - File to persist sent timestamps in, null to keep them in memory
+   */
+  constructor(statePath) {
+    this.statePath = statePath === undefined
+      ? (process.env.NOTIFICATIONS_STATE_PATH || DEFAULT_NOTIFICATIONS_STATE_PATH)
+      : statePath;
+    this.sent = {};
+
+    if (this.statePath && fs.existsSync(this.statePath)) {
+      try {
+        this.sent = fs.readJsonSync(this.statePath);
+      } catch (error) {
+        logger.warn(`Failed to read notification rate limits from ${this.statePath}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Take a slot for a destination if its limit allows
+   * @param {string} key - Destination key
+   * @param {Object} limit - {max, perSeconds}
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {boolean} - Whether the message may be sent
+   */
+  tryAcquire(key, limit, now = Date.now()) {
+    const windowStart = now - limit.perSeconds * 1000;
+    const recent = (this.sent[key] || []).filter(timestamp => timestamp > windowStart);
+
+    if (recent.length >= limit.max) {
+      this.sent[key] = recent;
+      return false;
+    }
+
+    this.sent[key] = recent.concat([now]);
+    return true;
+  }
+
+  /**
+   * Persist the sent timestamps
+   */
+  save() {
+    if (!this.statePath) return;
+
+    fs.ensureDirSync(path.dirname(this.statePath));
+    fs.writeJsonSync(this.statePath, this.sent);
+  }
+}
+
+/**
+ * Check whether a channel subscribes to an event
+ * @param {Object} channel - Channel configuration
+ * @param {Object} event - Event {type, severity, data}
+ * @returns {boolean} - Whether the event goes to the channel
+ */
+function channelAccepts(channel, event) {
+  if (channel.enabled === false) return false;
+  if (event.type === 'test') return true;
+  if (channel.events && !channel.events.includes(event.type)) return false;
+
+  const minSeverity = SEVERITIES.indexOf(channel.minSeverity || 'info');
+  if (SEVERITIES.indexOf(event.severity) < minSeverity) return false;
+
+  // Events about one project only go to channels for that project
+  if (channel.projects && event.data.project && !channel.projects.includes(event.data.project)) return false;
+
+  return true;
+}
+
+/**
+ * Deliver events to the configured channels
+ * @param {Array} events - Events {type, severity, data}
+ * @param {Object} notifications - Notifications configuration {channels, templates, maxRetries, rateLimit}
+ * @param {Object} [options] - Dispatch options
+ * @param {RateLimiter} [options.rateLimiter] - Rate limiter, defaults to the persisted one
+ * @param {Function} [options.deliver] - Called with (channel, message) to deliver, defaults to the channel drivers
+ * @param {number} [options.baseDelayMs] - Delay before the first retry
+ * @returns {Promise<Array>} - Deliveries {channel, event, status, attempts, error}
+ */
+async function dispatchNotifications(events, notifications = {}, options = {}) {
+  const channels = notifications.channels || [];
+  const rateLimiter = options.rateLimiter || new RateLimiter();
+  const send = options.deliver || deliver;
+  const deliveries = [];
+
+  for (const event of events) {
+    for (const channel of channels.filter(candidate => channelAccepts(candidate, event))) {
+      const limit = { ...DEFAULT_RATE_LIMIT, ...(notifications.rateLimit || {}), ...(channel.rateLimit || {}) };
+
+      if (!rateLimiter.tryAcquire(channel.name, limit)) {
+        logger.warn(`Notification channel ${channel.name} is rate limited, dropping ${event.type} notification`);
+        deliveries.push({ channel: channel.name, event: event.type, status: 'rate_limited', attempts: 0 });
+        continue;
+      }
+
+      const message = renderMessage(event, channel, notifications.templates);
+      let attempts = 0;
+
+      try {
+        await retryWithBackoff(attempt => {
+          attempts = attempt;
+          return send(channel, message);
+        }, {
+          retries: notifications.maxRetries !== undefined ? notifications.maxRetries : 3,
+          baseDelayMs: options.baseDelayMs || 1000,
+          isRetryable: isRetryableDeliveryError,
+          onRetry: (error, attempt, delayMs) => {
+            logger.warn(`Notification to ${channel.name} failed (attempt ${attempt}): ${error.message}. ` +
+                        `Retrying in ${Math.round(delayMs)}ms`);
+          }
+        });
+
+        logger.info(`Sent ${event.type} notification to ${channel.name}`);
+        deliveries.push({ channel: channel.name, event: event.type, status: 'sent', attempts });
+      } catch (error) {
+        logger.error(`Failed to send ${event.type} notification to ${channel.name}: ${error.message}`);
+        deliveries.push({ channel: channel.name, event: event.type, status: 'failed', attempts, error: error.message });
+      }
+    }
+  }
+
+  rateLimiter.save();
+  return deliveries;
+}
+
+/**
+ * Validate the notifications section of the configuration
+ * @param {Object} notifications - Notifications configuration
+ * @returns {string[]} - Validation errors
+ */
+function validateNotifications(notifications) {
+  const errors = [];
+
+  if (typeof notifications !== 'object' || notifications === null || Array.isArray(notifications)) {
+    return ['notifications must be an object'];
+  }
+
+  const validateRateLimit = (rateLimit, label) => {
+    if (typeof rateLimit !== 'object' || rateLimit === null) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    ['max', 'perSeconds'].forEach(key => {
+      if (rateLimit[key] !== undefined && (!Number.isInteger(rateLimit[key]) || rateLimit[key] <= 0)) {
+        errors.push(`${label}.${key} must be a positive integer`);
+      }
+    });
+  };
+
+  const validateTemplates = (templates, label) => {
+    if (typeof templates !== 'object' || templates === null) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    Object.entries(templates).forEach(([event, template]) => {
+      if (!EVENT_TYPES.includes(event)) {
+        errors.push(`${label} has a template for an unknown event: ${event}`);
+      } else if (typeof template !== 'object' || template === null ||
+                 ['title', 'text'].some(key => template[key] !== undefined && typeof template[key] !== 'string')) {
+        errors.push(`${label}.${event} must have string 'title' and 'text' fields`);
+      }
+    });
+  };
+
+  if (notifications.maxRetries !== undefined && (!Number.isInteger(notifications.maxRetries) || notifications.maxRetries < 0)) {
+    errors.push('notifications.maxRetries must be a non-negative integer');
+  }
+  if (notifications.rateLimit !== undefined) {
+    validateRateLimit(notifications.rateLimit, 'notifications.rateLimit');
+  }
+  if (notifications.templates !== undefined) {
+    validateTemplates(notifications.templates, 'notifications.templates');
+  }
+
+  if (!Array.isArray(notifications.channels)) {
+    errors.push('notifications.channels must be an array');
+    return errors;
+  }
+
+  const names = new Set();
+  notifications.channels.forEach((channel, index) => {
+    const label = `Notification channel at index ${index}`;
+
+    if (typeof channel !== 'object' || channel === null) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!channel.name || typeof channel.name !== 'string') {
+      errors.push(`${label} is missing required 'name' field`);
+    } else if (names.has(channel.name)) {
+      errors.push(`${label} has a duplicate name: ${channel.name}`);
+    } else {
+      names.add(channel.name);
+    }
+
+    errors.push(...validateChannel(channel, label));
+
+    if (channel.events !== undefined &&
+        (!Array.isArray(channel.events) || channel.events.some(event => !EVENT_TYPES.includes(event)))) {
+      errors.push(`${label} has 'events' that are not a list of: ${EVENT_TYPES.join(', ')}`);
+    }
+    if (channel.minSeverity !== undefined && !SEVERITIES.includes(channel.minSeverity)) {
+      errors.push(`${label} has an invalid minSeverity, must be one of: ${SEVERITIES.join(', ')}`);
+    }
+    if (channel.projects !== undefined && !Array.isArray(channel.projects)) {
+      errors.push(`${label} has 'projects' that is not an array`);
+    }
+    if (channel.rateLimit !== undefined) {
+      validateRateLimit(channel.rateLimit, `${label} rateLimit`);
+    }
+    if (channel.templates !== undefined) {
+      validateTemplates(channel.templates, `${label} templates`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  buildRunEvents,
+  dispatchNotifications,
+  renderTemplate,
+  renderMessage,
+  validateNotifications,
+  RateLimiter,
+  DEFAULT_TEMPLATES,
+  EVENT_TYPES
+};
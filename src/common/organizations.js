@@ -0,0 +1,235 @@
+/**
+ * Organization- and folder-level collection for BigQuery Cost Monitor
+ *
+ * Instead of listing every project, an `organizations` entry names an
+ * organization or folder and an admin project in it. The jobs of all its
+ * projects are read once per region from INFORMATION_SCHEMA.JOBS_BY_ORGANIZATION
+ * or JOBS_BY_FOLDER in the admin project, and split by project_id. The
+ * projects found this way are recorded with the entry's watermark, so the
+ * dashboard, budgets and digests pick them up without being configured.
+ *
+ * JOBS_BY_ORGANIZATION covers the organization of the admin project, and
+ * JOBS_BY_FOLDER the folder the admin project is directly in, so the
+ * configured organization or folder has to be that one.
+ */
+
+const { getWatermark } = require('./watermarks');
+
+// INFORMATION_SCHEMA job views, by what they cover
+const JOBS_VIEWS = {
+  project: 'JOBS',
+  user: 'JOBS_BY_USER',
+  folder: 'JOBS_BY_FOLDER',
+  organization: 'JOBS_BY_ORGANIZATION'
+};
+
+// Placeholder used in the SQL files for the job view
+const JOBS_VIEW_PLACEHOLDER = /\{\{jobsView\}\}/g;
+
+// Project ID patterns may only use * as a wildcard
+const PROJECT_PATTERN = /^[a-z0-9*][a-z0-9*.:-]*$/;
+
+/**
+ * Describe what an organizations entry collects
+ * @param {Object} entry - Entry of the `organizations` configuration
+ * @returns {Object} - {key, type, id, view, adminProject, name}; key is e.g. organizations/123 or folders/456
+ */
+function resolveSource(entry) {
+  const type = entry.folder !== undefined ? 'folder' : 'organization';
+  const id = String(type === 'folder' ? entry.folder : entry.organization);
+  const key = `${type === 'folder' ? 'folders' : 'organizations'}/${id}`;
+
+  return {
+    key,
+    type,
+    id,
+    view: JOBS_VIEWS[type],
+    adminProject: entry.adminProject,
+    name: entry.name || key
+  };
+}
+
+/**
+ * Substitute the job view into a SQL query
+ * @param {string} sql - SQL containing the `{{jobsView}}` placeholder
+ * @param {string} view - One of JOBS_VIEWS
+ * @returns {string} - SQL reading the view
+ */
+function applyJobsView(sql, view) {
+  return sql.replace(JOBS_VIEW_PLACEHOLDER, view);
+}
+
+/**
+ * Check whether a BigQuery error means the caller may not read what it queried
+ * @param {Error} error - The error thrown by the BigQuery client
+ * @returns {boolean} - Whether permission was denied
+ */
+function isPermissionDeniedError(error) {
+  if (!error) return false;
+
+  const reasons = (error.errors || []).map(e => e.reason);
+  if (error.reason) reasons.push(error.reason);
+  if (reasons.includes('accessDenied')) return true;
+
+  // Rate limits are 403s as well, so the status code alone doesn't tell
+  return /access denied|permission/i.test(error.message || '');
+}
+
+/**
+ * Check whether a project ID matches one of a list of patterns
+ * @param {string} projectId - The project ID
+ * @param {string[]} [patterns] - Project IDs, or patterns with * matching any characters
+ * @returns {boolean} - Whether any pattern matches
+ */
+function matchesProjectPattern(projectId, patterns = []) {
+  return patterns.some(pattern => {
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/\./g, '\\.')).join('.*')}$`);
+    return regex.test(projectId);
+  });
+}
+
+/**
+ * Split cost query rows by the project the jobs ran in
+ * @param {Array} rows - Rows of the cost query
+ * @returns {Object} - Rows keyed by project ID
+ */
+function splitRowsByProject(rows) {
+  const byProject = {};
+
+  rows.forEach(row => {
+    if (!row.project_id) return;
+    if (!byProject[row.project_id]) {
+      byProject[row.project_id] = [];
+    }
+    byProject[row.project_id].push(row);
+  });
+
+  return byProject;
+}
+
+/**
+ * Build the configuration of a project found by an organizations entry
+ *
+ * The project is collected, priced and evaluated with the entry's settings.
+ *
+ * @param {string} projectId - The project ID
+ * @param {Object} entry - Entry of the `organizations` configuration
+ * @returns {Object} - Project configuration with the `source` it was found by
+ */
+function discoveredProject(projectId, entry) {
+  const project = {
+    id: projectId,
+    name: projectId,
+    source: resolveSource(entry).key
+  };
+
+  ['location', 'regions', 'historyDays', 'pricing', 'anomalies', 'forecast', 'labelKeys'].forEach(key => {
+    if (entry[key] !== undefined) {
+      project[key] = entry[key];
+    }
+  });
+
+  return project;
+}
+
+/**
+ * Check whether an organizations entry collects a project
+ *
+ * Configured projects are collected by themselves, even when disabled, so
+ * listing a project is also how it is taken out of organization collection.
+ *
+ * @param {string} projectId - The project ID
+ * @param {Object} entry - Entry of the `organizations` configuration
+ * @param {Array} projects - Configured projects
+ * @returns {boolean} - Whether the entry collects the project
+ */
+function collectsProject(projectId, entry, projects) {
+  return !projects.some(project => project.id === projectId) &&
+         !matchesProjectPattern(projectId, entry.exclude);
+}
+
+/**
+ * List the projects the organizations entries have found so far
+ * @param {Object} config - Loaded configuration
+ * @param {string} [watermarkPath] - Path to the watermark file
+ * @returns {Array} - Project configurations, without the configured projects, by entry and ID
+ */
+function listDiscoveredProjects(config, watermarkPath) {
+  const projects = config.projects || [];
+  const discovered = [];
+
+  (config.organizations || [])
+    .filter(entry => !entry.disabled)
+    .forEach(entry => {
+      const watermark = getWatermark(resolveSource(entry).key, watermarkPath);
+
+      ((watermark && watermark.projects) || [])
+        .filter(projectId => collectsProject(projectId, entry, projects))
+        .filter(projectId => !discovered.some(project => project.id === projectId))
+        .sort()
+        .forEach(projectId => discovered.push(discoveredProject(projectId, entry)));
+    });
+
+  return discovered;
+}
+
+/**
+ * List the configured projects followed by the ones found by organizations entries
+ * @param {Object} config - Loaded configuration
+ * @param {string} [watermarkPath] - Path to the watermark file
+ * @returns {Array} - Project configurations
+ */
+function listMonitoredProjects(config, watermarkPath) {
+  return (config.projects || []).concat(listDiscoveredProjects(config, watermarkPath));
+}
+
+/**
+ * Validate the organizations entries
+ * @param {Array} organizations - Entries of the `organizations` configuration
+ * @returns {string[]} - Validation errors
+ */
+function validateOrganizations(organizations) {
+  const errors = [];
+
+  if (!Array.isArray(organizations)) {
+    return ['organizations must be an array'];
+  }
+
+  const keys = new Set();
+  organizations.forEach((entry, index) => {
+    const label = `Organization at index ${index}`;
+
+    if ((entry.organization === undefined) === (entry.folder === undefined)) {
+      errors.push(`${label} must name either an 'organization' or a 'folder'`);
+      return;
+    }
+
+    const { key } = resolveSource(entry);
+    if (keys.has(key)) {
+      errors.push(`${label} has a duplicate ${key}`);
+    }
+    keys.add(key);
+
+    (entry.exclude || []).forEach(pattern => {
+      if (!PROJECT_PATTERN.test(pattern)) {
+        errors.push(`${label} has an invalid exclude pattern: ${pattern}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+module.exports = {
+  JOBS_VIEWS,
+  resolveSource,
+  applyJobsView,
+  isPermissionDeniedError,
+  matchesProjectPattern,
+  splitRowsByProject,
+  discoveredProject,
+  collectsProject,
+  listDiscoveredProjects,
+  listMonitoredProjects,
+  validateOrganizations
+};
@@ -0,0 +1,308 @@
+/**
+ * Pricing models for BigQuery Cost Monitor
+ *
+ * Resolves the effective BigQuery prices for a project and region, either
+ * on-demand (per TiB billed, with the monthly free tier) or capacity
+ * (per slot-hour at an Editions rate), plus storage prices per GiB-month.
+ */
+
+const PRICING_MODELS = ['on-demand', 'capacity'];
+const EDITIONS = ['standard', 'enterprise', 'enterprise_plus'];
+
+const BYTES_PER_TIB = Math.pow(1024, 4);
+
+// Default monthly on-demand free tier per billing account
+const DEFAULT_FREE_TIER_TIB = 1;
+
+// Cost fields of the breakdowns on a cost row, which add up to the row's cost
+const BREAKDOWN_COST_FIELDS = {
+  dataset_costs: ['dataset_cost_usd'],
+  table_costs: ['table_cost_usd', 'rebuild_cost_usd', 'incremental_cost_usd'],
+  label_costs: ['label_cost_usd'],
+  hourly_breakdown: ['hourly_cost'],
+  daily_breakdown: ['daily_cost']
+};
+
+// Storage list prices per GiB-month, shared by most US and EU locations
+const STANDARD_STORAGE_PRICES = { activeLogical: 0.02, longTermLogical: 0.01, activePhysical: 0.04, longTermPhysical: 0.02 };
+
+// List prices in USD at the time of writing. Regions missing here fall back to
+// `us`; override or extend them with settings.pricing.regions.
+const REGION_PRICES = {
+  us: {
+    onDemandPerTiB: 6.25,
+    slotHour: { standard: 0.04, enterprise: 0.06, enterprise_plus: 0.10 },
+    storage: STANDARD_STORAGE_PRICES
+  },
+  eu: {
+    onDemandPerTiB: 6.25,
+    slotHour: { standard: 0.044, enterprise: 0.066, enterprise_plus: 0.11 },
+    storage: STANDARD_STORAGE_PRICES
+  },
+  'us-central1': {
+    onDemandPerTiB: 6.25,
+    slotHour: { standard: 0.04, enterprise: 0.06, enterprise_plus: 0.10 },
+    storage: STANDARD_STORAGE_PRICES
+  },
+  'us-east1': {
+    onDemandPerTiB: 6.25,
+    slotHour: { standard: 0.04, enterprise: 0.06, enterprise_plus: 0.10 },
+    storage: STANDARD_STORAGE_PRICES
+  },
+  'europe-west1': {
+    onDemandPerTiB: 6.88,
+    slotHour: { standard: 0.044, enterprise: 0.066, enterprise_plus: 0.11 },
+    storage: { activeLogical: 0.022, longTermLogical: 0.011, activePhysical: 0.044, longTermPhysical: 0.022 }
+  },
+  'europe-west2': {
+    onDemandPerTiB: 7.82,
+    slotHour: { standard: 0.052, enterprise: 0.078, enterprise_plus: 0.13 },
+    storage: { activeLogical: 0.023, longTermLogical: 0.016, activePhysical: 0.046, longTermPhysical: 0.023 }
+  },
+  'asia-northeast1': {
+    onDemandPerTiB: 7.50,
+    slotHour: { standard: 0.051, enterprise: 0.0765, enterprise_plus: 0.1275 },
+    storage: { activeLogical: 0.023, longTermLogical: 0.016, activePhysical: 0.046, longTermPhysical: 0.023 }
+  }
+};
+
+/**
+ * Look up the list prices for a region, applying configured overrides
+ * @param {Object} settings - Global settings, optionally with settings.pricing.regions
+ * @param {string} regionName - Normalized region name
+ * @returns {Object} - {onDemandPerTiB, slotHour, storage}
+ */
+function getRegionPrices(settings = {}, regionName = 'us') {
+  const builtIn = REGION_PRICES[regionName] || {};
+  const configured = (settings.pricing && settings.pricing.regions && settings.pricing.regions[regionName]) || {};
+
+  return {
+    ...REGION_PRICES.us,
+    ...builtIn,
+    ...configured,
+    storage: {
+      ...REGION_PRICES.us.storage,
+      ...(builtIn.storage || {}),
+      ...(configured.storage || {})
+    }
+  };
+}
+
+/**
+ * Normalize an edition name, accepting "Enterprise Plus" style spellings
+ * @param {string} edition - Edition name from configuration
+ * @returns {string} - Edition key (standard, enterprise, enterprise_plus)
+ */
+function normalizeEdition(edition) {
+  return String(edition || 'enterprise').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Resolve the pricing for a project in a region
+ * @param {Object} project - Project configuration, optionally with a `pricing` block
+ * @param {Object} settings - Global settings, optionally with a `pricing` block
+ * @param {string} regionName - Normalized region name (e.g. us, asia-northeast1)
+ * @param {Object} [overrides] - Explicit overrides, e.g. {onDemandPerTiB} from the CLI
+ * @returns {Object} - {model, edition, onDemandPerTiB, slotHourPrice, freeTierTiB, billingAccount}
+ */
+function resolvePricing(project, settings = {}, regionName = 'us', overrides = {}) {
+  const pricing = {
+    ...(settings.pricing || {}),
+    ...(project.pricing || {})
+  };
+
+  const model = pricing.model || 'on-demand';
+  const edition = normalizeEdition(pricing.edition);
+
+  // Configured region prices take precedence over the built-in table
+  const regionPrices = getRegionPrices(settings, regionName);
+
+  const onDemandPerTiB = overrides.onDemandPerTiB ||
+                         pricing.onDemandPerTiB ||
+                         settings.costPerTerabyte || // Legacy flat rate
+                         regionPrices.onDemandPerTiB;
+
+  const slotHourPrice = pricing.slotHourPrice ||
+                        (regionPrices.slotHour && regionPrices.slotHour[edition]) ||
+                        REGION_PRICES.us.slotHour[edition];
+
+  // The free tier only applies to on-demand queries
+  const freeTierTiB = model === 'on-demand'
+    ? (pricing.freeTierTiB !== undefined ? pricing.freeTierTiB : DEFAULT_FREE_TIER_TIB)
+    : 0;
+
+  return {
+    model,
+    edition,
+    onDemandPerTiB,
+    slotHourPrice,
+    freeTierTiB,
+    // Projects on the same billing account share its free tier
+    billingAccount: pricing.billingAccount || null
+  };
+}
+
+/**
+ * Build the cost query parameters for a resolved pricing
+ * @param {Object} pricing - Resolved pricing from resolvePricing
+ * @returns {Object} - Query parameters consumed by cost_query.sql
+ */
+function toQueryParams(pricing) {
+  return {
+    on_demand_price_per_tib: pricing.onDemandPerTiB,
+    slot_hour_price: pricing.slotHourPrice,
+    use_capacity_pricing: pricing.model === 'capacity'
+  };
+}
+
+/**
+ * Scale the cost fields of breakdown entries to a share of their cost before the free tier
+ *
+ * The cost before the free tier is kept in gross_<field> the first time an
+ * entry is scaled, so scaling again starts from it rather than compounding.
+ *
+ * @param {Array} entries - Breakdown entries, modified in place
+ * @param {string[]} fields - Cost fields of the entries
+ * @param {number} factor - Share of the cost that remains after the free tier
+ */
+function scaleBreakdown(entries, fields, factor) {
+  (entries || []).forEach(entry => {
+    fields.forEach(field => {
+      const grossField = `gross_${field}`;
+      if (entry[grossField] === undefined) {
+        // Entries the free tier never touched are left as they are
+        if (factor === 1 || typeof entry[field] !== 'number') return;
+        entry[grossField] = entry[field];
+      }
+      entry[field] = Math.round(entry[grossField] * factor * 100) / 100;
+    });
+  });
+}
+
+/**
+ * Apply the monthly on-demand free tier to daily cost rows
+ *
+ * The free bytes of each calendar month are consumed in date order, and each
+ * row's estimated_cost_usd becomes its gross cost minus the free tier credit.
+ * The gross cost is kept in gross_cost_usd so that the credit can be
+ * recomputed after merging new rows into an existing history. The dataset,
+ * table, label and time breakdowns are scaled by the same share, so they
+ * still add up to the row's cost; the costs of the recent queries stay gross.
+ *
+ * @param {Array} rows - Cost rows, modified in place
+ * @param {Object} pricing - Resolved pricing from resolvePricing
+ * @returns {number} - Total free tier credit in USD
+ */
+function applyFreeTier(rows, pricing) {
+  return applySharedFreeTier([{ rows, pricing }]);
+}
+
+/**
+ * Apply one monthly on-demand free tier to the daily cost rows of several projects
+ *
+ * The free tier belongs to the billing account, so projects billed to the
+ * same account consume the free bytes of each month together, in date order
+ * and on the same day in the order given. Projects on capacity pricing or
+ * with a freeTierTiB of 0 don't consume any. The account's allowance is the
+ * largest freeTierTiB of the projects.
+ *
+ * @param {Array} projects - {rows, pricing} of each project, with the rows modified in place
+ * @returns {number} - Total free tier credit in USD
+ */
+function applySharedFreeTier(projects) {
+  const freeBytesByMonth = {};
+  let totalCredit = 0;
+
+  const allowanceTiB = Math.max(0, ...projects
+    .filter(({ pricing }) => pricing.model === 'on-demand')
+    .map(({ pricing }) => pricing.freeTierTiB));
+
+  const entries = [];
+  projects.forEach(({ rows, pricing }) => rows.forEach(row => entries.push({ row, pricing })));
+  const ordered = entries.sort((a, b) => (a.row.date < b.row.date ? -1 : a.row.date > b.row.date ? 1 : 0));
+
+  ordered.forEach(({ row, pricing }) => {
+    const gross = row.gross_cost_usd !== undefined ? row.gross_cost_usd : (row.estimated_cost_usd || 0);
+    row.gross_cost_usd = gross;
+
+    let credit = 0;
+    const bytesBilled = row.total_bytes_billed || 0;
+
+    if (pricing.model === 'on-demand' && pricing.freeTierTiB > 0 && bytesBilled > 0) {
+      const month = String(row.date).substring(0, 7);
+      if (freeBytesByMonth[month] === undefined) {
+        freeBytesByMonth[month] = allowanceTiB * BYTES_PER_TIB;
+      }
+
+      const freeBytes = Math.min(freeBytesByMonth[month], bytesBilled);
+      freeBytesByMonth[month] -= freeBytes;
+
+      // Credit the row's share of its own on-demand cost so regional rates are respected
+      const onDemandCost = row.on_demand_cost_usd !== undefined ? row.on_demand_cost_usd : gross;
+      credit = Math.round(onDemandCost * (freeBytes / bytesBilled) * 100) / 100;
+    }
+
+    row.free_tier_credit_usd = credit;
+    row.estimated_cost_usd = Math.max(0, Math.round((gross - credit) * 100) / 100);
+
+    const factor = gross > 0 ? row.estimated_cost_usd / gross : 1;
+    Object.entries(BREAKDOWN_COST_FIELDS).forEach(([breakdown, fields]) => {
+      scaleBreakdown(row[breakdown], fields, factor);
+    });
+    (row.label_costs || []).forEach(label => scaleBreakdown(label.dataset_costs, BREAKDOWN_COST_FIELDS.dataset_costs, factor));
+    row.pricing_model = pricing.model;
+    totalCredit += credit;
+  });
+
+  return totalCredit;
+}
+
+/**
+ * Validate a pricing block from configuration
+ * @param {Object} pricing - Pricing block
+ * @param {string} label - Where the block lives, used in error messages
+ * @returns {string[]} - Validation errors
+ */
+function validatePricing(pricing, label) {
+  const errors = [];
+
+  if (typeof pricing !== 'object' || pricing === null || Array.isArray(pricing)) {
+    return [`${label} must be an object`];
+  }
+
+  if (pricing.model !== undefined && !PRICING_MODELS.includes(pricing.model)) {
+    errors.push(`${label}.model must be one of: ${PRICING_MODELS.join(', ')}`);
+  }
+
+  if (pricing.edition !== undefined && !EDITIONS.includes(normalizeEdition(pricing.edition))) {
+    errors.push(`${label}.edition must be one of: ${EDITIONS.join(', ')}`);
+  }
+
+  ['onDemandPerTiB', 'slotHourPrice'].forEach(key => {
+    if (pricing[key] !== undefined && (typeof pricing[key] !== 'number' || pricing[key] <= 0)) {
+      errors.push(`${label}.${key} must be a positive number`);
+    }
+  });
+
+  if (pricing.freeTierTiB !== undefined && (typeof pricing.freeTierTiB !== 'number' || pricing.freeTierTiB < 0)) {
+    errors.push(`${label}.freeTierTiB must be a non-negative number`);
+  }
+
+  if (pricing.billingAccount !== undefined && (typeof pricing.billingAccount !== 'string' || !pricing.billingAccount.trim())) {
+    errors.push(`${label}.billingAccount must be a non-empty string`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  resolvePricing,
+  getRegionPrices,
+  toQueryParams,
+  applyFreeTier,
+  applySharedFreeTier,
+  validatePricing,
+  PRICING_MODELS,
+  EDITIONS,
+  REGION_PRICES
+};
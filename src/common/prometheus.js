@@ -0,0 +1,361 @@
+/**
+ * Prometheus metrics for BigQuery Cost Monitor
+ *
+ * The dashboard server exposes the cost collected so far today as gauges in
+ * the OpenMetrics text format (or the classic Prometheus text format for
+ * scrapers that don't ask for OpenMetrics): per project, per user or service
+ * account and per dataset. Principals and datasets beyond the most expensive
+ * ones are summed into "other" to bound the number of series. Health gauges
+ * describe the collection runs, so a scraper can alert on a stale collector.
+ */
+
+const moment = require('moment');
+
+const METRIC_PREFIX = 'bq_cost_monitor';
+
+const DEFAULT_PROMETHEUS_SETTINGS = {
+  enabled: true,
+  // Principals and datasets published individually per project; the rest are summed into "other"
+  topN: 20
+};
+
+const OTHER_LABEL = 'other';
+
+// Runs read to find the last success of each project
+const MAX_RUNS_SCANNED = 50;
+
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Measures of each scope, read from the summed totals of a project, principal or dataset
+const MEASURES = {
+  cost: {
+    name: 'daily_cost_usd',
+    unit: 'usd',
+    help: 'Estimated BigQuery query cost so far today (UTC)',
+    value: totals => totals.cost
+  },
+  bytesBilled: {
+    name: 'daily_billed_bytes',
+    unit: 'bytes',
+    help: 'Bytes billed by BigQuery queries so far today (UTC)',
+    value: totals => totals.bytesBilled
+  },
+  queries: {
+    name: 'daily_queries',
+    help: 'BigQuery queries run so far today (UTC)',
+    value: totals => totals.queries
+  },
+  cacheHitRatio: {
+    name: 'daily_cache_hit_ratio',
+    help: 'Share of today\'s BigQuery queries (UTC) answered from the cache',
+    value: totals => (totals.queries > 0 ? totals.cacheHits / totals.queries : 0)
+  },
+  slotHours: {
+    name: 'daily_slot_hours',
+    help: 'Slot hours used by BigQuery queries so far today (UTC)',
+    value: totals => totals.slotHours
+  }
+};
+
+// Dataset costs don't record cache hits or slot usage
+const SCOPES = {
+  project: { prefix: 'project', measures: Object.keys(MEASURES) },
+  principal: { prefix: 'principal', measures: Object.keys(MEASURES) },
+  dataset: { prefix: 'dataset', measures: ['cost', 'bytesBilled', 'queries'] }
+};
+
+/**
+ * Resolve the Prometheus settings
+ * @param {Object} settings - Global settings, optionally with a `prometheus` block
+ * @returns {Object} - Effective Prometheus settings
+ */
+function resolvePrometheusSettings(settings = {}) {
+  return {
+    ...DEFAULT_PROMETHEUS_SETTINGS,
+    ...(settings.prometheus || {})
+  };
+}
+
+/**
+ * Create empty totals
+ * @returns {Object} - Totals
+ */
+function emptyTotals() {
+  return { cost: 0, bytesBilled: 0, queries: 0, cacheHits: 0, slotHours: 0 };
+}
+
+/**
+ * Add totals to a keyed map of totals
+ * @param {Object} map - Map of key to totals
+ * @param {string} key - Key to add to
+ * @param {Object} totals - Totals to add
+ */
+function addTotals(map, key, totals) {
+  const target = map[key] || (map[key] = emptyTotals());
+  Object.keys(target).forEach(field => {
+    target[field] += totals[field] || 0;
+  });
+}
+
+/**
+ * Keep the most expensive keys and fold the rest into "other"
+ * @param {Object} map - Map of key to totals
+ * @param {number} limit - Number of keys to keep
+ * @returns {Object} - Map of key to totals
+ */
+function topTotals(map, limit) {
+  const sorted = Object.entries(map).sort((a, b) => b[1].cost - a[1].cost);
+  const kept = {};
+
+  sorted.slice(0, limit).forEach(([key, totals]) => {
+    kept[key] = totals;
+  });
+
+  sorted.slice(limit).forEach(([, totals]) => addTotals(kept, OTHER_LABEL, totals));
+
+  return kept;
+}
+
+/**
+ * Sum a project's rows of one day per project, principal and dataset
+ * @param {Array} rows - Daily cost rows of the project
+ * @param {Object} [options] - Options
+ * @param {string} [options.date] - Day to sum (YYYY-MM-DD), defaults to today (UTC)
+ * @param {number} [options.topN] - Principals and datasets kept individually
+ * @returns {Object} - {project, principals, datasets}, each of totals
+ */
+function summarizeRows(rows, options = {}) {
+  const settings = { ...DEFAULT_PROMETHEUS_SETTINGS, ...options };
+  const date = options.date || moment.utc().format('YYYY-MM-DD');
+
+  const projects = {};
+  const principals = {};
+  const datasets = {};
+
+  rows.filter(row => row.date === date).forEach(row => {
+    const totals = {
+      cost: row.estimated_cost_usd || 0,
+      bytesBilled: row.total_bytes_billed || 0,
+      queries: row.query_count || 0,
+      cacheHits: row.cache_hit_count || 0,
+      slotHours: row.slot_hours || 0
+    };
+
+    addTotals(projects, 'project', totals);
+    addTotals(principals, row.service_account || row.user_email || 'Unknown', totals);
+
+    (row.dataset_costs || []).forEach(ds => {
+      if (ds.dataset) {
+        addTotals(datasets, ds.dataset, {
+          cost: ds.dataset_cost_usd || 0,
+          bytesBilled: ds.bytes_billed || 0,
+          queries: ds.query_count || 0
+        });
+      }
+    });
+  });
+
+  return {
+    project: projects.project || emptyTotals(),
+    principals: topTotals(principals, settings.topN),
+    datasets: topTotals(datasets, settings.topN)
+  };
+}
+
+/**
+ * Create a gauge family
+ * @param {string} name - Metric name without the prefix
+ * @param {string} help - Description
+ * @param {string} [unit] - OpenMetrics unit, which must end the name
+ * @returns {Object} - Metric family {name, help, unit, type, samples}
+ */
+function gauge(name, help, unit) {
+  return { name: `${METRIC_PREFIX}_${name}`, help, unit, type: 'gauge', samples: [] };
+}
+
+/**
+ * Build the cost gauges of several projects
+ * @param {string[]} projectIds - Monitored projects
+ * @param {Function} loadRows - Called with (projectId, date) to read a project's rows of a day
+ * @param {Object} [options] - Prometheus settings from resolvePrometheusSettings, plus date
+ * @returns {Array} - Metric families
+ */
+function buildCostMetrics(projectIds, loadRows, options = {}) {
+  const date = options.date || moment.utc().format('YYYY-MM-DD');
+  const families = {};
+
+  Object.entries(SCOPES).forEach(([scope, { prefix, measures }]) => {
+    families[scope] = {};
+    measures.forEach(measure => {
+      const { name, help, unit } = MEASURES[measure];
+      families[scope][measure] = gauge(`${prefix}_${name}`, help, unit);
+    });
+  });
+
+  /**
+   * Add a sample of every measure of a scope
+   * @param {string} scope - Key of SCOPES
+   * @param {Object} labels - Sample labels
+   * @param {Object} totals - Summed totals
+   */
+  const addSamples = (scope, labels, totals) => {
+    SCOPES[scope].measures.forEach(measure => {
+      families[scope][measure].samples.push({ labels, value: MEASURES[measure].value(totals) });
+    });
+  };
+
+  projectIds.forEach(projectId => {
+    const summary = summarizeRows(loadRows(projectId, date), { ...options, date });
+
+    addSamples('project', { project_id: projectId }, summary.project);
+    Object.entries(summary.principals).forEach(([principal, totals]) => {
+      addSamples('principal', { project_id: projectId, principal }, totals);
+    });
+    Object.entries(summary.datasets).forEach(([dataset, totals]) => {
+      addSamples('dataset', { project_id: projectId, dataset }, totals);
+    });
+  });
+
+  return Object.values(families).flatMap(scope => Object.values(scope));
+}
+
+/**
+ * Build the collector health gauges from the run records
+ * @param {Array} runs - Run records, newest first
+ * @param {string[]} projectIds - Monitored projects
+ * @returns {Array} - Metric families
+ */
+function buildHealthMetrics(runs, projectIds) {
+  const lastRun = gauge('last_run_timestamp_seconds', 'When the latest collection run finished', 'seconds');
+  const lastDuration = gauge('last_run_duration_seconds', 'How long the latest collection run took', 'seconds');
+  const lastStatus = gauge('last_run_status', 'Status of the latest collection run, 1 for the current status');
+  const lastSuccess = gauge('last_success_timestamp_seconds', 'When the latest fully successful collection run finished', 'seconds');
+  const projectSuccess = gauge('project_last_success_timestamp_seconds', 'When a project was last collected successfully', 'seconds');
+  const projectError = gauge('project_last_run_error', 'Whether the latest collection of a project failed');
+  const projectAttempts = gauge('project_last_run_attempts', 'Attempts the latest collection of a project took');
+
+  const seconds = timestamp => new Date(timestamp).getTime() / 1000;
+
+  const [latest] = runs;
+  if (latest) {
+    lastRun.samples.push({ labels: {}, value: seconds(latest.finishedAt) });
+    lastDuration.samples.push({ labels: {}, value: latest.durationSeconds || 0 });
+    ['success', 'partial', 'failed'].forEach(status => {
+      lastStatus.samples.push({ labels: { status }, value: latest.status === status ? 1 : 0 });
+    });
+  }
+
+  const success = runs.find(run => run.status === 'success');
+  if (success) {
+    lastSuccess.samples.push({ labels: {}, value: seconds(success.finishedAt) });
+  }
+
+  projectIds.forEach(projectId => {
+    const labels = { project_id: projectId };
+    const results = runs
+      .map(run => ({ run, result: run.projects.find(project => project.project === projectId) }))
+      .filter(({ result }) => result);
+
+    if (results.length > 0) {
+      const { result } = results[0];
+      projectError.samples.push({ labels, value: result.status === 'success' ? 0 : 1 });
+      projectAttempts.samples.push({ labels, value: result.attempts || 0 });
+    }
+
+    const lastProjectSuccess = results.find(({ result }) => result.status === 'success');
+    if (lastProjectSuccess) {
+      projectSuccess.samples.push({ labels, value: seconds(lastProjectSuccess.run.finishedAt) });
+    }
+  });
+
+  return [lastRun, lastDuration, lastStatus, lastSuccess, projectSuccess, projectError, projectAttempts];
+}
+
+/**
+ * Escape a label value
+ * @param {*} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample value
+ * @param {number} value - Sample value
+ * @returns {string} - Value in the exposition format
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(Math.round(value * 1e6) / 1e6);
+}
+
+/**
+ * Render metric families in the text exposition format
+ * @param {Array} families - Metric families {name, help, unit, type, samples}
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.openMetrics] - Render OpenMetrics rather than the Prometheus text format
+ * @returns {string} - Exposition
+ */
+function renderMetrics(families, options = {}) {
+  const lines = [];
+
+  families.forEach(family => {
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    if (family.unit && options.openMetrics) {
+      lines.push(`# UNIT ${family.name} ${family.unit}`);
+    }
+    lines.push(`# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+
+    family.samples.forEach(({ labels, value }) => {
+      const pairs = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`);
+      lines.push(`${family.name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${formatValue(value)}`);
+    });
+  });
+
+  if (options.openMetrics) {
+    lines.push('# EOF');
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Validate the prometheus block of the settings
+ * @param {Object} prometheus - Prometheus settings
+ * @param {string} label - Where the block lives, used in error messages
+ * @returns {string[]} - Validation errors
+ */
+function validatePrometheusSettings(prometheus, label) {
+  const errors = [];
+
+  if (typeof prometheus !== 'object' || prometheus === null || Array.isArray(prometheus)) {
+    return [`${label} must be an object`];
+  }
+
+  if (prometheus.enabled !== undefined && typeof prometheus.enabled !== 'boolean') {
+    errors.push(`${label}.enabled must be a boolean`);
+  }
+
+  if (prometheus.topN !== undefined && (!Number.isInteger(prometheus.topN) || prometheus.topN < 0)) {
+    errors.push(`${label}.topN must be a non-negative integer`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  summarizeRows,
+  buildCostMetrics,
+  buildHealthMetrics,
+  renderMetrics,
+  resolvePrometheusSettings,
+  validatePrometheusSettings,
+  DEFAULT_PROMETHEUS_SETTINGS,
+  MAX_RUNS_SCANNED,
+  OPENMETRICS_CONTENT_TYPE,
+  PROMETHEUS_CONTENT_TYPE
+};
@@ -0,0 +1,72 @@
+/**
+ * BigQuery region helpers for BigQuery Cost Monitor
+ *
+ * INFORMATION_SCHEMA views are regional, so each configured region has to be
+ * queried separately with its own `region-<name>` qualifier.
+ */
+
+// Placeholder used in the SQL files for the region qualifier
+const REGION_PLACEHOLDER = /\{\{region\}\}/g;
+
+// Multi-region and regional names, e.g. us, eu, asia-northeast1, europe-west2
+const REGION_PATTERN = /^[a-z]+(-[a-z]+[0-9]+)?$/;
+
+// Multi-regions are addressed in upper case when used as a job location
+const MULTI_REGIONS = ['us', 'eu'];
+
+/**
+ * Normalize a region name from configuration
+ * @param {string} region - Region or location name (e.g. "US", "asia-northeast1")
+ * @returns {Object} - {name, location} where name is the lower-case qualifier suffix
+ */
+function normalizeRegion(region) {
+  const name = String(region || '').trim().toLowerCase();
+
+  if (!REGION_PATTERN.test(name)) {
+    throw new Error(`Invalid BigQuery region: ${region}`);
+  }
+
+  return {
+    name,
+    location: MULTI_REGIONS.includes(name) ? name.toUpperCase() : name
+  };
+}
+
+/**
+ * Resolve the regions to collect for a project
+ * @param {Object} project - Project configuration
+ * @param {string} defaultLocation - Location to use when the project lists none
+ * @returns {Array<Object>} - Normalized regions without duplicates
+ */
+function resolveProjectRegions(project, defaultLocation) {
+  const configured = Array.isArray(project.regions) && project.regions.length > 0
+    ? project.regions
+    : [project.location || defaultLocation];
+
+  const regions = [];
+  configured.forEach(region => {
+    const normalized = normalizeRegion(region);
+    if (!regions.some(r => r.name === normalized.name)) {
+      regions.push(normalized);
+    }
+  });
+
+  return regions;
+}
+
+/**
+ * Substitute the region qualifier into a SQL query
+ * @param {string} sql - SQL containing the `{{region}}` placeholder
+ * @param {Object} region - Normalized region
+ * @returns {string} - SQL targeting the region's INFORMATION_SCHEMA
+ */
+function applyRegion(sql, region) {
+  return sql.replace(REGION_PLACEHOLDER, region.name);
+}
+
+module.exports = {
+  normalizeRegion,
+  resolveProjectRegions,
+  applyRegion,
+  REGION_PATTERN
+};
@@ -0,0 +1,198 @@
+/**
+ * Collection run records for BigQuery Cost Monitor
+ *
+ * Every collection run gets a run ID and a record of its parameters, duration
+ * and per-project status, stored as one JSON file per run:
+ *
+ *   <runs>/<runId>.json
+ *
+ * Run IDs start with the UTC start time, so they sort chronologically.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment');
+const { logger } = require('./logger');
+
+// Default location of the run records
+const DEFAULT_RUNS_PATH = path.join(__dirname, '../../output/runs');
+
+const RUN_ID_PATTERN = /^\d{8}T\d{6}Z-[0-9a-f]{6}$/;
+
+/**
+ * Resolve the directory of the run records
+ * @param {string} [runsPath] - Explicit runs directory
+ * @returns {string} - Runs directory
+ */
+function resolveRunsPath(runsPath) {
+  return runsPath || process.env.RUNS_PATH || DEFAULT_RUNS_PATH;
+}
+
+/**
+ * Create a new run ID
+ * @param {Date} [startedAt] - When the run started
+ * @returns {string} - Run ID, e.g. 20240131T060000Z-1a2b3c
+ */
+function createRunId(startedAt = new Date()) {
+  return `${moment.utc(startedAt).format('YYYYMMDD[T]HHmmss[Z]')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Check whether a string is a well-formed run ID
+ * @param {string} runId - Candidate run ID
+ * @returns {boolean} - Whether it is a run ID
+ */
+function isRunId(runId) {
+  return typeof runId === 'string' && RUN_ID_PATTERN.test(runId);
+}
+
+/**
+ * Build the record of a finished run
+ * @param {Object} run - Run details
+ * @param {string} run.runId - The run ID
+ * @param {Date} run.startedAt - When the run started
+ * @param {string} run.trigger - What started the run (cli, cloud-function)
+ * @param {Object} run.params - Parameters the run was started with
+ * @param {Array} run.results - Per-project results from monitorProjects
+ * @param {Array} [run.budgets] - Budget statuses after the run
+ * @returns {Object} - Run record
+ */
+function buildRunRecord({ runId, startedAt, trigger, params, results, budgets = [] }) {
+  const finishedAt = new Date();
+  const succeeded = results.filter(result => result.status === 'success').length;
+
+  let status = 'success';
+  if (succeeded === 0 && results.length > 0) {
+    status = 'failed';
+  } else if (succeeded < results.length) {
+    status = 'partial';
+  }
+
+  return {
+    runId,
+    trigger,
+    status,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationSeconds: (finishedAt - startedAt) / 1000,
+    params,
+    // The rows themselves live in the history store
+    projects: results.map(({ data, errorDetails, ...result }) => result),
+    budgets
+  };
+}
+
+/**
+ * Persist a run record
+ * @param {Object} record - Run record from buildRunRecord
+ * @param {string} [runsPath] - Runs directory
+ * @returns {string} - Path of the run file
+ */
+function saveRun(record, runsPath) {
+  const filePath = path.join(resolveRunsPath(runsPath), `${record.runId}.json`);
+
+  fs.ensureDirSync(path.dirname(filePath));
+  fs.writeJsonSync(filePath, record, { spaces: 2 });
+
+  return filePath;
+}
+
+/**
+ * Load a run record
+ * @param {string} runId - The run ID
+ * @param {string} [runsPath] - Runs directory
+ * @returns {Object|null} - Run record, or null if there is no such run
+ */
+function getRun(runId, runsPath) {
+  if (!isRunId(runId)) {
+    return null;
+  }
+
+  const filePath = path.join(resolveRunsPath(runsPath), `${runId}.json`);
+
+  try {
+    return fs.existsSync(filePath) ? fs.readJsonSync(filePath) : null;
+  } catch (error) {
+    logger.warn(`Failed to read run ${runId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * List run IDs
+ * @param {string} [runsPath] - Runs directory
+ * @returns {string[]} - Run IDs, newest first
+ */
+function listRunIds(runsPath) {
+  const dir = resolveRunsPath(runsPath);
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .map(file => file.replace(/\.json$/, ''))
+    .filter(isRunId)
+    .sort()
+    .reverse();
+}
+
+/**
+ * List runs with their metadata and a status line per project
+ * @param {Object} [options] - Listing options
+ * @param {number} [options.limit] - Maximum number of runs to return
+ * @param {string} [options.projectId] - Only runs that monitored this project
+ * @param {string} [runsPath] - Runs directory
+ * @returns {Array} - Runs, newest first
+ */
+function listRuns(options = {}, runsPath) {
+  const runs = [];
+
+  for (const runId of listRunIds(runsPath)) {
+    if (options.limit && runs.length >= options.limit) break;
+
+    const run = getRun(runId, runsPath);
+    if (!run) continue;
+    if (options.projectId && !run.projects.some(project => project.project === options.projectId)) continue;
+
+    runs.push({
+      ...run,
+      projects: run.projects.map(project => ({
+        project: project.project,
+        projectName: project.projectName,
+        status: project.status,
+        attempts: project.attempts,
+        records: project.records,
+        totalCost: project.totalCost,
+        anomalies: (project.anomalies || []).length,
+        elapsedTime: project.elapsedTime,
+        error: project.error
+      }))
+    });
+  }
+
+  return runs;
+}
+
+/**
+ * Get the most recent run
+ * @param {string} [runsPath] - Runs directory
+ * @returns {Object|null} - Run record, or null if nothing has run yet
+ */
+function getLatestRun(runsPath) {
+  const [latest] = listRunIds(runsPath);
+  return latest ? getRun(latest, runsPath) : null;
+}
+
+module.exports = {
+  createRunId,
+  isRunId,
+  buildRunRecord,
+  saveRun,
+  getRun,
+  listRunIds,
+  listRuns,
+  getLatestRun,
+  DEFAULT_RUNS_PATH
+};
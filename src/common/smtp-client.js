@@ -0,0 +1,104 @@
+/**
+ * SMTP delivery for BigQuery Cost Monitor
+ *
+ * Sends notifications and digests through a mail server with nodemailer,
+ * over plain SMTP, SMTP with STARTTLS or implicit TLS, with optional
+ * authentication. Failures are raised as SmtpError with the server's reply
+ * code, so callers can tell temporary failures from permanent ones.
+ */
+
+const nodemailer = require('nodemailer');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Error returned by an SMTP server or raised by the connection
+ */
+class SmtpError extends Error {
+  constructor(message, responseCode, code) {
+    super(message);
+    this.name = 'SmtpError';
+    this.responseCode = responseCode;
+    this.code = code;
+  }
+}
+
+/**
+ * Create a transport for one message
+ * @param {Object} options - SMTP options, see sendMail
+ * @returns {Object} - nodemailer transport
+ */
+function createTransport(options) {
+  const timeout = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  return nodemailer.createTransport({
+    host: options.host,
+    port: options.port || (options.secure ? 465 : 587),
+    secure: options.secure === true,
+    ignoreTLS: options.ignoreTLS === true,
+    auth: options.auth && options.auth.user ? { user: options.auth.user, pass: options.auth.pass || '' } : undefined,
+    tls: { rejectUnauthorized: options.rejectUnauthorized !== false },
+    connectionTimeout: timeout,
+    greetingTimeout: timeout,
+    socketTimeout: timeout
+  });
+}
+
+/**
+ * Convert a nodemailer error into an SmtpError
+ *
+ * Connection errors keep the code of the underlying socket error, such as
+ * ECONNREFUSED, rather than nodemailer's generic ESOCKET.
+ *
+ * @param {Error} error - Error raised by nodemailer
+ * @returns {SmtpError} - Error with the reply code, if the server sent one
+ */
+function toSmtpError(error) {
+  if (!error.responseCode) {
+    const socketCode = (error.message.match(/\b(E[A-Z]+)\b/) || [])[1];
+    return new SmtpError(error.message, undefined, socketCode || error.code);
+  }
+
+  // nodemailer names the failed command, but AUTH commands carry the credentials
+  const command = /^AUTH/i.test(error.command || '') ? 'AUTH' : error.command;
+  return new SmtpError(`SMTP ${command || 'greeting'} failed: ${error.response}`, error.responseCode, error.code);
+}
+
+/**
+ * Send an email
+ * @param {Object} options - SMTP options
+ * @param {string} options.host - SMTP server host
+ * @param {number} [options.port] - Port, defaults to 465 with secure and 587 otherwise
+ * @param {boolean} [options.secure] - Use implicit TLS
+ * @param {boolean} [options.ignoreTLS] - Don't upgrade with STARTTLS even if offered
+ * @param {boolean} [options.rejectUnauthorized] - Verify the server certificate (default true)
+ * @param {Object} [options.auth] - Credentials {user, pass}
+ * @param {number} [options.timeoutMs] - Connection, greeting and socket timeout
+ * @param {Object} message - Message {from, to, subject, text, html}
+ * @returns {Promise<Object>} - {accepted, response}
+ */
+async function sendMail(options, message) {
+  const transport = createTransport(options);
+  const recipients = Array.isArray(message.to) ? message.to : [message.to];
+
+  try {
+    const info = await transport.sendMail({
+      from: message.from,
+      to: recipients,
+      subject: message.subject || '',
+      text: message.text || '',
+      html: message.html
+    });
+
+    return { accepted: info.accepted, response: info.response };
+  } catch (error) {
+    throw toSmtpError(error);
+  } finally {
+    transport.close();
+  }
+}
+
+module.exports = {
+  sendMail,
+  SmtpError
+};
@@ -0,0 +1,117 @@
+/**
+ * Storage cost calculations for BigQuery Cost Monitor
+ *
+ * Turns INFORMATION_SCHEMA.TABLE_STORAGE rows into monthly storage costs per
+ * table and dataset, under both the logical and the physical billing model.
+ */
+
+const BYTES_PER_GIB = Math.pow(1024, 3);
+
+/**
+ * Round a USD amount to cents
+ * @param {number} value - Amount in USD
+ * @returns {number} - Rounded amount
+ */
+function roundCost(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Compute the monthly storage cost of a single table
+ * @param {Object} row - Row from storage_query.sql
+ * @param {Object} prices - Storage prices per GiB-month {activeLogical, longTermLogical, activePhysical, longTermPhysical}
+ * @returns {Object} - The row with logical, physical and current monthly costs added
+ */
+function computeTableStorageCost(row, prices) {
+  const gib = bytes => (bytes || 0) / BYTES_PER_GIB;
+
+  const logicalCost = gib(row.active_logical_bytes) * prices.activeLogical +
+                      gib(row.long_term_logical_bytes) * prices.longTermLogical;
+
+  // Physical billing also charges time travel (part of active) and fail-safe bytes
+  const physicalCost = (gib(row.active_physical_bytes) + gib(row.fail_safe_physical_bytes)) * prices.activePhysical +
+                       gib(row.long_term_physical_bytes) * prices.longTermPhysical;
+
+  const billingModel = row.storage_billing_model === 'PHYSICAL' ? 'PHYSICAL' : 'LOGICAL';
+
+  return {
+    ...row,
+    storage_billing_model: billingModel,
+    logical_monthly_cost_usd: roundCost(logicalCost),
+    physical_monthly_cost_usd: roundCost(physicalCost),
+    monthly_cost_usd: roundCost(billingModel === 'PHYSICAL' ? physicalCost : logicalCost)
+  };
+}
+
+/**
+ * Aggregate table storage costs per dataset
+ * @param {Array} tables - Tables with costs from computeTableStorageCost
+ * @returns {Array} - Datasets sorted by current monthly cost
+ */
+function summarizeStorageByDataset(tables) {
+  const datasets = {};
+
+  tables.forEach(table => {
+    const key = `${table.region || ''}|${table.dataset}`;
+
+    if (!datasets[key]) {
+      datasets[key] = {
+        dataset: table.dataset,
+        region: table.region,
+        storage_billing_model: table.storage_billing_model,
+        table_count: 0,
+        total_logical_bytes: 0,
+        active_logical_bytes: 0,
+        long_term_logical_bytes: 0,
+        total_physical_bytes: 0,
+        active_physical_bytes: 0,
+        long_term_physical_bytes: 0,
+        time_travel_physical_bytes: 0,
+        fail_safe_physical_bytes: 0,
+        logical_monthly_cost_usd: 0,
+        physical_monthly_cost_usd: 0,
+        monthly_cost_usd: 0
+      };
+    }
+
+    const dataset = datasets[key];
+    dataset.table_count++;
+    [
+      'total_logical_bytes',
+      'active_logical_bytes',
+      'long_term_logical_bytes',
+      'total_physical_bytes',
+      'active_physical_bytes',
+      'long_term_physical_bytes',
+      'time_travel_physical_bytes',
+      'fail_safe_physical_bytes',
+      'logical_monthly_cost_usd',
+      'physical_monthly_cost_usd',
+      'monthly_cost_usd'
+    ].forEach(field => {
+      dataset[field] += (table[field] || 0);
+    });
+  });
+
+  return Object.values(datasets)
+    .map(dataset => {
+      const logical = roundCost(dataset.logical_monthly_cost_usd);
+      const physical = roundCost(dataset.physical_monthly_cost_usd);
+
+      return {
+        ...dataset,
+        logical_monthly_cost_usd: logical,
+        physical_monthly_cost_usd: physical,
+        monthly_cost_usd: roundCost(dataset.monthly_cost_usd),
+        // The billing model is set per dataset, so compare the two totals
+        recommended_billing_model: physical < logical ? 'PHYSICAL' : 'LOGICAL',
+        potential_monthly_savings_usd: roundCost(Math.max(0, dataset.monthly_cost_usd - Math.min(logical, physical)))
+      };
+    })
+    .sort((a, b) => b.monthly_cost_usd - a.monthly_cost_usd);
+}
+
+module.exports = {
+  computeTableStorageCost,
+  summarizeStorageByDataset
+};
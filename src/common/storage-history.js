@@ -0,0 +1,96 @@
+/**
+ * Storage history for BigQuery Cost Monitor
+ *
+ * Keeps the table storage collected by each run in a history store of its
+ * own, with a row per table and day, partitioned like the cost history:
+ *
+ *   <store>/<projectId>/<YYYY-MM>.json
+ *
+ * A run replaces the day it collected, so tables that are gone drop out of
+ * it, and like the costs the storage can be read back as of an earlier run.
+ */
+
+const path = require('path');
+const { upsertRows, queryRows, listMonths } = require('./history-store');
+const { summarizeStorageByDataset } = require('./storage-costs');
+
+// Default location of the storage history
+const DEFAULT_STORAGE_STORE_PATH = path.join(__dirname, '../../output/storage');
+
+/**
+ * Resolve the directory of the storage history
+ * @param {string} [storePath] - Explicit store directory
+ * @returns {string} - Store directory
+ */
+function resolveStorePath(storePath) {
+  return storePath || process.env.STORAGE_STORE_PATH || DEFAULT_STORAGE_STORE_PATH;
+}
+
+/**
+ * Build the key that identifies a table's storage on a day
+ * @param {Object} row - Table storage row
+ * @returns {string} - Row key
+ */
+function storageRowKey(row) {
+  return [row.date, row.region || '', row.table_name].join('|');
+}
+
+/**
+ * Store the storage of a project's tables as collected on a day
+ * @param {string} projectId - The project ID
+ * @param {string} date - Day the storage was collected (YYYY-MM-DD)
+ * @param {Array} tables - Tables with costs from computeTableStorageCost
+ * @param {Object} [options] - Options {runId}
+ * @param {string} [storePath] - Store directory
+ * @returns {Object} - {inserted, updated, unchanged, deleted}
+ */
+function saveStorage(projectId, date, tables, options = {}, storePath) {
+  return upsertRows(projectId, tables.map(table => ({ ...table, date })), {
+    runId: options.runId,
+    // The tables collected are all there are on the day
+    replaceFrom: date,
+    key: storageRowKey
+  }, resolveStorePath(storePath));
+}
+
+/**
+ * Read the most recent storage of a project
+ * @param {string} projectId - The project ID
+ * @param {Object} [options] - Options {asOf}
+ * @param {string} [options.asOf] - Run ID to read the storage as of
+ * @param {string} [storePath] - Store directory
+ * @returns {Object|null} - {project, date, datasets, tables}, or null if no storage was collected
+ */
+function getStorage(projectId, options = {}, storePath) {
+  const resolvedPath = resolveStorePath(storePath);
+
+  // Every day holds all tables, so only the newest month with any rows is read
+  let rows = [];
+  for (const month of listMonths(projectId, resolvedPath).reverse()) {
+    rows = queryRows(projectId, { from: `${month}-01`, to: `${month}-31`, asOf: options.asOf }, resolvedPath);
+    if (rows.length > 0) break;
+  }
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  // Rows come newest day first
+  const { date } = rows[0];
+  const tables = rows
+    .filter(row => row.date === date)
+    .sort((a, b) => b.monthly_cost_usd - a.monthly_cost_usd);
+
+  return {
+    project: projectId,
+    date,
+    datasets: summarizeStorageByDataset(tables),
+    tables
+  };
+}
+
+module.exports = {
+  saveStorage,
+  getStorage,
+  DEFAULT_STORAGE_STORE_PATH
+};
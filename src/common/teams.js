@@ -0,0 +1,343 @@
+/**
+ * Team and cost center mapping for BigQuery Cost Monitor
+ *
+ * A top-level `teams` array assigns principals, datasets and labels to teams,
+ * each with an optional cost center. Every cost row is enriched with the
+ * share of its cost that goes to each team, plus the team and cost center
+ * that get most of it. Cost nothing assigns goes to an "unassigned" team so
+ * gaps in the mapping stay visible.
+ *
+ * A row is assigned in this order:
+ *   1. A principal rule assigns the whole row to its team.
+ *   2. Otherwise the values of the first label key with a matching rule split
+ *      the row between their teams.
+ *   3. The datasets of the cost still left go to the teams of dataset rules.
+ */
+
+const { parseLabelTarget } = require('./budgets');
+const { LABEL_KEY_PATTERN } = require('./labels');
+
+// Team of cost that no rule assigns
+const UNASSIGNED = 'unassigned';
+
+/**
+ * Parse a principal rule
+ * @param {string} rule - Exact principal, "@domain" or "/regex/flags"
+ * @returns {Function} - Returns whether a lower-case principal matches
+ */
+function parsePrincipalRule(rule) {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(rule);
+  if (regex) {
+    const pattern = new RegExp(regex[1], regex[2].includes('i') ? regex[2] : `${regex[2]}i`);
+    return principal => pattern.test(principal);
+  }
+
+  const value = rule.toLowerCase();
+  if (value.startsWith('@')) {
+    return principal => principal.endsWith(value);
+  }
+
+  return principal => principal === value;
+}
+
+/**
+ * Compile the teams section of the configuration into matchers
+ * @param {Array} [teams] - Team definitions
+ * @returns {Object} - Mapping for assignTeamCosts
+ */
+function compileTeamMapping(teams = []) {
+  const mapping = { principals: [], labels: [], datasets: [], costCenters: {} };
+
+  (teams || []).forEach(team => {
+    mapping.costCenters[team.name] = team.costCenter || null;
+
+    (team.principals || []).forEach(rule => {
+      mapping.principals.push({ team: team.name, matches: parsePrincipalRule(rule) });
+    });
+
+    (team.labels || []).forEach(target => {
+      mapping.labels.push({ team: team.name, ...parseLabelTarget(target) });
+    });
+
+    (team.datasets || []).forEach(dataset => {
+      mapping.datasets.push({ team: team.name, dataset });
+    });
+  });
+
+  return mapping;
+}
+
+/**
+ * Find the team of a principal
+ * @param {Object} mapping - Mapping from compileTeamMapping
+ * @param {Object} row - Daily cost row
+ * @returns {string|null} - Team name, or null when no rule matches
+ */
+function principalTeam(mapping, row) {
+  const principals = [row.service_account, row.user_email]
+    .filter(Boolean)
+    .map(principal => principal.toLowerCase());
+
+  const rule = mapping.principals.find(candidate => principals.some(principal => candidate.matches(principal)));
+  return rule ? rule.team : null;
+}
+
+/**
+ * Split cost into pieces per dataset
+ * @param {Array} datasetCosts - Dataset cost entries
+ * @param {number} total - Cost being split; what the datasets don't account for has no dataset
+ * @returns {Array} - Pieces {dataset, cost}, dataset null for the remainder
+ */
+function datasetPieces(datasetCosts, total) {
+  const pieces = (datasetCosts || [])
+    .filter(ds => ds.dataset_cost_usd > 0)
+    .map(ds => ({ dataset: ds.dataset, cost: ds.dataset_cost_usd }));
+
+  const attributed = pieces.reduce((sum, piece) => sum + piece.cost, 0);
+  if (total - attributed > 0.005 || pieces.length === 0) {
+    pieces.push({ dataset: null, cost: Math.max(total - attributed, 0) });
+  }
+
+  return pieces;
+}
+
+/**
+ * Split a row's cost by the teams of its label values
+ *
+ * Only the first label key with a matching rule is used, because the values
+ * of one key split the whole cost and different keys would count it twice.
+ * Values without a team are left for the dataset rules.
+ *
+ * @param {Object} mapping - Mapping from compileTeamMapping
+ * @param {Object} row - Daily cost row
+ * @returns {Array|null} - Pieces {team, dataset, cost}, or null when no label rule matches
+ */
+function labelPieces(mapping, row) {
+  for (const rule of mapping.labels) {
+    const entries = (row.label_costs || []).filter(label => label.label_key === rule.key);
+    const keyRules = mapping.labels.filter(candidate => candidate.key === rule.key);
+    const teamOf = label => {
+      const match = keyRules.find(candidate => candidate.value === undefined || candidate.value === label.label_value);
+      return match ? match.team : null;
+    };
+
+    if (entries.some(label => teamOf(label) && label.label_cost_usd > 0)) {
+      return entries.reduce((pieces, label) => pieces.concat(
+        datasetPieces(label.dataset_costs, label.label_cost_usd || 0).map(piece => ({ ...piece, team: teamOf(label) }))
+      ), []);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the team of a dataset
+ * @param {Object} mapping - Mapping from compileTeamMapping
+ * @param {string|null} dataset - Dataset as project.dataset
+ * @returns {string|null} - Team name, or null when no rule matches
+ */
+function datasetTeam(mapping, dataset) {
+  if (!dataset) {
+    return null;
+  }
+
+  // Datasets may be given with or without their project
+  const rule = mapping.datasets.find(candidate =>
+    dataset === candidate.dataset || dataset.endsWith(`.${candidate.dataset}`));
+  return rule ? rule.team : null;
+}
+
+/**
+ * Split a row's cost between teams and datasets
+ *
+ * The split is worked out on the cost before the free tier, where the label
+ * and dataset breakdowns are, and then applied to the row's cost after it.
+ *
+ * @param {Object} row - Daily cost row
+ * @param {Object} mapping - Mapping from compileTeamMapping
+ * @returns {Array} - Pieces {team, cost_center, dataset, share, cost_usd}, dataset null for cost without one
+ */
+function assignTeamPieces(row, mapping) {
+  const cost = row.estimated_cost_usd || 0;
+  const gross = row.gross_cost_usd !== undefined ? row.gross_cost_usd : cost;
+  const owner = principalTeam(mapping, row);
+
+  const pieces = owner
+    ? datasetPieces(row.dataset_costs, gross).map(piece => ({ ...piece, team: owner }))
+    : (labelPieces(mapping, row) || datasetPieces(row.dataset_costs, gross).map(piece => ({ ...piece, team: null })))
+      .map(piece => ({ ...piece, team: piece.team || datasetTeam(mapping, piece.dataset) || UNASSIGNED }));
+
+  const total = pieces.reduce((sum, piece) => sum + piece.cost, 0);
+  const merged = {};
+
+  pieces.forEach(piece => {
+    const key = JSON.stringify([piece.team, piece.dataset]);
+    const share = total > 0 ? piece.cost / total : 1 / pieces.length;
+
+    if (!merged[key]) {
+      merged[key] = { team: piece.team, cost_center: mapping.costCenters[piece.team] || null, dataset: piece.dataset, share: 0 };
+    }
+    merged[key].share += share;
+  });
+
+  return Object.values(merged).map(piece => ({ ...piece, cost_usd: cost * piece.share }));
+}
+
+/**
+ * Assign a row's cost to teams
+ * @param {Object} row - Daily cost row
+ * @param {Object} mapping - Mapping from compileTeamMapping
+ * @returns {Array} - Entries {team, cost_center, share, team_cost_usd}, largest share first
+ */
+function assignTeamCosts(row, mapping) {
+  const teams = {};
+
+  assignTeamPieces(row, mapping).forEach(piece => {
+    if (!teams[piece.team]) {
+      teams[piece.team] = { team: piece.team, cost_center: piece.cost_center, share: 0, team_cost_usd: 0 };
+    }
+    teams[piece.team].share += piece.share;
+    teams[piece.team].team_cost_usd += piece.cost_usd;
+  });
+
+  return Object.values(teams)
+    .map(team => ({
+      ...team,
+      share: Math.round(team.share * 10000) / 10000,
+      team_cost_usd: Math.round(team.team_cost_usd * 100) / 100
+    }))
+    .sort((a, b) => b.share - a.share);
+}
+
+/**
+ * Enrich cost rows with their team and cost center
+ *
+ * `team_costs` holds the share of the row that goes to each team, while
+ * `team` and `cost_center` name the team with the largest share.
+ *
+ * @param {Array} rows - Daily cost rows
+ * @param {Object} mapping - Mapping from compileTeamMapping
+ * @returns {Array} - Enriched copies of the rows
+ */
+function enrichRows(rows, mapping) {
+  return rows.map(row => {
+    const teamCosts = assignTeamCosts(row, mapping);
+
+    return {
+      ...row,
+      team: teamCosts[0].team,
+      cost_center: teamCosts[0].cost_center,
+      team_costs: teamCosts
+    };
+  });
+}
+
+/**
+ * Split enriched cost rows into the daily cost of each team
+ *
+ * Every row contributes its share to each team in `team_costs`, before and
+ * after the free tier, so the rows of a team add up to what it was assigned.
+ *
+ * @param {Array} rows - Rows from enrichRows
+ * @returns {Array} - Entries {team, cost_center, rows}, rows holding {date, estimated_cost_usd, gross_cost_usd}
+ */
+function splitRowsByTeam(rows) {
+  const teams = {};
+
+  rows.forEach(row => {
+    const cost = row.estimated_cost_usd || 0;
+    const gross = row.gross_cost_usd !== undefined ? row.gross_cost_usd : cost;
+
+    (row.team_costs || []).forEach(entry => {
+      if (!teams[entry.team]) {
+        teams[entry.team] = { team: entry.team, cost_center: entry.cost_center, rows: [] };
+      }
+      teams[entry.team].rows.push({
+        date: row.date,
+        estimated_cost_usd: cost * entry.share,
+        gross_cost_usd: gross * entry.share
+      });
+    });
+  });
+
+  return Object.values(teams);
+}
+
+/**
+ * Validate the teams section of the configuration
+ * @param {Array} teams - Team definitions
+ * @returns {string[]} - Validation errors
+ */
+function validateTeams(teams) {
+  const errors = [];
+
+  if (!Array.isArray(teams)) {
+    return ['teams must be an array'];
+  }
+
+  const names = new Set();
+
+  teams.forEach((team, index) => {
+    const label = `Team at index ${index}`;
+
+    if (typeof team !== 'object' || team === null || Array.isArray(team)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!team.name || typeof team.name !== 'string') {
+      errors.push(`${label} is missing required 'name' field`);
+    } else if (team.name === UNASSIGNED) {
+      errors.push(`${label} can't be named '${UNASSIGNED}'`);
+    } else if (names.has(team.name)) {
+      errors.push(`${label} has a duplicate name: ${team.name}`);
+    } else {
+      names.add(team.name);
+    }
+
+    if (team.costCenter !== undefined && (typeof team.costCenter !== 'string' || team.costCenter === '')) {
+      errors.push(`${label} has 'costCenter' that is not a non-empty string`);
+    }
+
+    ['principals', 'datasets', 'labels'].forEach(key => {
+      if (team[key] === undefined) return;
+
+      if (!Array.isArray(team[key]) || team[key].some(rule => typeof rule !== 'string' || rule === '')) {
+        errors.push(`${label} has '${key}' that is not an array of strings`);
+      }
+    });
+
+    if (Array.isArray(team.principals)) {
+      team.principals.forEach(rule => {
+        const regex = typeof rule === 'string' && /^\/(.+)\/([a-z]*)$/.exec(rule);
+        if (!regex) return;
+
+        try {
+          new RegExp(regex[1], regex[2]);
+        } catch (error) {
+          errors.push(`${label} has an invalid principal pattern ${rule}: ${error.message}`);
+        }
+      });
+    }
+
+    if (Array.isArray(team.labels)) {
+      team.labels
+        .filter(target => typeof target === 'string' && !LABEL_KEY_PATTERN.test(parseLabelTarget(target).key))
+        .forEach(target => errors.push(`${label} has an invalid label key: ${target}`));
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  parsePrincipalRule,
+  compileTeamMapping,
+  assignTeamPieces,
+  assignTeamCosts,
+  enrichRows,
+  splitRowsByTeam,
+  validateTeams,
+  UNASSIGNED
+};
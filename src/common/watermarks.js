@@ -0,0 +1,71 @@
+/**
+ * Collection watermarks for BigQuery Cost Monitor
+ *
+ * Tracks the last job creation_time ingested for each project and region so
+ * that subsequent runs only need to scan newer jobs.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Default location of the watermark state file
+const DEFAULT_WATERMARK_PATH = path.join(__dirname, '../../output/watermarks.json');
+
+/**
+ * Load all watermarks from disk
+ * @param {string} [filePath] - Path to the watermark file
+ * @returns {Object} - Map of project ID to watermark entry
+ */
+function loadWatermarks(filePath) {
+  const resolvedPath = filePath || process.env.WATERMARK_PATH || DEFAULT_WATERMARK_PATH;
+
+  try {
+    if (!fs.existsSync(resolvedPath)) {
+      return {};
+    }
+
+    return fs.readJsonSync(resolvedPath);
+  } catch (error) {
+    logger.warn(`Failed to read watermarks from ${resolvedPath}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Get the watermark for a single project
+ * @param {string} projectId - The project ID
+ * @param {string} [filePath] - Path to the watermark file
+ * @returns {Object|null} - Watermark entry {regions, updatedAt} or null
+ */
+function getWatermark(projectId, filePath) {
+  const watermarks = loadWatermarks(filePath);
+  return watermarks[projectId] || null;
+}
+
+/**
+ * Persist the watermark for a single project
+ * @param {string} projectId - The project ID
+ * @param {Object} watermark - Watermark entry to store
+ * @param {Object} watermark.regions - Map of region name to ISO timestamp of the newest ingested job
+ * @param {string} [filePath] - Path to the watermark file
+ */
+function saveWatermark(projectId, watermark, filePath) {
+  const resolvedPath = filePath || process.env.WATERMARK_PATH || DEFAULT_WATERMARK_PATH;
+
+  const watermarks = loadWatermarks(resolvedPath);
+  watermarks[projectId] = {
+    ...watermark,
+    updatedAt: new Date().toISOString()
+  };
+
+  fs.ensureDirSync(path.dirname(resolvedPath));
+  fs.writeJsonSync(resolvedPath, watermarks, { spaces: 2 });
+}
+
+module.exports = {
+  loadWatermarks,
+  getWatermark,
+  saveWatermark,
+  DEFAULT_WATERMARK_PATH
+};
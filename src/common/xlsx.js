@@ -0,0 +1,76 @@
+/**
+ * XLSX workbooks for BigQuery Cost Monitor
+ *
+ * Writes a workbook of plain sheets with exceljs, with numbers as numeric
+ * cells and everything else as text, for exporting tables to spreadsheets.
+ */
+
+const ExcelJS = require('exceljs');
+
+// Characters Excel doesn't allow in sheet names
+const INVALID_SHEET_NAME = /[\\/?*[\]:]/g;
+
+const MAX_SHEET_NAME_LENGTH = 31;
+
+// Control characters XML 1.0 doesn't allow
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g;
+
+/**
+ * Make sheet names valid and unique
+ * @param {string[]} names - Requested names
+ * @returns {string[]} - Sheet names
+ */
+function sheetNames(names) {
+  const used = new Set();
+
+  return names.map((requested, index) => {
+    const base = (requested || `Sheet${index + 1}`).replace(INVALID_SHEET_NAME, ' ').substring(0, MAX_SHEET_NAME_LENGTH);
+    let name = base;
+
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      name = `${base.substring(0, MAX_SHEET_NAME_LENGTH - String(n).length - 1)} ${n}`;
+    }
+
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+/**
+ * Convert a value to a cell value
+ *
+ * Strings are always text, so a value like "=1+1" is never taken as a formula.
+ *
+ * @param {*} value - Value
+ * @returns {*} - Number, boolean, text or null for an empty cell
+ */
+function cellValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if ((typeof value === 'number' && Number.isFinite(value)) || typeof value === 'boolean') {
+    return value;
+  }
+  return String(value).replace(INVALID_XML_CHARS, '');
+}
+
+/**
+ * Build an XLSX workbook
+ * @param {Array} sheets - Sheets {name, rows}, each row an array of cell values
+ * @returns {Promise<Buffer>} - XLSX file
+ */
+async function buildWorkbook(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  const names = sheetNames(sheets.map(sheet => sheet.name));
+
+  sheets.forEach((sheet, index) => {
+    const worksheet = workbook.addWorksheet(names[index]);
+    sheet.rows.forEach(cells => worksheet.addRow(cells.map(cellValue)));
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  buildWorkbook
+};
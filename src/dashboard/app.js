@@ -15,11 +15,17 @@ import {
 
 import {
   updateQueriesTable,
-  updateDatasetTable
+  updateDatasetTable,
+  updateRegionTable,
+  updateTeamTable,
+  updateStorageTable,
+  updateJobsTable
 } from './components/tables.js';
 
 import {
   updateSummaryMetrics,
+  updateForecastMetrics,
+  updateBudgetList,
   generateSampleData,
   showLoading,
   hideLoading,
@@ -29,7 +35,15 @@ import {
 import {
   loadProjects,
   loadCostData,
-  filterDataByPeriod
+  loadStorageData,
+  loadAnomalies,
+  loadForecast,
+  loadTeamForecasts,
+  loadBudgets,
+  loadJobs,
+  getPeriodStartDate,
+  filterDataByPeriod,
+  getLabelKeys
 } from './components/data.js';
 
 // Import event listeners
@@ -42,17 +56,43 @@ class DashboardState {
   constructor() {
     this.currentProject = null;
     this.costData = [];
+    this.storageData = [];
+    this.anomalies = [];
+    this.forecast = null;
+    this.forecastRollup = null;
+    this.teamForecasts = [];
+    this.budgets = [];
     this.activePeriod = 14; // Default to 14 days
+    this.loadedPeriod = 0; // Number of days fetched from the server
+    this.labelKey = null; // Label key the charts and dataset table are grouped by
+    this.jobFilters = {}; // Filters of the job search form
+    this.jobsOffset = 0; // Offset of the page of jobs shown
 
     // DOM element references
     this.domElements = {
       projectDropdown: document.getElementById('projectDropdown'),
       projectList: document.getElementById('projectList'),
       totalCostElement: document.getElementById('totalCost'),
+      pricingModelElement: document.getElementById('pricingModel'),
       dataProcessedElement: document.getElementById('dataProcessed'),
       queryCountElement: document.getElementById('queryCount'),
       queriesTableElement: document.getElementById('queriesTable'),
       datasetTableElement: document.getElementById('datasetTable'),
+      regionTableElement: document.getElementById('regionTable'),
+      teamTableElement: document.getElementById('teamTable'),
+      storageTableElement: document.getElementById('storageTable'),
+      storageTotalElement: document.getElementById('storageTotal'),
+      forecastTotalElement: document.getElementById('forecastTotal'),
+      forecastDetailsElement: document.getElementById('forecastDetails'),
+      forecastRollupElement: document.getElementById('forecastRollup'),
+      budgetListElement: document.getElementById('budgetList'),
+      labelGroupSelect: document.getElementById('labelGroupSelect'),
+      jobsTableElement: document.getElementById('jobsTable'),
+      jobsTotalElement: document.getElementById('jobsTotal'),
+      jobsPageInfo: document.getElementById('jobsPageInfo'),
+      jobsPrevBtn: document.getElementById('jobsPrevBtn'),
+      jobsNextBtn: document.getElementById('jobsNextBtn'),
+      jobFilterForm: document.getElementById('jobFilterForm'),
       periodButtons: document.querySelectorAll('[data-period]')
     };
   }
@@ -68,6 +108,9 @@ class DashboardState {
   }
 }
 
+// Number of jobs shown per page
+const JOBS_PAGE_SIZE = 25;
+
 // Create dashboard state instance and expose it to window for event listeners
 const dashboardState = new DashboardState();
 window.dashboardState = dashboardState;
@@ -91,10 +134,13 @@ async function initializeDashboard() {
   } else {
     showEmptyState({
       totalCostElement: dashboardState.domElements.totalCostElement,
+      pricingModelElement: dashboardState.domElements.pricingModelElement,
       dataProcessedElement: dashboardState.domElements.dataProcessedElement,
       queryCountElement: dashboardState.domElements.queryCountElement,
       queriesTableElement: dashboardState.domElements.queriesTableElement,
-      datasetTableElement: dashboardState.domElements.datasetTableElement
+      datasetTableElement: dashboardState.domElements.datasetTableElement,
+      regionTableElement: dashboardState.domElements.regionTableElement,
+      teamTableElement: dashboardState.domElements.teamTableElement
     }, null, resetCharts, showSampleData);
   }
 
@@ -102,9 +148,37 @@ async function initializeDashboard() {
   setupEventListeners({
     periodButtons: dashboardState.domElements.periodButtons,
     activePeriod: dashboardState.activePeriod,
-    updateActivePeriod: (period) => dashboardState.updateActivePeriod(period),
+    updateActivePeriod: (period) => {
+      dashboardState.updateActivePeriod(period);
+
+      // Only the active period is fetched, so widen it from the server when needed
+      if (dashboardState.currentProject && period > dashboardState.loadedPeriod) {
+        loadProjectData(dashboardState.currentProject.id);
+      }
+
+      // Jobs are searched on the server, so they are always reloaded for the new period
+      dashboardState.jobsOffset = 0;
+      loadProjectJobs();
+    },
+    labelGroupSelect: dashboardState.domElements.labelGroupSelect,
+    updateLabelKey: (labelKey) => {
+      dashboardState.labelKey = labelKey || null;
+    },
     updateDashboard: updateDashboard,
-    costData: dashboardState.costData
+    costData: dashboardState.costData,
+    jobFilterForm: dashboardState.domElements.jobFilterForm,
+    jobsTableElement: dashboardState.domElements.jobsTableElement,
+    jobsPrevBtn: dashboardState.domElements.jobsPrevBtn,
+    jobsNextBtn: dashboardState.domElements.jobsNextBtn,
+    updateJobFilters: (filters) => {
+      dashboardState.jobFilters = filters;
+      dashboardState.jobsOffset = 0;
+      loadProjectJobs();
+    },
+    changeJobsPage: (direction) => {
+      dashboardState.jobsOffset = Math.max(0, dashboardState.jobsOffset + direction * JOBS_PAGE_SIZE);
+      loadProjectJobs();
+    }
   });
 }
 
@@ -115,7 +189,19 @@ async function initializeDashboard() {
 function populateProjectDropdown(projects) {
   dashboardState.domElements.projectList.innerHTML = '';
 
+  // Projects found in an organization or folder follow the configured ones, under a header per source
+  let source = null;
   projects.forEach(project => {
+    if (project.source && project.source !== source) {
+      source = project.source;
+      const header = document.createElement('li');
+      const title = document.createElement('h6');
+      title.classList.add('dropdown-header');
+      title.textContent = source;
+      header.appendChild(title);
+      dashboardState.domElements.projectList.appendChild(header);
+    }
+
     const li = document.createElement('li');
     const a = document.createElement('a');
     a.classList.add('dropdown-item');
@@ -134,10 +220,55 @@ function populateProjectDropdown(projects) {
  */
 function selectProject(project) {
   dashboardState.currentProject = project;
+  dashboardState.loadedPeriod = 0;
   dashboardState.domElements.projectDropdown.textContent = project.name;
 
   // Load the cost data for this project
   loadProjectData(project.id);
+
+  // Load the first page of its jobs
+  dashboardState.jobsOffset = 0;
+  loadProjectJobs();
+}
+
+/**
+ * Load the page of jobs of the current project matching the job search
+ */
+async function loadProjectJobs() {
+  const { currentProject, jobFilters, jobsOffset, activePeriod, domElements } = dashboardState;
+  if (!currentProject) {
+    return;
+  }
+
+  const result = await loadJobs({
+    ...jobFilters,
+    project: currentProject.id,
+    from: getPeriodStartDate(activePeriod),
+    limit: JOBS_PAGE_SIZE,
+    offset: jobsOffset
+  });
+
+  // A response for a project that is no longer selected is dropped
+  if (dashboardState.currentProject !== currentProject) {
+    return;
+  }
+
+  const { total, jobs } = result.data;
+  let emptyMessage = 'No jobs match the search';
+  if (!result.success) {
+    emptyMessage = result.error;
+  } else if (total === 0 && Object.keys(jobFilters).every(key => key === 'sort')) {
+    emptyMessage = 'No jobs collected for this period. Set collectJobs in the configuration to collect them.';
+  }
+
+  updateJobsTable(jobs, domElements.jobsTableElement, emptyMessage);
+
+  domElements.jobsTotalElement.textContent = result.success ? `${total.toLocaleString()} jobs` : '';
+  domElements.jobsPageInfo.textContent = jobs.length > 0
+    ? `Showing ${jobsOffset + 1}-${jobsOffset + jobs.length} of ${total.toLocaleString()}`
+    : '';
+  domElements.jobsPrevBtn.disabled = jobsOffset === 0;
+  domElements.jobsNextBtn.disabled = jobsOffset + jobs.length >= total;
 }
 
 /**
@@ -150,8 +281,34 @@ async function loadProjectData(projectId, useSampleData = false) {
     // Show loading indicators
     showLoading(document.querySelectorAll('.card-body'));
 
-    // Load cost data from API
-    const result = await loadCostData(projectId);
+    // Load cost, storage, anomaly and forecast data from API, limited to the active period
+    const period = dashboardState.activePeriod;
+    const [result, storageResult, anomalyResult, forecastResult, rollupResult, teamForecastResult, budgetResult] = await Promise.all([
+      loadCostData(projectId, { from: getPeriodStartDate(period) }),
+      loadStorageData(projectId),
+      loadAnomalies(projectId, { days: period }),
+      loadForecast(projectId),
+      loadForecast(),
+      loadTeamForecasts(projectId),
+      loadBudgets(projectId)
+    ]);
+
+    dashboardState.anomalies = anomalyResult.data;
+    dashboardState.forecast = forecastResult.data;
+    dashboardState.forecastRollup = rollupResult.data;
+    dashboardState.teamForecasts = teamForecastResult.data;
+    dashboardState.budgets = budgetResult.data;
+
+    // Budgets span whole periods, so they don't depend on the period filter either
+    updateBudgetList(dashboardState.budgets, dashboardState.domElements.budgetListElement);
+
+    // Storage is independent of the period filter, so render it straight away
+    dashboardState.storageData = storageResult.data.datasets || [];
+    updateStorageTable(
+      dashboardState.storageData,
+      dashboardState.domElements.storageTableElement,
+      dashboardState.domElements.storageTotalElement
+    );
 
     // If no data is available yet
     if (!result.success) {
@@ -162,10 +319,13 @@ async function loadProjectData(projectId, useSampleData = false) {
         // Otherwise show the empty state
         showEmptyState({
           totalCostElement: dashboardState.domElements.totalCostElement,
+          pricingModelElement: dashboardState.domElements.pricingModelElement,
           dataProcessedElement: dashboardState.domElements.dataProcessedElement,
           queryCountElement: dashboardState.domElements.queryCountElement,
           queriesTableElement: dashboardState.domElements.queriesTableElement,
-          datasetTableElement: dashboardState.domElements.datasetTableElement
+          datasetTableElement: dashboardState.domElements.datasetTableElement,
+          regionTableElement: dashboardState.domElements.regionTableElement,
+      teamTableElement: dashboardState.domElements.teamTableElement
         }, result.error, resetCharts, showSampleData);
       }
       return;
@@ -173,6 +333,8 @@ async function loadProjectData(projectId, useSampleData = false) {
 
     // Store the data and update the dashboard
     dashboardState.costData = result.data;
+    dashboardState.loadedPeriod = period;
+    populateLabelGroupSelect(getLabelKeys(dashboardState.costData));
     updateDashboard();
   } catch (error) {
     console.error('Error in loadProjectData:', error);
@@ -184,15 +346,42 @@ async function loadProjectData(projectId, useSampleData = false) {
       // Otherwise show the empty state with error
       showEmptyState({
         totalCostElement: dashboardState.domElements.totalCostElement,
+        pricingModelElement: dashboardState.domElements.pricingModelElement,
         dataProcessedElement: dashboardState.domElements.dataProcessedElement,
         queryCountElement: dashboardState.domElements.queryCountElement,
         queriesTableElement: dashboardState.domElements.queriesTableElement,
-        datasetTableElement: dashboardState.domElements.datasetTableElement
+        datasetTableElement: dashboardState.domElements.datasetTableElement,
+        regionTableElement: dashboardState.domElements.regionTableElement,
+      teamTableElement: dashboardState.domElements.teamTableElement
       }, `Error loading cost data: ${error.message}`, resetCharts, showSampleData);
     }
   }
 }
 
+/**
+ * Fill the label grouping select with the label keys of the loaded data
+ * @param {Array} labelKeys - Label keys the cost data is broken down by
+ */
+function populateLabelGroupSelect(labelKeys) {
+  const select = dashboardState.domElements.labelGroupSelect;
+
+  // Keep the current grouping when the new data still has it
+  if (!labelKeys.includes(dashboardState.labelKey)) {
+    dashboardState.labelKey = null;
+  }
+
+  select.innerHTML = '<option value="">No label grouping</option>';
+  labelKeys.forEach(key => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = `Group by ${key}`;
+    select.appendChild(option);
+  });
+
+  select.value = dashboardState.labelKey || '';
+  select.classList.toggle('d-none', labelKeys.length === 0);
+}
+
 /**
  * Update the dashboard with the current data
  */
@@ -200,10 +389,13 @@ function updateDashboard() {
   if (!dashboardState.costData || dashboardState.costData.length === 0) {
     showEmptyState({
       totalCostElement: dashboardState.domElements.totalCostElement,
+      pricingModelElement: dashboardState.domElements.pricingModelElement,
       dataProcessedElement: dashboardState.domElements.dataProcessedElement,
       queryCountElement: dashboardState.domElements.queryCountElement,
       queriesTableElement: dashboardState.domElements.queriesTableElement,
-      datasetTableElement: dashboardState.domElements.datasetTableElement
+      datasetTableElement: dashboardState.domElements.datasetTableElement,
+      regionTableElement: dashboardState.domElements.regionTableElement,
+      teamTableElement: dashboardState.domElements.teamTableElement
     }, null, resetCharts, showSampleData);
     return;
   }
@@ -214,18 +406,32 @@ function updateDashboard() {
   // Update summary metrics
   updateSummaryMetrics(filteredData, {
     totalCostElement: dashboardState.domElements.totalCostElement,
+    pricingModelElement: dashboardState.domElements.pricingModelElement,
     dataProcessedElement: dashboardState.domElements.dataProcessedElement,
     queryCountElement: dashboardState.domElements.queryCountElement
   });
 
-  // Update charts
-  updateCharts(filteredData);
+  // Update the forecast card
+  updateForecastMetrics(dashboardState.forecast, dashboardState.forecastRollup, {
+    forecastTotalElement: dashboardState.domElements.forecastTotalElement,
+    forecastDetailsElement: dashboardState.domElements.forecastDetailsElement,
+    forecastRollupElement: dashboardState.domElements.forecastRollupElement
+  });
+
+  // Update charts, marking the anomalies, projecting the month end and drawing the budgets
+  updateCharts(filteredData, dashboardState.anomalies, dashboardState.forecast, dashboardState.budgets, dashboardState.labelKey);
 
   // Update the query table
   updateQueriesTable(filteredData, dashboardState.domElements.queriesTableElement);
 
   // Update dataset table
-  updateDatasetTable(filteredData, dashboardState.domElements.datasetTableElement);
+  updateDatasetTable(filteredData, dashboardState.domElements.datasetTableElement, dashboardState.labelKey);
+
+  // Update region table
+  updateRegionTable(filteredData, dashboardState.domElements.regionTableElement);
+
+  // Update team table
+  updateTeamTable(filteredData, dashboardState.domElements.teamTableElement, dashboardState.teamForecasts);
 
   // Hide loading indicators
   hideLoading();
@@ -237,6 +443,12 @@ function updateDashboard() {
 function showSampleData() {
   // Generate sample data
   dashboardState.costData = generateSampleData();
+  dashboardState.anomalies = [];
+  dashboardState.forecast = null;
+  dashboardState.forecastRollup = null;
+  dashboardState.teamForecasts = [];
+  dashboardState.budgets = [];
+  populateLabelGroupSelect(getLabelKeys(dashboardState.costData));
 
   // Update the dashboard with sample data
   updateDashboard();
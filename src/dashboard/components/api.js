@@ -0,0 +1,133 @@
+/**
+ * API requests for the BigQuery Cost Monitor dashboard
+ *
+ * Identity-aware proxies and token cookies authenticate the page's requests
+ * on their own. API keys and bearer tokens can't be sent by the browser, so
+ * the first request the server rejects asks for one, which is then sent with
+ * every request of the browser session.
+ */
+
+// Session storage key of the API key or token
+const TOKEN_KEY = 'bqCostMonitorToken';
+
+// Prompt shared by the requests rejected while it is open
+let pendingPrompt = null;
+
+/**
+ * Read the API key or token of the session
+ * @returns {string|null} - Token, or null if none was entered
+ */
+function getToken() {
+  try {
+    return window.sessionStorage.getItem(TOKEN_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Remember or forget the API key or token of the session
+ * @param {string|null} token - Token, or null to forget it
+ */
+function setToken(token) {
+  try {
+    if (token) {
+      window.sessionStorage.setItem(TOKEN_KEY, token);
+    } else {
+      window.sessionStorage.removeItem(TOKEN_KEY);
+    }
+  } catch (error) {
+    console.warn('Session storage is not available, the token is not remembered');
+  }
+}
+
+/**
+ * Ask for an API key or token
+ * @param {boolean} rejected - Whether the current token was rejected
+ * @returns {Promise<string|null>} - Token, or null if the user cancelled
+ */
+function promptForToken(rejected) {
+  if (!pendingPrompt) {
+    pendingPrompt = new Promise(resolve => {
+      // Let the other requests of the page reach the server before asking
+      setTimeout(() => {
+        const message = rejected
+          ? 'The API key or token was not accepted. Enter another one:'
+          : 'This dashboard requires sign-in. Enter an API key or token:';
+        const token = (window.prompt(message) || '').trim() || null;
+        setToken(token);
+        pendingPrompt = null;
+        resolve(token);
+      }, 0);
+    });
+  }
+  return pendingPrompt;
+}
+
+/**
+ * Send a request to the dashboard server with the session's credentials
+ *
+ * A request rejected for its credentials asks for an API key or token and is
+ * sent again with it.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>} - Response
+ */
+async function apiFetch(url, options = {}) {
+  const send = token => fetch(url, {
+    ...options,
+    credentials: 'same-origin',
+    headers: { ...(options.headers || {}), ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+  });
+
+  const token = getToken();
+  const response = await send(token);
+  if (response.status !== 401) {
+    return response;
+  }
+
+  const entered = await promptForToken(token !== null);
+  return entered ? send(entered) : response;
+}
+
+/**
+ * Read the file name of a download
+ * @param {Response} response - Response
+ * @param {string} fallback - Name to use when the server doesn't give one
+ * @returns {string} - File name
+ */
+function downloadName(response, fallback) {
+  const match = /filename="?([^";]+)"?/i.exec(response.headers.get('Content-Disposition') || '');
+  return match ? match[1] : fallback;
+}
+
+/**
+ * Download a file from the dashboard server with the session's credentials
+ * @param {string} url - File URL
+ * @param {string} [fallbackName] - File name when the server doesn't give one
+ * @returns {Promise<void>}
+ */
+async function downloadFile(url, fallbackName = 'download') {
+  const response = await apiFetch(url);
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Download failed with status ${response.status}`);
+  }
+
+  const objectUrl = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = downloadName(response, fallbackName);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // The browser has started the download once the click is handled
+  setTimeout(() => URL.revokeObjectURL(objectUrl), 0);
+}
+
+export {
+  apiFetch,
+  downloadFile
+};
@@ -2,18 +2,86 @@
  * Chart components for BigQuery Cost Monitor dashboard
  */
 
+import { labelBreakdown } from './data.js';
+
 // Chart instances
 let costTrendChart = null;
 let userCostChart = null;
 let cacheHitChart = null;
 
+// Label values drawn individually when grouping by a label; the rest are summed into "Other"
+const MAX_LABEL_VALUES = 8;
+
+const LABEL_COLORS = [
+  '13, 110, 253',
+  '25, 135, 84',
+  '255, 193, 7',
+  '111, 66, 193',
+  '253, 126, 20',
+  '32, 201, 151',
+  '214, 51, 132',
+  '13, 202, 240'
+];
+
+const OTHER_LABEL_COLOR = '108, 117, 125';
+
+/**
+ * Sum cost per label value and another dimension
+ * @param {Array} data - The cost data
+ * @param {string} labelKey - Label key to group by
+ * @param {Function} keyOf - Returns the other dimension of a record
+ * @returns {Object} - {values, costs} with the most expensive values first and costs keyed by dimension then value
+ */
+function costByLabelValue(data, labelKey, keyOf) {
+  const totals = {};
+  const costs = {};
+
+  data.forEach(item => {
+    const key = keyOf(item);
+    costs[key] = costs[key] || {};
+
+    labelBreakdown(item, labelKey).forEach(label => {
+      totals[label.label_value] = (totals[label.label_value] || 0) + label.estimated_cost_usd;
+      costs[key][label.label_value] = (costs[key][label.label_value] || 0) + label.estimated_cost_usd;
+    });
+  });
+
+  const sorted = Object.keys(totals).sort((a, b) => totals[b] - totals[a]);
+  const values = sorted.slice(0, MAX_LABEL_VALUES);
+
+  // Fold the cheaper values into one series so the legend stays readable
+  if (sorted.length > MAX_LABEL_VALUES) {
+    const rest = sorted.slice(MAX_LABEL_VALUES);
+    Object.values(costs).forEach(byValue => {
+      byValue.Other = rest.reduce((sum, value) => sum + (byValue[value] || 0), 0);
+    });
+    values.push('Other');
+  }
+
+  return { values, costs };
+}
+
+/**
+ * Get the color of a label value series
+ * @param {string} value - Label value
+ * @param {number} index - Position of the value
+ * @returns {string} - RGB components
+ */
+function labelColor(value, index) {
+  return value === 'Other' ? OTHER_LABEL_COLOR : LABEL_COLORS[index % LABEL_COLORS.length];
+}
+
 /**
  * Update the cost trend chart
  * @param {Array} dates - The dates to include in the chart
  * @param {Array} data - The data to use for the chart
+ * @param {Array} [anomalies] - Anomalies from /api/anomalies, marked on their dates
+ * @param {Object} [forecast] - Forecast from /api/forecast, drawn as a projection to month end
+ * @param {Array} [budgets] - Project budgets from /api/budgets, drawn as their daily equivalent
+ * @param {string} [labelKey] - Label key to stack the daily cost by
  * @returns {Object} - The chart instance
  */
-function updateCostTrendChart(dates, data) {
+function updateCostTrendChart(dates, data, anomalies = [], forecast = null, budgets = [], labelKey = null) {
   // Aggregate cost by date
   const costByDate = {};
   dates.forEach(date => {
@@ -24,7 +92,28 @@ function updateCostTrendChart(dates, data) {
   
   const chartData = {
     labels: dates,
-    datasets: [{
+    datasets: []
+  };
+
+  if (labelKey) {
+    // Stack one area per label value; the other series get stacks of their own
+    const { values, costs } = costByLabelValue(data, labelKey, item => item.date);
+
+    values.forEach((value, index) => {
+      const color = labelColor(value, index);
+      chartData.datasets.push({
+        label: value === 'Other' ? 'Other' : `${labelKey}=${value}`,
+        data: dates.map(date => (costs[date] && costs[date][value]) || 0),
+        backgroundColor: `rgba(${color}, 0.4)`,
+        borderColor: `rgba(${color}, 1)`,
+        borderWidth: 1,
+        tension: 0.1,
+        fill: true,
+        stack: 'labels'
+      });
+    });
+  } else {
+    chartData.datasets.push({
       label: 'Daily Cost (USD)',
       data: dates.map(date => costByDate[date]),
       backgroundColor: 'rgba(13, 110, 253, 0.2)',
@@ -32,15 +121,95 @@ function updateCostTrendChart(dates, data) {
       borderWidth: 2,
       tension: 0.1,
       fill: true
-    }]
-  };
-  
+    });
+  }
+
+  // Project the rest of the month from the last date with data
+  const lastDate = dates[dates.length - 1];
+  const projection = forecast && lastDate
+    ? forecast.daily.filter(day => day.projected_cost_usd !== undefined && day.date > lastDate)
+    : [];
+
+  if (projection.length > 0) {
+    chartData.labels = dates.concat(projection.map(day => day.date));
+    chartData.datasets.push({
+      label: 'Projected Cost (USD)',
+      // Start from the last actual value so the lines connect
+      data: dates.map(date => date === lastDate ? costByDate[date] : null)
+        .concat(projection.map(day => day.projected_cost_usd)),
+      borderColor: 'rgba(13, 110, 253, 0.6)',
+      borderDash: [6, 4],
+      borderWidth: 2,
+      pointRadius: 0,
+      tension: 0.1,
+      fill: false,
+      stack: 'projection'
+    });
+  }
+
+  // Spread each project budget evenly over the days of its period
+  budgets
+    .filter(budget => budget.scope === 'project')
+    .forEach(budget => {
+      const periodDays = (new Date(budget.period_end) - new Date(budget.period_start)) / 86400000 + 1;
+      const dailyBudget = budget.amount_usd / periodDays;
+
+      chartData.datasets.push({
+        label: `Budget: ${budget.name} (${budget.period === 'daily' ? 'daily' : 'per day'})`,
+        data: chartData.labels.map(() => dailyBudget),
+        borderColor: 'rgba(220, 53, 69, 0.8)',
+        borderWidth: 1,
+        borderDash: [2, 2],
+        pointRadius: 0,
+        fill: false,
+        stack: `budget-${budget.name}`
+      });
+    });
+
+  // Group anomalies by date so each date gets one marker
+  const anomaliesByDate = {};
+  anomalies
+    .filter(anomaly => dates.includes(anomaly.date))
+    .forEach(anomaly => {
+      (anomaliesByDate[anomaly.date] = anomaliesByDate[anomaly.date] || []).push(anomaly);
+    });
+
+  if (Object.keys(anomaliesByDate).length > 0) {
+    chartData.datasets.push({
+      label: 'Anomalies',
+      data: dates.map(date => anomaliesByDate[date] ? costByDate[date] : null),
+      backgroundColor: 'rgba(220, 53, 69, 1)',
+      borderColor: 'rgba(220, 53, 69, 1)',
+      pointRadius: 6,
+      pointHoverRadius: 8,
+      showLine: false,
+      stack: 'anomalies'
+    });
+  }
+
   const chartOptions = {
     responsive: true,
     maintainAspectRatio: false,
+    plugins: {
+      tooltip: {
+        callbacks: {
+          afterLabel: function(context) {
+            if (context.dataset.label !== 'Anomalies') return '';
+
+            // List what was anomalous on this date
+            return (anomaliesByDate[context.label] || []).map(anomaly => {
+              const label = anomaly.type === 'new_principal' ? 'New principal' : anomaly.type === 'drop' ? 'Drop' : 'Spike';
+              return `${label} (${anomaly.scope}): ${anomaly.entity} $${anomaly.actual_cost_usd.toFixed(2)}` +
+                (anomaly.type === 'new_principal' ? '' : ` vs $${anomaly.expected_cost_usd.toFixed(2)} expected`);
+            });
+          }
+        }
+      }
+    },
     scales: {
       y: {
         beginAtZero: true,
+        stacked: !!labelKey,
         title: {
           display: true,
           text: 'Cost (USD)'
@@ -76,9 +245,10 @@ function updateCostTrendChart(dates, data) {
 /**
  * Update the user cost chart
  * @param {Array} data - The data to use for the chart
+ * @param {string} [labelKey] - Label key to stack each principal's cost by
  * @returns {Object} - The chart instance
  */
-function updateUserCostChart(data) {
+function updateUserCostChart(data, labelKey = null) {
   // Aggregate cost by user and service account
   const costByEntity = {};
   
@@ -128,6 +298,18 @@ function updateUserCostChart(data) {
       borderWidth: 1
     }]
   };
+
+  if (labelKey) {
+    // Stack each principal's bar by label value instead of by principal type
+    const { values, costs } = costByLabelValue(data, labelKey, item => item.service_account || item.user_email || 'Unknown');
+
+    chartData.datasets = values.map((value, index) => ({
+      label: value === 'Other' ? 'Other' : `${labelKey}=${value}`,
+      data: topEntities.map(([entity]) => costs[entity][value] || 0),
+      backgroundColor: `rgba(${labelColor(value, index)}, 0.7)`,
+      borderWidth: 1
+    }));
+  }
   
   const chartOptions = {
     responsive: true,
@@ -239,16 +421,20 @@ function updateCacheHitChart(data) {
 /**
  * Update all charts with the current data
  * @param {Array} data - The data to use for the charts
+ * @param {Array} [anomalies] - Anomalies to mark on the cost trend chart
+ * @param {Object} [forecast] - Forecast to project on the cost trend chart
+ * @param {Array} [budgets] - Budgets to draw on the cost trend chart
+ * @param {string} [labelKey] - Label key to group the cost trend and user charts by
  */
-function updateCharts(data) {
+function updateCharts(data, anomalies = [], forecast = null, budgets = [], labelKey = null) {
   // Prepare data for charts
   const dates = [...new Set(data.map(item => item.date))].sort();
   
   // Cost trend chart
-  updateCostTrendChart(dates, data);
+  updateCostTrendChart(dates, data, anomalies, forecast, budgets, labelKey);
   
   // User cost chart
-  updateUserCostChart(data);
+  updateUserCostChart(data, labelKey);
   
   // Cache hit chart
   updateCacheHitChart(data);
@@ -0,0 +1,150 @@
+/**
+ * Configuration API client for the BigQuery Cost Monitor settings page
+ *
+ * Every change is sent with the version of the configuration it was made
+ * against, so a change made elsewhere in the meantime isn't overwritten.
+ */
+
+import { apiFetch } from './api.js';
+
+/**
+ * Error returned by the configuration API
+ */
+class ConfigApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status
+   * @param {string[]} [errors] - Individual validation errors
+   */
+  constructor(message, status, errors = []) {
+    super(message);
+    this.name = 'ConfigApiError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+// Version of the configuration the page last read or wrote
+let configVersion = null;
+
+/**
+ * Send a request to the configuration API
+ * @param {string} path - Path below /api/config
+ * @param {Object} [options] - Options {method, body}
+ * @returns {Promise<*>} - Response body
+ */
+async function request(path, { method = 'GET', body } = {}) {
+  const headers = {};
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+  if (method !== 'GET' && configVersion) {
+    headers['If-Match'] = `"${configVersion}"`;
+  }
+
+  const response = await apiFetch(`/api/config${path}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  const etag = response.headers.get('ETag');
+  if (etag && response.status !== 412) {
+    configVersion = etag.replace(/"/g, '');
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = response.status === 412
+      ? 'The configuration was changed elsewhere. Reload the page to see the changes.'
+      : data.error || `Request failed with status ${response.status}`;
+    throw new ConfigApiError(message, response.status, data.errors || []);
+  }
+
+  return data;
+}
+
+/**
+ * Load the configuration file's projects and settings
+ * @returns {Promise<Object>} - {path, exists, etag, loaded, projects, settings}
+ */
+function loadConfigFile() {
+  return request('');
+}
+
+/**
+ * Add a project
+ * @param {Object} project - Project configuration
+ * @returns {Promise<Object>} - {project, revision}
+ */
+function createProject(project) {
+  return request('/projects', { method: 'POST', body: project });
+}
+
+/**
+ * Replace a project's configuration
+ * @param {string} projectId - The project ID
+ * @param {Object} project - Project configuration
+ * @returns {Promise<Object>} - {project, revision}
+ */
+function replaceProject(projectId, project) {
+  return request(`/projects/${encodeURIComponent(projectId)}`, { method: 'PUT', body: project });
+}
+
+/**
+ * Change some of a project's configuration
+ * @param {string} projectId - The project ID
+ * @param {Object} patch - JSON merge patch; null removes a field
+ * @returns {Promise<Object>} - {project, revision}
+ */
+function patchProject(projectId, patch) {
+  return request(`/projects/${encodeURIComponent(projectId)}`, { method: 'PATCH', body: patch });
+}
+
+/**
+ * Remove a project
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Object>} - {revision}
+ */
+function deleteProject(projectId) {
+  return request(`/projects/${encodeURIComponent(projectId)}`, { method: 'DELETE' });
+}
+
+/**
+ * Change some of the global settings
+ * @param {Object} patch - JSON merge patch; null removes a setting
+ * @returns {Promise<Object>} - {settings, revision}
+ */
+function patchSettings(patch) {
+  return request('/settings', { method: 'PATCH', body: patch });
+}
+
+/**
+ * Load the most recent configuration revisions
+ * @param {number} [limit] - Most revisions returned
+ * @returns {Promise<Array>} - Revisions, newest first
+ */
+function loadRevisions(limit = 20) {
+  return request(`/revisions?limit=${limit}`);
+}
+
+/**
+ * Restore the configuration as it was in a revision
+ * @param {string} revisionId - The revision ID
+ * @returns {Promise<Object>} - {revision}
+ */
+function restoreRevision(revisionId) {
+  return request(`/revisions/${encodeURIComponent(revisionId)}/restore`, { method: 'POST' });
+}
+
+export {
+  ConfigApiError,
+  loadConfigFile,
+  createProject,
+  replaceProject,
+  patchProject,
+  deleteProject,
+  patchSettings,
+  loadRevisions,
+  restoreRevision
+};
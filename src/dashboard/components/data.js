@@ -2,15 +2,19 @@
  * Data loading and processing components for BigQuery Cost Monitor dashboard
  */
 
+import { apiFetch } from './api.js';
 import { showError } from './metrics.js';
 
+// Label value of jobs without the label, matching the collector
+const UNLABELLED = 'unlabelled';
+
 /**
  * Load the list of projects from the API
  * @returns {Promise<Array>} - Array of project objects
  */
 async function loadProjects() {
   try {
-    const response = await fetch('/api/projects');
+    const response = await apiFetch('/api/projects');
     if (!response.ok) {
       throw new Error('Failed to load projects');
     }
@@ -26,12 +30,18 @@ async function loadProjects() {
 /**
  * Load cost data for a specific project
  * @param {string} projectId - The ID of the project
+ * @param {Object} [params] - Query parameters (from, to, user, serviceAccount, dataset, table, groupBy, labelKey)
  * @returns {Promise<Object>} - Object containing the loaded data and any error
  */
-async function loadCostData(projectId) {
+async function loadCostData(projectId, params = {}) {
   try {
+    // Drop unset parameters so the server applies its defaults
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    ).toString();
+
     // Try to load from the API
-    const response = await fetch(`/api/costs/${projectId}`);
+    const response = await apiFetch(`/api/costs/${projectId}${query ? `?${query}` : ''}`);
 
     // If no data is available yet
     if (!response.ok) {
@@ -59,13 +69,250 @@ async function loadCostData(projectId) {
   }
 }
 
+/**
+ * Load storage data for a specific project
+ * @param {string} projectId - The ID of the project
+ * @returns {Promise<Object>} - Object containing the loaded storage data and any error
+ */
+async function loadStorageData(projectId) {
+  try {
+    const response = await apiFetch(`/api/storage/${projectId}`);
+
+    if (!response.ok) {
+      return {
+        success: false,
+        error: `No storage data available for project ${projectId}`,
+        data: { datasets: [], tables: [] }
+      };
+    }
+
+    const data = await response.json();
+    return {
+      success: true,
+      data
+    };
+  } catch (error) {
+    console.error('Error loading storage data:', error);
+    return {
+      success: false,
+      error: `Error loading storage data: ${error.message}`,
+      data: { datasets: [], tables: [] }
+    };
+  }
+}
+
+/**
+ * Load the cost anomalies of a specific project
+ * @param {string} projectId - The ID of the project
+ * @param {Object} [params] - Query parameters (sensitivity, days, scope)
+ * @returns {Promise<Object>} - Object containing the loaded anomalies and any error
+ */
+async function loadAnomalies(projectId, params = {}) {
+  try {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    ).toString();
+
+    const response = await apiFetch(`/api/anomalies/${projectId}${query ? `?${query}` : ''}`);
+
+    if (!response.ok) {
+      return {
+        success: false,
+        error: `No anomaly data available for project ${projectId}`,
+        data: []
+      };
+    }
+
+    const data = await response.json();
+    return {
+      success: true,
+      data
+    };
+  } catch (error) {
+    console.error('Error loading anomalies:', error);
+    return {
+      success: false,
+      error: `Error loading anomalies: ${error.message}`,
+      data: []
+    };
+  }
+}
+
+/**
+ * Load the month-end forecast of a project, or of all projects combined
+ * @param {string} [projectId] - The ID of the project, omitted for all projects
+ * @returns {Promise<Object>} - Object containing the loaded forecast and any error
+ */
+async function loadForecast(projectId) {
+  try {
+    const response = await apiFetch(projectId ? `/api/forecast/${projectId}` : '/api/forecast');
+
+    if (!response.ok) {
+      return {
+        success: false,
+        error: 'No forecast available',
+        data: null
+      };
+    }
+
+    const data = await response.json();
+    return {
+      success: true,
+      data
+    };
+  } catch (error) {
+    console.error('Error loading forecast:', error);
+    return {
+      success: false,
+      error: `Error loading forecast: ${error.message}`,
+      data: null
+    };
+  }
+}
+
+/**
+ * Load the month-end forecast of each team's share of a project
+ * @param {string} projectId - The ID of the project
+ * @returns {Promise<Object>} - Object containing the loaded team forecasts and any error
+ */
+async function loadTeamForecasts(projectId) {
+  try {
+    const response = await apiFetch(`/api/forecast/teams?project=${encodeURIComponent(projectId)}`);
+
+    if (!response.ok) {
+      return {
+        success: false,
+        error: 'No team forecasts available',
+        data: []
+      };
+    }
+
+    const data = await response.json();
+    return {
+      success: true,
+      data
+    };
+  } catch (error) {
+    console.error('Error loading team forecasts:', error);
+    return {
+      success: false,
+      error: `Error loading team forecasts: ${error.message}`,
+      data: []
+    };
+  }
+}
+
+/**
+ * Load the budget status that applies to a project
+ * @param {string} projectId - The ID of the project
+ * @returns {Promise<Object>} - Object containing the loaded budgets and any error
+ */
+async function loadBudgets(projectId) {
+  try {
+    const response = await apiFetch(`/api/budgets?project=${encodeURIComponent(projectId)}`);
+
+    if (!response.ok) {
+      return {
+        success: false,
+        error: 'No budget data available',
+        data: []
+      };
+    }
+
+    const data = await response.json();
+    return {
+      success: true,
+      data
+    };
+  } catch (error) {
+    console.error('Error loading budgets:', error);
+    return {
+      success: false,
+      error: `Error loading budgets: ${error.message}`,
+      data: []
+    };
+  }
+}
+
+/**
+ * Load a page of collected jobs
+ * @param {Object} [params] - Query parameters (project, from, to, q, principal, dataset, table, statementType, error, minCost, maxCost, sort, limit, offset)
+ * @returns {Promise<Object>} - Object containing the page {total, offset, limit, jobs} and any error
+ */
+async function loadJobs(params = {}) {
+  const empty = { total: 0, offset: 0, limit: 0, jobs: [] };
+
+  try {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    ).toString();
+
+    const response = await apiFetch(`/api/jobs${query ? `?${query}` : ''}`);
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      return {
+        success: false,
+        error: body.details ? body.details.join(', ') : (body.error || 'No job data available'),
+        data: empty
+      };
+    }
+
+    const data = await response.json();
+    return {
+      success: true,
+      data
+    };
+  } catch (error) {
+    console.error('Error loading jobs:', error);
+    return {
+      success: false,
+      error: `Error loading jobs: ${error.message}`,
+      data: empty
+    };
+  }
+}
+
+/**
+ * Load a collected job with its complete query text
+ * @param {string} projectId - The ID of the project
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object>} - Object containing the loaded job and any error
+ */
+async function loadJob(projectId, jobId) {
+  try {
+    const response = await apiFetch(`/api/jobs/${encodeURIComponent(projectId)}/${encodeURIComponent(jobId)}`);
+
+    if (!response.ok) {
+      return {
+        success: false,
+        error: `Job ${jobId} is not available`,
+        data: null
+      };
+    }
+
+    const data = await response.json();
+    return {
+      success: true,
+      data
+    };
+  } catch (error) {
+    console.error('Error loading job:', error);
+    return {
+      success: false,
+      error: `Error loading job: ${error.message}`,
+      data: null
+    };
+  }
+}
+
 /**
  * Load summary data from the API
  * @returns {Promise<Object>} - Object containing the loaded summary data and any error
  */
 async function loadSummaryData() {
   try {
-    const response = await fetch('/api/summary');
+    const response = await apiFetch('/api/summary');
 
     if (!response.ok) {
       return {
@@ -90,6 +337,31 @@ async function loadSummaryData() {
   }
 }
 
+/**
+ * Get the first date of a period ending today
+ * @param {number} days - The number of days in the period
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+function getPeriodStartDate(days) {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+  return startDate.toISOString().substring(0, 10);
+}
+
+/**
+ * Build the URL that downloads an export of a project's cost data
+ * @param {string} projectId - The project ID
+ * @param {Object} params - Export parameters (format, view, from, labelKey)
+ * @returns {string} - Export URL
+ */
+function exportUrl(projectId, params = {}) {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+
+  return `/api/export/${encodeURIComponent(projectId)}${query ? `?${query}` : ''}`;
+}
+
 /**
  * Filter data by the selected time period
  * @param {Array} data - The data to filter
@@ -106,6 +378,49 @@ function filterDataByPeriod(data, days) {
   });
 }
 
+/**
+ * Get the label keys the cost data is broken down by
+ * @param {Array} data - The cost data
+ * @returns {Array} - Sorted label keys
+ */
+function getLabelKeys(data) {
+  const keys = new Set();
+
+  data.forEach(item => {
+    (item.label_costs || []).forEach(label => keys.add(label.label_key));
+  });
+
+  return [...keys].sort();
+}
+
+/**
+ * Split a cost record between the values of a label key
+ *
+ * Each value gets its share of the record's label costs, so the values add up
+ * to the record's cost after the free tier. Records collected before the key
+ * was configured count as unlabelled.
+ *
+ * @param {Object} item - Cost record
+ * @param {string} labelKey - Label key
+ * @returns {Array} - Entries {label_value, estimated_cost_usd, dataset_costs}
+ */
+function labelBreakdown(item, labelKey) {
+  const entries = (item.label_costs || []).filter(label => label.label_key === labelKey);
+  const cost = item.estimated_cost_usd || 0;
+
+  if (entries.length === 0) {
+    return [{ label_value: UNLABELLED, estimated_cost_usd: cost, dataset_costs: item.dataset_costs || [] }];
+  }
+
+  const labelCost = entries.reduce((sum, label) => sum + (label.label_cost_usd || 0), 0);
+
+  return entries.map(label => ({
+    label_value: label.label_value,
+    estimated_cost_usd: labelCost > 0 ? cost * (label.label_cost_usd || 0) / labelCost : cost / entries.length,
+    dataset_costs: label.dataset_costs || []
+  }));
+}
+
 /**
  * Extract table costs from the data
  * @param {Array} data - The cost data
@@ -215,8 +530,19 @@ function extractTimePatternData(data) {
 export {
   loadProjects,
   loadCostData,
+  loadStorageData,
+  loadAnomalies,
+  loadForecast,
+  loadTeamForecasts,
+  loadBudgets,
+  loadJobs,
+  loadJob,
   loadSummaryData,
+  getPeriodStartDate,
+  exportUrl,
   filterDataByPeriod,
+  getLabelKeys,
+  labelBreakdown,
   extractTableCosts,
   extractTimePatternData
 };
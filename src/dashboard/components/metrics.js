@@ -13,14 +13,26 @@ import { formatBytes, formatCurrency } from '../formatters.js';
  * @param {HTMLElement} elements.totalCostElement - Element for total cost
  * @param {HTMLElement} elements.dataProcessedElement - Element for data processed
  * @param {HTMLElement} elements.queryCountElement - Element for query count
+ * @param {HTMLElement} [elements.pricingModelElement] - Element for the pricing model note
  */
 function updateSummaryMetrics(data, elements) {
-  const { totalCostElement, dataProcessedElement, queryCountElement } = elements;
+  const { totalCostElement, dataProcessedElement, queryCountElement, pricingModelElement } = elements;
   
   // Calculate total cost
   const totalCost = data.reduce((sum, item) => sum + (item.estimated_cost_usd || 0), 0);
   totalCostElement.textContent = formatCurrency(totalCost);
   
+  // Describe the pricing model behind the cost
+  if (pricingModelElement) {
+    const models = [...new Set(data.map(item => item.pricing_model).filter(Boolean))];
+    const freeTierCredit = data.reduce((sum, item) => sum + (item.free_tier_credit_usd || 0), 0);
+    const labels = models.map(model => model === 'capacity' ? 'Capacity (slot-hour)' : 'On-demand');
+    
+    pricingModelElement.textContent = labels.length > 0 
+      ? `${labels.join(' + ')} pricing${freeTierCredit > 0 ? `, ${formatCurrency(freeTierCredit)} free tier` : ''}`
+      : '';
+  }
+  
   // Calculate total bytes processed
   const totalBytes = data.reduce((sum, item) => sum + (item.total_bytes_processed || 0), 0);
   const totalTerabytes = totalBytes / Math.pow(1024, 4);
@@ -31,6 +43,76 @@ function updateSummaryMetrics(data, elements) {
   queryCountElement.textContent = totalQueries.toLocaleString();
 }
 
+/**
+ * Update the month-end forecast card
+ * @param {Object|null} forecast - Forecast of the selected project from /api/forecast/:projectId
+ * @param {Object|null} rollup - Forecast of all projects from /api/forecast
+ * @param {Object} elements - Object containing DOM elements for the forecast
+ * @param {HTMLElement} elements.forecastTotalElement - Element for the projected total
+ * @param {HTMLElement} elements.forecastDetailsElement - Element for month-to-date and the band
+ * @param {HTMLElement} [elements.forecastRollupElement] - Element for the all-projects projection
+ */
+function updateForecastMetrics(forecast, rollup, elements) {
+  const { forecastTotalElement, forecastDetailsElement, forecastRollupElement } = elements;
+
+  if (!forecast) {
+    forecastTotalElement.textContent = '$0.00';
+    forecastDetailsElement.textContent = 'No forecast available';
+  } else {
+    forecastTotalElement.textContent = formatCurrency(forecast.projected_cost_usd);
+    forecastDetailsElement.textContent =
+      `${formatCurrency(forecast.month_to_date_cost_usd)} to date, ` +
+      `${Math.round(forecast.confidence * 100)}% range ${formatCurrency(forecast.lower_bound_usd)} – ${formatCurrency(forecast.upper_bound_usd)}`;
+  }
+
+  if (forecastRollupElement) {
+    // The rollup only adds information when there is more than one project
+    forecastRollupElement.textContent = rollup && rollup.projects.length > 1
+      ? `All projects: ${formatCurrency(rollup.projected_cost_usd)}`
+      : '';
+  }
+}
+
+/**
+ * Update the budget list with a progress bar per budget
+ * @param {Array} budgets - Budget statuses from /api/budgets
+ * @param {HTMLElement} listElement - The element to render the budgets into
+ */
+function updateBudgetList(budgets, listElement) {
+  listElement.innerHTML = '';
+
+  if (budgets.length === 0) {
+    listElement.innerHTML = '<p class="text-muted mb-0">No budgets configured</p>';
+    return;
+  }
+
+  budgets.forEach(budget => {
+    const barClass = budget.status === 'exceeded' ? 'bg-danger' : budget.status === 'warning' ? 'bg-warning' : 'bg-success';
+    const target = budget.target ? ` · ${budget.target}` : '';
+    const forecast = budget.status !== 'exceeded' && budget.forecast_breach_date
+      ? `<span class="text-danger">forecast to exceed on ${budget.forecast_breach_date}</span>`
+      : `${formatCurrency(budget.forecast_spend_usd)} forecast`;
+
+    const item = document.createElement('div');
+    item.classList.add('mb-3');
+    item.innerHTML = `
+      <div class="d-flex justify-content-between small">
+        <span><strong>${budget.name}</strong> <span class="text-muted">${budget.scope}${target} · ${budget.period}</span></span>
+        <span>${formatCurrency(budget.spent_usd)} of ${formatCurrency(budget.amount_usd)} (${budget.percent_used}%)</span>
+      </div>
+      <div class="progress" role="progressbar" aria-valuenow="${budget.percent_used}" aria-valuemin="0" aria-valuemax="100">
+        <div class="progress-bar ${barClass}" style="width: ${Math.min(budget.percent_used, 100)}%"></div>
+      </div>
+      <div class="d-flex justify-content-between small text-muted">
+        <span>${formatCurrency(budget.remaining_usd)} remaining until ${budget.period_end}</span>
+        <span>${forecast}</span>
+      </div>
+    `;
+
+    listElement.appendChild(item);
+  });
+}
+
 /**
  * Generate sample data for demonstration purposes
  * @returns {Array} - Sample data
@@ -132,8 +214,8 @@ function generateSampleData() {
         // Round up to the nearest 1 MB for billing
         const bytesBilled = Math.ceil(bytesProcessed / 1048576) * 1048576;
         
-        // Calculate cost ($5 per TB)
-        const cost = (bytesBilled / Math.pow(1024, 4)) * 5;
+        // Calculate cost ($6.25 per TiB on-demand)
+        const cost = (bytesBilled / Math.pow(1024, 4)) * 6.25;
         
         totalBytes += bytesProcessed;
         totalCost += cost;
@@ -177,8 +259,12 @@ function generateSampleData() {
         total_bytes_processed: totalBytes,
         total_bytes_billed: totalBytes, // Simplification
         estimated_cost_usd: totalCost,
+        on_demand_cost_usd: totalCost,
+        capacity_cost_usd: slotHours * 0.06,
+        pricing_model: 'on-demand',
         slot_hours: slotHours,
         cache_hit_percentage: (cacheHitCount / queryCount) * 100,
+        region: 'us',
         dataset_costs: datasetCosts
       });
     });
@@ -214,10 +300,13 @@ function hideLoading() {
  * Show an empty state when no data is available
  * @param {Object} elements - Object containing DOM elements
  * @param {HTMLElement} elements.totalCostElement - Element for total cost
+ * @param {HTMLElement} [elements.pricingModelElement] - Element for the pricing model note
  * @param {HTMLElement} elements.dataProcessedElement - Element for data processed
  * @param {HTMLElement} elements.queryCountElement - Element for query count
  * @param {HTMLElement} elements.queriesTableElement - Element for queries table
  * @param {HTMLElement} elements.datasetTableElement - Element for dataset table
+ * @param {HTMLElement} [elements.regionTableElement] - Element for region table
+ * @param {HTMLElement} [elements.teamTableElement] - Element for team table
  * @param {string} [message] - Optional custom message to display
  * @param {Function} resetCharts - Function to reset charts
  * @param {Function} showSampleData - Function to show sample data
@@ -230,17 +319,27 @@ function showEmptyState(elements, message, resetCharts, showSampleData) {
     dataProcessedElement, 
     queryCountElement, 
     queriesTableElement, 
-    datasetTableElement 
+    datasetTableElement,
+    regionTableElement
   } = elements;
   
   // Update summary metrics with zeros
   totalCostElement.textContent = '$0.00';
+  if (elements.pricingModelElement) {
+    elements.pricingModelElement.textContent = '';
+  }
   dataProcessedElement.textContent = '0 TB';
   queryCountElement.textContent = '0';
   
   // Clear the tables
   queriesTableElement.innerHTML = '';
   datasetTableElement.innerHTML = '';
+  if (regionTableElement) {
+    regionTableElement.innerHTML = '';
+  }
+  if (elements.teamTableElement) {
+    elements.teamTableElement.innerHTML = '';
+  }
   
   // Default message if none provided
   const defaultMessage = 'No cost data available for this project yet.';
@@ -294,6 +393,8 @@ function showError(message) {
 
 export {
   updateSummaryMetrics,
+  updateForecastMetrics,
+  updateBudgetList,
   generateSampleData,
   showLoading,
   hideLoading,
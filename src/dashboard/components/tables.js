@@ -2,7 +2,8 @@
  * Table components for BigQuery Cost Monitor dashboard
  */
 
-import { formatBytes, formatCurrency, formatPercentage, formatDate } from '../formatters.js';
+import { formatBytes, formatCurrency, formatPercentage, formatDuration, formatDate, escapeHtml } from '../formatters.js';
+import { labelBreakdown } from './data.js';
 
 /**
  * Update the query history table with the current data
@@ -170,8 +171,9 @@ function updateQueriesTable(data, tableElement) {
  * Update the dataset cost table
  * @param {Array} data - The data to use for the table
  * @param {HTMLElement} tableElement - The table element to update
+ * @param {string} [labelKey] - Label key to split each dataset's cost by
  */
-function updateDatasetTable(data, tableElement) {
+function updateDatasetTable(data, tableElement, labelKey = null) {
   // Extract and aggregate dataset costs from all users
   const datasetCosts = {};
   let totalCost = 0;
@@ -181,22 +183,32 @@ function updateDatasetTable(data, tableElement) {
     // Add to total cost for percentage calculation
     totalCost += (item.estimated_cost_usd || 0);
     
-    // Process dataset_costs array if it exists
-    if (item.dataset_costs && Array.isArray(item.dataset_costs)) {
-      item.dataset_costs.forEach(ds => {
-        const datasetName = ds.dataset;
+    // When grouping by a label, each value has its own dataset costs
+    const breakdowns = labelKey
+      ? labelBreakdown(item, labelKey)
+      : [{ label_value: null, dataset_costs: item.dataset_costs }];
+    
+    breakdowns.forEach(({ label_value: labelValue, dataset_costs: itemDatasetCosts }) => {
+      if (!itemDatasetCosts || !Array.isArray(itemDatasetCosts)) {
+        return;
+      }
+      
+      itemDatasetCosts.forEach(ds => {
+        const key = labelKey ? `${ds.dataset}\u0000${labelValue}` : ds.dataset;
         
-        if (!datasetCosts[datasetName]) {
-          datasetCosts[datasetName] = {
+        if (!datasetCosts[key]) {
+          datasetCosts[key] = {
+            dataset: ds.dataset,
+            labelValue,
             bytes: 0,
             cost: 0
           };
         }
         
-        datasetCosts[datasetName].bytes += (ds.bytes_processed || 0);
-        datasetCosts[datasetName].cost += (ds.dataset_cost_usd || 0);
+        datasetCosts[key].bytes += (ds.bytes_processed || 0);
+        datasetCosts[key].cost += (ds.dataset_cost_usd || 0);
       });
-    }
+    });
   });
   
   // Convert to array and sort by cost
@@ -208,11 +220,14 @@ function updateDatasetTable(data, tableElement) {
   tableElement.innerHTML = '';
   
   // Add rows to the table
-  sortedDatasets.forEach(([dataset, data]) => {
+  sortedDatasets.forEach(([, data]) => {
     const row = document.createElement('tr');
+    const labelBadge = labelKey
+      ? ` <span class="badge bg-secondary">${labelKey}=${data.labelValue}</span>`
+      : '';
     
     row.innerHTML = `
-      <td><code>${dataset}</code></td>
+      <td><code>${data.dataset}</code>${labelBadge}</td>
       <td>${formatBytes(data.bytes)}</td>
       <td>${formatCurrency(data.cost)}</td>
       <td>${formatPercentage(data.cost, totalCost)}</td>
@@ -229,6 +244,213 @@ function updateDatasetTable(data, tableElement) {
   }
 }
 
+/**
+ * Update the region cost table
+ * @param {Array} data - The data to use for the table
+ * @param {HTMLElement} tableElement - The table element to update
+ */
+function updateRegionTable(data, tableElement) {
+  // Aggregate cost by region
+  const regionCosts = {};
+  let totalCost = 0;
+  
+  data.forEach(item => {
+    const region = item.region || 'Unknown';
+    
+    if (!regionCosts[region]) {
+      regionCosts[region] = {
+        bytes: 0,
+        cost: 0,
+        queries: 0
+      };
+    }
+    
+    regionCosts[region].bytes += (item.total_bytes_processed || 0);
+    regionCosts[region].cost += (item.estimated_cost_usd || 0);
+    regionCosts[region].queries += (item.query_count || 0);
+    totalCost += (item.estimated_cost_usd || 0);
+  });
+  
+  // Convert to array and sort by cost
+  const sortedRegions = Object.entries(regionCosts)
+    .sort((a, b) => b[1].cost - a[1].cost);
+  
+  // Clear the table
+  tableElement.innerHTML = '';
+  
+  // Add rows to the table
+  sortedRegions.forEach(([region, data]) => {
+    const row = document.createElement('tr');
+    
+    row.innerHTML = `
+      <td><code>${region}</code></td>
+      <td>${data.queries.toLocaleString()}</td>
+      <td>${formatBytes(data.bytes)}</td>
+      <td>${formatCurrency(data.cost)}</td>
+      <td>${formatPercentage(data.cost, totalCost)}</td>
+    `;
+    
+    tableElement.appendChild(row);
+  });
+  
+  // If no regions found, show message
+  if (sortedRegions.length === 0) {
+    const row = document.createElement('tr');
+    row.innerHTML = `<td colspan="5" class="text-center">No region cost information available</td>`;
+    tableElement.appendChild(row);
+  }
+}
+
+/**
+ * Update the team cost table
+ * @param {Array} data - The data to use for the table
+ * @param {HTMLElement} tableElement - The table element to update
+ * @param {Array} [forecasts] - Month-end forecasts of the teams from /api/forecast/teams
+ */
+function updateTeamTable(data, tableElement, forecasts = []) {
+  // Aggregate each record's team shares
+  const teamCosts = {};
+  let totalCost = 0;
+  
+  data.forEach(item => {
+    totalCost += (item.estimated_cost_usd || 0);
+    
+    (item.team_costs || []).forEach(entry => {
+      if (!teamCosts[entry.team]) {
+        teamCosts[entry.team] = {
+          costCenter: entry.cost_center,
+          cost: 0
+        };
+      }
+      
+      teamCosts[entry.team].cost += (entry.team_cost_usd || 0);
+    });
+  });
+  
+  // Convert to array and sort by cost, keeping unassigned cost last so gaps stand out
+  const sortedTeams = Object.entries(teamCosts)
+    .sort((a, b) => (a[0] === 'unassigned') - (b[0] === 'unassigned') || b[1].cost - a[1].cost);
+  
+  // Clear the table
+  tableElement.innerHTML = '';
+  
+  // Add rows to the table
+  sortedTeams.forEach(([team, data]) => {
+    const row = document.createElement('tr');
+    const forecast = forecasts.find(entry => entry.team === team);
+    
+    row.innerHTML = `
+      <td>${team === 'unassigned' ? '<span class="text-muted">Unassigned</span>' : team}</td>
+      <td>${data.costCenter ? `<code>${data.costCenter}</code>` : '-'}</td>
+      <td>${formatCurrency(data.cost)}</td>
+      <td>${formatPercentage(data.cost, totalCost)}</td>
+      <td>${forecast
+        ? `${formatCurrency(forecast.projected_cost_usd)} <small class="text-muted">(${formatCurrency(forecast.lower_bound_usd)} – ${formatCurrency(forecast.upper_bound_usd)})</small>`
+        : '-'}</td>
+    `;
+    
+    tableElement.appendChild(row);
+  });
+  
+  // If no teams found, show message
+  if (sortedTeams.length === 0) {
+    const row = document.createElement('tr');
+    row.innerHTML = `<td colspan="5" class="text-center">No team mapping configured</td>`;
+    tableElement.appendChild(row);
+  }
+}
+
+/**
+ * Update the storage cost table
+ * @param {Array} datasets - Dataset storage summaries from the storage API
+ * @param {HTMLElement} tableElement - The table element to update
+ * @param {HTMLElement} [totalElement] - Element showing the total monthly storage cost
+ */
+function updateStorageTable(datasets, tableElement, totalElement) {
+  // Clear the table
+  tableElement.innerHTML = '';
+  
+  const totalCost = datasets.reduce((sum, ds) => sum + (ds.monthly_cost_usd || 0), 0);
+  if (totalElement) {
+    totalElement.textContent = datasets.length > 0 ? `${formatCurrency(totalCost)} / month` : '';
+  }
+  
+  // Add rows to the table
+  datasets.slice(0, 20).forEach(ds => {
+    const row = document.createElement('tr');
+    
+    // Highlight datasets that would be cheaper under the other billing model
+    const canSave = ds.recommended_billing_model !== ds.storage_billing_model && ds.potential_monthly_savings_usd > 0;
+    if (canSave) {
+      row.classList.add('table-warning');
+    }
+    
+    row.innerHTML = `
+      <td><code>${ds.dataset}</code></td>
+      <td>${ds.storage_billing_model}</td>
+      <td>${formatBytes(ds.total_logical_bytes)}</td>
+      <td>${formatBytes(ds.total_physical_bytes)}</td>
+      <td>${formatBytes(ds.time_travel_physical_bytes + ds.fail_safe_physical_bytes)}</td>
+      <td>${formatCurrency(ds.monthly_cost_usd)}</td>
+      <td>${formatCurrency(ds.logical_monthly_cost_usd)}</td>
+      <td>${formatCurrency(ds.physical_monthly_cost_usd)}</td>
+      <td>${canSave ? `${ds.recommended_billing_model} (save ${formatCurrency(ds.potential_monthly_savings_usd)})` : ds.recommended_billing_model}</td>
+    `;
+    
+    tableElement.appendChild(row);
+  });
+  
+  // If no datasets found, show message
+  if (datasets.length === 0) {
+    const row = document.createElement('tr');
+    row.innerHTML = `<td colspan="9" class="text-center">No storage information available</td>`;
+    tableElement.appendChild(row);
+  }
+}
+
+/**
+ * Update the jobs table with a page of jobs
+ * @param {Array} jobs - Jobs of the page
+ * @param {HTMLElement} tableElement - The table element to update
+ * @param {string} [emptyMessage] - Message shown when there are no jobs
+ */
+function updateJobsTable(jobs, tableElement, emptyMessage = 'No jobs found') {
+  // Clear the table
+  tableElement.innerHTML = '';
+  
+  jobs.forEach(job => {
+    const row = document.createElement('tr');
+    row.classList.add('job-row');
+    row.dataset.projectId = job.project_id;
+    row.dataset.jobId = job.job_id;
+    row.title = 'Show job details';
+    
+    // Failed jobs stand out, with their error as the statement badge's tooltip
+    const statement = job.error_reason
+      ? `<span class="badge bg-danger" title="${escapeHtml(job.error_message)}">${escapeHtml(job.statement_type)}</span>`
+      : `<span class="badge bg-secondary">${escapeHtml(job.statement_type)}</span>`;
+    
+    row.innerHTML = `
+      <td class="text-nowrap">${formatDate(job.creation_time, 'medium')}</td>
+      <td>${escapeHtml((job.user_email || 'Unknown').split('@')[0])}</td>
+      <td>${statement}</td>
+      <td class="job-query"><code>${escapeHtml(job.query)}${job.query_truncated ? '&hellip;' : ''}</code></td>
+      <td>${formatBytes(job.total_bytes_billed || 0)}</td>
+      <td>${formatDuration(job.total_slot_ms)}</td>
+      <td>${formatCurrency(job.estimated_cost_usd)}</td>
+    `;
+    
+    tableElement.appendChild(row);
+  });
+  
+  // If no jobs found, show message
+  if (jobs.length === 0) {
+    const row = document.createElement('tr');
+    row.innerHTML = `<td colspan="7" class="text-center">${escapeHtml(emptyMessage)}</td>`;
+    tableElement.appendChild(row);
+  }
+}
+
 /**
  * Create and populate the table details modal
  * @param {Array} tableData - Array of table cost data
@@ -534,6 +756,10 @@ function createTimePatternModal(data) {
 export {
   updateQueriesTable,
   updateDatasetTable,
+  updateRegionTable,
+  updateTeamTable,
+  updateStorageTable,
+  updateJobsTable,
   createTableDetailsModal,
   createUserDatasetModal,
   createTimePatternModal
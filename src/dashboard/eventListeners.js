@@ -2,21 +2,39 @@
  * Event listeners for BigQuery Cost Monitor dashboard
  */
 
-import { showTimePatternModal, showTableDetailsModal, showUserDatasetModal } from './modals.js';
+import { showTimePatternModal, showTableDetailsModal, showUserDatasetModal, showJobDetailsModal } from './modals.js';
+import { exportUrl, getPeriodStartDate, loadJob } from './components/data.js';
+import { downloadFile } from './components/api.js';
 
 /**
  * Set up event listeners for the dashboard
  * @param {Object} params - Parameters for setting up event listeners
  * @param {NodeList} params.periodButtons - Period selection buttons
  * @param {Function} params.updateActivePeriod - Function to update the active period
+ * @param {HTMLSelectElement} [params.labelGroupSelect] - Label key grouping select
+ * @param {Function} [params.updateLabelKey] - Function to update the label key to group by
  * @param {Function} params.updateDashboard - Function to update the dashboard
  * @param {Array} params.costData - Reference to the cost data
+ * @param {HTMLFormElement} [params.jobFilterForm] - Job search form
+ * @param {HTMLElement} [params.jobsTableElement] - Body of the jobs table
+ * @param {HTMLButtonElement} [params.jobsPrevBtn] - Previous page of jobs button
+ * @param {HTMLButtonElement} [params.jobsNextBtn] - Next page of jobs button
+ * @param {Function} [params.updateJobFilters] - Function to search jobs with new filters
+ * @param {Function} [params.changeJobsPage] - Function to move a page of jobs back (-1) or forward (1)
  */
 function setupEventListeners({ 
   periodButtons, 
   updateActivePeriod, 
+  labelGroupSelect,
+  updateLabelKey,
   updateDashboard,
-  costData
+  costData,
+  jobFilterForm,
+  jobsTableElement,
+  jobsPrevBtn,
+  jobsNextBtn,
+  updateJobFilters,
+  changeJobsPage
 }) {
   // Period selection buttons
   periodButtons.forEach(button => {
@@ -40,6 +58,14 @@ function setupEventListeners({
     });
   });
   
+  // Label grouping select
+  if (labelGroupSelect && updateLabelKey) {
+    labelGroupSelect.addEventListener('change', () => {
+      updateLabelKey(labelGroupSelect.value);
+      updateDashboard();
+    });
+  }
+  
   // Time patterns button
   const timePatternBtn = document.getElementById('showTimePatternBtn');
   if (timePatternBtn) {
@@ -69,6 +95,65 @@ function setupEventListeners({
       showUserDatasetModal(dashboardState.costData);
     });
   }
+
+  // Job search form; empty fields are left out of the filters
+  if (jobFilterForm && updateJobFilters) {
+    jobFilterForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+
+      const filters = {};
+      new FormData(jobFilterForm).forEach((value, key) => {
+        if (value !== '') {
+          filters[key] = value;
+        }
+      });
+      updateJobFilters(filters);
+    });
+  }
+  
+  // Pages of jobs
+  if (jobsPrevBtn && jobsNextBtn && changeJobsPage) {
+    jobsPrevBtn.addEventListener('click', () => changeJobsPage(-1));
+    jobsNextBtn.addEventListener('click', () => changeJobsPage(1));
+  }
+  
+  // Job details, delegated since the rows are replaced on every search
+  if (jobsTableElement) {
+    jobsTableElement.addEventListener('click', async (event) => {
+      const row = event.target.closest('.job-row');
+      if (!row) {
+        return;
+      }
+
+      const result = await loadJob(row.dataset.projectId, row.dataset.jobId);
+      if (result.success) {
+        showJobDetailsModal(result.data);
+      } else {
+        alert(result.error);
+      }
+    });
+  }
+
+  // Export buttons, delegated since the modals add theirs on the fly
+  document.addEventListener('click', (event) => {
+    const exportButton = event.target.closest('[data-export-format]');
+    const dashboardState = window.dashboardState;
+    if (!exportButton || !dashboardState || !dashboardState.currentProject) {
+      return;
+    }
+
+    // Downloaded with fetch rather than by navigating, so the request carries the credentials
+    const url = exportUrl(dashboardState.currentProject.id, {
+      format: exportButton.dataset.exportFormat,
+      view: exportButton.dataset.exportView,
+      from: getPeriodStartDate(dashboardState.activePeriod),
+      labelKey: dashboardState.labelKey
+    });
+    downloadFile(url, `export.${exportButton.dataset.exportFormat}`).catch(error => {
+      console.error('Error exporting cost data:', error);
+      alert(`Export failed: ${error.message}`);
+    });
+  });
 }
 
 export { setupEventListeners };
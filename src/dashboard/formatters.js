@@ -49,6 +49,19 @@ function formatPercentage(value, total) {
   return cappedPercentage.toFixed(1) + '%';
 }
 
+/**
+ * Format a duration in milliseconds, e.g. slot time
+ * @param {number} ms - The duration in milliseconds
+ * @returns {string} - Formatted duration with the largest fitting unit
+ */
+function formatDuration(ms) {
+  if (typeof ms !== 'number' || isNaN(ms) || ms <= 0) return '0 s';
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${parseFloat(seconds.toFixed(1))} s`;
+  if (seconds < 3600) return `${parseFloat((seconds / 60).toFixed(1))} min`;
+  return `${parseFloat((seconds / 3600).toFixed(2))} h`;
+}
+
 /**
  * Format date to a readable string
  * @param {string|Date} date - The date to format
@@ -74,9 +87,25 @@ function formatDate(date, format = 'short') {
   }
 }
 
+/**
+ * Escape text for use in HTML
+ * @param {*} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 export {
   formatBytes,
   formatCurrency,
   formatPercentage,
-  formatDate
+  formatDuration,
+  formatDate,
+  escapeHtml
 };
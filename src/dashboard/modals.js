@@ -2,10 +2,32 @@
  * Modal components for BigQuery Cost Monitor dashboard
  */
 
-import { formatBytes, formatCurrency, formatPercentage } from './formatters.js';
+import { formatBytes, formatCurrency, formatPercentage, formatDuration, formatDate, escapeHtml } from './formatters.js';
 import { extractTableCosts, extractTimePatternData } from './components/data.js';
 import { createTimePatternCharts } from './components/charts.js';
 
+/**
+ * Render an export dropdown for a modal footer
+ * @param {string} view - Export view the dropdown downloads
+ * @returns {string} - Dropdown HTML
+ */
+function exportMenu(view) {
+  const formats = [['csv', 'CSV'], ['xlsx', 'Excel (XLSX)'], ['json', 'JSON']];
+
+  return `
+    <div class="btn-group dropup">
+      <button type="button" class="btn btn-sm btn-outline-secondary dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false">
+        <i class="bi bi-download"></i> Export
+      </button>
+      <ul class="dropdown-menu dropdown-menu-end">
+        ${formats.map(([format, name]) => `
+          <li><button class="dropdown-item" type="button" data-export-view="${view}" data-export-format="${format}">${name}</button></li>
+        `).join('')}
+      </ul>
+    </div>
+  `;
+}
+
 /**
  * Show time pattern analysis modal
  * @param {Array} costData - The cost data
@@ -147,12 +169,13 @@ function showTableDetailsModal(costData) {
             </div>
           </div>
           <div class="modal-footer">
-            <div class="text-muted small">
+            <div class="text-muted small me-auto">
               <ul class="mb-0">
                 <li>Rows in <span class="text-danger">red</span> have >80% of costs from rebuilds</li>
                 <li>Rows in <span class="text-warning">yellow</span> have >50% of costs from rebuilds</li>
               </ul>
             </div>
+            ${exportMenu('table')}
           </div>
         </div>
       </div>
@@ -278,9 +301,10 @@ function showUserDatasetModal(costData) {
             </div>
           </div>
           <div class="modal-footer">
-            <div class="text-muted small">
+            <div class="text-muted small me-auto">
               Shows which users and service accounts are querying each dataset and the associated costs.
             </div>
+            ${exportMenu('userDataset')}
           </div>
         </div>
       </div>
@@ -302,8 +326,109 @@ function showUserDatasetModal(costData) {
   });
 }
 
+/**
+ * Show a collected job with its complete SQL, referenced tables, slot time and labels
+ * @param {Object} job - The job from /api/jobs/:projectId/:jobId
+ */
+function showJobDetailsModal(job) {
+  const labels = Object.entries(job.labels || {});
+  const tables = job.referenced_tables || [];
+  
+  const detail = (name, value) => `
+    <dt class="col-sm-4">${name}</dt>
+    <dd class="col-sm-8">${value}</dd>
+  `;
+  
+  // Create modal content
+  const modalContent = `
+    <div class="modal fade" id="jobDetailsModal" tabindex="-1" aria-labelledby="jobDetailsModalLabel" aria-hidden="true">
+      <div class="modal-dialog modal-xl">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h5 class="modal-title" id="jobDetailsModalLabel">Job <code>${escapeHtml(job.job_id)}</code></h5>
+            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+          </div>
+          <div class="modal-body">
+            ${job.error_reason ? `
+              <div class="alert alert-danger">
+                <strong>${escapeHtml(job.error_reason)}</strong>: ${escapeHtml(job.error_message)}
+              </div>
+            ` : ''}
+            <div class="row">
+              <div class="col-md-6">
+                <dl class="row mb-0">
+                  ${detail('Project', `<code>${escapeHtml(job.project_id)}</code>`)}
+                  ${detail('User', escapeHtml(job.user_email))}
+                  ${detail('Statement', escapeHtml(job.statement_type))}
+                  ${detail('Location', escapeHtml(job.location))}
+                  ${detail('Created', formatDate(job.creation_time, 'long'))}
+                  ${detail('Duration', `${job.duration_seconds || 0} s`)}
+                  ${detail('Priority', escapeHtml(job.priority))}
+                  ${job.reservation_id ? detail('Reservation', escapeHtml(job.reservation_id)) : ''}
+                </dl>
+              </div>
+              <div class="col-md-6">
+                <dl class="row mb-0">
+                  ${detail('Cost', formatCurrency(job.estimated_cost_usd))}
+                  ${detail('On-demand / capacity', `${formatCurrency(job.on_demand_cost_usd)} / ${formatCurrency(job.capacity_cost_usd)}`)}
+                  ${detail('Data processed', formatBytes(job.total_bytes_processed || 0))}
+                  ${detail('Data billed', formatBytes(job.total_bytes_billed || 0))}
+                  ${detail('Slot time', `${formatDuration(job.total_slot_ms)} (${(job.total_slot_ms || 0).toLocaleString()} ms)`)}
+                  ${detail('Cache hit', job.cache_hit ? 'Yes' : 'No')}
+                  ${job.destination_table ? detail('Destination', `<code>${escapeHtml(job.destination_table)}</code>`) : ''}
+                </dl>
+              </div>
+            </div>
+            
+            <h6 class="mt-3">SQL</h6>
+            <pre class="job-sql"><code>${escapeHtml(job.query)}</code></pre>
+            
+            <div class="row">
+              <div class="col-md-8">
+                <h6>Referenced Tables</h6>
+                ${tables.length > 0
+                  ? `<ul class="mb-0">${tables.map(table => `<li><code>${escapeHtml(table)}</code></li>`).join('')}</ul>`
+                  : '<p class="text-muted mb-0">None</p>'}
+              </div>
+              <div class="col-md-4">
+                <h6>Labels</h6>
+                ${labels.length > 0
+                  ? labels.map(([key, value]) => `<span class="badge bg-light text-dark border me-1">${escapeHtml(key)}: ${escapeHtml(value)}</span>`).join('')
+                  : '<p class="text-muted mb-0">None</p>'}
+              </div>
+            </div>
+          </div>
+          <div class="modal-footer">
+            <div class="text-muted small me-auto">
+              Costs are before the free tier, which is only applied to the daily totals.
+            </div>
+            <a href="${escapeHtml(job.console_url)}" target="_blank" rel="noopener" class="btn btn-sm btn-outline-primary">
+              <i class="bi bi-box-arrow-up-right"></i> Open in Console
+            </a>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+  
+  // Add modal to the DOM
+  const modalElement = document.createElement('div');
+  modalElement.innerHTML = modalContent;
+  document.body.appendChild(modalElement);
+  
+  // Initialize the modal
+  const modal = new bootstrap.Modal(document.getElementById('jobDetailsModal'));
+  modal.show();
+  
+  // Clean up when modal is hidden
+  document.getElementById('jobDetailsModal').addEventListener('hidden.bs.modal', function () {
+    document.body.removeChild(modalElement);
+  });
+}
+
 export {
   showTimePatternModal,
   showTableDetailsModal,
-  showUserDatasetModal
+  showUserDatasetModal,
+  showJobDetailsModal
 };
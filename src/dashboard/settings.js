@@ -0,0 +1,442 @@
+/**
+ * BigQuery Cost Monitor - Settings Page
+ *
+ * Lists and edits the projects and global settings of the configuration
+ * file through the configuration API, and rolls back to earlier revisions.
+ */
+
+import {
+  ConfigApiError,
+  loadConfigFile,
+  createProject,
+  replaceProject,
+  patchProject,
+  deleteProject,
+  patchSettings,
+  loadRevisions,
+  restoreRevision
+} from './components/config.js';
+
+import { formatCurrency, formatDate, escapeHtml } from './formatters.js';
+
+// Configuration file as last loaded
+let configFile = null;
+
+// Project being edited in the project modal, null when adding one
+let editedProject = null;
+
+/**
+ * Show a message above the page content
+ * @param {string} message - Message
+ * @param {string} [type] - Bootstrap alert type
+ * @param {string[]} [details] - Individual errors, listed below the message
+ */
+function showAlert(message, type = 'danger', details = []) {
+  const alert = document.getElementById('configAlert');
+  const list = details.length > 0
+    ? `<ul class="mb-0 mt-2">${details.map(detail => `<li>${escapeHtml(detail)}</li>`).join('')}</ul>`
+    : '';
+
+  alert.className = `alert alert-${type}`;
+  alert.innerHTML = `${escapeHtml(message)}${list}`;
+}
+
+/**
+ * Hide the message above the page content
+ */
+function hideAlert() {
+  document.getElementById('configAlert').className = 'alert d-none';
+}
+
+/**
+ * Show an error from the configuration API
+ * @param {Error} error - Error
+ * @param {string} [elementId] - Element to show it in, by default the page alert
+ */
+function showError(error, elementId) {
+  const errors = error instanceof ConfigApiError ? error.errors : [];
+
+  if (!elementId) {
+    showAlert(error.message, 'danger', errors);
+    return;
+  }
+
+  const element = document.getElementById(elementId);
+  element.classList.remove('d-none');
+  element.innerHTML = `${escapeHtml(error.message)}${errors.length > 0
+    ? `<ul class="mb-0 mt-2">${errors.map(detail => `<li>${escapeHtml(detail)}</li>`).join('')}</ul>`
+    : ''}`;
+}
+
+/**
+ * Describe a project's pricing for the projects table
+ * @param {Object} pricing - Project pricing configuration
+ * @returns {string} - Description
+ */
+function describePricing(pricing = {}) {
+  const parts = [pricing.model === 'capacity' ? `Capacity (${pricing.edition || 'enterprise'})` : pricing.model ? 'On-demand' : 'Default'];
+
+  if (pricing.onDemandPerTiB !== undefined) {
+    parts.push(`${formatCurrency(pricing.onDemandPerTiB)}/TiB`);
+  }
+  if (pricing.slotHourPrice !== undefined) {
+    parts.push(`${formatCurrency(pricing.slotHourPrice)}/slot-hour`);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Render the projects table
+ * @param {Array} projects - Projects of the configuration file
+ */
+function renderProjects(projects) {
+  const tableBody = document.getElementById('configProjectsTable');
+
+  if (projects.length === 0) {
+    tableBody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No projects configured</td></tr>';
+    return;
+  }
+
+  tableBody.innerHTML = projects.map(project => `
+    <tr>
+      <td>
+        <div class="form-check form-switch">
+          <input class="form-check-input project-toggle" type="checkbox" role="switch"
+            data-project-id="${escapeHtml(project.id)}" ${project.disabled ? '' : 'checked'}
+            aria-label="Collect costs for ${escapeHtml(project.id)}">
+        </div>
+      </td>
+      <td>
+        <div>${escapeHtml(project.name)}</div>
+        <div class="text-muted small">${escapeHtml(project.id)}</div>
+      </td>
+      <td>${escapeHtml((project.regions || []).join(', ') || project.location || 'Default')}</td>
+      <td>${project.historyDays ? `${escapeHtml(project.historyDays)} days` : 'Default'}</td>
+      <td>${escapeHtml(describePricing(project.pricing))}</td>
+      <td class="text-end text-nowrap">
+        <button type="button" class="btn btn-sm btn-outline-secondary project-edit" data-project-id="${escapeHtml(project.id)}" title="Edit">
+          <i class="bi bi-pencil"></i>
+        </button>
+        <button type="button" class="btn btn-sm btn-outline-danger project-delete" data-project-id="${escapeHtml(project.id)}" title="Delete">
+          <i class="bi bi-trash"></i>
+        </button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Fill the defaults form from the global settings
+ * @param {Object} settings - Global settings of the configuration file
+ */
+function renderSettings(settings) {
+  const form = document.getElementById('settingsForm');
+  const pricing = settings.pricing || {};
+  const values = {
+    historyDays: settings.historyDays,
+    refreshInterval: settings.refreshInterval,
+    concurrency: settings.concurrency,
+    projectTimeoutSeconds: settings.projectTimeoutSeconds,
+    'pricing.model': pricing.model,
+    'pricing.edition': pricing.edition,
+    'pricing.freeTierTiB': pricing.freeTierTiB,
+    collectStorage: settings.collectStorage
+  };
+
+  Object.entries(values).forEach(([name, value]) => {
+    form.elements[name].value = value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Render the revisions table
+ * @param {Array} revisions - Revisions, newest first
+ * @param {string} currentVersion - Version of the configuration file as it is now
+ */
+function renderRevisions(revisions, currentVersion) {
+  const tableBody = document.getElementById('configRevisionsTable');
+
+  if (revisions.length === 0) {
+    tableBody.innerHTML = '<tr><td colspan="4" class="text-center text-muted">No changes recorded yet</td></tr>';
+    return;
+  }
+
+  tableBody.innerHTML = revisions.map(revision => `
+    <tr>
+      <td class="text-nowrap">${escapeHtml(formatDate(revision.createdAt, 'medium'))}</td>
+      <td>${escapeHtml(revision.author || '-')}</td>
+      <td>${escapeHtml(revision.summary || revision.action)}</td>
+      <td class="text-end">
+        ${revision.etag === currentVersion ? '<span class="badge bg-secondary">Current</span>' : `
+        <button type="button" class="btn btn-sm btn-outline-secondary revision-restore" data-revision-id="${escapeHtml(revision.revisionId)}">
+          Restore
+        </button>`}
+      </td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Load the configuration file and its revisions and render the page
+ */
+async function refresh() {
+  try {
+    const file = await loadConfigFile();
+    configFile = file;
+
+    document.getElementById('configPath').textContent = file.exists
+      ? `Editing ${file.path}`
+      : `${file.path} doesn't exist yet; saving creates it`;
+
+    if (!file.loaded) {
+      showAlert('The configuration file has changed but is not valid, so the dashboard is still using the previous configuration. Fix the file or restore a revision.', 'warning');
+    } else {
+      hideAlert();
+    }
+
+    renderProjects(file.projects);
+    renderSettings(file.settings);
+  } catch (error) {
+    console.error('Error loading configuration:', error);
+    configFile = null;
+    showError(error);
+  }
+
+  // Revisions are listed even when the file can't be read, so it can be restored
+  try {
+    renderRevisions(await loadRevisions(), configFile && configFile.etag);
+  } catch (error) {
+    console.error('Error loading revisions:', error);
+  }
+}
+
+/**
+ * Set or remove a field of an object depending on whether a value was given
+ * @param {Object} target - Object to change
+ * @param {string} key - Field name
+ * @param {*} value - Value; undefined or an empty string removes the field
+ */
+function setOptional(target, key, value) {
+  if (value === undefined || value === '') {
+    delete target[key];
+  } else {
+    target[key] = value;
+  }
+}
+
+/**
+ * Read a number from a form field
+ * @param {HTMLFormElement} form - Form
+ * @param {string} name - Field name
+ * @returns {number|undefined} - Number, or undefined when the field is empty
+ */
+function readNumber(form, name) {
+  const value = form.elements[name].value.trim();
+  return value === '' ? undefined : Number(value);
+}
+
+/**
+ * Read a true/false select from a form field
+ * @param {HTMLFormElement} form - Form
+ * @param {string} name - Field name
+ * @returns {boolean|undefined} - Value, or undefined for the default
+ */
+function readBoolean(form, name) {
+  const value = form.elements[name].value;
+  return value === '' ? undefined : value === 'true';
+}
+
+/**
+ * Open the project modal
+ * @param {Object|null} project - Project to edit, or null to add one
+ */
+function openProjectModal(project) {
+  editedProject = project;
+
+  const form = document.getElementById('projectForm');
+  const pricing = (project && project.pricing) || {};
+  form.reset();
+  document.getElementById('projectFormErrors').classList.add('d-none');
+  document.getElementById('projectModalLabel').textContent = project ? `Edit ${project.name}` : 'Add Project';
+
+  form.elements.id.readOnly = Boolean(project);
+  if (project) {
+    form.elements.id.value = project.id;
+    form.elements.name.value = project.name || '';
+    form.elements.description.value = project.description || '';
+    form.elements.regions.value = (project.regions || []).join(', ');
+    form.elements.location.value = project.location || '';
+    form.elements.historyDays.value = project.historyDays || '';
+    form.elements.collectStorage.value = project.collectStorage === undefined ? '' : String(project.collectStorage);
+    form.elements['pricing.model'].value = pricing.model || '';
+    form.elements['pricing.edition'].value = pricing.edition || '';
+    form.elements['pricing.freeTierTiB'].value = pricing.freeTierTiB === undefined ? '' : pricing.freeTierTiB;
+    form.elements['pricing.onDemandPerTiB'].value = pricing.onDemandPerTiB === undefined ? '' : pricing.onDemandPerTiB;
+    form.elements['pricing.slotHourPrice'].value = pricing.slotHourPrice === undefined ? '' : pricing.slotHourPrice;
+  }
+  form.elements.enabled.checked = !project || !project.disabled;
+
+  bootstrap.Modal.getOrCreateInstance(document.getElementById('projectModal')).show();
+}
+
+/**
+ * Build a project from the project modal, keeping the fields the form doesn't show
+ * @param {HTMLFormElement} form - Project form
+ * @returns {Object} - Project configuration
+ */
+function readProjectForm(form) {
+  const project = editedProject ? JSON.parse(JSON.stringify(editedProject)) : {};
+  const pricing = { ...(project.pricing || {}) };
+  const regions = form.elements.regions.value.split(',').map(region => region.trim()).filter(Boolean);
+
+  project.id = form.elements.id.value.trim();
+  project.name = form.elements.name.value.trim();
+  setOptional(project, 'description', form.elements.description.value.trim());
+  setOptional(project, 'regions', regions.length > 0 ? regions : undefined);
+  setOptional(project, 'location', form.elements.location.value.trim());
+  setOptional(project, 'historyDays', readNumber(form, 'historyDays'));
+  setOptional(project, 'collectStorage', readBoolean(form, 'collectStorage'));
+  setOptional(project, 'disabled', form.elements.enabled.checked ? undefined : true);
+
+  setOptional(pricing, 'model', form.elements['pricing.model'].value);
+  setOptional(pricing, 'edition', form.elements['pricing.edition'].value);
+  setOptional(pricing, 'freeTierTiB', readNumber(form, 'pricing.freeTierTiB'));
+  setOptional(pricing, 'onDemandPerTiB', readNumber(form, 'pricing.onDemandPerTiB'));
+  setOptional(pricing, 'slotHourPrice', readNumber(form, 'pricing.slotHourPrice'));
+  setOptional(project, 'pricing', Object.keys(pricing).length > 0 ? pricing : undefined);
+
+  return project;
+}
+
+/**
+ * Save the project in the project modal
+ * @param {Event} event - Submit event
+ */
+async function saveProject(event) {
+  event.preventDefault();
+  const form = event.target;
+
+  try {
+    const project = readProjectForm(form);
+    if (editedProject) {
+      await replaceProject(editedProject.id, project);
+    } else {
+      await createProject(project);
+    }
+
+    bootstrap.Modal.getInstance(document.getElementById('projectModal')).hide();
+    await refresh();
+  } catch (error) {
+    console.error('Error saving project:', error);
+    showError(error, 'projectFormErrors');
+  }
+}
+
+/**
+ * Save the defaults form; empty fields remove the setting
+ * @param {Event} event - Submit event
+ */
+async function saveSettings(event) {
+  event.preventDefault();
+  const form = event.target;
+  const orNull = value => (value === undefined || value === '' ? null : value);
+
+  const patch = {
+    historyDays: orNull(readNumber(form, 'historyDays')),
+    refreshInterval: orNull(readNumber(form, 'refreshInterval')),
+    concurrency: orNull(readNumber(form, 'concurrency')),
+    projectTimeoutSeconds: orNull(readNumber(form, 'projectTimeoutSeconds')),
+    collectStorage: orNull(readBoolean(form, 'collectStorage'))
+  };
+  const pricing = {
+    model: orNull(form.elements['pricing.model'].value),
+    edition: orNull(form.elements['pricing.edition'].value),
+    freeTierTiB: orNull(readNumber(form, 'pricing.freeTierTiB'))
+  };
+
+  // Don't add an empty pricing section to a file that has none
+  if ((configFile && configFile.settings.pricing) || Object.values(pricing).some(value => value !== null)) {
+    patch.pricing = pricing;
+  }
+
+  try {
+    await patchSettings(patch);
+
+    await refresh();
+    showAlert('Defaults saved.', 'success');
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    showError(error);
+  }
+}
+
+/**
+ * Handle clicks and toggles in the projects and revisions tables
+ */
+function setupEventListeners() {
+  document.getElementById('addProjectButton').addEventListener('click', () => openProjectModal(null));
+  document.getElementById('projectForm').addEventListener('submit', saveProject);
+  document.getElementById('settingsForm').addEventListener('submit', saveSettings);
+
+  const projectsTable = document.getElementById('configProjectsTable');
+
+  projectsTable.addEventListener('change', async event => {
+    const toggle = event.target.closest('.project-toggle');
+    if (!toggle) return;
+
+    try {
+      await patchProject(toggle.dataset.projectId, { disabled: toggle.checked ? null : true });
+      await refresh();
+    } catch (error) {
+      console.error('Error changing project:', error);
+      toggle.checked = !toggle.checked;
+      showError(error);
+    }
+  });
+
+  projectsTable.addEventListener('click', async event => {
+    const editButton = event.target.closest('.project-edit');
+    const deleteButton = event.target.closest('.project-delete');
+
+    if (editButton && configFile) {
+      const project = configFile.projects.find(p => p.id === editButton.dataset.projectId);
+      openProjectModal(project);
+      return;
+    }
+
+    if (deleteButton) {
+      const projectId = deleteButton.dataset.projectId;
+      if (!window.confirm(`Remove ${projectId} from the configuration? Its collected data is kept.`)) return;
+
+      try {
+        await deleteProject(projectId);
+        await refresh();
+      } catch (error) {
+        console.error('Error deleting project:', error);
+        showError(error);
+      }
+    }
+  });
+
+  document.getElementById('configRevisionsTable').addEventListener('click', async event => {
+    const restoreButton = event.target.closest('.revision-restore');
+    if (!restoreButton) return;
+
+    if (!window.confirm('Restore the configuration as it was in this revision?')) return;
+
+    try {
+      await restoreRevision(restoreButton.dataset.revisionId);
+      await refresh();
+      showAlert('Revision restored.', 'success');
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      showError(error);
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  setupEventListeners();
+  refresh();
+});
@@ -1,5 +1,11 @@
 -- Query to calculate BigQuery costs based on usage data
 -- Completely restructured to avoid correlated subqueries
+-- {{region}} is replaced with the region being collected (e.g. us, eu, asia-northeast1)
+-- {{jobsView}} is replaced with the job view read: JOBS for a project, JOBS_BY_ORGANIZATION
+-- or JOBS_BY_FOLDER for all projects of an organization or folder, or JOBS_BY_USER
+-- Costs use the project's pricing model: bytes billed at @on_demand_price_per_tib,
+-- or slot-hours at @slot_hour_price when @use_capacity_pricing is true
+-- Costs are broken down by the values of each label key in @label_keys
 
 WITH 
 -- Extract job statistics from the INFORMATION_SCHEMA
@@ -27,6 +33,12 @@ job_stats AS (
     referenced_tables,
     labels,
     priority,
+    -- Per-job cost under each pricing model, and under the one in use
+    IFNULL(total_bytes_billed, 0) / POWER(1024, 4) * @on_demand_price_per_tib AS on_demand_cost_usd,
+    IFNULL(total_slot_ms, 0) / 1000 / 3600 * @slot_hour_price AS capacity_cost_usd,
+    IF(@use_capacity_pricing,
+       IFNULL(total_slot_ms, 0) / 1000 / 3600 * @slot_hour_price,
+       IFNULL(total_bytes_billed, 0) / POWER(1024, 4) * @on_demand_price_per_tib) AS job_cost_usd,
     EXTRACT(HOUR FROM creation_time) AS hour_of_day,
     EXTRACT(DAYOFWEEK FROM creation_time) AS day_of_week,
     TIMESTAMP_DIFF(end_time, creation_time, SECOND) AS execution_time_seconds,
@@ -61,9 +73,14 @@ job_stats AS (
      )) > 0
     ) AS is_table_rebuild
   FROM
-    `region-us`.INFORMATION_SCHEMA.JOBS
+    `region-{{region}}`.INFORMATION_SCHEMA.{{jobsView}}
   WHERE
-    creation_time >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL @history_days DAY)
+    -- Whole days only: a partly scanned first day would replace its complete stored row
+    creation_time >= TIMESTAMP_SUB(TIMESTAMP_TRUNC(CURRENT_TIMESTAMP(), DAY), INTERVAL @history_days DAY)
+    -- Incremental runs pass the start of the re-scanned window here
+    AND creation_time >= @start_time
+    -- Only finished jobs have final bytes billed; running jobs are picked up on a later run
+    AND state = 'DONE'
     AND job_type = 'QUERY'
     AND statement_type != 'SCRIPT'
 ),
@@ -90,7 +107,7 @@ query_details AS (
     error_result IS NOT NULL AS has_error,
     SUBSTR(query, 0, 1000) AS query_text,
     ARRAY_LENGTH(referenced_datasets) AS num_datasets_referenced,
-    ROUND(total_bytes_billed / POWER(1024, 4) * @cost_per_terabyte, 2) AS query_cost_usd,
+    ROUND(job_cost_usd, 2) AS query_cost_usd,
     referenced_datasets
   FROM 
     job_stats
@@ -113,8 +130,7 @@ table_costs AS (
                js.destination_table.table_id = table_detail.table_id) AS is_rebuild_operation,
     SUM(js.total_bytes_processed / ARRAY_LENGTH(js.referenced_tables_detail)) AS bytes_processed,
     SUM(js.total_bytes_billed / ARRAY_LENGTH(js.referenced_tables_detail)) AS bytes_billed,
-    ROUND(SUM(js.total_bytes_billed / ARRAY_LENGTH(js.referenced_tables_detail)) / 
-          POWER(1024, 4) * @cost_per_terabyte, 2) AS table_cost_usd
+    ROUND(SUM(js.job_cost_usd / ARRAY_LENGTH(js.referenced_tables_detail)), 2) AS table_cost_usd
   FROM
     job_stats js,
     UNNEST(js.referenced_tables_detail) AS table_detail
@@ -144,6 +160,97 @@ dataset_costs AS (
     tc.date, tc.project_id, tc.user_email, tc.service_account, dataset
 ),
 
+-- Value of each label key in @label_keys per job; jobs without the label go into an "unlabelled" bucket
+job_labels AS (
+  SELECT
+    js.project_id,
+    js.job_id,
+    label_key,
+    IFNULL(
+      (SELECT label.value FROM UNNEST(js.labels) AS label WHERE label.key = label_key LIMIT 1),
+      'unlabelled'
+    ) AS label_value
+  FROM
+    job_stats js,
+    UNNEST(@label_keys) AS label_key
+),
+
+-- Calculate per-label costs; every label key splits the full cost between its values
+label_costs AS (
+  SELECT
+    FORMAT_TIMESTAMP('%Y-%m-%d', js.creation_time) AS date,
+    js.project_id,
+    js.user_email,
+    js.service_account,
+    jl.label_key,
+    jl.label_value,
+    COUNT(*) AS query_count,
+    ROUND(SUM(js.job_cost_usd), 2) AS label_cost_usd
+  FROM
+    job_stats js
+  JOIN
+    job_labels jl
+  ON
+    jl.project_id = js.project_id
+    AND jl.job_id = js.job_id
+  GROUP BY
+    date, js.project_id, js.user_email, js.service_account, jl.label_key, jl.label_value
+),
+
+-- Calculate the cost each label value attributes to each dataset
+label_dataset_costs AS (
+  SELECT
+    FORMAT_TIMESTAMP('%Y-%m-%d', js.creation_time) AS date,
+    js.project_id,
+    js.user_email,
+    js.service_account,
+    jl.label_key,
+    jl.label_value,
+    CONCAT(table_detail.project_id, '.', table_detail.dataset_id) AS dataset,
+    COUNT(*) AS query_count,
+    SUM(js.total_bytes_processed / ARRAY_LENGTH(js.referenced_tables_detail)) AS bytes_processed,
+    SUM(js.total_bytes_billed / ARRAY_LENGTH(js.referenced_tables_detail)) AS bytes_billed,
+    ROUND(SUM(js.job_cost_usd / ARRAY_LENGTH(js.referenced_tables_detail)), 2) AS dataset_cost_usd
+  FROM
+    job_stats js
+  JOIN
+    job_labels jl
+  ON
+    jl.project_id = js.project_id
+    AND jl.job_id = js.job_id
+  CROSS JOIN
+    UNNEST(js.referenced_tables_detail) AS table_detail
+  WHERE
+    ARRAY_LENGTH(js.referenced_tables_detail) > 0
+  GROUP BY
+    date, js.project_id, js.user_email, js.service_account, jl.label_key, jl.label_value, dataset
+),
+
+-- Dataset breakdown of each label value
+label_dataset_breakdown AS (
+  SELECT
+    ldc.date,
+    ldc.project_id,
+    ldc.user_email,
+    ldc.service_account,
+    ldc.label_key,
+    ldc.label_value,
+    ARRAY_AGG(
+      STRUCT(
+        ldc.dataset,
+        ldc.query_count,
+        ldc.bytes_processed,
+        ldc.bytes_billed,
+        ldc.dataset_cost_usd
+      )
+      ORDER BY ldc.dataset_cost_usd DESC
+    ) AS dataset_costs
+  FROM
+    label_dataset_costs ldc
+  GROUP BY
+    ldc.date, ldc.project_id, ldc.user_email, ldc.service_account, ldc.label_key, ldc.label_value
+),
+
 -- Calculate hourly aggregates
 hourly_aggregates AS (
   SELECT
@@ -157,7 +264,7 @@ hourly_aggregates AS (
     SUM(CASE WHEN js.error_result IS NOT NULL THEN 1 ELSE 0 END) AS error_count,
     SUM(js.total_bytes_processed) AS total_bytes_processed,
     SUM(js.total_bytes_billed) AS total_bytes_billed,
-    ROUND(SUM(js.total_bytes_billed) / POWER(1024, 4) * @cost_per_terabyte, 2) AS estimated_cost_usd
+    ROUND(SUM(js.job_cost_usd), 2) AS estimated_cost_usd
   FROM
     job_stats js
   GROUP BY
@@ -174,7 +281,7 @@ weekday_aggregates AS (
     js.day_of_week,
     COUNT(*) AS query_count,
     SUM(js.total_bytes_billed) AS total_bytes_billed,
-    ROUND(SUM(js.total_bytes_billed) / POWER(1024, 4) * @cost_per_terabyte, 2) AS estimated_cost_usd
+    ROUND(SUM(js.job_cost_usd), 2) AS estimated_cost_usd
   FROM
     job_stats js
   GROUP BY
@@ -194,8 +301,12 @@ user_daily_base AS (
     SUM(CASE WHEN js.error_result IS NOT NULL THEN 1 ELSE 0 END) AS error_count,
     SUM(js.total_bytes_processed) AS total_bytes_processed,
     SUM(js.total_bytes_billed) AS total_bytes_billed,
-    ROUND(SUM(js.total_bytes_billed) / POWER(1024, 4) * @cost_per_terabyte, 2) AS estimated_cost_usd,
+    ROUND(SUM(js.job_cost_usd), 2) AS estimated_cost_usd,
+    ROUND(SUM(js.on_demand_cost_usd), 2) AS on_demand_cost_usd,
+    ROUND(SUM(js.capacity_cost_usd), 2) AS capacity_cost_usd,
     SUM(js.total_slot_ms) / 1000 / 3600 AS slot_hours,
+    -- Newest job ingested, used as the collection watermark
+    FORMAT_TIMESTAMP('%Y-%m-%dT%H:%M:%E6SZ', MAX(js.creation_time)) AS last_creation_time,
     -- Cache efficiency
     ROUND(SUM(CASE WHEN js.cache_hit THEN 1 ELSE 0 END) / NULLIF(COUNT(*), 0) * 100, 2) AS cache_hit_percentage
   FROM
@@ -270,6 +381,7 @@ user_dataset_costs AS (
     ARRAY_AGG(
       STRUCT(
         dc.dataset,
+        dc.query_count,
         dc.bytes_processed,
         dc.bytes_billed,
         dc.dataset_cost_usd,
@@ -290,6 +402,45 @@ user_dataset_costs AS (
     udb.date, udb.project_id, udb.user_email, udb.service_account
 ),
 
+-- Label costs
+user_label_costs AS (
+  SELECT
+    udb.date,
+    udb.project_id,
+    udb.user_email,
+    udb.service_account,
+    ARRAY_AGG(
+      STRUCT(
+        lc.label_key,
+        lc.label_value,
+        lc.query_count,
+        lc.label_cost_usd,
+        ldb.dataset_costs
+      )
+      ORDER BY lc.label_key, lc.label_cost_usd DESC
+    ) AS label_costs
+  FROM
+    user_daily_base udb
+  JOIN
+    label_costs lc
+  ON
+    lc.date = udb.date
+    AND lc.project_id = udb.project_id
+    AND lc.user_email = udb.user_email
+    AND (lc.service_account = udb.service_account OR (lc.service_account IS NULL AND udb.service_account IS NULL))
+  LEFT JOIN
+    label_dataset_breakdown ldb
+  ON
+    ldb.date = lc.date
+    AND ldb.project_id = lc.project_id
+    AND ldb.user_email = lc.user_email
+    AND (ldb.service_account = lc.service_account OR (ldb.service_account IS NULL AND lc.service_account IS NULL))
+    AND ldb.label_key = lc.label_key
+    AND ldb.label_value = lc.label_value
+  GROUP BY
+    udb.date, udb.project_id, udb.user_email, udb.service_account
+),
+
 -- Table costs
 user_table_costs AS (
   SELECT
@@ -302,6 +453,7 @@ user_table_costs AS (
         tc.table_name,
         tc.table_id,
         CONCAT(tc.table_project, '.', tc.table_dataset) AS dataset_name,
+        tc.query_count,
         tc.bytes_processed,
         tc.bytes_billed,
         tc.table_cost_usd,
@@ -375,12 +527,16 @@ user_daily_stats AS (
     udb.total_bytes_processed,
     udb.total_bytes_billed,
     udb.estimated_cost_usd,
+    udb.on_demand_cost_usd,
+    udb.capacity_cost_usd,
     udb.slot_hours,
+    udb.last_creation_time,
     udb.cache_hit_percentage,
     uhb.hourly_breakdown,
     udb2.daily_breakdown,
     udc.dataset_costs,
     utc.table_costs,
+    ulc.label_costs,
     urq.recent_queries
   FROM
     user_daily_base udb
@@ -412,6 +568,13 @@ user_daily_stats AS (
     AND utc.project_id = udb.project_id
     AND utc.user_email = udb.user_email
     AND (utc.service_account = udb.service_account OR (utc.service_account IS NULL AND udb.service_account IS NULL))
+  LEFT JOIN
+    user_label_costs ulc
+  ON
+    ulc.date = udb.date
+    AND ulc.project_id = udb.project_id
+    AND ulc.user_email = udb.user_email
+    AND (ulc.service_account = udb.service_account OR (ulc.service_account IS NULL AND udb.service_account IS NULL))
   LEFT JOIN
     user_recent_queries urq
   ON
@@ -433,12 +596,16 @@ SELECT
   total_bytes_processed,
   total_bytes_billed,
   estimated_cost_usd,
+  on_demand_cost_usd,
+  capacity_cost_usd,
   slot_hours,
+  last_creation_time,
   cache_hit_percentage,
   hourly_breakdown,
   daily_breakdown,
   dataset_costs,
   table_costs,
+  label_costs,
   recent_queries
 FROM
   user_daily_stats
@@ -0,0 +1,43 @@
+-- Query to extract table storage usage from INFORMATION_SCHEMA.TABLE_STORAGE
+-- Storage is billed per GiB-month, either on logical or physical (compressed) bytes
+-- {{region}} is replaced with the region being collected (e.g. us, eu, asia-northeast1)
+
+WITH
+-- Datasets that opted into physical storage billing
+dataset_billing AS (
+  SELECT
+    schema_name AS dataset_id,
+    UPPER(REPLACE(option_value, '"', '')) AS storage_billing_model
+  FROM
+    `region-{{region}}`.INFORMATION_SCHEMA.SCHEMATA_OPTIONS
+  WHERE
+    option_name = 'storage_billing_model'
+)
+
+SELECT
+  ts.project_id,
+  ts.table_schema AS dataset_id,
+  CONCAT(ts.project_id, '.', ts.table_schema) AS dataset,
+  ts.table_name AS table_id,
+  CONCAT(ts.project_id, '.', ts.table_schema, '.', ts.table_name) AS table_name,
+  ts.deleted,
+  IFNULL(db.storage_billing_model, 'LOGICAL') AS storage_billing_model,
+  ts.total_rows,
+  ts.total_logical_bytes,
+  ts.active_logical_bytes,
+  ts.long_term_logical_bytes,
+  ts.total_physical_bytes,
+  -- Active physical bytes include time travel bytes
+  ts.active_physical_bytes,
+  ts.long_term_physical_bytes,
+  ts.time_travel_physical_bytes,
+  ts.fail_safe_physical_bytes,
+  FORMAT_TIMESTAMP('%Y-%m-%d %H:%M:%S', ts.storage_last_modified_time) AS storage_last_modified_time
+FROM
+  `region-{{region}}`.INFORMATION_SCHEMA.TABLE_STORAGE ts
+LEFT JOIN
+  dataset_billing db
+ON
+  db.dataset_id = ts.table_schema
+ORDER BY
+  ts.total_logical_bytes DESC
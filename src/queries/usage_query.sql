@@ -1,26 +1,60 @@
--- Query to extract BigQuery usage information from INFORMATION_SCHEMA.JOBS
--- This query focuses on data processed, which is the primary cost driver
+-- Query to extract the individual query jobs from INFORMATION_SCHEMA, for job-level collection
+-- {{region}} is replaced with the region being collected (e.g. us, eu, asia-northeast1)
+-- {{jobsView}} is replaced with the job view read, as in cost_query.sql
+-- Costs use the project's pricing model like cost_query.sql, before the free tier:
+-- bytes billed at @on_demand_price_per_tib, or slot-hours at @slot_hour_price when
+-- @use_capacity_pricing is true
 
 SELECT
   project_id,
-  user_email,
   job_id,
-  creation_time,
-  end_time,
+  user_email,
+  CASE
+    WHEN user_email LIKE '%.gserviceaccount.com' THEN user_email
+    WHEN user_email LIKE 'service-%' THEN user_email
+    ELSE NULL
+  END AS service_account,
+  FORMAT_TIMESTAMP('%Y-%m-%d', creation_time) AS date,
+  FORMAT_TIMESTAMP('%Y-%m-%dT%H:%M:%E6SZ', creation_time) AS creation_time,
+  FORMAT_TIMESTAMP('%Y-%m-%dT%H:%M:%E6SZ', start_time) AS start_time,
+  FORMAT_TIMESTAMP('%Y-%m-%dT%H:%M:%E6SZ', end_time) AS end_time,
   TIMESTAMP_DIFF(end_time, creation_time, SECOND) AS duration_seconds,
+  statement_type,
+  priority,
+  reservation_id,
   query,
   total_bytes_processed,
   total_bytes_billed,
   total_slot_ms,
-  error_result,
   cache_hit,
-  destination_table,
-  referenced_tables,
-  labels
+  error_result.reason AS error_reason,
+  error_result.message AS error_message,
+  IF(destination_table.table_id IS NULL, NULL,
+     CONCAT(destination_table.project_id, '.', destination_table.dataset_id, '.', destination_table.table_id)) AS destination_table,
+  ARRAY(
+    SELECT DISTINCT
+      CONCAT(ref_table.project_id, '.', ref_table.dataset_id, '.', ref_table.table_id)
+    FROM
+      UNNEST(referenced_tables) AS ref_table
+    WHERE
+      ref_table.project_id IS NOT NULL
+      AND ref_table.dataset_id IS NOT NULL
+      AND ref_table.table_id IS NOT NULL
+  ) AS referenced_tables,
+  labels,
+  IFNULL(total_bytes_billed, 0) / POWER(1024, 4) * @on_demand_price_per_tib AS on_demand_cost_usd,
+  IFNULL(total_slot_ms, 0) / 1000 / 3600 * @slot_hour_price AS capacity_cost_usd,
+  IF(@use_capacity_pricing,
+     IFNULL(total_slot_ms, 0) / 1000 / 3600 * @slot_hour_price,
+     IFNULL(total_bytes_billed, 0) / POWER(1024, 4) * @on_demand_price_per_tib) AS estimated_cost_usd
 FROM
-  `region-us`.INFORMATION_SCHEMA.JOBS
+  `region-{{region}}`.INFORMATION_SCHEMA.{{jobsView}}
 WHERE
   creation_time >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL @history_days DAY)
+  -- Incremental runs pass the start of the re-scanned window here
+  AND creation_time >= @start_time
+  -- Only finished jobs have final bytes billed; running jobs are picked up on a later run
+  AND state = 'DONE'
   AND job_type = 'QUERY'
   AND statement_type != 'SCRIPT'
 ORDER BY
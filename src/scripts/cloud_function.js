@@ -5,158 +5,170 @@
  * It can be deployed as a Google Cloud Function and triggered by Cloud Scheduler.
  */
 
-const { BigQuery } = require('@google-cloud/bigquery');
-const fs = require('fs-extra');
-const path = require('path');
 const moment = require('moment');
 const { Storage } = require('@google-cloud/storage');
 
 // Import common modules
 const { logger } = require('../common/logger');
-const { loadConfig } = require('../common/config-loader');
+const { loadConfig, parseConfig } = require('../common/config-loader');
+const { getStorage } = require('../common/storage-history');
 
 // Load monitoring logic
-const { monitorProject, runCostMonitoring } = require('./run_monitor');
+const { runCostMonitoring } = require('./run_monitor');
 
 // GCS storage bucket for results
 const BUCKET_NAME = process.env.STORAGE_BUCKET || 'bq-cost-monitor-results';
 
+// Configuration object in the bucket, JSON or YAML by its extension
+const CONFIG_OBJECT = process.env.CONFIG_OBJECT || 'config/projects.json';
+
 /**
  * Load configuration from GCS or local file
  * @returns {Promise<Object>} - The loaded configuration
+ * @throws {ConfigError} - When the configuration in GCS is invalid
  */
 async function loadCloudConfig() {
+  let content;
   try {
     // Try to load from GCS if available
     const storage = new Storage();
     const bucket = storage.bucket(BUCKET_NAME);
-    const file = bucket.file('config/projects.json');
-
-    const [content] = await file.download();
-    const config = JSON.parse(content.toString());
-    logger.info('Loaded configuration from GCS');
-    return config;
+    [content] = await bucket.file(CONFIG_OBJECT).download();
   } catch (configError) {
     // Fall back to local config
     logger.info('Failed to load config from GCS, using local config');
     return loadConfig();
   }
+
+  // A config that exists but is invalid fails the run instead of monitoring nothing
+  const config = parseConfig(content.toString(), `gs://${BUCKET_NAME}/${CONFIG_OBJECT}`);
+  logger.info('Loaded configuration from GCS');
+  return config;
 }
 
 /**
- * Main entry point for the Cloud Function
- * @param {Object} req - The HTTP request object
- * @param {Object} res - The HTTP response object
+ * Upload the results of the collected projects to GCS
+ * @param {Object} bucket - GCS bucket
+ * @param {Array} results - Results of the run
  */
-exports.monitorCosts = async (req, res) => {
-  try {
-    logger.info('Starting BigQuery cost monitoring from cloud function...');
-
-    // Validate request
-    if (req.method !== 'POST' && req.method !== 'GET') {
-      return res.status(405).send('Method not allowed');
-    }
-
-    // Load config
-    const config = await loadCloudConfig();
-
-    logger.info(`Projects to monitor: ${config.projects.length}`);
-
-    // Run the monitoring for each project
-    const results = [];
-    for (const project of config.projects) {
-      try {
-        logger.info(`Monitoring project: ${project.name} (${project.id})`);
-
-        // Initialize BigQuery client for this project
-        const bigquery = new BigQuery({
-          projectId: project.id,
-        });
-
-        // Run cost monitoring for this project
-        const result = await monitorProject(project);
-        results.push(result);
-
-        // Upload results to GCS
-        if (!result.error) {
-          try {
-            const storage = new Storage();
-            const bucket = storage.bucket(BUCKET_NAME);
-
-            // Upload the individual project results
-            const timestamp = moment().format('YYYY-MM-DD_HH-mm-ss');
-            const gcsFileName = `results/${project.id}_costs_${timestamp}.json`;
-            const file = bucket.file(gcsFileName);
-
-            await file.save(JSON.stringify(result.data, null, 2), {
-              contentType: 'application/json',
-              metadata: {
-                source: 'bq-cost-monitor',
-                timestamp: timestamp,
-                projectId: project.id
-              }
-            });
-
-            logger.info(`Cost data for ${project.name} saved to gs://${BUCKET_NAME}/${gcsFileName}`);
-            result.gcsPath = `gs://${BUCKET_NAME}/${gcsFileName}`;
-          } catch (uploadError) {
-            logger.error(`Error uploading results to GCS: ${uploadError.message}`);
-            result.gcsError = uploadError.message;
-          }
-        }
-      } catch (projectError) {
-        logger.error(`Error monitoring project ${project.name}:`, projectError);
-        results.push({
-          project: project.id,
-          timestamp: moment().toISOString(),
-          error: projectError.message
-        });
-      }
+async function uploadResults(bucket, results) {
+  for (const result of results) {
+    if (result.error) {
+      continue;
     }
 
-    // Save summary
-    const timestamp = moment().format('YYYY-MM-DD_HH-mm-ss');
-    const summaryFileName = `summary_${timestamp}.json`;
-
     try {
-      const storage = new Storage();
-      const bucket = storage.bucket(BUCKET_NAME);
-      const file = bucket.file(`results/${summaryFileName}`);
+      // Upload the individual project results
+      const timestamp = moment().format('YYYY-MM-DD_HH-mm-ss');
+      const gcsFileName = `results/${result.project}_costs_${timestamp}.json`;
+      const file = bucket.file(gcsFileName);
 
-      await file.save(JSON.stringify(results, null, 2), {
+      await file.save(JSON.stringify(result.data, null, 2), {
         contentType: 'application/json',
         metadata: {
           source: 'bq-cost-monitor',
-          timestamp: timestamp
+          timestamp: timestamp,
+          projectId: result.project
         }
       });
 
-      logger.info(`Summary saved to gs://${BUCKET_NAME}/results/${summaryFileName}`);
-    } catch (summaryError) {
-      logger.error(`Error saving summary to GCS: ${summaryError.message}`);
+      logger.info(`Cost data for ${result.projectName} saved to gs://${BUCKET_NAME}/${gcsFileName}`);
+      result.gcsPath = `gs://${BUCKET_NAME}/${gcsFileName}`;
+
+      // Upload the storage collected by the run alongside the cost data
+      const storage = result.storage && !result.storage.error ? getStorage(result.project) : null;
+      if (storage) {
+        const storageFileName = `results/${result.project}_storage_${timestamp}.json`;
+        await bucket.file(storageFileName).save(JSON.stringify(storage, null, 2), {
+          contentType: 'application/json',
+          metadata: {
+            source: 'bq-cost-monitor',
+            timestamp: timestamp,
+            projectId: result.project
+          }
+        });
+
+        logger.info(`Storage data for ${result.projectName} saved to gs://${BUCKET_NAME}/${storageFileName}`);
+        result.storage.gcsPath = `gs://${BUCKET_NAME}/${storageFileName}`;
+      }
+    } catch (uploadError) {
+      logger.error(`Error uploading results to GCS: ${uploadError.message}`);
+      result.gcsError = uploadError.message;
     }
+  }
+}
+
+/**
+ * Upload a run record to GCS
+ * @param {Object} bucket - GCS bucket
+ * @param {Object} run - Run record
+ */
+async function uploadRun(bucket, run) {
+  const runFileName = `runs/${run.runId}.json`;
 
-    // Print summary to logs
-    logger.info('\nSummary:');
-    results.forEach(result => {
-      if (result.error) {
-        logger.error(`- ${result.project}: ERROR - ${result.error}`);
-      } else {
-        logger.info(`- ${result.project}: ${result.records} records, $${result.totalCost?.toFixed(2) || 0} estimated cost`);
+  try {
+    await bucket.file(runFileName).save(JSON.stringify(run, null, 2), {
+      contentType: 'application/json',
+      metadata: {
+        source: 'bq-cost-monitor',
+        timestamp: moment().format('YYYY-MM-DD_HH-mm-ss'),
+        runId: run.runId
       }
     });
 
+    logger.info(`Run ${run.runId} saved to gs://${BUCKET_NAME}/${runFileName}`);
+  } catch (summaryError) {
+    logger.error(`Error saving run to GCS: ${summaryError.message}`);
+  }
+}
+
+/**
+ * Main entry point for the Cloud Function
+ *
+ * Runs the same collection as `npm start`, with the configuration from GCS,
+ * and uploads the results and the run record to the bucket.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ */
+exports.monitorCosts = async (req, res) => {
+  try {
+    logger.info('Starting BigQuery cost monitoring from cloud function...');
+
+    // Validate request
+    if (req.method !== 'POST' && req.method !== 'GET') {
+      return res.status(405).send('Method not allowed');
+    }
+
+    // The projects are collected with this config's settings, pricing and teams, not the bundled file's
+    const config = await loadCloudConfig();
+    const { run, results } = await runCostMonitoring({ config, trigger: 'cloud-function' });
+
+    const bucket = new Storage().bucket(BUCKET_NAME);
+    await uploadResults(bucket, results);
+    await uploadRun(bucket, run);
+
     // Send success response
     res.status(200).send({
       success: true,
+      runId: run.runId,
       timestamp: moment().toISOString(),
-      projects: config.projects.length,
+      projects: results.length,
       results: results.map(r => ({
         project: r.project,
         success: !r.error,
+        status: r.status,
+        attempts: r.attempts,
         records: r.records || 0,
         totalCost: r.totalCost || 0,
+        storageMonthlyCost: r.storage && !r.storage.error ? r.storage.totalMonthlyCost : undefined,
         error: r.error
+      })),
+      budgets: run.budgets.map(b => ({
+        name: b.name,
+        status: b.status,
+        percentUsed: b.percent_used,
+        forecastBreachDate: b.forecast_breach_date
       }))
     });
   } catch (error) {
@@ -230,7 +230,8 @@ async function createServiceAccount() {
         'roles/bigquery.user',
         'roles/bigquery.jobUser',
         'roles/storage.objectAdmin',
-        'roles/logging.logWriter'
+        'roles/logging.logWriter',
+        'roles/monitoring.metricWriter'
       ];
       
       for (const role of roles) {
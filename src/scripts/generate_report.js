@@ -0,0 +1,162 @@
+/**
+ * BigQuery Cost Monitor - Chargeback Report Script
+ *
+ * This script builds a month's chargeback statements per team or cost center
+ * from the collected cost history and writes them as CSV, JSON or HTML.
+ */
+
+require('dotenv').config();
+const fs = require('fs-extra');
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { loadConfig } = require('../common/config-loader');
+const { queryRows } = require('../common/history-store');
+const { compileTeamMapping } = require('../common/teams');
+const { listMonitoredProjects } = require('../common/organizations');
+const {
+  buildChargeback,
+  renderReport,
+  reportDateRange,
+  previousMonth,
+  validateReportOptions,
+  REPORT_GROUPS,
+  REPORT_FORMATS
+} = require('../common/chargeback');
+
+// Default report directory
+const DEFAULT_REPORTS_PATH = process.env.REPORTS_PATH || path.join(__dirname, '../../output/reports');
+
+/**
+ * Build a chargeback report from the cost history
+ * @param {Object} config - Loaded configuration
+ * @param {Object} options - Report options
+ * @param {string} [options.month] - Report month (YYYY-MM), the previous month by default
+ * @param {string} [options.groupBy] - team (default) or costCenter
+ * @returns {Object} - Report from buildChargeback
+ */
+function generateChargeback(config, options = {}) {
+  const month = options.month || previousMonth();
+  const groupBy = options.groupBy || 'team';
+
+  const errors = validateReportOptions({ month, groupBy });
+  if (errors.length > 0) {
+    throw new Error(errors.join(', '));
+  }
+
+  const range = reportDateRange(month);
+  const rowsByProject = {};
+  listMonitoredProjects(config).forEach(project => {
+    rowsByProject[project.id] = queryRows(project.id, range);
+  });
+
+  return buildChargeback(rowsByProject, {
+    month,
+    groupBy,
+    mapping: compileTeamMapping(config.teams)
+  });
+}
+
+/**
+ * Get the file name of a rendered report
+ * @param {Object} report - Report from buildChargeback
+ * @param {string} format - csv, json or html
+ * @returns {string} - File name
+ */
+function reportFileName(report, format) {
+  const group = report.group_by === 'team' ? 'team' : 'cost-center';
+  return `chargeback_${group}_${report.month}.${format}`;
+}
+
+/**
+ * Build a chargeback report and write it in the requested formats
+ * @param {Object} argv - Parsed command line arguments
+ * @param {Object} [config] - Configuration, loaded when omitted
+ * @returns {Object} - {report, files}
+ */
+function reportCommand(argv, config = loadConfig()) {
+  const formats = argv.format || ['csv'];
+
+  const errors = validateReportOptions({ month: argv.month || previousMonth(), formats });
+  if (errors.length > 0) {
+    throw new Error(errors.join(', '));
+  }
+
+  const report = generateChargeback(config, { month: argv.month, groupBy: argv.by });
+
+  console.log('BigQuery Cost Monitor - Chargeback Report');
+  console.log('=========================================');
+  console.log(`Month: ${report.month} (compared with ${report.previous_month})`);
+  console.log(`Grouped by: ${report.group_by}\n`);
+
+  report.statements.forEach(statement => {
+    const change = statement.change_percent !== null ? ` (${statement.change_percent > 0 ? '+' : ''}${statement.change_percent}%)` : '';
+    console.log(`${statement.owner}: $${statement.total_usd.toFixed(2)}${change}, ${statement.line_items.length} line items`);
+  });
+
+  console.log(`\nTotal: $${report.total_usd.toFixed(2)}`);
+  report.projects
+    .filter(project => project.difference_usd !== 0)
+    .forEach(project => {
+      console.log(`Warning: statements for ${project.project} differ from its total by $${project.difference_usd.toFixed(2)}`);
+    });
+
+  const outputDir = argv.output || DEFAULT_REPORTS_PATH;
+  fs.ensureDirSync(outputDir);
+
+  const files = formats.map(format => {
+    const filePath = path.join(outputDir, reportFileName(report, format));
+    fs.writeFileSync(filePath, renderReport(report, format));
+    console.log(`Wrote ${filePath}`);
+    return filePath;
+  });
+
+  return { report, files };
+}
+
+// If this script is run directly (not imported)
+if (require.main === module) {
+  // Parse command line arguments
+  const argv = yargs(hideBin(process.argv))
+    .option('month', {
+      alias: 'm',
+      description: 'Month to report on (YYYY-MM), the previous month by default',
+      type: 'string'
+    })
+    .option('by', {
+      alias: 'b',
+      description: 'Produce a statement per team or per cost center',
+      choices: REPORT_GROUPS,
+      default: 'team'
+    })
+    .option('format', {
+      alias: 'f',
+      description: 'Output formats',
+      type: 'array',
+      choices: REPORT_FORMATS,
+      default: ['csv']
+    })
+    .option('output', {
+      alias: 'o',
+      description: 'Directory to write the report to',
+      type: 'string',
+      default: DEFAULT_REPORTS_PATH
+    })
+    .strict()
+    .help()
+    .alias('help', 'h')
+    .argv;
+
+  try {
+    reportCommand(argv);
+  } catch (error) {
+    console.error(`Report failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  generateChargeback,
+  reportFileName,
+  reportCommand
+};
@@ -6,38 +6,103 @@
  */
 
 const { BigQuery } = require('@google-cloud/bigquery');
+const { MetricServiceClient } = require('@google-cloud/monitoring');
 const fs = require('fs-extra');
 const path = require('path');
 const moment = require('moment');
 
 // Import common modules
 const { logger } = require('../common/logger');
-const { loadConfig, DEFAULT_CONFIG } = require('../common/config-loader');
+const { loadConfig } = require('../common/config-loader');
+const { getWatermark, saveWatermark } = require('../common/watermarks');
+const { upsertRows, queryRows, hasHistory } = require('../common/history-store');
+const {
+  upsertJobs,
+  hasJobs,
+  pruneJobs,
+  jobWatermarkKey,
+  DEFAULT_JOB_RETENTION_DAYS
+} = require('../common/job-store');
+const { toJobRecord } = require('../common/jobs');
+const { createRunId, buildRunRecord, saveRun, getRun, listRunIds } = require('../common/runs');
+const { detectAnomalies, resolveAnomalySettings } = require('../common/anomalies');
+const { evaluateBudgets } = require('../common/budgets');
+const { buildRunEvents, dispatchNotifications, RateLimiter } = require('../common/notifications');
+const { publishCostMetrics, resolveMetricsSettings } = require('../common/custom-metrics');
+const { resolveLabelKeys } = require('../common/labels');
+const { compileTeamMapping, enrichRows } = require('../common/teams');
+const { sendDigests } = require('../common/digests');
+const { resolveProjectRegions, applyRegion } = require('../common/regions');
+const {
+  JOBS_VIEWS,
+  resolveSource,
+  applyJobsView,
+  isPermissionDeniedError,
+  splitRowsByProject,
+  discoveredProject,
+  collectsProject,
+  listDiscoveredProjects,
+  listMonitoredProjects
+} = require('../common/organizations');
+const { resolvePricing, getRegionPrices, toQueryParams, applyFreeTier, applySharedFreeTier } = require('../common/pricing');
+const { computeTableStorageCost, summarizeStorageByDataset } = require('../common/storage-costs');
+const { saveStorage } = require('../common/storage-history');
+const { 
+  TimeoutError, 
+  retryWithBackoff, 
+  withTimeout, 
+  mapWithConcurrency 
+} = require('../common/concurrency');
 
 // Environment variables with defaults
 const DEFAULT_LOCATION = process.env.BQ_LOCATION || 'US';
 const DEFAULT_HISTORY_DAYS = parseInt(process.env.HISTORY_DAYS || '30', 10);
-const DEFAULT_COST_PER_TB = parseFloat(process.env.COST_PER_TB || '5.0');
+// Flat on-demand rate override; regional list prices are used when unset
+const DEFAULT_COST_PER_TB = process.env.COST_PER_TB ? parseFloat(process.env.COST_PER_TB) : undefined;
+// Jobs can run for up to 6 hours, so re-scan that far behind the watermark
+const LATE_JOB_LOOKBACK_HOURS = parseInt(process.env.LATE_JOB_LOOKBACK_HOURS || '6', 10);
+const DEFAULT_CONCURRENCY = parseInt(process.env.MONITOR_CONCURRENCY || '4', 10);
+const DEFAULT_MAX_RETRIES = parseInt(process.env.MONITOR_MAX_RETRIES || '3', 10);
+const DEFAULT_RETRY_BASE_DELAY_MS = parseInt(process.env.MONITOR_RETRY_BASE_DELAY_MS || '1000', 10);
+const DEFAULT_PROJECT_TIMEOUT_SECONDS = parseInt(process.env.PROJECT_TIMEOUT_SECONDS || '300', 10);
 
-// Load configuration
-const config = loadConfig();
+// Local configuration and SQL queries, loaded on first use so that importing
+// this module (e.g. from the Cloud Function) doesn't depend on them
+let localConfig = null;
+let sqlQueries = null;
 
-// Load SQL queries
-const loadSqlQueries = () => {
-  try {
-    const usageQueryPath = path.join(__dirname, '../queries/usage_query.sql');
-    const costQueryPath = path.join(__dirname, '../queries/cost_query.sql');
-    const usageQuery = fs.readFileSync(usageQueryPath, 'utf8');
-    const costQuery = fs.readFileSync(costQueryPath, 'utf8');
-    logger.info('SQL queries loaded successfully');
-    return { usageQuery, costQuery };
-  } catch (error) {
-    logger.error(`Failed to load SQL queries: ${error.message}`);
-    process.exit(1);
+/**
+ * Get the local configuration, loading it on first use
+ * @returns {Object} - The loaded configuration
+ * @throws {ConfigError} - When the configuration is invalid
+ */
+function getConfig() {
+  if (!localConfig) {
+    localConfig = loadConfig();
   }
-};
+  return localConfig;
+}
 
-const { usageQuery, costQuery } = loadSqlQueries();
+/**
+ * Get the SQL queries, loading them on first use
+ * @returns {Object} - {usageQuery, costQuery, storageQuery}
+ * @throws {Error} - When a query file can't be read
+ */
+function getSqlQueries() {
+  if (!sqlQueries) {
+    try {
+      sqlQueries = {
+        usageQuery: fs.readFileSync(path.join(__dirname, '../queries/usage_query.sql'), 'utf8'),
+        costQuery: fs.readFileSync(path.join(__dirname, '../queries/cost_query.sql'), 'utf8'),
+        storageQuery: fs.readFileSync(path.join(__dirname, '../queries/storage_query.sql'), 'utf8')
+      };
+    } catch (error) {
+      throw new Error(`Failed to load SQL queries: ${error.message}`);
+    }
+    logger.info('SQL queries loaded successfully');
+  }
+  return sqlQueries;
+}
 
 // Ensure output directory exists
 const outputDir = path.join(__dirname, '../../output');
@@ -46,172 +111,1569 @@ fs.ensureDirSync(outputDir);
 // Ensure logs directory exists
 fs.ensureDirSync(path.join(__dirname, '../../logs'));
 
+/**
+ * Resolve the settings a project or organizations entry is collected with
+ *
+ * Options of the run take precedence, then the target's own overrides, then
+ * the global settings and finally the defaults.
+ *
+ * @param {Object} target - Project configuration or organizations entry
+ * @param {Object} config - Configuration of the run
+ * @param {Object} [options] - Options for the monitoring
+ * @returns {Object} - {historyDays, costPerTerabyte, location, maxRetries, retryBaseDelayMs, collectStorage,
+ *                     collectJobs, jobRetentionDays, pricing} where pricing(region) resolves the pricing of a region
+ */
+function resolveProjectSettings(target, config, options = {}) {
+  const settings = config.settings || {};
+  
+  // A rate configured for the target is more specific than the COST_PER_TB default
+  const targetRate = target.pricing && target.pricing.onDemandPerTiB;
+  const costPerTerabyte = options.costPerTerabyte || (targetRate ? undefined : DEFAULT_COST_PER_TB);
+  
+  return {
+    historyDays: options.historyDays || target.historyDays || settings.historyDays || DEFAULT_HISTORY_DAYS,
+    costPerTerabyte,
+    location: options.location || target.location || DEFAULT_LOCATION,
+    maxRetries: options.maxRetries !== undefined ? options.maxRetries :
+                (settings.maxRetries !== undefined ? settings.maxRetries : DEFAULT_MAX_RETRIES),
+    retryBaseDelayMs: options.retryBaseDelayMs || settings.retryBaseDelayMs || DEFAULT_RETRY_BASE_DELAY_MS,
+    collectStorage: target.collectStorage !== undefined ? target.collectStorage :
+                    (settings.collectStorage !== undefined ? settings.collectStorage : true),
+    collectJobs: target.collectJobs !== undefined ? target.collectJobs : !!settings.collectJobs,
+    jobRetentionDays: settings.jobRetentionDays || DEFAULT_JOB_RETENTION_DAYS,
+    pricing: region => resolvePricing(target, settings, region.name, { onDemandPerTiB: costPerTerabyte })
+  };
+}
+
 /**
  * Run the cost monitoring for a specific project
- * @param {Object} project - Project configuration
+ * @param {Object} project - Project configuration, whose historyDays, pricing and regions override the settings
  * @param {Object} [options] - Options for the monitoring
  * @param {number} [options.historyDays] - Number of days of history to query
- * @param {number} [options.costPerTerabyte] - Cost per terabyte of data processed
- * @param {string} [options.location] - BigQuery location
+ * @param {number} [options.costPerTerabyte] - Flat on-demand cost per terabyte, overriding the configured pricing
+ * @param {string} [options.location] - BigQuery location, used when the project lists no regions
+ * @param {boolean} [options.fullRefresh] - Ignore the stored watermark and re-scan the full history window
+ * @param {number} [options.maxRetries] - Retries for transient BigQuery errors
+ * @param {number} [options.retryBaseDelayMs] - Delay before the first retry, doubled on each retry
+ * @param {number} [options.deadline] - Epoch milliseconds after which no more work is started
+ * @param {Object} [options.stats] - Counters {attempts, retries} updated as queries run
+ * @param {string} [options.runId] - Run that the collected rows are recorded under
+ * @param {Object} [options.config] - Configuration of the run, the local one by default
  * @returns {Promise<Object>} - Results of the cost monitoring
  */
 async function monitorProject(project, options = {}) {
+  const config = options.config || getConfig();
   const startTime = Date.now();
   const loggingMeta = { projectId: project.id, projectName: project.name };
   
   logger.info(`Monitoring project: ${project.name} (${project.id})`, loggingMeta);
   
-  // Use options with fallbacks to config and then defaults
-  const historyDays = options.historyDays || 
-                      (config.settings && config.settings.historyDays) || 
-                      DEFAULT_HISTORY_DAYS;
-                     
-  const costPerTerabyte = options.costPerTerabyte || 
-                         (config.settings && config.settings.costPerTerabyte) || 
-                         DEFAULT_COST_PER_TB;
-                        
-  const location = options.location || 
-                  (project.location) || 
-                  DEFAULT_LOCATION;
+  const resolved = resolveProjectSettings(project, config, options);
+  const { historyDays, location } = resolved;
+  const fullRefresh = !!options.fullRefresh;
+  const stats = options.stats || { attempts: 0, retries: 0 };
+  const runId = options.runId || null;
+  
+  try {
+    const regions = resolveProjectRegions(project, location);
+    
+    // Resume from the stored watermarks unless a full refresh was requested
+    const watermark = loadWatermark(project, fullRefresh, runId);
+    
+    const scans = await scanCosts(project, {
+      key: project.id,
+      view: JOBS_VIEWS.project,
+      queryProject: project.id,
+      regions,
+      watermark,
+      // Label keys the cost is broken down by
+      labelKeys: resolveLabelKeys(project, config.settings, config.budgets, config.teams),
+      loggingMeta
+    }, resolved, { ...options, stats });
+    
+    const stored = storeScans(project, scans, { historyDays, runId, deadline: options.deadline, config });
+    
+    // Only advance the watermarks once the merged history is safely on disk
+    const regionWatermarks = advanceWatermarks(watermark, scans);
+    if (Object.keys(regionWatermarks).length > 0) {
+      saveWatermark(project.id, { regions: regionWatermarks });
+    }
+    
+    return buildProjectResult(project, stored, {
+      scans,
+      regions,
+      incremental: !!watermark,
+      watermarks: regionWatermarks,
+      stats,
+      startTime,
+      params: { historyDays, location, fullRefresh }
+    });
+  } catch (error) {
+    logger.error(`Error monitoring project ${project.name}: ${error.message}`, {
+      ...loggingMeta,
+      error: error.message,
+      stack: error.stack
+    });
+    
+    return buildFailedResult(project, error, stats, {
+      historyDays,
+      costPerTerabyte: resolved.costPerTerabyte,
+      location,
+      fullRefresh
+    });
+  }
+}
+
+/**
+ * Run the cost monitoring for all projects of an organization or folder
+ *
+ * The jobs are queried once per region from the admin project and split by
+ * project_id, and every project gets its own history and result as if it
+ * was configured. The projects found by earlier runs are updated too, so
+ * their days without jobs are cleared like for a configured project.
+ *
+ * @param {Object} entry - Entry of the `organizations` configuration
+ * @param {Object} [options] - Options for the monitoring, as for monitorProject
+ * @returns {Promise<Array>} - Results of the projects found, or a single failed result for the entry
+ */
+async function monitorOrganization(entry, options = {}) {
+  const config = options.config || getConfig();
+  const startTime = Date.now();
+  const source = resolveSource(entry);
+  const target = { id: source.key, name: source.name, source: source.key };
+  const loggingMeta = { source: source.key, adminProject: source.adminProject };
+  
+  logger.info(`Monitoring ${source.type}: ${source.name} (${source.key}) from ${source.adminProject}`, loggingMeta);
+  
+  const resolved = resolveProjectSettings(entry, config, options);
+  const { historyDays, location } = resolved;
+  const fullRefresh = !!options.fullRefresh;
+  const stats = options.stats || { attempts: 0, retries: 0 };
+  const runId = options.runId || null;
+  
+  try {
+    const regions = resolveProjectRegions(entry, location);
+    
+    // All projects are scanned from the same start, so the entry keeps one watermark for them
+    let watermark = fullRefresh ? null : getWatermark(source.key);
+    if (watermark && (watermark.projects || []).some(projectId => !hasHistory(projectId))) {
+      logger.warn(`History of a project of ${source.key} is missing, running a full refresh`, loggingMeta);
+      watermark = null;
+    }
+    
+    // One query serves every project, so the label budgets of any of them count
+    const budgets = (config.budgets || []).map(({ project, ...budget }) => budget);
+    
+    const scans = await scanCosts(target, {
+      key: source.key,
+      view: source.view,
+      queryProject: source.adminProject,
+      regions,
+      watermark,
+      labelKeys: resolveLabelKeys(entry, config.settings || {}, budgets, config.teams),
+      loggingMeta
+    }, resolved, { ...options, stats });
+    
+    const rowsByProject = splitRowsByProject(scans.reduce((rows, scan) => rows.concat(scan.rows), []));
+    const skipped = Object.keys(rowsByProject).filter(projectId => !collectsProject(projectId, entry, config.projects));
+    if (skipped.length > 0) {
+      logger.info(`Leaving out ${skipped.length} configured or excluded projects of ${source.key}: ${skipped.join(', ')}`, loggingMeta);
+    }
+    
+    const projectIds = [...new Set(Object.keys(rowsByProject).concat(watermark ? watermark.projects || [] : []))]
+      .filter(projectId => collectsProject(projectId, entry, config.projects))
+      .sort();
+    
+    logger.info(`Found ${projectIds.length} projects in ${source.key}`, loggingMeta);
+    
+    const regionWatermarks = advanceWatermarks(watermark, scans);
+    const stored = projectIds.map(projectId => {
+      const project = discoveredProject(projectId, entry);
+      const projectScans = scans.map(scan => ({
+        ...scan,
+        rows: scan.rows.filter(row => row.project_id === projectId)
+      }));
+      
+      return { project, scans: projectScans, history: storeScans(project, projectScans, { historyDays, runId, deadline: options.deadline, config }) };
+    });
+    
+    // Only advance the watermarks once the history of every project is safely on disk
+    if (Object.keys(regionWatermarks).length > 0) {
+      saveWatermark(source.key, { regions: regionWatermarks, projects: projectIds });
+    }
+    
+    return stored.map(({ project, scans: projectScans, history }) => buildProjectResult(project, history, {
+      scans: projectScans,
+      regions,
+      incremental: !!watermark,
+      watermarks: regionWatermarks,
+      stats,
+      startTime,
+      params: { historyDays, location, fullRefresh, source: source.key, adminProject: source.adminProject }
+    }));
+  } catch (error) {
+    logger.error(`Error monitoring ${source.key}: ${error.message}`, {
+      ...loggingMeta,
+      error: error.message,
+      stack: error.stack
+    });
+    
+    return [buildFailedResult(target, error, stats, {
+      historyDays,
+      costPerTerabyte: resolved.costPerTerabyte,
+      location,
+      fullRefresh,
+      source: source.key,
+      adminProject: source.adminProject
+    })];
+  }
+}
+
+/**
+ * Collect storage usage and monthly storage costs for a project
+ * @param {Object} project - Project configuration
+ * @param {Object} [options] - Options for the monitoring
+ * @param {string} [options.location] - BigQuery location, used when the project lists no regions
+ * @param {number} [options.maxRetries] - Retries for transient BigQuery errors
+ * @param {number} [options.retryBaseDelayMs] - Delay before the first retry, doubled on each retry
+ * @param {number} [options.deadline] - Epoch milliseconds after which no more work is started
+ * @param {Object} [options.stats] - Counters {attempts, retries} updated as queries run
+ * @param {string} [options.runId] - Run that the storage is recorded under
+ * @param {Object} [options.config] - Configuration of the run, the local one by default
+ * @returns {Promise<Object>} - Storage summary with the `date` it was stored for, or {error} if collection failed
+ */
+async function monitorProjectStorage(project, options = {}) {
+  const config = options.config || getConfig();
+  const loggingMeta = { projectId: project.id, projectName: project.name };
+  const settings = config.settings || {};
+  const { location, maxRetries, retryBaseDelayMs } = resolveProjectSettings(project, config, options);
+  const stats = options.stats || { attempts: 0, retries: 0 };
   
   try {
-    // Initialize BigQuery client for this project
+    const regions = resolveProjectRegions(project, location);
     const bigquery = new BigQuery({
       projectId: project.id,
     });
     
-    // Run the cost query
-    logger.info(`Running cost query for ${project.id}...`, {
-      ...loggingMeta, 
-      historyDays, 
-      costPerTerabyte,
-      location
+    let tables = [];
+    for (const region of regions) {
+      logger.info(`Running storage query for ${project.id} in region ${region.name}...`, {
+        ...loggingMeta,
+        region: region.name
+      });
+      
+      const [rows] = await retryWithBackoff(() => {
+        checkDeadline(project, options.deadline);
+        stats.attempts++;
+        
+        return bigquery.query({
+          query: applyRegion(getSqlQueries().storageQuery, region),
+          location: region.location,
+          timeout: 180000 // 3 minute timeout
+        });
+      }, {
+        retries: maxRetries,
+        baseDelayMs: retryBaseDelayMs,
+        onRetry: (error, attempt, delayMs) => {
+          stats.retries++;
+          logger.warn(`Transient error querying storage for ${project.id} in region ${region.name} (attempt ${attempt}), retrying in ${Math.round(delayMs)}ms: ${error.message}`, loggingMeta);
+        }
+      });
+      
+      logger.info(`Retrieved ${rows.length} storage records for ${project.name} in region ${region.name}`, loggingMeta);
+      
+      const prices = getRegionPrices(settings, region.name).storage;
+      tables = tables.concat(rows.map(row => computeTableStorageCost({ ...row, region: region.name }, prices)));
+    }
+    
+    tables.sort((a, b) => b.monthly_cost_usd - a.monthly_cost_usd);
+    const datasets = summarizeStorageByDataset(tables);
+    
+    checkDeadline(project, options.deadline);
+    
+    // Keep the day's storage next to the earlier days, like the costs
+    const date = moment.utc().format('YYYY-MM-DD');
+    const { inserted, updated, deleted } = saveStorage(project.id, date, tables, { runId: options.runId });
+    
+    logger.info(`Storage history for ${project.name} updated for ${date}: ${inserted} tables inserted, ${updated} updated, ${deleted} removed`, loggingMeta);
+    
+    const sum = field => datasets.reduce((total, dataset) => total + (dataset[field] || 0), 0);
+    
+    return {
+      datasets: datasets.length,
+      tables: tables.length,
+      totalLogicalBytes: sum('total_logical_bytes'),
+      totalPhysicalBytes: sum('total_physical_bytes'),
+      totalMonthlyCost: sum('monthly_cost_usd'),
+      logicalMonthlyCost: sum('logical_monthly_cost_usd'),
+      physicalMonthlyCost: sum('physical_monthly_cost_usd'),
+      potentialMonthlySavings: sum('potential_monthly_savings_usd'),
+      date
+    };
+  } catch (error) {
+    logger.error(`Error collecting storage for project ${project.name}: ${error.message}`, {
+      ...loggingMeta,
+      error: error.message,
+      stack: error.stack
+    });
+    
+    return { error: error.message };
+  }
+}
+
+/**
+ * Determine the start of the job scan window for a region
+ * @param {string|null} regionWatermark - Newest creation_time of the jobs collected in the region
+ * @param {number} retentionDays - Days the jobs are kept
+ * @returns {Object} - Start of the scan window (moment)
+ */
+function resolveJobScanStart(regionWatermark, retentionDays) {
+  // The store keeps whole days, as many as the retention period
+  const retentionStart = moment.utc().subtract(retentionDays - 1, 'days').startOf('day');
+  
+  if (!regionWatermark) {
+    return retentionStart;
+  }
+  
+  // Jobs are stored by ID, so only the jobs that may have finished since the last run are read again
+  return moment.max(moment.utc(regionWatermark).subtract(LATE_JOB_LOOKBACK_HOURS, 'hours'), retentionStart);
+}
+
+/**
+ * Read the individual jobs from each region
+ *
+ * Serves a single project as well as an organization or folder, whose jobs
+ * are read once for all of its projects.
+ *
+ * @param {Object} target - Project configuration, or organizations entry, whose regions and pricing apply
+ * @param {Object} scope - What is read
+ * @param {string} scope.key - Project ID, or key of the organization or folder
+ * @param {string} scope.view - Job view to read, one of JOBS_VIEWS
+ * @param {string} scope.queryProject - Project the queries run in
+ * @param {Object|null} scope.watermark - Stored job watermark, or null to read the whole retention period
+ * @param {Object} scope.loggingMeta - Metadata logged with the messages
+ * @param {Object} options - Options for the monitoring, as for monitorProjectJobs
+ * @returns {Promise<Object>} - {jobs, regionWatermarks, jobsViews, retentionDays}
+ */
+async function scanJobs(target, scope, options) {
+  const config = options.config || getConfig();
+  const { key, watermark, loggingMeta } = scope;
+  const resolved = resolveProjectSettings(target, config, options);
+  const { location, jobRetentionDays: retentionDays, maxRetries, retryBaseDelayMs } = resolved;
+  const stats = options.stats || { attempts: 0, retries: 0 };
+  
+  const regions = resolveProjectRegions(target, location);
+  const bigquery = new BigQuery({
+    projectId: scope.queryProject,
+  });
+  
+  let jobs = [];
+  const jobsViews = {};
+  const regionWatermarks = { ...(watermark ? watermark.regions : {}) };
+  
+  for (const region of regions) {
+    const regionWatermark = watermark ? watermark.regions[region.name] : null;
+    const scanStart = resolveJobScanStart(regionWatermark, retentionDays);
+    const pricing = resolved.pricing(region);
+    
+    logger.info(`Running job query for ${key} in region ${region.name}...`, {
+      ...loggingMeta,
+      region: region.name,
+      incremental: !!regionWatermark,
+      scanStart: scanStart.toISOString()
+    });
+    
+    const { rows, jobsView } = await queryJobsView(bigquery, getSqlQueries().usageQuery, region, scope.view, {
+      history_days: retentionDays,
+      ...toQueryParams(pricing),
+      start_time: BigQuery.timestamp(scanStart.toDate())
+    }, {
+      target: { id: key },
+      loggingMeta,
+      maxRetries,
+      retryBaseDelayMs,
+      deadline: options.deadline,
+      stats
+    });
+    
+    logger.info(`Retrieved ${rows.length} jobs for ${key} in region ${region.name}`, loggingMeta);
+    
+    jobsViews[region.name] = jobsView;
+    jobs = jobs.concat(rows.map(row => toJobRecord(row, region)));
+    
+    const lastCreationTime = rows.reduce((latest, row) =>
+      (!latest || row.creation_time > latest ? row.creation_time : latest), regionWatermark);
+    if (lastCreationTime) {
+      regionWatermarks[region.name] = lastCreationTime;
+    }
+  }
+  
+  return { jobs, regionWatermarks, jobsViews, retentionDays };
+}
+
+/**
+ * Store the jobs of a project and drop the ones past the retention period
+ * @param {string} projectId - The project ID
+ * @param {Array} jobs - Jobs of the project
+ * @param {number} retentionDays - Days the jobs are kept
+ * @returns {Object} - {jobs, inserted, updated, pruned}
+ */
+function storeJobs(projectId, jobs, retentionDays) {
+  const { inserted, updated } = upsertJobs(projectId, jobs);
+  const pruned = pruneJobs(projectId, retentionDays);
+  
+  return { jobs: jobs.length, inserted, updated, pruned };
+}
+
+/**
+ * Collect the individual jobs of a project for job search
+ * @param {Object} project - Project configuration
+ * @param {Object} [options] - Options for the monitoring
+ * @param {string} [options.location] - BigQuery location, used when the project lists no regions
+ * @param {number} [options.costPerTerabyte] - Flat on-demand cost per terabyte, overriding the configured pricing
+ * @param {boolean} [options.fullRefresh] - Ignore the stored watermark and re-read the retention period
+ * @param {number} [options.maxRetries] - Retries for transient BigQuery errors
+ * @param {number} [options.retryBaseDelayMs] - Delay before the first retry, doubled on each retry
+ * @param {number} [options.deadline] - Epoch milliseconds after which no more work is started
+ * @param {Object} [options.stats] - Counters {attempts, retries} updated as queries run
+ * @param {Object} [options.config] - Configuration of the run, the local one by default
+ * @returns {Promise<Object>} - Job summary {jobs, inserted, updated, pruned, jobsViews}, or {error} if collection failed
+ */
+async function monitorProjectJobs(project, options = {}) {
+  const loggingMeta = { projectId: project.id, projectName: project.name };
+  
+  try {
+    // Jobs that went missing from the store are read again
+    const watermarkKey = jobWatermarkKey(project.id);
+    const watermark = options.fullRefresh || !hasJobs(project.id) ? null : getWatermark(watermarkKey);
+    
+    const scan = await scanJobs(project, {
+      key: project.id,
+      view: JOBS_VIEWS.project,
+      queryProject: project.id,
+      watermark,
+      loggingMeta
+    }, options);
+    
+    checkDeadline(project, options.deadline);
+    
+    const stored = storeJobs(project.id, scan.jobs, scan.retentionDays);
+    saveWatermark(watermarkKey, { regions: scan.regionWatermarks });
+    
+    logger.info(`Jobs of ${project.name} updated: ${stored.inserted} inserted, ${stored.updated} updated, ${stored.pruned} days dropped`, loggingMeta);
+    
+    return { ...stored, jobsViews: scan.jobsViews };
+  } catch (error) {
+    logger.error(`Error collecting jobs for project ${project.name}: ${error.message}`, {
+      ...loggingMeta,
+      error: error.message,
+      stack: error.stack
+    });
+    
+    return { error: error.message };
+  }
+}
+
+/**
+ * Collect the individual jobs of the projects of an organization or folder for job search
+ *
+ * The jobs are read once per region from the admin project and split by
+ * project_id, leaving out the projects the entry doesn't collect.
+ *
+ * @param {Object} entry - Entry of the `organizations` configuration
+ * @param {Object} [options] - Options for the monitoring, as for monitorProjectJobs
+ * @returns {Promise<Object>} - Job summaries by project ID, or {error} if collection failed
+ */
+async function monitorOrganizationJobs(entry, options = {}) {
+  const config = options.config || getConfig();
+  const source = resolveSource(entry);
+  const loggingMeta = { source: source.key, adminProject: source.adminProject };
+  
+  try {
+    const watermarkKey = jobWatermarkKey(source.key);
+    const scan = await scanJobs(entry, {
+      key: source.key,
+      view: source.view,
+      queryProject: source.adminProject,
+      watermark: options.fullRefresh ? null : getWatermark(watermarkKey),
+      loggingMeta
+    }, options);
+    
+    checkDeadline({ id: source.key }, options.deadline);
+    
+    const jobsByProject = splitRowsByProject(scan.jobs);
+    const summaries = {};
+    Object.keys(jobsByProject)
+      .filter(projectId => collectsProject(projectId, entry, config.projects))
+      .forEach(projectId => {
+        summaries[projectId] = { ...storeJobs(projectId, jobsByProject[projectId], scan.retentionDays), jobsViews: scan.jobsViews };
+      });
+    
+    // Projects without new jobs still lose their expired days
+    listDiscoveredProjects(config)
+      .filter(project => project.source === source.key && !summaries[project.id])
+      .forEach(project => {
+        summaries[project.id] = { ...storeJobs(project.id, [], scan.retentionDays), jobsViews: scan.jobsViews };
+      });
+    
+    saveWatermark(watermarkKey, { regions: scan.regionWatermarks });
+    
+    logger.info(`Jobs of ${Object.keys(summaries).length} projects of ${source.key} updated`, loggingMeta);
+    
+    return summaries;
+  } catch (error) {
+    logger.error(`Error collecting jobs for ${source.key}: ${error.message}`, {
+      ...loggingMeta,
+      error: error.message,
+      stack: error.stack
     });
     
-    const [costRows] = await bigquery.query({
-      query: costQuery,
-      params: {
-        history_days: historyDays,
-        cost_per_terabyte: costPerTerabyte
-      },
-      location: location,
+    return { error: error.message };
+  }
+}
+
+/**
+ * Throw if the project's deadline has passed
+ * @param {Object} project - Project configuration
+ * @param {number} [deadline] - Epoch milliseconds deadline
+ */
+function checkDeadline(project, deadline) {
+  if (deadline && Date.now() > deadline) {
+    throw new TimeoutError(`Deadline exceeded while monitoring ${project.id}`);
+  }
+}
+
+/**
+ * Load the watermark that incremental collection resumes from
+ * @param {Object} project - Project configuration
+ * @param {boolean} fullRefresh - Whether to ignore the stored watermark
+ * @param {string|null} runId - Run that imported rows are recorded under
+ * @returns {Object|null} - Watermark entry, or null for a full refresh
+ */
+function loadWatermark(project, fullRefresh, runId) {
+  const watermark = fullRefresh ? null : getWatermark(project.id);
+  
+  if (!watermark || !watermark.regions) {
+    return null;
+  }
+  
+  if (hasHistory(project.id)) {
+    return watermark;
+  }
+  
+  // Watermarks written before the history store point at a JSON snapshot
+  if (watermark.outputPath && fs.existsSync(watermark.outputPath)) {
+    const rows = fs.readJsonSync(watermark.outputPath);
+    upsertRows(project.id, rows, { runId });
+    logger.info(`Imported ${rows.length} rows for ${project.id} from ${watermark.outputPath} into the history store`);
+    return watermark;
+  }
+  
+  logger.warn(`History for ${project.id} is missing, running a full refresh`);
+  return null;
+}
+
+/**
+ * Determine the start of the scan window for a region
+ * @param {string|null} regionWatermark - Newest creation_time ingested for the region
+ * @param {number} historyDays - Number of days of history to query
+ * @returns {Object} - Start of the scan window (moment)
+ */
+function resolveScanStart(regionWatermark, historyDays) {
+  // Stored days are replaced by the scanned ones, so only ever scan whole days
+  const historyStart = moment.utc().subtract(historyDays, 'days').startOf('day');
+  
+  if (!regionWatermark) {
+    return historyStart;
+  }
+  
+  // Rows are daily aggregates, so re-scan whole days. Going back far enough to
+  // cover the longest running job means jobs that were still running at the
+  // last run are picked up, and replacing the whole day counts them once.
+  const rescanStart = moment.utc(regionWatermark)
+    .subtract(LATE_JOB_LOOKBACK_HOURS, 'hours')
+    .startOf('day');
+  
+  return moment.max(rescanStart, historyStart);
+}
+
+/**
+ * Merge freshly fetched rows into the existing history
+ * @param {Array} previousRows - Stored rows from the months touched by this run
+ * @param {Array} scans - Per-region scans {region, scanStart, rows}
+ * @returns {Array} - Merged rows ordered by date and cost
+ */
+function mergeCostRows(previousRows, scans) {
+  // Days on or after a region's scan start are fully covered by its fresh rows
+  const retainedRows = previousRows.filter(row => !scans.some(scan => 
+    scan.region.name === row.region && 
+    row.date >= scan.scanStart.format('YYYY-MM-DD')
+  ));
+  
+  const fetchedRows = scans.reduce((rows, scan) => rows.concat(scan.rows), []);
+  
+  return retainedRows.concat(fetchedRows).sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? 1 : -1;
+    return (b.estimated_cost_usd || 0) - (a.estimated_cost_usd || 0);
+  });
+}
+
+/**
+ * Find the newest job creation time across the fetched rows
+ * @param {Array} rows - Rows returned by the cost query
+ * @param {string|null} previous - The previous watermark, if any
+ * @returns {string|null} - ISO timestamp of the newest ingested job
+ */
+function getLastCreationTime(rows, previous) {
+  return rows.reduce((latest, row) => {
+    if (!row.last_creation_time) return latest;
+    return !latest || row.last_creation_time > latest ? row.last_creation_time : latest;
+  }, previous || null);
+}
+
+/**
+ * Run a query over a job view in a region, falling back to JOBS_BY_USER when the view can't be read
+ * @param {BigQuery} bigquery - Client of the project the query runs in
+ * @param {string} sql - Cost or job query, with the region and job view placeholders
+ * @param {Object} region - Normalized region
+ * @param {string} jobsView - Job view to read, one of JOBS_VIEWS
+ * @param {Object} params - Query parameters
+ * @param {Object} context - Query context
+ * @param {Object} context.target - Project, or {id} of the organization or folder, being monitored
+ * @param {Object} context.loggingMeta - Metadata logged with the messages
+ * @param {number} context.maxRetries - Retries for transient BigQuery errors
+ * @param {number} context.retryBaseDelayMs - Delay before the first retry
+ * @param {number} [context.deadline] - Epoch milliseconds after which no more work is started
+ * @param {Object} context.stats - Counters {attempts, retries} updated as queries run
+ * @returns {Promise<Object>} - {rows, jobsView} with the view the rows were read from
+ */
+async function queryJobsView(bigquery, sql, region, jobsView, params, context) {
+  const { target, loggingMeta, stats } = context;
+  
+  const query = view => retryWithBackoff(() => {
+    checkDeadline(target, context.deadline);
+    stats.attempts++;
+    
+    return bigquery.query({
+      query: applyJobsView(applyRegion(sql, region), view),
+      params,
+      // An empty array has no inferable type
+      types: params.label_keys ? { label_keys: ['STRING'] } : undefined,
+      location: region.location,
       timeout: 180000 // 3 minute timeout
     });
+  }, {
+    retries: context.maxRetries,
+    baseDelayMs: context.retryBaseDelayMs,
+    onRetry: (error, attempt, delayMs) => {
+      stats.retries++;
+      logger.warn(`Transient error querying ${target.id} in region ${region.name} (attempt ${attempt}), retrying in ${Math.round(delayMs)}ms: ${error.message}`, loggingMeta);
+    }
+  });
+  
+  try {
+    const [rows] = await query(jobsView);
+    return { rows, jobsView };
+  } catch (error) {
+    if (jobsView === JOBS_VIEWS.user || !isPermissionDeniedError(error)) {
+      throw error;
+    }
     
-    logger.info(`Retrieved ${costRows.length} cost records for ${project.name}`, loggingMeta);
+    // Anyone who can run jobs can read their own, so this still collects part of the cost
+    logger.warn(`No permission to read ${jobsView} for ${target.id} in region ${region.name}, falling back to ` +
+                `${JOBS_VIEWS.user}, which only has the jobs of the monitoring account: ${error.message}`, loggingMeta);
+    const [rows] = await query(JOBS_VIEWS.user);
+    return { rows, jobsView: JOBS_VIEWS.user };
+  }
+}
+
+/**
+ * Run the cost query in each region
+ *
+ * Serves a single project as well as an organization or folder, whose jobs
+ * are read once for all of its projects.
+ *
+ * @param {Object} target - Project, or {id, name} of the organization or folder, being monitored
+ * @param {Object} scope - What is read
+ * @param {string} scope.key - Project ID, or key of the organization or folder
+ * @param {string} scope.view - Job view to read, one of JOBS_VIEWS
+ * @param {string} scope.queryProject - Project the queries run in
+ * @param {Array} scope.regions - Regions to read
+ * @param {Object|null} scope.watermark - Stored watermark, or null to read the whole history window
+ * @param {string[]} scope.labelKeys - Label keys the cost is broken down by
+ * @param {Object} scope.loggingMeta - Metadata logged with the messages
+ * @param {Object} resolved - Settings from resolveProjectSettings
+ * @param {Object} options - Options for the monitoring, with the `stats` to update
+ * @returns {Promise<Array>} - Per-region scans {region, pricing, scanStart, jobsView, rows, lastCreationTime}
+ */
+async function scanCosts(target, scope, resolved, options) {
+  const { key, watermark, loggingMeta } = scope;
+  const { historyDays } = resolved;
+  
+  const bigquery = new BigQuery({
+    projectId: scope.queryProject,
+  });
+  
+  // INFORMATION_SCHEMA is regional, so run the cost query once per region
+  const scans = [];
+  for (const region of scope.regions) {
+    const regionWatermark = watermark ? watermark.regions[region.name] : null;
+    const scanStart = resolveScanStart(regionWatermark, historyDays);
+    const pricing = resolved.pricing(region);
     
-    // Calculate totals and statistics
-    const totalCost = costRows.reduce((sum, row) => sum + (row.estimated_cost_usd || 0), 0);
-    const totalBytes = costRows.reduce((sum, row) => sum + (row.total_bytes_processed || 0), 0);
-    const totalQueries = costRows.reduce((sum, row) => sum + (row.query_count || 0), 0);
+    logger.info(`Running cost query for ${key} in region ${region.name}...`, {
+      ...loggingMeta,
+      historyDays,
+      pricing,
+      region: region.name,
+      incremental: !!regionWatermark,
+      scanStart: scanStart.toISOString()
+    });
+    
+    const { rows, jobsView } = await queryJobsView(bigquery, getSqlQueries().costQuery, region, scope.view, {
+      history_days: historyDays,
+      ...toQueryParams(pricing),
+      start_time: BigQuery.timestamp(scanStart.toDate()),
+      label_keys: scope.labelKeys
+    }, {
+      target,
+      loggingMeta,
+      maxRetries: resolved.maxRetries,
+      retryBaseDelayMs: resolved.retryBaseDelayMs,
+      deadline: options.deadline,
+      stats: options.stats
+    });
     
-    // Save results to output directory
-    const timestamp = moment().format('YYYY-MM-DD_HH-mm-ss');
-    const outputPath = path.join(outputDir, `${project.id}_costs_${timestamp}.json`);
-    await fs.writeJson(outputPath, costRows, { spaces: 2 });
+    logger.info(`Retrieved ${rows.length} cost records for ${key} in region ${region.name}`, loggingMeta);
+    
+    scans.push({
+      region,
+      pricing,
+      scanStart,
+      jobsView,
+      rows: rows.map(row => ({ ...row, region: region.name })),
+      lastCreationTime: getLastCreationTime(rows, regionWatermark)
+    });
+  }
+  
+  return scans;
+}
+
+/**
+ * Merge a project's scans into its stored history and read back the history window
+ * @param {Object} project - Project configuration
+ * @param {Array} scans - Per-region scans {region, pricing, scanStart, rows} of the project
+ * @param {Object} options - Options {historyDays, runId, deadline, config}
+ * @returns {Object} - {costRows, fetchedRecords, inserted, updated}
+ */
+function storeScans(project, scans, options) {
+  const config = options.config || getConfig();
+  const loggingMeta = { projectId: project.id, projectName: project.name };
+  
+  // The free tier is allocated per calendar month, so re-read every month touched by this run
+  const earliestScan = moment.min(scans.map(scan => scan.scanStart));
+  const affectedFrom = earliestScan.clone().startOf('month').format('YYYY-MM-DD');
+  const previousRows = queryRows(project.id, { from: affectedFrom });
+  
+  // Replace the re-scanned days in the stored history with the fresh rows
+  const affectedRows = mergeCostRows(previousRows, scans);
+  const fetchedRecords = scans.reduce((sum, scan) => sum + scan.rows.length, 0);
+  
+  // The pricing model and free tier are per project, only the rates vary by region
+  applyFreeTier(affectedRows, scans[0].pricing);
+  
+  // Assign the final costs to teams and cost centers
+  const enrichedRows = enrichRows(affectedRows, compileTeamMapping(config.teams));
+  
+  // Don't write anything once the caller has given up on this project
+  checkDeadline(project, options.deadline);
+  
+  // The merged rows are all there is from the first affected month on, so rows missing from them are removed
+  const { inserted, updated, deleted } = upsertRows(project.id, enrichedRows, { runId: options.runId, replaceFrom: affectedFrom });
+  
+  logger.info(`Cost history for ${project.name} updated: ${inserted} rows inserted, ${updated} rows updated, ${deleted} rows removed`, loggingMeta);
+  
+  // Report on the history window, even though the store keeps older days
+  const historyFrom = moment.utc().subtract(options.historyDays, 'days').format('YYYY-MM-DD');
+  
+  return {
+    costRows: queryRows(project.id, { from: historyFrom }),
+    fetchedRecords,
+    inserted,
+    updated
+  };
+}
+
+/**
+ * Advance the per-region watermarks to the newest jobs of the scans
+ * @param {Object|null} watermark - Stored watermark entry, null for a full refresh
+ * @param {Array} scans - Per-region scans {region, lastCreationTime}
+ * @returns {Object} - Map of region name to ISO timestamp of the newest ingested job
+ */
+function advanceWatermarks(watermark, scans) {
+  const regionWatermarks = { ...(watermark ? watermark.regions : {}) };
+  
+  scans.forEach(scan => {
+    if (scan.lastCreationTime) {
+      regionWatermarks[scan.region.name] = scan.lastCreationTime;
+    }
+  });
+  
+  return regionWatermarks;
+}
+
+/**
+ * Share the monthly free tier between the projects of each billing account
+ *
+ * Each project is first credited as if it had the free tier to itself. The
+ * projects whose pricing names the same billingAccount are then credited
+ * again from their combined history, the rows whose cost changed are stored
+ * under the same run, and the results of the run are summed up again.
+ *
+ * @param {Array} results - Results of the run, updated in place
+ * @param {Object} options - Options for the monitoring, with the run's `runId` and `config`
+ * @returns {Object} - Map of billing account to the IDs of the projects sharing its free tier
+ */
+function shareFreeTier(results, options) {
+  const config = options.config || getConfig();
+  const collected = results.filter(result => result.status === 'success');
+  const accounts = {};
+  
+  listMonitoredProjects(config).forEach(project => {
+    const { historyDays } = resolveProjectSettings(project, config, options);
+    const pricing = resolvePricing(project, config.settings || {});
+    if (pricing.billingAccount) {
+      (accounts[pricing.billingAccount] = accounts[pricing.billingAccount] || []).push({ project, pricing, historyDays });
+    }
+  });
+  
+  const teamMapping = compileTeamMapping(config.teams);
+  const shared = {};
+  
+  Object.entries(accounts).forEach(([billingAccount, members]) => {
+    // The history of an account none of whose projects were collected hasn't changed
+    if (!members.some(({ project }) => collected.some(result => result.project === project.id))) {
+      return;
+    }
     
-    logger.info(`Cost data for ${project.name} saved to ${outputPath}`, loggingMeta);
+    // Re-credit every month that a project of the account may have re-scanned
+    const from = moment.utc()
+      .subtract(Math.max(...members.map(member => member.historyDays)), 'days')
+      .startOf('month')
+      .format('YYYY-MM-DD');
+    const projects = members.map(({ project, pricing }) => ({ project, pricing, rows: queryRows(project.id, { from }) }));
     
-    // Calculate elapsed time
-    const elapsedSeconds = (Date.now() - startTime) / 1000;
+    applySharedFreeTier(projects);
     
-    // Return the results with detailed information
-    return {
-      project: project.id,
-      projectName: project.name,
-      timestamp: moment().toISOString(),
-      records: costRows.length,
-      totalCost: totalCost,
-      totalBytesProcessed: totalBytes,
-      totalQueries: totalQueries,
-      elapsedTime: elapsedSeconds,
-      outputPath,
-      data: costRows, // Include the actual data for potential direct usage
-      params: {
-        historyDays,
-        costPerTerabyte,
-        location
+    projects.forEach(({ project, rows }) => {
+      const { updated } = upsertRows(project.id, enrichRows(rows, teamMapping), { runId: options.runId });
+      if (updated > 0) {
+        logger.info(`Free tier of billing account ${billingAccount} shared: ${updated} rows of ${project.id} updated`);
       }
+    });
+    
+    shared[billingAccount] = members.map(({ project }) => project.id);
+  });
+  
+  // The totals of the run follow the shared credits
+  collected
+    .filter(result => Object.values(shared).some(projectIds => projectIds.includes(result.project)))
+    .forEach(result => {
+      const historyFrom = moment.utc().subtract(result.params.historyDays, 'days').format('YYYY-MM-DD');
+      const regions = result.params.regions.map(name => ({ name }));
+      Object.assign(result, summarizeCostRows(queryRows(result.project, { from: historyFrom }), regions));
+    });
+  
+  return shared;
+}
+
+/**
+ * Build the result of a successfully monitored project
+ * @param {Object} project - Project configuration
+ * @param {Object} stored - Stored history from storeScans
+ * @param {Object} details - Details of the collection
+ * @param {Array} details.scans - Per-region scans
+ * @param {Array} details.regions - Regions collected
+ * @param {boolean} details.incremental - Whether the scans resumed from a watermark
+ * @param {Object} details.watermarks - Advanced region watermarks
+ * @param {Object} details.stats - Counters {attempts, retries}
+ * @param {number} details.startTime - Epoch milliseconds the collection started at
+ * @param {Object} details.params - Parameters the collection ran with
+ * @returns {Object} - Results of the cost monitoring
+ */
+function buildProjectResult(project, stored, details) {
+  const { costRows } = stored;
+  
+  const jobsViews = {};
+  details.scans.forEach(scan => {
+    jobsViews[scan.region.name] = scan.jobsView;
+  });
+  
+  return {
+    project: project.id,
+    projectName: project.name,
+    ...(project.source ? { source: project.source } : {}),
+    timestamp: moment().toISOString(),
+    status: 'success',
+    attempts: details.stats.attempts,
+    retries: details.stats.retries,
+    fetchedRecords: stored.fetchedRecords,
+    insertedRecords: stored.inserted,
+    updatedRecords: stored.updated,
+    incremental: details.incremental,
+    watermarks: details.watermarks,
+    ...summarizeCostRows(costRows, details.regions),
+    elapsedTime: (Date.now() - details.startTime) / 1000,
+    params: {
+      ...details.params,
+      pricing: summarizePricing(details.scans),
+      regions: details.regions.map(region => region.name),
+      // JOBS_BY_USER in a region means only the monitoring account's jobs were collected there
+      jobsViews
+    }
+  };
+}
+
+/**
+ * Sum up the cost rows of a project's history window
+ * @param {Array} costRows - Cost rows of the history window
+ * @param {Array} regions - Regions collected, {name}
+ * @returns {Object} - Record count, cost totals, per-region totals and the rows themselves as `data`
+ */
+function summarizeCostRows(costRows, regions) {
+  const sum = field => costRows.reduce((total, row) => total + (row[field] || 0), 0);
+  
+  return {
+    records: costRows.length,
+    totalCost: sum('estimated_cost_usd'),
+    totalOnDemandCost: sum('on_demand_cost_usd'),
+    totalCapacityCost: sum('capacity_cost_usd'),
+    freeTierCredit: sum('free_tier_credit_usd'),
+    totalBytesProcessed: sum('total_bytes_processed'),
+    totalQueries: sum('query_count'),
+    regions: summarizeRegions(costRows, regions),
+    data: costRows // Include the actual data for potential direct usage
+  };
+}
+
+/**
+ * Build the result of a project, or an organization or folder, that failed to be monitored
+ * @param {Object} target - Project, or {id, name, source} of the organization or folder
+ * @param {Error} error - What made it fail
+ * @param {Object} stats - Counters {attempts, retries}
+ * @param {Object} params - Parameters the collection ran with
+ * @returns {Object} - Failed result
+ */
+function buildFailedResult(target, error, stats, params) {
+  return {
+    project: target.id,
+    projectName: target.name,
+    ...(target.source ? { source: target.source } : {}),
+    timestamp: moment().toISOString(),
+    status: error instanceof TimeoutError ? 'timeout' : 'failed',
+    attempts: stats.attempts,
+    retries: stats.retries,
+    error: error.message,
+    errorDetails: error.stack,
+    params
+  };
+}
+
+/**
+ * Describe the pricing used for each region in a run
+ * @param {Array} scans - Per-region scans {region, pricing}
+ * @returns {Object} - {model, edition, freeTierTiB, billingAccount, regions: {name: {onDemandPerTiB, slotHourPrice}}}
+ */
+function summarizePricing(scans) {
+  const { model, edition, freeTierTiB, billingAccount } = scans[0].pricing;
+  const regions = {};
+  
+  scans.forEach(scan => {
+    regions[scan.region.name] = {
+      onDemandPerTiB: scan.pricing.onDemandPerTiB,
+      slotHourPrice: scan.pricing.slotHourPrice
     };
+  });
+  
+  return { model, edition, freeTierTiB, billingAccount, regions };
+}
+
+/**
+ * Break the merged rows down by region
+ * @param {Array} rows - Merged cost rows
+ * @param {Array} regions - Regions collected in this run
+ * @returns {Array} - Per-region totals
+ */
+function summarizeRegions(rows, regions) {
+  const byRegion = {};
+  
+  regions.forEach(region => {
+    byRegion[region.name] = { region: region.name, records: 0, totalCost: 0, totalBytesProcessed: 0, totalQueries: 0 };
+  });
+  
+  rows.forEach(row => {
+    const name = row.region || 'unknown';
+    if (!byRegion[name]) {
+      byRegion[name] = { region: name, records: 0, totalCost: 0, totalBytesProcessed: 0, totalQueries: 0 };
+    }
+    
+    byRegion[name].records++;
+    byRegion[name].totalCost += (row.estimated_cost_usd || 0);
+    byRegion[name].totalBytesProcessed += (row.total_bytes_processed || 0);
+    byRegion[name].totalQueries += (row.query_count || 0);
+  });
+  
+  return Object.values(byRegion);
+}
+
+/**
+ * Detect cost anomalies in a project's stored history
+ * @param {Object} project - Project configuration
+ * @param {Object} [runConfig] - Configuration, the loaded one by default
+ * @returns {Array} - Anomaly findings, newest first
+ */
+function detectProjectAnomalies(project, runConfig = getConfig()) {
+  const settings = resolveAnomalySettings(project, runConfig.settings);
+  
+  if (!settings.enabled) {
+    return [];
+  }
+  
+  // Cover the baseline of the oldest evaluated day
+  const from = moment.utc()
+    .subtract(settings.baselineDays + settings.evaluationDays, 'days')
+    .format('YYYY-MM-DD');
+  
+  const anomalies = detectAnomalies(queryRows(project.id, { from }), { ...settings, projectId: project.id });
+  
+  anomalies.forEach(anomaly => {
+    logger.warn(`Cost anomaly in ${project.id}: ${anomaly.type} for ${anomaly.scope} ${anomaly.entity} on ${anomaly.date} ` +
+                `($${anomaly.actual_cost_usd.toFixed(2)}, expected $${anomaly.expected_cost_usd.toFixed(2)})`, {
+      projectId: project.id,
+      projectName: project.name
+    });
+  });
+  
+  return anomalies;
+}
+
+/**
+ * Evaluate budgets against the history store after a run
+ * @param {Array} budgets - Budget definitions
+ * @param {Array} projects - Monitored projects, for budgets that don't name one
+ * @param {Object} [runConfig] - Configuration, the loaded one by default
+ * @returns {Array} - Budget statuses
+ */
+function evaluateRunBudgets(budgets, projects, runConfig = getConfig()) {
+  if (!budgets || budgets.length === 0) {
+    return [];
+  }
+  
+  // Team budgets follow the current team mapping, even for rows collected before it changed
+  const teamMapping = compileTeamMapping(runConfig.teams);
+  const statuses = evaluateBudgets(budgets, (projectId, from) => enrichRows(queryRows(projectId, { from }), teamMapping), {
+    projectIds: projects.map(project => project.id)
+  });
+  
+  statuses
+    .filter(status => status.thresholds_crossed.length > 0)
+    .forEach(status => {
+      const crossed = status.thresholds_crossed[status.thresholds_crossed.length - 1];
+      logger.warn(`Budget ${status.name} is at ${status.percent_used}% ($${status.spent_usd.toFixed(2)} of ` +
+                  `$${status.amount_usd.toFixed(2)}), past its ${crossed}% threshold`);
+    });
+  
+  statuses
+    .filter(status => status.status !== 'exceeded' && status.forecast_breach_date)
+    .forEach(status => {
+      logger.warn(`Budget ${status.name} is forecast to be exceeded on ${status.forecast_breach_date}`);
+    });
+  
+  return statuses;
+}
+
+/**
+ * Send the notifications for a finished run
+ * @param {Object} run - Run record
+ * @param {Object} notifications - Notifications configuration
+ * @returns {Promise<Array>} - Deliveries
+ */
+async function notifyRun(run, notifications) {
+  if (!notifications || !notifications.channels || notifications.channels.length === 0) {
+    return [];
+  }
+  
+  // Only what changed since the previous run is notified
+  const previousRunId = listRunIds().find(runId => runId < run.runId);
+  const events = buildRunEvents(run, previousRunId ? getRun(previousRunId) : null);
+  
+  if (events.length === 0) {
+    return [];
+  }
+  
+  logger.info(`Sending ${events.length} notifications for run ${run.runId}`);
+  return dispatchNotifications(events, notifications);
+}
+
+/**
+ * Publish today's costs of the successfully monitored projects as Cloud Monitoring custom metrics
+ * @param {Array} results - Results of the monitored projects
+ * @param {Object} settings - Global settings, optionally with a `metrics` block
+ * @param {Object} [client] - Cloud Monitoring MetricServiceClient, created when omitted
+ * @returns {Promise<Object|null>} - {written, projects}, or null when disabled or nothing succeeded
+ */
+async function publishRunMetrics(results, settings, client) {
+  const metricsSettings = resolveMetricsSettings(settings);
+  const projectIds = results.filter(result => result.status === 'success').map(result => result.project);
+  
+  if (!metricsSettings.enabled || projectIds.length === 0) {
+    return null;
+  }
+  
+  const published = await publishCostMetrics(
+    projectIds,
+    (projectId, date) => queryRows(projectId, { from: date, to: date }),
+    client || new MetricServiceClient(),
+    metricsSettings
+  );
+  
+  logger.info(`Published ${published.written} cost time series to Cloud Monitoring`);
+  return published;
+}
+
+/**
+ * Send the digests that are due today and weren't sent yet
+ * @param {Object} [runConfig] - Configuration, the loaded one by default
+ * @returns {Promise<Array>} - Deliveries
+ */
+async function sendRunDigests(runConfig = getConfig()) {
+  const subscriptions = (runConfig.digests && runConfig.digests.subscriptions) || [];
+  if (subscriptions.length === 0) {
+    return [];
+  }
+  
+  const deliveries = await sendDigests(runConfig, {
+    due: true,
+    loadRows: (projectId, from, to) => queryRows(projectId, { from, to }),
+    mapping: compileTeamMapping(runConfig.teams),
+    projectIds: listMonitoredProjects(runConfig).map(project => project.id)
+  });
+  
+  if (deliveries.length > 0) {
+    logger.info(`Sent ${deliveries.filter(delivery => delivery.status === 'sent').length} of ${deliveries.length} due digests`);
+  }
+  return deliveries;
+}
+
+/**
+ * Send a test notification to the configured channels
+ * @param {string} [channelName] - Only test this channel
+ * @returns {Promise<Array>} - Deliveries
+ */
+async function testNotifications(channelName) {
+  const config = getConfig();
+  const notifications = config.notifications || {};
+  const channels = (notifications.channels || []).filter(channel => !channelName || channel.name === channelName);
+  
+  if (channels.length === 0) {
+    throw new Error(channelName ? `Notification channel not found: ${channelName}` : 'No notification channels configured');
+  }
+  
+  // Test messages don't count towards the rate limits
+  return dispatchNotifications(
+    [{ type: 'test', severity: 'info', data: {} }],
+    { ...notifications, channels },
+    { rateLimiter: new RateLimiter(null) }
+  );
+}
+
+/**
+ * Monitor a project, giving up once its deadline has passed
+ * @param {Object} project - Project configuration
+ * @param {Object} options - Options for the monitoring
+ * @param {number} timeoutMs - Per-project deadline in milliseconds
+ * @returns {Promise<Object>} - Results of the cost monitoring
+ */
+async function monitorProjectWithDeadline(project, options, timeoutMs) {
+  const config = options.config || getConfig();
+  const stats = { attempts: 0, retries: 0 };
+  const deadline = Date.now() + timeoutMs;
+  
+  const { collectStorage, collectJobs } = resolveProjectSettings(project, config, options);
+  
+  const monitor = async () => {
+    const result = await monitorProject(project, { ...options, stats, deadline });
+    
+    // Storage is collected within the same deadline, but never fails the cost run
+    if (result.status === 'success' && collectStorage) {
+      result.storage = await monitorProjectStorage(project, { ...options, stats, deadline });
+      result.attempts = stats.attempts;
+      result.retries = stats.retries;
+    }
+    
+    // So are the individual jobs
+    if (result.status === 'success' && collectJobs) {
+      result.jobs = await monitorProjectJobs(project, { ...options, stats, deadline });
+      result.attempts = stats.attempts;
+      result.retries = stats.retries;
+    }
+    
+    // Anomalies only read the local history store, so a failure is just logged
+    if (result.status === 'success') {
+      try {
+        result.anomalies = detectProjectAnomalies(project, config);
+      } catch (error) {
+        logger.error(`Error detecting anomalies for project ${project.name}: ${error.message}`, {
+          projectId: project.id,
+          projectName: project.name
+        });
+        result.anomalies = [];
+      }
+    }
+    
+    return result;
+  };
+  
+  try {
+    return await withTimeout(
+      monitor(),
+      timeoutMs,
+      `Monitoring ${project.id} did not finish within ${timeoutMs / 1000} seconds`
+    );
   } catch (error) {
     logger.error(`Error monitoring project ${project.name}: ${error.message}`, {
-      ...loggingMeta,
-      error: error.message,
-      stack: error.stack
+      projectId: project.id,
+      projectName: project.name
     });
     
     return {
       project: project.id,
       projectName: project.name,
       timestamp: moment().toISOString(),
-      error: error.message,
-      errorDetails: error.stack,
-      params: {
-        historyDays,
-        costPerTerabyte,
-        location
-      }
+      status: error instanceof TimeoutError ? 'timeout' : 'failed',
+      attempts: stats.attempts,
+      retries: stats.retries,
+      error: error.message
     };
   }
 }
 
 /**
- * Main function to run the cost monitoring for all projects
- * @param {Object} [options] - Options for the monitoring
- * @returns {Promise<Array>} - Array of results for each project
+ * Resolve the parameters a run is started with
+ * @param {Object} [options] - Options for the monitoring, with the run's `config`
+ * @returns {Object} - {fullRefresh, historyDays, concurrency, projectTimeoutSeconds}
  */
-async function runCostMonitoring(options = {}) {
-  const startTime = Date.now();
-  logger.info('Starting BigQuery cost monitoring...');
-  logger.info(`Projects to monitor: ${config.projects.length}`);
+function resolveRunParams(options = {}) {
+  const config = options.config || getConfig();
+  const settings = config.settings || {};
   
-  const results = [];
+  return {
+    fullRefresh: !!options.fullRefresh,
+    historyDays: options.historyDays || settings.historyDays || DEFAULT_HISTORY_DAYS,
+    concurrency: options.concurrency || settings.concurrency || DEFAULT_CONCURRENCY,
+    projectTimeoutSeconds: options.projectTimeoutSeconds || 
+                           settings.projectTimeoutSeconds || 
+                           DEFAULT_PROJECT_TIMEOUT_SECONDS
+  };
+}
+
+/**
+ * Monitor several projects concurrently
+ * @param {Array} projects - Project configurations
+ * @param {Object} [options] - Options for the monitoring
+ * @param {number} [options.concurrency] - Maximum number of projects monitored at once
+ * @param {number} [options.projectTimeoutSeconds] - Deadline for each project
+ * @param {string} [options.runId] - Run the results belong to, created when omitted
+ * @param {Object} [options.config] - Configuration of the run, whose settings apply; the local one by default
+ * @returns {Promise<Array>} - Array of results for each enabled project, in input order
+ */
+async function monitorProjects(projects, options = {}) {
+  const { concurrency, projectTimeoutSeconds: timeoutSeconds } = resolveRunParams(options);
+  const runId = options.runId || createRunId();
   
-  for (const project of config.projects) {
-    // Skip projects marked as disabled if they exist
+  // Skip projects marked as disabled if they exist
+  const enabledProjects = projects.filter(project => {
     if (project.disabled) {
       logger.info(`Skipping disabled project: ${project.name} (${project.id})`);
-      continue;
+      return false;
     }
+    return true;
+  });
+  
+  logger.info(`Monitoring ${enabledProjects.length} projects with concurrency ${concurrency} (run ${runId})`);
+  
+  // A slow or failing project only holds up its own worker slot
+  const results = await mapWithConcurrency(enabledProjects, concurrency, project => 
+    monitorProjectWithDeadline(project, { ...options, runId }, timeoutSeconds * 1000)
+  );
+  
+  return results.map(result => ({ runId, ...result }));
+}
+
+/**
+ * Monitor an organization or folder, giving up once its deadline has passed
+ * @param {Object} entry - Entry of the `organizations` configuration
+ * @param {Object} options - Options for the monitoring
+ * @param {number} timeoutMs - Deadline in milliseconds, for all of its projects together
+ * @returns {Promise<Array>} - Results of the projects found
+ */
+async function monitorOrganizationWithDeadline(entry, options, timeoutMs) {
+  const config = options.config || getConfig();
+  const source = resolveSource(entry);
+  const stats = { attempts: 0, retries: 0 };
+  const deadline = Date.now() + timeoutMs;
+  
+  const monitor = async () => {
+    const results = await monitorOrganization(entry, { ...options, stats, deadline });
+    const succeeded = results.filter(result => result.status === 'success');
+    
+    // The jobs of all projects are collected together, within the same deadline and never failing the cost run
+    if (succeeded.length > 0 && resolveProjectSettings(entry, config, options).collectJobs) {
+      const jobs = await monitorOrganizationJobs(entry, { ...options, stats, deadline });
+      succeeded.forEach(result => {
+        result.jobs = jobs.error ? jobs : jobs[result.project];
+        result.attempts = stats.attempts;
+        result.retries = stats.retries;
+      });
+    }
+    
+    // Anomalies only read the local history store, so a failure is just logged
+    succeeded.forEach(result => {
+      try {
+        result.anomalies = detectProjectAnomalies(discoveredProject(result.project, entry), config);
+      } catch (error) {
+        logger.error(`Error detecting anomalies for project ${result.project}: ${error.message}`, {
+          projectId: result.project,
+          source: source.key
+        });
+        result.anomalies = [];
+      }
+    });
+    
+    return results;
+  };
+  
+  try {
+    return await withTimeout(
+      monitor(),
+      timeoutMs,
+      `Monitoring ${source.key} did not finish within ${timeoutMs / 1000} seconds`
+    );
+  } catch (error) {
+    logger.error(`Error monitoring ${source.key}: ${error.message}`, { source: source.key });
     
-    // Monitor each project with provided options
-    const result = await monitorProject(project, options);
-    results.push(result);
+    return [{
+      project: source.key,
+      projectName: source.name,
+      source: source.key,
+      timestamp: moment().toISOString(),
+      status: error instanceof TimeoutError ? 'timeout' : 'failed',
+      attempts: stats.attempts,
+      retries: stats.retries,
+      error: error.message
+    }];
+  }
+}
+
+/**
+ * Monitor the projects of several organizations and folders concurrently
+ * @param {Array} organizations - Entries of the `organizations` configuration
+ * @param {Object} [options] - Options for the monitoring, as for monitorProjects
+ * @returns {Promise<Array>} - Results of the projects found, in entry order
+ */
+async function monitorOrganizations(organizations = [], options = {}) {
+  const { concurrency, projectTimeoutSeconds: timeoutSeconds } = resolveRunParams(options);
+  const runId = options.runId || createRunId();
+  
+  const enabledEntries = organizations.filter(entry => {
+    if (entry.disabled) {
+      logger.info(`Skipping disabled ${resolveSource(entry).key}`);
+      return false;
+    }
+    return true;
+  });
+  
+  if (enabledEntries.length === 0) {
+    return [];
+  }
+  
+  logger.info(`Monitoring ${enabledEntries.length} organizations and folders with concurrency ${concurrency} (run ${runId})`);
+  
+  const results = await mapWithConcurrency(enabledEntries, concurrency, entry =>
+    monitorOrganizationWithDeadline(entry, { ...options, runId }, timeoutSeconds * 1000)
+  );
+  
+  return results.reduce((all, entryResults) => all.concat(entryResults), []).map(result => ({ runId, ...result }));
+}
+
+/**
+ * Main function to run the cost monitoring for all projects
+ *
+ * Collects every project, organization and folder, then evaluates the
+ * budgets, records the run and sends its notifications, metrics and digests.
+ *
+ * @param {Object} [options] - Options for the monitoring
+ * @param {boolean} [options.fullRefresh] - Re-scan the full history window for every project
+ * @param {Object} [options.config] - Configuration of the run, the local one by default
+ * @param {string} [options.trigger] - What started the run, recorded with it (default: cli)
+ * @returns {Promise<Object>} - {run, results} with the run record and the result of each project
+ */
+async function runCostMonitoring(options = {}) {
+  const { trigger = 'cli', ...monitorOptions } = options;
+  const config = options.config || getConfig();
+  const startedAt = new Date();
+  const runId = createRunId(startedAt);
+  logger.info(`Starting BigQuery cost monitoring run ${runId}...`);
+  logger.info(`Projects to monitor: ${config.projects.length}`);
+  if (config.organizations.length > 0) {
+    logger.info(`Organizations and folders to monitor: ${config.organizations.length}`);
   }
   
-  // Save summary of all results
-  const summaryPath = path.join(outputDir, `summary_${moment().format('YYYY-MM-DD')}.json`);
-  await fs.writeJson(summaryPath, results, { spaces: 2 });
+  const results = (await monitorProjects(config.projects, { ...monitorOptions, runId, config }))
+    .concat(await monitorOrganizations(config.organizations, { ...monitorOptions, runId, config }));
   
-  // Calculate elapsed time
-  const elapsedSeconds = (Date.now() - startTime) / 1000;
-  logger.info(`Cost monitoring completed in ${elapsedSeconds.toFixed(2)} seconds. Summary saved to ${summaryPath}`);
+  // Budgets read the shared credits, so share the free tier first
+  try {
+    shareFreeTier(results, { ...monitorOptions, runId, config });
+  } catch (error) {
+    logger.error(`Error sharing the free tier between projects: ${error.message}`);
+  }
+  
+  // Budgets only read the local history store, so a failure is just logged
+  let budgets = [];
+  try {
+    budgets = evaluateRunBudgets(config.budgets, listMonitoredProjects(config), config);
+  } catch (error) {
+    logger.error(`Error evaluating budgets: ${error.message}`);
+  }
+  
+  // Record the run with its parameters, per-project status and budget status
+  const run = buildRunRecord({
+    runId,
+    startedAt,
+    trigger,
+    params: resolveRunParams({ ...monitorOptions, config }),
+    results,
+    budgets
+  });
+  let runPath = saveRun(run);
+  
+  // Notifications are best effort; the run is already saved
+  try {
+    run.notifications = await notifyRun(run, config.notifications);
+    runPath = saveRun(run);
+  } catch (error) {
+    logger.error(`Error sending notifications: ${error.message}`);
+  }
+  
+  // Metrics are best effort too; the history store keeps the costs either way
+  try {
+    await publishRunMetrics(results, config.settings);
+  } catch (error) {
+    logger.error(`Error publishing cost metrics: ${error.message}`);
+  }
+  
+  // Digests are best effort as well; the ones that failed go out with the next run
+  try {
+    await sendRunDigests(config);
+  } catch (error) {
+    logger.error(`Error sending digests: ${error.message}`);
+  }
+  
+  logger.info(`Cost monitoring run ${runId} completed in ${run.durationSeconds.toFixed(2)} seconds. Run saved to ${runPath}`);
   
   // Print summary to console
   logger.info('Summary:');
   results.forEach(result => {
     if (result.error) {
-      logger.error(`- ${result.project}: ERROR - ${result.error}`);
+      logger.error(`- ${result.project}: ${result.status.toUpperCase()} after ${result.attempts} attempts - ${result.error}`);
     } else {
-      logger.info(`- ${result.project}: ${result.records} records, $${result.totalCost.toFixed(2)} estimated cost`);
+      logger.info(`- ${result.project}: ${result.records} records, $${result.totalCost.toFixed(2)} estimated cost (${result.attempts} attempts)`);
+      result.regions.forEach(region => {
+        logger.info(`    ${region.region}: $${region.totalCost.toFixed(2)} estimated cost`);
+      });
+      if (result.storage && !result.storage.error) {
+        logger.info(`    storage: $${result.storage.totalMonthlyCost.toFixed(2)} per month across ${result.storage.datasets} datasets`);
+      }
+      if (result.jobs && !result.jobs.error) {
+        logger.info(`    jobs: ${result.jobs.jobs} collected, ${result.jobs.inserted} new`);
+      }
+      if (result.anomalies && result.anomalies.length > 0) {
+        logger.warn(`    ${result.anomalies.length} cost anomalies detected`);
+      }
     }
   });
   
-  return results;
+  return { run, results };
 }
 
 // If this script is run directly (not imported)
 if (require.main === module) {
-  // Run the cost monitoring
-  runCostMonitoring().catch(error => {
-    logger.error('Error running cost monitoring:', error);
+  const yargs = require('yargs/yargs');
+  const { hideBin } = require('yargs/helpers');
+  
+  // Parse command line arguments
+  const argv = yargs(hideBin(process.argv))
+    .option('full-refresh', {
+      alias: 'f',
+      description: 'Ignore stored watermarks and re-scan the full history window',
+      type: 'boolean',
+      default: false
+    })
+    .option('test-notifications', {
+      description: 'Send a test message to the notification channels (or only the named one) and exit',
+      type: 'string'
+    })
+    .help()
+    .alias('help', 'h')
+    .argv;
+  
+  // Refuse to run on an invalid configuration rather than monitor nothing
+  try {
+    getConfig();
+  } catch (error) {
+    logger.error(error.message);
     process.exit(1);
-  });
+  }
+  
+  if (argv.testNotifications !== undefined) {
+    testNotifications(argv.testNotifications || undefined)
+      .then(deliveries => {
+        deliveries.forEach(delivery => {
+          logger.info(`- ${delivery.channel}: ${delivery.status}${delivery.error ? ` - ${delivery.error}` : ''}`);
+        });
+        process.exit(deliveries.every(delivery => delivery.status === 'sent') ? 0 : 1);
+      })
+      .catch(error => {
+        logger.error(`Error testing notifications: ${error.message}`);
+        process.exit(1);
+      });
+  } else {
+    // Run the cost monitoring
+    runCostMonitoring({ fullRefresh: argv.fullRefresh }).catch(error => {
+      logger.error('Error running cost monitoring:', error);
+      process.exit(1);
+    });
+  }
 }
 
 // Export functions for use in other modules
 module.exports = {
   monitorProject,
+  monitorProjectStorage,
+  monitorProjectJobs,
+  monitorOrganizationJobs,
+  detectProjectAnomalies,
+  evaluateRunBudgets,
+  notifyRun,
+  publishRunMetrics,
+  sendRunDigests,
+  testNotifications,
+  monitorProjects,
+  monitorOrganization,
+  monitorOrganizations,
+  resolveRunParams,
+  shareFreeTier,
   runCostMonitoring,
   logger
 };
@@ -0,0 +1,110 @@
+/**
+ * BigQuery Cost Monitor - Digest Script
+ *
+ * This script builds the daily or weekly cost digests of the configured
+ * subscriptions and sends them, regardless of whether they are due. Digests
+ * can be sent to a local SMTP sink or written to disk to try out templates.
+ */
+
+require('dotenv').config();
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { loadConfig } = require('../common/config-loader');
+const { queryRows } = require('../common/history-store');
+const { compileTeamMapping } = require('../common/teams');
+const { sendDigests, DIGEST_FREQUENCIES } = require('../common/digests');
+const { listMonitoredProjects } = require('../common/organizations');
+
+/**
+ * Parse a local SMTP sink address
+ * @param {string} sink - host:port, or just a port on localhost
+ * @returns {Object} - SMTP options without TLS or authentication
+ */
+function parseSink(sink) {
+  const [host, port] = /^\d+$/.test(sink) ? ['localhost', sink] : sink.split(':');
+  return { host, port: parseInt(port || '25', 10), ignoreTLS: true };
+}
+
+/**
+ * Send the digests selected on the command line
+ * @param {Object} argv - Parsed command line arguments
+ * @param {Object} [config] - Configuration, loaded when omitted
+ * @returns {Promise<Array>} - Deliveries
+ */
+async function digestCommand(argv, config = loadConfig()) {
+  console.log('BigQuery Cost Monitor - Digests');
+  console.log('===============================');
+
+  const deliveries = await sendDigests(config, {
+    frequency: argv.frequency,
+    subscription: argv.subscription,
+    date: argv.date,
+    smtp: argv.smtpSink ? parseSink(argv.smtpSink) : undefined,
+    outputDir: argv.output,
+    loadRows: (projectId, from, to) => queryRows(projectId, { from, to }),
+    mapping: compileTeamMapping(config.teams),
+    projectIds: listMonitoredProjects(config).map(project => project.id)
+  });
+
+  if (deliveries.length === 0) {
+    console.log('No digest subscriptions match.');
+  }
+
+  deliveries.forEach(delivery => {
+    const target = delivery.path || (delivery.recipients && delivery.recipients.join(', ')) || delivery.error;
+    console.log(`- ${delivery.subscription}: ${delivery.status} (${target})`);
+  });
+
+  return deliveries;
+}
+
+// If this script is run directly (not imported)
+if (require.main === module) {
+  // Parse command line arguments
+  const argv = yargs(hideBin(process.argv))
+    .option('frequency', {
+      alias: 'f',
+      description: 'Only send subscriptions of this frequency',
+      choices: DIGEST_FREQUENCIES
+    })
+    .option('subscription', {
+      alias: 's',
+      description: 'Only send this subscription',
+      type: 'string'
+    })
+    .option('date', {
+      alias: 'd',
+      description: 'Last day the digests cover (YYYY-MM-DD), yesterday by default',
+      type: 'string'
+    })
+    .option('smtp-sink', {
+      description: 'Send email to a local SMTP sink (host:port or port) instead of the configured server',
+      type: 'string'
+    })
+    .option('output', {
+      alias: 'o',
+      description: 'Write every digest as HTML to this directory instead of delivering it',
+      type: 'string'
+    })
+    .check(argv => {
+      if (argv.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(argv.date)) {
+        throw new Error('Date must be in YYYY-MM-DD format');
+      }
+      return true;
+    })
+    .strict()
+    .help()
+    .alias('help', 'h')
+    .argv;
+
+  digestCommand(argv)
+    .then(deliveries => process.exit(deliveries.every(delivery => delivery.status === 'sent') ? 0 : 1))
+    .catch(error => {
+      console.error(`Digest failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  digestCommand
+};
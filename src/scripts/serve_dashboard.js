@@ -7,13 +7,124 @@
 const express = require('express');
 const fs = require('fs-extra');
 const path = require('path');
+const moment = require('moment');
 
 // Import common modules
 const { logger } = require('../common/logger');
-const { loadConfig } = require('../common/config-loader');
+const {
+  loadConfig,
+  parseConfig,
+  parseConfigContent,
+  resolveConfigPath,
+  ConfigError,
+  CONFIG_SCHEMA
+} = require('../common/config-loader');
+const {
+  readConfigFile,
+  readConfigDocument,
+  updateConfig,
+  restoreRevision,
+  applyMergePatch,
+  getRevision,
+  listRevisions,
+  contentVersion,
+  ConfigConflictError
+} = require('../common/config-store');
+const { findAddedReferences } = require('../common/env-interpolation');
+const { queryRows, hasHistory, HistoryTruncatedError } = require('../common/history-store');
+const { getStorage } = require('../common/storage-history');
+const { queryJobs, getJob } = require('../common/job-store');
+const { parseJobQuery, filterJobs, sortJobs, summarizeJob, consoleUrl } = require('../common/jobs');
+const { listMonitoredProjects } = require('../common/organizations');
+const { parseCostQuery, filterCostRows, groupCostRows, diffCostRows } = require('../common/cost-aggregation');
+const { getRun, getLatestRun, listRunIds, listRuns } = require('../common/runs');
+const { detectAnomalies, resolveAnomalySettings, SCOPES } = require('../common/anomalies');
+const {
+  forecastMonth,
+  rollupForecasts,
+  forecastTeams,
+  forecastHistoryStart,
+  resolveForecastSettings,
+  validateForecastSettings
+} = require('../common/forecasting');
+const { evaluateBudgets } = require('../common/budgets');
+const { compileTeamMapping, enrichRows, splitRowsByTeam } = require('../common/teams');
+const { parseExportQuery, buildExportTable, csvHeader, csvLine, toSheets } = require('../common/exports');
+const { buildWorkbook } = require('../common/xlsx');
+const {
+  buildCostMetrics,
+  buildHealthMetrics,
+  renderMetrics,
+  resolvePrometheusSettings,
+  MAX_RUNS_SCANNED,
+  OPENMETRICS_CONTENT_TYPE,
+  PROMETHEUS_CONTENT_TYPE
+} = require('../common/prometheus');
+const {
+  authenticate,
+  compileRoles,
+  resolveAccess,
+  canViewProject,
+  canViewWholeProject,
+  canViewTeam,
+  canManageConfig,
+  filterRowsByAccess,
+  sensitiveHeaders,
+  redactHeaders,
+  AuthError
+} = require('../common/auth');
 
-// Load configuration
-const config = loadConfig();
+// How often the configuration file is checked for changes
+const CONFIG_WATCH_INTERVAL_MS = 2000;
+
+// Configuration and the state derived from it, replaced as a whole when the file changes
+let config;
+let configEtag = null;
+// Rows are assigned to teams as they are served, so mapping changes apply to the whole history
+let teamMapping;
+let authRoles;
+let redactedHeaders;
+
+/**
+ * Start serving a configuration
+ * @param {Object} next - Validated configuration
+ * @param {string|null} etag - Version of the file it was loaded from
+ */
+function applyConfig(next, etag) {
+  config = next;
+  configEtag = etag;
+  teamMapping = compileTeamMapping(config.teams);
+  authRoles = compileRoles(config.auth.roles);
+  redactedHeaders = sensitiveHeaders(config.auth);
+}
+
+/**
+ * Reload the configuration file after it changed on disk
+ *
+ * An invalid or removed file is logged and the loaded configuration is kept,
+ * so a half-finished edit doesn't take the dashboard down.
+ */
+function reloadConfig() {
+  const configPath = resolveConfigPath().path;
+
+  try {
+    if (!fs.existsSync(configPath)) {
+      logger.warn(`Configuration file ${configPath} was removed, keeping the loaded configuration`);
+      return;
+    }
+
+    const content = fs.readFileSync(configPath, 'utf8');
+    const etag = contentVersion(content);
+    if (etag === configEtag) {
+      return;
+    }
+
+    applyConfig(parseConfig(content, configPath), etag);
+    logger.info(`Reloaded configuration from ${configPath}`);
+  } catch (error) {
+    logger.error(`Keeping the loaded configuration: ${error.message}`);
+  }
+}
 
 // Create Express app
 const app = express();
@@ -29,14 +140,208 @@ app.use('/common', express.static(path.join(__dirname, '../common')));
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.url}`);
   logger.info(`Full URL: ${req.protocol}://${req.get('host')}${req.originalUrl}`);
-  logger.info(`Headers: ${JSON.stringify(req.headers)}`);
+  logger.info(`Headers: ${JSON.stringify(redactHeaders(req.headers, redactedHeaders))}`);
+  next();
+});
+
+// Authenticate API and metrics requests and resolve the projects and teams the caller can see;
+// req.access stays null when auth is disabled, which the access checks treat as unrestricted
+app.use(['/api', '/metrics'], (req, res, next) => {
+  req.access = null;
+  if (!config.auth.enabled) {
+    return next();
+  }
+
+  authenticate(config.auth, req)
+    .then(identity => {
+      req.identity = identity;
+      req.access = resolveAccess(identity, authRoles, listMonitoredProjects(config).map(project => project.id));
+      next();
+    })
+    .catch(error => {
+      if (!(error instanceof AuthError)) {
+        return next(error);
+      }
+
+      logger.warn(`Rejected ${req.method} ${req.originalUrl}: ${error.message}`);
+      if (error.status === 401) {
+        res.set('WWW-Authenticate', 'Bearer');
+      }
+      res.status(error.status).json({ error: error.message });
+    });
+});
+
+// Every endpoint of a project needs access to at least part of it
+app.param('projectId', (req, res, next, projectId) => {
+  if (!canViewProject(req.access, projectId)) {
+    return res.status(403).json({ error: `Access to project ${projectId} is not allowed` });
+  }
+  next();
+});
+
+/**
+ * Only let callers that can see all of the project through
+ *
+ * Team-restricted access only narrows cost rows, so endpoints that report on
+ * the whole project need unrestricted access to it.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireWholeProject(req, res, next) {
+  if (!canViewWholeProject(req.access, req.params.projectId)) {
+    return res.status(403).json({ error: `Access to all of project ${req.params.projectId} is needed` });
+  }
+  next();
+}
+
+/**
+ * Check whether the caller can see a budget status
+ * @param {Object|null} access - Access of the caller
+ * @param {Object} budget - Budget status
+ * @returns {boolean} - Whether the budget is visible
+ */
+function canViewBudget(access, budget) {
+  if (budget.scope === 'team') {
+    return canViewTeam(access, budget.target);
+  }
+  if (budget.project) {
+    return canViewWholeProject(access, budget.project);
+  }
+  // Budgets without a project cover all of them
+  return listMonitoredProjects(config).every(project => canViewWholeProject(access, project.id));
+}
+
+/**
+ * Check whether the caller can see a team or cost center group of a project
+ *
+ * Rows split between teams still hold the shares of teams the caller can't
+ * see, so those groups are left out.
+ *
+ * @param {Object|null} access - Access of the caller
+ * @param {string} projectId - The project ID
+ * @param {string} groupBy - Dimension the group is of
+ * @param {Object} group - Cost group
+ * @returns {boolean} - Whether the group is visible
+ */
+function canViewGroup(access, projectId, groupBy, group) {
+  const teams = access && access.projects[projectId];
+  if (!teams || (groupBy !== 'team' && groupBy !== 'costCenter')) {
+    return true;
+  }
+  if (groupBy === 'team') {
+    return teams.includes(group.team);
+  }
+  return teams.some(team => ((config.teams.find(entry => entry.name === team) || {}).costCenter || null) === group.cost_center);
+}
+
+/**
+ * Narrow a run record to the projects and budgets the caller can see
+ * @param {Object} run - Run record
+ * @param {Object|null} access - Access of the caller
+ * @returns {Object} - Visible part of the run
+ */
+function visibleRun(run, access) {
+  return {
+    ...run,
+    projects: run.projects.filter(result => canViewWholeProject(access, result.project)),
+    budgets: (run.budgets || []).filter(budget => canViewBudget(access, budget))
+  };
+}
+
+/**
+ * Answer a request that failed to read the history
+ * @param {Object} res - Express response
+ * @param {Error} error - What went wrong
+ * @param {string} message - Error message for anything but history that is no longer kept
+ */
+function sendHistoryError(res, error, message) {
+  if (error instanceof HistoryTruncatedError) {
+    return res.status(410).json({ error: error.message });
+  }
+  res.status(500).json({ error: message });
+}
+
+// Any API endpoint can be requested as of an earlier run with ?asOf=<runId>
+app.use('/api', (req, res, next) => {
+  if (!req.query.asOf) {
+    req.asOfRun = null;
+    return next();
+  }
+
+  const run = getRun(req.query.asOf);
+  if (!run) {
+    return res.status(404).json({ error: `Run not found: ${req.query.asOf}` });
+  }
+
+  req.asOfRun = run;
   next();
 });
 
+/**
+ * Parse the forecast query parameters
+ * @param {Object} req - Express request
+ * @returns {Object} - {date, confidence, errors}
+ */
+function parseForecastQuery(req) {
+  const errors = [];
+  // Forecasts as of a run are made from the day the run started
+  let date = req.asOfRun ? moment.utc(req.asOfRun.startedAt).format('YYYY-MM-DD') : undefined;
+
+  if (req.query.date !== undefined) {
+    if (!moment(req.query.date, 'YYYY-MM-DD', true).isValid()) {
+      errors.push('date must be a date in YYYY-MM-DD format');
+    } else {
+      date = req.query.date;
+    }
+  }
+
+  const confidence = req.query.confidence !== undefined ? parseFloat(req.query.confidence) : undefined;
+  if (confidence !== undefined) {
+    errors.push(...validateForecastSettings({ confidence }, 'query'));
+  }
+
+  return { date, confidence, errors };
+}
+
+/**
+ * Forecast the month-end cost of a project from its history
+ * @param {Object} project - Project configuration
+ * @param {Object} options - {date, confidence} from parseForecastQuery
+ * @param {string} [asOf] - Run ID to read the history as of
+ * @returns {Object} - Forecast with the project ID
+ */
+function forecastProject(project, options, asOf) {
+  const settings = resolveForecastSettings(project, config.settings);
+  if (options.confidence !== undefined) {
+    settings.confidence = options.confidence;
+  }
+
+  const date = options.date || moment.utc().format('YYYY-MM-DD');
+  const rows = queryRows(project.id, { from: forecastHistoryStart(date, settings), asOf });
+
+  return { project: project.id, ...forecastMonth(rows, { ...settings, date }) };
+}
+
 // API endpoint to get the list of projects
 app.get('/api/projects', (req, res) => {
   try {
-    res.json(config.projects);
+    // The configured projects and the ones found in organizations and folders so far
+    const projects = listMonitoredProjects(config);
+
+    if (req.asOfRun) {
+      // Only the projects monitored in that run, as configured now where possible; an
+      // organization or folder that failed as a whole has a result of its own, but no project
+      return res.json(req.asOfRun.projects
+        .filter(result => result.project !== result.source && canViewProject(req.access, result.project))
+        .map(result =>
+          projects.find(project => project.id === result.project) ||
+          { id: result.project, name: result.projectName }
+        ));
+    }
+
+    res.json(projects.filter(project => canViewProject(req.access, project.id)));
   } catch (error) {
     logger.error('Error loading projects:', error);
     res.status(500).json({ error: 'Failed to load projects' });
@@ -44,70 +349,898 @@ app.get('/api/projects', (req, res) => {
 });
 
 // API endpoint to get the cost data for a specific project
+// Supports from/to, user, serviceAccount, dataset and table filters, and
+// groupBy (date, user, dataset, table or hour) for pre-aggregated series
 app.get('/api/costs/:projectId', (req, res) => {
   try {
     const projectId = req.params.projectId;
-    const outputDir = path.join(__dirname, '../../output');
 
-    // Find the most recent cost file for this project
-    const files = fs.readdirSync(outputDir)
-      .filter(file => file.startsWith(`${projectId}_costs_`))
-      .sort()
-      .reverse();
+    // A misspelt parameter would otherwise quietly return everything
+    const { filters, groupBy, labelKey, errors } = parseCostQuery(req.query, { otherParams: ['asOf'] });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
 
-    if (files.length === 0) {
+    if (!hasHistory(projectId)) {
       logger.warn(`No cost data found for project ${projectId}`);
       return res.status(404).json({ error: 'No cost data found for this project' });
     }
 
-    const latestFile = files[0];
-    const filePath = path.join(outputDir, latestFile);
-    const costData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    // The store only reads the partitions covering the date range
+    const asOf = req.asOfRun ? req.asOfRun.runId : undefined;
+    const rows = filterCostRows(
+      filterRowsByAccess(enrichRows(queryRows(projectId, { from: filters.from, to: filters.to, asOf }), teamMapping), req.access, projectId),
+      filters
+    );
+    const costData = groupBy
+      ? groupCostRows(rows, groupBy, filters, labelKey).filter(group => canViewGroup(req.access, projectId, groupBy, group))
+      : rows;
 
-    logger.info(`Serving cost data for project ${projectId} from ${latestFile}`);
+    logger.info(`Serving ${costData.length} cost records for project ${projectId}${groupBy ? ` grouped by ${groupBy}${labelKey ? ` and label ${labelKey}` : ''}` : ''}`);
     res.json(costData);
   } catch (error) {
     logger.error(`Error loading cost data for project ${req.params.projectId}:`, error);
-    res.status(500).json({ error: 'Failed to load cost data' });
+    sendHistoryError(res, error, 'Failed to load cost data');
   }
 });
 
-// API endpoint to get the summary data
-app.get('/api/summary', (req, res) => {
+// API endpoint to download the tables of a project as CSV, XLSX or JSON
+// Accepts format (csv, xlsx or json), view (a table, several for xlsx, or all
+// by default for xlsx), labelKey and the /api/costs filters
+app.get('/api/export/:projectId', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+
+    const { filters, labelKey, errors } = parseCostQuery({ ...req.query, groupBy: undefined });
+    const { format, views, errors: exportErrors } = parseExportQuery(req.query);
+    errors.push(...exportErrors);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    if (!hasHistory(projectId)) {
+      return res.status(404).json({ error: 'No cost data found for this project' });
+    }
+
+    const asOf = req.asOfRun ? req.asOfRun.runId : undefined;
+    const rows = filterCostRows(
+      filterRowsByAccess(enrichRows(queryRows(projectId, { from: filters.from, to: filters.to, asOf }), teamMapping), req.access, projectId),
+      filters
+    );
+    const tables = views.map(view => buildExportTable(view, rows, filters, labelKey));
+
+    const period = [filters.from, filters.to].filter(Boolean).join('_to_');
+    const fileName = [projectId, views.length === 1 ? views[0] : 'costs', period].filter(Boolean).join('_');
+    res.attachment(`${fileName}.${format}`);
+
+    logger.info(`Exporting ${views.join(', ')} of project ${projectId} as ${format}`);
+
+    if (format === 'xlsx') {
+      return res.send(await buildWorkbook(toSheets(tables)));
+    }
+
+    // CSV and JSON are written record by record
+    const [table] = tables;
+    if (format === 'csv') {
+      res.type('text/csv');
+      res.write(csvHeader(table.columns));
+      table.records.forEach(record => res.write(csvLine(record, table.columns)));
+    } else {
+      res.type('application/json');
+      res.write('[');
+      table.records.forEach((record, index) => res.write(`${index > 0 ? ',' : ''}\n${JSON.stringify(record)}`));
+      res.write('\n]\n');
+    }
+    res.end();
+  } catch (error) {
+    logger.error(`Error exporting cost data for project ${req.params.projectId}:`, error);
+    sendHistoryError(res, error, 'Failed to export cost data');
+  }
+});
+
+// API endpoint to roll up the cost of every project by team or cost center
+// Accepts groupBy (team, the default, or costCenter) and the /api/costs filters
+app.get('/api/teams', (req, res) => {
+  try {
+    const { filters, groupBy, errors } = parseCostQuery({ ...req.query, groupBy: req.query.groupBy || 'team' });
+    if (groupBy !== 'team' && groupBy !== 'costCenter') {
+      errors.push('groupBy must be team or costCenter');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    const asOf = req.asOfRun ? req.asOfRun.runId : undefined;
+    const keyField = groupBy === 'team' ? 'team' : 'cost_center';
+    const rollup = {};
+
+    listMonitoredProjects(config)
+      .filter(project => canViewProject(req.access, project.id) && hasHistory(project.id))
+      .forEach(project => {
+        const rows = filterCostRows(
+          filterRowsByAccess(enrichRows(queryRows(project.id, { from: filters.from, to: filters.to, asOf }), teamMapping), req.access, project.id),
+          filters
+        );
+
+        groupCostRows(rows, groupBy, filters).filter(group => canViewGroup(req.access, project.id, groupBy, group)).forEach(group => {
+          const key = group[keyField];
+          if (!rollup[key]) {
+            rollup[key] = { ...group, query_count: 0, total_bytes_processed: 0, total_bytes_billed: 0, estimated_cost_usd: 0, projects: [] };
+          }
+
+          ['query_count', 'total_bytes_processed', 'total_bytes_billed', 'estimated_cost_usd'].forEach(field => {
+            rollup[key][field] += group[field] || 0;
+          });
+          rollup[key].projects.push({ project: project.id, estimated_cost_usd: group.estimated_cost_usd });
+        });
+      });
+
+    const teams = Object.values(rollup)
+      .map(group => ({ ...group, estimated_cost_usd: Math.round(group.estimated_cost_usd * 100) / 100 }))
+      .sort((a, b) => b.estimated_cost_usd - a.estimated_cost_usd);
+
+    logger.info(`Serving ${teams.length} ${groupBy === 'team' ? 'team' : 'cost center'} rollups`);
+    res.json(teams);
+  } catch (error) {
+    logger.error('Error rolling up team costs:', error);
+    sendHistoryError(res, error, 'Failed to roll up team costs');
+  }
+});
+
+// API endpoint to get the storage data for a specific project
+app.get('/api/storage/:projectId', requireWholeProject, (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+
+    // The most recent storage, or the one collected by the requested run or before it
+    const storageData = getStorage(projectId, { asOf: req.asOfRun ? req.asOfRun.runId : undefined });
+
+    if (!storageData) {
+      logger.warn(`No storage data found for project ${projectId}`);
+      return res.status(404).json({ error: 'No storage data found for this project' });
+    }
+
+    logger.info(`Serving storage data for project ${projectId} collected on ${storageData.date}`);
+    res.json(storageData);
+  } catch (error) {
+    logger.error(`Error loading storage data for project ${req.params.projectId}:`, error);
+    sendHistoryError(res, error, 'Failed to load storage data');
+  }
+});
+
+// API endpoint to search the jobs collected with collectJobs, across the projects the caller
+// can see in full. Accepts project, from/to, principal, dataset, table, statementType, error
+// (true or false), minCost/maxCost, q (searched for in the query text), sort, limit and offset
+app.get('/api/jobs', (req, res) => {
+  try {
+    const { filters, sort, limit, offset, errors } = parseJobQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    // Jobs hold the complete query text, so they aren't narrowed to teams like cost rows
+    if (filters.project && !canViewWholeProject(req.access, filters.project)) {
+      return res.status(403).json({ error: `Access to all of project ${filters.project} is needed` });
+    }
+
+    const projectIds = filters.project
+      ? [filters.project]
+      : listMonitoredProjects(config).map(project => project.id).filter(projectId => canViewWholeProject(req.access, projectId));
+
+    // Jobs never change once collected, so as of a run they are the ones created before it
+    const createdBefore = req.asOfRun ? moment.utc(req.asOfRun.startedAt) : null;
+
+    const jobs = sortJobs(projectIds.reduce((all, projectId) => all.concat(
+      filterJobs(queryJobs(projectId, { from: filters.from, to: filters.to }), filters)
+        .filter(job => !createdBefore || moment.utc(job.creation_time).isBefore(createdBefore))
+    ), []), sort);
+
+    logger.info(`Serving ${Math.min(limit, Math.max(jobs.length - offset, 0))} of ${jobs.length} matching jobs`);
+    res.json({
+      total: jobs.length,
+      offset,
+      limit,
+      jobs: jobs.slice(offset, offset + limit).map(summarizeJob)
+    });
+  } catch (error) {
+    logger.error('Error searching jobs:', error);
+    res.status(500).json({ error: 'Failed to search jobs' });
+  }
+});
+
+// API endpoint to get a collected job with its complete query text
+app.get('/api/jobs/:projectId/:jobId', requireWholeProject, (req, res) => {
   try {
-    const outputDir = path.join(__dirname, '../../output');
+    const job = getJob(req.params.projectId, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: `Job not found: ${req.params.jobId}` });
+    }
 
-    // Find the most recent summary file
-    const files = fs.readdirSync(outputDir)
-      .filter(file => file.startsWith('summary_'))
-      .sort()
-      .reverse();
+    res.json({ ...job, console_url: consoleUrl(job) });
+  } catch (error) {
+    logger.error(`Error loading job ${req.params.jobId} of project ${req.params.projectId}:`, error);
+    res.status(500).json({ error: 'Failed to load job' });
+  }
+});
+
+// API endpoint to get the summary data of the latest run
+app.get('/api/summary', (req, res) => {
+  try {
+    const run = req.asOfRun || getLatestRun();
 
-    if (files.length === 0) {
+    if (!run) {
       logger.warn('No summary data found');
       return res.status(404).json({ error: 'No summary data found' });
     }
 
-    const latestFile = files[0];
-    const filePath = path.join(outputDir, latestFile);
-    const summaryData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-
-    logger.info(`Serving summary data from ${latestFile}`);
-    res.json(summaryData);
+    logger.info(`Serving summary data from run ${run.runId}`);
+    res.json(visibleRun(run, req.access).projects);
   } catch (error) {
     logger.error('Error loading summary data:', error);
     res.status(500).json({ error: 'Failed to load summary data' });
   }
 });
 
+// API endpoint to get the anomalies found by the latest run across all projects
+app.get('/api/anomalies', (req, res) => {
+  try {
+    const run = req.asOfRun || getLatestRun();
+
+    if (!run) {
+      return res.status(404).json({ error: 'No runs found' });
+    }
+
+    const anomalies = visibleRun(run, req.access).projects.reduce((all, result) =>
+      all.concat((result.anomalies || []).map(anomaly => ({ project: result.project, ...anomaly }))), []);
+
+    res.json(anomalies);
+  } catch (error) {
+    logger.error('Error loading anomalies:', error);
+    res.status(500).json({ error: 'Failed to load anomalies' });
+  }
+});
+
+// API endpoint to detect anomalies in a project's history
+// Accepts sensitivity, days (number of recent days to evaluate) and scope
+app.get('/api/anomalies/:projectId', requireWholeProject, (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const project = listMonitoredProjects(config).find(p => p.id === projectId) || { id: projectId };
+    const settings = resolveAnomalySettings(project, config.settings);
+
+    if (req.query.sensitivity !== undefined) {
+      settings.sensitivity = parseFloat(req.query.sensitivity);
+      if (isNaN(settings.sensitivity) || settings.sensitivity <= 0) {
+        return res.status(400).json({ error: 'sensitivity must be a positive number' });
+      }
+    }
+
+    if (req.query.days !== undefined) {
+      settings.evaluationDays = parseInt(req.query.days, 10);
+      if (isNaN(settings.evaluationDays) || settings.evaluationDays <= 0) {
+        return res.status(400).json({ error: 'days must be a positive integer' });
+      }
+    }
+
+    if (req.query.scope !== undefined && !SCOPES.includes(req.query.scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${SCOPES.join(', ')}` });
+    }
+
+    if (!hasHistory(projectId)) {
+      return res.status(404).json({ error: 'No cost data found for this project' });
+    }
+
+    const asOf = req.asOfRun ? req.asOfRun.runId : undefined;
+    const rows = queryRows(projectId, { asOf });
+    const anomalies = detectAnomalies(rows, { ...settings, enabled: true, projectId })
+      .filter(anomaly => !req.query.scope || anomaly.scope === req.query.scope);
+
+    logger.info(`Serving ${anomalies.length} anomalies for project ${projectId}`);
+    res.json(anomalies);
+  } catch (error) {
+    logger.error(`Error detecting anomalies for project ${req.params.projectId}:`, error);
+    sendHistoryError(res, error, 'Failed to detect anomalies');
+  }
+});
+
+// API endpoint to forecast the month-end cost of all projects combined
+app.get('/api/forecast', (req, res) => {
+  try {
+    const options = parseForecastQuery(req);
+    if (options.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid forecast parameters', details: options.errors });
+    }
+
+    const asOf = req.asOfRun ? req.asOfRun.runId : undefined;
+    const forecasts = listMonitoredProjects(config)
+      .filter(project => canViewWholeProject(req.access, project.id) && hasHistory(project.id))
+      .map(project => forecastProject(project, options, asOf));
+
+    if (forecasts.length === 0) {
+      return res.status(404).json({ error: 'No cost data found' });
+    }
+
+    res.json(rollupForecasts(forecasts));
+  } catch (error) {
+    logger.error('Error forecasting costs:', error);
+    sendHistoryError(res, error, 'Failed to forecast costs');
+  }
+});
+
+// API endpoint to forecast the month-end cost of each team across the projects the caller can see
+// Accepts project (only that project's share of each team), date and confidence. Teams span
+// projects, so they are forecast with the global forecast settings. Registered before
+// /api/forecast/:projectId; "teams" is too short to be a project ID.
+app.get('/api/forecast/teams', (req, res) => {
+  try {
+    const options = parseForecastQuery(req);
+    if (options.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid forecast parameters', details: options.errors });
+    }
+
+    if (req.query.project !== undefined && !canViewProject(req.access, req.query.project)) {
+      return res.status(403).json({ error: `Access to project ${req.query.project} is not allowed` });
+    }
+
+    const settings = resolveForecastSettings({}, config.settings);
+    if (options.confidence !== undefined) {
+      settings.confidence = options.confidence;
+    }
+    const date = options.date || moment.utc().format('YYYY-MM-DD');
+    const asOf = req.asOfRun ? req.asOfRun.runId : undefined;
+
+    const projects = listMonitoredProjects(config).filter(project =>
+      (!req.query.project || project.id === req.query.project) && canViewProject(req.access, project.id) && hasHistory(project.id));
+
+    if (projects.length === 0) {
+      return res.status(404).json({ error: 'No cost data found' });
+    }
+
+    // Only the shares of the teams the caller can see in each project
+    const rows = projects.reduce((all, project) => all.concat(
+      enrichRows(queryRows(project.id, { from: forecastHistoryStart(date, settings), asOf }), teamMapping).map(row => ({
+        ...row,
+        team_costs: row.team_costs.filter(entry => canViewGroup(req.access, project.id, 'team', entry))
+      }))
+    ), []);
+
+    const forecasts = forecastTeams(splitRowsByTeam(rows), { ...settings, date });
+
+    logger.info(`Serving month-end forecasts of ${forecasts.length} teams`);
+    res.json(forecasts);
+  } catch (error) {
+    logger.error('Error forecasting team costs:', error);
+    sendHistoryError(res, error, 'Failed to forecast team costs');
+  }
+});
+
+// API endpoint to forecast the month-end cost of a project
+// Accepts date (forecast as if it were that day) and confidence (0.8, 0.9, 0.95 or 0.99)
+app.get('/api/forecast/:projectId', requireWholeProject, (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const project = listMonitoredProjects(config).find(p => p.id === projectId) || { id: projectId };
+
+    const options = parseForecastQuery(req);
+    if (options.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid forecast parameters', details: options.errors });
+    }
+
+    if (!hasHistory(projectId)) {
+      return res.status(404).json({ error: 'No cost data found for this project' });
+    }
+
+    res.json(forecastProject(project, options, req.asOfRun ? req.asOfRun.runId : undefined));
+  } catch (error) {
+    logger.error(`Error forecasting costs for project ${req.params.projectId}:`, error);
+    sendHistoryError(res, error, 'Failed to forecast costs');
+  }
+});
+
+// API endpoint to get the status of the budgets
+// Returns the status saved by the latest (or asOf) run; live=true re-evaluates
+// the configured budgets now. project limits it to the budgets that apply to a project.
+app.get('/api/budgets', (req, res) => {
+  try {
+    let budgets;
+
+    if (req.query.live === 'true' && !req.asOfRun) {
+      budgets = evaluateBudgets(config.budgets || [], (projectId, from) => enrichRows(queryRows(projectId, { from }), teamMapping), {
+        projectIds: listMonitoredProjects(config).map(project => project.id)
+      });
+    } else {
+      const run = req.asOfRun || getLatestRun();
+      budgets = run ? (run.budgets || []) : [];
+    }
+
+    budgets = budgets.filter(budget => canViewBudget(req.access, budget));
+    if (req.query.project) {
+      budgets = budgets.filter(budget => !budget.project || budget.project === req.query.project);
+    }
+
+    res.json(budgets);
+  } catch (error) {
+    logger.error('Error loading budgets:', error);
+    res.status(500).json({ error: 'Failed to load budgets' });
+  }
+});
+
+// API endpoint to list collection runs, newest first
+app.get('/api/runs', (req, res) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+    if (isNaN(limit) || limit <= 0) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    if (req.query.projectId && !canViewWholeProject(req.access, req.query.projectId)) {
+      return res.status(403).json({ error: `Access to all of project ${req.query.projectId} is needed` });
+    }
+
+    res.json(listRuns({ limit, projectId: req.query.projectId }).map(run => visibleRun(run, req.access)));
+  } catch (error) {
+    logger.error('Error listing runs:', error);
+    res.status(500).json({ error: 'Failed to list runs' });
+  }
+});
+
+// API endpoint to compare a project's costs between two runs
+// ?base=<runId>&compare=<runId>, defaulting to the two latest runs of the
+// project, plus the same filters as /api/costs
+app.get('/api/runs/diff/:projectId', requireWholeProject, (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+
+    const { filters, errors } = parseCostQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    const projectRuns = listRunIds().filter(runId => {
+      const run = getRun(runId);
+      return run && run.projects.some(project => project.project === projectId);
+    });
+
+    const compareId = req.query.compare || projectRuns[0];
+    const baseId = req.query.base || projectRuns.find(runId => runId < compareId);
+
+    if (!compareId || !baseId) {
+      return res.status(404).json({ error: 'Two runs are needed to compare this project' });
+    }
+
+    const base = getRun(baseId);
+    const compare = getRun(compareId);
+    if (!base || !compare) {
+      return res.status(404).json({ error: `Run not found: ${!base ? baseId : compareId}` });
+    }
+
+    const rowsAsOf = runId => filterCostRows(queryRows(projectId, { from: filters.from, to: filters.to, asOf: runId }), filters);
+    const diff = diffCostRows(rowsAsOf(base.runId), rowsAsOf(compare.runId), filters);
+
+    logger.info(`Serving cost diff for project ${projectId} between runs ${base.runId} and ${compare.runId}`);
+    res.json({
+      project: projectId,
+      base: { runId: base.runId, startedAt: base.startedAt },
+      compare: { runId: compare.runId, startedAt: compare.startedAt },
+      ...diff
+    });
+  } catch (error) {
+    logger.error(`Error comparing runs for project ${req.params.projectId}:`, error);
+    sendHistoryError(res, error, 'Failed to compare runs');
+  }
+});
+
+// API endpoint to get a single run with its full per-project results
+app.get('/api/runs/:runId', (req, res) => {
+  try {
+    const run = getRun(req.params.runId);
+
+    if (!run) {
+      return res.status(404).json({ error: `Run not found: ${req.params.runId}` });
+    }
+
+    res.json(visibleRun(run, req.access));
+  } catch (error) {
+    logger.error(`Error loading run ${req.params.runId}:`, error);
+    res.status(500).json({ error: 'Failed to load run' });
+  }
+});
+
+// Configuration API; every endpoint needs a role that can manage the configuration
+app.use('/api/config', (req, res, next) => {
+  if (!canManageConfig(req.access, req, config.settings.localConfigApi === true)) {
+    return res.status(403).json({
+      error: config.auth.enabled
+        ? 'Managing the configuration is not allowed'
+        : 'Managing the configuration needs auth, or settings.localConfigApi for requests from this host'
+    });
+  }
+  next();
+}, express.json());
+
+/**
+ * Get the configuration version a change was made against
+ * @param {Object} req - Express request
+ * @returns {string|undefined} - Version from the If-Match header, if any
+ */
+function requestedVersion(req) {
+  return (req.get('If-Match') || '').replace(/^(W\/)?"|"$/g, '') || undefined;
+}
+
+/**
+ * Apply a change made through the configuration API and start serving the result
+ * @param {Object} req - Express request, whose If-Match header guards against lost updates
+ * @param {Object} res - Express response
+ * @param {Object} change - Change {action, summary, apply}; apply receives and returns the file's document
+ * @returns {Object|null} - Result of updateConfig, or null when an error response was sent
+ */
+function changeConfig(req, res, { action, summary, apply }) {
+  try {
+    const result = updateConfig(apply, {
+      author: req.identity ? req.identity.principal : 'local',
+      action,
+      summary,
+      ifMatch: requestedVersion(req)
+    });
+
+    applyConfig(result.config, result.etag);
+    res.set('ETag', `"${result.etag}"`);
+    return result;
+  } catch (error) {
+    sendConfigError(res, error);
+    return null;
+  }
+}
+
+/**
+ * Send the response for a failed configuration change
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ */
+function sendConfigError(res, error) {
+  if (error instanceof ConfigError) {
+    return res.status(400).json({ error: 'Invalid configuration', errors: error.errors.length > 0 ? error.errors : [error.message] });
+  }
+  if (error instanceof ConfigConflictError) {
+    res.set('ETag', `"${error.etag}"`);
+    return res.status(412).json({ error: error.message });
+  }
+
+  logger.error('Error changing configuration:', error);
+  res.status(500).json({ error: 'Failed to change configuration' });
+}
+
+/**
+ * Reject values that add ${NAME} references, which would expose environment variables
+ * @param {Object} res - Express response
+ * @param {*} value - Submitted value
+ * @param {*} previous - Value it replaces
+ * @param {string} label - Path of the value in the configuration
+ * @returns {boolean} - Whether the value was rejected
+ */
+function rejectAddedReferences(res, value, previous, label) {
+  const paths = findAddedReferences(value, previous, label);
+  if (paths.length === 0) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: 'Environment variable references can only be added by editing the configuration file',
+    errors: paths.map(valuePath => `${valuePath} references an environment variable`)
+  });
+  return true;
+}
+
+/**
+ * Check that a request body is a JSON object
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {boolean} - Whether the body is an object; a 400 response is sent otherwise
+ */
+function requireObjectBody(req, res) {
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    res.status(400).json({ error: 'Request body must be a JSON object' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Read the configuration file for the configuration API
+ * @param {Object} res - Express response
+ * @returns {Object|null} - Document from readConfigDocument, or null when an error response was sent
+ */
+function readConfigForApi(res) {
+  try {
+    const current = readConfigDocument();
+    res.set('ETag', `"${current.etag}"`);
+    return current;
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      // Broken by an edit to the file; restoring a revision fixes it
+      res.status(500).json({ error: 'The configuration file can\'t be parsed', errors: [error.message] });
+    } else {
+      sendConfigError(res, error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Find a project in a configuration document
+ * @param {Object} document - Configuration document
+ * @param {string} projectId - The project ID
+ * @returns {number} - Index of the project, or -1
+ */
+function findProjectIndex(document, projectId) {
+  return (document.projects || []).findIndex(project => project.id === projectId);
+}
+
+// The file as written, before ${NAME} references are interpolated
+app.get('/api/config', (req, res) => {
+  const current = readConfigForApi(res);
+  if (!current) return;
+
+  res.json({
+    path: current.path,
+    exists: current.exists,
+    etag: current.etag,
+    // Whether the server runs the configuration in the file, or kept an older one because the file is invalid
+    loaded: !current.exists || current.etag === configEtag,
+    projects: current.document.projects || [],
+    settings: current.document.settings || {}
+  });
+});
+
+app.get('/api/config/schema', (req, res) => {
+  res.json(CONFIG_SCHEMA);
+});
+
+app.get('/api/config/projects', (req, res) => {
+  const current = readConfigForApi(res);
+  if (!current) return;
+
+  res.json(current.document.projects || []);
+});
+
+app.get('/api/config/projects/:id', (req, res) => {
+  const current = readConfigForApi(res);
+  if (!current) return;
+
+  const index = findProjectIndex(current.document, req.params.id);
+  if (index === -1) {
+    return res.status(404).json({ error: `Project not found: ${req.params.id}` });
+  }
+  res.json(current.document.projects[index]);
+});
+
+app.post('/api/config/projects', (req, res) => {
+  if (!requireObjectBody(req, res) || rejectAddedReferences(res, req.body, undefined, 'project')) return;
+
+  const current = readConfigForApi(res);
+  if (!current) return;
+
+  if (findProjectIndex(current.document, req.body.id) !== -1) {
+    return res.status(409).json({ error: `Project already exists: ${req.body.id}` });
+  }
+
+  const result = changeConfig(req, res, {
+    action: 'project.create',
+    summary: `Added project ${req.body.id}`,
+    apply: document => ({ ...document, projects: [...(document.projects || []), req.body] })
+  });
+
+  if (result) {
+    res.status(201).json({ project: req.body, revision: result.revision });
+  }
+});
+
+/**
+ * Replace or patch a configured project
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {boolean} patch - Whether the body is a JSON merge patch rather than the whole project
+ */
+function changeProject(req, res, patch) {
+  if (!requireObjectBody(req, res)) return;
+
+  const current = readConfigForApi(res);
+  if (!current) return;
+
+  const projectId = req.params.id;
+  const index = findProjectIndex(current.document, projectId);
+  if (index === -1) {
+    return res.status(404).json({ error: `Project not found: ${projectId}` });
+  }
+
+  const previous = current.document.projects[index];
+  const project = patch ? applyMergePatch(previous, req.body) : { id: projectId, ...req.body };
+  if (project.id !== projectId) {
+    return res.status(400).json({ error: 'A project ID can\'t be changed; add a new project instead' });
+  }
+  if (rejectAddedReferences(res, project, previous, `projects[${index}]`)) return;
+
+  const result = changeConfig(req, res, {
+    action: 'project.update',
+    summary: `Updated project ${projectId}`,
+    apply: document => ({
+      ...document,
+      projects: document.projects.map(entry => (entry.id === projectId ? project : entry))
+    })
+  });
+
+  if (result) {
+    res.json({ project, revision: result.revision });
+  }
+}
+
+app.put('/api/config/projects/:id', (req, res) => changeProject(req, res, false));
+
+// e.g. {"disabled": true} to stop collecting a project, or {"historyDays": null} to drop an override
+app.patch('/api/config/projects/:id', (req, res) => changeProject(req, res, true));
+
+app.delete('/api/config/projects/:id', (req, res) => {
+  const current = readConfigForApi(res);
+  if (!current) return;
+
+  const projectId = req.params.id;
+  if (findProjectIndex(current.document, projectId) === -1) {
+    return res.status(404).json({ error: `Project not found: ${projectId}` });
+  }
+
+  // Budgets, roles and digests that still refer to the project make the change invalid
+  const result = changeConfig(req, res, {
+    action: 'project.delete',
+    summary: `Removed project ${projectId}`,
+    apply: document => ({ ...document, projects: document.projects.filter(project => project.id !== projectId) })
+  });
+
+  if (result) {
+    res.json({ revision: result.revision });
+  }
+});
+
+app.get('/api/config/settings', (req, res) => {
+  const current = readConfigForApi(res);
+  if (!current) return;
+
+  res.json(current.document.settings || {});
+});
+
+/**
+ * Replace or patch the global settings
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {boolean} patch - Whether the body is a JSON merge patch rather than all settings
+ */
+function changeSettings(req, res, patch) {
+  if (!requireObjectBody(req, res)) return;
+
+  const current = readConfigForApi(res);
+  if (!current) return;
+
+  const previous = current.document.settings || {};
+  const settings = patch ? applyMergePatch(previous, req.body) : req.body;
+  if (rejectAddedReferences(res, settings, previous, 'settings')) return;
+
+  const result = changeConfig(req, res, {
+    action: 'settings.update',
+    summary: 'Updated settings',
+    apply: document => ({ ...document, settings })
+  });
+
+  if (result) {
+    res.json({ settings, revision: result.revision });
+  }
+}
+
+app.put('/api/config/settings', (req, res) => changeSettings(req, res, false));
+app.patch('/api/config/settings', (req, res) => changeSettings(req, res, true));
+
+app.get('/api/config/revisions', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '50', 10);
+    res.json(listRevisions({ limit: Number.isInteger(limit) && limit > 0 ? limit : 50 }));
+  } catch (error) {
+    logger.error('Error listing configuration revisions:', error);
+    res.status(500).json({ error: 'Failed to list configuration revisions' });
+  }
+});
+
+// A revision's projects and settings; the rest of the file can hold secrets, so it isn't returned
+app.get('/api/config/revisions/:revisionId', (req, res) => {
+  try {
+    const revision = getRevision(req.params.revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: `Revision not found: ${req.params.revisionId}` });
+    }
+
+    const { content, ...details } = revision;
+    const document = parseConfigContent(content, revision.path);
+    res.json({ ...details, projects: document.projects || [], settings: document.settings || {} });
+  } catch (error) {
+    logger.error(`Error loading configuration revision ${req.params.revisionId}:`, error);
+    res.status(500).json({ error: 'Failed to load configuration revision' });
+  }
+});
+
+app.post('/api/config/revisions/:revisionId/restore', (req, res) => {
+  try {
+    const result = restoreRevision(req.params.revisionId, {
+      author: req.identity ? req.identity.principal : 'local',
+      ifMatch: requestedVersion(req)
+    });
+    if (!result) {
+      return res.status(404).json({ error: `Revision not found: ${req.params.revisionId}` });
+    }
+
+    applyConfig(result.config, result.etag);
+    res.set('ETag', `"${result.etag}"`);
+    res.json({ revision: result.revision });
+  } catch (error) {
+    sendConfigError(res, error);
+  }
+});
+
+// Prometheus scrape endpoint, in OpenMetrics when the scraper asks for it
+app.get('/metrics', (req, res) => {
+  const settings = resolvePrometheusSettings(config.settings);
+  if (!settings.enabled) {
+    return res.status(404).send('Metrics are disabled');
+  }
+
+  try {
+    const projectIds = listMonitoredProjects(config).map(project => project.id).filter(projectId => canViewWholeProject(req.access, projectId));
+    const loadRows = (projectId, date) => (hasHistory(projectId) ? queryRows(projectId, { from: date, to: date }) : []);
+
+    const families = [
+      ...buildCostMetrics(projectIds, loadRows, settings),
+      ...buildHealthMetrics(listRuns({ limit: MAX_RUNS_SCANNED }), projectIds)
+    ];
+
+    const openMetrics = /application\/openmetrics-text/.test(req.get('Accept') || '');
+    res.set('Content-Type', openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE);
+    res.send(renderMetrics(families, { openMetrics }));
+  } catch (error) {
+    logger.error('Error rendering metrics:', error);
+    res.status(500).send('Failed to render metrics');
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error('Server error:', err);
   res.status(500).json({ error: 'Internal server error' });
 });
 
-// Start the server
-app.listen(port, () => {
-  logger.info(`BigQuery Cost Monitor dashboard running at http://localhost:${port}`);
-  logger.info('Press Ctrl+C to stop');
-});
+// If this script is run directly (not imported)
+if (require.main === module) {
+  // Load configuration, refusing to start on an invalid one
+  try {
+    const { exists, etag } = readConfigFile();
+    applyConfig(loadConfig(), exists ? etag : null);
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
+  // Pick up edits made to the file directly, as well as the ones made through the API
+  fs.watchFile(resolveConfigPath().path, { interval: CONFIG_WATCH_INTERVAL_MS }, reloadConfig);
+
+  // Start the server
+  app.listen(port, () => {
+    logger.info(`BigQuery Cost Monitor dashboard running at http://localhost:${port}`);
+    if (config.auth.enabled) {
+      logger.info(`API authentication: ${config.auth.providers.map(provider => provider.name || provider.type).join(', ')}`);
+    } else {
+      logger.warn('API authentication is disabled; anyone who can reach this port can read the cost data');
+    }
+    logger.info('Press Ctrl+C to stop');
+  });
+}
+
+// Export the app and how it is configured, for tests
+module.exports = {
+  app,
+  applyConfig
+};
@@ -1,345 +1,156 @@
 /**
  * BigQuery Cost Monitor - Alert Setup Script
- * 
- * This script sets up Cloud Monitoring alerts for BigQuery costs,
- * including cost thresholds, usage spikes, and failure alerts.
+ *
+ * This script reconciles the Cloud Monitoring notification channels and
+ * alert policies of a project with an alert file: `plan` shows what would
+ * change, `apply` creates, updates and deletes channels and policies until
+ * the project matches the file.
  */
 
 require('dotenv').config();
-const { monitoring } = require('@google-cloud/monitoring');
+const path = require('path');
+const monitoring = require('@google-cloud/monitoring');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
+const { ensureMetricDescriptors } = require('../common/custom-metrics');
+const {
+  loadAlertFile,
+  planAlerts,
+  hasChanges,
+  formatPlan,
+  listExistingAlerts,
+  applyPlan,
+  usesCustomMetrics
+} = require('../common/alert-policies');
 
-// Parse command line arguments
-const argv = yargs(hideBin(process.argv))
-  .option('project', {
-    alias: 'p',
-    description: 'Google Cloud project ID to set up alerts in',
-    type: 'string',
-    demandOption: true
-  })
-  .option('threshold', {
-    alias: 't',
-    description: 'Cost threshold in USD for alerts (per day)',
-    type: 'number',
-    default: 100
-  })
-  .option('email', {
-    alias: 'e',
-    description: 'Email address to send alerts to',
-    type: 'string',
-    demandOption: true
-  })
-  .option('channel-name', {
-    alias: 'c',
-    description: 'Name for the notification channel',
-    type: 'string',
-    default: 'bigquery-cost-alerts'
-  })
-  .help()
-  .alias('help', 'h')
-  .argv;
-
-// Validate project ID
-if (!/^[a-z0-9-]+$/.test(argv.project)) {
-  console.error('Error: Project ID must contain only lowercase letters, numbers, and hyphens');
-  process.exit(1);
-}
-
-// Validate email address
-if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(argv.email)) {
-  console.error('Error: Invalid email address format');
-  process.exit(1);
-}
-
-// Initialize the Cloud Monitoring client
-const alertClient = new monitoring.AlertPolicyServiceClient();
-const notificationClient = new monitoring.NotificationChannelServiceClient();
+// Default alert file
+const DEFAULT_ALERTS_PATH = process.env.ALERTS_PATH || path.join(__dirname, '../../config/alerts.yaml');
 
 /**
- * Create a notification channel for alerts
- * @returns {Promise<string>} - The notification channel name
+ * Create the Cloud Monitoring clients
+ * @returns {Object} - {alertClient, notificationClient, metricClient}
  */
-async function createNotificationChannel() {
-  console.log(`Creating notification channel for email: ${argv.email}`);
-  
-  try {
-    const [channels] = await notificationClient.listNotificationChannels({
-      name: notificationClient.projectPath(argv.project)
-    });
-    
-    // Check if a channel with this email already exists
-    const existingChannel = channels.find(channel => 
-      channel.type === 'email' && 
-      channel.labels.email === argv.email
-    );
-    
-    if (existingChannel) {
-      console.log(`Using existing notification channel: ${existingChannel.displayName}`);
-      return existingChannel.name;
-    }
-    
-    // Create a new notification channel
-    const [channel] = await notificationClient.createNotificationChannel({
-      name: notificationClient.projectPath(argv.project),
-      notificationChannel: {
-        type: 'email',
-        displayName: argv.channelName,
-        description: 'Notification channel for BigQuery cost alerts',
-        labels: {
-          email: argv.email
-        }
-      }
-    });
-    
-    console.log(`Created notification channel: ${channel.displayName}`);
-    return channel.name;
-  } catch (error) {
-    console.error(`Error creating notification channel: ${error.message}`);
-    process.exit(1);
-  }
+function createClients() {
+  return {
+    alertClient: new monitoring.AlertPolicyServiceClient(),
+    notificationClient: new monitoring.NotificationChannelServiceClient(),
+    metricClient: new monitoring.MetricServiceClient()
+  };
 }
 
 /**
- * Create an alert policy for daily BigQuery cost threshold
- * @param {string} channelName - The notification channel name
+ * Load the alert file and plan the changes to a project
+ * @param {Object} argv - Parsed command line arguments
+ * @param {Object} clients - Cloud Monitoring clients
+ * @returns {Promise<Object>} - {definition, plan}
  */
-async function createCostThresholdAlert(channelName) {
-  console.log(`Creating cost threshold alert for $${argv.threshold} per day`);
-  
-  const policyName = `bigquery-daily-cost-threshold-${argv.threshold}`;
-  
-  try {
-    const [policies] = await alertClient.listAlertPolicies({
-      name: alertClient.projectPath(argv.project)
-    });
-    
-    // Check if policy already exists
-    const existingPolicy = policies.find(policy => 
-      policy.displayName === policyName
-    );
-    
-    if (existingPolicy) {
-      console.log(`Updating existing alert policy: ${policyName}`);
-      
-      // Update the existing policy
-      const [updatedPolicy] = await alertClient.updateAlertPolicy({
-        alertPolicy: {
-          name: existingPolicy.name,
-          displayName: policyName,
-          documentation: {
-            content: `Alert when daily BigQuery cost exceeds $${argv.threshold}`,
-            mimeType: 'text/markdown'
-          },
-          conditions: [
-            {
-              displayName: 'BigQuery Daily Cost Threshold',
-              conditionThreshold: {
-                filter: 'resource.type="bigquery_project" AND metric.type="bigquery.googleapis.com/query/execution_times"',
-                aggregations: [
-                  {
-                    alignmentPeriod: { seconds: 86400 }, // 1 day
-                    perSeriesAligner: 'ALIGN_SUM',
-                    crossSeriesReducer: 'REDUCE_SUM'
-                  }
-                ],
-                comparison: 'COMPARISON_GT',
-                thresholdValue: argv.threshold,
-                duration: { seconds: 0 },
-                trigger: {
-                  count: 1
-                }
-              }
-            }
-          ],
-          combiner: 'OR',
-          notificationChannels: [channelName],
-          enabled: true
-        }
-      });
-      
-      console.log(`Updated alert policy: ${updatedPolicy.displayName}`);
-    } else {
-      console.log(`Creating new alert policy: ${policyName}`);
-      
-      // Create a new policy
-      const [policy] = await alertClient.createAlertPolicy({
-        name: alertClient.projectPath(argv.project),
-        alertPolicy: {
-          displayName: policyName,
-          documentation: {
-            content: `Alert when daily BigQuery cost exceeds $${argv.threshold}`,
-            mimeType: 'text/markdown'
-          },
-          conditions: [
-            {
-              displayName: 'BigQuery Daily Cost Threshold',
-              conditionThreshold: {
-                filter: 'resource.type="bigquery_project" AND metric.type="bigquery.googleapis.com/query/execution_times"',
-                aggregations: [
-                  {
-                    alignmentPeriod: { seconds: 86400 }, // 1 day
-                    perSeriesAligner: 'ALIGN_SUM',
-                    crossSeriesReducer: 'REDUCE_SUM'
-                  }
-                ],
-                comparison: 'COMPARISON_GT',
-                thresholdValue: argv.threshold,
-                duration: { seconds: 0 },
-                trigger: {
-                  count: 1
-                }
-              }
-            }
-          ],
-          combiner: 'OR',
-          notificationChannels: [channelName],
-          enabled: true
-        }
-      });
-      
-      console.log(`Created alert policy: ${policy.displayName}`);
-    }
-  } catch (error) {
-    console.error(`Error creating cost threshold alert: ${error.message}`);
-    console.error(error.stack);
-  }
+async function loadPlan(argv, clients) {
+  console.log('BigQuery Cost Monitor - Alert Setup');
+  console.log('===================================');
+  console.log(`Project: ${argv.project}`);
+  console.log(`Alert file: ${argv.file}\n`);
+
+  const definition = loadAlertFile(argv.file);
+  const existing = await listExistingAlerts(clients, argv.project);
+  const plan = planAlerts(definition, existing);
+
+  formatPlan(plan).forEach(line => console.log(line));
+
+  return { definition, plan };
 }
 
 /**
- * Create an alert policy for cost monitor function failures
- * @param {string} channelName - The notification channel name
+ * Show the changes applying the alert file would make
+ * @param {Object} argv - Parsed command line arguments
+ * @param {Object} [clients] - Cloud Monitoring clients, created when omitted
+ * @returns {Promise<Object>} - The plan
  */
-async function createFunctionFailureAlert(channelName) {
-  console.log('Creating alert for cost monitor function failures');
-  
-  const policyName = 'bigquery-cost-monitor-function-failure';
-  
-  try {
-    const [policies] = await alertClient.listAlertPolicies({
-      name: alertClient.projectPath(argv.project)
-    });
-    
-    // Check if policy already exists
-    const existingPolicy = policies.find(policy => 
-      policy.displayName === policyName
-    );
-    
-    const functionName = 'bq-cost-monitor';
-    
-    if (existingPolicy) {
-      console.log(`Updating existing alert policy: ${policyName}`);
-      
-      // Update the existing policy
-      const [updatedPolicy] = await alertClient.updateAlertPolicy({
-        alertPolicy: {
-          name: existingPolicy.name,
-          displayName: policyName,
-          documentation: {
-            content: 'Alert when the BigQuery cost monitor function fails',
-            mimeType: 'text/markdown'
-          },
-          conditions: [
-            {
-              displayName: 'Function Execution Failure',
-              conditionThreshold: {
-                filter: `resource.type="cloud_function" AND resource.labels.function_name="${functionName}" AND metric.type="cloudfunctions.googleapis.com/function/execution_count" AND metric.labels.status="error"`,
-                aggregations: [
-                  {
-                    alignmentPeriod: { seconds: 300 }, // 5 minutes
-                    perSeriesAligner: 'ALIGN_COUNT',
-                    crossSeriesReducer: 'REDUCE_SUM'
-                  }
-                ],
-                comparison: 'COMPARISON_GT',
-                thresholdValue: 0,
-                duration: { seconds: 0 },
-                trigger: {
-                  count: 1
-                }
-              }
-            }
-          ],
-          combiner: 'OR',
-          notificationChannels: [channelName],
-          enabled: true
-        }
-      });
-      
-      console.log(`Updated alert policy: ${updatedPolicy.displayName}`);
-    } else {
-      console.log(`Creating new alert policy: ${policyName}`);
-      
-      // Create a new policy
-      const [policy] = await alertClient.createAlertPolicy({
-        name: alertClient.projectPath(argv.project),
-        alertPolicy: {
-          displayName: policyName,
-          documentation: {
-            content: 'Alert when the BigQuery cost monitor function fails',
-            mimeType: 'text/markdown'
-          },
-          conditions: [
-            {
-              displayName: 'Function Execution Failure',
-              conditionThreshold: {
-                filter: `resource.type="cloud_function" AND resource.labels.function_name="${functionName}" AND metric.type="cloudfunctions.googleapis.com/function/execution_count" AND metric.labels.status="error"`,
-                aggregations: [
-                  {
-                    alignmentPeriod: { seconds: 300 }, // 5 minutes
-                    perSeriesAligner: 'ALIGN_COUNT',
-                    crossSeriesReducer: 'REDUCE_SUM'
-                  }
-                ],
-                comparison: 'COMPARISON_GT',
-                thresholdValue: 0,
-                duration: { seconds: 0 },
-                trigger: {
-                  count: 1
-                }
-              }
-            }
-          ],
-          combiner: 'OR',
-          notificationChannels: [channelName],
-          enabled: true
-        }
-      });
-      
-      console.log(`Created alert policy: ${policy.displayName}`);
-    }
-  } catch (error) {
-    console.error(`Error creating function failure alert: ${error.message}`);
-    console.error(error.stack);
+async function planCommand(argv, clients = createClients()) {
+  const { plan } = await loadPlan(argv, clients);
+
+  if (!hasChanges(plan)) {
+    console.log('\nAlerts are up to date.');
   }
+
+  return plan;
 }
 
 /**
- * Main function to set up all alerts
+ * Reconcile the project's channels and policies with the alert file
+ * @param {Object} argv - Parsed command line arguments
+ * @param {Object} [clients] - Cloud Monitoring clients, created when omitted
+ * @returns {Promise<Object>} - Counts {created, updated, deleted}
  */
-async function setupAlerts() {
-  console.log('BigQuery Cost Monitor - Alert Setup');
-  console.log('===================================');
-  console.log(`Project: ${argv.project}`);
-  console.log(`Cost threshold: $${argv.threshold} per day`);
-  console.log(`Email notifications: ${argv.email}`);
-  
-  try {
-    // Create notification channel
-    const channelName = await createNotificationChannel();
-    
-    // Create cost threshold alert
-    await createCostThresholdAlert(channelName);
-    
-    // Create function failure alert
-    await createFunctionFailureAlert(channelName);
-    
-    console.log('\nAlert setup completed successfully!');
-  } catch (error) {
-    console.error(`Alert setup failed: ${error.message}`);
-    process.exit(1);
+async function applyCommand(argv, clients = createClients()) {
+  const { definition, plan } = await loadPlan(argv, clients);
+
+  if (!hasChanges(plan)) {
+    console.log('\nAlerts are up to date.');
+    return { created: 0, updated: 0, deleted: 0 };
+  }
+
+  // Policies on the custom metrics can only be created once the metrics exist
+  if (usesCustomMetrics(definition)) {
+    console.log('\nCreating cost monitor custom metrics');
+    await ensureMetricDescriptors(clients.metricClient, argv.project);
   }
+
+  console.log('');
+  const counts = await applyPlan(plan, clients, argv.project, (action, kind, name) => {
+    console.log(`${action === 'create' ? 'Created' : action === 'update' ? 'Updated' : 'Deleted'} ${kind}: ${name}`);
+  });
+
+  console.log(`\nApply complete: ${counts.created} created, ${counts.updated} updated, ${counts.deleted} deleted.`);
+  return counts;
+}
+
+// If this script is run directly (not imported)
+if (require.main === module) {
+  /**
+   * Run a command and exit with its outcome
+   * @param {Function} command - planCommand or applyCommand
+   * @returns {Function} - yargs command handler
+   */
+  const run = command => argv => {
+    command(argv).catch(error => {
+      console.error(`Alert setup failed: ${error.message}`);
+      process.exit(1);
+    });
+  };
+
+  const projectOptions = command => command
+    .option('project', {
+      alias: 'p',
+      description: 'Google Cloud project ID to set up alerts in',
+      type: 'string',
+      demandOption: true
+    })
+    .option('file', {
+      alias: 'f',
+      description: 'Alert file (JSON or YAML)',
+      type: 'string',
+      default: DEFAULT_ALERTS_PATH
+    })
+    .check(argv => {
+      // Validate project ID
+      if (!/^[a-z0-9-]+$/.test(argv.project)) {
+        throw new Error('Project ID must contain only lowercase letters, numbers, and hyphens');
+      }
+      return true;
+    });
+
+  // Parse command line arguments
+  yargs(hideBin(process.argv))
+    .command('plan', 'Show the changes applying the alert file would make', projectOptions, run(planCommand))
+    .command('apply', 'Create, update and delete channels and policies to match the alert file', projectOptions, run(applyCommand))
+    .demandCommand(1, 'Specify plan or apply')
+    .strict()
+    .help()
+    .alias('help', 'h')
+    .argv;
 }
 
-// Run the alert setup
-setupAlerts();
\ No newline at end of file
+module.exports = {
+  planCommand,
+  applyCommand
+};
@@ -0,0 +1,252 @@
+const {
+  buildChannel,
+  buildPolicy,
+  planAlerts,
+  hasChanges,
+  listExistingAlerts,
+  applyPlan
+} = require('../../src/common/alert-policies');
+
+const MANAGED = { managed_by: 'bq-cost-monitor' };
+
+const definition = {
+  channels: [
+    { name: 'FinOps email', type: 'email', email: 'finops@example.com' },
+    { name: 'On-call webhook', type: 'webhook', url: 'https://hooks.example.com/bq' }
+  ],
+  policies: [
+    { name: 'Daily project cost', metric: 'project_cost', threshold: 100, channels: ['FinOps email'] },
+    { name: 'Bytes billed', metric: 'bytes_billed', threshold: 5, channels: ['On-call webhook'] }
+  ]
+};
+
+/**
+ * Build Cloud Monitoring client stubs that keep channels and policies in memory
+ * @param {Object} existing - {channels, policies} the project starts with
+ * @returns {Object} - {alertClient, notificationClient, calls, state}
+ */
+function stubClients(existing = {}) {
+  const state = {
+    channels: (existing.channels || []).map(channel => ({ ...channel })),
+    policies: (existing.policies || []).map(policy => ({ ...policy }))
+  };
+  const calls = [];
+  let nextId = 100;
+
+  const notificationClient = {
+    projectPath: projectId => `projects/${projectId}`,
+    listNotificationChannels: async () => [state.channels],
+    createNotificationChannel: async ({ name, notificationChannel }) => {
+      const channel = { ...notificationChannel, name: `${name}/notificationChannels/${nextId++}` };
+      calls.push(['createNotificationChannel', channel.displayName]);
+      state.channels.push(channel);
+      return [channel];
+    },
+    updateNotificationChannel: async ({ notificationChannel }) => {
+      calls.push(['updateNotificationChannel', notificationChannel.displayName]);
+      state.channels = state.channels.map(channel => channel.name === notificationChannel.name ? notificationChannel : channel);
+      return [notificationChannel];
+    },
+    deleteNotificationChannel: async ({ name }) => {
+      calls.push(['deleteNotificationChannel', name]);
+      state.channels = state.channels.filter(channel => channel.name !== name);
+      return [{}];
+    }
+  };
+
+  const alertClient = {
+    projectPath: projectId => `projects/${projectId}`,
+    listAlertPolicies: async () => [state.policies],
+    createAlertPolicy: async ({ name, alertPolicy }) => {
+      const policy = { ...alertPolicy, name: `${name}/alertPolicies/${nextId++}` };
+      calls.push(['createAlertPolicy', policy.displayName]);
+      state.policies.push(policy);
+      return [policy];
+    },
+    updateAlertPolicy: async ({ alertPolicy }) => {
+      calls.push(['updateAlertPolicy', alertPolicy.displayName]);
+      state.policies = state.policies.map(policy => policy.name === alertPolicy.name ? alertPolicy : policy);
+      return [alertPolicy];
+    },
+    deleteAlertPolicy: async ({ name }) => {
+      calls.push(['deleteAlertPolicy', name]);
+      state.policies = state.policies.filter(policy => policy.name !== name);
+      return [{}];
+    }
+  };
+
+  return { alertClient, notificationClient, calls, state };
+}
+
+/**
+ * Summarize plan items as action and name pairs
+ * @param {Array} items - Plan channels or policies
+ * @returns {Array} - [action, name] pairs
+ */
+function actions(items) {
+  return items.map(item => [item.action, item.name]);
+}
+
+describe('planAlerts', () => {
+  test('creates everything in an empty project', () => {
+    const plan = planAlerts(definition, { channels: [], policies: [] });
+
+    expect(actions(plan.channels)).toEqual([['create', 'FinOps email'], ['create', 'On-call webhook']]);
+    expect(actions(plan.policies)).toEqual([['create', 'Daily project cost'], ['create', 'Bytes billed']]);
+    expect(plan.policies[1].desired.conditions[0].conditionThreshold.thresholdValue).toBe(5 * Math.pow(1024, 4));
+  });
+
+  test('leaves resources matching the file unchanged', () => {
+    const channels = definition.channels.map((channel, index) => ({
+      ...buildChannel(channel),
+      name: `projects/p/notificationChannels/${index}`
+    }));
+    const policies = definition.policies.map((policy, index) => ({
+      ...buildPolicy(policy),
+      name: `projects/p/alertPolicies/${index}`,
+      notificationChannels: policy.channels.map(name => channels.find(channel => channel.displayName === name).name)
+    }));
+
+    const plan = planAlerts(definition, { channels, policies });
+
+    expect([...plan.channels, ...plan.policies].every(item => item.action === 'unchanged')).toBe(true);
+    expect(hasChanges(plan)).toBe(false);
+  });
+
+  test('adopts unmanaged resources with a matching name instead of creating duplicates', () => {
+    const unmanagedChannel = {
+      ...buildChannel(definition.channels[0]),
+      name: 'projects/p/notificationChannels/1',
+      userLabels: {}
+    };
+    const unmanagedPolicy = {
+      ...buildPolicy(definition.policies[0]),
+      name: 'projects/p/alertPolicies/1',
+      notificationChannels: ['projects/p/notificationChannels/1'],
+      userLabels: { team: 'finance' }
+    };
+
+    const plan = planAlerts(definition, { channels: [unmanagedChannel], policies: [unmanagedPolicy] });
+
+    const channel = plan.channels.find(item => item.name === 'FinOps email');
+    expect(channel).toMatchObject({ action: 'update', existing: unmanagedChannel, changes: ['userLabels'] });
+    expect(channel.desired.userLabels).toEqual(MANAGED);
+
+    const policy = plan.policies.find(item => item.name === 'Daily project cost');
+    expect(policy).toMatchObject({ action: 'update', existing: unmanagedPolicy, changes: ['userLabels'] });
+    expect(policy.desired.userLabels).toEqual(MANAGED);
+  });
+
+  test('reports the fields that changed on managed resources', () => {
+    const channel = { ...buildChannel(definition.channels[0]), name: 'projects/p/notificationChannels/1' };
+    const policy = {
+      ...buildPolicy({ ...definition.policies[0], threshold: 50 }),
+      name: 'projects/p/alertPolicies/1',
+      notificationChannels: ['projects/p/notificationChannels/1']
+    };
+
+    const plan = planAlerts(definition, { channels: [channel], policies: [policy] });
+
+    const item = plan.policies.find(entry => entry.name === 'Daily project cost');
+    expect(item.action).toBe('update');
+    expect(item.changes).toEqual(expect.arrayContaining(['documentation', 'conditions']));
+    expect(item.changes).not.toContain('userLabels');
+  });
+
+  test('deletes only managed resources that are no longer in the file', () => {
+    const existing = {
+      channels: [
+        { ...buildChannel({ name: 'Old pager', type: 'pagerduty', serviceKey: 'key' }), name: 'projects/p/notificationChannels/7' },
+        { type: 'email', displayName: 'Hand-made channel', labels: { email_address: 'ops@example.com' }, userLabels: {}, name: 'projects/p/notificationChannels/8' }
+      ],
+      policies: [
+        { ...buildPolicy({ name: 'Old policy', metric: 'user_cost', threshold: 10 }), name: 'projects/p/alertPolicies/7' },
+        { displayName: 'Hand-made policy', conditions: [], name: 'projects/p/alertPolicies/8' },
+        { displayName: 'Other tool policy', conditions: [], userLabels: { managed_by: 'terraform' }, name: 'projects/p/alertPolicies/9' }
+      ]
+    };
+
+    const plan = planAlerts({ channels: [], policies: [] }, existing);
+
+    expect(actions(plan.channels)).toEqual([['delete', 'Old pager']]);
+    expect(actions(plan.policies)).toEqual([['delete', 'Old policy']]);
+  });
+});
+
+describe('applyPlan', () => {
+  test('creates channels before the policies that refer to them', async () => {
+    const clients = stubClients();
+    const changes = [];
+
+    const counts = await applyPlan(planAlerts(definition, { channels: [], policies: [] }), clients, 'p',
+      (action, kind, name) => changes.push([action, kind, name]));
+
+    expect(counts).toEqual({ created: 4, updated: 0, deleted: 0 });
+    expect(clients.calls.map(call => call[0])).toEqual([
+      'createNotificationChannel',
+      'createNotificationChannel',
+      'createAlertPolicy',
+      'createAlertPolicy'
+    ]);
+    expect(changes).toEqual([
+      ['create', 'channel', 'FinOps email'],
+      ['create', 'channel', 'On-call webhook'],
+      ['create', 'policy', 'Daily project cost'],
+      ['create', 'policy', 'Bytes billed']
+    ]);
+
+    const email = clients.state.channels.find(channel => channel.displayName === 'FinOps email');
+    const policy = clients.state.policies.find(item => item.displayName === 'Daily project cost');
+    expect(policy.notificationChannels).toEqual([email.name]);
+    expect(policy.userLabels).toEqual(MANAGED);
+  });
+
+  test('adopts unmanaged resources by labelling them as managed', async () => {
+    const existing = {
+      channels: [{ ...buildChannel(definition.channels[0]), name: 'projects/p/notificationChannels/1', userLabels: {} }],
+      policies: []
+    };
+    const clients = stubClients(existing);
+
+    const counts = await applyPlan(planAlerts(definition, existing), clients, 'p');
+
+    expect(counts).toEqual({ created: 3, updated: 1, deleted: 0 });
+    const adopted = clients.state.channels.find(channel => channel.name === 'projects/p/notificationChannels/1');
+    expect(adopted.userLabels).toEqual(MANAGED);
+    expect(clients.state.channels.filter(channel => channel.displayName === 'FinOps email')).toHaveLength(1);
+
+    const policy = clients.state.policies.find(item => item.displayName === 'Daily project cost');
+    expect(policy.notificationChannels).toEqual(['projects/p/notificationChannels/1']);
+
+    // Once adopted, a second plan has nothing left to do
+    expect(hasChanges(planAlerts(definition, await listExistingAlerts(clients, 'p')))).toBe(false);
+  });
+
+  test('deletes managed resources after the policies and leaves unmanaged ones alone', async () => {
+    const existing = {
+      channels: [
+        { ...buildChannel({ name: 'Old pager', type: 'pagerduty', serviceKey: 'key' }), name: 'projects/p/notificationChannels/7' },
+        { type: 'email', displayName: 'Hand-made channel', labels: {}, name: 'projects/p/notificationChannels/8' }
+      ],
+      policies: [
+        {
+          ...buildPolicy({ name: 'Old policy', metric: 'project_cost', threshold: 10 }),
+          name: 'projects/p/alertPolicies/7',
+          notificationChannels: ['projects/p/notificationChannels/7']
+        },
+        { displayName: 'Hand-made policy', conditions: [], userLabels: { team: 'finance' }, name: 'projects/p/alertPolicies/8' }
+      ]
+    };
+    const clients = stubClients(existing);
+
+    const counts = await applyPlan(planAlerts({ channels: [], policies: [] }, existing), clients, 'p');
+
+    expect(counts).toEqual({ created: 0, updated: 0, deleted: 2 });
+    expect(clients.calls).toEqual([
+      ['deleteAlertPolicy', 'projects/p/alertPolicies/7'],
+      ['deleteNotificationChannel', 'projects/p/notificationChannels/7']
+    ]);
+    expect(clients.state.channels.map(channel => channel.displayName)).toEqual(['Hand-made channel']);
+    expect(clients.state.policies.map(policy => policy.displayName)).toEqual(['Hand-made policy']);
+  });
+});
@@ -0,0 +1,194 @@
+const moment = require('moment');
+
+const { detectAnomalies, resolveAnomalySettings, validateAnomalySettings } = require('../../src/common/anomalies');
+
+/**
+ * Build a daily cost row of a user on a dataset
+ * @param {string} date - Day of the row
+ * @param {number} cost - Estimated cost
+ * @param {string} [user] - User email
+ * @returns {Object} - Cost row
+ */
+function costRow(date, cost, user = 'alice@example.com') {
+  return {
+    date,
+    user_email: user,
+    estimated_cost_usd: cost,
+    dataset_costs: [{ dataset: 'project-a.sales', dataset_cost_usd: cost }]
+  };
+}
+
+/**
+ * Build a daily series of cost rows
+ * @param {string} from - First day
+ * @param {string} to - Last day
+ * @param {Function} costOf - Cost of a day from its moment
+ * @returns {Array} - Cost rows
+ */
+function series(from, to, costOf) {
+  const rows = [];
+  for (let day = moment.utc(from); day.format('YYYY-MM-DD') <= to; day.add(1, 'days')) {
+    rows.push(costRow(day.format('YYYY-MM-DD'), costOf(day)));
+  }
+  return rows;
+}
+
+// Weekdays cost 10, weekends 2
+const weekly = day => (day.day() === 0 || day.day() === 6 ? 2 : 10);
+
+describe('detectAnomalies', () => {
+  test('flags a spike of the project, its user and its dataset', () => {
+    const rows = series('2026-02-01', '2026-03-07', () => 10).concat(costRow('2026-03-08', 60));
+
+    const anomalies = detectAnomalies(rows, { projectId: 'project-a' });
+
+    expect(anomalies).toEqual(['project-a', 'alice@example.com', 'project-a.sales'].map((entity, index) => ({
+      type: 'spike',
+      scope: ['project', 'user', 'dataset'][index],
+      entity,
+      date: '2026-03-08',
+      actual_cost_usd: 60,
+      expected_cost_usd: 10,
+      deviation: 50,
+      baseline_days: 28,
+      severity: 'critical'
+    })));
+  });
+
+  test('expects less on the weekdays that usually cost less', () => {
+    // 2026-03-08 is a Sunday
+    const rows = series('2026-02-01', '2026-03-08', weekly);
+
+    expect(detectAnomalies(rows, { includeDrops: true })).toEqual([]);
+  });
+
+  test('flags a weekday that costs as little as a weekend as a drop when drops are included', () => {
+    // Friday 2026-03-06 costs what a weekend does
+    const rows = series('2026-02-01', '2026-03-08', day => (day.format('YYYY-MM-DD') === '2026-03-06' ? 2 : weekly(day)));
+
+    expect(detectAnomalies(rows)).toEqual([]);
+    expect(detectAnomalies(rows, { includeDrops: true, projectId: 'project-a' })
+      .map(anomaly => [anomaly.type, anomaly.scope, anomaly.date])).toEqual([
+      ['drop', 'project', '2026-03-06'],
+      ['drop', 'user', '2026-03-06'],
+      ['drop', 'dataset', '2026-03-06']
+    ]);
+  });
+
+  test('only evaluates the most recent days', () => {
+    const rows = series('2026-02-01', '2026-03-08', day => (day.format('YYYY-MM-DD') === '2026-03-05' ? 60 : 10));
+
+    expect(detectAnomalies(rows)).toEqual([]);
+    expect(detectAnomalies(rows, { evaluationDays: 4 }).map(anomaly => anomaly.date)).toEqual(['2026-03-05', '2026-03-05', '2026-03-05']);
+  });
+
+  test('ignores deviations smaller than minCostUsd', () => {
+    const rows = series('2026-02-01', '2026-03-07', () => 0.1).concat(costRow('2026-03-08', 0.9));
+
+    expect(detectAnomalies(rows, { sensitivity: 0.5 })).toEqual([]);
+    expect(detectAnomalies(rows, { sensitivity: 0.5, minCostUsd: 0.5 })).toHaveLength(3);
+  });
+
+  test('needs minBaselineDays of history before flagging anything', () => {
+    const rows = series('2026-03-03', '2026-03-07', () => 10).concat(costRow('2026-03-08', 60));
+
+    expect(detectAnomalies(rows)).toEqual([]);
+    expect(detectAnomalies(rows, { minBaselineDays: 3 })).toHaveLength(3);
+  });
+
+  test('flags principals that start with a large spend', () => {
+    const rows = series('2026-02-01', '2026-03-08', () => 10).concat(
+      costRow('2026-03-07', 12, 'bob@example.com'),
+      costRow('2026-03-08', 60, 'carol@example.com'),
+      costRow('2026-03-08', 4, 'dave@example.com')
+    );
+
+    const newPrincipals = detectAnomalies(rows).filter(anomaly => anomaly.type === 'new_principal');
+
+    expect(newPrincipals).toEqual([
+      {
+        type: 'new_principal',
+        scope: 'user',
+        entity: 'carol@example.com',
+        date: '2026-03-08',
+        actual_cost_usd: 60,
+        expected_cost_usd: 0,
+        deviation: null,
+        severity: 'critical'
+      },
+      {
+        type: 'new_principal',
+        scope: 'user',
+        entity: 'bob@example.com',
+        date: '2026-03-07',
+        actual_cost_usd: 12,
+        expected_cost_usd: 0,
+        deviation: null,
+        severity: 'warning'
+      }
+    ]);
+  });
+
+  test('does not treat everyone as new while the history is young', () => {
+    const rows = [costRow('2026-03-07', 40), costRow('2026-03-08', 40)];
+
+    expect(detectAnomalies(rows)).toEqual([]);
+  });
+
+  test('compares costs before the free tier', () => {
+    // The free tier zeroes the estimated cost of the first days of March
+    const rows = series('2026-02-01', '2026-03-03', () => 10).map(row => {
+      const cost = row.date >= '2026-03-01' ? 0 : 10;
+      return {
+        ...row,
+        estimated_cost_usd: cost,
+        gross_cost_usd: 10,
+        dataset_costs: [{ dataset: 'project-a.sales', dataset_cost_usd: cost, gross_dataset_cost_usd: 10 }]
+      };
+    });
+
+    expect(detectAnomalies(rows, { includeDrops: true })).toEqual([]);
+  });
+
+  test('finds nothing when disabled', () => {
+    const rows = series('2026-02-01', '2026-03-07', () => 10).concat(costRow('2026-03-08', 60));
+
+    expect(detectAnomalies(rows, { enabled: false })).toEqual([]);
+    expect(detectAnomalies([])).toEqual([]);
+  });
+});
+
+describe('resolveAnomalySettings', () => {
+  test('lets projects override the global settings and the global settings the defaults', () => {
+    const settings = resolveAnomalySettings(
+      { anomalies: { sensitivity: 5 } },
+      { anomalies: { sensitivity: 4, baselineDays: 14 } }
+    );
+
+    expect(settings).toMatchObject({ enabled: true, sensitivity: 5, baselineDays: 14, minBaselineDays: 7 });
+  });
+});
+
+describe('validateAnomalySettings', () => {
+  test('accepts valid settings', () => {
+    expect(validateAnomalySettings({ sensitivity: 2.5, baselineDays: 14, minCostUsd: 0, includeDrops: true }, 'settings.anomalies')).toEqual([]);
+  });
+
+  test('reports every invalid setting', () => {
+    expect(validateAnomalySettings({
+      enabled: 'yes',
+      sensitivity: 0,
+      evaluationDays: 1.5,
+      baselineDays: 7,
+      minBaselineDays: 10,
+      newPrincipalMinCostUsd: -1
+    }, 'settings.anomalies')).toEqual([
+      'settings.anomalies.enabled must be a boolean',
+      'settings.anomalies.sensitivity must be a positive number',
+      'settings.anomalies.evaluationDays must be a positive integer',
+      'settings.anomalies.minBaselineDays must not exceed baselineDays',
+      'settings.anomalies.newPrincipalMinCostUsd must be a non-negative number'
+    ]);
+    expect(validateAnomalySettings([], 'projects[0].anomalies')).toEqual(['projects[0].anomalies must be an object']);
+  });
+});
@@ -0,0 +1,181 @@
+const {
+  evaluateBudget,
+  evaluateBudgets,
+  budgetHistoryStart,
+  getPeriodBounds,
+  validateBudgets
+} = require('../../src/common/budgets');
+
+/**
+ * Build flat daily cost rows
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @param {number} cost - Cost of each day
+ * @returns {Array} - Daily cost rows
+ */
+function dailyRows(from, to, cost) {
+  const rows = [];
+  for (let day = new Date(`${from}T00:00:00Z`); day.toISOString().substring(0, 10) <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+    rows.push({ date: day.toISOString().substring(0, 10), user_email: 'alice@example.com', estimated_cost_usd: cost });
+  }
+  return rows;
+}
+
+// A day of a project with every breakdown budgets can target
+const ROW = {
+  date: '2026-03-11',
+  user_email: 'Alice@example.com',
+  estimated_cost_usd: 10,
+  dataset_costs: [
+    { dataset: 'project-a.sales', dataset_cost_usd: 6 },
+    { dataset: 'project-a.logs', dataset_cost_usd: 4 }
+  ],
+  label_costs: [
+    { label_key: 'env', label_value: 'prod', label_cost_usd: 7 },
+    { label_key: 'env', label_value: 'dev', label_cost_usd: 3 }
+  ],
+  team_costs: [
+    { team: 'sales', share: 0.6, team_cost_usd: 6 },
+    { team: 'unassigned', share: 0.4, team_cost_usd: 4 }
+  ]
+};
+
+describe('getPeriodBounds', () => {
+  test('runs weekly budgets from Monday to Sunday', () => {
+    // 2026-03-08 is a Sunday
+    expect(getPeriodBounds('weekly', '2026-03-08')).toEqual({ start: '2026-03-02', end: '2026-03-08' });
+    expect(getPeriodBounds('weekly', '2026-03-09')).toEqual({ start: '2026-03-09', end: '2026-03-15' });
+  });
+
+  test('covers a single day or a calendar month', () => {
+    expect(getPeriodBounds('daily', '2026-03-11')).toEqual({ start: '2026-03-11', end: '2026-03-11' });
+    expect(getPeriodBounds('monthly', '2026-02-11')).toEqual({ start: '2026-02-01', end: '2026-02-28' });
+  });
+});
+
+describe('evaluateBudget', () => {
+  const rows = dailyRows('2026-02-01', '2026-03-11', 10);
+
+  test('reports the spend so far and forecasts the rest of the period', () => {
+    const status = evaluateBudget({ name: 'monthly', scope: 'project', project: 'project-a', amount: 300 }, rows, { date: '2026-03-11' });
+
+    expect(status).toEqual({
+      name: 'monthly',
+      scope: 'project',
+      project: 'project-a',
+      target: null,
+      period: 'monthly',
+      period_start: '2026-03-01',
+      period_end: '2026-03-31',
+      date: '2026-03-11',
+      amount_usd: 300,
+      spent_usd: 110,
+      remaining_usd: 190,
+      percent_used: 36.7,
+      thresholds: [50, 80, 100],
+      thresholds_crossed: [],
+      status: 'ok',
+      forecast_spend_usd: 310,
+      forecast_breach_date: '2026-03-30'
+    });
+  });
+
+  test('warns once a threshold is crossed', () => {
+    const status = evaluateBudget({ name: 'monthly', scope: 'project', project: 'project-a', amount: 200, thresholds: [90, 50] }, rows, {
+      date: '2026-03-11'
+    });
+
+    expect(status).toMatchObject({ thresholds: [50, 90], thresholds_crossed: [50], status: 'warning', forecast_breach_date: '2026-03-20' });
+  });
+
+  test('dates the breach of an exceeded budget by the actuals', () => {
+    const status = evaluateBudget({ name: 'monthly', scope: 'project', project: 'project-a', amount: 100 }, rows, { date: '2026-03-11' });
+
+    expect(status).toMatchObject({
+      spent_usd: 110,
+      remaining_usd: 0,
+      percent_used: 110,
+      thresholds_crossed: [50, 80, 100],
+      status: 'exceeded',
+      forecast_breach_date: '2026-03-10'
+    });
+  });
+
+  test('counts the partly collected evaluation day as at least its expected cost', () => {
+    const partial = rows.map(row => (row.date === '2026-03-11' ? { ...row, estimated_cost_usd: 1 } : row));
+
+    const status = evaluateBudget({ name: 'daily', scope: 'project', project: 'project-a', amount: 20, period: 'daily' }, partial, {
+      date: '2026-03-11'
+    });
+
+    expect(status).toMatchObject({ spent_usd: 1, forecast_spend_usd: 10, forecast_breach_date: null });
+  });
+
+  test.each([
+    ['user', { target: 'alice@example.com' }, 10],
+    ['user', { target: 'bob@example.com' }, 0],
+    ['dataset', { target: 'project-a.sales' }, 6],
+    ['dataset', { target: 'logs' }, 4],
+    ['label', { target: 'env=prod' }, 7],
+    ['label', { target: 'env' }, 10],
+    ['team', { target: 'sales' }, 6]
+  ])('counts the %s cost of %j', (scope, budget, spent) => {
+    const status = evaluateBudget({ name: 'scoped', scope, amount: 100, period: 'daily', ...budget }, [ROW], { date: '2026-03-11' });
+
+    expect(status.spent_usd).toBe(spent);
+  });
+});
+
+describe('evaluateBudgets', () => {
+  test('reads each project once, from the earliest date any budget needs', () => {
+    const loadRows = jest.fn(projectId => dailyRows('2026-03-01', '2026-03-11', projectId === 'project-a' ? 10 : 5));
+
+    const statuses = evaluateBudgets([
+      { name: 'a', scope: 'project', project: 'project-a', amount: 1000 },
+      // Budgets without a project cover all of them
+      { name: 'alice', scope: 'user', target: 'alice@example.com', amount: 1000, period: 'weekly' }
+    ], loadRows, { projectIds: ['project-a', 'project-b'], date: '2026-03-11' });
+
+    expect(loadRows.mock.calls).toEqual([['project-a', '2026-02-11'], ['project-b', '2026-02-11']]);
+    expect(statuses.map(status => [status.name, status.spent_usd])).toEqual([['a', 110], ['alice', 45]]);
+  });
+});
+
+describe('budgetHistoryStart', () => {
+  test('reads the whole period and the forecast baseline', () => {
+    expect(budgetHistoryStart({ period: 'monthly' }, '2026-03-30')).toBe('2026-03-01');
+    expect(budgetHistoryStart({ period: 'monthly' }, '2026-03-11')).toBe('2026-02-11');
+    expect(budgetHistoryStart({ period: 'weekly' }, '2026-03-11', 7)).toBe('2026-03-04');
+  });
+});
+
+describe('validateBudgets', () => {
+  test('accepts valid budgets', () => {
+    expect(validateBudgets([
+      { name: 'project', scope: 'project', project: 'project-a', amount: 100 },
+      { name: 'team', scope: 'team', target: 'unassigned', amount: 50, period: 'weekly', thresholds: [75] }
+    ], ['project-a'], ['sales'])).toEqual([]);
+  });
+
+  test('reports every invalid budget', () => {
+    expect(validateBudgets([
+      { name: 'a', scope: 'project', amount: 0 },
+      { name: 'a', scope: 'team', target: 'support', project: 'project-x', amount: 10, period: 'yearly', thresholds: [] },
+      { scope: 'cluster', amount: 10, thresholds: [-5] },
+      'budget'
+    ], ['project-a'], ['sales'])).toEqual([
+      "Budget at index 0 has scope 'project' but no 'project'",
+      "Budget at index 0 has 'amount' that is not a positive number",
+      'Budget at index 1 has a duplicate name: a',
+      'Budget at index 1 refers to an unknown team: support',
+      'Budget at index 1 refers to an unknown project: project-x',
+      'Budget at index 1 has an invalid period, must be one of: daily, weekly, monthly',
+      "Budget at index 1 has 'thresholds' that is not a non-empty array",
+      "Budget at index 2 is missing required 'name' field",
+      'Budget at index 2 has an invalid scope, must be one of: project, dataset, user, label, team',
+      'Budget at index 2 has thresholds that are not positive percentages',
+      'Budget at index 3 must be an object'
+    ]);
+    expect(validateBudgets({})).toEqual(['budgets must be an array']);
+  });
+});
@@ -0,0 +1,122 @@
+const {
+  TimeoutError,
+  isTransientBigQueryError,
+  retryWithBackoff,
+  withTimeout,
+  mapWithConcurrency,
+  sleep
+} = require('../../src/common/concurrency');
+
+/**
+ * Build an error as the BigQuery client raises it
+ * @param {string} message - Error message
+ * @param {Object} [fields] - Fields such as code, reason or errors
+ * @returns {Error} - Error
+ */
+function clientError(message, fields = {}) {
+  return Object.assign(new Error(message), fields);
+}
+
+describe('isTransientBigQueryError', () => {
+  test('retries rate limits, backend errors and 5xx responses', () => {
+    expect(isTransientBigQueryError(clientError('Too many', { errors: [{ reason: 'rateLimitExceeded' }] }))).toBe(true);
+    expect(isTransientBigQueryError(clientError('Oops', { reason: 'backendError' }))).toBe(true);
+    expect(isTransientBigQueryError(clientError('Unavailable', { code: 503 }))).toBe(true);
+    expect(isTransientBigQueryError(clientError('Exceeded rate limits: jobRateLimitExceeded'))).toBe(true);
+  });
+
+  test('does not retry permanent errors or timeouts', () => {
+    expect(isTransientBigQueryError(clientError('Access Denied', { code: 403, errors: [{ reason: 'accessDenied' }] }))).toBe(false);
+    expect(isTransientBigQueryError(clientError('Syntax error', { code: 400, errors: [{ reason: 'invalidQuery' }] }))).toBe(false);
+    expect(isTransientBigQueryError(new TimeoutError('rateLimitExceeded'))).toBe(false);
+    expect(isTransientBigQueryError(null)).toBe(false);
+  });
+});
+
+describe('retryWithBackoff', () => {
+  test('retries transient failures until the function succeeds', async () => {
+    const onRetry = jest.fn();
+    const fn = jest.fn()
+      .mockRejectedValueOnce(clientError('Unavailable', { code: 503 }))
+      .mockRejectedValueOnce(clientError('Too many', { reason: 'rateLimitExceeded' }))
+      .mockResolvedValue('rows');
+
+    await expect(retryWithBackoff(fn, { retries: 3, baseDelayMs: 1, onRetry })).resolves.toBe('rows');
+
+    expect(fn.mock.calls).toEqual([[1], [2], [3]]);
+    expect(onRetry.mock.calls.map(([error, attempt]) => [error.message, attempt])).toEqual([
+      ['Unavailable', 1],
+      ['Too many', 2]
+    ]);
+  });
+
+  test('doubles the delay on each retry, with jitter and an upper bound', async () => {
+    const delays = [];
+    const fn = jest.fn().mockRejectedValue(clientError('Unavailable', { code: 503 }));
+
+    await expect(retryWithBackoff(fn, {
+      retries: 3,
+      baseDelayMs: 4,
+      maxDelayMs: 10,
+      onRetry: (error, attempt, delayMs) => delays.push(delayMs)
+    })).rejects.toThrow('Unavailable');
+
+    expect(fn).toHaveBeenCalledTimes(4);
+    expect(delays[0]).toBeGreaterThanOrEqual(2);
+    expect(delays[0]).toBeLessThanOrEqual(4);
+    expect(delays[1]).toBeGreaterThanOrEqual(4);
+    expect(delays[1]).toBeLessThanOrEqual(8);
+    expect(delays[2]).toBeGreaterThanOrEqual(5);
+    expect(delays[2]).toBeLessThanOrEqual(10);
+  });
+
+  test('gives up at once on a permanent error', async () => {
+    const fn = jest.fn().mockRejectedValue(clientError('Access Denied', { errors: [{ reason: 'accessDenied' }] }));
+
+    await expect(retryWithBackoff(fn, { retries: 3, baseDelayMs: 1 })).rejects.toThrow('Access Denied');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('uses the given predicate to decide what is retried', async () => {
+    const fn = jest.fn().mockRejectedValueOnce(new Error('flaky')).mockResolvedValue('done');
+
+    await expect(retryWithBackoff(fn, { retries: 1, baseDelayMs: 1, isRetryable: () => true })).resolves.toBe('done');
+  });
+});
+
+describe('withTimeout', () => {
+  test('resolves with the promise when it settles in time', async () => {
+    await expect(withTimeout(Promise.resolve('rows'), 1000, 'Too slow')).resolves.toBe('rows');
+    await expect(withTimeout(Promise.reject(new Error('Failed')), 1000, 'Too slow')).rejects.toThrow('Failed');
+  });
+
+  test('rejects with a TimeoutError when the promise takes too long', async () => {
+    const promise = withTimeout(sleep(200), 10, 'Too slow');
+
+    await expect(promise).rejects.toThrow(TimeoutError);
+    await expect(promise).rejects.toThrow('Too slow');
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  test('keeps the order of the items and never runs more than the limit at once', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    const results = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async (ms, index) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(ms);
+      running--;
+      return `${index}:${ms}`;
+    });
+
+    expect(results).toEqual(['0:30', '1:5', '2:20', '3:1', '4:10']);
+    expect(maxRunning).toBe(2);
+  });
+
+  test('runs at least one worker and handles no items', async () => {
+    await expect(mapWithConcurrency([1, 2], 0, async item => item * 2)).resolves.toEqual([2, 4]);
+    await expect(mapWithConcurrency([], 4, async item => item)).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,219 @@
+jest.mock('../../src/common/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const {
+  loadConfig,
+  parseConfig,
+  parseConfigContent,
+  serializeConfig,
+  validateConfig,
+  ConfigError,
+  DEFAULT_CONFIG
+} = require('../../src/common/config-loader');
+const { validateSchema } = require('../../src/common/json-schema');
+const { resolveAnomalySettings } = require('../../src/common/anomalies');
+const { resolveForecastSettings } = require('../../src/common/forecasting');
+
+const YAML_CONFIG = `
+# Projects to monitor
+projects:
+  - id: project-a
+    name: Project A
+    anomalies:
+      sensitivity: 4
+  - id: project-b
+    name: Project B
+settings:
+  historyDays: 60
+  anomalies:
+    sensitivity: 2
+    minCostUsd: 5
+`;
+
+/**
+ * Parse a configuration, returning its errors
+ * @param {Object} document - Configuration document
+ * @returns {string[]} - Errors of the ConfigError raised, or none
+ */
+function configErrors(document) {
+  try {
+    parseConfig(JSON.stringify(document), 'projects.json', {});
+    return [];
+  } catch (error) {
+    expect(error).toBeInstanceOf(ConfigError);
+    return error.errors;
+  }
+}
+
+describe('parseConfig', () => {
+  test('reads YAML and applies the defaults', () => {
+    const config = parseConfig(YAML_CONFIG, 'projects.yaml', {});
+
+    expect(config.projects.map(project => project.id)).toEqual(['project-a', 'project-b']);
+    expect(config.settings).toMatchObject({ historyDays: 60, refreshInterval: 24 });
+    expect(config.budgets).toEqual([]);
+    expect(config.auth).toEqual({ enabled: false, providers: [], roles: [] });
+  });
+
+  test('reads JSON with JSON\'s error messages', () => {
+    expect(() => parseConfig('{"projects": [', 'projects.json', {})).toThrow(/^Failed to parse configuration projects\.json: .*JSON/);
+  });
+
+  test('reports YAML syntax errors with the file name', () => {
+    expect(() => parseConfig('projects:\n  - id: a\n   name: b', 'projects.yaml', {})).toThrow(/Failed to parse configuration projects\.yaml: .*projects\.yaml/);
+  });
+
+  test('treats an empty YAML file as an empty configuration', () => {
+    expect(parseConfigContent('', 'projects.yaml')).toEqual({});
+    expect(parseConfig('', 'projects.yaml', {}).projects).toEqual([]);
+  });
+
+  test('rejects a file that is not an object', () => {
+    expect(() => parseConfig('- project-a', 'projects.yaml', {})).toThrow(new ConfigError('Invalid configuration projects.yaml', ['config must be an object']));
+  });
+
+  describe('environment variables', () => {
+    const content = JSON.stringify({
+      projects: [{ id: '${PROJECT_ID}', name: 'Project ${ENVIRONMENT:-dev}' }],
+      notifications: { channels: [{ name: 'ops', type: 'slack', url: 'https://hooks.slack.com/services/${SLACK_WEBHOOK}' }] }
+    });
+
+    test('replaces references in strings', () => {
+      const config = parseConfig(content, 'projects.json', { PROJECT_ID: 'project-a', ENVIRONMENT: 'prod', SLACK_WEBHOOK: 'T000/B000/abc' });
+
+      expect(config.projects[0]).toEqual({ id: 'project-a', name: 'Project prod' });
+      expect(config.notifications.channels[0].url).toBe('https://hooks.slack.com/services/T000/B000/abc');
+    });
+
+    test('uses the default of unset or empty variables', () => {
+      const config = parseConfig(content, 'projects.json', { PROJECT_ID: 'project-a', ENVIRONMENT: '', SLACK_WEBHOOK: 'T000/B000/abc' });
+
+      expect(config.projects[0].name).toBe('Project dev');
+    });
+
+    test('names the path of an unset variable', () => {
+      expect(() => parseConfig(content, 'projects.json', { PROJECT_ID: 'project-a' })).toThrow(new ConfigError('Invalid configuration projects.json', [
+        'Environment variable SLACK_WEBHOOK referenced in projects.json (at notifications.channels[0].url) is not set'
+      ]));
+    });
+
+    test('validates the interpolated values', () => {
+      expect(() => parseConfig(content, 'projects.json', { PROJECT_ID: '', SLACK_WEBHOOK: 'T000/B000/abc' })).toThrow(new ConfigError('Invalid configuration projects.json', [
+        'projects[0].id must not be empty'
+      ]));
+    });
+  });
+
+  describe('per-project overrides', () => {
+    test('keeps project settings over the global ones', () => {
+      const config = parseConfig(YAML_CONFIG, 'projects.yaml', {});
+      const [projectA, projectB] = config.projects;
+
+      expect(resolveAnomalySettings(projectA, config.settings)).toMatchObject({ sensitivity: 4, minCostUsd: 5 });
+      expect(resolveAnomalySettings(projectB, config.settings)).toMatchObject({ sensitivity: 2, minCostUsd: 5 });
+      expect(resolveForecastSettings(projectA, config.settings)).toEqual(resolveForecastSettings({}, {}));
+    });
+
+    test('validates project settings with the path of the project', () => {
+      expect(configErrors({
+        projects: [
+          { id: 'project-a', name: 'Project A', pricing: { model: 'flat' }, anomalies: { sensitivity: 0 } },
+          { id: 'project-b', name: 'Project B', forecast: { confidence: 0.5 } }
+        ]
+      })).toEqual([
+        'projects[0].pricing.model must be one of: on-demand, capacity',
+        'projects[0].anomalies.sensitivity must be greater than 0',
+        'projects[1].forecast.confidence must be one of: 0.8, 0.9, 0.95, 0.99'
+      ]);
+    });
+
+    test('rejects duplicate projects', () => {
+      expect(configErrors({ projects: [{ id: 'project-a', name: 'A' }, { id: 'project-a', name: 'B' }] })).toEqual([
+        'Project at index 1 has a duplicate id: project-a'
+      ]);
+    });
+  });
+
+  describe('schema errors', () => {
+    test('reports every violation with its path', () => {
+      expect(configErrors({
+        projects: [{ id: 'project-a', name: 7, colour: 'blue' }, { name: 'Project B' }],
+        settings: { historyDays: 'thirty' }
+      })).toEqual([
+        'projects[0].colour is not a known field',
+        'projects[0].name must be a string',
+        "projects[1] is missing required 'id' field",
+        'settings.historyDays must be an integer'
+      ]);
+    });
+
+    test('reports unknown keys of keyed objects', () => {
+      expect(configErrors({ projects: [], notifications: { channels: [], templates: { digest: { title: 'x' } } } })).toEqual([
+        'notifications.templates has an invalid key: digest'
+      ]);
+    });
+
+    test('quotes keys that are not identifiers', () => {
+      expect(validateSchema({
+        type: 'object',
+        properties: { regions: { type: 'object', additionalProperties: { type: 'number' } } }
+      }, { regions: { 'us east': 'cheap' } })).toEqual(['regions["us east"] must be a number']);
+    });
+
+    test('describes the root value as config', () => {
+      expect(validateSchema({ type: 'object', required: ['projects'] }, {})).toEqual(["config is missing required 'projects' field"]);
+    });
+
+    test('skips the semantic checks of a file that breaks the schema', () => {
+      expect(validateConfig({ ...DEFAULT_CONFIG, projects: 'project-a' })).toEqual({
+        valid: false,
+        errors: ['projects must be an array']
+      });
+    });
+  });
+});
+
+describe('loadConfig', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bqcm-config-'));
+  });
+
+  afterEach(() => {
+    fs.removeSync(dir);
+  });
+
+  test('loads a YAML file', () => {
+    const filePath = path.join(dir, 'projects.yml');
+    fs.writeFileSync(filePath, YAML_CONFIG);
+
+    expect(loadConfig(filePath, {}).settings.historyDays).toBe(60);
+  });
+
+  test('fails when an explicit file is missing', () => {
+    expect(() => loadConfig(path.join(dir, 'missing.json'), {})).toThrow(ConfigError);
+  });
+
+  test('fails on an invalid file rather than monitoring nothing', () => {
+    const filePath = path.join(dir, 'projects.json');
+    fs.writeJsonSync(filePath, { projects: [{ id: 'project-a' }] });
+
+    expect(() => loadConfig(filePath, {})).toThrow(`Invalid configuration ${filePath}:\n- projects[0] is missing required 'name' field`);
+  });
+});
+
+describe('serializeConfig', () => {
+  test('writes the format of the file extension', () => {
+    const document = { projects: [{ id: 'project-a', name: 'Project A' }] };
+
+    expect(JSON.parse(serializeConfig(document, 'projects.json'))).toEqual(document);
+    expect(parseConfigContent(serializeConfig(document, 'projects.yaml'), 'projects.yaml')).toEqual(document);
+    expect(serializeConfig(document, 'projects.yaml')).toContain('- id: project-a');
+  });
+});
@@ -0,0 +1,191 @@
+const { parseCostQuery, filterCostRows, groupCostRows, diffCostRows } = require('../../src/common/cost-aggregation');
+
+/**
+ * Build a daily cost row with its dataset breakdown
+ * @param {string} date - Day of the row
+ * @param {string} user - User email
+ * @param {Object} datasetCosts - Cost per dataset
+ * @returns {Object} - Cost row
+ */
+function costRow(date, user, datasetCosts) {
+  const datasets = Object.entries(datasetCosts);
+
+  return {
+    date,
+    user_email: user,
+    estimated_cost_usd: datasets.reduce((sum, [, cost]) => sum + cost, 0),
+    query_count: datasets.length,
+    dataset_costs: datasets.map(([dataset, cost]) => ({ dataset, dataset_cost_usd: cost, query_count: 1 }))
+  };
+}
+
+describe('parseCostQuery', () => {
+  test('accepts the filters, a grouping and a label key', () => {
+    const parsed = parseCostQuery({
+      from: '2026-03-01',
+      to: '2026-03-08',
+      user: 'alice@example.com',
+      dataset: 'sales',
+      groupBy: 'date',
+      labelKey: 'team'
+    });
+
+    expect(parsed).toEqual({
+      filters: { from: '2026-03-01', to: '2026-03-08', user: 'alice@example.com', dataset: 'sales' },
+      groupBy: 'date',
+      labelKey: 'team',
+      errors: []
+    });
+  });
+
+  test('treats empty parameters as absent', () => {
+    expect(parseCostQuery({ from: '', user: '' })).toEqual({ filters: {}, groupBy: null, labelKey: null, errors: [] });
+  });
+
+  test('rejects dates that are not calendar dates in YYYY-MM-DD format', () => {
+    expect(parseCostQuery({ from: '2026-3-1' }).errors).toEqual(['from must be a date in YYYY-MM-DD format']);
+    expect(parseCostQuery({ to: '2026-02-30' }).errors).toEqual(['to must be a date in YYYY-MM-DD format']);
+  });
+
+  test('rejects a range that ends before it starts', () => {
+    expect(parseCostQuery({ from: '2026-03-08', to: '2026-03-01' }).errors).toEqual(['from must not be after to']);
+  });
+
+  test('rejects an unknown grouping', () => {
+    expect(parseCostQuery({ groupBy: 'week' }).errors).toEqual([
+      'groupBy must be one of: date, user, dataset, table, hour, label, team, costCenter'
+    ]);
+  });
+
+  test('rejects parameters given more than once', () => {
+    const { filters, errors } = parseCostQuery({ from: ['2026-03-01', '2026-03-02'], groupBy: ['date', 'user'], user: ['a', 'b'] });
+
+    expect(filters).toEqual({});
+    expect(errors).toEqual(['from must be specified once', 'groupBy must be specified once', 'user must be specified once']);
+  });
+
+  test('checks the label key and what it can be combined with', () => {
+    expect(parseCostQuery({ labelKey: 'Team Name' }).errors).toEqual(['labelKey must be a label key']);
+    expect(parseCostQuery({ labelKey: 'team', groupBy: 'table' }).errors).toEqual([
+      'labelKey can only split groupBy date, user, dataset, label'
+    ]);
+    expect(parseCostQuery({ labelKey: 'team', table: 'sales.orders' }).errors).toEqual([
+      'labelKey cannot be combined with a table filter'
+    ]);
+    expect(parseCostQuery({ groupBy: 'label' }).errors).toEqual(['groupBy label requires a labelKey']);
+  });
+
+  test('only rejects unknown parameters when told which other ones the endpoint accepts', () => {
+    expect(parseCostQuery({ dimension: 'user' }).errors).toEqual([]);
+    expect(parseCostQuery({ dimension: 'user', asOf: 'run-1' }, { otherParams: ['asOf'] }).errors).toEqual([
+      'Unknown parameter dimension, expected one of: from, to, user, serviceAccount, dataset, table, groupBy, labelKey, asOf'
+    ]);
+  });
+});
+
+describe('diffCostRows', () => {
+  test('reports the changed, added and removed groups, largest change first', () => {
+    const base = [
+      costRow('2026-03-01', 'alice@example.com', { 'p.sales': 10, 'p.logs': 2 }),
+      costRow('2026-03-01', 'bob@example.com', { 'p.sales': 3 })
+    ];
+    const compare = [
+      costRow('2026-03-01', 'alice@example.com', { 'p.sales': 10, 'p.marketing': 7 }),
+      costRow('2026-03-02', 'carol@example.com', { 'p.sales': 1 })
+    ];
+
+    const diff = diffCostRows(base, compare);
+
+    expect(diff.totals).toEqual({ base_cost_usd: 15, compare_cost_usd: 18, change_usd: 3 });
+    expect(diff.users).toEqual([
+      { user: 'alice@example.com', base_cost_usd: 12, compare_cost_usd: 17, change_usd: 5, change_percent: 41.7, status: 'changed' },
+      { user: 'bob@example.com', base_cost_usd: 3, compare_cost_usd: 0, change_usd: -3, change_percent: -100, status: 'removed' },
+      { user: 'carol@example.com', base_cost_usd: 0, compare_cost_usd: 1, change_usd: 1, change_percent: null, status: 'added' }
+    ]);
+    expect(diff.datasets.map(change => [change.dataset, change.change_usd, change.status])).toEqual([
+      ['p.marketing', 7, 'added'],
+      ['p.sales', -2, 'changed'],
+      ['p.logs', -2, 'removed']
+    ]);
+    expect(diff.tables).toEqual([]);
+  });
+
+  test('leaves out groups whose cost did not change', () => {
+    const rows = [costRow('2026-03-01', 'alice@example.com', { 'p.sales': 4 })];
+
+    expect(diffCostRows(rows, rows)).toEqual({
+      totals: { base_cost_usd: 4, compare_cost_usd: 4, change_usd: 0 },
+      users: [],
+      datasets: [],
+      tables: []
+    });
+  });
+});
+
+describe('label attribution', () => {
+  // Alice's day is split by her jobs' team label, Bob's was collected before the key was
+  const rows = [
+    {
+      date: '2026-03-01',
+      user_email: 'alice@example.com',
+      estimated_cost_usd: 10,
+      query_count: 4,
+      total_bytes_billed: 1000,
+      dataset_costs: [
+        { dataset: 'p.sales', dataset_cost_usd: 6, query_count: 2 },
+        { dataset: 'p.logs', dataset_cost_usd: 4, query_count: 2 }
+      ],
+      label_costs: [
+        { label_key: 'team', label_value: 'sales', label_cost_usd: 6, query_count: 3, dataset_costs: [{ dataset: 'p.sales', dataset_cost_usd: 6, query_count: 2 }] },
+        { label_key: 'team', label_value: 'unlabelled', label_cost_usd: 4, query_count: 1, dataset_costs: [{ dataset: 'p.logs', dataset_cost_usd: 4, query_count: 1 }] }
+      ]
+    },
+    {
+      date: '2026-03-02',
+      user_email: 'bob@example.com',
+      estimated_cost_usd: 5,
+      query_count: 1,
+      total_bytes_billed: 500,
+      dataset_costs: [{ dataset: 'p.sales', dataset_cost_usd: 5, query_count: 1 }]
+    }
+  ];
+
+  const summarize = groups => groups.map(group => [group.date || group.user || group.dataset, group.label_value, group.estimated_cost_usd]);
+
+  test('splits each day by label value, counting rows without the key as unlabelled', () => {
+    expect(summarize(groupCostRows(rows, 'date', {}, 'team'))).toEqual([
+      ['2026-03-01', 'sales', 6],
+      ['2026-03-01', 'unlabelled', 4],
+      ['2026-03-02', 'unlabelled', 5]
+    ]);
+  });
+
+  test('shares the bytes of a row between its label values', () => {
+    const groups = groupCostRows(rows, 'label', {}, 'team');
+
+    expect(groups.map(group => [group.label_key, group.label_value, group.estimated_cost_usd, group.total_bytes_billed, group.query_count])).toEqual([
+      ['team', 'unlabelled', 9, 900, 2],
+      ['team', 'sales', 6, 600, 3]
+    ]);
+  });
+
+  test('splits users and datasets by label value', () => {
+    expect(summarize(groupCostRows(rows, 'user', {}, 'team'))).toEqual([
+      ['alice@example.com', 'sales', 6],
+      ['bob@example.com', 'unlabelled', 5],
+      ['alice@example.com', 'unlabelled', 4]
+    ]);
+    expect(summarize(groupCostRows(rows, 'dataset', {}, 'team'))).toEqual([
+      ['p.sales', 'sales', 6],
+      ['p.sales', 'unlabelled', 5],
+      ['p.logs', 'unlabelled', 4]
+    ]);
+  });
+
+  test('only counts the cost a label value spent on the filtered dataset', () => {
+    const filters = { dataset: 'logs' };
+
+    expect(groupCostRows(filterCostRows(rows, filters), 'label', filters, 'team').map(group => [group.label_value, group.estimated_cost_usd]))
+      .toEqual([['unlabelled', 4]]);
+  });
+});
@@ -0,0 +1,213 @@
+const {
+  ensureMetricDescriptors,
+  publishCostMetrics,
+  METRICS
+} = require('../../src/common/custom-metrics');
+
+const DATE = '2026-03-02';
+const NOW = new Date('2026-03-02T12:00:00Z');
+
+/**
+ * Build a MetricServiceClient stub that records its calls
+ * @returns {Object} - Stub client with a `calls` array
+ */
+function stubClient() {
+  const client = {
+    calls: [],
+    projectPath: projectId => `projects/${projectId}`,
+    createTimeSeries: async request => {
+      client.calls.push({ method: 'createTimeSeries', request });
+      return [{}];
+    },
+    createMetricDescriptor: async request => {
+      client.calls.push({ method: 'createMetricDescriptor', request });
+      return [request.metricDescriptor];
+    }
+  };
+  return client;
+}
+
+/**
+ * Collect the series written to a client
+ * @param {Object} client - Stub client
+ * @returns {Array} - Time series of all createTimeSeries calls
+ */
+function writtenSeries(client) {
+  return client.calls
+    .filter(call => call.method === 'createTimeSeries')
+    .flatMap(call => call.request.timeSeries);
+}
+
+/**
+ * Find the series of a metric, keyed by one of their labels
+ * @param {Array} series - Time series
+ * @param {Object} metric - Metric from METRICS
+ * @param {string} label - Label to key the values by
+ * @returns {Object} - Map of label value to point value
+ */
+function valuesBy(series, metric, label) {
+  const values = {};
+  series.filter(item => item.metric.type === metric.type).forEach(item => {
+    const value = item.points[0].value;
+    values[item.metric.labels[label]] = value.doubleValue !== undefined ? value.doubleValue : value.int64Value;
+  });
+  return values;
+}
+
+describe('ensureMetricDescriptors', () => {
+  test('creates a gauge descriptor for every metric in the monitoring project', async () => {
+    const client = stubClient();
+
+    const types = await ensureMetricDescriptors(client, 'monitoring-project');
+
+    expect(types).toEqual(Object.values(METRICS).map(metric => metric.type));
+    expect(client.calls).toHaveLength(Object.keys(METRICS).length);
+    client.calls.forEach(call => {
+      expect(call.method).toBe('createMetricDescriptor');
+      expect(call.request.name).toBe('projects/monitoring-project');
+      expect(call.request.metricDescriptor.metricKind).toBe('GAUGE');
+    });
+
+    const userDescriptor = client.calls
+      .map(call => call.request.metricDescriptor)
+      .find(descriptor => descriptor.type === METRICS.userCost.type);
+    expect(userDescriptor.unit).toBe('USD');
+    expect(userDescriptor.labels.map(label => label.key)).toEqual(['project_id', 'principal']);
+  });
+});
+
+describe('publishCostMetrics', () => {
+  const rows = {
+    'project-a': [
+      {
+        date: DATE,
+        user_email: 'alice@example.com',
+        estimated_cost_usd: 10,
+        total_bytes_billed: 1000,
+        dataset_costs: [
+          { dataset: 'project-a.sales', dataset_cost_usd: 6 },
+          { dataset: 'project-a.events', dataset_cost_usd: 4 }
+        ]
+      },
+      {
+        date: DATE,
+        user_email: 'bob@example.com',
+        estimated_cost_usd: 5,
+        total_bytes_billed: 500,
+        dataset_costs: [{ dataset: 'project-a.logs', dataset_cost_usd: 5 }]
+      },
+      {
+        date: DATE,
+        service_account: 'etl@project-a.iam.gserviceaccount.com',
+        user_email: 'ignored@example.com',
+        estimated_cost_usd: 2,
+        total_bytes_billed: 200,
+        dataset_costs: [{ dataset: 'project-a.tmp', dataset_cost_usd: 2 }]
+      },
+      {
+        date: DATE,
+        user_email: 'carol@example.com',
+        estimated_cost_usd: 1,
+        total_bytes_billed: 100,
+        dataset_costs: []
+      },
+      // Rows of other days are not part of today's value
+      { date: '2026-03-01', user_email: 'alice@example.com', estimated_cost_usd: 100, total_bytes_billed: 99999 }
+    ],
+    'project-b': [
+      { date: DATE, user_email: 'dave@example.com', estimated_cost_usd: 3, total_bytes_billed: 300, dataset_costs: [] }
+    ]
+  };
+  const loadRows = projectId => rows[projectId];
+
+  test('publishes the top users and datasets and folds the rest into "other"', async () => {
+    const client = stubClient();
+
+    const result = await publishCostMetrics(['project-a'], loadRows, client, {
+      date: DATE,
+      now: NOW,
+      maxUsers: 2,
+      maxDatasets: 2
+    });
+
+    const series = writtenSeries(client);
+    expect(result).toEqual({ written: series.length, projects: { 'project-a': series.length } });
+
+    expect(valuesBy(series, METRICS.projectCost, 'project_id')).toEqual({ 'project-a': 18 });
+    expect(valuesBy(series, METRICS.bytesBilled, 'project_id')).toEqual({ 'project-a': 1800 });
+    expect(valuesBy(series, METRICS.userCost, 'principal')).toEqual({
+      'alice@example.com': 10,
+      'bob@example.com': 5,
+      other: 3
+    });
+    expect(valuesBy(series, METRICS.datasetCost, 'dataset')).toEqual({
+      'project-a.sales': 6,
+      'project-a.logs': 5,
+      other: 6
+    });
+
+    series.forEach(item => {
+      expect(item.resource).toEqual({ type: 'global', labels: { project_id: 'project-a' } });
+      expect(item.points[0].interval.endTime.seconds).toBe(Math.floor(NOW.getTime() / 1000));
+    });
+  });
+
+  test('publishes every user and dataset without an "other" series when all fit', async () => {
+    const client = stubClient();
+
+    await publishCostMetrics(['project-a'], loadRows, client, { date: DATE, now: NOW });
+
+    const series = writtenSeries(client);
+    expect(Object.keys(valuesBy(series, METRICS.userCost, 'principal'))).toEqual([
+      'alice@example.com',
+      'bob@example.com',
+      'etl@project-a.iam.gserviceaccount.com',
+      'carol@example.com'
+    ]);
+    expect(valuesBy(series, METRICS.datasetCost, 'dataset')).not.toHaveProperty('other');
+  });
+
+  test('writes each project to itself by default and to the configured project otherwise', async () => {
+    const ownClient = stubClient();
+    const own = await publishCostMetrics(['project-a', 'project-b'], loadRows, ownClient, { date: DATE, now: NOW });
+
+    expect(Object.keys(own.projects)).toEqual(['project-a', 'project-b']);
+    expect(ownClient.calls.map(call => call.request.name)).toEqual(['projects/project-a', 'projects/project-b']);
+
+    const sharedClient = stubClient();
+    const shared = await publishCostMetrics(['project-a', 'project-b'], loadRows, sharedClient, {
+      date: DATE,
+      now: NOW,
+      project: 'monitoring-project'
+    });
+
+    expect(shared.projects).toEqual({ 'monitoring-project': shared.written });
+    expect(sharedClient.calls.map(call => call.request.name)).toEqual(['projects/monitoring-project']);
+    expect(valuesBy(writtenSeries(sharedClient), METRICS.projectCost, 'project_id')).toEqual({
+      'project-a': 18,
+      'project-b': 3
+    });
+  });
+
+  test('splits large writes into batches of at most 200 series', async () => {
+    const manyRows = {
+      'project-a': Array.from({ length: 250 }, (_, index) => ({
+        date: DATE,
+        user_email: `user${index}@example.com`,
+        estimated_cost_usd: index + 1,
+        total_bytes_billed: 1
+      }))
+    };
+    const client = stubClient();
+
+    const result = await publishCostMetrics(['project-a'], projectId => manyRows[projectId], client, {
+      date: DATE,
+      now: NOW,
+      maxUsers: 1000
+    });
+
+    // Project cost, bytes billed and one series per user
+    expect(result.written).toBe(252);
+    expect(client.calls.map(call => call.request.timeSeries.length)).toEqual([200, 52]);
+  });
+});
@@ -0,0 +1,281 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/common/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const {
+  buildDigest,
+  digestPeriod,
+  renderDigestHtml,
+  renderDigestText,
+  resolveTemplate,
+  sendDigests,
+  DigestState
+} = require('../../src/common/digests');
+const { compileTeamMapping } = require('../../src/common/teams');
+const { startSmtpSink } = require('../helpers/smtp-sink');
+const { DIGEST_DATE, ROWS, loadRows, buildConfig } = require('../helpers/digest-fixtures');
+
+// Monday after the digest date, when weekly digests are due by default
+const MONDAY = new Date('2026-03-09T06:00:00Z');
+const TUESDAY = new Date('2026-03-10T06:00:00Z');
+
+describe('digestPeriod', () => {
+  test('compares daily and weekly periods with the same days a week earlier', () => {
+    expect(digestPeriod('daily', DIGEST_DATE)).toEqual({
+      period: { start: '2026-03-08', end: '2026-03-08' },
+      previous_period: { start: '2026-03-01', end: '2026-03-01' }
+    });
+    expect(digestPeriod('weekly', DIGEST_DATE)).toEqual({
+      period: { start: '2026-03-02', end: '2026-03-08' },
+      previous_period: { start: '2026-02-23', end: '2026-03-01' }
+    });
+  });
+});
+
+describe('buildDigest', () => {
+  const config = buildConfig();
+  const mapping = compileTeamMapping(config.teams);
+
+  test('summarizes every project of a subscription', () => {
+    const digest = buildDigest(config.digests.subscriptions[0], ROWS, { date: DIGEST_DATE, mapping, now: MONDAY });
+
+    expect(digest).toMatchObject({
+      title: 'Daily BigQuery cost digest: all-daily',
+      projects: ['project-a', 'project-b'],
+      teams: null,
+      total_usd: 150,
+      previous_total_usd: 25,
+      change_usd: 125,
+      change_percent: 500,
+      query_count: 17,
+      cache_hit_rate: 23.5,
+      previous_cache_hit_rate: 100
+    });
+    expect(digest.top_spenders.map(spender => [spender.principal, spender.cost_usd])).toEqual([
+      ['etl@project-b.iam.gserviceaccount.com', 100],
+      ['alice@analytics.example.com', 40],
+      ['bob@example.com', 10]
+    ]);
+    expect(digest.top_queries.map(query => [query.job_id, query.project])).toEqual([
+      ['job-b1', 'project-b'],
+      ['job-a1', 'project-a']
+    ]);
+    expect(digest.movers[0]).toMatchObject({ change_usd: 100, previous_cost_usd: 0, change_percent: null });
+  });
+
+  test('only counts the cost assigned to the teams of a subscription', () => {
+    const digest = buildDigest(config.digests.subscriptions[2], ROWS, { date: DIGEST_DATE, mapping, now: MONDAY });
+
+    expect(digest.teams).toEqual(['analytics']);
+    expect(digest.total_usd).toBe(75);
+    expect(digest.previous_total_usd).toBe(25);
+    expect(digest.top_spenders.map(spender => spender.principal)).toEqual([
+      'alice@analytics.example.com',
+      'carol@analytics.example.com'
+    ]);
+    expect(digest.top_queries.map(query => query.job_id)).toEqual(['job-a1']);
+  });
+
+  test('limits the top lists to topN entries', () => {
+    const digest = buildDigest(config.digests.subscriptions[0], ROWS, { date: DIGEST_DATE, mapping, topN: 1 });
+
+    expect(digest.top_spenders).toHaveLength(1);
+    expect(digest.movers).toHaveLength(1);
+    expect(digest.top_queries).toHaveLength(1);
+  });
+});
+
+describe('rendering', () => {
+  const config = buildConfig();
+  const mapping = compileTeamMapping(config.teams);
+
+  test.each(['daily', 'weekly'])('renders the built-in %s template', frequency => {
+    const subscription = { name: `team-${frequency}`, frequency };
+    const digest = buildDigest(subscription, ROWS, { date: DIGEST_DATE, mapping, now: MONDAY });
+
+    const html = renderDigestHtml(digest, resolveTemplate(subscription));
+    const text = renderDigestText(digest);
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain(`<title>${digest.title}</title>`);
+    expect(html).toContain('etl@project-b.iam.gserviceaccount.com');
+    expect(html).toMatch(frequency === 'daily'
+      ? /2026-03-08,\s+compared with 2026-03-01/
+      : /2026-03-02 to 2026-03-08,\s+compared with 2026-02-23 to 2026-03-01/);
+    expect(text.split('\n')[0]).toBe(digest.title);
+    expect(text).toContain(`Cost: $${digest.total_usd.toFixed(2)}`);
+  });
+
+  test('prefers a subscription template, then the templates directory, then the built-in one', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bqcm-digest-templates-'));
+
+    try {
+      fs.writeFileSync(path.join(dir, 'weekly.pug'), 'extends /layout\n\nblock content\n  p#custom Custom weekly #{formatUsd(digest.total_usd)}\n');
+
+      expect(resolveTemplate({ frequency: 'daily', template: path.join(dir, 'own.pug') }, { templatesDir: dir })).toBe(path.join(dir, 'own.pug'));
+      expect(resolveTemplate({ frequency: 'weekly' }, { templatesDir: dir })).toBe(path.join(dir, 'weekly.pug'));
+      expect(path.basename(resolveTemplate({ frequency: 'daily' }, { templatesDir: dir }))).toBe('daily.pug');
+      expect(resolveTemplate({ frequency: 'daily' }, { templatesDir: dir })).not.toContain(dir);
+
+      const digest = buildDigest({ name: 'custom', frequency: 'weekly' }, ROWS, { date: DIGEST_DATE, mapping });
+      const html = renderDigestHtml(digest, resolveTemplate({ frequency: 'weekly' }, { templatesDir: dir }));
+      expect(html).toContain('<p id="custom">Custom weekly $185.00</p>');
+      expect(html).toContain(`<title>${digest.title}</title>`);
+    } finally {
+      fs.removeSync(dir);
+    }
+  });
+});
+
+describe('sendDigests', () => {
+  let sink;
+  let config;
+  let mapping;
+
+  beforeEach(async () => {
+    sink = await startSmtpSink();
+    config = buildConfig({ host: sink.host, port: sink.port, ignoreTLS: true });
+    mapping = compileTeamMapping(config.teams);
+  });
+
+  afterEach(async () => {
+    await sink.close();
+  });
+
+  /**
+   * Find the message a subscription was sent in
+   * @param {string} name - Subscription name
+   * @returns {Object} - Message received by the sink
+   */
+  const messageOf = name => sink.messages.find(message => message.subject.endsWith(`: ${name}`));
+
+  test('renders and sends every digest type to its recipients', async () => {
+    const deliveries = await sendDigests(config, { date: DIGEST_DATE, loadRows, mapping, now: MONDAY });
+
+    expect(deliveries).toEqual([
+      { subscription: 'all-daily', delivery: 'smtp', status: 'sent', recipients: ['finops@example.com'] },
+      { subscription: 'project-b-weekly', delivery: 'smtp', status: 'sent', recipients: ['b-lead@example.com', 'b-ops@example.com'] },
+      { subscription: 'analytics-weekly', delivery: 'smtp', status: 'sent', recipients: ['analytics-lead@example.com'] }
+    ]);
+    expect(sink.messages).toHaveLength(3);
+
+    const daily = messageOf('all-daily');
+    expect(daily.from).toBe('monitor@example.com');
+    expect(daily.to).toEqual(['finops@example.com']);
+    expect(daily.subject).toBe('Daily BigQuery cost digest: all-daily');
+    expect(daily.text).toContain('Cost: $150.00 (+$125.00)');
+    expect(daily.html).toContain('<title>Daily BigQuery cost digest: all-daily</title>');
+
+    const weekly = messageOf('project-b-weekly');
+    expect(weekly.to).toEqual(['b-lead@example.com', 'b-ops@example.com']);
+    expect(weekly.subject).toBe('Weekly BigQuery cost digest: project-b-weekly');
+    expect(weekly.html).toContain('2026-03-02 to 2026-03-08');
+  });
+
+  test('resolves the projects and budgets of a project subscription', async () => {
+    await sendDigests(config, { date: DIGEST_DATE, loadRows, mapping, now: MONDAY, subscription: 'project-b-weekly' });
+
+    const { text, html } = messageOf('project-b-weekly');
+    expect(text).toContain('Cost: $115.00 (+$55.00)');
+    expect(text).toContain('- etl@project-b.iam.gserviceaccount.com: $100.00');
+    expect(text).toContain('- carol@analytics.example.com: $15.00');
+    expect(text).not.toContain('alice@analytics.example.com');
+    expect(text).not.toContain('bob@example.com');
+    expect(text).toContain('- org-monthly:');
+    expect(text).not.toContain('project-a-monthly');
+    expect(html).toContain('Projects: project-b');
+  });
+
+  test('resolves the cost and budgets of a team subscription across projects', async () => {
+    await sendDigests(config, { date: DIGEST_DATE, loadRows, mapping, now: MONDAY, subscription: 'analytics-weekly' });
+
+    const { to, text, html } = messageOf('analytics-weekly');
+    expect(to).toEqual(['analytics-lead@example.com']);
+    expect(text).toContain('Cost: $75.00 (+$50.00)');
+    expect(text).toContain('- alice@analytics.example.com: $60.00');
+    expect(text).toContain('- carol@analytics.example.com: $15.00');
+    expect(text).not.toContain('etl@project-b.iam.gserviceaccount.com');
+    expect(text).not.toContain('bob@example.com');
+    // Only the team's budget applies, with the team's share of the month so far
+    expect(text.split('Budgets:\n')[1]).toBe('- analytics-monthly: 100% of $100.00, exceeded\n');
+    expect(html).toContain('Projects: project-a, project-b');
+    expect(html).toContain('Teams: analytics');
+  });
+
+  test('uses the given projects for subscriptions that name none', async () => {
+    await sendDigests(config, { date: DIGEST_DATE, loadRows, mapping, now: MONDAY, subscription: 'all-daily', projectIds: ['project-a'] });
+
+    expect(messageOf('all-daily').text).toContain('Cost: $50.00');
+  });
+
+  test('filters subscriptions by frequency and name', async () => {
+    const weekly = await sendDigests(config, { date: DIGEST_DATE, loadRows, mapping, now: MONDAY, frequency: 'weekly' });
+    expect(weekly.map(delivery => delivery.subscription)).toEqual(['project-b-weekly', 'analytics-weekly']);
+
+    await expect(sendDigests(config, { date: DIGEST_DATE, loadRows, mapping, subscription: 'missing' }))
+      .rejects.toThrow('Digest subscription not found: missing');
+  });
+
+  test('only sends due digests once per period', async () => {
+    const state = new DigestState(null);
+    const send = now => sendDigests(config, { loadRows, mapping, now, due: true, state });
+
+    const monday = await send(MONDAY);
+    expect(monday.map(delivery => delivery.subscription)).toEqual(['all-daily', 'project-b-weekly', 'analytics-weekly']);
+    expect(state.wasSent('analytics-weekly', DIGEST_DATE)).toBe(true);
+
+    expect(await send(MONDAY)).toEqual([]);
+
+    const tuesday = await send(TUESDAY);
+    expect(tuesday.map(delivery => delivery.subscription)).toEqual(['all-daily']);
+    expect(sink.messages).toHaveLength(4);
+  });
+
+  test('sends weekly digests on the configured weekday', async () => {
+    config.digests.weeklyDay = 'tuesday';
+
+    const deliveries = await sendDigests(config, { loadRows, mapping, now: TUESDAY, due: true, state: new DigestState(null) });
+
+    expect(deliveries.map(delivery => delivery.subscription)).toEqual(['all-daily', 'project-b-weekly', 'analytics-weekly']);
+  });
+
+  test('reports a failed delivery and still sends the other digests', async () => {
+    await sink.close();
+    sink = await startSmtpSink({
+      reply: line => (line === 'RCPT TO:<finops@example.com>' ? '550 5.1.1 Mailbox unavailable' : undefined)
+    });
+    config.digests.smtp.port = sink.port;
+
+    const deliveries = await sendDigests(config, { date: DIGEST_DATE, loadRows, mapping, now: MONDAY });
+
+    expect(deliveries[0]).toEqual({
+      subscription: 'all-daily',
+      status: 'failed',
+      error: expect.stringContaining('550 5.1.1 Mailbox unavailable')
+    });
+    expect(deliveries.slice(1).map(delivery => delivery.status)).toEqual(['sent', 'sent']);
+    expect(sink.messages).toHaveLength(2);
+  });
+
+  test('writes digests to a directory instead of sending them', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bqcm-digests-'));
+
+    try {
+      const deliveries = await sendDigests(config, { date: DIGEST_DATE, loadRows, mapping, now: MONDAY, outputDir: dir });
+
+      expect(deliveries.map(delivery => delivery.path)).toEqual([
+        path.join(dir, 'all-daily_2026-03-08.html'),
+        path.join(dir, 'project-b-weekly_2026-03-08.html'),
+        path.join(dir, 'analytics-weekly_2026-03-08.html')
+      ]);
+      expect(fs.readFileSync(deliveries[2].path, 'utf8')).toContain('Weekly BigQuery cost digest: analytics-weekly');
+      expect(sink.messages).toHaveLength(0);
+    } finally {
+      fs.removeSync(dir);
+    }
+  });
+});
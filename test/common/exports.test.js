@@ -0,0 +1,181 @@
+const {
+  parseExportQuery,
+  buildExportTable,
+  csvHeader,
+  csvLine,
+  toSheets,
+  EXPORT_VIEWS
+} = require('../../src/common/exports');
+
+// Alice queried sales in the US, the ETL account rebuilt logs in the EU
+const rows = [
+  {
+    date: '2026-03-01',
+    region: 'US',
+    user_email: 'alice@example.com',
+    estimated_cost_usd: 6,
+    query_count: 2,
+    total_bytes_processed: 2000,
+    total_bytes_billed: 2000,
+    dataset_costs: [{ dataset: 'p.sales', dataset_cost_usd: 6, query_count: 2, bytes_processed: 2000 }],
+    table_costs: [{ table_name: 'p.sales.orders', table_id: 'orders', dataset_name: 'p.sales', table_cost_usd: 6, query_count: 2, bytes_processed: 2000, bytes_billed: 2000 }],
+    hourly_breakdown: [{ hour_of_day: 10, hourly_queries: 1, hourly_cost: 4.5 }, { hour_of_day: 11, hourly_queries: 1, hourly_cost: 1.5 }],
+    label_costs: [{ label_key: 'team', label_value: 'sales', label_cost_usd: 6, query_count: 2 }],
+    recent_queries: [
+      { query_text: 'SELECT * FROM `p.sales`', timestamp: '2026-03-01T10:00:00Z', total_bytes_processed: 1500, query_cost_usd: 4.5, cache_hit: false },
+      { query_text: 'SELECT id FROM p.sales', timestamp: { value: '2026-03-01T11:00:00Z' }, total_bytes_processed: 500, query_cost_usd: 1.5, cache_hit: true }
+    ]
+  },
+  {
+    date: '2026-03-02',
+    region: 'EU',
+    service_account: 'etl@p.iam.gserviceaccount.com',
+    estimated_cost_usd: 3,
+    query_count: 1,
+    total_bytes_processed: 1000,
+    total_bytes_billed: 1000,
+    dataset_costs: [{ dataset: 'p.logs', dataset_cost_usd: 3, query_count: 1, bytes_processed: 1000 }]
+  }
+];
+
+describe('parseExportQuery', () => {
+  test('exports the daily rows as CSV by default', () => {
+    expect(parseExportQuery({})).toEqual({ format: 'csv', views: ['rows'], errors: [] });
+  });
+
+  test('exports every view to a workbook, with labels only given a label key', () => {
+    expect(parseExportQuery({ format: 'xlsx' }).views).not.toContain('label');
+    expect(parseExportQuery({ format: 'xlsx', labelKey: 'team' }).views).toEqual(Object.keys(EXPORT_VIEWS));
+  });
+
+  test('accepts several views in a workbook', () => {
+    expect(parseExportQuery({ format: 'xlsx', view: 'user, dataset' })).toEqual({ format: 'xlsx', views: ['user', 'dataset'], errors: [] });
+  });
+
+  test.each([
+    [{ format: 'pdf' }, 'format must be one of: csv, xlsx, json'],
+    [{ view: 'users' }, `Unknown view users, must be one of: ${Object.keys(EXPORT_VIEWS).join(', ')}`],
+    [{ view: ['user', 'dataset'] }, 'view must be specified once'],
+    [{ format: 'json', view: 'user,dataset' }, 'Only xlsx exports can contain more than one view'],
+    [{ view: 'label' }, 'view label requires a labelKey']
+  ])('rejects %p', (query, error) => {
+    expect(parseExportQuery(query).errors).toEqual([error]);
+  });
+});
+
+describe('buildExportTable', () => {
+  test.each(Object.keys(EXPORT_VIEWS))('builds flat %s records holding exactly the columns', view => {
+    const table = buildExportTable(view, rows, {}, 'team');
+    const keys = table.columns.map(column => column.key);
+
+    expect(table.title).toBe(EXPORT_VIEWS[view].title);
+    expect(table.records.length).toBeGreaterThan(0);
+    table.records.forEach(record => expect(Object.keys(record)).toEqual(keys));
+    expect(JSON.parse(JSON.stringify(table.records))).toEqual(table.records);
+  });
+
+  test('fills missing fields with null', () => {
+    const { records } = buildExportTable('rows', rows, {}, null);
+
+    expect(records[1]).toMatchObject({ user_email: null, service_account: 'etl@p.iam.gserviceaccount.com', team: null, slot_hours: null });
+  });
+
+  test('aggregates by principal like the user table', () => {
+    const { records } = buildExportTable('user', rows, {}, null);
+
+    expect(records.map(record => [record.user, record.is_service_account, record.estimated_cost_usd])).toEqual([
+      ['alice@example.com', false, 6],
+      ['etl@p.iam.gserviceaccount.com', true, 3]
+    ]);
+  });
+
+  test('splits label views by label value', () => {
+    const { columns, records } = buildExportTable('user', rows, {}, 'team');
+
+    expect(columns.map(column => column.key)).toContain('label_value');
+    expect(records.map(record => [record.user, record.label_value, record.estimated_cost_usd])).toEqual([
+      ['alice@example.com', 'sales', 6],
+      ['etl@p.iam.gserviceaccount.com', 'unlabelled', 3]
+    ]);
+  });
+
+  test('aggregates by region', () => {
+    expect(buildExportTable('region', rows, {}, null).records).toEqual([
+      { region: 'US', query_count: 2, total_bytes_processed: 2000, total_bytes_billed: 2000, estimated_cost_usd: 6 },
+      { region: 'EU', query_count: 1, total_bytes_processed: 1000, total_bytes_billed: 1000, estimated_cost_usd: 3 }
+    ]);
+  });
+
+  test('summarizes recent queries by dataset, most recently queried first', () => {
+    expect(buildExportTable('queries', rows, {}, null).records).toEqual([
+      {
+        dataset: 'Unknown',
+        user: 'etl@p.iam.gserviceaccount.com',
+        query_count: 1,
+        total_bytes_processed: 1000,
+        cost_usd: 3,
+        cache_hit_percentage: 0,
+        error_count: 0,
+        last_queried: '2026-03-02'
+      },
+      {
+        dataset: 'p.sales',
+        user: 'alice@example.com',
+        query_count: 2,
+        total_bytes_processed: 2000,
+        cost_usd: 6,
+        cache_hit_percentage: 50,
+        error_count: 0,
+        last_queried: '2026-03-01T11:00:00.000Z'
+      }
+    ]);
+  });
+
+  test('breaks dataset costs down by principal', () => {
+    expect(buildExportTable('userDataset', rows, {}, null).records.map(record => [record.user, record.dataset, record.estimated_cost_usd])).toEqual([
+      ['alice@example.com', 'p.sales', 6],
+      ['etl@p.iam.gserviceaccount.com', 'p.logs', 3]
+    ]);
+  });
+});
+
+describe('CSV', () => {
+  const columns = [{ key: 'name', header: 'Name' }, { key: 'cost', header: 'Cost' }];
+
+  test('writes the column keys as the header', () => {
+    expect(csvHeader(columns)).toBe('name,cost\n');
+  });
+
+  test.each([
+    ['plain text', 'alice', 'alice'],
+    ['a comma', 'a,b', '"a,b"'],
+    ['a quote', 'say "hi"', '"say ""hi"""'],
+    ['a line break', 'a\nb', '"a\nb"'],
+    ['a formula', '=HYPERLINK("http://example.com")', '"\'=HYPERLINK(""http://example.com"")"'],
+    ['a leading plus', '+1', '\'+1'],
+    ['a leading at sign', '@SUM(A1)', '\'@SUM(A1)'],
+    ['a leading tab', '\tx', '\'\tx']
+  ])('escapes %s', (description, value, field) => {
+    expect(csvLine({ name: value, cost: 1 }, columns)).toBe(`${field},1\n`);
+  });
+
+  test('writes negative numbers and empty fields as they are', () => {
+    expect(csvLine({ name: null, cost: -1.5 }, columns)).toBe(',-1.5\n');
+    expect(csvLine({ cost: 0 }, columns)).toBe(',0\n');
+  });
+});
+
+describe('toSheets', () => {
+  test('turns each table into a sheet with a header row', () => {
+    const table = buildExportTable('region', rows, {}, null);
+
+    expect(toSheets([table])).toEqual([{
+      name: 'Regions',
+      rows: [
+        ['Region', 'Queries', 'Bytes Processed', 'Bytes Billed', 'Cost (USD)'],
+        ['US', 2, 2000, 2000, 6],
+        ['EU', 1, 1000, 1000, 3]
+      ]
+    }]);
+  });
+});
@@ -0,0 +1,38 @@
+const { forecastTeams } = require('../../src/common/forecasting');
+
+/**
+ * Build the daily cost rows of a team
+ * @param {string} from - First day (YYYY-MM-DD), in February 2026
+ * @param {number} days - Number of days
+ * @param {number} cost - Cost of each day
+ * @returns {Array} - Daily cost rows
+ */
+function dailyRows(from, days, cost) {
+  const first = parseInt(from.substring(8), 10);
+  const rows = [];
+  for (let day = 0; day < days; day++) {
+    const date = new Date(Date.UTC(2026, 1, first + day)).toISOString().substring(0, 10);
+    rows.push({ date, estimated_cost_usd: cost, gross_cost_usd: cost });
+  }
+  return rows;
+}
+
+describe('forecastTeams', () => {
+  test('forecasts each team from its own cost, largest projection first', () => {
+    const forecasts = forecastTeams([
+      { team: 'marketing', cost_center: null, rows: dailyRows('2026-02-01', 28, 1) },
+      { team: 'sales', cost_center: 'CC-100', rows: dailyRows('2026-02-01', 28, 10) }
+    ], { date: '2026-02-15' });
+
+    expect(forecasts.map(forecast => [forecast.team, forecast.cost_center, forecast.month_to_date_cost_usd, forecast.projected_cost_usd]))
+      .toEqual([
+        ['sales', 'CC-100', 140, 280],
+        ['marketing', null, 14, 28]
+      ]);
+    expect(forecasts[0]).toMatchObject({ month: '2026-02', date: '2026-02-15', days_in_month: 28, days_elapsed: 14 });
+  });
+
+  test('forecasts nothing without teams', () => {
+    expect(forecastTeams([], { date: '2026-02-15' })).toEqual([]);
+  });
+});
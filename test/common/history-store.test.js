@@ -0,0 +1,203 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/common/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const {
+  upsertRows,
+  queryRows,
+  getDateRange,
+  hasHistory,
+  listMonths,
+  listProjects,
+  HistoryTruncatedError
+} = require('../../src/common/history-store');
+
+/**
+ * Build a daily cost row
+ * @param {string} date - Day of the row
+ * @param {string} user - User email
+ * @param {number} cost - Estimated cost
+ * @returns {Object} - Cost row
+ */
+function row(date, user, cost) {
+  return { date, region: 'us', user_email: `${user}@example.com`, estimated_cost_usd: cost };
+}
+
+/**
+ * Summarize rows as [date, user, cost]
+ * @param {Array} rows - Cost rows
+ * @returns {Array} - Summaries
+ */
+function summarize(rows) {
+  return rows.map(r => [r.date, r.user_email.split('@')[0], r.estimated_cost_usd]);
+}
+
+describe('history store', () => {
+  let storePath;
+
+  beforeEach(() => {
+    storePath = fs.mkdtempSync(path.join(os.tmpdir(), 'bqcm-history-'));
+  });
+
+  afterEach(() => {
+    fs.removeSync(storePath);
+  });
+
+  describe('upsertRows', () => {
+    test('writes a partition per project and month', () => {
+      const counts = upsertRows('project-a', [
+        row('2026-02-27', 'alice', 1),
+        row('2026-03-01', 'alice', 2),
+        row('2026-03-01', 'bob', 3)
+      ], { runId: 'run-1' }, storePath);
+
+      expect(counts).toEqual({ inserted: 3, updated: 0, unchanged: 0, deleted: 0 });
+      expect(fs.readdirSync(path.join(storePath, 'project-a')).sort()).toEqual(['2026-02.json', '2026-03.json']);
+      expect(listMonths('project-a', storePath)).toEqual(['2026-02', '2026-03']);
+      expect(listProjects(storePath)).toEqual(['project-a']);
+      expect(hasHistory('project-a', storePath)).toBe(true);
+      expect(hasHistory('project-b', storePath)).toBe(false);
+
+      const partition = fs.readJsonSync(path.join(storePath, 'project-a', '2026-03.json'));
+      expect(partition['2026-03-01|us|alice@example.com|']).toEqual({
+        versions: [{ runId: 'run-1', row: row('2026-03-01', 'alice', 2) }]
+      });
+    });
+
+    test('only adds a version for rows that changed', () => {
+      upsertRows('project-a', [row('2026-03-01', 'alice', 2), row('2026-03-01', 'bob', 3)], { runId: 'run-1' }, storePath);
+      const counts = upsertRows('project-a', [row('2026-03-01', 'alice', 2), row('2026-03-01', 'bob', 4)], { runId: 'run-2' }, storePath);
+
+      expect(counts).toEqual({ inserted: 0, updated: 1, unchanged: 1, deleted: 0 });
+      const partition = fs.readJsonSync(path.join(storePath, 'project-a', '2026-03.json'));
+      expect(partition['2026-03-01|us|alice@example.com|'].versions).toHaveLength(1);
+      expect(partition['2026-03-01|us|bob@example.com|'].versions.map(version => version.runId)).toEqual(['run-1', 'run-2']);
+    });
+
+    test('keeps only the last version of a run that writes a key twice', () => {
+      upsertRows('project-a', [row('2026-03-01', 'alice', 2)], { runId: 'run-1' }, storePath);
+      upsertRows('project-a', [row('2026-03-01', 'alice', 1)], { runId: 'run-1' }, storePath);
+
+      const partition = fs.readJsonSync(path.join(storePath, 'project-a', '2026-03.json'));
+      expect(partition['2026-03-01|us|alice@example.com|'].versions).toEqual([{ runId: 'run-1', row: row('2026-03-01', 'alice', 1) }]);
+    });
+
+    test('removes the keys from replaceFrom on that are missing from the rows', () => {
+      upsertRows('project-a', [
+        row('2026-02-27', 'alice', 1),
+        row('2026-03-01', 'alice', 2),
+        row('2026-03-02', 'bob', 3),
+        row('2026-04-01', 'bob', 4)
+      ], { runId: 'run-1' }, storePath);
+
+      // April only lost rows, and February is before replaceFrom
+      const counts = upsertRows('project-a', [row('2026-03-01', 'alice', 2)], { runId: 'run-2', replaceFrom: '2026-03-01' }, storePath);
+
+      expect(counts).toEqual({ inserted: 0, updated: 0, unchanged: 1, deleted: 2 });
+      expect(summarize(queryRows('project-a', {}, storePath))).toEqual([
+        ['2026-03-01', 'alice', 2],
+        ['2026-02-27', 'alice', 1]
+      ]);
+      expect(getDateRange('project-a', storePath)).toEqual({ from: '2026-02-27', to: '2026-03-01' });
+    });
+
+    test('keys rows with the given key function', () => {
+      const storageRow = (date, table, cost) => ({ date, table_name: table, monthly_cost_usd: cost });
+      const key = r => [r.date, r.table_name].join('|');
+
+      upsertRows('project-a', [storageRow('2026-03-01', 'a.b.c', 1), storageRow('2026-03-01', 'a.b.d', 2)], { runId: 'run-1', key }, storePath);
+      const counts = upsertRows('project-a', [storageRow('2026-03-01', 'a.b.c', 5)], { runId: 'run-2', key }, storePath);
+
+      expect(counts).toEqual({ inserted: 0, updated: 1, unchanged: 0, deleted: 0 });
+      expect(Object.keys(fs.readJsonSync(path.join(storePath, 'project-a', '2026-03.json'))).sort()).toEqual([
+        '2026-03-01|a.b.c',
+        '2026-03-01|a.b.d'
+      ]);
+    });
+  });
+
+  describe('queryRows', () => {
+    beforeEach(() => {
+      upsertRows('project-a', [
+        row('2026-02-27', 'alice', 1),
+        row('2026-03-01', 'bob', 2),
+        row('2026-03-01', 'alice', 5),
+        row('2026-03-15', 'alice', 3)
+      ], { runId: 'run-1' }, storePath);
+    });
+
+    test('reads a date range, newest day first and the most expensive first within a day', () => {
+      expect(summarize(queryRows('project-a', { from: '2026-02-28', to: '2026-03-14' }, storePath))).toEqual([
+        ['2026-03-01', 'alice', 5],
+        ['2026-03-01', 'bob', 2]
+      ]);
+      expect(queryRows('project-b', {}, storePath)).toEqual([]);
+    });
+
+    test('only opens the partitions that overlap the range', () => {
+      fs.writeFileSync(path.join(storePath, 'project-a', '2026-02.json'), '{ not json');
+
+      expect(queryRows('project-a', { from: '2026-03-01' }, storePath)).toHaveLength(3);
+    });
+
+    test('reads rows written before runs were versioned', () => {
+      fs.outputJsonSync(path.join(storePath, 'project-b', '2026-03.json'), {
+        '2026-03-01|us|alice@example.com|': row('2026-03-01', 'alice', 7)
+      });
+
+      expect(summarize(queryRows('project-b', { asOf: 'run-1' }, storePath))).toEqual([['2026-03-01', 'alice', 7]]);
+    });
+  });
+
+  describe('as of a run', () => {
+    test('reads the rows as they were after the run', () => {
+      upsertRows('project-a', [row('2026-03-01', 'alice', 1), row('2026-03-01', 'bob', 2)], { runId: '20260301T060000Z-aaaaaa' }, storePath);
+      upsertRows('project-a', [row('2026-03-01', 'alice', 3), row('2026-03-02', 'carol', 4)], {
+        runId: '20260302T060000Z-bbbbbb',
+        replaceFrom: '2026-03-01'
+      }, storePath);
+
+      expect(summarize(queryRows('project-a', { asOf: '20260301T060000Z-aaaaaa' }, storePath))).toEqual([
+        ['2026-03-01', 'bob', 2],
+        ['2026-03-01', 'alice', 1]
+      ]);
+      // Run IDs sort by time, so a run in between sees the first run's rows
+      expect(summarize(queryRows('project-a', { asOf: '20260301T180000Z-cccccc' }, storePath))).toHaveLength(2);
+      expect(summarize(queryRows('project-a', { asOf: '20260302T060000Z-bbbbbb' }, storePath))).toEqual([
+        ['2026-03-02', 'carol', 4],
+        ['2026-03-01', 'alice', 3]
+      ]);
+      expect(queryRows('project-a', { asOf: '20260228T060000Z-dddddd' }, storePath)).toEqual([]);
+    });
+
+    test('caps the versions kept per key', () => {
+      ['1', '2', '3', '4', '5'].forEach(n => {
+        upsertRows('project-a', [row('2026-03-01', 'alice', Number(n))], { runId: `2026030${n}T060000Z-aaaaaa`, maxVersions: 3 }, storePath);
+      });
+
+      const entry = fs.readJsonSync(path.join(storePath, 'project-a', '2026-03.json'))['2026-03-01|us|alice@example.com|'];
+      expect(entry.truncated).toBe(true);
+      expect(entry.versions.map(version => version.row.estimated_cost_usd)).toEqual([3, 4, 5]);
+    });
+
+    test('fails to read as of a run whose versions were dropped', () => {
+      ['1', '2', '3', '4', '5'].forEach(n => {
+        upsertRows('project-a', [row('2026-03-01', 'alice', Number(n))], { runId: `2026030${n}T060000Z-aaaaaa`, maxVersions: 3 }, storePath);
+      });
+      upsertRows('project-a', [row('2026-03-09', 'bob', 1)], { runId: '20260309T060000Z-aaaaaa', maxVersions: 3 }, storePath);
+
+      expect(summarize(queryRows('project-a', { asOf: '20260303T060000Z-aaaaaa' }, storePath))).toEqual([['2026-03-01', 'alice', 3]]);
+
+      const read = () => queryRows('project-a', { asOf: '20260302T060000Z-aaaaaa' }, storePath);
+      expect(read).toThrow(HistoryTruncatedError);
+      expect(read).toThrow('History of project-a as of run 20260302T060000Z-aaaaaa is no longer retained');
+
+      // Days outside the range don't need the dropped versions
+      expect(queryRows('project-a', { from: '2026-03-02', asOf: '20260302T060000Z-aaaaaa' }, storePath)).toEqual([]);
+    });
+  });
+});
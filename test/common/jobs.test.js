@@ -0,0 +1,154 @@
+const {
+  toJobRecord,
+  consoleUrl,
+  parseSearchTerms,
+  parseJobQuery,
+  filterJobs,
+  sortJobs,
+  summarizeJob
+} = require('../../src/common/jobs');
+
+/**
+ * Build a stored job
+ * @param {Object} fields - Fields of the job
+ * @returns {Object} - Job
+ */
+function job(fields) {
+  return {
+    job_id: 'job-1',
+    project_id: 'project-a',
+    location: 'US',
+    date: '2026-03-02',
+    creation_time: '2026-03-02T10:00:00.000Z',
+    user_email: 'alice@example.com',
+    statement_type: 'SELECT',
+    query: 'SELECT * FROM sales.orders',
+    referenced_tables: ['project-a.sales.orders'],
+    estimated_cost_usd: 1,
+    total_bytes_billed: 1024,
+    total_slot_ms: 100,
+    error_reason: null,
+    ...fields
+  };
+}
+
+describe('toJobRecord', () => {
+  test('adds the region and turns the labels into an object', () => {
+    expect(toJobRecord({
+      job_id: 'job-1',
+      labels: [{ key: 'env', value: 'prod' }],
+      estimated_cost_usd: 0.12345678
+    }, { name: 'us', location: 'US' })).toEqual({
+      job_id: 'job-1',
+      region: 'us',
+      location: 'US',
+      referenced_tables: [],
+      labels: { env: 'prod' },
+      on_demand_cost_usd: 0,
+      capacity_cost_usd: 0,
+      estimated_cost_usd: 0.123457
+    });
+  });
+});
+
+describe('parseSearchTerms', () => {
+  test('splits on whitespace and keeps quoted phrases together', () => {
+    expect(parseSearchTerms('  Orders "GROUP  BY"\tcustomer_id "" ')).toEqual(['orders', 'group  by', 'customer_id']);
+  });
+});
+
+describe('parseJobQuery', () => {
+  test('defaults to the newest 50 jobs', () => {
+    expect(parseJobQuery({})).toEqual({ filters: {}, sort: 'creationTime', limit: 50, offset: 0, errors: [] });
+  });
+
+  test('reads the filters and the search terms', () => {
+    const { filters, errors } = parseJobQuery({ from: '2026-03-01', to: '2026-03-02', q: 'orders "group by"', error: 'false', minCost: '0.5' });
+
+    expect(errors).toEqual([]);
+    expect(filters).toEqual({ from: '2026-03-01', to: '2026-03-02', q: 'orders "group by"', terms: ['orders', 'group by'], error: false, minCost: 0.5 });
+  });
+
+  test('reports every invalid parameter', () => {
+    expect(parseJobQuery({
+      from: '2026-03-03',
+      to: '2026-03-02',
+      q: ['a', 'b'],
+      error: 'yes',
+      minCost: '2',
+      maxCost: '1',
+      sort: 'user',
+      limit: '501',
+      offset: '-1'
+    }).errors).toEqual([
+      'from must not be after to',
+      'q must be specified once',
+      'error must be true or false',
+      'minCost must not be more than maxCost',
+      'sort must be one of: creationTime, cost, bytesBilled, slotTime',
+      'limit must be an integer from 1 to 500',
+      'offset must be a non-negative integer'
+    ]);
+  });
+});
+
+describe('filterJobs', () => {
+  const jobs = [
+    job({ job_id: 'orders', query: 'SELECT customer_id, SUM(total) FROM sales.orders GROUP BY customer_id' }),
+    job({ job_id: 'refunds', query: 'SELECT * FROM sales.refunds', referenced_tables: ['project-a.sales.refunds'], user_email: 'bob@example.com' }),
+    job({ job_id: 'failed', query: 'INSERT INTO ops.log VALUES (1)', statement_type: 'INSERT', referenced_tables: ['project-a.ops.log'], error_reason: 'invalidQuery', estimated_cost_usd: 0 })
+  ];
+
+  const ids = filters => filterJobs(jobs, parseJobQuery(filters).filters).map(match => match.job_id);
+
+  test('matches jobs whose query text has every term, ignoring case', () => {
+    expect(ids({ q: 'select SALES' })).toEqual(['orders', 'refunds']);
+    expect(ids({ q: 'sales customer_id' })).toEqual(['orders']);
+    expect(ids({ q: '"group by customer_id"' })).toEqual(['orders']);
+    expect(ids({ q: '"by group"' })).toEqual([]);
+  });
+
+  test('filters by principal, statement type and errors', () => {
+    expect(ids({ principal: 'BOB@example.com' })).toEqual(['refunds']);
+    expect(ids({ statementType: 'insert' })).toEqual(['failed']);
+    expect(ids({ error: 'true' })).toEqual(['failed']);
+  });
+
+  test('matches datasets and tables with or without their project', () => {
+    expect(ids({ dataset: 'sales' })).toEqual(['orders', 'refunds']);
+    expect(ids({ dataset: 'project-a.ops' })).toEqual(['failed']);
+    expect(ids({ table: 'sales.refunds' })).toEqual(['refunds']);
+    expect(ids({ table: 'refunds' })).toEqual(['refunds']);
+    expect(ids({ table: 'funds' })).toEqual([]);
+  });
+
+  test('filters by cost', () => {
+    expect(ids({ minCost: '0.5' })).toEqual(['orders', 'refunds']);
+    expect(ids({ maxCost: '0' })).toEqual(['failed']);
+  });
+});
+
+describe('sortJobs', () => {
+  test('puts the largest values first and the newest of equal ones', () => {
+    const jobs = [
+      job({ job_id: 'old', creation_time: '2026-03-01T10:00:00.000Z', estimated_cost_usd: 2 }),
+      job({ job_id: 'new', creation_time: '2026-03-02T10:00:00.000Z', estimated_cost_usd: 2 }),
+      job({ job_id: 'cheap', creation_time: '2026-03-03T10:00:00.000Z', estimated_cost_usd: 1 })
+    ];
+
+    expect(sortJobs(jobs.slice(), 'cost').map(sorted => sorted.job_id)).toEqual(['new', 'old', 'cheap']);
+    expect(sortJobs(jobs.slice()).map(sorted => sorted.job_id)).toEqual(['cheap', 'new', 'old']);
+  });
+});
+
+describe('summarizeJob', () => {
+  test('shortens the query text and links to the console', () => {
+    const summary = summarizeJob(job({ job_id: 'bquxjob_1', query: `SELECT ${'x, '.repeat(200)}1` }));
+
+    expect(summary.query).toHaveLength(300);
+    expect(summary.query_truncated).toBe(true);
+    expect(summary.console_url).toBe('https://console.cloud.google.com/bigquery?project=project-a&j=bq:US:bquxjob_1&page=queryresults');
+    expect(summarizeJob(job({})).query_truncated).toBe(false);
+    expect(consoleUrl(job({ job_id: 'a b' }))).toContain('j=bq:US:a%20b');
+  });
+});
@@ -0,0 +1,39 @@
+const { resolveLabelKeys, validateLabelKeys } = require('../../src/common/labels');
+
+describe('resolveLabelKeys', () => {
+  test('uses the keys of the project, or else the global ones', () => {
+    const settings = { labelKeys: ['env'] };
+
+    expect(resolveLabelKeys({ id: 'project-a', labelKeys: ['team'] }, settings)).toEqual(['team']);
+    expect(resolveLabelKeys({ id: 'project-a' }, settings)).toEqual(['env']);
+    expect(resolveLabelKeys({ id: 'project-a' })).toEqual([]);
+  });
+
+  test('adds the keys of label budgets of the project and of team label rules once', () => {
+    const budgets = [
+      { name: 'prod', scope: 'label', target: 'env=prod' },
+      { name: 'other project', scope: 'label', target: 'cost_center', project: 'project-b' },
+      { name: 'own project', scope: 'label', target: 'app', project: 'project-a' },
+      { name: 'project', scope: 'project', project: 'project-a' }
+    ];
+    const teams = [{ name: 'sales', labels: ['team=sales', 'env'] }, { name: 'ops' }];
+
+    expect(resolveLabelKeys({ id: 'project-a' }, { labelKeys: ['env'] }, budgets, teams)).toEqual(['env', 'app', 'team']);
+  });
+});
+
+describe('validateLabelKeys', () => {
+  test('accepts BigQuery label keys', () => {
+    expect(validateLabelKeys(['team', 'cost_center', 'app-name', 'a1'], 'settings.labelKeys')).toEqual([]);
+  });
+
+  test('reports keys BigQuery labels cannot have', () => {
+    expect(validateLabelKeys(['Team', '1st', 'cost center', 42], 'settings.labelKeys')).toEqual([
+      'settings.labelKeys has an invalid label key: Team',
+      'settings.labelKeys has an invalid label key: 1st',
+      'settings.labelKeys has an invalid label key: cost center',
+      'settings.labelKeys has an invalid label key: 42'
+    ]);
+    expect(validateLabelKeys('team', 'projects[0].labelKeys')).toEqual(['projects[0].labelKeys must be an array of label keys']);
+  });
+});
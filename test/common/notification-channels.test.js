@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const {
+  deliver,
+  signWebhook,
+  isRetryableDeliveryError,
+  validateChannel,
+  DeliveryError
+} = require('../../src/common/notification-channels');
+const { SmtpError } = require('../../src/common/smtp-client');
+const { startHttpSink } = require('../helpers/http-sink');
+const { startSmtpSink } = require('../helpers/smtp-sink');
+
+const message = {
+  event: 'budget',
+  severity: 'critical',
+  title: 'Budget team-a at 104%',
+  text: 'Spent $104.00 of $100.00\nForecast: $130.00',
+  data: { name: 'team-a', percent_used: 104 }
+};
+
+describe('signWebhook', () => {
+  test('signs the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+
+    expect(signWebhook('secret', '1700000000', '{"a":1}')).toBe(`sha256=${expected}`);
+    expect(signWebhook('secret', '1700000001', '{"a":1}')).not.toBe(`sha256=${expected}`);
+  });
+});
+
+describe('deliver', () => {
+  let sink;
+
+  afterEach(async () => {
+    if (sink) await sink.close();
+    sink = null;
+  });
+
+  test('posts the title and text to a Slack webhook', async () => {
+    sink = await startHttpSink();
+
+    const response = await deliver({ type: 'slack', url: `${sink.url}/slack`, username: 'cost-bot' }, message);
+
+    expect(response.statusCode).toBe(200);
+    expect(sink.requests).toHaveLength(1);
+    expect(sink.requests[0].url).toBe('/slack');
+    expect(sink.requests[0].headers['content-type']).toBe('application/json');
+    expect(JSON.parse(sink.requests[0].body)).toEqual({
+      text: '*Budget team-a at 104%*\nSpent $104.00 of $100.00\nForecast: $130.00',
+      username: 'cost-bot'
+    });
+  });
+
+  test('posts a message card coloured by severity to a Teams webhook', async () => {
+    sink = await startHttpSink();
+
+    await deliver({ type: 'teams', url: sink.url }, message);
+
+    expect(JSON.parse(sink.requests[0].body)).toMatchObject({
+      '@type': 'MessageCard',
+      title: 'Budget team-a at 104%',
+      themeColor: 'DC3545',
+      text: 'Spent $104.00 of $100.00  \nForecast: $130.00'
+    });
+  });
+
+  test('signs generic webhooks over the timestamp and the exact body sent', async () => {
+    sink = await startHttpSink();
+    const before = Math.floor(Date.now() / 1000);
+
+    await deliver({ type: 'webhook', url: sink.url, secret: 'shared-secret', headers: { 'X-Team': 'finops' } }, message);
+
+    const [request] = sink.requests;
+    const timestamp = request.headers['x-cost-monitor-timestamp'];
+    const expected = crypto.createHmac('sha256', 'shared-secret').update(`${timestamp}.${request.body}`).digest('hex');
+
+    expect(Number(timestamp)).toBeGreaterThanOrEqual(before);
+    expect(Number(timestamp)).toBeLessThanOrEqual(Math.floor(Date.now() / 1000));
+    expect(request.headers['x-cost-monitor-signature']).toBe(`sha256=${expected}`);
+    expect(request.headers['x-team']).toBe('finops');
+    expect(JSON.parse(request.body)).toMatchObject({
+      event: 'budget',
+      severity: 'critical',
+      title: message.title,
+      text: message.text,
+      data: message.data
+    });
+  });
+
+  test('sends unsigned webhooks without signature headers', async () => {
+    sink = await startHttpSink();
+
+    await deliver({ type: 'webhook', url: sink.url }, message);
+
+    expect(sink.requests[0].headers).not.toHaveProperty('x-cost-monitor-signature');
+    expect(sink.requests[0].headers).not.toHaveProperty('x-cost-monitor-timestamp');
+  });
+
+  test('rejects with a DeliveryError carrying the status code', async () => {
+    sink = await startHttpSink([{ status: 503, body: 'unavailable' }, { status: 400, body: 'bad payload' }]);
+
+    const unavailable = await deliver({ type: 'slack', url: sink.url }, message).catch(error => error);
+    const badRequest = await deliver({ type: 'slack', url: sink.url }, message).catch(error => error);
+
+    expect(unavailable).toBeInstanceOf(DeliveryError);
+    expect(unavailable.statusCode).toBe(503);
+    expect(unavailable.message).toContain('unavailable');
+    expect(isRetryableDeliveryError(unavailable)).toBe(true);
+    expect(badRequest.statusCode).toBe(400);
+    expect(isRetryableDeliveryError(badRequest)).toBe(false);
+  });
+
+  test('sends email channels through SMTP', async () => {
+    const smtp = await startSmtpSink();
+
+    try {
+      await deliver({
+        type: 'smtp',
+        host: smtp.host,
+        port: smtp.port,
+        from: 'monitor@example.com',
+        to: ['finops@example.com']
+      }, { ...message, html: '<p>Spent $104.00</p>' });
+    } finally {
+      await smtp.close();
+    }
+
+    expect(smtp.messages).toHaveLength(1);
+    expect(smtp.messages[0]).toMatchObject({
+      to: ['finops@example.com'],
+      subject: message.title,
+      text: message.text,
+      html: '<p>Spent $104.00</p>'
+    });
+  });
+
+  test('rejects unknown channel types', async () => {
+    await expect(deliver({ type: 'pager' }, message)).rejects.toThrow('Unsupported channel type: pager');
+  });
+});
+
+describe('isRetryableDeliveryError', () => {
+  test('retries transient network errors and temporary SMTP failures only', () => {
+    const network = code => Object.assign(new Error(code), { code });
+
+    expect(isRetryableDeliveryError(network('ECONNRESET'))).toBe(true);
+    expect(isRetryableDeliveryError(network('ENOTFOUND'))).toBe(false);
+    expect(isRetryableDeliveryError(new DeliveryError('Too many requests', 429))).toBe(true);
+    expect(isRetryableDeliveryError(new SmtpError('Try again later', 451))).toBe(true);
+    expect(isRetryableDeliveryError(new SmtpError('Mailbox unavailable', 550))).toBe(false);
+    expect(isRetryableDeliveryError(new SmtpError('Connection closed by server'))).toBe(true);
+  });
+});
+
+describe('validateChannel', () => {
+  test('accepts valid channels of each type', () => {
+    expect(validateChannel({ type: 'slack', url: 'https://hooks.slack.com/services/x' }, 'Channel')).toEqual([]);
+    expect(validateChannel({ type: 'webhook', url: 'http://localhost:8080/hook', secret: 's', headers: {} }, 'Channel')).toEqual([]);
+    expect(validateChannel({ type: 'smtp', host: 'smtp.example.com', port: 25, from: 'a@example.com', to: ['b@example.com'] }, 'Channel')).toEqual([]);
+  });
+
+  test('reports invalid fields', () => {
+    expect(validateChannel({ type: 'sms' }, 'Channel')).toEqual(['Channel has an invalid type, must be one of: slack, teams, webhook, smtp']);
+    expect(validateChannel({ type: 'teams', url: 'ftp://example.com' }, 'Channel')).toEqual(["Channel has a 'url' that is not http or https"]);
+    expect(validateChannel({ type: 'webhook', url: 'https://example.com', secret: '' }, 'Channel')).toEqual(["Channel has 'secret' that is not a non-empty string"]);
+    expect(validateChannel({ type: 'smtp', port: 0, to: 'nobody' }, 'Channel')).toEqual([
+      "Channel is missing required 'host' field",
+      "Channel has 'port' that is not a positive integer",
+      "Channel is missing required 'from' field",
+      "Channel has 'to' that is not an email address or list of them"
+    ]);
+  });
+});
@@ -0,0 +1,167 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+jest.mock('../../src/common/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { dispatchNotifications, RateLimiter } = require('../../src/common/notifications');
+const { startHttpSink } = require('../helpers/http-sink');
+const { startSmtpSink } = require('../helpers/smtp-sink');
+
+const budgetEvent = {
+  type: 'budget',
+  severity: 'warning',
+  data: { name: 'team-a', percent_used: 85, project: 'project-a' }
+};
+
+describe('RateLimiter', () => {
+  test('allows at most max messages per sliding window', () => {
+    const limiter = new RateLimiter(null);
+    const limit = { max: 2, perSeconds: 60 };
+
+    expect(limiter.tryAcquire('slack', limit, 0)).toBe(true);
+    expect(limiter.tryAcquire('slack', limit, 1000)).toBe(true);
+    expect(limiter.tryAcquire('slack', limit, 2000)).toBe(false);
+    // Other destinations have their own window
+    expect(limiter.tryAcquire('email', limit, 2000)).toBe(true);
+    // The first slot frees up once it leaves the window
+    expect(limiter.tryAcquire('slack', limit, 60001)).toBe(true);
+    expect(limiter.tryAcquire('slack', limit, 60002)).toBe(false);
+  });
+
+  test('keeps limits across instances through the state file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bqcm-rate-limits-'));
+    const statePath = path.join(dir, 'nested', 'rate-limits.json');
+    const limit = { max: 1, perSeconds: 3600 };
+
+    try {
+      const first = new RateLimiter(statePath);
+      expect(first.tryAcquire('slack', limit)).toBe(true);
+      first.save();
+
+      const second = new RateLimiter(statePath);
+      expect(second.tryAcquire('slack', limit)).toBe(false);
+    } finally {
+      fs.removeSync(dir);
+    }
+  });
+});
+
+describe('dispatchNotifications', () => {
+  let sink;
+
+  afterEach(async () => {
+    if (sink) await sink.close();
+    sink = null;
+  });
+
+  test('retries transient failures and reports the attempts', async () => {
+    sink = await startHttpSink([{ status: 503 }, { status: 429 }]);
+    const channels = [{ name: 'hook', type: 'webhook', url: sink.url, secret: 'shared-secret' }];
+
+    const deliveries = await dispatchNotifications([budgetEvent], { channels, maxRetries: 3 }, {
+      rateLimiter: new RateLimiter(null),
+      baseDelayMs: 1
+    });
+
+    expect(deliveries).toEqual([{ channel: 'hook', event: 'budget', status: 'sent', attempts: 3 }]);
+    expect(sink.requests).toHaveLength(3);
+
+    // Every attempt is signed afresh over its own timestamp and body
+    sink.requests.forEach(request => {
+      const timestamp = request.headers['x-cost-monitor-timestamp'];
+      const expected = crypto.createHmac('sha256', 'shared-secret').update(`${timestamp}.${request.body}`).digest('hex');
+      expect(request.headers['x-cost-monitor-signature']).toBe(`sha256=${expected}`);
+    });
+  });
+
+  test('gives up after maxRetries and records the last error', async () => {
+    sink = await startHttpSink([{ status: 502 }, { status: 502 }, { status: 502, body: 'still down' }]);
+
+    const deliveries = await dispatchNotifications([budgetEvent], {
+      channels: [{ name: 'slack', type: 'slack', url: sink.url }],
+      maxRetries: 2
+    }, { rateLimiter: new RateLimiter(null), baseDelayMs: 1 });
+
+    expect(deliveries).toEqual([{
+      channel: 'slack',
+      event: 'budget',
+      status: 'failed',
+      attempts: 3,
+      error: expect.stringContaining('502: still down')
+    }]);
+    expect(sink.requests).toHaveLength(3);
+  });
+
+  test('does not retry permanent failures', async () => {
+    sink = await startHttpSink([{ status: 404, body: 'no such hook' }]);
+
+    const deliveries = await dispatchNotifications([budgetEvent], {
+      channels: [{ name: 'teams', type: 'teams', url: sink.url }]
+    }, { rateLimiter: new RateLimiter(null), baseDelayMs: 1 });
+
+    expect(deliveries[0]).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(sink.requests).toHaveLength(1);
+  });
+
+  test('retries temporary SMTP failures', async () => {
+    let rejected = 0;
+    const smtp = await startSmtpSink({
+      reply: line => (line.startsWith('MAIL') && rejected++ === 0 ? '451 4.3.0 Try again later' : undefined)
+    });
+
+    let deliveries;
+    try {
+      deliveries = await dispatchNotifications([budgetEvent], {
+        channels: [{ name: 'email', type: 'smtp', host: smtp.host, port: smtp.port, from: 'monitor@example.com', to: ['finops@example.com'] }]
+      }, { rateLimiter: new RateLimiter(null), baseDelayMs: 1 });
+    } finally {
+      await smtp.close();
+    }
+
+    expect(deliveries).toEqual([{ channel: 'email', event: 'budget', status: 'sent', attempts: 2 }]);
+    expect(smtp.messages).toHaveLength(1);
+    expect(smtp.messages[0].subject).toBe('Budget team-a at 85%');
+  });
+
+  test('drops messages beyond a channel rate limit without sending them', async () => {
+    sink = await startHttpSink();
+    const rateLimiter = new RateLimiter(null);
+    const notifications = {
+      rateLimit: { max: 10, perSeconds: 3600 },
+      channels: [
+        { name: 'limited', type: 'slack', url: `${sink.url}/limited`, rateLimit: { max: 2 } },
+        { name: 'global', type: 'slack', url: `${sink.url}/global` }
+      ]
+    };
+    const events = [1, 2, 3].map(count => ({ ...budgetEvent, data: { ...budgetEvent.data, percent_used: 80 + count } }));
+
+    const deliveries = await dispatchNotifications(events, notifications, { rateLimiter });
+
+    expect(deliveries.filter(delivery => delivery.channel === 'limited').map(delivery => delivery.status))
+      .toEqual(['sent', 'sent', 'rate_limited']);
+    expect(deliveries.filter(delivery => delivery.channel === 'global').map(delivery => delivery.status))
+      .toEqual(['sent', 'sent', 'sent']);
+    expect(sink.requests.filter(request => request.url === '/limited')).toHaveLength(2);
+    expect(sink.requests.filter(request => request.url === '/global')).toHaveLength(3);
+  });
+
+  test('only sends events to the channels that subscribe to them', async () => {
+    sink = await startHttpSink();
+    const channels = [
+      { name: 'all', type: 'slack', url: `${sink.url}/all` },
+      { name: 'critical', type: 'slack', url: `${sink.url}/critical`, minSeverity: 'critical' },
+      { name: 'project-b', type: 'slack', url: `${sink.url}/project-b`, projects: ['project-b'] },
+      { name: 'failures', type: 'slack', url: `${sink.url}/failures`, events: ['run_failed'] },
+      { name: 'disabled', type: 'slack', url: `${sink.url}/disabled`, enabled: false }
+    ];
+
+    const deliveries = await dispatchNotifications([budgetEvent], { channels }, { rateLimiter: new RateLimiter(null) });
+
+    expect(deliveries.map(delivery => delivery.channel)).toEqual(['all']);
+    expect(sink.requests.map(request => request.url)).toEqual(['/all']);
+  });
+});
@@ -0,0 +1,122 @@
+const {
+  JOBS_VIEWS,
+  resolveSource,
+  applyJobsView,
+  isPermissionDeniedError,
+  matchesProjectPattern,
+  splitRowsByProject,
+  discoveredProject,
+  collectsProject,
+  validateOrganizations
+} = require('../../src/common/organizations');
+const { bigQueryError } = require('../helpers/bigquery-stub');
+
+describe('resolveSource', () => {
+  test('reads an organization from JOBS_BY_ORGANIZATION and a folder from JOBS_BY_FOLDER', () => {
+    expect(resolveSource({ organization: '123', adminProject: 'admin' })).toEqual({
+      key: 'organizations/123',
+      type: 'organization',
+      id: '123',
+      view: JOBS_VIEWS.organization,
+      adminProject: 'admin',
+      name: 'organizations/123'
+    });
+    expect(resolveSource({ folder: '456', adminProject: 'admin', name: 'Data' })).toMatchObject({
+      key: 'folders/456',
+      view: JOBS_VIEWS.folder,
+      name: 'Data'
+    });
+  });
+
+  test('substitutes the job view into the queries', () => {
+    expect(applyJobsView('FROM INFORMATION_SCHEMA.{{jobsView}} JOIN INFORMATION_SCHEMA.{{jobsView}}', JOBS_VIEWS.user))
+      .toBe('FROM INFORMATION_SCHEMA.JOBS_BY_USER JOIN INFORMATION_SCHEMA.JOBS_BY_USER');
+  });
+});
+
+describe('isPermissionDeniedError', () => {
+  test('recognizes access denied errors by reason or message', () => {
+    expect(isPermissionDeniedError(bigQueryError('Access Denied: Table region-us.INFORMATION_SCHEMA.JOBS_BY_ORGANIZATION', 'accessDenied', 403))).toBe(true);
+    expect(isPermissionDeniedError(Object.assign(new Error('Forbidden'), { reason: 'accessDenied' }))).toBe(true);
+    expect(isPermissionDeniedError(new Error('User does not have permission bigquery.jobs.listAll'))).toBe(true);
+  });
+
+  test('leaves out rate limits and other errors', () => {
+    expect(isPermissionDeniedError(bigQueryError('Exceeded rate limits', 'rateLimitExceeded', 403))).toBe(false);
+    expect(isPermissionDeniedError(bigQueryError('Backend error', 'backendError', 500))).toBe(false);
+    expect(isPermissionDeniedError(null)).toBe(false);
+  });
+});
+
+describe('splitRowsByProject', () => {
+  test('keys the rows by the project their jobs ran in', () => {
+    const rows = [
+      { project_id: 'project-a', date: '2026-03-08', estimated_cost_usd: 5 },
+      { project_id: 'project-b', date: '2026-03-08', estimated_cost_usd: 2 },
+      { project_id: 'project-a', date: '2026-03-07', estimated_cost_usd: 1 }
+    ];
+
+    expect(splitRowsByProject(rows)).toEqual({
+      'project-a': [rows[0], rows[2]],
+      'project-b': [rows[1]]
+    });
+  });
+
+  test('skips rows without a project', () => {
+    expect(splitRowsByProject([{ project_id: null, estimated_cost_usd: 1 }, { estimated_cost_usd: 2 }])).toEqual({});
+    expect(splitRowsByProject([])).toEqual({});
+  });
+});
+
+describe('project selection', () => {
+  const entry = { organization: '123', adminProject: 'admin', historyDays: 60, exclude: ['sandbox-*', 'legacy.app'] };
+
+  test('matches project IDs against patterns', () => {
+    expect(matchesProjectPattern('sandbox-alice', entry.exclude)).toBe(true);
+    expect(matchesProjectPattern('legacy.app', entry.exclude)).toBe(true);
+    expect(matchesProjectPattern('legacyxapp', entry.exclude)).toBe(false);
+    expect(matchesProjectPattern('project-sandbox-a', entry.exclude)).toBe(false);
+    expect(matchesProjectPattern('project-a')).toBe(false);
+  });
+
+  test('collects the projects that are neither configured nor excluded', () => {
+    const projects = [{ id: 'project-a', name: 'Project A', disabled: true }];
+
+    expect(collectsProject('project-a', entry, projects)).toBe(false);
+    expect(collectsProject('sandbox-alice', entry, projects)).toBe(false);
+    expect(collectsProject('project-b', entry, projects)).toBe(true);
+  });
+
+  test('configures a found project with the settings of its entry', () => {
+    expect(discoveredProject('project-b', entry)).toEqual({
+      id: 'project-b',
+      name: 'project-b',
+      source: 'organizations/123',
+      historyDays: 60
+    });
+  });
+});
+
+describe('validateOrganizations', () => {
+  test('accepts organizations and folders', () => {
+    expect(validateOrganizations([
+      { organization: '123', adminProject: 'admin' },
+      { folder: '456', adminProject: 'admin', exclude: ['sandbox-*'] }
+    ])).toEqual([]);
+  });
+
+  test('reports entries that name both or neither, duplicates and invalid patterns', () => {
+    expect(validateOrganizations([
+      { organization: '123', folder: '456', adminProject: 'admin' },
+      { adminProject: 'admin' },
+      { organization: '123', adminProject: 'admin' },
+      { organization: '123', adminProject: 'other', exclude: ['Sandbox?'] }
+    ])).toEqual([
+      "Organization at index 0 must name either an 'organization' or a 'folder'",
+      "Organization at index 1 must name either an 'organization' or a 'folder'",
+      'Organization at index 3 has a duplicate organizations/123',
+      'Organization at index 3 has an invalid exclude pattern: Sandbox?'
+    ]);
+    expect(validateOrganizations({})).toEqual(['organizations must be an array']);
+  });
+});
@@ -0,0 +1,170 @@
+const {
+  resolvePricing,
+  applyFreeTier,
+  applySharedFreeTier,
+  validatePricing
+} = require('../../src/common/pricing');
+
+const TIB = Math.pow(1024, 4);
+
+/**
+ * Build a daily cost row billed at $6.25 per TiB
+ * @param {string} date - Day of the row
+ * @param {number} tib - TiB billed
+ * @returns {Object} - Cost row
+ */
+function billedRow(date, tib) {
+  return {
+    date,
+    total_bytes_billed: tib * TIB,
+    on_demand_cost_usd: tib * 6.25,
+    estimated_cost_usd: tib * 6.25
+  };
+}
+
+describe('resolvePricing', () => {
+  test('lets the project override the global pricing', () => {
+    const settings = { pricing: { freeTierTiB: 2, billingAccount: '0123-4567' } };
+
+    expect(resolvePricing({}, settings, 'us')).toEqual({
+      model: 'on-demand',
+      edition: 'enterprise',
+      onDemandPerTiB: 6.25,
+      slotHourPrice: 0.06,
+      freeTierTiB: 2,
+      billingAccount: '0123-4567'
+    });
+    expect(resolvePricing({ pricing: { billingAccount: 'other' } }, settings, 'europe-west2')).toMatchObject({
+      onDemandPerTiB: 7.82,
+      billingAccount: 'other'
+    });
+  });
+
+  test('has no free tier or billing account for capacity pricing by default', () => {
+    expect(resolvePricing({ pricing: { model: 'capacity', edition: 'Enterprise Plus' } }, {}, 'us')).toMatchObject({
+      model: 'capacity',
+      edition: 'enterprise_plus',
+      slotHourPrice: 0.10,
+      freeTierTiB: 0,
+      billingAccount: null
+    });
+  });
+});
+
+describe('applyFreeTier', () => {
+  test('credits the first TiB of each month in date order', () => {
+    const rows = [billedRow('2026-03-02', 0.8), billedRow('2026-03-01', 0.5), billedRow('2026-04-01', 0.5)];
+
+    const credit = applyFreeTier(rows, { model: 'on-demand', freeTierTiB: 1 });
+
+    expect(rows.map(row => [row.date, row.free_tier_credit_usd, row.estimated_cost_usd])).toEqual([
+      ['2026-03-02', 3.13, 1.87],
+      ['2026-03-01', 3.13, 0],
+      ['2026-04-01', 3.13, 0]
+    ]);
+    expect(credit).toBeCloseTo(9.39);
+  });
+
+  test('credits again from the gross cost, so re-applying changes nothing', () => {
+    const rows = [billedRow('2026-03-01', 2)];
+    applyFreeTier(rows, { model: 'on-demand', freeTierTiB: 1 });
+    applyFreeTier(rows, { model: 'on-demand', freeTierTiB: 1 });
+
+    expect(rows[0]).toMatchObject({ gross_cost_usd: 12.5, free_tier_credit_usd: 6.25, estimated_cost_usd: 6.25 });
+  });
+
+  test('scales the breakdowns by the share that remains', () => {
+    const row = { ...billedRow('2026-03-01', 2), dataset_costs: [{ dataset: 'a', dataset_cost_usd: 10 }, { dataset: 'b', dataset_cost_usd: 2.5 }] };
+    applyFreeTier([row], { model: 'on-demand', freeTierTiB: 1 });
+
+    expect(row.dataset_costs).toEqual([
+      { dataset: 'a', dataset_cost_usd: 5, gross_dataset_cost_usd: 10 },
+      { dataset: 'b', dataset_cost_usd: 1.25, gross_dataset_cost_usd: 2.5 }
+    ]);
+  });
+
+  test('scales label costs and their datasets, so label values still add up to the row', () => {
+    const row = {
+      ...billedRow('2026-03-01', 2),
+      label_costs: [
+        { label_key: 'team', label_value: 'sales', label_cost_usd: 10, dataset_costs: [{ dataset: 'a', dataset_cost_usd: 10 }] },
+        { label_key: 'team', label_value: 'unlabelled', label_cost_usd: 2.5, dataset_costs: [{ dataset: 'b', dataset_cost_usd: 2.5 }] }
+      ]
+    };
+    applyFreeTier([row], { model: 'on-demand', freeTierTiB: 1 });
+
+    expect(row.label_costs.map(label => [label.label_value, label.label_cost_usd, label.dataset_costs[0].dataset_cost_usd])).toEqual([
+      ['sales', 5, 5],
+      ['unlabelled', 1.25, 1.25]
+    ]);
+    expect(row.label_costs.reduce((sum, label) => sum + label.label_cost_usd, 0)).toBe(row.estimated_cost_usd);
+  });
+});
+
+describe('applySharedFreeTier', () => {
+  const onDemand = { model: 'on-demand', freeTierTiB: 1, billingAccount: '0123-4567' };
+
+  test('shares one allowance per month between the projects of a billing account', () => {
+    const projectA = [billedRow('2026-03-01', 0.75), billedRow('2026-03-05', 0.5)];
+    const projectB = [billedRow('2026-03-03', 0.5)];
+
+    applySharedFreeTier([{ rows: projectA, pricing: onDemand }, { rows: projectB, pricing: onDemand }]);
+
+    // Project A uses 0.75 TiB on the 1st, leaving 0.25 TiB for project B on the 3rd
+    expect(projectA.map(row => row.free_tier_credit_usd)).toEqual([4.69, 0]);
+    expect(projectB.map(row => row.free_tier_credit_usd)).toEqual([1.56]);
+    expect(projectB[0].estimated_cost_usd).toBe(1.57);
+  });
+
+  test('gives the projects of the same day the free bytes in the order given', () => {
+    const projectA = [billedRow('2026-03-01', 0.75)];
+    const projectB = [billedRow('2026-03-01', 0.75)];
+
+    applySharedFreeTier([{ rows: projectB, pricing: onDemand }, { rows: projectA, pricing: onDemand }]);
+
+    expect(projectB[0].free_tier_credit_usd).toBe(4.69);
+    expect(projectA[0].free_tier_credit_usd).toBe(1.56);
+  });
+
+  test('leaves the allowance to on-demand projects', () => {
+    const capacity = [{ ...billedRow('2026-03-01', 2), capacity_cost_usd: 3, estimated_cost_usd: 3 }];
+    const projectA = [billedRow('2026-03-02', 1)];
+
+    applySharedFreeTier([
+      { rows: capacity, pricing: { model: 'capacity', freeTierTiB: 0, billingAccount: '0123-4567' } },
+      { rows: projectA, pricing: onDemand }
+    ]);
+
+    expect(capacity[0]).toMatchObject({ free_tier_credit_usd: 0, estimated_cost_usd: 3, pricing_model: 'capacity' });
+    expect(projectA[0]).toMatchObject({ free_tier_credit_usd: 6.25, estimated_cost_usd: 0 });
+  });
+});
+
+describe('validatePricing', () => {
+  test('accepts a complete pricing block', () => {
+    expect(validatePricing({
+      model: 'on-demand',
+      edition: 'standard',
+      onDemandPerTiB: 5,
+      slotHourPrice: 0.04,
+      freeTierTiB: 0,
+      billingAccount: '0123-4567'
+    }, 'settings.pricing')).toEqual([]);
+  });
+
+  test('reports every invalid value', () => {
+    expect(validatePricing({
+      model: 'flat',
+      edition: 'premium',
+      onDemandPerTiB: 0,
+      freeTierTiB: -1,
+      billingAccount: ' '
+    }, 'Project at index 0 pricing')).toEqual([
+      'Project at index 0 pricing.model must be one of: on-demand, capacity',
+      'Project at index 0 pricing.edition must be one of: standard, enterprise, enterprise_plus',
+      'Project at index 0 pricing.onDemandPerTiB must be a positive number',
+      'Project at index 0 pricing.freeTierTiB must be a non-negative number',
+      'Project at index 0 pricing.billingAccount must be a non-empty string'
+    ]);
+  });
+});
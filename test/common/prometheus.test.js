@@ -0,0 +1,200 @@
+const {
+  summarizeRows,
+  buildCostMetrics,
+  buildHealthMetrics,
+  renderMetrics,
+  resolvePrometheusSettings,
+  validatePrometheusSettings
+} = require('../../src/common/prometheus');
+
+const DATE = '2026-03-02';
+
+/**
+ * Build a daily cost row
+ * @param {Object} fields - Fields of the row
+ * @returns {Object} - Cost row
+ */
+function costRow(fields) {
+  return {
+    date: DATE,
+    user_email: 'alice@example.com',
+    estimated_cost_usd: 1,
+    total_bytes_billed: 1024,
+    query_count: 2,
+    cache_hit_count: 1,
+    slot_hours: 0.5,
+    ...fields
+  };
+}
+
+/**
+ * Find the samples of a metric family
+ * @param {Array} families - Metric families
+ * @param {string} name - Family name
+ * @returns {Array} - [labels, value] of each sample
+ */
+function samples(families, name) {
+  const family = families.find(candidate => candidate.name === name);
+  return family.samples.map(({ labels, value }) => [labels, value]);
+}
+
+describe('summarizeRows', () => {
+  test('sums the rows of the day per project, principal and dataset', () => {
+    const summary = summarizeRows([
+      costRow({ dataset_costs: [{ dataset: 'p.sales', dataset_cost_usd: 1, bytes_billed: 1024, query_count: 2 }] }),
+      costRow({ user_email: null, service_account: 'etl@p.iam.gserviceaccount.com', estimated_cost_usd: 3, cache_hit_count: 0 }),
+      costRow({ date: '2026-03-01', estimated_cost_usd: 100 })
+    ], { date: DATE });
+
+    expect(summary.project).toEqual({ cost: 4, bytesBilled: 2048, queries: 4, cacheHits: 1, slotHours: 1 });
+    expect(Object.keys(summary.principals)).toEqual(['etl@p.iam.gserviceaccount.com', 'alice@example.com']);
+    expect(summary.datasets).toEqual({ 'p.sales': { cost: 1, bytesBilled: 1024, queries: 2, cacheHits: 0, slotHours: 0 } });
+  });
+
+  test('folds principals beyond the most expensive into other', () => {
+    const summary = summarizeRows([
+      costRow({ user_email: 'a@example.com', estimated_cost_usd: 5 }),
+      costRow({ user_email: 'b@example.com', estimated_cost_usd: 2 }),
+      costRow({ user_email: 'c@example.com', estimated_cost_usd: 1 })
+    ], { date: DATE, topN: 1 });
+
+    expect(Object.entries(summary.principals).map(([principal, totals]) => [principal, totals.cost])).toEqual([
+      ['a@example.com', 5],
+      ['other', 3]
+    ]);
+  });
+});
+
+describe('buildCostMetrics', () => {
+  test('publishes gauges per project, principal and dataset', () => {
+    const rowsByProject = {
+      'project-a': [costRow({ dataset_costs: [{ dataset: 'p.sales', dataset_cost_usd: 1, bytes_billed: 1024, query_count: 2 }] })],
+      'project-b': []
+    };
+    const loadRows = jest.fn((projectId, date) => rowsByProject[projectId].filter(row => row.date === date));
+
+    const families = buildCostMetrics(['project-a', 'project-b'], loadRows, { date: DATE, topN: 20 });
+
+    expect(loadRows).toHaveBeenCalledWith('project-a', DATE);
+    expect(samples(families, 'bq_cost_monitor_project_daily_cost_usd')).toEqual([
+      [{ project_id: 'project-a' }, 1],
+      [{ project_id: 'project-b' }, 0]
+    ]);
+    expect(samples(families, 'bq_cost_monitor_project_daily_cache_hit_ratio')).toEqual([
+      [{ project_id: 'project-a' }, 0.5],
+      [{ project_id: 'project-b' }, 0]
+    ]);
+    expect(samples(families, 'bq_cost_monitor_principal_daily_queries')).toEqual([
+      [{ project_id: 'project-a', principal: 'alice@example.com' }, 2]
+    ]);
+    expect(samples(families, 'bq_cost_monitor_dataset_daily_billed_bytes')).toEqual([
+      [{ project_id: 'project-a', dataset: 'p.sales' }, 1024]
+    ]);
+    expect(families.find(family => family.name === 'bq_cost_monitor_dataset_daily_slot_hours')).toBeUndefined();
+  });
+});
+
+describe('buildHealthMetrics', () => {
+  const runs = [
+    {
+      status: 'partial',
+      finishedAt: '2026-03-02T06:01:00Z',
+      durationSeconds: 60,
+      projects: [
+        { project: 'project-a', status: 'success', attempts: 1 },
+        { project: 'project-b', status: 'error', attempts: 3 }
+      ]
+    },
+    {
+      status: 'success',
+      finishedAt: '2026-03-01T06:01:00Z',
+      durationSeconds: 45,
+      projects: [
+        { project: 'project-a', status: 'success', attempts: 1 },
+        { project: 'project-b', status: 'success', attempts: 2 }
+      ]
+    }
+  ];
+
+  test('describes the latest run and the last success of each project', () => {
+    const families = buildHealthMetrics(runs, ['project-a', 'project-b', 'project-c']);
+
+    expect(samples(families, 'bq_cost_monitor_last_run_timestamp_seconds')).toEqual([[{}, Date.parse('2026-03-02T06:01:00Z') / 1000]]);
+    expect(samples(families, 'bq_cost_monitor_last_run_duration_seconds')).toEqual([[{}, 60]]);
+    expect(samples(families, 'bq_cost_monitor_last_run_status')).toEqual([
+      [{ status: 'success' }, 0],
+      [{ status: 'partial' }, 1],
+      [{ status: 'failed' }, 0]
+    ]);
+    expect(samples(families, 'bq_cost_monitor_last_success_timestamp_seconds')).toEqual([[{}, Date.parse('2026-03-01T06:01:00Z') / 1000]]);
+    expect(samples(families, 'bq_cost_monitor_project_last_success_timestamp_seconds')).toEqual([
+      [{ project_id: 'project-a' }, Date.parse('2026-03-02T06:01:00Z') / 1000],
+      [{ project_id: 'project-b' }, Date.parse('2026-03-01T06:01:00Z') / 1000]
+    ]);
+    expect(samples(families, 'bq_cost_monitor_project_last_run_error')).toEqual([
+      [{ project_id: 'project-a' }, 0],
+      [{ project_id: 'project-b' }, 1]
+    ]);
+    expect(samples(families, 'bq_cost_monitor_project_last_run_attempts')).toEqual([
+      [{ project_id: 'project-a' }, 1],
+      [{ project_id: 'project-b' }, 3]
+    ]);
+  });
+
+  test('publishes no samples before the first run', () => {
+    expect(buildHealthMetrics([], ['project-a']).every(family => family.samples.length === 0)).toBe(true);
+  });
+});
+
+describe('renderMetrics', () => {
+  const families = [
+    {
+      name: 'bq_cost_monitor_project_daily_cost_usd',
+      help: 'Cost\nso far',
+      unit: 'usd',
+      type: 'gauge',
+      samples: [
+        { labels: { project_id: 'project-a' }, value: 1.23456789 },
+        { labels: { project_id: 'say "hi"\\\n' }, value: Infinity }
+      ]
+    },
+    { name: 'bq_cost_monitor_last_run_duration_seconds', help: 'Duration', type: 'gauge', samples: [{ labels: {}, value: NaN }] }
+  ];
+
+  test('renders the Prometheus text format', () => {
+    expect(renderMetrics(families)).toBe([
+      '# TYPE bq_cost_monitor_project_daily_cost_usd gauge',
+      '# HELP bq_cost_monitor_project_daily_cost_usd Cost\\nso far',
+      'bq_cost_monitor_project_daily_cost_usd{project_id="project-a"} 1.234568',
+      'bq_cost_monitor_project_daily_cost_usd{project_id="say \\"hi\\"\\\\\\n"} +Inf',
+      '# TYPE bq_cost_monitor_last_run_duration_seconds gauge',
+      '# HELP bq_cost_monitor_last_run_duration_seconds Duration',
+      'bq_cost_monitor_last_run_duration_seconds NaN',
+      ''
+    ].join('\n'));
+  });
+
+  test('renders OpenMetrics with units and a closing EOF', () => {
+    const lines = renderMetrics(families, { openMetrics: true }).split('\n');
+
+    expect(lines[1]).toBe('# UNIT bq_cost_monitor_project_daily_cost_usd usd');
+    expect(lines.filter(line => line.startsWith('# UNIT'))).toHaveLength(1);
+    expect(lines.slice(-2)).toEqual(['# EOF', '']);
+  });
+});
+
+describe('Prometheus settings', () => {
+  test('defaults to enabled with the top 20 principals and datasets', () => {
+    expect(resolvePrometheusSettings({})).toEqual({ enabled: true, topN: 20 });
+    expect(resolvePrometheusSettings({ prometheus: { topN: 5 } })).toEqual({ enabled: true, topN: 5 });
+  });
+
+  test('validates the block', () => {
+    expect(validatePrometheusSettings({ enabled: true, topN: 0 }, 'settings.prometheus')).toEqual([]);
+    expect(validatePrometheusSettings({ enabled: 'yes', topN: -1 }, 'settings.prometheus')).toEqual([
+      'settings.prometheus.enabled must be a boolean',
+      'settings.prometheus.topN must be a non-negative integer'
+    ]);
+    expect(validatePrometheusSettings([], 'settings.prometheus')).toEqual(['settings.prometheus must be an object']);
+  });
+});
@@ -0,0 +1,55 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const { normalizeRegion, resolveProjectRegions, applyRegion } = require('../../src/common/regions');
+
+describe('normalizeRegion', () => {
+  test('addresses multi-regions in upper case and regions as they are', () => {
+    expect(normalizeRegion('US')).toEqual({ name: 'us', location: 'US' });
+    expect(normalizeRegion(' eu ')).toEqual({ name: 'eu', location: 'EU' });
+    expect(normalizeRegion('asia-northeast1')).toEqual({ name: 'asia-northeast1', location: 'asia-northeast1' });
+  });
+
+  test('rejects names that are not regions', () => {
+    expect(() => normalizeRegion('us-central')).toThrow('Invalid BigQuery region: us-central');
+    expect(() => normalizeRegion('region-us')).toThrow('Invalid BigQuery region');
+    expect(() => normalizeRegion('')).toThrow('Invalid BigQuery region');
+  });
+});
+
+describe('resolveProjectRegions', () => {
+  test('collects the configured regions once each', () => {
+    const regions = resolveProjectRegions({ regions: ['US', 'europe-west2', 'us'] }, 'US');
+
+    expect(regions).toEqual([
+      { name: 'us', location: 'US' },
+      { name: 'europe-west2', location: 'europe-west2' }
+    ]);
+  });
+
+  test('falls back to the project location, then the default location', () => {
+    expect(resolveProjectRegions({ regions: [], location: 'EU' }, 'US')).toEqual([{ name: 'eu', location: 'EU' }]);
+    expect(resolveProjectRegions({}, 'asia-northeast1')).toEqual([{ name: 'asia-northeast1', location: 'asia-northeast1' }]);
+  });
+});
+
+describe('applyRegion', () => {
+  test('qualifies every INFORMATION_SCHEMA view with the region', () => {
+    const sql = 'SELECT * FROM `region-{{region}}`.INFORMATION_SCHEMA.JOBS JOIN `region-{{region}}`.INFORMATION_SCHEMA.TABLES';
+
+    expect(applyRegion(sql, { name: 'europe-west2', location: 'europe-west2' })).toBe(
+      'SELECT * FROM `region-europe-west2`.INFORMATION_SCHEMA.JOBS JOIN `region-europe-west2`.INFORMATION_SCHEMA.TABLES'
+    );
+  });
+
+  test('leaves no placeholder in the bundled queries', () => {
+    const queriesDir = path.join(__dirname, '../../src/queries');
+
+    fs.readdirSync(queriesDir).filter(file => file.endsWith('.sql')).forEach(file => {
+      const sql = applyRegion(fs.readFileSync(path.join(queriesDir, file), 'utf8'), { name: 'eu', location: 'EU' });
+
+      expect(sql).not.toContain('{{region}}');
+      expect(sql).not.toMatch(/`region-(?!eu`)/);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const { sendMail, SmtpError } = require('../../src/common/smtp-client');
+const { startSmtpSink } = require('../helpers/smtp-sink');
+
+describe('sendMail', () => {
+  let sink;
+
+  afterEach(async () => {
+    if (sink) await sink.close();
+    sink = null;
+  });
+
+  test('delivers a message with text and HTML parts to every recipient', async () => {
+    sink = await startSmtpSink();
+
+    const result = await sendMail({ host: sink.host, port: sink.port }, {
+      from: 'BigQuery Cost Monitor <monitor@example.com>',
+      to: ['finops@example.com', 'lead@example.com'],
+      subject: 'Daily digest – project-a',
+      text: 'Plain body\nsecond line',
+      html: '<p>HTML body</p>'
+    });
+
+    expect(result.accepted).toEqual(['finops@example.com', 'lead@example.com']);
+    expect(result.response).toMatch(/^250 /);
+    expect(sink.messages).toHaveLength(1);
+
+    const [message] = sink.messages;
+    expect(message.from).toBe('monitor@example.com');
+    expect(message.to).toEqual(['finops@example.com', 'lead@example.com']);
+    expect(message.subject).toBe('Daily digest – project-a');
+    expect(message.text).toBe('Plain body\nsecond line');
+    expect(message.html).toBe('<p>HTML body</p>');
+    expect(message.headers['content-type']).toMatch(/^multipart\/alternative/);
+  });
+
+  test('keeps non-ASCII subjects and long lines intact', async () => {
+    sink = await startSmtpSink();
+
+    await sendMail({ host: sink.host, port: sink.port }, {
+      from: 'monitor@example.com', to: ['finops@example.com'], subject: 'Coût €', text: `${'x'.repeat(200)}\n.leading dot`
+    });
+
+    expect(sink.messages[0].subject).toBe('Coût €');
+    expect(sink.messages[0].text).toBe(`${'x'.repeat(200)}\n.leading dot`);
+  });
+
+  test('accepts a single recipient as a string', async () => {
+    sink = await startSmtpSink();
+
+    await sendMail({ host: sink.host, port: sink.port }, {
+      from: 'monitor@example.com', to: 'finops@example.com', subject: 'Hi', text: 'Body'
+    });
+
+    expect(sink.messages[0].to).toEqual(['finops@example.com']);
+    expect(sink.messages[0].html).toBeUndefined();
+  });
+
+  test('authenticates with AUTH PLAIN when the server offers it', async () => {
+    sink = await startSmtpSink({ auth: true });
+
+    await sendMail({ host: sink.host, port: sink.port, auth: { user: 'relay', pass: 's3cret' } }, {
+      from: 'monitor@example.com', to: ['finops@example.com'], subject: 'Hi', text: 'Body'
+    });
+
+    expect(sink.messages[0].auth).toEqual({ method: 'PLAIN', user: 'relay', pass: 's3cret' });
+  });
+
+  test('falls back to AUTH LOGIN when PLAIN is not offered', async () => {
+    sink = await startSmtpSink({
+      reply: line => (line.startsWith('EHLO') ? '250-localhost\r\n250 AUTH LOGIN' : undefined)
+    });
+
+    await sendMail({ host: sink.host, port: sink.port, auth: { user: 'relay', pass: 's3cret' } }, {
+      from: 'monitor@example.com', to: ['finops@example.com'], subject: 'Hi', text: 'Body'
+    });
+
+    expect(sink.messages[0].auth).toEqual({ method: 'LOGIN', user: 'relay', pass: 's3cret' });
+  });
+
+  test('rejects with the reply code when the server refuses a recipient', async () => {
+    sink = await startSmtpSink({
+      reply: line => (line.startsWith('RCPT') ? '550 5.1.1 Mailbox unavailable' : undefined)
+    });
+
+    const sending = sendMail({ host: sink.host, port: sink.port }, {
+      from: 'monitor@example.com', to: ['nobody@example.com'], subject: 'Hi', text: 'Body'
+    });
+
+    await expect(sending).rejects.toBeInstanceOf(SmtpError);
+    await expect(sending).rejects.toMatchObject({ responseCode: 550, message: 'SMTP RCPT TO failed: 550 5.1.1 Mailbox unavailable' });
+    expect(sink.messages).toHaveLength(0);
+  });
+
+  test('does not show credentials in AUTH errors', async () => {
+    sink = await startSmtpSink({
+      auth: true,
+      reply: line => (line.startsWith('AUTH') ? '535 5.7.8 Authentication failed' : undefined)
+    });
+
+    const error = await sendMail({ host: sink.host, port: sink.port, auth: { user: 'relay', pass: 's3cret' } }, {
+      from: 'monitor@example.com', to: ['finops@example.com'], subject: 'Hi', text: 'Body'
+    }).catch(caught => caught);
+
+    expect(error.responseCode).toBe(535);
+    expect(error.message).toBe('SMTP AUTH failed: 535 5.7.8 Authentication failed');
+  });
+
+  test('rejects when the server is not listening', async () => {
+    sink = await startSmtpSink();
+    const { port } = sink;
+    await sink.close();
+    sink = null;
+
+    await expect(sendMail({ host: '127.0.0.1', port }, {
+      from: 'monitor@example.com', to: ['finops@example.com'], subject: 'Hi', text: 'Body'
+    })).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const { saveStorage, getStorage } = require('../../src/common/storage-history');
+
+/**
+ * Build a table's storage row with its costs
+ * @param {string} tableName - Fully qualified table name
+ * @param {number} cost - Monthly cost
+ * @returns {Object} - Table storage row
+ */
+function table(tableName, cost) {
+  const [project, dataset] = tableName.split('.');
+
+  return {
+    project_id: project,
+    dataset: `${project}.${dataset}`,
+    table_name: tableName,
+    region: 'us',
+    storage_billing_model: 'LOGICAL',
+    total_logical_bytes: cost * 50 * Math.pow(1024, 3),
+    active_logical_bytes: cost * 50 * Math.pow(1024, 3),
+    monthly_cost_usd: cost,
+    logical_monthly_cost_usd: cost,
+    physical_monthly_cost_usd: cost / 2
+  };
+}
+
+describe('storage history', () => {
+  let storePath;
+
+  beforeEach(() => {
+    storePath = fs.mkdtempSync(path.join(os.tmpdir(), 'bqcm-storage-'));
+  });
+
+  afterEach(() => {
+    fs.removeSync(storePath);
+  });
+
+  test('has no storage for a project that was never collected', () => {
+    expect(getStorage('project-a', {}, storePath)).toBeNull();
+  });
+
+  test('serves the tables of the most recent day with their datasets', () => {
+    saveStorage('project-a', '2026-02-27', [table('project-a.old.events', 9)], { runId: 'run-1' }, storePath);
+    saveStorage('project-a', '2026-03-08', [
+      table('project-a.sales.orders', 2),
+      table('project-a.sales.items', 3),
+      table('project-a.logs.events', 1)
+    ], { runId: 'run-2' }, storePath);
+
+    const storage = getStorage('project-a', {}, storePath);
+
+    expect(storage.project).toBe('project-a');
+    expect(storage.date).toBe('2026-03-08');
+    expect(storage.tables.map(row => [row.table_name, row.date])).toEqual([
+      ['project-a.sales.items', '2026-03-08'],
+      ['project-a.sales.orders', '2026-03-08'],
+      ['project-a.logs.events', '2026-03-08']
+    ]);
+    expect(storage.datasets.map(dataset => [dataset.dataset, dataset.table_count, dataset.monthly_cost_usd])).toEqual([
+      ['project-a.sales', 2, 5],
+      ['project-a.logs', 1, 1]
+    ]);
+  });
+
+  test('replaces the day when it is collected again', () => {
+    saveStorage('project-a', '2026-03-08', [table('project-a.sales.orders', 2), table('project-a.tmp.scratch', 4)], { runId: 'run-1' }, storePath);
+    const counts = saveStorage('project-a', '2026-03-08', [table('project-a.sales.orders', 2.5)], { runId: 'run-2' }, storePath);
+
+    expect(counts).toEqual({ inserted: 0, updated: 1, unchanged: 0, deleted: 1 });
+    expect(getStorage('project-a', {}, storePath).tables.map(row => [row.table_name, row.monthly_cost_usd])).toEqual([
+      ['project-a.sales.orders', 2.5]
+    ]);
+  });
+
+  test('reads the storage as of an earlier run', () => {
+    saveStorage('project-a', '2026-03-07', [table('project-a.sales.orders', 2)], { runId: '20260307T060000Z-aaaaaa' }, storePath);
+    saveStorage('project-a', '2026-03-08', [table('project-a.sales.orders', 3)], { runId: '20260308T060000Z-bbbbbb' }, storePath);
+
+    const storage = getStorage('project-a', { asOf: '20260307T060000Z-aaaaaa' }, storePath);
+
+    expect(storage.date).toBe('2026-03-07');
+    expect(storage.tables.map(row => row.monthly_cost_usd)).toEqual([2]);
+  });
+
+  test('falls back to an earlier month when the latest one has nothing as of the run', () => {
+    saveStorage('project-a', '2026-02-27', [table('project-a.sales.orders', 2)], { runId: '20260227T060000Z-aaaaaa' }, storePath);
+    saveStorage('project-a', '2026-03-01', [table('project-a.sales.orders', 3)], { runId: '20260301T060000Z-bbbbbb' }, storePath);
+
+    expect(getStorage('project-a', { asOf: '20260228T060000Z-cccccc' }, storePath).date).toBe('2026-02-27');
+  });
+
+  test('reads the store from STORAGE_STORE_PATH', () => {
+    const previous = process.env.STORAGE_STORE_PATH;
+    process.env.STORAGE_STORE_PATH = storePath;
+    try {
+      saveStorage('project-a', '2026-03-08', [table('project-a.sales.orders', 2)]);
+      expect(fs.existsSync(path.join(storePath, 'project-a', '2026-03.json'))).toBe(true);
+      expect(getStorage('project-a').tables).toHaveLength(1);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.STORAGE_STORE_PATH;
+      } else {
+        process.env.STORAGE_STORE_PATH = previous;
+      }
+    }
+  });
+});
@@ -0,0 +1,170 @@
+const {
+  parsePrincipalRule,
+  compileTeamMapping,
+  assignTeamCosts,
+  enrichRows,
+  splitRowsByTeam,
+  validateTeams
+} = require('../../src/common/teams');
+
+const TEAMS = [
+  { name: 'platform', costCenter: 'CC-200', principals: ['etl@project-a.iam.gserviceaccount.com', '/^airflow-.*@/'] },
+  { name: 'sales', costCenter: 'CC-100', labels: ['team=sales'], datasets: ['sales'] },
+  { name: 'marketing', labels: ['team=marketing'], datasets: ['project-a.marketing'] }
+];
+
+/**
+ * Build a day of cost of a principal
+ * @param {Object} fields - Fields of the row
+ * @returns {Object} - Cost row with its dataset breakdown
+ */
+function costRow(fields) {
+  return {
+    date: '2026-03-01',
+    user_email: 'alice@example.com',
+    estimated_cost_usd: 10,
+    dataset_costs: [
+      { dataset: 'project-a.sales', dataset_cost_usd: 6 },
+      { dataset: 'project-a.marketing', dataset_cost_usd: 3 }
+    ],
+    ...fields
+  };
+}
+
+/**
+ * Summarize the team assignment of a row
+ * @param {Object} row - Cost row
+ * @param {Array} [teams] - Team definitions
+ * @returns {Array} - [team, cost center, share, cost] of each team
+ */
+function assignment(row, teams = TEAMS) {
+  return assignTeamCosts(row, compileTeamMapping(teams))
+    .map(entry => [entry.team, entry.cost_center, entry.share, entry.team_cost_usd]);
+}
+
+describe('parsePrincipalRule', () => {
+  test('matches exact principals, domains and patterns', () => {
+    expect(parsePrincipalRule('Alice@Example.com')('alice@example.com')).toBe(true);
+    expect(parsePrincipalRule('alice@example.com')('malice@example.com')).toBe(false);
+    expect(parsePrincipalRule('@example.com')('bob@example.com')).toBe(true);
+    expect(parsePrincipalRule('@example.com')('bob@example.com.evil.io')).toBe(false);
+    expect(parsePrincipalRule('/^airflow-/')('AIRFLOW-prod@project-a.iam.gserviceaccount.com')).toBe(true);
+  });
+});
+
+describe('assignTeamCosts', () => {
+  test('gives the whole row to the team of a matching principal', () => {
+    expect(assignment(costRow({ service_account: 'airflow-prod@project-a.iam.gserviceaccount.com' }))).toEqual([
+      ['platform', 'CC-200', 1, 10]
+    ]);
+  });
+
+  test('splits a row by the teams of its label values, then by dataset', () => {
+    const row = costRow({
+      label_costs: [
+        { label_key: 'team', label_value: 'marketing', label_cost_usd: 3, dataset_costs: [{ dataset: 'project-a.marketing', dataset_cost_usd: 3 }] },
+        // Values without a team are left to the dataset rules
+        { label_key: 'team', label_value: 'unlabelled', label_cost_usd: 6, dataset_costs: [{ dataset: 'project-a.sales', dataset_cost_usd: 6 }] },
+        { label_key: 'team', label_value: 'growth', label_cost_usd: 1 }
+      ]
+    });
+
+    expect(assignment(row)).toEqual([
+      ['sales', 'CC-100', 0.6, 6],
+      ['marketing', null, 0.3, 3],
+      ['unassigned', null, 0.1, 1]
+    ]);
+  });
+
+  test('assigns datasets given with or without their project, and leaves the rest unassigned', () => {
+    expect(assignment(costRow({}))).toEqual([
+      ['sales', 'CC-100', 0.6, 6],
+      ['marketing', null, 0.3, 3],
+      ['unassigned', null, 0.1, 1]
+    ]);
+  });
+
+  test('splits the cost after the free tier by the breakdown before it', () => {
+    expect(assignment(costRow({ estimated_cost_usd: 5, gross_cost_usd: 10 }))).toEqual([
+      ['sales', 'CC-100', 0.6, 3],
+      ['marketing', null, 0.3, 1.5],
+      ['unassigned', null, 0.1, 0.5]
+    ]);
+  });
+
+  test('leaves everything unassigned without a mapping', () => {
+    expect(assignment(costRow({ dataset_costs: [] }), [])).toEqual([['unassigned', null, 1, 10]]);
+  });
+});
+
+describe('enrichRows', () => {
+  test('names the team with the largest share', () => {
+    const [row] = enrichRows([costRow({})], compileTeamMapping(TEAMS));
+
+    expect(row).toMatchObject({ team: 'sales', cost_center: 'CC-100' });
+    expect(row.team_costs.map(entry => entry.team)).toEqual(['sales', 'marketing', 'unassigned']);
+  });
+});
+
+describe('splitRowsByTeam', () => {
+  test('gives each team its share of every row, before and after the free tier', () => {
+    const teams = splitRowsByTeam([
+      {
+        date: '2026-03-01',
+        estimated_cost_usd: 4,
+        gross_cost_usd: 8,
+        team_costs: [
+          { team: 'sales', cost_center: 'CC-100', share: 0.75, team_cost_usd: 3 },
+          { team: 'unassigned', cost_center: null, share: 0.25, team_cost_usd: 1 }
+        ]
+      },
+      {
+        date: '2026-03-02',
+        estimated_cost_usd: 2,
+        team_costs: [{ team: 'sales', cost_center: 'CC-100', share: 1, team_cost_usd: 2 }]
+      }
+    ]);
+
+    expect(teams).toEqual([
+      {
+        team: 'sales',
+        cost_center: 'CC-100',
+        rows: [
+          { date: '2026-03-01', estimated_cost_usd: 3, gross_cost_usd: 6 },
+          { date: '2026-03-02', estimated_cost_usd: 2, gross_cost_usd: 2 }
+        ]
+      },
+      {
+        team: 'unassigned',
+        cost_center: null,
+        rows: [{ date: '2026-03-01', estimated_cost_usd: 1, gross_cost_usd: 2 }]
+      }
+    ]);
+  });
+});
+
+describe('validateTeams', () => {
+  test('accepts valid teams', () => {
+    expect(validateTeams(TEAMS)).toEqual([]);
+  });
+
+  test('reports every invalid team', () => {
+    expect(validateTeams([
+      { name: 'sales', costCenter: '' },
+      { name: 'sales', principals: ['/(unclosed/'] },
+      { name: 'unassigned', datasets: 'sales' },
+      { labels: ['Team=x'] },
+      'ops'
+    ])).toEqual([
+      "Team at index 0 has 'costCenter' that is not a non-empty string",
+      'Team at index 1 has a duplicate name: sales',
+      'Team at index 1 has an invalid principal pattern /(unclosed/: Invalid regular expression: /(unclosed/: Unterminated group',
+      "Team at index 2 can't be named 'unassigned'",
+      "Team at index 2 has 'datasets' that is not an array of strings",
+      "Team at index 3 is missing required 'name' field",
+      'Team at index 3 has an invalid label key: Team=x',
+      'Team at index 4 must be an object'
+    ]);
+    expect(validateTeams({})).toEqual(['teams must be an array']);
+  });
+});
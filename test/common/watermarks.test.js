@@ -0,0 +1,69 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/common/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { loadWatermarks, getWatermark, saveWatermark } = require('../../src/common/watermarks');
+const { logger } = require('../../src/common/logger');
+
+describe('watermarks', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bqcm-watermarks-'));
+    filePath = path.join(dir, 'state', 'watermarks.json');
+  });
+
+  afterEach(() => {
+    fs.removeSync(dir);
+  });
+
+  test('has no watermarks before the first save', () => {
+    expect(loadWatermarks(filePath)).toEqual({});
+    expect(getWatermark('project-a', filePath)).toBeNull();
+  });
+
+  test('saves a watermark per project with the time it was updated', () => {
+    saveWatermark('project-a', { regions: { us: '2026-03-08T10:00:00.000Z' } }, filePath);
+    saveWatermark('project-b', { regions: { eu: '2026-03-07T23:00:00.000Z' } }, filePath);
+
+    const watermark = getWatermark('project-a', filePath);
+    expect(watermark.regions).toEqual({ us: '2026-03-08T10:00:00.000Z' });
+    expect(Date.parse(watermark.updatedAt)).not.toBeNaN();
+    expect(Object.keys(loadWatermarks(filePath))).toEqual(['project-a', 'project-b']);
+  });
+
+  test('replaces the watermark of a project on the next save', () => {
+    saveWatermark('project-a', { regions: { us: '2026-03-08T10:00:00.000Z', eu: '2026-03-08T09:00:00.000Z' } }, filePath);
+    saveWatermark('project-a', { regions: { us: '2026-03-09T10:00:00.000Z' } }, filePath);
+
+    expect(getWatermark('project-a', filePath).regions).toEqual({ us: '2026-03-09T10:00:00.000Z' });
+  });
+
+  test('reads the file from WATERMARK_PATH when no path is given', () => {
+    const previous = process.env.WATERMARK_PATH;
+    process.env.WATERMARK_PATH = filePath;
+    try {
+      saveWatermark('project-a', { regions: { us: '2026-03-08T10:00:00.000Z' } });
+      expect(fs.readJsonSync(filePath)['project-a'].regions.us).toBe('2026-03-08T10:00:00.000Z');
+      expect(getWatermark('project-a').regions.us).toBe('2026-03-08T10:00:00.000Z');
+    } finally {
+      if (previous === undefined) {
+        delete process.env.WATERMARK_PATH;
+      } else {
+        process.env.WATERMARK_PATH = previous;
+      }
+    }
+  });
+
+  test('treats a corrupt file as having no watermarks', () => {
+    fs.outputFileSync(filePath, '{ not json');
+
+    expect(getWatermark('project-a', filePath)).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Failed to read watermarks'));
+  });
+});
@@ -0,0 +1,68 @@
+const ExcelJS = require('exceljs');
+
+const { buildWorkbook } = require('../../src/common/xlsx');
+
+/**
+ * Read a workbook back
+ * @param {Buffer} buffer - XLSX file
+ * @returns {Promise<Array>} - Sheets {name, rows}, each row an array of cell values
+ */
+async function readWorkbook(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  return workbook.worksheets.map(worksheet => {
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: true }, row => {
+      rows.push(row.values.slice(1));
+    });
+    return { name: worksheet.name, rows };
+  });
+}
+
+describe('buildWorkbook', () => {
+  test('writes a zip archive with a sheet per table', async () => {
+    const buffer = await buildWorkbook([
+      { name: 'Users', rows: [['User', 'Cost (USD)'], ['alice@example.com', 6.5], ['bob@example.com', 3]] },
+      { name: 'Regions', rows: [['Region'], ['US']] }
+    ]);
+
+    expect(buffer.subarray(0, 2).toString()).toBe('PK');
+    expect(await readWorkbook(buffer)).toEqual([
+      { name: 'Users', rows: [['User', 'Cost (USD)'], ['alice@example.com', 6.5], ['bob@example.com', 3]] },
+      { name: 'Regions', rows: [['Region'], ['US']] }
+    ]);
+  });
+
+  test('keeps numbers and booleans typed and formulas as text', async () => {
+    const [sheet] = await readWorkbook(await buildWorkbook([
+      { name: 'Values', rows: [[1.25, true, '=1+1', '<b>&</b>', 'a\u0001b']] }
+    ]));
+
+    expect(sheet.rows).toEqual([[1.25, true, '=1+1', '<b>&</b>', 'ab']]);
+  });
+
+  test('leaves empty values as empty cells', async () => {
+    const [sheet] = await readWorkbook(await buildWorkbook([{ name: 'Gaps', rows: [['a', null, undefined, '', 'b']] }]));
+
+    expect(sheet.rows[0][0]).toBe('a');
+    expect(sheet.rows[0][4]).toBe('b');
+    expect(sheet.rows[0].slice(1, 4).filter(value => value !== undefined)).toEqual([]);
+  });
+
+  test('makes sheet names valid and unique', async () => {
+    const sheets = await readWorkbook(await buildWorkbook([
+      { name: 'Costs: 2026/03', rows: [] },
+      { name: 'costs  2026 03', rows: [] },
+      { name: 'A name much longer than thirty-one characters', rows: [] },
+      { name: '', rows: [] }
+    ]));
+
+    expect(sheets.map(sheet => sheet.name)).toEqual([
+      'Costs  2026 03',
+      'costs  2026 03 2',
+      'A name much longer than thirty-',
+      'Sheet4'
+    ]);
+  });
+});
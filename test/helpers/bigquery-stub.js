@@ -0,0 +1,59 @@
+/**
+ * BigQuery client stub for tests
+ *
+ * Replaces BigQuery.prototype.query so the monitor's queries are answered by
+ * the test, and records every query with the project it ran in.
+ */
+
+const { BigQuery } = require('@google-cloud/bigquery');
+
+/**
+ * Answer BigQuery queries with a handler
+ * @param {Function} handler - Called with (query, queryIndex); returns the rows or throws
+ * @returns {Array} - Recorded queries {projectId, query, params, types, location, kind}
+ */
+function stubBigQuery(handler) {
+  const queries = [];
+
+  jest.spyOn(BigQuery.prototype, 'query').mockImplementation(async function (options) {
+    const query = {
+      projectId: this.projectId,
+      ...options,
+      kind: queryKind(options.query)
+    };
+    queries.push(query);
+    return [await handler(query, queries.length - 1)];
+  });
+
+  return queries;
+}
+
+/**
+ * Tell the monitor's queries apart
+ * @param {string} sql - Query text
+ * @returns {string} - cost, jobs or storage
+ */
+function queryKind(sql) {
+  if (/TABLE_STORAGE/.test(sql)) return 'storage';
+  if (/error_result\.reason/.test(sql)) return 'jobs';
+  return 'cost';
+}
+
+/**
+ * Build a BigQuery error with a reason, as the client raises them
+ * @param {string} message - Error message
+ * @param {string} reason - Error reason, e.g. rateLimitExceeded or accessDenied
+ * @param {number} [code] - HTTP status code
+ * @returns {Error} - Error
+ */
+function bigQueryError(message, reason, code) {
+  const error = new Error(message);
+  error.code = code;
+  error.errors = [{ reason, message }];
+  return error;
+}
+
+module.exports = {
+  stubBigQuery,
+  bigQueryError
+};
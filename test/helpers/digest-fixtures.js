@@ -0,0 +1,134 @@
+/**
+ * Cost history and configuration shared by the digest tests
+ *
+ * The digests end on Sunday 2026-03-08: daily digests cover that day and
+ * compare with 2026-03-01, weekly ones cover 2026-03-02 to 2026-03-08 and
+ * compare with 2026-02-23 to 2026-03-01.
+ */
+
+const DIGEST_DATE = '2026-03-08';
+
+const ROWS = {
+  'project-a': [
+    {
+      date: '2026-03-08',
+      user_email: 'alice@analytics.example.com',
+      estimated_cost_usd: 40,
+      query_count: 10,
+      cache_hit_count: 4,
+      dataset_costs: [{ dataset: 'project-a.sales', dataset_cost_usd: 40 }],
+      recent_queries: [{
+        job_id: 'job-a1',
+        statement_type: 'SELECT',
+        query_cost_usd: 30,
+        total_bytes_processed: 5 * Math.pow(1024, 4),
+        query_text: 'SELECT * FROM sales'
+      }]
+    },
+    {
+      date: '2026-03-08',
+      user_email: 'bob@example.com',
+      estimated_cost_usd: 10,
+      query_count: 5,
+      cache_hit_count: 0,
+      dataset_costs: [{ dataset: 'project-a.tmp', dataset_cost_usd: 10 }]
+    },
+    {
+      date: '2026-03-04',
+      user_email: 'alice@analytics.example.com',
+      estimated_cost_usd: 20,
+      query_count: 4,
+      cache_hit_count: 1,
+      dataset_costs: [{ dataset: 'project-a.sales', dataset_cost_usd: 20 }]
+    },
+    {
+      date: '2026-03-01',
+      user_email: 'alice@analytics.example.com',
+      estimated_cost_usd: 25,
+      query_count: 5,
+      cache_hit_count: 5,
+      dataset_costs: [{ dataset: 'project-a.sales', dataset_cost_usd: 25 }]
+    }
+  ],
+  'project-b': [
+    {
+      date: '2026-03-08',
+      service_account: 'etl@project-b.iam.gserviceaccount.com',
+      estimated_cost_usd: 100,
+      query_count: 2,
+      cache_hit_count: 0,
+      dataset_costs: [{ dataset: 'project-b.warehouse', dataset_cost_usd: 100 }],
+      recent_queries: [{
+        job_id: 'job-b1',
+        statement_type: 'MERGE',
+        query_cost_usd: 100,
+        total_bytes_processed: 16 * Math.pow(1024, 4),
+        query_text: 'MERGE warehouse.orders USING staging.orders ON TRUE'
+      }]
+    },
+    {
+      date: '2026-03-05',
+      user_email: 'carol@analytics.example.com',
+      estimated_cost_usd: 15,
+      query_count: 3,
+      cache_hit_count: 1,
+      dataset_costs: [{ dataset: 'project-b.reports', dataset_cost_usd: 15 }]
+    },
+    {
+      date: '2026-02-25',
+      service_account: 'etl@project-b.iam.gserviceaccount.com',
+      estimated_cost_usd: 60,
+      query_count: 2,
+      cache_hit_count: 0,
+      dataset_costs: [{ dataset: 'project-b.warehouse', dataset_cost_usd: 60 }]
+    }
+  ]
+};
+
+/**
+ * Read fixture rows of a project between two dates
+ * @param {string} projectId - The project ID
+ * @param {string} [from] - First date (YYYY-MM-DD)
+ * @param {string} [to] - Last date (YYYY-MM-DD)
+ * @returns {Array} - Rows
+ */
+function loadRows(projectId, from, to) {
+  return (ROWS[projectId] || []).filter(row => (!from || row.date >= from) && (!to || row.date <= to));
+}
+
+/**
+ * Build a configuration with a daily subscription to every project, a
+ * weekly one to a project and a weekly one to a team
+ * @param {Object} smtp - SMTP options of the digests
+ * @returns {Object} - Configuration
+ */
+function buildConfig(smtp) {
+  return {
+    projects: [{ id: 'project-a' }, { id: 'project-b' }],
+    teams: [
+      { name: 'analytics', principals: ['@analytics.example.com'] },
+      { name: 'platform', costCenter: 'CC-200', principals: ['/^etl@/'] }
+    ],
+    budgets: [
+      { name: 'org-monthly', scope: 'project', amount: 5000, period: 'monthly' },
+      { name: 'project-a-monthly', scope: 'project', project: 'project-a', amount: 1000, period: 'monthly' },
+      { name: 'analytics-monthly', scope: 'team', target: 'analytics', amount: 100, period: 'monthly' }
+    ],
+    digests: {
+      from: 'BigQuery Cost Monitor <monitor@example.com>',
+      smtp,
+      subscriptions: [
+        { name: 'all-daily', frequency: 'daily', to: ['finops@example.com'] },
+        { name: 'project-b-weekly', frequency: 'weekly', projects: ['project-b'], to: ['b-lead@example.com', 'b-ops@example.com'] },
+        { name: 'analytics-weekly', frequency: 'weekly', teams: ['analytics'], to: ['analytics-lead@example.com'] }
+      ]
+    }
+  };
+}
+
+module.exports = {
+  DIGEST_DATE,
+  ROWS,
+  loadRows,
+  buildConfig
+};
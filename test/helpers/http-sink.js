@@ -0,0 +1,47 @@
+/**
+ * Minimal HTTP server for tests
+ *
+ * Records every request with its headers and raw body, and answers with the
+ * responses a test queues up, or 200 once the queue is empty.
+ */
+
+const http = require('http');
+
+/**
+ * Start an HTTP sink on a free local port
+ * @param {Array} [responses] - Responses {status, body} to send in order
+ * @returns {Promise<Object>} - {url, requests, close()}
+ */
+function startHttpSink(responses = []) {
+  const requests = [];
+  const queue = responses.slice();
+
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      requests.push({ method: request.method, url: request.url, headers: request.headers, body });
+
+      const next = queue.shift() || { status: 200, body: 'ok' };
+      response.writeHead(next.status, { 'Content-Type': 'text/plain' });
+      response.end(next.body || '');
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  startHttpSink
+};
@@ -0,0 +1,218 @@
+/**
+ * Minimal SMTP server for tests
+ *
+ * Accepts every message sent to it and keeps the envelope and the decoded
+ * subject and bodies, so tests can check what the SMTP client delivered.
+ * Replies to individual commands can be overridden to simulate failures.
+ */
+
+const net = require('net');
+
+/**
+ * Decode quoted-printable content into bytes
+ * @param {string} value - Quoted-printable content
+ * @returns {Buffer} - Decoded bytes
+ */
+function decodeQuotedPrintable(value) {
+  const bytes = [];
+  const unfolded = value.replace(/=\r\n/g, '');
+
+  for (let index = 0; index < unfolded.length; index++) {
+    if (unfolded[index] === '=' && /^[0-9A-F]{2}$/i.test(unfolded.substring(index + 1, index + 3))) {
+      bytes.push(parseInt(unfolded.substring(index + 1, index + 3), 16));
+      index += 2;
+    } else {
+      bytes.push(...Buffer.from(unfolded[index], 'utf8'));
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode the RFC 2047 encoded words of a header value
+ * @param {string} value - Header value
+ * @returns {string} - Decoded value
+ */
+function decodeHeader(value) {
+  return value
+    // Whitespace between encoded words isn't part of the text
+    .replace(/(\?=)\s+(=\?)/g, '$1$2')
+    .replace(/=\?UTF-8\?([BQ])\?([^?]*)\?=/gi, (match, encoding, encoded) => (encoding.toUpperCase() === 'B'
+      ? Buffer.from(encoded, 'base64')
+      : decodeQuotedPrintable(encoded.replace(/_/g, ' '))).toString('utf8'));
+}
+
+/**
+ * Split a MIME entity into its headers and body
+ * @param {string} source - Entity source with CRLF line endings
+ * @returns {Object} - {headers, body}, header names in lower case
+ */
+function splitEntity(source) {
+  const headerEnd = source.indexOf('\r\n\r\n');
+  const headers = {};
+
+  // Long headers are folded onto lines starting with whitespace
+  source.substring(0, headerEnd).replace(/\r\n[ \t]+/g, ' ').split('\r\n').forEach(line => {
+    const separator = line.indexOf(':');
+    headers[line.substring(0, separator).toLowerCase()] = line.substring(separator + 1).trim();
+  });
+
+  return { headers, body: source.substring(headerEnd + 4) };
+}
+
+/**
+ * Collect the text and HTML bodies of a MIME entity
+ * @param {string} source - Entity source
+ * @param {Object} parts - Bodies found so far, by subtype
+ */
+function collectParts(source, parts) {
+  const { headers, body } = splitEntity(source);
+  const contentType = headers['content-type'] || 'text/plain';
+  const boundary = (contentType.match(/boundary="?([^";]+)"?/i) || [])[1];
+
+  if (/^multipart\//i.test(contentType) && boundary) {
+    body.split(`--${boundary}`).slice(1, -1).forEach(part => collectParts(part.replace(/^\r\n/, ''), parts));
+    return;
+  }
+
+  const subtype = (contentType.match(/^text\/(plain|html)/i) || [])[1];
+  if (!subtype) return;
+
+  const encoding = (headers['content-transfer-encoding'] || '7bit').toLowerCase();
+  const content = body.replace(/\r\n$/, '');
+  let decoded;
+  if (encoding === 'base64') {
+    decoded = Buffer.from(content.replace(/\r\n/g, ''), 'base64').toString('utf8');
+  } else if (encoding === 'quoted-printable') {
+    decoded = decodeQuotedPrintable(content).toString('utf8');
+  } else {
+    decoded = content;
+  }
+
+  parts[subtype.toLowerCase()] = decoded.replace(/\r\n/g, '\n');
+}
+
+/**
+ * Parse the source of a message sent by the SMTP client
+ * @param {string} source - Message source, without the terminating dot
+ * @returns {Object} - {headers, subject, text, html}
+ */
+function parseMessage(source) {
+  const { headers } = splitEntity(source);
+  const parts = {};
+  collectParts(source, parts);
+
+  return {
+    headers,
+    subject: decodeHeader(headers.subject || ''),
+    text: parts.plain,
+    html: parts.html
+  };
+}
+
+/**
+ * Start an SMTP sink on a free local port
+ * @param {Object} [options] - Sink options
+ * @param {boolean} [options.auth] - Advertise AUTH PLAIN and LOGIN
+ * @param {Function} [options.reply] - Called with (command, session) to override a reply; returns a reply line or undefined
+ * @returns {Promise<Object>} - {host, port, messages, sessions, close()}
+ */
+function startSmtpSink(options = {}) {
+  const messages = [];
+  const sessions = [];
+
+  const server = net.createServer(socket => {
+    const session = { commands: [], auth: null, from: null, to: [] };
+    let buffer = '';
+    let data = null;
+    let loginStep = null;
+    let loginUser = null;
+
+    sessions.push(session);
+    socket.setEncoding('utf8');
+    socket.write('220 localhost test sink\r\n');
+
+    const handle = line => {
+      if (data !== null) {
+        if (line === '.') {
+          messages.push({ from: session.from, to: session.to, auth: session.auth, ...parseMessage(data.join('\r\n')) });
+          data = null;
+          socket.write('250 OK queued\r\n');
+        } else {
+          data.push(line.startsWith('..') ? line.substring(1) : line);
+        }
+        return;
+      }
+
+      if (loginStep === 'user') {
+        loginUser = Buffer.from(line, 'base64').toString('utf8');
+        loginStep = 'pass';
+        socket.write('334 UGFzc3dvcmQ6\r\n');
+        return;
+      }
+      if (loginStep === 'pass') {
+        session.auth = { method: 'LOGIN', user: loginUser, pass: Buffer.from(line, 'base64').toString('utf8') };
+        loginStep = null;
+        socket.write('235 Authenticated\r\n');
+        return;
+      }
+
+      session.commands.push(line);
+      const override = options.reply ? options.reply(line, session) : undefined;
+      if (override) {
+        socket.write(`${override}\r\n`);
+        return;
+      }
+
+      const verb = line.split(' ')[0].toUpperCase();
+      if (verb === 'EHLO') {
+        socket.write(options.auth ? '250-localhost\r\n250 AUTH PLAIN LOGIN\r\n' : '250 localhost\r\n');
+      } else if (verb === 'AUTH' && line.toUpperCase().startsWith('AUTH PLAIN ')) {
+        const [, user, pass] = Buffer.from(line.substring(11), 'base64').toString('utf8').split('\0');
+        session.auth = { method: 'PLAIN', user, pass };
+        socket.write('235 Authenticated\r\n');
+      } else if (verb === 'AUTH') {
+        loginStep = 'user';
+        socket.write('334 VXNlcm5hbWU6\r\n');
+      } else if (verb === 'MAIL') {
+        session.from = line.match(/<([^>]*)>/)[1];
+        socket.write('250 OK\r\n');
+      } else if (verb === 'RCPT') {
+        session.to.push(line.match(/<([^>]*)>/)[1]);
+        socket.write('250 OK\r\n');
+      } else if (verb === 'DATA') {
+        data = [];
+        socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+      } else if (verb === 'QUIT') {
+        socket.end('221 Bye\r\n');
+      } else {
+        socket.write('502 Command not implemented\r\n');
+      }
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+      lines.forEach(handle);
+    });
+    socket.on('error', () => {});
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        host: '127.0.0.1',
+        port: server.address().port,
+        messages,
+        sessions,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  startSmtpSink
+};
@@ -0,0 +1,59 @@
+/**
+ * Temporary stores for tests
+ *
+ * Points every store the monitor writes to (watermarks, cost and storage
+ * history, jobs, runs, notification and digest state, config revisions) at a
+ * fresh temporary directory for each test, and restores the environment
+ * afterwards.
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Environment variables of the stores and their paths within the directory
+const STORE_PATHS = {
+  WATERMARK_PATH: 'watermarks.json',
+  HISTORY_STORE_PATH: 'history',
+  STORAGE_STORE_PATH: 'storage',
+  JOB_STORE_PATH: 'jobs',
+  RUNS_PATH: 'runs',
+  NOTIFICATIONS_STATE_PATH: 'notifications/rate-limits.json',
+  DIGESTS_PATH: 'digests',
+  DIGESTS_STATE_PATH: 'digests/state.json',
+  CONFIG_REVISIONS_PATH: 'config-revisions'
+};
+
+/**
+ * Use temporary stores in every test of the calling file
+ * @returns {Object} - {dir}, the directory of the current test's stores
+ */
+function useTempStores() {
+  const stores = { dir: null };
+  const previous = {};
+
+  beforeEach(() => {
+    stores.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bqcm-stores-'));
+    Object.entries(STORE_PATHS).forEach(([name, relativePath]) => {
+      previous[name] = process.env[name];
+      process.env[name] = path.join(stores.dir, relativePath);
+    });
+  });
+
+  afterEach(() => {
+    Object.keys(STORE_PATHS).forEach(name => {
+      if (previous[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = previous[name];
+      }
+    });
+    fs.removeSync(stores.dir);
+  });
+
+  return stores;
+}
+
+module.exports = {
+  useTempStores
+};
@@ -0,0 +1,175 @@
+jest.mock('../../src/common/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+// Objects of the bucket, by name, and the local files uploaded to it
+const mockBucket = { objects: {}, uploads: {} };
+
+jest.mock('@google-cloud/storage', () => ({
+  Storage: jest.fn().mockImplementation(() => ({
+    bucket: () => ({
+      file: name => ({
+        download: async () => {
+          if (mockBucket.objects[name] === undefined) {
+            throw new Error(`No such object: ${name}`);
+          }
+          return [Buffer.from(mockBucket.objects[name])];
+        },
+        save: async content => {
+          mockBucket.objects[name] = content;
+        }
+      }),
+      upload: async (localPath, options) => {
+        mockBucket.uploads[options.destination] = localPath;
+      }
+    })
+  }))
+}));
+
+jest.mock('../../src/scripts/run_monitor', () => ({
+  runCostMonitoring: jest.fn()
+}));
+
+jest.mock('../../src/common/config-loader', () => ({
+  ...jest.requireActual('../../src/common/config-loader'),
+  loadConfig: jest.fn()
+}));
+
+const { monitorCosts } = require('../../src/scripts/cloud_function');
+const { runCostMonitoring } = require('../../src/scripts/run_monitor');
+const { loadConfig } = require('../../src/common/config-loader');
+const { saveStorage } = require('../../src/common/storage-history');
+const { useTempStores } = require('../helpers/temp-stores');
+
+/**
+ * Build a response that records what the function sent
+ * @returns {Object} - Response with the recorded `statusCode` and `body`
+ */
+function mockResponse() {
+  const res = {};
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.send = body => {
+    res.body = body;
+    return res;
+  };
+  return res;
+}
+
+const RUN = {
+  runId: '20260308T120000Z-abcd',
+  trigger: 'cloud-function',
+  budgets: [{ name: 'monthly', status: 'ok', percent_used: 40, forecast_breach_date: null }]
+};
+
+const RESULTS = [
+  {
+    project: 'project-a',
+    projectName: 'Project A',
+    status: 'success',
+    attempts: 1,
+    records: 1,
+    totalCost: 5,
+    data: [{ date: '2026-03-08', estimated_cost_usd: 5 }]
+  },
+  {
+    project: 'project-b',
+    projectName: 'Project B',
+    status: 'failed',
+    attempts: 1,
+    error: 'Access Denied'
+  }
+];
+
+describe('monitorCosts', () => {
+  useTempStores();
+
+  beforeEach(() => {
+    mockBucket.objects = {
+      'config/projects.json': JSON.stringify({ projects: [{ id: 'project-a', name: 'Project A' }] })
+    };
+    mockBucket.uploads = {};
+    runCostMonitoring.mockReset().mockResolvedValue({ run: RUN, results: RESULTS });
+    loadConfig.mockReset().mockReturnValue({ projects: [{ id: 'local-project', name: 'Local' }] });
+  });
+
+  test('runs the monitoring with the configuration from the bucket', async () => {
+    const res = mockResponse();
+    await monitorCosts({ method: 'POST' }, res);
+
+    expect(runCostMonitoring).toHaveBeenCalledTimes(1);
+    const options = runCostMonitoring.mock.calls[0][0];
+    expect(options.trigger).toBe('cloud-function');
+    expect(options.config.projects).toEqual([{ id: 'project-a', name: 'Project A' }]);
+    expect(loadConfig).not.toHaveBeenCalled();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      success: true,
+      runId: RUN.runId,
+      projects: 2,
+      results: [
+        { project: 'project-a', success: true, status: 'success', records: 1, totalCost: 5 },
+        { project: 'project-b', success: false, status: 'failed', error: 'Access Denied' }
+      ],
+      budgets: [{ name: 'monthly', status: 'ok', percentUsed: 40 }]
+    });
+  });
+
+  test('uploads the collected projects and the run record', async () => {
+    await monitorCosts({ method: 'GET' }, mockResponse());
+
+    const names = Object.keys(mockBucket.objects);
+    const costFile = names.find(name => /^results\/project-a_costs_.*\.json$/.test(name));
+    expect(JSON.parse(mockBucket.objects[costFile])).toEqual(RESULTS[0].data);
+    expect(names.some(name => name.startsWith('results/project-b'))).toBe(false);
+    expect(JSON.parse(mockBucket.objects[`runs/${RUN.runId}.json`])).toEqual(RUN);
+  });
+
+  test('uploads the storage collected for a project from the storage history', async () => {
+    saveStorage('project-a', '2026-03-08', [{ dataset: 'project-a.sales', table_name: 'project-a.sales.orders', monthly_cost_usd: 2 }]);
+    runCostMonitoring.mockResolvedValue({
+      run: RUN,
+      results: [{ ...RESULTS[0], storage: { date: '2026-03-08', datasets: 1, tables: 1, totalMonthlyCost: 2 } }]
+    });
+
+    const res = mockResponse();
+    await monitorCosts({ method: 'POST' }, res);
+
+    const storageFile = Object.keys(mockBucket.objects).find(name => /^results\/project-a_storage_.*\.json$/.test(name));
+    const uploaded = JSON.parse(mockBucket.objects[storageFile]);
+    expect(uploaded).toMatchObject({ project: 'project-a', date: '2026-03-08' });
+    expect(uploaded.tables.map(table => table.table_name)).toEqual(['project-a.sales.orders']);
+    expect(res.body.results[0].storageMonthlyCost).toBe(2);
+  });
+
+  test('falls back to the local configuration when the bucket has none', async () => {
+    mockBucket.objects = {};
+
+    await monitorCosts({ method: 'POST' }, mockResponse());
+
+    expect(loadConfig).toHaveBeenCalled();
+    expect(runCostMonitoring.mock.calls[0][0].config.projects).toEqual([{ id: 'local-project', name: 'Local' }]);
+  });
+
+  test('fails without monitoring when the configuration in the bucket is invalid', async () => {
+    mockBucket.objects['config/projects.json'] = JSON.stringify({ projects: [{ name: 'No ID' }] });
+
+    const res = mockResponse();
+    await monitorCosts({ method: 'POST' }, res);
+
+    expect(runCostMonitoring).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(500);
+    expect(res.body.success).toBe(false);
+  });
+
+  test('rejects other methods', async () => {
+    const res = mockResponse();
+    await monitorCosts({ method: 'DELETE' }, res);
+
+    expect(res.statusCode).toBe(405);
+    expect(runCostMonitoring).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,584 @@
+jest.mock('../../src/common/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { monitorProject, monitorProjects, monitorOrganization, runCostMonitoring } = require('../../src/scripts/run_monitor');
+const { logger } = require('../../src/common/logger');
+const { parseConfig } = require('../../src/common/config-loader');
+const { getWatermark, saveWatermark } = require('../../src/common/watermarks');
+const { queryRows } = require('../../src/common/history-store');
+const { getStorage } = require('../../src/common/storage-history');
+const { getRun } = require('../../src/common/runs');
+const { sleep } = require('../../src/common/concurrency');
+const { stubBigQuery, bigQueryError } = require('../helpers/bigquery-stub');
+const { useTempStores } = require('../helpers/temp-stores');
+
+// Runs happen at noon on Sunday 2026-03-08
+const NOW = Date.parse('2026-03-08T12:00:00.000Z');
+
+const PROJECT = { id: 'project-a', name: 'Project A' };
+
+/**
+ * Build a validated configuration
+ * @param {Object} [overrides] - Top-level configuration properties
+ * @returns {Object} - Configuration
+ */
+function buildConfig(overrides = {}) {
+  return parseConfig(JSON.stringify({
+    projects: [PROJECT],
+    settings: { historyDays: 30, collectStorage: false, maxRetries: 0 },
+    ...overrides
+  }), 'projects.json');
+}
+
+/**
+ * Build a daily cost row as the cost query returns it
+ * @param {string} date - Day of the row
+ * @param {number} cost - Estimated cost
+ * @param {string} lastCreationTime - Newest job of the day
+ * @returns {Object} - Cost row
+ */
+function costRow(date, cost, lastCreationTime) {
+  return {
+    date,
+    user_email: 'alice@example.com',
+    estimated_cost_usd: cost,
+    on_demand_cost_usd: cost,
+    query_count: 1,
+    last_creation_time: lastCreationTime
+  };
+}
+
+describe('incremental collection', () => {
+  useTempStores();
+  let config;
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    config = buildConfig();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('scans the whole history window on the first run and saves a watermark', async () => {
+    const queries = stubBigQuery(() => [
+      costRow('2026-03-08', 5, '2026-03-08T03:00:00.000Z'),
+      costRow('2026-03-06', 3, '2026-03-06T18:00:00.000Z')
+    ]);
+
+    const result = await monitorProject(PROJECT, { config, runId: 'run-1' });
+
+    expect(result).toMatchObject({ status: 'success', incremental: false, fetchedRecords: 2, insertedRecords: 2, totalCost: 8 });
+    expect(queries).toHaveLength(1);
+    expect(queries[0]).toMatchObject({ projectId: 'project-a', location: 'US' });
+    expect(queries[0].params.start_time.value).toBe('2026-02-06T00:00:00.000Z');
+    expect(getWatermark('project-a').regions).toEqual({ us: '2026-03-08T03:00:00.000Z' });
+  });
+
+  test('resumes from the start of the day the watermark was before the late job lookback', async () => {
+    stubBigQuery(() => [
+      costRow('2026-03-08', 5, '2026-03-08T03:00:00.000Z'),
+      costRow('2026-03-07', 2, '2026-03-07T20:00:00.000Z'),
+      costRow('2026-03-06', 3, '2026-03-06T18:00:00.000Z')
+    ]);
+    await monitorProject(PROJECT, { config, runId: 'run-1' });
+    jest.restoreAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+
+    // The 2026-03-07 jobs are gone, so the re-scanned day is removed rather than kept
+    const queries = stubBigQuery(() => [costRow('2026-03-08', 7, '2026-03-08T11:00:00.000Z')]);
+    const result = await monitorProject(PROJECT, { config, runId: 'run-2' });
+
+    // 03:00 less six hours is the day before, which is scanned whole
+    expect(queries[0].params.start_time.value).toBe('2026-03-07T00:00:00.000Z');
+    expect(result).toMatchObject({ status: 'success', incremental: true, fetchedRecords: 1, insertedRecords: 0, updatedRecords: 1 });
+    expect(queryRows('project-a').map(row => [row.date, row.estimated_cost_usd])).toEqual([
+      ['2026-03-08', 7],
+      ['2026-03-06', 3]
+    ]);
+    expect(getWatermark('project-a').regions).toEqual({ us: '2026-03-08T11:00:00.000Z' });
+  });
+
+  test('ignores the watermark on a full refresh', async () => {
+    stubBigQuery(() => [costRow('2026-03-08', 5, '2026-03-08T03:00:00.000Z')]);
+    await monitorProject(PROJECT, { config, runId: 'run-1' });
+    jest.restoreAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+
+    const queries = stubBigQuery(() => [costRow('2026-03-08', 5, '2026-03-08T03:00:00.000Z')]);
+    const result = await monitorProject(PROJECT, { config, runId: 'run-2', fullRefresh: true });
+
+    expect(queries[0].params.start_time.value).toBe('2026-02-06T00:00:00.000Z');
+    expect(result.incremental).toBe(false);
+  });
+
+  test('runs a full refresh when the watermark has no history behind it', async () => {
+    saveWatermark('project-a', { regions: { us: '2026-03-08T03:00:00.000Z' } });
+
+    const queries = stubBigQuery(() => []);
+    const result = await monitorProject(PROJECT, { config, runId: 'run-1' });
+
+    expect(queries[0].params.start_time.value).toBe('2026-02-06T00:00:00.000Z');
+    expect(result.incremental).toBe(false);
+  });
+
+  test('keeps the watermark and history of a failed run', async () => {
+    stubBigQuery(() => [costRow('2026-03-08', 5, '2026-03-08T03:00:00.000Z')]);
+    await monitorProject(PROJECT, { config, runId: 'run-1' });
+    const watermark = getWatermark('project-a');
+    jest.restoreAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+
+    stubBigQuery(() => {
+      throw bigQueryError('Not found: Dataset', 'notFound', 404);
+    });
+    const result = await monitorProject(PROJECT, { config, runId: 'run-2' });
+
+    expect(result).toMatchObject({ status: 'failed', error: 'Not found: Dataset' });
+    expect(getWatermark('project-a')).toEqual(watermark);
+    expect(queryRows('project-a').map(row => row.estimated_cost_usd)).toEqual([5]);
+  });
+});
+
+describe('multi-region collection', () => {
+  useTempStores();
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('queries each region in its own location and keeps their rows and watermarks apart', async () => {
+    const project = { ...PROJECT, regions: ['US', 'europe-west2'] };
+    const queries = stubBigQuery(query => (query.location === 'US'
+      ? [costRow('2026-03-08', 5, '2026-03-08T03:00:00.000Z')]
+      : [costRow('2026-03-08', 2, '2026-03-07T22:00:00.000Z')]));
+
+    const result = await monitorProject(project, { config: buildConfig({ projects: [project] }), runId: 'run-1' });
+
+    expect(queries.map(query => query.location)).toEqual(['US', 'europe-west2']);
+    expect(queries[0].query).toContain('`region-us`.INFORMATION_SCHEMA');
+    expect(queries[1].query).toContain('`region-europe-west2`.INFORMATION_SCHEMA');
+    expect(queries[1].query).not.toContain('{{region}}');
+
+    // The same user and day in two regions are two rows
+    expect(queryRows('project-a').map(row => [row.region, row.estimated_cost_usd])).toEqual([
+      ['us', 5],
+      ['europe-west2', 2]
+    ]);
+    expect(result.regions).toEqual([
+      { region: 'us', records: 1, totalCost: 5, totalBytesProcessed: 0, totalQueries: 1 },
+      { region: 'europe-west2', records: 1, totalCost: 2, totalBytesProcessed: 0, totalQueries: 1 }
+    ]);
+    expect(result.params.regions).toEqual(['us', 'europe-west2']);
+    expect(getWatermark('project-a').regions).toEqual({
+      us: '2026-03-08T03:00:00.000Z',
+      'europe-west2': '2026-03-07T22:00:00.000Z'
+    });
+  });
+
+  test('scans a region added to the configuration from the start of the history window', async () => {
+    stubBigQuery(() => [costRow('2026-03-08', 5, '2026-03-08T03:00:00.000Z')]);
+    await monitorProject(PROJECT, { config: buildConfig(), runId: 'run-1' });
+    jest.restoreAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+
+    const project = { ...PROJECT, regions: ['US', 'EU'] };
+    const queries = stubBigQuery(() => []);
+    await monitorProject(project, { config: buildConfig({ projects: [project] }), runId: 'run-2' });
+
+    expect(queries.map(query => [query.location, query.params.start_time.value])).toEqual([
+      ['US', '2026-03-07T00:00:00.000Z'],
+      ['EU', '2026-02-06T00:00:00.000Z']
+    ]);
+  });
+});
+
+describe('organization collection', () => {
+  useTempStores();
+
+  const ORGANIZATION = { organization: '123', adminProject: 'admin-project', name: 'Example' };
+
+  /**
+   * Build a cost row of a project of the organization
+   * @param {string} projectId - Project the jobs ran in
+   * @param {number} cost - Estimated cost
+   * @returns {Object} - Cost row
+   */
+  function projectRow(projectId, cost) {
+    return { ...costRow('2026-03-08', cost, '2026-03-08T03:00:00.000Z'), project_id: projectId };
+  }
+
+  /**
+   * Read the job view a query reads
+   * @param {Object} query - Recorded query
+   * @returns {string} - Job view
+   */
+  function jobsViewOf(query) {
+    return /INFORMATION_SCHEMA\.(JOBS\w*)/.exec(query.query)[1];
+  }
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads the organization once from the admin project and splits the rows by project', async () => {
+    const queries = stubBigQuery(() => [projectRow('project-b', 5), projectRow('project-c', 2), { ...projectRow('project-b', 1), user_email: 'bob@example.com' }]);
+
+    const results = await monitorOrganization(ORGANIZATION, { config: buildConfig({ organizations: [ORGANIZATION] }), runId: 'run-1' });
+
+    expect(queries).toHaveLength(1);
+    expect(queries[0].projectId).toBe('admin-project');
+    expect(jobsViewOf(queries[0])).toBe('JOBS_BY_ORGANIZATION');
+    expect(results.map(result => [result.project, result.source, result.totalCost])).toEqual([
+      ['project-b', 'organizations/123', 6],
+      ['project-c', 'organizations/123', 2]
+    ]);
+    expect(results[0].params.jobsViews).toEqual({ us: 'JOBS_BY_ORGANIZATION' });
+    expect(queryRows('project-c').map(row => row.estimated_cost_usd)).toEqual([2]);
+    expect(getWatermark('organizations/123')).toMatchObject({
+      regions: { us: '2026-03-08T03:00:00.000Z' },
+      projects: ['project-b', 'project-c']
+    });
+  });
+
+  test('leaves out configured and excluded projects', async () => {
+    const entry = { ...ORGANIZATION, exclude: ['sandbox-*'] };
+    stubBigQuery(() => [projectRow('project-a', 5), projectRow('project-b', 2), projectRow('sandbox-alice', 1)]);
+
+    const results = await monitorOrganization(entry, { config: buildConfig({ organizations: [entry] }), runId: 'run-1' });
+
+    expect(results.map(result => result.project)).toEqual(['project-b']);
+    expect(queryRows('project-a')).toEqual([]);
+    expect(queryRows('sandbox-alice')).toEqual([]);
+  });
+
+  test('falls back to JOBS_BY_USER when the folder can not be read', async () => {
+    const folder = { folder: '456', adminProject: 'admin-project' };
+    const queries = stubBigQuery(query => {
+      if (jobsViewOf(query) === 'JOBS_BY_FOLDER') {
+        throw bigQueryError('Access Denied: Table region-us.INFORMATION_SCHEMA.JOBS_BY_FOLDER', 'accessDenied', 403);
+      }
+      return [projectRow('project-b', 5)];
+    });
+
+    const [result] = await monitorOrganization(folder, { config: buildConfig({ organizations: [folder] }), runId: 'run-1' });
+
+    expect(queries.map(jobsViewOf)).toEqual(['JOBS_BY_FOLDER', 'JOBS_BY_USER']);
+    expect(result).toMatchObject({ project: 'project-b', status: 'success', totalCost: 5, attempts: 2 });
+    expect(result.params.jobsViews).toEqual({ us: 'JOBS_BY_USER' });
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining('No permission to read JOBS_BY_FOLDER for folders/456 in region us, falling back to JOBS_BY_USER'),
+      expect.anything()
+    );
+  });
+
+  test('does not fall back on other errors', async () => {
+    const queries = stubBigQuery(() => {
+      throw bigQueryError('Exceeded rate limits', 'rateLimitExceeded', 403);
+    });
+
+    const [result] = await monitorOrganization(ORGANIZATION, { config: buildConfig({ organizations: [ORGANIZATION] }), runId: 'run-1' });
+
+    expect(queries).toHaveLength(1);
+    expect(result).toMatchObject({ project: 'organizations/123', status: 'failed', error: 'Exceeded rate limits' });
+    expect(getWatermark('organizations/123')).toBeNull();
+  });
+
+  test('fails when JOBS_BY_USER can not be read either', async () => {
+    const queries = stubBigQuery(query => {
+      throw bigQueryError(`Access Denied: ${jobsViewOf(query)}`, 'accessDenied', 403);
+    });
+
+    const [result] = await monitorOrganization(ORGANIZATION, { config: buildConfig({ organizations: [ORGANIZATION] }), runId: 'run-1' });
+
+    expect(queries).toHaveLength(2);
+    expect(result).toMatchObject({ status: 'failed', error: 'Access Denied: JOBS_BY_USER' });
+  });
+});
+
+describe('label attribution', () => {
+  useTempStores();
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('breaks the cost down by the configured keys and the keys budgets and teams need', async () => {
+    const queries = stubBigQuery(() => []);
+    const config = buildConfig({
+      settings: { historyDays: 30, collectStorage: false, maxRetries: 0, labelKeys: ['env'] },
+      budgets: [{ name: 'sales', scope: 'label', target: 'cost_center=sales', amount: 100 }],
+      teams: [{ name: 'data', labels: ['team=data'] }]
+    });
+
+    await monitorProject(PROJECT, { config, runId: 'run-1' });
+
+    expect(queries[0].params.label_keys).toEqual(['env', 'cost_center', 'team']);
+    expect(queries[0].types).toEqual({ label_keys: ['STRING'] });
+  });
+
+  test('keeps the label costs of the collected rows', async () => {
+    const labelCosts = [{ label_key: 'env', label_value: 'prod', label_cost_usd: 5, query_count: 1, dataset_costs: [] }];
+    stubBigQuery(() => [{ ...costRow('2026-03-08', 5, '2026-03-08T03:00:00.000Z'), label_costs: labelCosts }]);
+
+    await monitorProject(PROJECT, { config: buildConfig(), runId: 'run-1' });
+
+    expect(queryRows('project-a')[0].label_costs).toEqual(labelCosts);
+  });
+});
+
+describe('retries and deadlines', () => {
+  useTempStores();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('retries transient errors and counts the attempts', async () => {
+    const queries = stubBigQuery((query, index) => {
+      if (index === 0) {
+        throw bigQueryError('Exceeded rate limits', 'rateLimitExceeded', 403);
+      }
+      return [costRow('2026-03-08', 5, '2026-03-08T03:00:00.000Z')];
+    });
+
+    const [result] = await monitorProjects([PROJECT], {
+      config: buildConfig({ settings: { collectStorage: false, maxRetries: 2, retryBaseDelayMs: 1 } })
+    });
+
+    expect(queries).toHaveLength(2);
+    expect(result).toMatchObject({ status: 'success', attempts: 2, retries: 1 });
+  });
+
+  test('fails a project once its retries are used up', async () => {
+    const queries = stubBigQuery(() => {
+      throw bigQueryError('Backend error', 'backendError', 500);
+    });
+
+    const [result] = await monitorProjects([PROJECT], {
+      config: buildConfig({ settings: { collectStorage: false, maxRetries: 2, retryBaseDelayMs: 1 } })
+    });
+
+    expect(queries).toHaveLength(3);
+    expect(result).toMatchObject({ status: 'failed', attempts: 3, retries: 2, error: 'Backend error' });
+  });
+
+  test('times out a slow project without holding up the others', async () => {
+    let slowQuery;
+    stubBigQuery(query => {
+      if (query.projectId === 'slow-project') {
+        slowQuery = sleep(100).then(() => [costRow('2026-03-08', 1, '2026-03-08T03:00:00.000Z')]);
+        return slowQuery;
+      }
+      return [costRow('2026-03-08', 5, '2026-03-08T03:00:00.000Z')];
+    });
+    const projects = [{ id: 'slow-project', name: 'Slow' }, PROJECT];
+
+    const results = await monitorProjects(projects, {
+      config: buildConfig({ projects }),
+      projectTimeoutSeconds: 0.02
+    });
+    // Let the abandoned collection run to its end
+    await slowQuery;
+    await sleep(10);
+
+    expect(results.map(result => [result.project, result.status])).toEqual([
+      ['slow-project', 'timeout'],
+      ['project-a', 'success']
+    ]);
+    expect(results[0].error).toBe('Monitoring slow-project did not finish within 0.02 seconds');
+
+    // The query that finished after the deadline writes nothing
+    expect(queryRows('slow-project')).toEqual([]);
+    expect(getWatermark('slow-project')).toBeNull();
+  });
+});
+
+describe('shared free tier', () => {
+  useTempStores();
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const TIB = Math.pow(1024, 4);
+
+  /**
+   * Build a daily cost row billed at $6.25 per TiB
+   * @param {string} date - Day of the row
+   * @param {number} tib - TiB billed
+   * @returns {Object} - Cost row
+   */
+  function billedRow(date, tib) {
+    return {
+      ...costRow(date, tib * 6.25, `${date}T10:00:00.000Z`),
+      total_bytes_billed: tib * TIB
+    };
+  }
+
+  test('shares the free tier between the projects of a billing account', async () => {
+    const bytesByProject = {
+      'project-a': [billedRow('2026-03-01', 0.75)],
+      'project-b': [billedRow('2026-03-03', 0.5)],
+      'project-c': [billedRow('2026-03-02', 0.75)]
+    };
+    stubBigQuery(query => bytesByProject[query.projectId]);
+    const config = buildConfig({
+      projects: [
+        { id: 'project-a', name: 'Project A', pricing: { billingAccount: '0123-4567' } },
+        { id: 'project-b', name: 'Project B', pricing: { billingAccount: '0123-4567' } },
+        { id: 'project-c', name: 'Project C' }
+      ]
+    });
+
+    const { run, results } = await runCostMonitoring({ config });
+
+    // Project A uses 0.75 TiB of the account's TiB, project C has a free tier of its own
+    const credits = projectId => queryRows(projectId).map(row => [row.free_tier_credit_usd, row.estimated_cost_usd]);
+    expect(credits('project-a')).toEqual([[4.69, 0]]);
+    expect(credits('project-b')).toEqual([[1.56, 1.57]]);
+    expect(credits('project-c')).toEqual([[4.69, 0]]);
+
+    expect(results.map(result => [result.project, result.freeTierCredit, result.totalCost])).toEqual([
+      ['project-a', 4.69, 0],
+      ['project-b', 1.56, 1.57],
+      ['project-c', 4.69, 0]
+    ]);
+    expect(results[1].data[0].estimated_cost_usd).toBe(1.57);
+    expect(results[1].params.pricing.billingAccount).toBe('0123-4567');
+    expect(run.projects[1].totalCost).toBe(1.57);
+  });
+
+  test('keeps the credits shared when a project of the account fails', async () => {
+    const config = buildConfig({
+      settings: { collectStorage: false, maxRetries: 0, pricing: { billingAccount: '0123-4567' } },
+      projects: [PROJECT, { id: 'project-b', name: 'Project B' }]
+    });
+    stubBigQuery(query => (query.projectId === 'project-a' ? [billedRow('2026-03-01', 1)] : [billedRow('2026-03-02', 1)]));
+    await runCostMonitoring({ config });
+    jest.restoreAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+
+    stubBigQuery(query => {
+      if (query.projectId === 'project-a') {
+        throw bigQueryError('Access Denied', 'accessDenied', 403);
+      }
+      return [billedRow('2026-03-02', 1)];
+    });
+    const { results } = await runCostMonitoring({ config });
+
+    expect(results.map(result => result.status)).toEqual(['failed', 'success']);
+    expect(queryRows('project-b').map(row => row.free_tier_credit_usd)).toEqual([0]);
+    expect(results[1].totalCost).toBe(6.25);
+  });
+});
+
+describe('storage collection', () => {
+  useTempStores();
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const GIB = Math.pow(1024, 3);
+
+  test('stores the storage of the tables in the storage history', async () => {
+    const queries = stubBigQuery(query => {
+      if (query.kind !== 'storage') {
+        return [costRow('2026-03-08', 5, '2026-03-08T03:00:00.000Z')];
+      }
+      return [
+        { project_id: 'project-a', dataset: 'project-a.sales', table_name: 'project-a.sales.orders', active_logical_bytes: 100 * GIB },
+        { project_id: 'project-a', dataset: 'project-a.sales', table_name: 'project-a.sales.items', long_term_logical_bytes: 100 * GIB }
+      ];
+    });
+    const config = buildConfig({ settings: { collectStorage: true, maxRetries: 0 } });
+
+    const [result] = await monitorProjects([PROJECT], { config, runId: '20260308T120000Z-aaaaaa' });
+
+    expect(queries.map(query => query.kind)).toEqual(['cost', 'storage']);
+    expect(result.storage).toMatchObject({ date: '2026-03-08', datasets: 1, tables: 2, totalMonthlyCost: 3 });
+    expect(result.storage.outputPath).toBeUndefined();
+
+    const storage = getStorage('project-a');
+    expect(storage.tables.map(table => [table.table_name, table.region, table.monthly_cost_usd])).toEqual([
+      ['project-a.sales.orders', 'us', 2],
+      ['project-a.sales.items', 'us', 1]
+    ]);
+    expect(storage.datasets).toEqual([expect.objectContaining({ dataset: 'project-a.sales', monthly_cost_usd: 3 })]);
+  });
+
+  test('keeps the costs of a project whose storage fails', async () => {
+    stubBigQuery(query => {
+      if (query.kind === 'storage') {
+        throw bigQueryError('Access Denied: TABLE_STORAGE', 'accessDenied', 403);
+      }
+      return [costRow('2026-03-08', 5, '2026-03-08T03:00:00.000Z')];
+    });
+    const config = buildConfig({ settings: { collectStorage: true, maxRetries: 0 } });
+
+    const [result] = await monitorProjects([PROJECT], { config });
+
+    expect(result).toMatchObject({ status: 'success', totalCost: 5, storage: { error: 'Access Denied: TABLE_STORAGE' } });
+    expect(getStorage('project-a')).toBeNull();
+  });
+});
+
+describe('runCostMonitoring', () => {
+  useTempStores();
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('monitors the projects of the given configuration and returns the saved run', async () => {
+    const queries = stubBigQuery(() => [costRow('2026-03-08', 5, '2026-03-08T03:00:00.000Z')]);
+    const config = buildConfig({
+      projects: [PROJECT, { id: 'project-b', name: 'Project B' }, { id: 'project-c', name: 'Project C', disabled: true }]
+    });
+
+    const { run, results } = await runCostMonitoring({ config, trigger: 'cloud-function' });
+
+    expect(queries.map(query => query.projectId)).toEqual(['project-a', 'project-b']);
+    expect(results.map(result => [result.project, result.status, result.runId])).toEqual([
+      ['project-a', 'success', run.runId],
+      ['project-b', 'success', run.runId]
+    ]);
+    expect(run).toMatchObject({ trigger: 'cloud-function', status: 'success', params: { fullRefresh: false, historyDays: 30 } });
+    expect(getRun(run.runId)).toMatchObject({ runId: run.runId, trigger: 'cloud-function' });
+  });
+
+  test('records command line runs by default', async () => {
+    stubBigQuery(() => []);
+
+    const { run } = await runCostMonitoring({ config: buildConfig() });
+
+    expect(run.trigger).toBe('cli');
+  });
+});
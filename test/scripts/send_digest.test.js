@@ -0,0 +1,91 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/common/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { digestCommand } = require('../../src/scripts/send_digest');
+const { upsertRows } = require('../../src/common/history-store');
+const { startSmtpSink } = require('../helpers/smtp-sink');
+const { DIGEST_DATE, ROWS, buildConfig } = require('../helpers/digest-fixtures');
+
+describe('digestCommand', () => {
+  let storePath;
+  let previousStorePath;
+  let sink;
+  let config;
+
+  beforeEach(async () => {
+    storePath = fs.mkdtempSync(path.join(os.tmpdir(), 'bqcm-history-'));
+    previousStorePath = process.env.HISTORY_STORE_PATH;
+    process.env.HISTORY_STORE_PATH = storePath;
+    Object.entries(ROWS).forEach(([projectId, rows]) => upsertRows(projectId, rows, { runId: 'run-1' }));
+
+    sink = await startSmtpSink();
+    // The configured server is never used, the sink given on the command line is
+    config = buildConfig({ host: 'smtp.invalid', port: 587 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await sink.close();
+    if (previousStorePath === undefined) {
+      delete process.env.HISTORY_STORE_PATH;
+    } else {
+      process.env.HISTORY_STORE_PATH = previousStorePath;
+    }
+    fs.removeSync(storePath);
+  });
+
+  test('sends the digests of a frequency from the history store to an SMTP sink', async () => {
+    const deliveries = await digestCommand({ frequency: 'weekly', date: DIGEST_DATE, smtpSink: `${sink.host}:${sink.port}` }, config);
+
+    expect(deliveries.map(delivery => [delivery.subscription, delivery.status])).toEqual([
+      ['project-b-weekly', 'sent'],
+      ['analytics-weekly', 'sent']
+    ]);
+    expect(sink.messages.map(message => [message.subject, message.to])).toEqual([
+      ['Weekly BigQuery cost digest: project-b-weekly', ['b-lead@example.com', 'b-ops@example.com']],
+      ['Weekly BigQuery cost digest: analytics-weekly', ['analytics-lead@example.com']]
+    ]);
+    expect(sink.messages[0].text).toContain('Cost: $115.00 (+$55.00)');
+    expect(sink.messages[1].text).toContain('Cost: $75.00 (+$50.00)');
+    expect(console.log).toHaveBeenCalledWith('- project-b-weekly: sent (b-lead@example.com, b-ops@example.com)');
+  });
+
+  test('sends a single subscription', async () => {
+    const deliveries = await digestCommand({ subscription: 'all-daily', date: DIGEST_DATE, smtpSink: `${sink.host}:${sink.port}` }, config);
+
+    expect(deliveries).toHaveLength(1);
+    expect(sink.messages).toHaveLength(1);
+    expect(sink.messages[0].to).toEqual(['finops@example.com']);
+    expect(sink.messages[0].text).toContain('Cost: $150.00 (+$125.00)');
+  });
+
+  test('writes the digests to a directory', async () => {
+    const outputDir = path.join(storePath, 'digests');
+
+    const deliveries = await digestCommand({ frequency: 'daily', date: DIGEST_DATE, output: outputDir }, config);
+
+    expect(deliveries[0].path).toBe(path.join(outputDir, 'all-daily_2026-03-08.html'));
+    expect(fs.readFileSync(deliveries[0].path, 'utf8')).toContain('<title>Daily BigQuery cost digest: all-daily</title>');
+    expect(sink.messages).toHaveLength(0);
+  });
+
+  test('reports when no subscription matches', async () => {
+    config.digests.subscriptions = config.digests.subscriptions.filter(subscription => subscription.frequency === 'weekly');
+
+    const deliveries = await digestCommand({ frequency: 'daily', date: DIGEST_DATE, smtpSink: String(sink.port) }, config);
+
+    expect(deliveries).toEqual([]);
+    expect(console.log).toHaveBeenCalledWith('No digest subscriptions match.');
+  });
+
+  test('rejects an unknown subscription', async () => {
+    await expect(digestCommand({ subscription: 'missing', date: DIGEST_DATE }, config))
+      .rejects.toThrow('Digest subscription not found: missing');
+  });
+});
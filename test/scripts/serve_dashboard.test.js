@@ -0,0 +1,956 @@
+jest.mock('../../src/common/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const ExcelJS = require('exceljs');
+const fs = require('fs-extra');
+const path = require('path');
+const request = require('supertest');
+
+const { app, applyConfig } = require('../../src/scripts/serve_dashboard');
+const { parseConfig } = require('../../src/common/config-loader');
+const { upsertRows } = require('../../src/common/history-store');
+const { upsertJobs } = require('../../src/common/job-store');
+const { buildRunRecord, saveRun } = require('../../src/common/runs');
+const { useTempStores } = require('../helpers/temp-stores');
+
+const PROJECT = { id: 'project-a', name: 'Project A' };
+
+/**
+ * Serve a configuration
+ * @param {Object} [overrides] - Top-level configuration properties
+ */
+function serveConfig(overrides = {}) {
+  applyConfig(parseConfig(JSON.stringify({ projects: [PROJECT], ...overrides }), 'projects.json'), null);
+}
+
+/**
+ * Build a daily cost row as the history store holds it
+ * @param {string} date - Day of the row
+ * @param {string} user - User email
+ * @param {number} cost - Estimated cost
+ * @returns {Object} - Cost row
+ */
+function costRow(date, user, cost) {
+  return {
+    date,
+    user_email: user,
+    estimated_cost_usd: cost,
+    query_count: 1,
+    total_bytes_processed: 1024,
+    total_bytes_billed: 1024
+  };
+}
+
+/**
+ * Record a finished run
+ * @param {string} runId - The run ID
+ * @param {string} startedAt - When the run started
+ * @param {string[]} [projectIds] - Projects the run collected
+ */
+function recordRun(runId, startedAt, projectIds = []) {
+  const results = projectIds.map(project => ({ project, status: 'success' }));
+  saveRun(buildRunRecord({ runId, startedAt: new Date(startedAt), trigger: 'cli', params: {}, results }));
+}
+
+describe('GET /api/costs/:projectId', () => {
+  useTempStores();
+
+  beforeEach(() => {
+    serveConfig();
+    upsertRows(PROJECT.id, [
+      costRow('2026-03-01', 'alice@example.com', 2),
+      costRow('2026-03-01', 'bob@example.com', 3),
+      costRow('2026-03-02', 'alice@example.com', 4)
+    ], { runId: '20260302T060000Z-aaaaaa' });
+  });
+
+  test('serves the rows of the date range', async () => {
+    const response = await request(app).get('/api/costs/project-a?from=2026-03-02&to=2026-03-02');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject([costRow('2026-03-02', 'alice@example.com', 4)]);
+  });
+
+  test('serves a pre-aggregated series', async () => {
+    const response = await request(app).get('/api/costs/project-a?groupBy=user');
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(group => [group.user, group.estimated_cost_usd])).toEqual([
+      ['alice@example.com', 6],
+      ['bob@example.com', 3]
+    ]);
+  });
+
+  test.each([
+    ['a date that is not YYYY-MM-DD', 'from=03/01/2026', 'from must be a date in YYYY-MM-DD format'],
+    ['a date that does not exist', 'to=2026-02-30', 'to must be a date in YYYY-MM-DD format'],
+    ['a range that ends before it starts', 'from=2026-03-02&to=2026-03-01', 'from must not be after to'],
+    ['an unknown grouping', 'groupBy=week', 'groupBy must be one of: date, user, dataset, table, hour, label, team, costCenter'],
+    ['a repeated parameter', 'groupBy=date&groupBy=user', 'groupBy must be specified once'],
+    [
+      'an unknown parameter',
+      'dimension=user',
+      'Unknown parameter dimension, expected one of: from, to, user, serviceAccount, dataset, table, groupBy, labelKey, asOf'
+    ]
+  ])('rejects %s', async (description, query, error) => {
+    const response = await request(app).get(`/api/costs/project-a?${query}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error: 'Invalid query parameters', details: [error] });
+  });
+
+  test('answers 404 for a project without history', async () => {
+    const response = await request(app).get('/api/costs/project-b');
+
+    expect(response.status).toBe(404);
+  });
+
+  test('serves the rows as of an earlier run', async () => {
+    recordRun('20260302T060000Z-aaaaaa', '2026-03-02T06:00:00Z');
+    recordRun('20260303T060000Z-bbbbbb', '2026-03-03T06:00:00Z');
+    upsertRows(PROJECT.id, [costRow('2026-03-02', 'alice@example.com', 5)], { runId: '20260303T060000Z-bbbbbb' });
+
+    const response = await request(app).get('/api/costs/project-a?from=2026-03-02&asOf=20260302T060000Z-aaaaaa');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject([costRow('2026-03-02', 'alice@example.com', 4)]);
+  });
+
+  test('answers 404 as of an unknown run', async () => {
+    const response = await request(app).get('/api/costs/project-a?asOf=20260101T060000Z-cccccc');
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ error: 'Run not found: 20260101T060000Z-cccccc' });
+  });
+
+  test('answers 410 as of a run whose versions are no longer kept', async () => {
+    recordRun('20260302T060000Z-aaaaaa', '2026-03-02T06:00:00Z');
+    upsertRows(PROJECT.id, [costRow('2026-03-02', 'alice@example.com', 5)], { runId: '20260303T060000Z-bbbbbb', maxVersions: 1 });
+
+    const response = await request(app).get('/api/costs/project-a?from=2026-03-02&asOf=20260302T060000Z-aaaaaa');
+
+    expect(response.status).toBe(410);
+    expect(response.body).toEqual({ error: 'History of project-a as of run 20260302T060000Z-aaaaaa is no longer retained' });
+  });
+});
+
+describe('GET /api/runs/diff/:projectId', () => {
+  useTempStores();
+
+  beforeEach(() => {
+    serveConfig();
+    recordRun('20260302T060000Z-aaaaaa', '2026-03-02T06:00:00Z', [PROJECT.id]);
+    upsertRows(PROJECT.id, [
+      costRow('2026-03-01', 'alice@example.com', 2),
+      costRow('2026-03-01', 'bob@example.com', 3)
+    ], { runId: '20260302T060000Z-aaaaaa' });
+  });
+
+  /**
+   * Record a second run that revised the history
+   */
+  function reviseHistory() {
+    recordRun('20260303T060000Z-bbbbbb', '2026-03-03T06:00:00Z', [PROJECT.id]);
+    upsertRows(PROJECT.id, [
+      costRow('2026-03-01', 'alice@example.com', 6),
+      costRow('2026-03-02', 'carol@example.com', 1)
+    ], { runId: '20260303T060000Z-bbbbbb', replaceFrom: '2026-03-01' });
+  }
+
+  test('compares the two latest runs of the project by default', async () => {
+    reviseHistory();
+    // Runs of other projects are skipped
+    recordRun('20260304T060000Z-cccccc', '2026-03-04T06:00:00Z', ['project-b']);
+
+    const response = await request(app).get('/api/runs/diff/project-a');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      project: 'project-a',
+      base: { runId: '20260302T060000Z-aaaaaa', startedAt: '2026-03-02T06:00:00.000Z' },
+      compare: { runId: '20260303T060000Z-bbbbbb', startedAt: '2026-03-03T06:00:00.000Z' },
+      totals: { base_cost_usd: 5, compare_cost_usd: 7, change_usd: 2 }
+    });
+    expect(response.body.users.map(change => [change.user, change.change_usd, change.status])).toEqual([
+      ['alice@example.com', 4, 'changed'],
+      ['bob@example.com', -3, 'removed'],
+      ['carol@example.com', 1, 'added']
+    ]);
+  });
+
+  test('compares the given runs within the filters', async () => {
+    reviseHistory();
+
+    const response = await request(app).get(
+      '/api/runs/diff/project-a?base=20260302T060000Z-aaaaaa&compare=20260303T060000Z-bbbbbb&user=alice@example.com'
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body.totals).toEqual({ base_cost_usd: 2, compare_cost_usd: 6, change_usd: 4 });
+    expect(response.body.users.map(change => change.user)).toEqual(['alice@example.com']);
+  });
+
+  test('answers 404 while the project has a single run', async () => {
+    const response = await request(app).get('/api/runs/diff/project-a');
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ error: 'Two runs are needed to compare this project' });
+  });
+
+  test('answers 404 for an unknown run', async () => {
+    const response = await request(app).get('/api/runs/diff/project-a?base=20260101T060000Z-dddddd');
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ error: 'Run not found: 20260101T060000Z-dddddd' });
+  });
+
+  test('rejects invalid filters', async () => {
+    const response = await request(app).get('/api/runs/diff/project-a?from=yesterday');
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual(['from must be a date in YYYY-MM-DD format']);
+  });
+});
+
+describe('anomaly routes', () => {
+  useTempStores();
+
+  beforeEach(() => {
+    serveConfig();
+  });
+
+  test('serves the anomalies found by the latest run', async () => {
+    const spike = { type: 'spike', scope: 'project', entity: 'project-a', date: '2026-03-08' };
+    saveRun({
+      ...buildRunRecord({ runId: '20260308T060000Z-aaaaaa', startedAt: new Date('2026-03-08T06:00:00Z'), trigger: 'cli', params: {}, results: [] }),
+      projects: [{ project: 'project-a', status: 'success', anomalies: [spike] }, { project: 'project-b', status: 'success' }]
+    });
+
+    const response = await request(app).get('/api/anomalies');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual([{ project: 'project-a', ...spike }]);
+  });
+
+  test('answers 404 before the first run', async () => {
+    const response = await request(app).get('/api/anomalies');
+
+    expect(response.status).toBe(404);
+  });
+
+  test('detects the anomalies of a project in its history', async () => {
+    const rows = [];
+    for (let day = 1; day <= 28; day++) {
+      rows.push(costRow(`2026-02-${String(day).padStart(2, '0')}`, 'alice@example.com', 10));
+    }
+    rows.push(costRow('2026-03-01', 'alice@example.com', 60));
+    upsertRows(PROJECT.id, rows, { runId: '20260301T060000Z-aaaaaa' });
+
+    const response = await request(app).get('/api/anomalies/project-a?scope=user&days=1');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject([{ type: 'spike', scope: 'user', entity: 'alice@example.com', date: '2026-03-01' }]);
+  });
+
+  test.each([
+    ['sensitivity=0', 'sensitivity must be a positive number'],
+    ['days=none', 'days must be a positive integer'],
+    ['scope=table', 'scope must be one of: project, user, dataset']
+  ])('rejects %s', async (query, error) => {
+    const response = await request(app).get(`/api/anomalies/project-a?${query}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error });
+  });
+});
+
+describe('GET /api/forecast/teams', () => {
+  useTempStores();
+
+  beforeEach(() => {
+    serveConfig({
+      projects: [PROJECT, { id: 'project-b', name: 'Project B' }],
+      teams: [{ name: 'sales', costCenter: 'CC-100', principals: ['alice@example.com'] }]
+    });
+
+    // Alice spends 10 a day in both projects, Bob 2 a day in project-a only
+    ['project-a', 'project-b'].forEach(projectId => {
+      const rows = [];
+      for (let day = 13; day <= 42; day++) {
+        const date = new Date(Date.UTC(2026, 1, day)).toISOString().substring(0, 10);
+        rows.push(costRow(date, 'alice@example.com', 10));
+        if (projectId === 'project-a') {
+          rows.push(costRow(date, 'bob@example.com', 2));
+        }
+      }
+      upsertRows(projectId, rows, { runId: '20260315T060000Z-aaaaaa' });
+    });
+  });
+
+  test('forecasts each team across the projects', async () => {
+    const response = await request(app).get('/api/forecast/teams?date=2026-03-15');
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(forecast => [forecast.team, forecast.cost_center, forecast.month_to_date_cost_usd, forecast.projected_cost_usd]))
+      .toEqual([
+        ['sales', 'CC-100', 280, 620],
+        ['unassigned', null, 28, 62]
+      ]);
+  });
+
+  test('forecasts the teams of one project', async () => {
+    const response = await request(app).get('/api/forecast/teams?date=2026-03-15&project=project-b');
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(forecast => [forecast.team, forecast.projected_cost_usd])).toEqual([['sales', 310]]);
+  });
+
+  test('answers 404 without history', async () => {
+    const response = await request(app).get('/api/forecast/teams?project=project-c');
+
+    expect(response.status).toBe(404);
+  });
+
+  test('rejects invalid parameters', async () => {
+    const response = await request(app).get('/api/forecast/teams?date=15-03-2026&confidence=0.5');
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual([
+      'date must be a date in YYYY-MM-DD format',
+      'query.confidence must be one of: 0.8, 0.9, 0.95, 0.99'
+    ]);
+  });
+});
+
+describe('GET /api/budgets', () => {
+  useTempStores();
+
+  const budgets = [
+    { name: 'project-a', scope: 'project', project: 'project-a', amount: 100 },
+    { name: 'alice', scope: 'user', target: 'alice@example.com', amount: 50, period: 'daily' }
+  ];
+
+  beforeEach(() => {
+    serveConfig({ budgets });
+  });
+
+  test('serves the budget status saved by the latest run', async () => {
+    const saved = [{ name: 'project-a', project: 'project-a', status: 'ok' }, { name: 'alice', project: null, status: 'warning' }];
+    saveRun(buildRunRecord({
+      runId: '20260308T060000Z-aaaaaa',
+      startedAt: new Date('2026-03-08T06:00:00Z'),
+      trigger: 'cli',
+      params: {},
+      results: [],
+      budgets: saved
+    }));
+
+    const response = await request(app).get('/api/budgets');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(saved);
+  });
+
+  test('serves no budgets before the first run', async () => {
+    const response = await request(app).get('/api/budgets');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual([]);
+  });
+
+  test('evaluates the configured budgets on request', async () => {
+    const today = new Date().toISOString().substring(0, 10);
+    upsertRows(PROJECT.id, [costRow(today, 'alice@example.com', 30)], { runId: '20260308T060000Z-aaaaaa' });
+
+    const response = await request(app).get('/api/budgets?live=true&project=project-a');
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(budget => [budget.name, budget.spent_usd, budget.status])).toEqual([
+      ['project-a', 30, 'ok'],
+      ['alice', 30, 'warning']
+    ]);
+  });
+});
+
+describe('GET /api/teams', () => {
+  useTempStores();
+
+  beforeEach(() => {
+    serveConfig({
+      projects: [PROJECT, { id: 'project-b', name: 'Project B' }],
+      teams: [
+        { name: 'sales', costCenter: 'CC-100', principals: ['alice@example.com'] },
+        { name: 'marketing', costCenter: 'CC-100', principals: ['carol@example.com'] }
+      ]
+    });
+    upsertRows('project-a', [
+      costRow('2026-03-01', 'alice@example.com', 4),
+      costRow('2026-03-01', 'bob@example.com', 1),
+      costRow('2026-03-02', 'carol@example.com', 2)
+    ], { runId: '20260302T060000Z-aaaaaa' });
+    upsertRows('project-b', [costRow('2026-03-01', 'alice@example.com', 3)], { runId: '20260302T060000Z-aaaaaa' });
+  });
+
+  test('rolls the cost of each team up across the projects', async () => {
+    const response = await request(app).get('/api/teams');
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(team => [team.team, team.cost_center, team.estimated_cost_usd, team.projects])).toEqual([
+      ['sales', 'CC-100', 7, [{ project: 'project-a', estimated_cost_usd: 4 }, { project: 'project-b', estimated_cost_usd: 3 }]],
+      ['marketing', 'CC-100', 2, [{ project: 'project-a', estimated_cost_usd: 2 }]],
+      ['unassigned', null, 1, [{ project: 'project-a', estimated_cost_usd: 1 }]]
+    ]);
+  });
+
+  test('rolls up by cost center within the date range', async () => {
+    const response = await request(app).get('/api/teams?groupBy=costCenter&to=2026-03-01');
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(group => [group.cost_center, group.estimated_cost_usd])).toEqual([['CC-100', 7], ['unassigned', 1]]);
+  });
+
+  test('serves the teams of each cost row', async () => {
+    const response = await request(app).get('/api/costs/project-a?groupBy=team');
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(group => [group.team, group.estimated_cost_usd])).toEqual([['sales', 4], ['marketing', 2], ['unassigned', 1]]);
+  });
+
+  test('rejects other groupings', async () => {
+    const response = await request(app).get('/api/teams?groupBy=user');
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual(['groupBy must be team or costCenter']);
+  });
+});
+
+describe('GET /api/jobs', () => {
+  useTempStores();
+
+  const MARKETING_KEY = 'marketing-key-0123456789';
+  const LONG_QUERY = `SELECT * FROM sales.orders WHERE ${'x = 1 AND '.repeat(40)}TRUE`;
+
+  /**
+   * Build a stored job
+   * @param {string} projectId - Project the job ran in
+   * @param {string} jobId - The job ID
+   * @param {string} creationTime - When the job was created
+   * @param {Object} [fields] - Other fields of the job
+   * @returns {Object} - Job
+   */
+  function job(projectId, jobId, creationTime, fields = {}) {
+    return {
+      job_id: jobId,
+      project_id: projectId,
+      location: 'US',
+      date: creationTime.substring(0, 10),
+      creation_time: creationTime,
+      user_email: 'alice@example.com',
+      query: 'SELECT * FROM sales.orders',
+      referenced_tables: [`${projectId}.sales.orders`],
+      estimated_cost_usd: 1,
+      ...fields
+    };
+  }
+
+  beforeEach(() => {
+    serveConfig({ projects: [PROJECT, { id: 'project-b', name: 'Project B' }] });
+    upsertJobs('project-a', [
+      job('project-a', 'orders', '2026-03-01T10:00:00.000Z', { query: 'SELECT customer_id FROM sales.orders GROUP BY customer_id', estimated_cost_usd: 3 }),
+      job('project-a', 'refunds', '2026-03-02T10:00:00.000Z', { query: 'SELECT * FROM sales.refunds', estimated_cost_usd: 2 })
+    ]);
+    upsertJobs('project-b', [
+      job('project-b', 'orders-b', '2026-03-03T10:00:00.000Z', { query: LONG_QUERY })
+    ]);
+  });
+
+  test('searches the query text of the jobs of every project, newest first', async () => {
+    const response = await request(app).get('/api/jobs?q=sales.orders');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ total: 2, offset: 0, limit: 50 });
+    expect(response.body.jobs.map(match => [match.project_id, match.job_id, match.query_truncated])).toEqual([
+      ['project-b', 'orders-b', true],
+      ['project-a', 'orders', false]
+    ]);
+    expect(response.body.jobs[0].query).toHaveLength(300);
+    expect(response.body.jobs[1].console_url).toBe('https://console.cloud.google.com/bigquery?project=project-a&j=bq:US:orders&page=queryresults');
+  });
+
+  test('keeps quoted phrases together', async () => {
+    const response = await request(app).get(`/api/jobs?q=${encodeURIComponent('"group by customer_id"')}`);
+
+    expect(response.body.jobs.map(match => match.job_id)).toEqual(['orders']);
+  });
+
+  test('filters, sorts and pages the matches', async () => {
+    const response = await request(app).get('/api/jobs?project=project-a&from=2026-03-01&to=2026-03-02&sort=cost&limit=1&offset=1');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ total: 2, offset: 1, limit: 1 });
+    expect(response.body.jobs.map(match => match.job_id)).toEqual(['refunds']);
+  });
+
+  test('serves the jobs created before an earlier run', async () => {
+    recordRun('20260302T060000Z-aaaaaa', '2026-03-02T06:00:00Z');
+
+    const response = await request(app).get('/api/jobs?asOf=20260302T060000Z-aaaaaa');
+
+    expect(response.body.jobs.map(match => match.job_id)).toEqual(['orders']);
+  });
+
+  test('rejects invalid parameters', async () => {
+    const response = await request(app).get('/api/jobs?q=a&q=b&sort=user');
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      error: 'Invalid query parameters',
+      details: ['q must be specified once', 'sort must be one of: creationTime, cost, bytesBilled, slotTime']
+    });
+  });
+
+  test('serves a job with its complete query text', async () => {
+    const response = await request(app).get('/api/jobs/project-b/orders-b');
+
+    expect(response.status).toBe(200);
+    expect(response.body.query).toBe(LONG_QUERY);
+    expect(response.body.console_url).toContain('j=bq:US:orders-b');
+    expect((await request(app).get('/api/jobs/project-b/missing')).status).toBe(404);
+  });
+
+  describe('with auth', () => {
+    beforeEach(() => {
+      serveConfig({
+        projects: [PROJECT, { id: 'project-b', name: 'Project B' }],
+        teams: [{ name: 'marketing', principals: ['carol@example.com'] }],
+        auth: {
+          providers: [{ type: 'apiKey', keys: [{ name: 'marketing', key: MARKETING_KEY, roles: ['marketing', 'web'] }] }],
+          roles: [{ name: 'marketing', projects: ['project-a'], teams: ['marketing'] }, { name: 'web', projects: ['project-b'] }]
+        }
+      });
+    });
+
+    test('only searches the projects a caller can see in full', async () => {
+      const response = await request(app).get('/api/jobs?q=select').set('X-Api-Key', MARKETING_KEY);
+
+      expect(response.status).toBe(200);
+      expect(response.body.jobs.map(match => match.job_id)).toEqual(['orders-b']);
+    });
+
+    test('forbids searching a project narrowed to teams', async () => {
+      const response = await request(app).get('/api/jobs?project=project-a').set('X-Api-Key', MARKETING_KEY);
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'Access to all of project project-a is needed' });
+    });
+  });
+});
+
+describe('GET /api/export/:projectId', () => {
+  useTempStores();
+
+  beforeEach(() => {
+    serveConfig();
+    upsertRows(PROJECT.id, [
+      costRow('2026-03-01', 'alice@example.com', 2),
+      costRow('2026-03-01', '=cmd|calc@example.com', 3),
+      costRow('2026-03-02', 'alice@example.com', 4)
+    ], { runId: '20260302T060000Z-aaaaaa' });
+  });
+
+  /**
+   * Collect a response body as a buffer
+   * @param {Object} response - Response stream
+   * @param {Function} callback - Called with the body
+   */
+  function binaryParser(response, callback) {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => callback(null, Buffer.concat(chunks)));
+  }
+
+  test('downloads the daily rows as CSV, escaping formulas', async () => {
+    const response = await request(app).get('/api/export/project-a?to=2026-03-01');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/csv/);
+    expect(response.headers['content-disposition']).toBe('attachment; filename="project-a_rows_2026-03-01.csv"');
+
+    const [header, ...lines] = response.text.trim().split('\n');
+    expect(header).toBe('date,region,user_email,service_account,team,cost_center,query_count,cache_hit_count,error_count,' +
+      'total_bytes_processed,total_bytes_billed,slot_hours,gross_cost_usd,estimated_cost_usd');
+    expect(lines.map(line => line.split(',')[2])).toEqual(['\'=cmd|calc@example.com', 'alice@example.com']);
+  });
+
+  test('downloads a view as JSON', async () => {
+    const response = await request(app).get('/api/export/project-a?format=json&view=user');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toBe('attachment; filename="project-a_user.json"');
+    expect(response.body.map(record => [record.user, record.estimated_cost_usd])).toEqual([
+      ['alice@example.com', 6],
+      ['=cmd|calc@example.com', 3]
+    ]);
+  });
+
+  test('downloads a workbook with a sheet per view', async () => {
+    const response = await request(app)
+      .get('/api/export/project-a?format=xlsx&view=date,user')
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toBe('attachment; filename="project-a_costs.xlsx"');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(response.body);
+
+    expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Daily', 'Users']);
+    expect(workbook.getWorksheet('Daily').getRow(2).values.slice(1)).toEqual(['2026-03-01', 2, 2048, 2048, 5]);
+  });
+
+  test.each([
+    ['an unknown format', 'format=pdf', 'format must be one of: csv, xlsx, json'],
+    ['several views outside a workbook', 'view=user,date', 'Only xlsx exports can contain more than one view'],
+    ['an invalid filter', 'from=yesterday', 'from must be a date in YYYY-MM-DD format']
+  ])('rejects %s', async (description, query, error) => {
+    const response = await request(app).get(`/api/export/project-a?${query}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error: 'Invalid query parameters', details: [error] });
+  });
+
+  test('answers 404 for a project without history', async () => {
+    const response = await request(app).get('/api/export/project-b');
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('GET /metrics', () => {
+  useTempStores();
+
+  const today = new Date().toISOString().slice(0, 10);
+
+  beforeEach(() => {
+    serveConfig();
+    upsertRows(PROJECT.id, [
+      costRow(today, 'alice@example.com', 2),
+      costRow('2026-03-01', 'alice@example.com', 100)
+    ], { runId: '20260302T060000Z-aaaaaa' });
+  });
+
+  test('serves today\'s cost in the Prometheus text format', async () => {
+    const response = await request(app).get('/metrics');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain;/);
+    expect(response.headers['content-type']).toContain('version=0.0.4');
+    expect(response.text).toContain('bq_cost_monitor_project_daily_cost_usd{project_id="project-a"} 2\n');
+    expect(response.text).toContain('bq_cost_monitor_principal_daily_cost_usd{project_id="project-a",principal="alice@example.com"} 2\n');
+    expect(response.text).not.toContain('# UNIT');
+    expect(response.text).not.toContain('# EOF');
+  });
+
+  test('serves OpenMetrics to scrapers that ask for it', async () => {
+    const response = await request(app)
+      .get('/metrics')
+      .set('Accept', 'application/openmetrics-text;version=1.0.0,text/plain;version=0.0.4;q=0.5');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^application\/openmetrics-text;/);
+    expect(response.headers['content-type']).toContain('version=1.0.0');
+    expect(response.text).toContain('# UNIT bq_cost_monitor_project_daily_cost_usd usd\n');
+    expect(response.text.endsWith('# EOF\n')).toBe(true);
+  });
+
+  test('describes the latest run', async () => {
+    recordRun('20260302T060000Z-aaaaaa', '2026-03-02T06:00:00Z', [PROJECT.id]);
+
+    const response = await request(app).get('/metrics');
+
+    expect(response.text).toContain('bq_cost_monitor_last_run_status{status="success"} 1\n');
+    expect(response.text).toContain('bq_cost_monitor_project_last_run_error{project_id="project-a"} 0\n');
+  });
+
+  test('answers 404 when metrics are disabled', async () => {
+    serveConfig({ settings: { prometheus: { enabled: false } } });
+
+    const response = await request(app).get('/metrics');
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('authentication', () => {
+  useTempStores();
+
+  const FINOPS_KEY = 'finops-key-0123456789';
+  const MARKETING_KEY = 'marketing-key-0123456789';
+
+  /**
+   * Serve a configuration with auth
+   * @param {Array} [headerProxies] - Trusted proxies of the header provider
+   */
+  function serveAuthConfig(headerProxies = ['127.0.0.1']) {
+    serveConfig({
+      projects: [PROJECT, { id: 'project-b', name: 'Project B' }],
+      teams: [{ name: 'marketing', principals: ['carol@example.com'] }],
+      auth: {
+        providers: [
+          {
+            type: 'apiKey',
+            keys: [{ name: 'finops', key: FINOPS_KEY, roles: ['finops'] }, { name: 'marketing', key: MARKETING_KEY, roles: ['marketing'] }]
+          },
+          { type: 'header', trustedProxies: headerProxies }
+        ],
+        roles: [
+          { name: 'finops', members: ['@finops.example.com'], projects: ['project-a'] },
+          { name: 'marketing', projects: ['project-a'], teams: ['marketing'] }
+        ]
+      }
+    });
+  }
+
+  beforeEach(() => {
+    serveAuthConfig();
+    upsertRows(PROJECT.id, [
+      costRow('2026-03-01', 'alice@example.com', 2),
+      costRow('2026-03-01', 'carol@example.com', 3)
+    ], { runId: '20260302T060000Z-aaaaaa' });
+  });
+
+  test('requires credentials on the API and metrics', async () => {
+    for (const path of ['/api/costs/project-a', '/metrics']) {
+      const response = await request(app).get(path);
+
+      expect(response.status).toBe(401);
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+      expect(response.body).toEqual({ error: 'Authentication required' });
+    }
+  });
+
+  test('rejects an unknown API key', async () => {
+    const response = await request(app).get('/api/costs/project-a').set('X-Api-Key', 'guessed-key-0123456789');
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ error: 'Invalid API key' });
+  });
+
+  test('serves the projects of the caller\'s roles', async () => {
+    const response = await request(app).get('/api/costs/project-a').set('X-Api-Key', FINOPS_KEY);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(2);
+  });
+
+  test('forbids other projects', async () => {
+    const response = await request(app).get('/api/costs/project-b').set('Authorization', `Bearer ${FINOPS_KEY}`);
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ error: 'Access to project project-b is not allowed' });
+  });
+
+  test('narrows a project to the teams of a role', async () => {
+    const response = await request(app).get('/api/costs/project-a').set('X-Api-Key', MARKETING_KEY);
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(row => row.user_email)).toEqual(['carol@example.com']);
+  });
+
+  test('keeps whole-project reports from team-restricted roles', async () => {
+    const response = await request(app).get('/api/anomalies/project-a').set('X-Api-Key', MARKETING_KEY);
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ error: 'Access to all of project project-a is needed' });
+  });
+
+  test('takes the identity set by a trusted proxy', async () => {
+    const response = await request(app)
+      .get('/api/costs/project-a')
+      .set('X-Goog-Authenticated-User-Email', 'accounts.google.com:eve@finops.example.com');
+
+    expect(response.status).toBe(200);
+  });
+
+  test('rejects identity headers from untrusted peers', async () => {
+    serveAuthConfig(['10.0.0.2']);
+
+    const response = await request(app)
+      .get('/api/costs/project-a')
+      .set('X-Goog-Authenticated-User-Email', 'eve@finops.example.com');
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ error: 'x-goog-authenticated-user-email is only accepted from trusted proxies' });
+  });
+
+  test('serves the dashboard itself without credentials', async () => {
+    const response = await request(app).get('/index.html');
+
+    expect(response.status).toBe(200);
+  });
+});
+
+describe('configuration API', () => {
+  const stores = useTempStores();
+
+  const ADMIN_KEY = 'admin-key-0123456789';
+  const VIEWER_KEY = 'viewer-key-0123456789';
+
+  let configPath;
+  let previousConfigPath;
+
+  /**
+   * Write a configuration file and serve it
+   * @param {Object} document - Configuration document
+   */
+  function writeConfig(document) {
+    fs.writeFileSync(configPath, `${JSON.stringify(document, null, 2)}\n`);
+    applyConfig(parseConfig(fs.readFileSync(configPath, 'utf8'), configPath), null);
+  }
+
+  /**
+   * Read the configuration file
+   * @returns {Object} - Configuration document
+   */
+  function readConfig() {
+    return fs.readJsonSync(configPath);
+  }
+
+  beforeEach(() => {
+    previousConfigPath = process.env.CONFIG_PATH;
+    configPath = path.join(stores.dir, 'projects.json');
+    process.env.CONFIG_PATH = configPath;
+    writeConfig({ projects: [PROJECT], settings: { historyDays: 30, localConfigApi: true } });
+  });
+
+  afterEach(() => {
+    if (previousConfigPath === undefined) {
+      delete process.env.CONFIG_PATH;
+    } else {
+      process.env.CONFIG_PATH = previousConfigPath;
+    }
+  });
+
+  test('serves the file as written, with its version', async () => {
+    const response = await request(app).get('/api/config');
+
+    expect(response.status).toBe(200);
+    expect(response.headers.etag).toBe(`"${response.body.etag}"`);
+    expect(response.body).toMatchObject({ path: configPath, exists: true, projects: [PROJECT], settings: { historyDays: 30 } });
+  });
+
+  test('adds a project, records the revision and serves it', async () => {
+    const response = await request(app).post('/api/config/projects').send({ id: 'project-b', name: 'Project B' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.project).toEqual({ id: 'project-b', name: 'Project B' });
+    expect(response.body.revision).toMatchObject({ author: 'local', action: 'project.create', summary: 'Added project project-b' });
+    expect(readConfig().projects.map(project => project.id)).toEqual(['project-a', 'project-b']);
+
+    const projects = await request(app).get('/api/projects');
+    expect(projects.body.map(project => project.id)).toEqual(['project-a', 'project-b']);
+
+    const revisions = await request(app).get('/api/config/revisions');
+    expect(revisions.body.map(revision => revision.action)).toEqual(['project.create', 'initial']);
+  });
+
+  test('patches a project with the version it was read at', async () => {
+    const { headers } = await request(app).get('/api/config');
+
+    const response = await request(app)
+      .patch('/api/config/projects/project-a')
+      .set('If-Match', headers.etag)
+      .send({ historyDays: 14 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.project).toEqual({ ...PROJECT, historyDays: 14 });
+    expect(response.headers.etag).not.toBe(headers.etag);
+    expect(readConfig().projects[0].historyDays).toBe(14);
+  });
+
+  test('answers 412 for a change made against an older version', async () => {
+    const { headers } = await request(app).get('/api/config');
+    await request(app).patch('/api/config/settings').send({ historyDays: 60 });
+
+    const response = await request(app)
+      .patch('/api/config/settings')
+      .set('If-Match', headers.etag)
+      .send({ historyDays: 90 });
+
+    expect(response.status).toBe(412);
+    expect(response.body).toEqual({ error: 'The configuration has changed since it was read' });
+    expect(response.headers.etag).not.toBe(headers.etag);
+    expect(readConfig().settings.historyDays).toBe(60);
+  });
+
+  test('answers 400 with every error of an invalid change', async () => {
+    const response = await request(app).put('/api/config/projects/project-a').send({ name: '', regions: 'us' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      error: 'Invalid configuration',
+      errors: ['projects[0].name must not be empty', 'projects[0].regions must be an array']
+    });
+    expect(readConfig().projects).toEqual([PROJECT]);
+  });
+
+  test('rejects changes that add environment variable references', async () => {
+    const response = await request(app).patch('/api/config/projects/project-a').send({ name: '${SECRET}' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual(['projects[0].name references an environment variable']);
+  });
+
+  test('answers 409 for a project that already exists and 404 for one that does not', async () => {
+    expect((await request(app).post('/api/config/projects').send(PROJECT)).status).toBe(409);
+    expect((await request(app).delete('/api/config/projects/project-z')).status).toBe(404);
+  });
+
+  test('restores a revision', async () => {
+    await request(app).patch('/api/config/settings').send({ historyDays: 60 });
+    const [, initial] = (await request(app).get('/api/config/revisions')).body;
+
+    const response = await request(app).post(`/api/config/revisions/${initial.revisionId}/restore`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.revision.summary).toBe(`Restored revision ${initial.revisionId}`);
+    expect(readConfig().settings.historyDays).toBe(30);
+  });
+
+  test('is closed without auth unless local management is opted into', async () => {
+    writeConfig({ projects: [PROJECT] });
+
+    const response = await request(app).get('/api/config');
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ error: 'Managing the configuration needs auth, or settings.localConfigApi for requests from this host' });
+  });
+
+  describe('with auth', () => {
+    beforeEach(() => {
+      writeConfig({
+        projects: [PROJECT],
+        auth: {
+          providers: [{ type: 'apiKey', keys: [{ name: 'admin', key: ADMIN_KEY, roles: ['admins'] }, { name: 'viewer', key: VIEWER_KEY, roles: ['viewers'] }] }],
+          roles: [{ name: 'admins', projects: ['*'], admin: true }, { name: 'viewers', projects: ['*'] }]
+        }
+      });
+    });
+
+    test('is open to admin roles, recording them as the author', async () => {
+      const response = await request(app).patch('/api/config/settings').set('X-Api-Key', ADMIN_KEY).send({ historyDays: 45 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.revision.author).toBe('admin');
+    });
+
+    test('is closed to other roles', async () => {
+      const response = await request(app).get('/api/config').set('X-Api-Key', VIEWER_KEY);
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'Managing the configuration is not allowed' });
+    });
+  });
+});